@@ -803,6 +803,11 @@ const cli = createCLI({
           short: 'p',
           type: 'string',
           description: 'Specific partition to explain'
+        },
+        filter: {
+          short: 'f',
+          type: 'string',
+          description: 'Query filter (JSON) to plan, e.g. {"status":"paid"}'
         }
       },
       handler: async (result) => {
@@ -857,6 +862,34 @@ const cli = createCLI({
             console.log(yellow('\nNo partitions configured'));
           }
 
+          if (opts.filter) {
+            const plan = await resource.explain(JSON.parse(opts.filter));
+
+            console.log(bold('\n🧭 Query Plan:'));
+            console.log(`  Strategy: ${plan.strategy}`);
+            if (plan.index) {
+              console.log(`  Index: ${plan.index}${plan.sortCovered ? ' (serves sort)' : ''}`);
+            } else {
+              console.log(`  Partition: ${plan.partition || '(main data)'}`);
+            }
+            console.log(`  Prefix: ${plan.prefix}`);
+            if (plan.range) {
+              const lower = plan.range.lower ? `${plan.range.lower.inclusive ? '>=' : '>'} ${plan.range.lower.value}` : '';
+              const upper = plan.range.upper ? `${plan.range.upper.inclusive ? '<=' : '<'} ${plan.range.upper.value}` : '';
+              console.log(`  Range: ${plan.range.field} ${[lower, upper].filter(Boolean).join(' and ')}`);
+            }
+            if (plan.startAfter) console.log(`  StartAfter: ${plan.startAfter}`);
+            console.log(`  Covered fields: ${plan.coveredFields.join(', ') || '(none)'}`);
+            console.log(`  Post-filter: ${plan.requiresPostFilter ? yellow('yes') : green('no')}`);
+
+            if (plan.estimate) {
+              const { keys, listRequests, getRequests, cost, exact, approximate } = plan.estimate;
+              console.log(`  Candidate keys: ${keys}${approximate ? yellow(' (first page only)') : ''}`);
+              console.log(`  Requests: ${listRequests} LIST, ${getRequests} GET${exact ? '' : ' (upper bound)'}`);
+              console.log(`  Estimated cost: $${cost.total.toFixed(6)}`);
+            }
+          }
+
           console.log(bold('\n🔍 Query Optimization:'));
           if (schema.partitions && Object.keys(schema.partitions).length > 0) {
             console.log(green('  ✓ O(1) partition lookups available'));
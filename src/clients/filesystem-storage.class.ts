@@ -950,7 +950,10 @@ export class FileSystemStorage {
       const fullPath = path.join(dirPath, entry.name);
 
       if (entry.isDirectory()) {
-        yield* this._walkDirectory(fullPath, prefix);
+        const dirKey = `${this._pathToKey(fullPath)}/`;
+        if (!prefix || dirKey.startsWith(prefix) || prefix.startsWith(dirKey)) {
+          yield* this._walkDirectory(fullPath, prefix);
+        }
       } else if (entry.isFile() && !entry.name.endsWith('.meta.json')) {
         files.push({ entry, fullPath });
       }
@@ -994,7 +997,10 @@ export class FileSystemStorage {
     let searchPath: string;
     try {
       const startStats = await stat(startPath);
-      searchPath = startStats.isDirectory() ? startPath : path.dirname(startPath);
+      // Like S3, a prefix without a trailing slash also matches sibling keys (`a` lists `ab/...`)
+      searchPath = startStats.isDirectory() && (!prefixFilter || prefixFilter.endsWith('/'))
+        ? startPath
+        : path.dirname(startPath);
       this.logger.debug({ startPath, searchPath, isDirectory: startStats.isDirectory() }, '[FileSystemStorage.list] stat success');
     } catch (err) {
       if ((err as NodeJS.ErrnoException).code === 'ENOENT') {
@@ -1014,7 +1020,8 @@ export class FileSystemStorage {
     }
     this.logger.debug({ count: allKeys.length, keys: allKeys.map(k => k.key) }, '[FileSystemStorage.list] Keys from _walkDirectory');
 
-    allKeys.sort((a, b) => a.key.localeCompare(b.key));
+    // Binary order, like S3, so continuation tokens and StartAfter stay consistent with the sort
+    allKeys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
 
     let startAfterKey: string | null = null;
     if (continuationToken) {
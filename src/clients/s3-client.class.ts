@@ -922,14 +922,18 @@ export class S3Client extends EventEmitter {
   }
 
   async listObjects(params: ListObjectsParams = {}): Promise<unknown> {
-    const { prefix, maxKeys = 1000, continuationToken } = params;
+    const { prefix, delimiter, maxKeys = 1000, continuationToken, startAfter } = params;
     const listStart = Date.now();
     this.logger.debug({ prefix: prefix?.substring(0, 60), maxKeys }, `[S3Client.listObjects] START`);
 
     const options = {
       Bucket: this.config.bucket,
       MaxKeys: maxKeys,
+      Delimiter: delimiter || undefined,
       ContinuationToken: continuationToken || undefined,
+      StartAfter: startAfter
+        ? (this.config.keyPrefix ? path.join(this.config.keyPrefix, startAfter) : startAfter)
+        : undefined,
       Prefix: this.config.keyPrefix
         ? path.join(this.config.keyPrefix, prefix || '')
         : prefix || '',
@@ -0,0 +1,439 @@
+import { ValidationError } from '../errors.js';
+import {
+  compareValues,
+  compileFilter,
+  getPathValue,
+  normalizeDirection,
+  sortDocuments,
+  type QueryFilter,
+  type QuerySort
+} from './query-filter.js';
+
+/**
+ * Aggregation pipelines evaluated one document at a time.
+ *
+ * Stages before the first `$group` stream: `$match` filters, `$limit` stops
+ * the source once enough documents passed. `$group` keeps one accumulator
+ * state per group, so memory follows the number of groups rather than the
+ * number of documents. A `$sort` before `$group` has to buffer its input;
+ * followed by `$limit` it only keeps the top documents.
+ *
+ * Expressions are `'$field.path'` references, literals, or objects of
+ * expressions (for composite group keys).
+ */
+
+export type AggregationExpression = unknown;
+
+export interface PercentileSpec {
+  input: AggregationExpression;
+  /** Percentile in [0, 1], or several of them. */
+  p: number | number[];
+  /** Reservoir size; results are exact while a group has fewer values. */
+  maxSamples?: number;
+}
+
+export type AccumulatorSpec =
+  | { $sum: AggregationExpression }
+  | { $avg: AggregationExpression }
+  | { $min: AggregationExpression }
+  | { $max: AggregationExpression }
+  | { $count: Record<string, never> }
+  | { $distinct: AggregationExpression }
+  | { $percentile: PercentileSpec };
+
+export interface GroupSpec {
+  _id: AggregationExpression;
+  [field: string]: AggregationExpression | AccumulatorSpec;
+}
+
+export type AggregationStage =
+  | { $match: QueryFilter }
+  | { $group: GroupSpec }
+  | { $sort: QuerySort }
+  | { $limit: number };
+
+export type AggregationPipeline = AggregationStage[];
+
+export interface AggregationOptions {
+  /** Default reservoir size for `$percentile`. */
+  maxSamples?: number;
+}
+
+export interface Aggregation<T = Record<string, unknown>> {
+  /** Feed one source document. Returns false once no further input can change the result. */
+  push(doc: unknown): boolean;
+  /** Flush buffered stages and return the pipeline output. */
+  finish(): T[];
+}
+
+const DEFAULT_MAX_SAMPLES = 10_000;
+
+const ACCUMULATORS = new Set(['$sum', '$avg', '$min', '$max', '$count', '$distinct', '$percentile']);
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Date || value instanceof RegExp) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/** Resolve an expression against a document: `'$a.b'` reads a path, objects resolve per key. */
+export function resolveExpression(expression: AggregationExpression, doc: unknown): unknown {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPathValue(doc, expression.slice(1));
+  }
+  if (isPlainObject(expression)) {
+    return Object.fromEntries(
+      Object.entries(expression).map(([key, value]) => [key, resolveExpression(value, doc) ?? null])
+    );
+  }
+  return expression;
+}
+
+function valueKey(value: unknown): string {
+  return JSON.stringify(value instanceof Date ? value.toISOString() : value ?? null);
+}
+
+interface Accumulator {
+  add(doc: unknown): void;
+  result(): unknown;
+}
+
+function createAccumulator(field: string, spec: unknown, options: AggregationOptions): Accumulator {
+  if (!isPlainObject(spec) || Object.keys(spec).length !== 1 || !ACCUMULATORS.has(Object.keys(spec)[0]!)) {
+    throw new ValidationError(`Invalid accumulator for '${field}' in $group`, {
+      field,
+      value: spec,
+      constraint: '$group',
+      suggestion: `Use exactly one of ${[...ACCUMULATORS].join(', ')}, e.g. { ${field}: { $sum: '$amount' } }.`
+    });
+  }
+
+  const [operator, argument] = Object.entries(spec)[0]!;
+
+  switch (operator) {
+    case '$sum': {
+      let total = 0;
+      return {
+        add(doc) {
+          const value = resolveExpression(argument, doc);
+          if (isFiniteNumber(value)) total += value;
+        },
+        result: () => total
+      };
+    }
+
+    case '$avg': {
+      let total = 0;
+      let count = 0;
+      return {
+        add(doc) {
+          const value = resolveExpression(argument, doc);
+          if (!isFiniteNumber(value)) return;
+          total += value;
+          count++;
+        },
+        result: () => (count > 0 ? total / count : null)
+      };
+    }
+
+    case '$min':
+    case '$max': {
+      const sign = operator === '$min' ? 1 : -1;
+      let best: unknown;
+      return {
+        add(doc) {
+          const value = resolveExpression(argument, doc);
+          if (value === undefined || value === null) return;
+          if (best === undefined || compareValues(value, best) * sign < 0) best = value;
+        },
+        result: () => best ?? null
+      };
+    }
+
+    case '$count': {
+      if (!isPlainObject(argument) || Object.keys(argument).length > 0) {
+        throw new ValidationError(`$count for '${field}' takes an empty object`, {
+          field,
+          value: argument,
+          constraint: '$count',
+          suggestion: `Write { ${field}: { $count: {} } } or { $sum: 1 }.`
+        });
+      }
+      let count = 0;
+      return {
+        add() {
+          count++;
+        },
+        result: () => count
+      };
+    }
+
+    case '$distinct': {
+      const seen = new Map<string, unknown>();
+      return {
+        add(doc) {
+          const value = resolveExpression(argument, doc);
+          if (value === undefined) return;
+          const key = valueKey(value);
+          if (!seen.has(key)) seen.set(key, value);
+        },
+        result: () => [...seen.values()].sort(compareValues)
+      };
+    }
+
+    case '$percentile': {
+      const percentile = argument as PercentileSpec;
+      const ps = Array.isArray(percentile?.p) ? percentile.p : [percentile?.p];
+      if (!isPlainObject(percentile) || ps.length === 0 || ps.some(p => !isFiniteNumber(p) || p < 0 || p > 1)) {
+        throw new ValidationError(`$percentile for '${field}' requires { input, p } with p in [0, 1]`, {
+          field,
+          value: argument,
+          constraint: '$percentile',
+          suggestion: `Write { ${field}: { $percentile: { input: '$latency', p: [0.5, 0.95] } } }.`
+        });
+      }
+      const maxSamples = percentile.maxSamples ?? options.maxSamples ?? DEFAULT_MAX_SAMPLES;
+      if (!Number.isInteger(maxSamples) || maxSamples < 1) {
+        throw new ValidationError(`$percentile maxSamples for '${field}' must be a positive integer`, {
+          field,
+          value: maxSamples,
+          constraint: '$percentile'
+        });
+      }
+
+      // Reservoir sampling (algorithm R) keeps a uniform sample in bounded memory
+      const samples: number[] = [];
+      let seen = 0;
+      return {
+        add(doc) {
+          const value = resolveExpression(percentile.input, doc);
+          if (!isFiniteNumber(value)) return;
+          seen++;
+          if (samples.length < maxSamples) {
+            samples.push(value);
+            return;
+          }
+          const slot = Math.floor(Math.random() * seen);
+          if (slot < maxSamples) samples[slot] = value;
+        },
+        result() {
+          const sorted = [...samples].sort((a, b) => a - b);
+          // Nearest-rank method
+          const values = ps.map(p => {
+            if (sorted.length === 0) return null;
+            const rank = Math.max(1, Math.ceil((p as number) * sorted.length));
+            return sorted[rank - 1]!;
+          });
+          return Array.isArray(percentile.p) ? values : values[0];
+        }
+      };
+    }
+  }
+
+  throw new ValidationError(`Unknown accumulator '${operator}'`, { field, constraint: '$group' });
+}
+
+interface Operator {
+  push(doc: unknown): boolean;
+  finish(): void;
+}
+
+function matchOperator(filter: QueryFilter, next: Operator): Operator {
+  const predicate = compileFilter(filter);
+  return {
+    push: doc => (predicate(doc) ? next.push(doc) : true),
+    finish: () => next.finish()
+  };
+}
+
+function limitOperator(limit: number, next: Operator): Operator {
+  let passed = 0;
+  return {
+    push(doc) {
+      if (passed >= limit) return false;
+      passed++;
+      return next.push(doc) && passed < limit;
+    },
+    finish: () => next.finish()
+  };
+}
+
+function sortOperator(sort: QuerySort, keep: number | null, next: Operator): Operator {
+  let buffer: unknown[] = [];
+  return {
+    push(doc) {
+      buffer.push(doc);
+      // With a following $limit only the top `keep` documents can survive
+      if (keep !== null && buffer.length >= keep * 2) {
+        buffer = sortDocuments(buffer, sort).slice(0, keep);
+      }
+      return true;
+    },
+    finish() {
+      for (const doc of sortDocuments(buffer, sort)) {
+        if (!next.push(doc)) break;
+      }
+      buffer = [];
+      next.finish();
+    }
+  };
+}
+
+function groupOperator(spec: GroupSpec, options: AggregationOptions, next: Operator): Operator {
+  const fields = Object.entries(spec).filter(([field]) => field !== '_id');
+  // Validate accumulators before any document arrives
+  for (const [field, accumulator] of fields) createAccumulator(field, accumulator, options);
+
+  const groups = new Map<string, { _id: unknown; accumulators: Array<[string, Accumulator]> }>();
+
+  return {
+    push(doc) {
+      const id = resolveExpression(spec._id, doc) ?? null;
+      const key = valueKey(id);
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          _id: id,
+          accumulators: fields.map(([field, accumulator]) => [field, createAccumulator(field, accumulator, options)])
+        };
+        groups.set(key, group);
+      }
+      for (const [, accumulator] of group.accumulators) accumulator.add(doc);
+      return true;
+    },
+    finish() {
+      for (const group of groups.values()) {
+        const row: Record<string, unknown> = { _id: group._id };
+        for (const [field, accumulator] of group.accumulators) row[field] = accumulator.result();
+        if (!next.push(row)) break;
+      }
+      groups.clear();
+      next.finish();
+    }
+  };
+}
+
+function validateStage(stage: unknown, index: number): [string, unknown] {
+  const entries = isPlainObject(stage) ? Object.entries(stage) : [];
+  const [name, argument] = entries[0] ?? [];
+
+  if (entries.length !== 1 || !['$match', '$group', '$sort', '$limit'].includes(name!)) {
+    throw new ValidationError(`Invalid aggregation stage at position ${index}`, {
+      value: stage,
+      constraint: 'pipeline',
+      suggestion: 'Each stage is an object with exactly one of $match, $group, $sort or $limit.'
+    });
+  }
+
+  if (name === '$limit' && (!Number.isInteger(argument) || (argument as number) < 1)) {
+    throw new ValidationError('$limit requires a positive integer', {
+      value: argument,
+      constraint: '$limit'
+    });
+  }
+  if (name === '$sort') {
+    if (!isPlainObject(argument) || Object.keys(argument).length === 0) {
+      throw new ValidationError('$sort requires at least one field', { value: argument, constraint: '$sort' });
+    }
+    for (const [field, direction] of Object.entries(argument)) normalizeDirection(direction, field);
+  }
+  if (name === '$group' && (!isPlainObject(argument) || !('_id' in argument))) {
+    throw new ValidationError('$group requires an _id expression', {
+      value: argument,
+      constraint: '$group',
+      suggestion: "Use { _id: '$field' } to group by a field, or { _id: null } for a single group."
+    });
+  }
+  if (name === '$match' && !isPlainObject(argument)) {
+    throw new ValidationError('$match requires a filter object', { value: argument, constraint: '$match' });
+  }
+
+  return [name!, argument];
+}
+
+/**
+ * Compile a pipeline into an aggregation that documents are pushed through.
+ * Throws ValidationError for malformed stages before any document is read.
+ */
+export function createAggregation<T = Record<string, unknown>>(
+  pipeline: AggregationPipeline,
+  options: AggregationOptions = {}
+): Aggregation<T> {
+  if (!Array.isArray(pipeline)) {
+    throw new ValidationError('Aggregation pipeline must be an array of stages', {
+      value: pipeline,
+      constraint: 'pipeline'
+    });
+  }
+
+  const stages = pipeline.map((stage, index) => validateStage(stage, index));
+  const output: T[] = [];
+
+  let head: Operator = {
+    push(doc) {
+      output.push(doc as T);
+      return true;
+    },
+    finish() {}
+  };
+
+  // Build the chain back to front so each operator knows its successor
+  for (let i = stages.length - 1; i >= 0; i--) {
+    const [name, argument] = stages[i]!;
+    if (name === '$match') head = matchOperator(argument as QueryFilter, head);
+    else if (name === '$limit') head = limitOperator(argument as number, head);
+    else if (name === '$group') head = groupOperator(argument as GroupSpec, options, head);
+    else {
+      const following = stages[i + 1];
+      const keep = following?.[0] === '$limit' ? following[1] as number : null;
+      head = sortOperator(argument as QuerySort, keep, head);
+    }
+  }
+
+  const source = head;
+  let open = true;
+  let finished = false;
+
+  return {
+    push(doc) {
+      if (open) open = source.push(doc);
+      return open;
+    },
+    finish() {
+      if (!finished) {
+        finished = true;
+        source.finish();
+      }
+      return output;
+    }
+  };
+}
+
+/** Run a pipeline over documents already in memory. */
+export function aggregateDocuments<T = Record<string, unknown>>(
+  docs: Iterable<unknown>,
+  pipeline: AggregationPipeline,
+  options: AggregationOptions = {}
+): T[] {
+  const aggregation = createAggregation<T>(pipeline, options);
+  for (const doc of docs) {
+    if (!aggregation.push(doc)) break;
+  }
+  return aggregation.finish();
+}
+
+/** Leading `$match` filters, merged, that a source may use to narrow what it reads. */
+export function leadingMatch(pipeline: AggregationPipeline): QueryFilter {
+  const filters: QueryFilter[] = [];
+  for (const stage of pipeline) {
+    if (!isPlainObject(stage) || !('$match' in stage)) break;
+    filters.push((stage as { $match: QueryFilter }).$match);
+  }
+  if (filters.length === 0) return {};
+  return filters.length === 1 ? filters[0]! : { $and: filters };
+}
@@ -0,0 +1,50 @@
+import { createHmac } from 'node:crypto';
+
+import { CryptoError } from '../errors.js';
+import { Keyring, decryptSecret } from './keyring.js';
+import type { SecurityConfig } from './password-hashing.js';
+
+/** Metadata key prefix for blind indexes, followed by the field's mapped key. */
+export const BLIND_INDEX_PREFIX = '_bi_';
+
+// salt (16) + iv (12) + GCM tag (16) of a passphrase ciphertext, base64
+const PASSPHRASE_CIPHERTEXT = /^[A-Za-z0-9+/]{60,}={0,2}$/;
+
+/**
+ * Blind index of a `secret|searchable` value: a keyed HMAC-SHA256 of the
+ * plaintext, truncated to 128 bits and base64url encoded (22 key-safe chars).
+ *
+ * Equal plaintexts give equal indexes, so partitions, indexes and unique
+ * claims can hold the index instead of the value. The key is
+ * `security.blindIndexKey`, or one derived from the passphrase; each field
+ * hashes under its own subkey so equal values in two fields do not link.
+ */
+export function blindIndex(field: string, value: unknown, security?: SecurityConfig): string {
+  const fieldKey = createHmac('sha256', rootKey(security)).update(`s3db.js/blind-index/${field}`).digest();
+  return createHmac('sha256', fieldKey).update(String(value)).digest().subarray(0, 16).toString('base64url');
+}
+
+/** Whether `value` may be a secret ciphertext rather than a plaintext. */
+export function mayBeCiphertext(value: unknown): value is string {
+  return Keyring.isEnvelope(value) || (typeof value === 'string' && PASSPHRASE_CIPHERTEXT.test(value));
+}
+
+/** Plaintext of a secret value that may or may not be encrypted. */
+export async function revealSecret(value: unknown, security?: SecurityConfig): Promise<unknown> {
+  if (!mayBeCiphertext(value)) return value;
+  try {
+    return await decryptSecret(value, security);
+  } catch {
+    return value;
+  }
+}
+
+function rootKey(security?: SecurityConfig): string | Buffer {
+  if (security?.blindIndexKey) return security.blindIndexKey;
+  if (security?.passphrase) {
+    return createHmac('sha256', security.passphrase).update('s3db.js/blind-index').digest();
+  }
+  throw new CryptoError('Searchable secret fields need a blind index key', {
+    suggestion: 'Set security.blindIndexKey (or security.passphrase) on the database.'
+  });
+}
@@ -82,6 +82,55 @@ export async function decrypt(encryptedBase64: string, passphrase: string): Prom
   return decoder.decode(decryptedContent);
 }
 
+/** Random bytes from the platform CSPRNG. */
+export async function randomBytes(length: number): Promise<Uint8Array> {
+  const [okCrypto, errCrypto, cryptoLib] = await tryFn<WebCrypto>(dynamicCrypto);
+  if (!okCrypto) throw new CryptoError('Crypto API not available', { original: errCrypto });
+  return cryptoLib.getRandomValues(new Uint8Array(length));
+}
+
+/** AES-256-GCM with a raw 32-byte key. Returns iv (12 bytes) + ciphertext. */
+export async function encryptBytes(content: Uint8Array, rawKey: Uint8Array): Promise<Uint8Array> {
+  const [okCrypto, errCrypto, cryptoLib] = await tryFn<WebCrypto>(dynamicCrypto);
+  if (!okCrypto) throw new CryptoError('Crypto API not available', { original: errCrypto });
+
+  const key = await importRawKey(cryptoLib, rawKey);
+  const iv = cryptoLib.getRandomValues(new Uint8Array(12));
+  const [okEnc, errEnc, encrypted] = await tryFn<ArrayBuffer>(() =>
+    cryptoLib.subtle.encrypt({ name: 'AES-GCM', iv }, key, content as BufferSource)
+  );
+  if (!okEnc) throw new CryptoError('Encryption failed', { original: errEnc });
+
+  const output = new Uint8Array(iv.length + encrypted.byteLength);
+  output.set(iv);
+  output.set(new Uint8Array(encrypted), iv.length);
+  return output;
+}
+
+export async function decryptBytes(data: Uint8Array, rawKey: Uint8Array): Promise<Uint8Array> {
+  const [okCrypto, errCrypto, cryptoLib] = await tryFn<WebCrypto>(dynamicCrypto);
+  if (!okCrypto) throw new CryptoError('Crypto API not available', { original: errCrypto });
+
+  const key = await importRawKey(cryptoLib, rawKey);
+  const [okDec, errDec, decrypted] = await tryFn<ArrayBuffer>(() =>
+    cryptoLib.subtle.decrypt({ name: 'AES-GCM', iv: data.slice(0, 12) as BufferSource }, key, data.slice(12) as BufferSource)
+  );
+  if (!okDec) throw new CryptoError('Decryption failed', { original: errDec });
+  return new Uint8Array(decrypted);
+}
+
+async function importRawKey(cryptoLib: WebCrypto, rawKey: Uint8Array): Promise<CryptoKey> {
+  const [okImport, errImport, key] = await tryFn<CryptoKey>(() => cryptoLib.subtle.importKey(
+    'raw',
+    rawKey as BufferSource,
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt', 'decrypt']
+  ));
+  if (!okImport) throw new CryptoError('importKey failed', { original: errImport, keyLength: rawKey.length });
+  return key;
+}
+
 export async function md5(data: string | Buffer): Promise<string> {
   if (typeof process === 'undefined') {
     throw new CryptoError('MD5 hashing is only available in Node.js environment', { context: 'md5' });
@@ -130,7 +179,7 @@ async function getKeyMaterial(passphrase: string, salt: Uint8Array): Promise<Cry
   return derivedKey;
 }
 
-function arrayBufferToBase64(buffer: Uint8Array): string {
+export function arrayBufferToBase64(buffer: Uint8Array): string {
   if (typeof process !== 'undefined') {
     return Buffer.from(buffer).toString('base64');
   } else {
@@ -142,7 +191,7 @@ function arrayBufferToBase64(buffer: Uint8Array): string {
   }
 }
 
-function base64ToArrayBuffer(base64: string): Uint8Array {
+export function base64ToArrayBuffer(base64: string): Uint8Array {
   if (typeof process !== 'undefined') {
     return new Uint8Array(Buffer.from(base64, 'base64'));
   } else {
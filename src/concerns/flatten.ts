@@ -1,5 +1,7 @@
 export interface FlattenOptions {
   safe?: boolean;
+  /** Joins path segments (default '.'). */
+  delimiter?: string;
 }
 
 export interface UnflattenOptions {
@@ -14,7 +16,7 @@ type FlattenResult = Record<string, FlattenValue>;
  * Lightweight replacement for 'flat' package (only needed features)
  */
 export function flatten(obj: unknown, options: FlattenOptions = {}): FlattenResult {
-  const { safe = false } = options;
+  const { safe = false, delimiter = '.' } = options;
   const result: FlattenResult = {};
 
   function recurse(current: unknown, path = ''): void {
@@ -38,7 +40,7 @@ export function flatten(obj: unknown, options: FlattenOptions = {}): FlattenResu
         result[path] = [];
       } else {
         current.forEach((item, index) => {
-          const newPath = path ? `${path}.${index}` : `${index}`;
+          const newPath = path ? `${path}${delimiter}${index}` : `${index}`;
           recurse(item, newPath);
         });
       }
@@ -50,7 +52,7 @@ export function flatten(obj: unknown, options: FlattenOptions = {}): FlattenResu
       result[path] = {};
     } else {
       keys.forEach(key => {
-        const newPath = path ? `${path}.${key}` : key;
+        const newPath = path ? `${path}${delimiter}${key}` : key;
         recurse((current as Record<string, unknown>)[key], newPath);
       });
     }
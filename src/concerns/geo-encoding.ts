@@ -117,6 +117,124 @@ export function isValidCoordinate(lat: number, lon: number): boolean {
   );
 }
 
+/** GeoJSON position: `[longitude, latitude]`. */
+export type GeoPosition = [number, number];
+export type GeoRing = GeoPosition[];
+/** Polygons of a MultiPolygon; each polygon is an outer ring followed by its holes. */
+export type GeoMultiPolygonCoordinates = GeoRing[][];
+
+export interface GeoPolygon {
+  type: 'Polygon' | 'MultiPolygon';
+  coordinates: GeoRing[] | GeoMultiPolygonCoordinates;
+}
+
+function invalidPolygon(message: string, value: unknown): ValidationError {
+  return new ValidationError(message, {
+    field: 'geojson',
+    value,
+    statusCode: 400,
+    retriable: false,
+    suggestion: 'Provide a GeoJSON Polygon or MultiPolygon (or a Feature/FeatureCollection wrapping them) with [longitude, latitude] positions.'
+  });
+}
+
+function normalizeRing(ring: unknown, source: unknown): GeoRing {
+  if (!Array.isArray(ring)) {
+    throw invalidPolygon('Polygon ring must be an array of positions', source);
+  }
+
+  const positions: GeoRing = ring.map((position) => {
+    if (!Array.isArray(position) || position.length < 2) {
+      throw invalidPolygon('Polygon position must be a [longitude, latitude] pair', source);
+    }
+    const [lon, lat] = position as number[];
+    if (!isValidCoordinate(lat as number, lon as number)) {
+      throw invalidPolygon(`Invalid polygon position [${lon}, ${lat}]`, source);
+    }
+    return [lon as number, lat as number];
+  });
+
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  if (first && last && positions.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    positions.pop();
+  }
+
+  if (positions.length < 3) {
+    throw invalidPolygon('Polygon ring needs at least 3 distinct positions', source);
+  }
+
+  return positions;
+}
+
+/**
+ * Normalize Polygon, MultiPolygon, Feature and FeatureCollection input into
+ * MultiPolygon coordinates with open rings (the closing position is dropped).
+ */
+export function toGeoMultiPolygon(geojson: unknown): GeoMultiPolygonCoordinates {
+  if (!geojson || typeof geojson !== 'object') {
+    throw invalidPolygon('GeoJSON polygon is required', geojson);
+  }
+
+  const obj = geojson as Record<string, unknown>;
+
+  switch (obj.type) {
+    case 'Polygon':
+      if (!Array.isArray(obj.coordinates) || obj.coordinates.length === 0) {
+        throw invalidPolygon('Polygon must have at least one ring', geojson);
+      }
+      return [obj.coordinates.map(ring => normalizeRing(ring, geojson))];
+    case 'MultiPolygon':
+      if (!Array.isArray(obj.coordinates) || obj.coordinates.length === 0) {
+        throw invalidPolygon('MultiPolygon must have at least one polygon', geojson);
+      }
+      return obj.coordinates.flatMap(polygon => toGeoMultiPolygon({ type: 'Polygon', coordinates: polygon }));
+    case 'Feature':
+      return toGeoMultiPolygon(obj.geometry);
+    case 'FeatureCollection':
+      if (!Array.isArray(obj.features) || obj.features.length === 0) {
+        throw invalidPolygon('FeatureCollection must have at least one feature', geojson);
+      }
+      return obj.features.flatMap(feature => toGeoMultiPolygon(feature));
+    default:
+      throw invalidPolygon(`Unsupported GeoJSON type '${String(obj.type)}'`, geojson);
+  }
+}
+
+/**
+ * Encode a polygon as `~lat~lon` vertices (see encodeGeoPoint), with rings
+ * separated by `,` and polygons by `;`.
+ */
+export function encodeGeoPolygon(geojson: unknown, precision: number = 6): string {
+  return toGeoMultiPolygon(geojson)
+    .map(polygon => polygon
+      .map(ring => ring.map(([lon, lat]) => encodeGeoPoint(lat, lon, precision)).join(''))
+      .join(','))
+    .join(';');
+}
+
+export function decodeGeoPolygon(encoded: string, precision: number = 6): GeoPolygon {
+  const polygons: GeoMultiPolygonCoordinates = encoded.split(';').map(polygon =>
+    polygon.split(',').map((ring) => {
+      const parts = ring.split('~').filter(p => p.length > 0);
+      const positions: GeoRing = [];
+      for (let i = 0; i + 1 < parts.length; i += 2) {
+        const lat = decodeGeoLat('~' + parts[i], precision) as number;
+        const lon = decodeGeoLon('~' + parts[i + 1], precision) as number;
+        positions.push([Number(lon.toFixed(precision)), Number(lat.toFixed(precision))]);
+      }
+      if (positions.length > 0) {
+        positions.push([...positions[0]!] as GeoPosition);
+      }
+      return positions;
+    })
+  );
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0]! }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
 export function getPrecisionForAccuracy(accuracyMeters: number): number {
   if (accuracyMeters >= 111000) return 0;
   if (accuracyMeters >= 11000) return 1;
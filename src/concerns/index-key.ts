@@ -0,0 +1,116 @@
+/**
+ * Order-preserving encoding for secondary index keys.
+ *
+ * Each value becomes a key segment whose binary order (the order S3 lists
+ * keys in) matches `compareValues` from query-filter: null/missing < numbers
+ * < strings < objects < booleans. Segments only use characters above '/',
+ * so composite keys joined with '/' sort field by field.
+ *
+ * Layout: one type tag followed by a hex body.
+ *   null      → '1'
+ *   number    → '2' + 16 hex digits of the IEEE-754 bits, sign-flipped
+ *   string    → '3' + hex of the UTF-8 bytes
+ *   object    → '4' + hex of the JSON text
+ *   boolean   → '6' + '0' | '1'
+ *
+ * Descending segments complement every hex digit and end with '~', which
+ * reverses the order (including for strings that prefix one another).
+ */
+
+export type IndexOrder = 'asc' | 'desc';
+
+const TAG_NULL = '1';
+const TAG_NUMBER = '2';
+const TAG_STRING = '3';
+const TAG_OBJECT = '4';
+const TAG_BOOLEAN = '6';
+
+const DESC_TERMINATOR = '~';
+
+function complementHex(hex: string): string {
+  let out = '';
+  for (const char of hex) {
+    out += (15 - parseInt(char, 16)).toString(16);
+  }
+  return out;
+}
+
+function encodeNumber(value: number): string {
+  const buffer = Buffer.alloc(8);
+  // -0 and 0 compare equal, so they must share a key
+  buffer.writeDoubleBE(value === 0 ? 0 : value);
+  if (buffer[0]! & 0x80) {
+    for (let i = 0; i < 8; i++) buffer[i] = ~buffer[i]! & 0xff;
+  } else {
+    buffer[0] = buffer[0]! | 0x80;
+  }
+  return buffer.toString('hex');
+}
+
+function decodeNumber(hex: string): number {
+  const buffer = Buffer.from(hex, 'hex');
+  if (buffer[0]! & 0x80) {
+    buffer[0] = buffer[0]! & 0x7f;
+  } else {
+    for (let i = 0; i < 8; i++) buffer[i] = ~buffer[i]! & 0xff;
+  }
+  return buffer.readDoubleBE(0);
+}
+
+/** Type tag a value encodes with; lets callers bound scans to one type. */
+export function indexTypeTag(value: unknown): string {
+  const normalized = value instanceof Date ? value.toISOString() : value;
+  if (normalized === null || normalized === undefined) return TAG_NULL;
+  if (typeof normalized === 'number') return Number.isNaN(normalized) ? TAG_NULL : TAG_NUMBER;
+  if (typeof normalized === 'string') return TAG_STRING;
+  if (typeof normalized === 'boolean') return TAG_BOOLEAN;
+  return TAG_OBJECT;
+}
+
+/**
+ * Apply the order to an already-encoded ascending segment (or segment prefix,
+ * such as a bare type tag).
+ */
+export function orderIndexSegment(ascending: string, order: IndexOrder = 'asc', { prefix = false } = {}): string {
+  if (order === 'asc') return ascending;
+  return prefix ? complementHex(ascending) : complementHex(ascending) + DESC_TERMINATOR;
+}
+
+export function encodeIndexValue(value: unknown, order: IndexOrder = 'asc'): string {
+  const normalized = value instanceof Date ? value.toISOString() : value;
+  const tag = indexTypeTag(normalized);
+  let body = '';
+
+  if (tag === TAG_NUMBER) {
+    body = encodeNumber(normalized as number);
+  } else if (tag === TAG_STRING) {
+    body = Buffer.from(normalized as string, 'utf8').toString('hex');
+  } else if (tag === TAG_BOOLEAN) {
+    body = normalized ? '1' : '0';
+  } else if (tag === TAG_OBJECT) {
+    body = Buffer.from(JSON.stringify(normalized), 'utf8').toString('hex');
+  }
+
+  return orderIndexSegment(tag + body, order);
+}
+
+export function decodeIndexValue(segment: string, order: IndexOrder = 'asc'): unknown {
+  const ascending = order === 'desc'
+    ? complementHex(segment.endsWith(DESC_TERMINATOR) ? segment.slice(0, -1) : segment)
+    : segment;
+  const tag = ascending[0];
+  const body = ascending.slice(1);
+
+  switch (tag) {
+    case TAG_NUMBER:
+      return decodeNumber(body);
+    case TAG_STRING:
+      return Buffer.from(body, 'hex').toString('utf8');
+    case TAG_BOOLEAN:
+      return body === '1';
+    case TAG_OBJECT:
+      return JSON.parse(Buffer.from(body, 'hex').toString('utf8'));
+    default:
+      return null;
+  }
+}
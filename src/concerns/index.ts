@@ -2,6 +2,8 @@ export * from './base62.js';
 export * from './binary.js';
 export * from './calculator.js';
 export * from './crypto.js';
+export * from './keyring.js';
+export * from './blind-index.js';
 export * from './ip.js';
 export {
   type PasswordAlgorithm,
@@ -23,6 +25,10 @@ export * from './id.js';
 export * from './try-fn.js';
 export * from './money.js';
 export * from './flatten.js';
+export * from './query-filter.js';
+export * from './s3-pricing.js';
+export * from './index-key.js';
+export * from './aggregation.js';
 export * from './error-classifier.js';
 export * from './map-with-concurrency.js';
 export * from './benchmark.js';
@@ -0,0 +1,286 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+
+import { CryptoError } from '../errors.js';
+import {
+  arrayBufferToBase64,
+  base64ToArrayBuffer,
+  decrypt,
+  decryptBytes,
+  encrypt,
+  encryptBytes,
+  randomBytes
+} from './crypto.js';
+import type { SecurityConfig } from './password-hashing.js';
+
+/**
+ * Wraps and unwraps data keys with named master keys that never leave it.
+ * Implement this over AWS KMS, Vault transit, etc.
+ */
+export interface KmsProvider {
+  wrapKey(keyId: string, dataKey: Uint8Array): Promise<Uint8Array>;
+  unwrapKey(keyId: string, wrappedKey: Uint8Array): Promise<Uint8Array>;
+}
+
+export interface KeyringOptions {
+  kms: KmsProvider;
+  /** Master key that wraps data keys for new ciphertexts. */
+  activeKey: string;
+  /** Unwrapped data keys kept in memory (default 1000). */
+  cacheSize?: number;
+}
+
+/** Key id reported for values still encrypted with `security.passphrase`. */
+export const LEGACY_KEY_ID = 'passphrase';
+
+const ENVELOPE_PREFIX = '$kr1$';
+const KEY_ID_PATTERN = /^[A-Za-z0-9._:/-]+$/;
+
+/**
+ * Envelope encryption for `secret` fields.
+ *
+ * Every value gets its own random AES-256 data key, wrapped by a KMS master
+ * key. The ciphertext carries the master key id and the wrapped data key:
+ *
+ *   $kr1$<keyId>$<wrapped data key>$<iv + ciphertext>
+ *
+ * so values written under different master keys stay readable side by side
+ * and rotating a master key never touches the payload encryption.
+ */
+export class Keyring {
+  readonly id: string;
+  kms: KmsProvider;
+  activeKey: string;
+
+  private _cacheSize: number;
+  private _dataKeys: Map<string, Uint8Array>;
+  private _tracker: AsyncLocalStorage<Set<string>>;
+
+  constructor({ kms, activeKey, cacheSize = 1000 }: KeyringOptions) {
+    if (!kms || typeof kms.wrapKey !== 'function' || typeof kms.unwrapKey !== 'function') {
+      throw new CryptoError('Keyring requires a KMS provider with wrapKey() and unwrapKey()', {
+        suggestion: 'Pass kms: new LocalFileKms({ path }) or your own KmsProvider.'
+      });
+    }
+    Keyring.assertKeyId(activeKey);
+
+    this.id = randomUUID();
+    this.kms = kms;
+    this.activeKey = activeKey;
+    this._cacheSize = cacheSize;
+    this._dataKeys = new Map();
+    this._tracker = new AsyncLocalStorage();
+  }
+
+  static isEnvelope(value: unknown): value is string {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+  }
+
+  /** Master key id of an envelope ciphertext, LEGACY_KEY_ID for passphrase ciphertexts. */
+  static keyIdOf(value: string): string {
+    return Keyring.isEnvelope(value) ? Keyring._parse(value).keyId : LEGACY_KEY_ID;
+  }
+
+  static assertKeyId(keyId: string): void {
+    if (typeof keyId !== 'string' || !KEY_ID_PATTERN.test(keyId) || keyId === LEGACY_KEY_ID) {
+      throw new CryptoError(`Invalid master key id '${keyId}'`, {
+        suggestion: `Use letters, digits and . _ : / - (and not '${LEGACY_KEY_ID}').`
+      });
+    }
+  }
+
+  setActiveKey(keyId: string): void {
+    Keyring.assertKeyId(keyId);
+    this.activeKey = keyId;
+  }
+
+  async encrypt(plaintext: string, keyId: string = this.activeKey): Promise<string> {
+    Keyring.assertKeyId(keyId);
+    const dataKey = await randomBytes(32);
+    const wrapped = await this.kms.wrapKey(keyId, dataKey);
+    const payload = await encryptBytes(new TextEncoder().encode(plaintext), dataKey);
+
+    const wrappedBase64 = arrayBufferToBase64(wrapped);
+    this._remember(`${keyId}$${wrappedBase64}`, dataKey);
+    return `${ENVELOPE_PREFIX}${keyId}$${wrappedBase64}$${arrayBufferToBase64(payload)}`;
+  }
+
+  async decrypt(ciphertext: string): Promise<string> {
+    const { keyId, wrapped, payload } = Keyring._parse(ciphertext);
+    this.markUsed(keyId);
+
+    const dataKey = await this._unwrap(keyId, wrapped);
+    const plaintext = await decryptBytes(base64ToArrayBuffer(payload), dataKey);
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /** Re-wrap the data key under another master key; the payload is left as is. */
+  async rewrap(ciphertext: string, keyId: string = this.activeKey): Promise<string> {
+    Keyring.assertKeyId(keyId);
+    const parsed = Keyring._parse(ciphertext);
+    if (parsed.keyId === keyId) return ciphertext;
+
+    const dataKey = await this._unwrap(parsed.keyId, parsed.wrapped);
+    const wrappedBase64 = arrayBufferToBase64(await this.kms.wrapKey(keyId, dataKey));
+    return `${ENVELOPE_PREFIX}${keyId}$${wrappedBase64}$${parsed.payload}`;
+  }
+
+  /** Run `fn` and report which master keys it decrypted with. */
+  async trackKeys<T>(fn: () => Promise<T>): Promise<{ result: T; keyIds: Set<string> }> {
+    const keyIds = new Set<string>();
+    const result = await this._tracker.run(keyIds, fn);
+    return { result, keyIds };
+  }
+
+  markUsed(keyId: string): void {
+    this._tracker.getStore()?.add(keyId);
+  }
+
+  clearCache(): void {
+    this._dataKeys.clear();
+  }
+
+  // Validator caches are keyed by JSON.stringify(security)
+  toJSON(): { keyring: string } {
+    return { keyring: this.id };
+  }
+
+  private async _unwrap(keyId: string, wrappedBase64: string): Promise<Uint8Array> {
+    const cacheKey = `${keyId}$${wrappedBase64}`;
+    const cached = this._dataKeys.get(cacheKey);
+    if (cached) {
+      this._dataKeys.delete(cacheKey);
+      this._dataKeys.set(cacheKey, cached);
+      return cached;
+    }
+
+    const dataKey = await this.kms.unwrapKey(keyId, base64ToArrayBuffer(wrappedBase64));
+    this._remember(cacheKey, dataKey);
+    return dataKey;
+  }
+
+  private _remember(cacheKey: string, dataKey: Uint8Array): void {
+    if (this._cacheSize <= 0) return;
+    this._dataKeys.set(cacheKey, dataKey);
+    if (this._dataKeys.size > this._cacheSize) {
+      this._dataKeys.delete(this._dataKeys.keys().next().value!);
+    }
+  }
+
+  private static _parse(ciphertext: string): { keyId: string; wrapped: string; payload: string } {
+    const [keyId, wrapped, payload] = ciphertext.slice(ENVELOPE_PREFIX.length).split('$');
+    if (!keyId || !wrapped || !payload) {
+      throw new CryptoError('Malformed envelope ciphertext', {
+        suggestion: 'The value was truncated or not produced by a Keyring.'
+      });
+    }
+    return { keyId, wrapped, payload };
+  }
+}
+
+/** Encrypt a secret with the keyring when configured, otherwise with the passphrase. */
+export async function encryptSecret(value: string, security?: SecurityConfig): Promise<string> {
+  if (security?.keyring) return security.keyring.encrypt(value);
+  return encrypt(value, security?.passphrase as string);
+}
+
+/** Decrypt either format: envelope ciphertexts with the keyring, older ones with the passphrase. */
+export async function decryptSecret(value: string, security?: SecurityConfig): Promise<string> {
+  if (Keyring.isEnvelope(value)) {
+    if (!security?.keyring) {
+      throw new CryptoError(`Value is encrypted with master key '${Keyring.keyIdOf(value)}' but no keyring is configured`, {
+        suggestion: 'Set security.keyring with a KMS that holds that key.'
+      });
+    }
+    return security.keyring.decrypt(value);
+  }
+
+  const plaintext = await decrypt(value, security?.passphrase as string);
+  security?.keyring?.markUsed(LEGACY_KEY_ID);
+  return plaintext;
+}
+
+export interface LocalFileKmsOptions {
+  /** JSON file holding `{ "keys": { "<keyId>": "<base64 32-byte key>" } }`. */
+  path: string;
+}
+
+/**
+ * KMS backed by a local JSON file of master keys. For tests and development;
+ * the file holds the master keys in the clear.
+ */
+export class LocalFileKms implements KmsProvider {
+  path: string;
+  private _keys: Map<string, Uint8Array> | null;
+
+  constructor({ path }: LocalFileKmsOptions) {
+    if (!path) {
+      throw new CryptoError('LocalFileKms requires a path', { suggestion: 'Pass { path: "./keys.json" }.' });
+    }
+    this.path = path;
+    this._keys = null;
+  }
+
+  /** Create a random master key (no-op if it exists) and persist the file. */
+  async createKey(keyId: string): Promise<void> {
+    Keyring.assertKeyId(keyId);
+    const keys = await this._load();
+    if (keys.has(keyId)) return;
+
+    keys.set(keyId, await randomBytes(32));
+    await this._save(keys);
+  }
+
+  async listKeys(): Promise<string[]> {
+    return [...(await this._load()).keys()];
+  }
+
+  async wrapKey(keyId: string, dataKey: Uint8Array): Promise<Uint8Array> {
+    return encryptBytes(dataKey, await this._masterKey(keyId));
+  }
+
+  async unwrapKey(keyId: string, wrappedKey: Uint8Array): Promise<Uint8Array> {
+    return decryptBytes(wrappedKey, await this._masterKey(keyId));
+  }
+
+  private async _masterKey(keyId: string): Promise<Uint8Array> {
+    let key = (await this._load()).get(keyId);
+    if (!key) {
+      // Another process may have added it since the file was read
+      this._keys = null;
+      key = (await this._load()).get(keyId);
+    }
+    if (!key) {
+      throw new CryptoError(`Master key '${keyId}' not found in ${this.path}`, {
+        suggestion: `Create it with kms.createKey('${keyId}').`
+      });
+    }
+    return key;
+  }
+
+  private async _load(): Promise<Map<string, Uint8Array>> {
+    if (this._keys) return this._keys;
+
+    let stored: { keys?: Record<string, string> } = {};
+    try {
+      stored = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw new CryptoError(`Could not read key file ${this.path}`, { original: error });
+      }
+    }
+
+    this._keys = new Map(Object.entries(stored.keys || {}).map(([id, key]) => [id, base64ToArrayBuffer(key)]));
+    return this._keys;
+  }
+
+  private async _save(keys: Map<string, Uint8Array>): Promise<void> {
+    const content = JSON.stringify({
+      keys: Object.fromEntries([...keys].map(([id, key]) => [id, arrayBufferToBase64(key)]))
+    }, null, 2);
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await writeFile(tmp, content, { mode: 0o600 });
+    await rename(tmp, this.path);
+  }
+}
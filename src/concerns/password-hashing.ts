@@ -1,5 +1,6 @@
 import { ValidationError } from '../errors.js';
 import { encode as b62encode, decode as b62decode } from './base62.js';
+import type { Keyring } from './keyring.js';
 
 export type PasswordAlgorithm = 'bcrypt' | 'argon2id';
 
@@ -15,6 +16,10 @@ export interface Argon2Config {
 
 export interface SecurityConfig {
   passphrase?: string;
+  /** Envelope encryption for `secret` fields; takes precedence over `passphrase` for new values. */
+  keyring?: Keyring;
+  /** HMAC key for `secret|searchable` blind indexes (default: derived from `passphrase`). */
+  blindIndexKey?: string;
   pepper?: string;
   bcrypt?: BcryptConfig;
   argon2?: Argon2Config;
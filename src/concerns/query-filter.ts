@@ -0,0 +1,618 @@
+import { ValidationError } from '../errors.js';
+
+export type SortDirection = 1 | -1 | 'asc' | 'desc';
+
+export type QuerySort = Record<string, SortDirection>;
+
+export type QueryProjection = string[] | Record<string, 0 | 1 | boolean>;
+
+export interface FieldOperators {
+  $eq?: unknown;
+  $ne?: unknown;
+  $gt?: unknown;
+  $gte?: unknown;
+  $lt?: unknown;
+  $lte?: unknown;
+  $in?: unknown[];
+  $nin?: unknown[];
+  $exists?: boolean;
+  $regex?: string | RegExp;
+  $options?: string;
+  $not?: FieldOperators | RegExp;
+  $elemMatch?: QueryFilter | FieldOperators;
+  $size?: number;
+}
+
+export interface QueryFilter {
+  $and?: QueryFilter[];
+  $or?: QueryFilter[];
+  $nor?: QueryFilter[];
+  $not?: QueryFilter;
+  [field: string]: unknown;
+}
+
+export type FilterPredicate = (doc: unknown) => boolean;
+
+type ValuePredicate = (value: unknown) => boolean;
+
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$nor', '$not']);
+
+const FIELD_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$exists', '$regex', '$options', '$not', '$elemMatch', '$size'
+]);
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Date || value instanceof RegExp) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * True when `value` is an object whose keys are all `$` operators.
+ * Objects mixing operators and plain keys are rejected.
+ */
+export function isOperatorObject(value: unknown): value is FieldOperators {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  if (keys.length === 0) return false;
+
+  const operatorKeys = keys.filter(key => key.startsWith('$'));
+  if (operatorKeys.length === 0) return false;
+  if (operatorKeys.length !== keys.length) {
+    throw new ValidationError('Cannot mix query operators with literal keys', {
+      value,
+      constraint: 'operator-object',
+      suggestion: 'Use either {"$gt": 1} style operators or a literal object, not both.'
+    });
+  }
+  return true;
+}
+
+/**
+ * Read a dot-path from a document.
+ * Numeric segments index into arrays; other segments fan out over array
+ * elements, so `items.sku` yields every element's `sku`.
+ */
+export function getPathValue(source: unknown, path: string): unknown {
+  const segments = String(path || '').split('.').filter(Boolean);
+  let current: unknown = source;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i]!;
+    if (current === null || current === undefined) return undefined;
+
+    if (Array.isArray(current)) {
+      const index = Number(segment);
+      if (Number.isInteger(index) && index >= 0) {
+        current = current[index];
+        continue;
+      }
+
+      const rest = segments.slice(i).join('.');
+      const values = current
+        .map(item => getPathValue(item, rest))
+        .filter(item => item !== undefined);
+      return values.flat();
+    }
+
+    if (typeof current !== 'object') return undefined;
+    current = (current as Record<string, unknown>)[segment];
+  }
+
+  return current;
+}
+
+function normalizeScalar(value: unknown): unknown {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function stableSerialize(value: unknown): string {
+  const normalized = normalizeScalar(value);
+  if (normalized === undefined) return 'undefined';
+  if (normalized === null) return 'null';
+  if (Array.isArray(normalized)) {
+    return `[${normalized.map(item => stableSerialize(item)).join(',')}]`;
+  }
+  if (typeof normalized === 'object') {
+    const entries = Object.entries(normalized as Record<string, unknown>)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, entryValue]) => `${JSON.stringify(key)}:${stableSerialize(entryValue)}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(normalized);
+}
+
+function deepEqual(left: unknown, right: unknown): boolean {
+  const a = normalizeScalar(left);
+  const b = normalizeScalar(right);
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return stableSerialize(a) === stableSerialize(b);
+}
+
+/**
+ * Equality with Mongo semantics: a RegExp expectation tests strings, and an
+ * array value matches when it equals the expectation or contains it.
+ */
+export function valuesEqual(actual: unknown, expected: unknown): boolean {
+  if (expected instanceof RegExp) {
+    if (Array.isArray(actual)) return actual.some(item => typeof item === 'string' && expected.test(item));
+    return typeof actual === 'string' && expected.test(actual);
+  }
+
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+
+  if (deepEqual(actual, expected)) return true;
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => deepEqual(item, expected));
+  }
+  return false;
+}
+
+const TYPE_RANK: Record<string, number> = {
+  undefined: 0,
+  null: 1,
+  number: 2,
+  bigint: 2,
+  string: 3,
+  object: 4,
+  array: 5,
+  boolean: 6
+};
+
+function typeRank(value: unknown): number {
+  if (value === null) return TYPE_RANK.null!;
+  if (Array.isArray(value)) return TYPE_RANK.array!;
+  return TYPE_RANK[typeof value] ?? TYPE_RANK.object!;
+}
+
+/**
+ * Total ordering used by sorting and range operators.
+ * Dates compare as ISO strings; values of different types order by type rank.
+ */
+export function compareValues(left: unknown, right: unknown): number {
+  const a = normalizeScalar(left);
+  const b = normalizeScalar(right);
+
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+
+  const serializedA = stableSerialize(a);
+  const serializedB = stableSerialize(b);
+  return serializedA < serializedB ? -1 : serializedA > serializedB ? 1 : 0;
+}
+
+function isRangeComparable(actual: unknown, bound: unknown): boolean {
+  const a = normalizeScalar(actual);
+  const b = normalizeScalar(bound);
+  if (typeof a === 'number' && typeof b === 'number') return !Number.isNaN(a) && !Number.isNaN(b);
+  if (typeof a === 'string' && typeof b === 'string') return true;
+  return false;
+}
+
+function rangePredicate(bound: unknown, test: (cmp: number) => boolean): ValuePredicate {
+  const matchOne = (value: unknown): boolean => isRangeComparable(value, bound) && test(compareValues(value, bound));
+  return (value) => (Array.isArray(value) ? value.some(matchOne) : matchOne(value));
+}
+
+function toRegExp(pattern: unknown, flags: unknown, field: string): RegExp {
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, typeof flags === 'string' ? flags : pattern.flags.replace(/[gy]/g, ''));
+  }
+  if (typeof pattern !== 'string') {
+    throw new ValidationError(`$regex on '${field}' must be a string or RegExp`, {
+      field,
+      value: pattern,
+      constraint: '$regex'
+    });
+  }
+  try {
+    return new RegExp(pattern, typeof flags === 'string' ? flags : undefined);
+  } catch (err) {
+    throw new ValidationError(`Invalid $regex on '${field}': ${(err as Error).message}`, {
+      field,
+      value: pattern,
+      constraint: '$regex'
+    });
+  }
+}
+
+function requireArray(value: unknown, operator: string, field: string): unknown[] {
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${operator} on '${field}' requires an array`, {
+      field,
+      value,
+      constraint: operator
+    });
+  }
+  return value;
+}
+
+function compileOperators(operators: FieldOperators, field: string): ValuePredicate {
+  const predicates: ValuePredicate[] = [];
+  const ops = operators as Record<string, unknown>;
+
+  for (const [operator, operand] of Object.entries(ops)) {
+    if (!FIELD_OPERATORS.has(operator)) {
+      throw new ValidationError(`Unknown query operator '${operator}' on '${field}'`, {
+        field,
+        value: operand,
+        constraint: operator,
+        suggestion: `Supported operators: ${[...FIELD_OPERATORS].join(', ')}`
+      });
+    }
+
+    switch (operator) {
+      case '$eq':
+        predicates.push(value => valuesEqual(value, operand));
+        break;
+      case '$ne':
+        predicates.push(value => !valuesEqual(value, operand));
+        break;
+      case '$gt':
+        predicates.push(rangePredicate(operand, cmp => cmp > 0));
+        break;
+      case '$gte':
+        predicates.push(rangePredicate(operand, cmp => cmp >= 0));
+        break;
+      case '$lt':
+        predicates.push(rangePredicate(operand, cmp => cmp < 0));
+        break;
+      case '$lte':
+        predicates.push(rangePredicate(operand, cmp => cmp <= 0));
+        break;
+      case '$in': {
+        const candidates = requireArray(operand, '$in', field);
+        predicates.push(value => candidates.some(candidate => valuesEqual(value, candidate)));
+        break;
+      }
+      case '$nin': {
+        const candidates = requireArray(operand, '$nin', field);
+        predicates.push(value => !candidates.some(candidate => valuesEqual(value, candidate)));
+        break;
+      }
+      case '$exists':
+        predicates.push(value => (value !== undefined) === Boolean(operand));
+        break;
+      case '$regex': {
+        const regex = toRegExp(operand, ops.$options, field);
+        predicates.push(value => valuesEqual(value, regex));
+        break;
+      }
+      case '$options':
+        if (!('$regex' in ops)) {
+          throw new ValidationError(`$options on '${field}' requires $regex`, { field, constraint: '$options' });
+        }
+        break;
+      case '$not': {
+        const inner = operand instanceof RegExp
+          ? (value: unknown) => valuesEqual(value, operand)
+          : isOperatorObject(operand)
+            ? compileOperators(operand, field)
+            : null;
+        if (!inner) {
+          throw new ValidationError(`$not on '${field}' requires an operator object or RegExp`, {
+            field,
+            value: operand,
+            constraint: '$not'
+          });
+        }
+        predicates.push(value => !inner(value));
+        break;
+      }
+      case '$elemMatch': {
+        if (!isPlainObject(operand)) {
+          throw new ValidationError(`$elemMatch on '${field}' requires an object`, {
+            field,
+            value: operand,
+            constraint: '$elemMatch'
+          });
+        }
+        const elementPredicate: ValuePredicate = isOperatorObject(operand) && Object.keys(operand).every(key => FIELD_OPERATORS.has(key))
+          ? compileOperators(operand, field)
+          : compileFilter(operand as QueryFilter);
+        predicates.push(value => Array.isArray(value) && value.some(item => elementPredicate(item)));
+        break;
+      }
+      case '$size': {
+        if (typeof operand !== 'number' || !Number.isInteger(operand) || operand < 0) {
+          throw new ValidationError(`$size on '${field}' requires a non-negative integer`, {
+            field,
+            value: operand,
+            constraint: '$size'
+          });
+        }
+        predicates.push(value => Array.isArray(value) && value.length === operand);
+        break;
+      }
+    }
+  }
+
+  return (value) => predicates.every(predicate => predicate(value));
+}
+
+function compileLogical(operator: string, operand: unknown): FilterPredicate {
+  if (operator === '$not') {
+    if (!isPlainObject(operand)) {
+      throw new ValidationError('$not requires a filter object', { value: operand, constraint: '$not' });
+    }
+    const inner = compileFilter(operand as QueryFilter);
+    return doc => !inner(doc);
+  }
+
+  const branches = requireArray(operand, operator, operator).map(branch => {
+    if (!isPlainObject(branch)) {
+      throw new ValidationError(`${operator} entries must be filter objects`, { value: branch, constraint: operator });
+    }
+    return compileFilter(branch as QueryFilter);
+  });
+
+  if (operator === '$and') return doc => branches.every(branch => branch(doc));
+  if (operator === '$or') return doc => branches.some(branch => branch(doc));
+  return doc => !branches.some(branch => branch(doc));
+}
+
+/**
+ * Compile a Mongo-style filter into a predicate.
+ * Invalid operators throw a ValidationError up front, so a malformed filter
+ * fails before any S3 request is made.
+ */
+export function compileFilter(filter: QueryFilter = {}): FilterPredicate {
+  if (!isPlainObject(filter)) {
+    throw new ValidationError('Query filter must be a plain object', { value: filter, constraint: 'filter' });
+  }
+
+  const predicates: FilterPredicate[] = [];
+
+  for (const [key, expected] of Object.entries(filter)) {
+    if (key.startsWith('$')) {
+      if (!LOGICAL_OPERATORS.has(key)) {
+        throw new ValidationError(`Unknown top-level query operator '${key}'`, {
+          value: expected,
+          constraint: key,
+          suggestion: 'Top-level operators are $and, $or, $nor and $not.'
+        });
+      }
+      predicates.push(compileLogical(key, expected));
+      continue;
+    }
+
+    const valuePredicate: ValuePredicate = isOperatorObject(expected)
+      ? compileOperators(expected, key)
+      : value => valuesEqual(value, expected);
+
+    predicates.push(doc => valuePredicate(getPathValue(doc, key)));
+  }
+
+  return doc => predicates.every(predicate => predicate(doc));
+}
+
+export function matchesFilter(doc: unknown, filter: QueryFilter = {}): boolean {
+  return compileFilter(filter)(doc);
+}
+
+/**
+ * Collect fields pinned to a single value by the filter: literal values,
+ * `$eq`, single-element `$in`, and the same inside `$and` branches.
+ * Used by the partition planner to turn predicates into S3 prefixes.
+ */
+export function extractEqualityValues(filter: QueryFilter = {}): Record<string, unknown> {
+  const result: Record<string, unknown> = {};
+
+  for (const [key, expected] of Object.entries(filter)) {
+    if (key === '$and' && Array.isArray(expected)) {
+      for (const branch of expected) {
+        if (isPlainObject(branch)) {
+          Object.assign(result, extractEqualityValues(branch as QueryFilter));
+        }
+      }
+      continue;
+    }
+    if (key.startsWith('$')) continue;
+
+    if (!isOperatorObject(expected)) {
+      if (expected !== undefined && expected !== null && !(expected instanceof RegExp) && !isPlainObject(expected) && !Array.isArray(expected)) {
+        result[key] = expected;
+      }
+      continue;
+    }
+
+    if ('$eq' in expected && expected.$eq !== undefined && expected.$eq !== null) {
+      result[key] = expected.$eq;
+    } else if (Array.isArray(expected.$in) && expected.$in.length === 1 && expected.$in[0] !== undefined && expected.$in[0] !== null) {
+      result[key] = expected.$in[0];
+    }
+  }
+
+  return result;
+}
+
+export interface RangeBound {
+  value: string | number;
+  inclusive: boolean;
+}
+
+export interface RangeBounds {
+  lower?: RangeBound;
+  upper?: RangeBound;
+}
+
+function tightenBound(current: RangeBound | undefined, next: RangeBound, kind: 'lower' | 'upper'): RangeBound {
+  if (!current) return next;
+  const cmp = compareValues(next.value, current.value);
+  if (cmp === 0) return { value: current.value, inclusive: current.inclusive && next.inclusive };
+  if (kind === 'lower') return cmp > 0 ? next : current;
+  return cmp < 0 ? next : current;
+}
+
+/**
+ * Collect string range bounds ($gt/$gte/$lt/$lte) per field, including
+ * `$and` branches. Dates become ISO strings; numeric bounds are skipped
+ * because they do not order lexicographically in partition keys, unless
+ * `numbers` is set (index keys encode numbers in order).
+ */
+export function extractRangeBounds(
+  filter: QueryFilter = {},
+  { numbers = false }: { numbers?: boolean } = {}
+): Record<string, RangeBounds> {
+  const result: Record<string, RangeBounds> = {};
+
+  const merge = (field: string, bounds: RangeBounds): void => {
+    const target = result[field] || (result[field] = {});
+    if (bounds.lower) target.lower = tightenBound(target.lower, bounds.lower, 'lower');
+    if (bounds.upper) target.upper = tightenBound(target.upper, bounds.upper, 'upper');
+  };
+
+  for (const [key, expected] of Object.entries(filter)) {
+    if (key === '$and' && Array.isArray(expected)) {
+      for (const branch of expected) {
+        if (!isPlainObject(branch)) continue;
+        for (const [field, bounds] of Object.entries(extractRangeBounds(branch as QueryFilter, { numbers }))) {
+          merge(field, bounds);
+        }
+      }
+      continue;
+    }
+    if (key.startsWith('$') || !isOperatorObject(expected)) continue;
+
+    const bounds: RangeBounds = {};
+    const operators: Array<[keyof FieldOperators, 'lower' | 'upper', boolean]> = [
+      ['$gt', 'lower', false],
+      ['$gte', 'lower', true],
+      ['$lt', 'upper', false],
+      ['$lte', 'upper', true]
+    ];
+
+    for (const [operator, kind, inclusive] of operators) {
+      const operand = normalizeScalar(expected[operator]);
+      const isNumber = typeof operand === 'number' && !Number.isNaN(operand);
+      if (typeof operand !== 'string' && !(numbers && isNumber)) continue;
+      bounds[kind] = tightenBound(bounds[kind], { value: operand as string | number, inclusive }, kind);
+    }
+
+    if (bounds.lower || bounds.upper) merge(key, bounds);
+  }
+
+  return result;
+}
+
+export function normalizeDirection(direction: unknown, field: string): 1 | -1 {
+  if (direction === 1 || direction === 'asc') return 1;
+  if (direction === -1 || direction === 'desc') return -1;
+  throw new ValidationError(`Invalid sort direction for '${field}'`, {
+    field,
+    value: direction,
+    constraint: 'sort',
+    suggestion: "Use 1, -1, 'asc' or 'desc'."
+  });
+}
+
+/**
+ * Sort documents by one or more dot-path fields. Stable; missing values
+ * sort first in ascending order.
+ */
+export function sortDocuments<T>(docs: T[], sort: QuerySort): T[] {
+  const keys = Object.entries(sort || {}).map(([field, direction]) => [field, normalizeDirection(direction, field)] as const);
+  if (keys.length === 0) return docs;
+
+  return docs
+    .map((doc, index) => ({ doc, index }))
+    .sort((a, b) => {
+      for (const [field, direction] of keys) {
+        const cmp = compareValues(getPathValue(a.doc, field), getPathValue(b.doc, field));
+        if (cmp !== 0) return cmp * direction;
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.doc);
+}
+
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** Segments of a projection path; refuses ones that would reach an object's prototype. */
+function projectionSegments(path: string): string[] {
+  const segments = path.split('.').filter(Boolean);
+  const unsafe = segments.find(segment => UNSAFE_SEGMENTS.has(segment));
+  if (unsafe) {
+    throw new ValidationError(`Projection path '${path}' cannot use '${unsafe}'`, {
+      field: path,
+      constraint: 'fields'
+    });
+  }
+  return segments;
+}
+
+function setPathValue(target: Record<string, unknown>, path: string, value: unknown): void {
+  const segments = projectionSegments(path);
+  let current = target;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i]!;
+    if (!isPlainObject(current[segment])) current[segment] = {};
+    current = current[segment] as Record<string, unknown>;
+  }
+  current[segments[segments.length - 1]!] = value;
+}
+
+function deletePathValue(target: Record<string, unknown>, path: string): void {
+  const segments = projectionSegments(path);
+  let current: unknown = target;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (!isPlainObject(current)) return;
+    current = current[segments[i]!];
+  }
+  if (isPlainObject(current)) delete current[segments[segments.length - 1]!];
+}
+
+function cloneValue<T>(value: T): T {
+  if (Array.isArray(value)) return value.map(item => cloneValue(item)) as T;
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, cloneValue(entry)])) as T;
+  }
+  return value;
+}
+
+/**
+ * Apply an inclusion (`['name', 'address.city']` / `{ name: 1 }`) or
+ * exclusion (`{ password: 0 }`) projection. `id` is always kept on inclusion.
+ */
+export function projectDocument<T extends Record<string, unknown>>(doc: T, projection: QueryProjection): Partial<T> {
+  const entries: Array<[string, boolean]> = Array.isArray(projection)
+    ? projection.map(field => [field, true])
+    : Object.entries(projection || {}).map(([field, flag]) => [field, Boolean(flag)]);
+
+  if (entries.length === 0) return doc;
+
+  const includes = entries.filter(([, flag]) => flag).map(([field]) => field);
+  const excludes = entries.filter(([, flag]) => !flag).map(([field]) => field);
+
+  if (includes.length > 0 && excludes.some(field => field !== 'id')) {
+    throw new ValidationError('Projection cannot mix inclusion and exclusion', {
+      value: projection,
+      constraint: 'fields'
+    });
+  }
+
+  if (includes.length > 0) {
+    const projected: Record<string, unknown> = {};
+    const fields = excludes.includes('id') ? includes : ['id', ...includes.filter(field => field !== 'id')];
+    for (const field of fields) {
+      projectionSegments(field);
+      const value = getPathValue(doc, field);
+      if (value !== undefined) setPathValue(projected, field, cloneValue(value));
+    }
+    return projected as Partial<T>;
+  }
+
+  const projected = cloneValue(doc) as Record<string, unknown>;
+  for (const field of excludes) deletePathValue(projected, field);
+  return projected as Partial<T>;
+}
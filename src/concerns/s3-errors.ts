@@ -38,6 +38,22 @@ export function isNotFoundError(error: unknown): boolean {
   );
 }
 
+/**
+ * Checks if an error is a failed If-Match / If-None-Match precondition.
+ */
+export function isPreconditionFailed(error: unknown): boolean {
+  if (!error) return false;
+
+  const err = error as S3ErrorLike;
+
+  return (
+    err.name === 'PreconditionFailed' ||
+    err.code === 'PreconditionFailed' ||
+    err.statusCode === 412 ||
+    err.$metadata?.httpStatusCode === 412
+  );
+}
+
 /**
  * Checks if an error indicates access was denied.
  */
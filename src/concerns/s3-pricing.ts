@@ -0,0 +1,16 @@
+/**
+ * S3 Standard request prices in USD per request (us-east-1).
+ * Shared by CostsPlugin accounting and query plan estimates.
+ */
+export const S3_REQUEST_PRICES = {
+  put: 0.005 / 1000,
+  copy: 0.005 / 1000,
+  list: 0.005 / 1000,
+  post: 0.005 / 1000,
+  get: 0.0004 / 1000,
+  select: 0.0004 / 1000,
+  delete: 0.0004 / 1000,
+  head: 0.0004 / 1000
+};
+
+export type S3RequestPrices = typeof S3_REQUEST_PRICES;
@@ -35,9 +35,34 @@ export type {
   ListParams,
   PageParams,
   PageResult,
-  QueryOptions
+  QueryOptions,
+  ExplainOptions,
+  QueryEstimate,
+  QueryExplanation
 } from './resource-query.class.js';
 
+export { ResourceQueryPlanner } from './resource-query-planner.class.js';
+export type {
+  QueryPlan,
+  QueryPlanRange,
+  QueryPlanStrategy,
+  KeyMatch,
+  PlanOptions,
+  PlannerResource
+} from './resource-query-planner.class.js';
+
+export { ResourceIndexes } from './resource-indexes.class.js';
+export type {
+  IndexDefinition,
+  IndexesConfig
+} from './resource-indexes.class.js';
+
+export { ResourceAggregation } from './resource-aggregation.class.js';
+export type { AggregateOptions } from './resource-aggregation.class.js';
+
+export { ResourceChanges, ChangeFeedIterator } from './resource-changes.class.js';
+export type { ChangeRecord, ChangeOperation, ChangesOptions } from './resource-changes.class.js';
+
 export { ResourcePartitions } from './resource-partitions.class.js';
 export type {
   PartitionsConfigOptions,
@@ -116,7 +141,8 @@ export type {
 export { ResourceStreams } from './resource-streams.class.js';
 export type {
   Resource as StreamsResource,
-  StreamBuilder
+  StreamBuilder,
+  IterateOptions
 } from './resource-streams.class.js';
 
 export { ResourceIdGenerator } from './resource-id-generator.class.js';
@@ -0,0 +1,188 @@
+import { isNotFoundError } from '../concerns/s3-errors.js';
+import {
+  createAggregation,
+  leadingMatch,
+  type AggregationOptions,
+  type AggregationPipeline,
+  type Aggregation
+} from '../concerns/aggregation.js';
+import { ResourceReader } from '../stream/resource-reader.class.js';
+import { TasksPool } from '../tasks/tasks-pool.class.js';
+import { PartitionError } from '../errors.js';
+import { ResourceQueryPlanner, type PlannerResource } from './resource-query-planner.class.js';
+import type { StringRecord } from '../types/common.types.js';
+
+export interface S3Client {
+  parallelism: number;
+  config: { keyPrefix: string };
+  listObjects(params: {
+    prefix: string;
+    delimiter?: string;
+    continuationToken?: string | null;
+  }): Promise<unknown>;
+}
+
+export interface Resource extends PlannerResource {
+  client: S3Client;
+  get(id: string): Promise<Record<string, unknown>>;
+}
+
+export interface AggregateOptions extends AggregationOptions {
+  /** Read only this partition; without `partitionValues` each partition value is read in parallel. */
+  partition?: string | null;
+  partitionValues?: StringRecord;
+  /** Partition values read at the same time when fanning out. */
+  concurrency?: number;
+  /** Records fetched at the same time by each reader. */
+  readConcurrency?: number;
+}
+
+interface ListPage {
+  CommonPrefixes?: Array<{ Prefix?: string }>;
+  IsTruncated?: boolean;
+  NextContinuationToken?: string | null;
+}
+
+interface RunState {
+  aggregation: Aggregation;
+  readers: Set<ResourceReader>;
+  closed: boolean;
+}
+
+/**
+ * Runs aggregation pipelines (see concerns/aggregation) over a resource.
+ *
+ * Records are read with ResourceReader, so only the records in flight and the
+ * pipeline's group state are held in memory. The source is chosen from the
+ * options and the leading `$match`:
+ *
+ *   partition + partitionValues  one partition prefix
+ *   partition                    every value of its first field, in parallel
+ *   leading $match               the partition or index prefix the planner
+ *                                picks when its keys answer the filter exactly
+ *   otherwise                    resource=<name>/data/
+ */
+export class ResourceAggregation {
+  resource: Resource;
+  planner: ResourceQueryPlanner;
+
+  constructor(resource: Resource) {
+    this.resource = resource;
+    this.planner = new ResourceQueryPlanner(resource);
+  }
+
+  async aggregate<T = Record<string, unknown>>(
+    pipeline: AggregationPipeline,
+    {
+      partition = null,
+      partitionValues = {},
+      concurrency = 5,
+      readConcurrency = 5,
+      ...options
+    }: AggregateOptions = {}
+  ): Promise<T[]> {
+    const aggregation = createAggregation<T>(pipeline, options);
+    const prefixes = await this.sourcePrefixes(pipeline, { partition, partitionValues });
+
+    const state: RunState = { aggregation: aggregation as Aggregation, readers: new Set(), closed: false };
+    const { errors } = await TasksPool.map(
+      prefixes,
+      prefix => this._readPrefix(prefix, state, readConcurrency),
+      { concurrency: Math.max(1, concurrency) }
+    );
+
+    if (errors.length > 0) {
+      throw errors[0]!.error;
+    }
+
+    return aggregation.finish();
+  }
+
+  /** Key prefixes the aggregation reads records from. */
+  async sourcePrefixes(
+    pipeline: AggregationPipeline,
+    { partition = null, partitionValues = {} }: Pick<AggregateOptions, 'partition' | 'partitionValues'> = {}
+  ): Promise<string[]> {
+    const base = `resource=${this.resource.name}`;
+
+    if (partition) {
+      const partitionDef = this.resource.config?.partitions?.[partition];
+      if (!partitionDef) {
+        throw new PartitionError(`Partition '${partition}' not found`, {
+          resourceName: this.resource.name,
+          partitionName: partition,
+          operation: 'aggregate'
+        });
+      }
+
+      if (Object.keys(partitionValues).length > 0) {
+        return [`${this.resource.buildPartitionPrefix(partition, partitionDef, partitionValues)}/`];
+      }
+      return this._listChildPrefixes(`${base}/partition=${partition}/`);
+    }
+
+    const exactPrefix = this.planner.exactPrefix(leadingMatch(pipeline));
+    return [exactPrefix ?? `${base}/data/`];
+  }
+
+  private async _listChildPrefixes(prefix: string): Promise<string[]> {
+    const keyPrefix = this.resource.client.config?.keyPrefix;
+    const prefixes: string[] = [];
+    let continuationToken: string | null = null;
+
+    do {
+      const page = await this.resource.client.listObjects({
+        prefix,
+        delimiter: '/',
+        continuationToken
+      }) as ListPage;
+
+      for (const entry of page.CommonPrefixes || []) {
+        let child = entry.Prefix;
+        if (!child) continue;
+        if (keyPrefix && child.startsWith(keyPrefix)) {
+          child = child.slice(keyPrefix.length).replace(/^\//, '');
+        }
+        prefixes.push(child);
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken || null : null;
+    } while (continuationToken);
+
+    return prefixes;
+  }
+
+  private _readPrefix(prefix: string, state: RunState, concurrency: number): Promise<void> {
+    if (state.closed) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const reader = new ResourceReader({ resource: this.resource, prefix, concurrency, batchSize: concurrency });
+      state.readers.add(reader);
+
+      const close = () => {
+        state.closed = true;
+        for (const active of state.readers) active.stop();
+      };
+
+      reader.on('data', (doc: Record<string, unknown>) => {
+        if (state.closed) return;
+        if (!state.aggregation.push(doc)) close();
+      });
+
+      reader.on('error', (error: Error, id?: string) => {
+        // Records deleted between LIST and GET are skipped
+        if (id !== undefined && isNotFoundError(error)) return;
+        state.readers.delete(reader);
+        close();
+        reject(error);
+      });
+
+      reader.on('end', () => {
+        state.readers.delete(reader);
+        resolve();
+      });
+    });
+  }
+}
+
+export default ResourceAggregation;
@@ -0,0 +1,417 @@
+import { tryFn } from '../concerns/try-fn.js';
+import type { SecurityConfig } from '../concerns/password-hashing.js';
+import { isNotFoundError, isPreconditionFailed } from '../concerns/s3-errors.js';
+import { streamToString } from '../stream/index.js';
+import { TasksPool } from '../tasks/tasks-pool.class.js';
+import { ResourceError, ValidationError } from '../errors.js';
+import { SchemaActions } from '../schema.class.js';
+import type { StringRecord } from '../types/common.types.js';
+
+export interface S3Client {
+  listObjects(params: {
+    prefix: string;
+    continuationToken?: string | null;
+    startAfter?: string | null;
+    maxKeys?: number;
+  }): Promise<unknown>;
+  getObject(key: string): Promise<unknown>;
+  putObject(params: {
+    key: string;
+    body: string;
+    contentType?: string;
+    ifNoneMatch?: string;
+  }): Promise<unknown>;
+}
+
+export interface Resource {
+  name: string;
+  client: S3Client;
+  config: { changeFeed?: boolean };
+  schema?: { attributes?: Record<string, unknown>; security?: SecurityConfig } | null;
+  emit(event: string, ...args: unknown[]): void;
+}
+
+export type ChangeOperation = 'insert' | 'update' | 'delete';
+
+/**
+ * One entry of the change feed. Updates carry only the top-level fields that
+ * changed; inserts have no `before` and deletes no `after`. `secret` fields
+ * hold ciphertext and `password` fields are left out.
+ */
+export interface ChangeRecord {
+  seq: number;
+  op: ChangeOperation;
+  id: string;
+  at: string;
+  before: StringRecord | null;
+  after: StringRecord | null;
+}
+
+export interface ChangesOptions {
+  /** Sequence number already processed; reading starts after it. */
+  since?: number;
+  /** Keep polling for new changes once the end of the feed is reached. */
+  follow?: boolean;
+  pollIntervalMs?: number;
+  /** Change records fetched at the same time. */
+  concurrency?: number;
+}
+
+interface ListPage {
+  Contents?: Array<{ Key?: string }>;
+  IsTruncated?: boolean;
+  NextContinuationToken?: string | null;
+}
+
+// Fixed width so key order is sequence order
+const SEQ_DIGITS = 16;
+// The head object is a hint: appends start from it and probe forward
+const HEAD_EVERY = 100;
+const SEQ_PATTERN = /\/seq=(\d+)$/;
+
+function stripInternal(data: StringRecord | null): StringRecord | null {
+  if (!data) return null;
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !key.startsWith('_')));
+}
+
+function changedFields(before: StringRecord, after: StringRecord): { before: StringRecord; after: StringRecord } {
+  const diff = { before: {} as StringRecord, after: {} as StringRecord };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    diff.before[key] = before[key] ?? null;
+    diff.after[key] = after[key] ?? null;
+  }
+  return diff;
+}
+
+/** Dot paths of the `secret*` and `password*` attributes. */
+function protectedFields(attributes: Record<string, unknown>, prefix = ''): { secrets: string[]; passwords: string[] } {
+  const fields = { secrets: [] as string[], passwords: [] as string[] };
+  for (const [name, definition] of Object.entries(attributes || {})) {
+    if (name.startsWith('$$')) continue;
+    const path = prefix ? `${prefix}.${name}` : name;
+
+    let type: string | null = null;
+    if (typeof definition === 'string') {
+      type = definition.split('|')[0]!.trim();
+    } else if (definition && typeof definition === 'object' && !Array.isArray(definition)) {
+      const def = definition as Record<string, unknown>;
+      if (typeof def.type === 'string' && def.type !== 'object') {
+        type = def.type;
+      } else {
+        const nested = protectedFields((def.props as Record<string, unknown>) || def, path);
+        fields.secrets.push(...nested.secrets);
+        fields.passwords.push(...nested.passwords);
+      }
+    }
+
+    if (type?.startsWith('secret')) fields.secrets.push(path);
+    else if (type?.startsWith('password')) fields.passwords.push(path);
+  }
+  return fields;
+}
+
+/** Copy of `record` with the value at `path` replaced by `fn(value)`; missing paths are left alone. */
+async function mapPath(
+  record: StringRecord,
+  path: string,
+  fn: (value: unknown) => Promise<unknown> | unknown
+): Promise<StringRecord> {
+  const [head, ...rest] = path.split('.');
+  if (!(head! in record)) return record;
+  const value = record[head!];
+  if (rest.length === 0) {
+    const { [head!]: _omit, ...others } = record;
+    const mapped = await fn(value);
+    return mapped === undefined ? others : { ...others, [head!]: mapped };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return record;
+  return { ...record, [head!]: await mapPath(value as StringRecord, rest.join('.'), fn) };
+}
+
+/**
+ * Durable, ordered log of a resource's writes, enabled with `changeFeed: true`.
+ *
+ * Each write appends `resource=<name>/changes/seq=<n>` with If-None-Match, so
+ * a sequence number is taken by exactly one writer. A writer only tries `n`
+ * after seeing `n - 1` taken, which keeps the log gap-free: a reader that
+ * finds no entry after `n` has reached the end, not a write still in flight.
+ *
+ * The feed is best-effort: the entry is appended after the record is written,
+ * so a process that dies in between leaves that write out of the feed, and a
+ * failed append only emits `changeFeedError`.
+ */
+export class ResourceChanges {
+  resource: Resource;
+  private _next: number | null = null;
+  private _queue: Promise<unknown> = Promise.resolve();
+
+  constructor(resource: Resource) {
+    this.resource = resource;
+  }
+
+  get enabled(): boolean {
+    return this.resource.config.changeFeed === true;
+  }
+
+  get prefix(): string {
+    return `resource=${this.resource.name}/changes/`;
+  }
+
+  entryKey(seq: number): string {
+    return `${this.prefix}seq=${String(seq).padStart(SEQ_DIGITS, '0')}`;
+  }
+
+  /**
+   * Append the change between `before` and `after` (null for a missing record).
+   * Appends from this process are serialised so they land in call order.
+   */
+  async append(id: string, before: StringRecord | null, after: StringRecord | null): Promise<ChangeRecord | null> {
+    if (!this.enabled) return null;
+
+    const run = this._queue.then(async () => {
+      const entry = await this._entry(id, before, after);
+      return entry ? this._write(entry) : null;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  private async _entry(id: string, before: StringRecord | null, after: StringRecord | null): Promise<Omit<ChangeRecord, 'seq'> | null> {
+    const previous = await this._reveal(stripInternal(before));
+    const next = await this._reveal(stripInternal(after));
+    let entry: Omit<ChangeRecord, 'seq'>;
+    const at = new Date().toISOString();
+
+    if (!previous && next) {
+      entry = { op: 'insert', id, at, before: null, after: next };
+    } else if (previous && !next) {
+      entry = { op: 'delete', id, at, before: previous, after: null };
+    } else if (previous && next) {
+      const diff = changedFields(previous, next);
+      if (Object.keys(diff.after).length === 0) return null;
+      entry = { op: 'update', id, at, ...diff };
+    } else {
+      return null;
+    }
+
+    entry.before = await this._seal(entry.before);
+    entry.after = await this._seal(entry.after);
+    return entry;
+  }
+
+  /** Decrypt secret fields, so records read and records just written diff alike. */
+  private async _reveal(data: StringRecord | null): Promise<StringRecord | null> {
+    const schema = this.resource.schema;
+    if (!data || !schema) return data;
+    let revealed = data;
+    for (const path of protectedFields(schema.attributes || {}).secrets) {
+      revealed = await mapPath(revealed, path, value => SchemaActions.decrypt(value, { security: schema.security }));
+    }
+    return revealed;
+  }
+
+  /** Encrypt secret fields again and drop password hashes before the entry is stored. */
+  private async _seal(data: StringRecord | null): Promise<StringRecord | null> {
+    const schema = this.resource.schema;
+    if (!data || !schema) return data;
+    const { secrets, passwords } = protectedFields(schema.attributes || {});
+    let sealed = data;
+    for (const path of secrets) {
+      sealed = await mapPath(sealed, path, value => SchemaActions.encrypt(value, { security: schema.security }));
+    }
+    for (const path of passwords) {
+      sealed = await mapPath(sealed, path, () => undefined);
+    }
+    return sealed;
+  }
+
+  /** Sequence number of the newest change, or 0 when the feed is empty. */
+  async latestSequence(): Promise<number> {
+    return (await this._findNext()) - 1;
+  }
+
+  changes(options: ChangesOptions = {}): ChangeFeedIterator {
+    if (!this.enabled) {
+      throw new ResourceError(`Resource '${this.resource.name}' has no change feed`, {
+        resourceName: this.resource.name,
+        operation: 'changes',
+        suggestion: 'Create the resource with `changeFeed: true` to record its writes.'
+      });
+    }
+    return new ChangeFeedIterator(this, options);
+  }
+
+  /** @internal List entry sequence numbers after `since`, one page at a time. */
+  async listAfter(since: number): Promise<number[]> {
+    const sequences: number[] = [];
+    let continuationToken: string | null = null;
+
+    do {
+      const page = await this.resource.client.listObjects({
+        prefix: this.prefix,
+        continuationToken,
+        startAfter: continuationToken ? null : this.entryKey(since)
+      }) as ListPage;
+
+      for (const item of page.Contents || []) {
+        const match = item.Key ? SEQ_PATTERN.exec(item.Key) : null;
+        if (match) sequences.push(Number(match[1]));
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken || null : null;
+    } while (continuationToken);
+
+    return sequences;
+  }
+
+  /** @internal */
+  async read(seq: number): Promise<ChangeRecord> {
+    const response = await this.resource.client.getObject(this.entryKey(seq)) as { Body?: unknown };
+    return JSON.parse(await streamToString(response.Body as any)) as ChangeRecord;
+  }
+
+  private async _write(entry: Omit<ChangeRecord, 'seq'>): Promise<ChangeRecord> {
+    if (this._next === null) this._next = await this._findNext();
+
+    for (let attempt = 0; ; attempt++) {
+      const record: ChangeRecord = { seq: this._next, ...entry };
+      const [ok, err] = await tryFn(() => this.resource.client.putObject({
+        key: this.entryKey(record.seq),
+        body: JSON.stringify(record),
+        contentType: 'application/json',
+        ifNoneMatch: '*'
+      }));
+
+      if (ok) {
+        this._next = record.seq + 1;
+        if (record.seq % HEAD_EVERY === 0) await this._writeHead(record.seq);
+        return record;
+      }
+      if (!isPreconditionFailed(err)) throw err;
+
+      // Another writer took it; after a few collisions look up the real tail
+      this._next = attempt % 5 === 4 ? await this._findNext() : this._next + 1;
+    }
+  }
+
+  private async _findNext(): Promise<number> {
+    const head = await this._readHead();
+    const sequences = await this.listAfter(head);
+    return (sequences.length > 0 ? Math.max(...sequences) : head) + 1;
+  }
+
+  private async _readHead(): Promise<number> {
+    const [ok, err, response] = await tryFn(() => this.resource.client.getObject(`${this.prefix}head`));
+    if (!ok) {
+      if (isNotFoundError(err)) return 0;
+      throw err;
+    }
+    const seq = Number(await streamToString((response as { Body?: unknown }).Body as any));
+    return Number.isInteger(seq) && seq > 0 ? seq : 0;
+  }
+
+  private async _writeHead(seq: number): Promise<void> {
+    const [ok, err] = await tryFn(() => this.resource.client.putObject({
+      key: `${this.prefix}head`,
+      body: String(seq),
+      contentType: 'text/plain'
+    }));
+    if (!ok) {
+      this.resource.emit('changeFeedError', { operation: 'head', seq, error: err, message: (err as Error).message });
+    }
+  }
+}
+
+/**
+ * Async iterator over change records in sequence order.
+ *
+ * `checkpoint` is the sequence number of the last record yielded; pass it as
+ * `since` to resume without repeating or skipping changes:
+ *
+ *   const feed = orders.changes({ since: await load(), follow: true });
+ *   for await (const change of feed) {
+ *     await apply(change);
+ *     await save(feed.checkpoint);
+ *   }
+ */
+export class ChangeFeedIterator implements AsyncIterable<ChangeRecord> {
+  follow: boolean;
+  pollIntervalMs: number;
+  concurrency: number;
+  private _changes: ResourceChanges;
+  private _checkpoint: number;
+  private _closed = false;
+  private _wake: (() => void) | null = null;
+
+  constructor(changes: ResourceChanges, { since = 0, follow = false, pollIntervalMs = 1000, concurrency = 10 }: ChangesOptions = {}) {
+    if (!Number.isInteger(since) || since < 0) {
+      throw new ValidationError('since must be a non-negative integer sequence number', {
+        field: 'since',
+        value: since,
+        constraint: 'changes',
+        suggestion: 'Pass the `seq` of the last change processed, or 0 to read from the start.'
+      });
+    }
+
+    this._changes = changes;
+    this._checkpoint = since;
+    this.follow = follow;
+    this.pollIntervalMs = pollIntervalMs;
+    this.concurrency = concurrency;
+  }
+
+  get checkpoint(): number {
+    return this._checkpoint;
+  }
+
+  /** Stop a following iterator; a loop waiting for changes ends. */
+  close(): void {
+    this._closed = true;
+    this._wake?.();
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<ChangeRecord> {
+    while (!this._closed) {
+      const sequences = await this._changes.listAfter(this._checkpoint);
+
+      for (let i = 0; i < sequences.length && !this._closed; i += this.concurrency) {
+        const batch = sequences.slice(i, i + this.concurrency);
+        const records = await this._fetch(batch);
+        for (const record of records) {
+          this._checkpoint = record.seq;
+          yield record;
+          if (this._closed) return;
+        }
+      }
+
+      if (!this.follow) return;
+      if (sequences.length === 0) await this._sleep();
+    }
+  }
+
+  private async _fetch(sequences: number[]): Promise<ChangeRecord[]> {
+    const records: ChangeRecord[] = new Array(sequences.length);
+    const { errors } = await TasksPool.map(
+      sequences,
+      async (seq, index) => {
+        records[index] = await this._changes.read(seq);
+      },
+      { concurrency: this.concurrency }
+    );
+    if (errors.length > 0) throw errors[0]!.error;
+    return records;
+  }
+
+  private _sleep(): Promise<void> {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this._wake?.(), this.pollIntervalMs);
+      this._wake = () => {
+        clearTimeout(timer);
+        this._wake = null;
+        resolve();
+      };
+    });
+  }
+}
+
+export default ResourceChanges;
@@ -13,6 +13,16 @@ export interface PartitionsConfig {
   [partitionName: string]: PartitionDef;
 }
 
+export interface IndexDef {
+  fields?: string[];
+  unique?: boolean;
+  order?: string;
+}
+
+export interface IndexesConfigInput {
+  [indexName: string]: IndexDef;
+}
+
 export interface HooksConfig {
   [event: string]: unknown[];
 }
@@ -44,6 +54,8 @@ export interface ResourceConfigInput {
   idGenerator?: IdGeneratorConfig;
   idSize?: number;
   partitions?: PartitionsConfig;
+  indexes?: IndexesConfigInput;
+  changeFeed?: boolean;
   hooks?: HooksConfig;
   events?: EventsConfig;
   [key: string]: unknown;
@@ -152,6 +164,38 @@ export function validateResourceConfig(config: ResourceConfigInput): ValidationR
     }
   }
 
+  if (config.indexes !== undefined) {
+    if (typeof config.indexes !== 'object' || config.indexes === null || Array.isArray(config.indexes)) {
+      errors.push("Resource 'indexes' must be an object");
+    } else {
+      for (const [indexName, indexDef] of Object.entries(config.indexes)) {
+        if (!isValidS3KeySegment(indexName)) {
+          errors.push(`Index name '${indexName}' must be URL-friendly (no /, \\, =, or %)`);
+        } else if (typeof indexDef !== 'object' || indexDef === null || Array.isArray(indexDef)) {
+          errors.push(`Index '${indexName}' must be an object`);
+        } else if (!Array.isArray(indexDef.fields) || indexDef.fields.length === 0) {
+          errors.push(`Index '${indexName}.fields' must be a non-empty array of field names`);
+        } else {
+          for (const fieldName of indexDef.fields) {
+            if (typeof fieldName !== 'string' || fieldName.trim() === '') {
+              errors.push(`Index '${indexName}.fields' must only contain field names`);
+            }
+          }
+          if (indexDef.order !== undefined && indexDef.order !== 'asc' && indexDef.order !== 'desc') {
+            errors.push(`Index '${indexName}.order' must be 'asc' or 'desc'`);
+          }
+          if (indexDef.unique !== undefined && typeof indexDef.unique !== 'boolean') {
+            errors.push(`Index '${indexName}.unique' must be a boolean`);
+          }
+        }
+      }
+    }
+  }
+
+  if (config.changeFeed !== undefined && typeof config.changeFeed !== 'boolean') {
+    errors.push("Resource 'changeFeed' must be a boolean");
+  }
+
   if (config.hooks !== undefined) {
     if (typeof config.hooks !== 'object' || Array.isArray(config.hooks)) {
       errors.push("Resource 'hooks' must be an object");
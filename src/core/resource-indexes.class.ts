@@ -0,0 +1,329 @@
+import { tryFn } from '../concerns/try-fn.js';
+import { isNotFoundError, isPreconditionFailed } from '../concerns/s3-errors.js';
+import { encodeIndexValue, type IndexOrder } from '../concerns/index-key.js';
+import { InvalidResourceItem, ResourceError, mapAwsError } from '../errors.js';
+import type { StringRecord } from '../types/common.types.js';
+
+export interface IndexDefinition {
+  /** Fields in key order; earlier fields narrow the prefix, later ones sort within it. */
+  fields: string[];
+  unique?: boolean;
+  order?: IndexOrder;
+}
+
+export interface IndexesConfig {
+  [indexName: string]: IndexDefinition;
+}
+
+export interface S3Client {
+  config: { bucket: string };
+  putObject(params: {
+    key: string;
+    metadata: StringRecord<string>;
+    body: string;
+    contentType: string | undefined;
+    ifNoneMatch?: string;
+    ifMatch?: string;
+  }): Promise<unknown>;
+  headObject(key: string): Promise<{ Metadata?: StringRecord<string>; ETag?: string; LastModified?: Date | string }>;
+  deleteObjects(keys: string[]): Promise<unknown>;
+}
+
+export interface ResourceData extends StringRecord {
+  id?: string;
+}
+
+export interface Resource {
+  name: string;
+  version: string;
+  client: S3Client;
+  config: { indexes?: IndexesConfig };
+  attributes: StringRecord;
+
+  getOrNull(id: string): Promise<ResourceData | null>;
+  emit(event: string, ...args: unknown[]): void;
+  isSearchable?(field: string): boolean;
+  blindIndex?(field: string, value: unknown): string;
+  revealSearchable?<T extends object>(data: T): Promise<T>;
+}
+
+// A claim whose owner is missing may belong to a write still in flight
+const STALE_CLAIM_MS = 60_000;
+
+// Types whose stored value does not order or compare like its plain value
+const NON_INDEXABLE_TYPES = new Set(['array', 'object', 'json', 'secret', 'password', 'embedding', 'buffer', 'binary']);
+
+function readPath(data: StringRecord | null | undefined, fieldPath: string): unknown {
+  let current: unknown = data;
+  for (const part of fieldPath.split('.')) {
+    if (!current || typeof current !== 'object') return undefined;
+    current = (current as StringRecord)[part];
+  }
+  return current;
+}
+
+/**
+ * Secondary indexes stored as key projections:
+ *
+ *   resource=<name>/index=<index>/<encoded values...>/id=<id>   entry, listed by query()
+ *   resource=<name>/unique=<index>/<encoded values...>          claim, owns a unique value
+ *
+ * Entries sort like the indexed values (see concerns/index-key). Unique claims
+ * are created with `If-None-Match: *` before the record is written, so two
+ * writers cannot both take the same value.
+ */
+export class ResourceIndexes {
+  resource: Resource;
+  private _strictValidation: boolean;
+
+  constructor(resource: Resource, { strictValidation = true }: { strictValidation?: boolean } = {}) {
+    this.resource = resource;
+    this._strictValidation = strictValidation !== false;
+  }
+
+  getIndexes(): IndexesConfig {
+    return this.resource.config?.indexes || {};
+  }
+
+  hasIndexes(): boolean {
+    return Object.keys(this.getIndexes()).length > 0;
+  }
+
+  getIndexPrefix(indexName: string): string {
+    return `resource=${this.resource.name}/index=${indexName}/`;
+  }
+
+  getOrder(indexName: string): IndexOrder {
+    return this.getIndexes()[indexName]?.order === 'desc' ? 'desc' : 'asc';
+  }
+
+  encodeSegments(indexName: string, data: StringRecord | null | undefined): string[] {
+    const definition = this.getIndexes()[indexName];
+    if (!definition) return [];
+    const order = this.getOrder(indexName);
+    return definition.fields.map(field => encodeIndexValue(this.fieldValue(field, readPath(data, field)), order));
+  }
+
+  /** Value a field is indexed by: its blind index when searchable, else the value itself. */
+  fieldValue(field: string, value: unknown): unknown {
+    if (value === undefined || value === null || !this.resource.isSearchable?.(field)) return value;
+    return this.resource.blindIndex!(field, value);
+  }
+
+  getEntryKey(indexName: string, id: string, data: StringRecord | null | undefined): string {
+    return `${this.getIndexPrefix(indexName)}${this.encodeSegments(indexName, data).join('/')}/id=${id}`;
+  }
+
+  /** Claim key for a unique index, or null when a field is missing (missing values never collide). */
+  getUniqueKey(indexName: string, data: StringRecord | null | undefined): string | null {
+    const definition = this.getIndexes()[indexName];
+    if (!definition?.unique) return null;
+    if (definition.fields.some(field => readPath(data, field) === undefined || readPath(data, field) === null)) {
+      return null;
+    }
+    const segments = this.encodeSegments(indexName, data);
+    return `resource=${this.resource.name}/unique=${indexName}/${segments.join('/')}`;
+  }
+
+  validate(): void {
+    const attributes = this.resource.attributes || {};
+
+    for (const [indexName, definition] of Object.entries(this.getIndexes())) {
+      for (const field of definition.fields) {
+        if (field.startsWith('_')) continue;
+
+        const attribute = readPath(attributes, field);
+        if (attribute === undefined) {
+          if (!this._strictValidation) continue;
+          throw new ResourceError(
+            `Index '${indexName}' uses field '${field}' which does not exist in resource attributes. Available fields: ${Object.keys(attributes).join(', ')}.`,
+            {
+              resourceName: this.resource.name,
+              indexName,
+              fieldName: field,
+              operation: 'validateIndexes',
+              suggestion: 'Add the field to the resource attributes or remove it from the index definition.'
+            }
+          );
+        }
+
+        const type = typeof attribute === 'string'
+          ? attribute.split('|')[0]!.trim()
+          : (attribute as StringRecord)?.type as string | undefined ?? 'object';
+        // Searchable secrets index their blind index: equality and uniqueness only
+        if (NON_INDEXABLE_TYPES.has(type.split(':')[0]!) && !this.resource.isSearchable?.(field)) {
+          throw new ResourceError(`Index '${indexName}' cannot use field '${field}' of type '${type}'`, {
+            resourceName: this.resource.name,
+            indexName,
+            fieldName: field,
+            operation: 'validateIndexes',
+            suggestion: 'Index scalar fields (string, number, boolean, date). Encrypted and nested values do not sort.'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Take the unique values `data` needs before the record is written. Returns
+   * the claims created or taken over by this call so a failed write can
+   * release them; claims `id` already held are left out.
+   */
+  async reserveUnique(id: string, data: StringRecord, previous: StringRecord | null = null): Promise<string[]> {
+    const acquired: string[] = [];
+    const revealed = await this._reveal(data);
+    const revealedPrevious = previous && await this._reveal(previous);
+
+    for (const [indexName, definition] of Object.entries(this.getIndexes())) {
+      if (!definition.unique) continue;
+
+      const key = this.getUniqueKey(indexName, revealed);
+      if (!key || (revealedPrevious && this.getUniqueKey(indexName, revealedPrevious) === key)) continue;
+
+      const [ok, err, taken] = await tryFn(() => this._claim(key, id, indexName, data));
+      if (!ok) {
+        await this.releaseUnique(acquired);
+        throw err;
+      }
+      if (taken) acquired.push(key);
+    }
+
+    return acquired;
+  }
+
+  async releaseUnique(keys: string[]): Promise<void> {
+    if (keys.length === 0) return;
+    const [ok, err] = await tryFn(() => this.resource.client.deleteObjects(keys));
+    if (!ok) {
+      this.resource.emit('indexError', {
+        operation: 'releaseUnique',
+        keys,
+        error: err,
+        message: (err as Error).message
+      });
+    }
+  }
+
+  /**
+   * Move index entries and unique claims from `oldData` to `newData`. Pass
+   * `null` as `newData` when the record was deleted.
+   */
+  async updateReferences(id: string, oldData: StringRecord | null, newData: StringRecord | null): Promise<void> {
+    const staleKeys: string[] = [];
+    oldData = oldData && await this._reveal(oldData);
+    newData = newData && await this._reveal(newData);
+
+    for (const [indexName, definition] of Object.entries(this.getIndexes())) {
+      const oldKey = oldData ? this.getEntryKey(indexName, id, oldData) : null;
+      const newKey = newData ? this.getEntryKey(indexName, id, newData) : null;
+
+      if (oldKey && oldKey !== newKey) {
+        staleKeys.push(oldKey);
+      }
+
+      if (newKey) {
+        const [okPut, errPut] = await tryFn(() => this.resource.client.putObject({
+          key: newKey,
+          metadata: { _v: String(this.resource.version) },
+          body: '',
+          contentType: undefined
+        }));
+        if (!okPut) {
+          throw mapAwsError(errPut as Error, {
+            resourceName: this.resource.name,
+            operation: 'updateIndexReferences',
+            key: newKey,
+            id
+          });
+        }
+      }
+
+      if (definition.unique && oldData) {
+        const oldClaim = this.getUniqueKey(indexName, oldData);
+        const newClaim = newData ? this.getUniqueKey(indexName, newData) : null;
+        if (oldClaim && oldClaim !== newClaim && await this._ownsClaim(oldClaim, id)) {
+          staleKeys.push(oldClaim);
+        }
+      }
+    }
+
+    if (staleKeys.length > 0) {
+      const [okDelete, errDelete] = await tryFn(() => this.resource.client.deleteObjects(staleKeys));
+      if (!okDelete) {
+        throw mapAwsError(errDelete as Error, {
+          resourceName: this.resource.name,
+          operation: 'updateIndexReferences',
+          id
+        });
+      }
+    }
+  }
+
+  // Searchable secrets may arrive encrypted; their blind index needs the plaintext
+  private async _reveal(data: StringRecord): Promise<StringRecord> {
+    return this.resource.revealSearchable ? this.resource.revealSearchable(data) : data;
+  }
+
+  private async _ownsClaim(key: string, id: string): Promise<boolean> {
+    const [ok, , head] = await tryFn(() => this.resource.client.headObject(key));
+    return ok && head?.Metadata?.id === id;
+  }
+
+  /** Resolves true when this call wrote the claim, false when `id` already held it. */
+  private async _claim(key: string, id: string, indexName: string, data: StringRecord): Promise<boolean> {
+    const metadata = { id, _v: String(this.resource.version) };
+    const [ok, err] = await tryFn(() => this.resource.client.putObject({
+      key,
+      metadata,
+      body: '',
+      contentType: undefined,
+      ifNoneMatch: '*'
+    }));
+    if (ok) return true;
+    if (!isPreconditionFailed(err)) throw err;
+
+    const [okHead, errHead, head] = await tryFn(() => this.resource.client.headObject(key));
+    if (!okHead) {
+      // Released between our write and the HEAD: try once more
+      if (isNotFoundError(errHead)) return this._claim(key, id, indexName, data);
+      throw errHead;
+    }
+
+    const ownerId = head?.Metadata?.id;
+    if (ownerId === id) return false;
+
+    // A claim left behind by a crashed write or a deleted record is stale
+    const owner = ownerId ? await this.resource.getOrNull(ownerId) : null;
+    const claimedAt = head?.LastModified ? new Date(head.LastModified).getTime() : 0;
+    const abandoned = !owner && Date.now() - claimedAt > STALE_CLAIM_MS;
+    if (abandoned || (owner && this.getUniqueKey(indexName, owner) !== key)) {
+      const [okTakeover, errTakeover] = await tryFn(() => this.resource.client.putObject({
+        key,
+        metadata,
+        body: '',
+        contentType: undefined,
+        ifMatch: head?.ETag
+      }));
+      if (okTakeover) return true;
+      if (!isPreconditionFailed(errTakeover)) throw errTakeover;
+    }
+
+    const definition = this.getIndexes()[indexName]!;
+    const fields = definition.fields.join(', ');
+    throw new InvalidResourceItem({
+      bucket: this.resource.client.config.bucket,
+      resourceName: this.resource.name,
+      attributes: data,
+      validation: [{
+        message: `Value for ${fields} must be unique (index '${indexName}')`,
+        field: definition.fields[0],
+        type: 'unique'
+      }],
+      message: `Unique index '${indexName}' violated: another record already uses this ${fields}`,
+      indexName,
+      suggestion: `Use a different ${fields} or update the record that owns it.`
+    });
+  }
+}
+
+export default ResourceIndexes;
@@ -60,6 +60,9 @@ export interface Resource {
   get(id: string): Promise<ResourceData>;
   emit(event: string, ...args: unknown[]): void;
   _emitStandardized(event: string, data: unknown, id?: string): void;
+  isSearchable?(field: string): boolean;
+  blindIndex?(field: string, value: unknown): string;
+  revealSearchable?<T extends object>(data: T): Promise<T>;
 }
 
 export interface PartitionsConfigOptions {
@@ -130,6 +133,11 @@ export class ResourcePartitions {
     });
   }
 
+  // Searchable secrets may arrive encrypted; their blind index needs the plaintext
+  private async _reveal(data: ResourceData): Promise<ResourceData> {
+    return data && this.resource.revealSearchable ? this.resource.revealSearchable(data) : data;
+  }
+
   getPartitions(): PartitionsConfig {
     return this.resource.config?.partitions || {};
   }
@@ -310,6 +318,14 @@ export class ResourcePartitions {
     return transformedValue;
   }
 
+  /** Value a field takes in partition keys: its blind index when searchable, else the rule's transform. */
+  segmentValue(fieldName: string, value: unknown, rule: string): unknown {
+    if (value !== undefined && value !== null && this.resource.isSearchable?.(fieldName)) {
+      return this.resource.blindIndex!(fieldName, value);
+    }
+    return this.applyRule(value, rule);
+  }
+
   getNestedFieldValue(data: StringRecord, fieldPath: string): unknown {
     if (!fieldPath.includes('.')) {
       return data[fieldPath];
@@ -344,7 +360,7 @@ export class ResourcePartitions {
     const sortedFields = Object.entries(partition.fields).sort(([a], [b]) => a.localeCompare(b));
     for (const [fieldName, rule] of sortedFields) {
       const fieldValue = this.getNestedFieldValue(data, fieldName);
-      const transformedValue = this.applyRule(fieldValue, rule);
+      const transformedValue = this.segmentValue(fieldName, fieldValue, rule);
 
       if (transformedValue === undefined || transformedValue === null) {
         return null;
@@ -372,7 +388,7 @@ export class ResourcePartitions {
     for (const [fieldName, rule] of sortedFields) {
       const value = partitionValues[fieldName];
       if (value !== undefined && value !== null) {
-        const transformedValue = this.applyRule(value, rule);
+        const transformedValue = this.segmentValue(fieldName, value, rule);
         partitionSegments.push(`${fieldName}=${transformedValue}`);
       }
     }
@@ -417,6 +433,7 @@ export class ResourcePartitions {
     if (!partitions || Object.keys(partitions).length === 0) {
       return;
     }
+    data = await this._reveal(data);
 
     const promises = Object.entries(partitions).map(async ([partitionName]) => {
       const partitionKey = this.getKey({ partitionName, id: data.id, data });
@@ -451,6 +468,7 @@ export class ResourcePartitions {
     if (!partitions || Object.keys(partitions).length === 0) {
       return;
     }
+    data = await this._reveal(data);
 
     const keysToDelete: string[] = [];
     for (const [partitionName] of Object.entries(partitions)) {
@@ -476,6 +494,7 @@ export class ResourcePartitions {
     if (!partitions || Object.keys(partitions).length === 0) {
       return;
     }
+    data = await this._reveal(data);
 
     for (const [partitionName, partition] of Object.entries(partitions)) {
       if (!partition || !partition.fields || typeof partition.fields !== 'object') {
@@ -512,6 +531,8 @@ export class ResourcePartitions {
     if (!partitions || Object.keys(partitions).length === 0) {
       return;
     }
+    oldData = await this._reveal(oldData);
+    newData = await this._reveal(newData);
 
     const updatePromises = Object.entries(partitions).map(async ([partitionName, partition]): Promise<ReferenceUpdateResult> => {
       const [ok, err] = await tryFn(() => this.handleReferenceUpdate(partitionName, partition, oldData, newData));
@@ -686,7 +707,7 @@ export class ResourcePartitions {
     for (const [fieldName, rule] of sortedFields) {
       const value = partitionValues[fieldName];
       if (value !== undefined && value !== null) {
-        const transformedValue = this.applyRule(value, rule);
+        const transformedValue = this.segmentValue(fieldName, value, rule);
         partitionSegments.push(`${fieldName}=${transformedValue}`);
       }
     }
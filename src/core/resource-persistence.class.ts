@@ -118,6 +118,7 @@ export interface ResourceConfig {
   strictPartitions?: boolean;
   asyncPartitions?: boolean;
   paranoid?: boolean;
+  changeFeed?: boolean;
 }
 
 export interface HooksCollection {
@@ -166,6 +167,11 @@ export interface Resource {
   createPartitionReferences(data: ResourceData): Promise<void>;
   deletePartitionReferences(data: ResourceData): Promise<void>;
   handlePartitionReferenceUpdates(oldData: ResourceData, newData: ResourceData): Promise<void>;
+  hasIndexes(): boolean;
+  reserveUniqueIndexValues(id: string, data: StringRecord, previous?: StringRecord | null): Promise<string[]>;
+  releaseUniqueIndexValues(keys: string[]): Promise<void>;
+  updateIndexReferences(id: string, oldData: StringRecord | null, newData: StringRecord | null): Promise<void>;
+  appendChange(id: string, oldData: StringRecord | null, newData: StringRecord | null): Promise<unknown>;
   applyVersionMapping(data: ResourceData, fromVersion: string | number, toVersion: string | number): Promise<ResourceData>;
   createHistoricalVersion(id: string, data: ResourceData): Promise<void>;
   getDefinitionHash(): string;
@@ -181,6 +187,8 @@ export interface PatchOptions {
 export interface ReplaceOptions {
   partition?: string;
   partitionValues?: StringRecord;
+  /** Only replace while the object still has this ETag (412 otherwise). */
+  ifMatch?: string;
 }
 
 export interface UpdateConditionalOptions {
@@ -344,6 +352,56 @@ export class ResourcePersistence {
     }
   }
 
+  private _hasIndexes(): boolean {
+    return typeof this.resource.hasIndexes === 'function' && this.resource.hasIndexes();
+  }
+
+  private async _reserveUniqueIndexValues(id: string, data: StringRecord, previous: StringRecord | null = null): Promise<string[]> {
+    if (!this._hasIndexes()) return [];
+    return this.resource.reserveUniqueIndexValues(id, data, previous);
+  }
+
+  private async _releaseUniqueIndexValues(keys: string[]): Promise<void> {
+    if (keys.length === 0) return;
+    await this.resource.releaseUniqueIndexValues(keys);
+  }
+
+  private async _syncIndexReferences(
+    operation: string,
+    id: string,
+    oldData: StringRecord | null,
+    newData: StringRecord | null
+  ): Promise<void> {
+    if (!this._hasIndexes()) return;
+    const [ok, err] = await tryFn(() => this.resource.updateIndexReferences(id, oldData, newData));
+    if (!ok) {
+      this.resource.emit('indexError', {
+        operation,
+        id,
+        error: err,
+        message: (err as Error).message
+      });
+    }
+  }
+
+  private async _recordChange(
+    operation: string,
+    id: string,
+    oldData: StringRecord | null,
+    newData: StringRecord | null
+  ): Promise<void> {
+    if (!this.config.changeFeed) return;
+    const [ok, err] = await tryFn(() => this.resource.appendChange(id, oldData, newData));
+    if (!ok) {
+      this.resource.emit('changeFeedError', {
+        operation,
+        id,
+        error: err,
+        message: (err as Error).message
+      });
+    }
+  }
+
   async insert({ id, ...attributes }: InsertParams): Promise<ResourceData> {
     this.logger.trace({ id, attributeKeys: Object.keys(attributes) }, 'insert called');
 
@@ -433,6 +491,8 @@ export class ResourcePersistence {
       });
     }
 
+    const uniqueClaims = await this._reserveUniqueIndexValues(finalId, { ...validatedAttributes, id: finalId });
+
     const [okPut, errPut, putResponse] = await tryFn<{ ETag?: string }>(() => this.client.putObject({
       key,
       body,
@@ -442,6 +502,7 @@ export class ResourcePersistence {
     }));
 
     if (!okPut) {
+      await this._releaseUniqueIndexValues(uniqueClaims);
       if ((errPut as Error & { name?: string }).name === 'PreconditionFailed' ||
           (errPut as Error & { $metadata?: { httpStatusCode?: number } }).$metadata?.httpStatusCode === 412) {
         throw new InvalidResourceItem({
@@ -501,6 +562,9 @@ export class ResourcePersistence {
     insertedObject._lastModified = new Date();
     insertedObject._definitionHash = this.resource.getDefinitionHash();
 
+    await this._syncIndexReferences('insert', finalId, null, insertedObject);
+    await this._recordChange('insert', finalId, null, insertedObject);
+
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0) {
       if (this.config.strictPartitions) {
         await this.resource.createPartitionReferences(insertedObject);
@@ -718,6 +782,11 @@ export class ResourcePersistence {
     const key = this.resource.getResourceKey(id);
     const [ok2, err2, response] = await tryFn(() => this.client.deleteObject(key));
 
+    if (ok && ok2) {
+      await this._syncIndexReferences('delete', id, objectData, null);
+      await this._recordChange('delete', id, objectData, null);
+    }
+
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0 && objectData) {
       if (this.config.strictPartitions) {
         await this.resource.deletePartitionReferences(objectData);
@@ -942,7 +1011,7 @@ export class ResourcePersistence {
 
     for (const sf of secretFields) {
       if (sf in completeRecord) {
-        if (!(sf in attrs) || attrs[sf] === completeRecord[sf]) {
+        if (!(sf in attrs) || attrs[sf] === (originalData as Record<string, unknown>)[sf]) {
           preservedFields[sf] = this._getMetadataField(metadata, sf) ?? completeRecord[sf];
         }
       }
@@ -1011,6 +1080,8 @@ export class ResourcePersistence {
       if (okParse) finalContentType = 'application/json';
     }
 
+    const uniqueClaims = await this._reserveUniqueIndexValues(id, { ...validatedAttributes, id }, originalData);
+
     const [ok, err] = await tryFn(() => this.client.putObject({
       key,
       body: finalBody,
@@ -1018,6 +1089,10 @@ export class ResourcePersistence {
       metadata: finalMetadata,
     }));
 
+    if (!ok) {
+      await this._releaseUniqueIndexValues(uniqueClaims);
+    }
+
     if (!ok && err && (err as Error).message && (err as Error).message.includes('metadata headers exceed')) {
       const totalSize = calculateTotalSize(finalMetadata);
       const effectiveLimit = calculateEffectiveLimit({
@@ -1075,6 +1150,9 @@ export class ResourcePersistence {
       behavior: this.behavior
     });
 
+    await this._syncIndexReferences('update', id, originalData, updatedData);
+    await this._recordChange('update', id, originalData, updatedData);
+
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0) {
       if (this.config.strictPartitions) {
         await this.resource.handlePartitionReferenceUpdates(originalData, updatedData);
@@ -1228,7 +1306,7 @@ export class ResourcePersistence {
 
     for (const sf of secretFields) {
       if (sf in mergedData) {
-        if (!(sf in fields) || fields[sf] === mergedData[sf]) {
+        if (!(sf in fields) || fields[sf] === currentData[sf]) {
           preservedFields[sf] = this._getMetadataField(currentMetadata, sf) ?? mergedData[sf];
         }
       }
@@ -1246,12 +1324,21 @@ export class ResourcePersistence {
     const newMetadata = await this.schema.mapper(mergedData);
     newMetadata._v = String(this.version);
 
-    await this.client.copyObject({
+    const uniqueClaims = await this._reserveUniqueIndexValues(id, { ...mergedData, id }, currentData);
+
+    const [okCopy, errCopy] = await tryFn(() => this.client.copyObject({
       from: key,
       to: key,
       metadataDirective: 'REPLACE',
       metadata: newMetadata
-    });
+    }));
+    if (!okCopy) {
+      await this._releaseUniqueIndexValues(uniqueClaims);
+      throw errCopy;
+    }
+
+    await this._syncIndexReferences('patch', id, { ...currentData, id }, { ...mergedData, id });
+    await this._recordChange('patch', id, { ...currentData, id }, { ...mergedData, id });
 
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0) {
       const oldData = { ...currentData, id };
@@ -1361,14 +1448,19 @@ export class ResourcePersistence {
       });
     }
 
-    const [okPut, errPut] = await tryFn(() => this.client.putObject({
+    const previous = this._hasIndexes() ? await this.getOrNull(id) : null;
+    const uniqueClaims = await this._reserveUniqueIndexValues(id, { ...validatedAttributes, id }, previous);
+
+    const [okPut, errPut, putResponse] = await tryFn<{ ETag?: string }>(() => this.client.putObject({
       key,
       body,
       contentType,
       metadata: finalMetadata,
+      ifMatch: options.ifMatch
     }));
 
     if (!okPut) {
+      await this._releaseUniqueIndexValues(uniqueClaims);
       const msg = errPut && (errPut as Error).message ? (errPut as Error).message : '';
       if (msg.includes('metadata headers exceed') || msg.includes('Replace failed')) {
         const totalSize = calculateTotalSize(finalMetadata);
@@ -1392,6 +1484,9 @@ export class ResourcePersistence {
 
     const replacedObject: ResourceData = { id, ...validatedAttributes };
 
+    await this._syncIndexReferences('replace', id, previous, replacedObject);
+    await this._recordChange('replace', id, previous, replacedObject);
+
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0) {
       if (this.config.strictPartitions) {
         await this.resource.handlePartitionReferenceUpdates({}, replacedObject);
@@ -1410,6 +1505,7 @@ export class ResourcePersistence {
       }
     }
 
+    replacedObject._etag = putResponse?.ETag;
     const finalResult = await this.resource.executeHooks('afterReplace', replacedObject) as ResourceData;
 
     return finalResult;
@@ -1533,6 +1629,17 @@ export class ResourcePersistence {
       if (okParse) finalContentType = 'application/json';
     }
 
+    const [okReserve, errReserve, uniqueClaims] = await tryFn(() =>
+      this._reserveUniqueIndexValues(id, { ...validatedAttributes, id }, originalData)
+    );
+    if (!okReserve) {
+      return {
+        success: false,
+        error: (errReserve as Error).message || 'Unique index violated',
+        validationErrors: (errReserve as { data?: StringRecord }).data?.validation as UpdateConditionalResult['validationErrors']
+      };
+    }
+
     const [ok, err, response] = await tryFn<{ ETag?: string }>(() => this.client.putObject({
       key,
       body: finalBody,
@@ -1542,6 +1649,7 @@ export class ResourcePersistence {
     }));
 
     if (!ok) {
+      await this._releaseUniqueIndexValues(uniqueClaims ?? []);
       if ((err as Error & { name?: string }).name === 'PreconditionFailed' ||
           (err as Error & { $metadata?: { httpStatusCode?: number } }).$metadata?.httpStatusCode === 412) {
         return {
@@ -1578,6 +1686,9 @@ export class ResourcePersistence {
     const oldData = { ...originalData, id };
     const newData = { ...validatedAttributes, id };
 
+    await this._syncIndexReferences('updateConditional', id, oldData, newData);
+    await this._recordChange('updateConditional', id, oldData, newData);
+
     if (this.config.partitions && Object.keys(this.config.partitions).length > 0) {
       if (this.config.strictPartitions) {
         await this.resource.handlePartitionReferenceUpdates(oldData, newData);
@@ -1651,7 +1762,12 @@ export class ResourcePersistence {
     }
 
     const prefix = `resource=${this.name}/data`;
-    const deletedCount = await this.client.deleteAll({ prefix });
+    let deletedCount = await this.client.deleteAll({ prefix });
+
+    if (this._hasIndexes()) {
+      deletedCount += await this.client.deleteAll({ prefix: `resource=${this.name}/index=` });
+      deletedCount += await this.client.deleteAll({ prefix: `resource=${this.name}/unique=` });
+    }
 
     this.resource._emitStandardized('deleted-all', {
       version: this.version,
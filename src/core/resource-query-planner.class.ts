@@ -0,0 +1,565 @@
+import {
+  extractEqualityValues,
+  extractRangeBounds,
+  isOperatorObject,
+  valuesEqual,
+  type QueryFilter,
+  type QuerySort,
+  type RangeBound,
+  type RangeBounds
+} from '../concerns/query-filter.js';
+import {
+  decodeIndexValue,
+  encodeIndexValue,
+  indexTypeTag,
+  orderIndexSegment,
+  type IndexOrder
+} from '../concerns/index-key.js';
+import type { StringRecord } from '../types/common.types.js';
+import type { PartitionDefinition, PartitionsConfig } from './resource-query.class.js';
+import type { IndexDefinition, IndexesConfig } from './resource-indexes.class.js';
+
+export type QueryPlanStrategy =
+  | 'full-scan'
+  | 'partition'
+  | 'partition-range'
+  | 'index'
+  | 'index-range'
+  | 'index-scan';
+
+export interface QueryPlanRange {
+  field: string;
+  /** Partition rule of the field, or `index:asc` / `index:desc` for index scans. */
+  rule: string;
+  lower: RangeBound | null;
+  upper: RangeBound | null;
+}
+
+export interface QueryPlan {
+  resource: string;
+  strategy: QueryPlanStrategy;
+  partition: string | null;
+  index: string | null;
+  partitionValues: StringRecord;
+  /** Prefix passed to ListObjectsV2. */
+  prefix: string;
+  /** StartAfter key for range scans, so listing begins at the lower bound. */
+  startAfter: string | null;
+  range: QueryPlanRange | null;
+  /** Partition or index segment values checked on every listed key before any GET. */
+  keyFilters: StringRecord;
+  /** Filter fields the key layout answers exactly. */
+  coveredFields: string[];
+  /** Keys are listed in the requested sort order, so the scan can stop once the page is full. */
+  sortCovered: boolean;
+  fullyCovered: boolean;
+  requiresPostFilter: boolean;
+}
+
+export type KeyMatch = 'match' | 'skip' | 'stop';
+
+export interface PlanOptions {
+  partition?: string | null;
+  partitionValues?: StringRecord;
+  sort?: QuerySort;
+}
+
+export interface PlannerResource {
+  name: string;
+  config: { partitions?: PartitionsConfig; indexes?: IndexesConfig };
+  applyPartitionRule(value: unknown, rule: string): string;
+  isSearchable?(field: string): boolean;
+  blindIndex?(field: string, value: unknown): string;
+  buildPartitionPrefix(partition: string, partitionDef: PartitionDefinition, partitionValues: StringRecord): string;
+}
+
+interface PlanCandidate {
+  kind: 'partition' | 'index';
+  name: string;
+  leading: Array<[string, unknown]>;
+  range: QueryPlanRange | null;
+  keyFilters: StringRecord;
+  covered: string[];
+  sortServed: boolean;
+  totalFields: number;
+}
+
+const LEXICOGRAPHIC_TYPES = new Set(['string', 'date', 'email', 'url', 'uuid']);
+
+const COVERABLE_OPERATORS = new Set(['$eq', '$in', '$gt', '$gte', '$lt', '$lte']);
+
+// Type order of encoded index values, matching compareValues in query-filter
+const INDEX_TYPE_ORDER = ['null', 'number', 'string', 'object', 'boolean'];
+
+function compareKeyValues(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function indexValueType(value: unknown): string {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') return typeof value;
+  return 'object';
+}
+
+function indexOrderOf(definition: IndexDefinition | undefined): IndexOrder {
+  return definition?.order === 'desc' ? 'desc' : 'asc';
+}
+
+/**
+ * Turns filters into S3 listing plans: which partition or index prefix to
+ * list, where a range scan starts (StartAfter) and stops, and which
+ * predicates the key layout answers without fetching objects.
+ */
+export class ResourceQueryPlanner {
+  resource: PlannerResource;
+
+  constructor(resource: PlannerResource) {
+    this.resource = resource;
+  }
+
+  get partitions(): PartitionsConfig {
+    return this.resource.config?.partitions || {};
+  }
+
+  get indexes(): IndexesConfig {
+    return this.resource.config?.indexes || {};
+  }
+
+  plan(filter: QueryFilter = {}, { partition = null, partitionValues = {}, sort }: PlanOptions = {}): QueryPlan {
+    const base = `resource=${this.resource.name}`;
+
+    if (partition) {
+      const partitionDef = this.partitions[partition];
+      const prefix = partitionDef
+        ? this.resource.buildPartitionPrefix(partition, partitionDef, partitionValues)
+        : `${base}/partition=${partition}`;
+
+      return this._finalize(filter, {
+        resource: this.resource.name,
+        strategy: 'partition',
+        partition,
+        index: null,
+        partitionValues,
+        prefix,
+        startAfter: null,
+        range: null,
+        keyFilters: {},
+        coveredFields: [],
+        sortCovered: false
+      });
+    }
+
+    const candidate = this._pickCandidate(filter, sort);
+    if (!candidate) {
+      return this._finalize(filter, {
+        resource: this.resource.name,
+        strategy: 'full-scan',
+        partition: null,
+        index: null,
+        partitionValues: {},
+        prefix: `${base}/data`,
+        startAfter: null,
+        range: null,
+        keyFilters: {},
+        coveredFields: [],
+        sortCovered: false
+      });
+    }
+
+    if (candidate.kind === 'index') {
+      return this._finalize(filter, this._indexPlan(candidate));
+    }
+
+    const segments = candidate.leading.map(([field, value]) => `${field}=${value}`);
+    const prefix = [`${base}/partition=${candidate.name}`, ...segments].join('/');
+    const range = candidate.range;
+
+    return this._finalize(filter, {
+      resource: this.resource.name,
+      strategy: range ? 'partition-range' : 'partition',
+      partition: candidate.name,
+      index: null,
+      partitionValues: Object.fromEntries(candidate.leading),
+      prefix,
+      startAfter: range?.lower ? `${prefix}/${range.field}=${range.lower.value}` : null,
+      range,
+      keyFilters: candidate.keyFilters,
+      coveredFields: candidate.covered,
+      sortCovered: false
+    });
+  }
+
+  /**
+   * Prefix ('/'-terminated) listing only records whose partition or index
+   * keys satisfy the filter's equality fields, or null when the best plan
+   * needs a range scan or per-key filtering. Sources that read every key
+   * under a prefix (aggregate, iterate) use it to skip the full scan.
+   */
+  exactPrefix(filter: QueryFilter = {}): string | null {
+    if (Object.keys(filter).length === 0) return null;
+    const plan = this.plan(filter);
+    const exact = (plan.strategy === 'partition' || plan.strategy === 'index') &&
+      !plan.range && Object.keys(plan.keyFilters).length === 0;
+    if (!exact) return null;
+    return plan.prefix.endsWith('/') ? plan.prefix : `${plan.prefix}/`;
+  }
+
+  private _indexPlan(candidate: PlanCandidate): Omit<QueryPlan, 'fullyCovered' | 'requiresPostFilter'> {
+    const order = indexOrderOf(this.indexes[candidate.name]);
+    const segments = candidate.leading.map(([, value]) => `${encodeIndexValue(value, order)}/`);
+    const prefix = `resource=${this.resource.name}/index=${candidate.name}/${segments.join('')}`;
+    const range = candidate.range;
+
+    // Listing starts at the bound met first in key order: the lower bound for
+    // ascending indexes, the upper one for descending. Without that bound, it
+    // starts where values of the bound's type begin.
+    let startAfter: string | null = null;
+    if (range) {
+      const first = order === 'asc' ? range.lower : range.upper;
+      const typed = (range.lower ?? range.upper)!;
+      startAfter = first
+        ? `${prefix}${encodeIndexValue(first.value, order)}`
+        : `${prefix}${orderIndexSegment(indexTypeTag(typed.value), order, { prefix: true })}`;
+    }
+
+    return {
+      resource: this.resource.name,
+      strategy: range ? 'index-range' : candidate.leading.length > 0 || Object.keys(candidate.keyFilters).length > 0 ? 'index' : 'index-scan',
+      partition: null,
+      index: candidate.name,
+      partitionValues: {},
+      prefix,
+      startAfter,
+      range,
+      keyFilters: candidate.keyFilters,
+      coveredFields: candidate.covered,
+      sortCovered: candidate.sortServed
+    };
+  }
+
+  /**
+   * Decide what to do with a listed key. `stop` means no later key in the
+   * listing can satisfy the range, so the scan ends early.
+   */
+  matchKey(plan: QueryPlan, key: string): KeyMatch {
+    if (plan.index) {
+      return this._matchIndexKey(plan, key);
+    }
+
+    const segments = key.split('/');
+    const readSegment = (field: string): string | undefined => {
+      const segment = segments.find(part => part.startsWith(`${field}=`));
+      return segment === undefined ? undefined : segment.slice(field.length + 1);
+    };
+
+    for (const [field, expected] of Object.entries(plan.keyFilters)) {
+      if (readSegment(field) !== expected) return 'skip';
+    }
+
+    const range = plan.range;
+    if (!range) return 'match';
+
+    const value = readSegment(range.field);
+    if (value === undefined) return 'skip';
+
+    if (range.lower) {
+      const cmp = compareKeyValues(value, String(range.lower.value));
+      if (cmp < 0 || (cmp === 0 && !range.lower.inclusive)) return 'skip';
+    }
+
+    if (range.upper) {
+      const cmp = compareKeyValues(value, String(range.upper.value));
+      if (cmp > 0 || (cmp === 0 && !range.upper.inclusive)) {
+        return this._canStopAfter(value, range.rule) ? 'stop' : 'skip';
+      }
+    }
+
+    return 'match';
+  }
+
+  // Index segments decode back to the stored values, so bounds compare with
+  // query semantics and any value past the far bound ends the scan.
+  private _matchIndexKey(plan: QueryPlan, key: string): KeyMatch {
+    const definition = this.indexes[plan.index!];
+    if (!definition) return 'match';
+
+    const order = indexOrderOf(definition);
+    const segments = key.slice(`resource=${this.resource.name}/index=${plan.index}/`.length).split('/');
+    const readValue = (field: string): unknown => {
+      const position = definition.fields.indexOf(field);
+      const segment = position < 0 ? undefined : segments[position];
+      return segment === undefined || segment.startsWith('id=') ? undefined : decodeIndexValue(segment, order);
+    };
+
+    for (const [field, expected] of Object.entries(plan.keyFilters)) {
+      if (!valuesEqual(readValue(field), expected)) return 'skip';
+    }
+
+    const range = plan.range;
+    if (!range) return 'match';
+
+    const value = readValue(range.field);
+    const boundType = typeof (range.lower ?? range.upper)!.value;
+    const typeDelta = INDEX_TYPE_ORDER.indexOf(indexValueType(value)) - INDEX_TYPE_ORDER.indexOf(boundType);
+    const afterLower = !range.lower || this._compareToBound(value, range.lower) > (range.lower.inclusive ? -1 : 0);
+    const beforeUpper = !range.upper || this._compareToBound(value, range.upper) < (range.upper.inclusive ? 1 : 0);
+
+    // Range operators only match values of the bound's type
+    if (typeDelta === 0 && afterLower && beforeUpper) return 'match';
+
+    const pastEnd = order === 'asc' ? typeDelta > 0 || !beforeUpper : typeDelta < 0 || !afterLower;
+    return pastEnd ? 'stop' : 'skip';
+  }
+
+  private _compareToBound(value: unknown, bound: RangeBound): number {
+    const typeDelta = INDEX_TYPE_ORDER.indexOf(indexValueType(value)) - INDEX_TYPE_ORDER.indexOf(typeof bound.value);
+    if (typeDelta !== 0) return typeDelta;
+    const other = bound.value as string | number;
+    return (value as string | number) < other ? -1 : (value as string | number) > other ? 1 : 0;
+  }
+
+  // S3 lists keys in binary order of `field=value/...`. Values only sort like
+  // their keys when no shorter value is a prefix followed by a character below
+  // '/', which holds for fixed-width dates and for values without punctuation.
+  private _canStopAfter(value: string, rule: string): boolean {
+    if (rule.includes('date')) return true;
+    return !/[\u0000-.]/.test(value);
+  }
+
+  private _isLexicographicRule(rule: string): boolean {
+    if (rule.includes('date')) return true;
+    const type = rule.split('|')[0]!.trim();
+    return LEXICOGRAPHIC_TYPES.has(type);
+  }
+
+  private _transformValue(value: unknown, rule: string): { value: string; lossless: boolean } {
+    const transformed = String(this.resource.applyPartitionRule(value, rule));
+    return { value: transformed, lossless: transformed === String(value) };
+  }
+
+  private _isSearchable(field: string): boolean {
+    return this.resource.isSearchable?.(field) ?? false;
+  }
+
+  // Searchable secrets are keyed by their blind index, which only answers equality
+  private _keyValue(field: string, value: unknown, rule: string): { value: string; lossless: boolean } {
+    if (this._isSearchable(field)) {
+      return { value: this.resource.blindIndex!(field, value), lossless: true };
+    }
+    return this._transformValue(value, rule);
+  }
+
+  private _transformBound(bound: RangeBound, rule: string): { bound: RangeBound; lossless: boolean } {
+    const { value, lossless } = this._transformValue(bound.value, rule);
+    // A truncated or normalized bound widens to inclusive; post-filtering trims the edge
+    return { bound: { value, inclusive: bound.inclusive || !lossless }, lossless };
+  }
+
+  private _buildPartitionCandidate(
+    partition: string,
+    partitionDef: PartitionDefinition,
+    equalityValues: Record<string, unknown>,
+    rangeBounds: Record<string, RangeBounds>
+  ): PlanCandidate | null {
+    const sortedFields = Object.entries(partitionDef.fields).sort(([a], [b]) => a.localeCompare(b));
+    const leading: Array<[string, string]> = [];
+    const covered: string[] = [];
+
+    let index = 0;
+    for (; index < sortedFields.length; index++) {
+      const [field, rule] = sortedFields[index]!;
+      if (!Object.prototype.hasOwnProperty.call(equalityValues, field)) break;
+      const { value, lossless } = this._keyValue(field, equalityValues[field], rule);
+      leading.push([field, value]);
+      if (lossless) covered.push(field);
+    }
+
+    let range: QueryPlanRange | null = null;
+    const next = sortedFields[index];
+    if (next && rangeBounds[next[0]] && this._isLexicographicRule(next[1]) && !this._isSearchable(next[0])) {
+      const [field, rule] = next;
+      const bounds = rangeBounds[field]!;
+      const lower = bounds.lower ? this._transformBound(bounds.lower, rule) : null;
+      const upper = bounds.upper ? this._transformBound(bounds.upper, rule) : null;
+      range = { field, rule, lower: lower?.bound ?? null, upper: upper?.bound ?? null };
+      if ((lower?.lossless ?? true) && (upper?.lossless ?? true)) covered.push(field);
+      index++;
+    }
+
+    const keyFilters: StringRecord = {};
+    for (const [field, rule] of sortedFields.slice(index)) {
+      if (!Object.prototype.hasOwnProperty.call(equalityValues, field)) continue;
+      const { value, lossless } = this._keyValue(field, equalityValues[field], rule);
+      keyFilters[field] = value;
+      if (lossless) covered.push(field);
+    }
+
+    if (leading.length === 0 && !range && Object.keys(keyFilters).length === 0) {
+      return null;
+    }
+
+    return {
+      kind: 'partition',
+      name: partition,
+      leading,
+      range,
+      keyFilters,
+      covered,
+      sortServed: false,
+      totalFields: sortedFields.length
+    };
+  }
+
+  // Index fields keep their declared order and values are encoded exactly, so
+  // every pinned field is covered and ranges work for numbers as well.
+  private _buildIndexCandidate(
+    indexName: string,
+    definition: IndexDefinition,
+    equalityValues: Record<string, unknown>,
+    rangeBounds: Record<string, RangeBounds>,
+    sort: QuerySort | undefined
+  ): PlanCandidate | null {
+    const fields = definition.fields;
+    const has = (field: string): boolean => Object.prototype.hasOwnProperty.call(equalityValues, field);
+    const keyValue = (field: string): unknown => this._isSearchable(field)
+      ? this.resource.blindIndex!(field, equalityValues[field])
+      : equalityValues[field];
+    const leading: Array<[string, unknown]> = [];
+    const covered: string[] = [];
+
+    let position = 0;
+    for (; position < fields.length && has(fields[position]!); position++) {
+      const field = fields[position]!;
+      leading.push([field, keyValue(field)]);
+      covered.push(field);
+    }
+
+    let range: QueryPlanRange | null = null;
+    const next = fields[position];
+    const bounds = next ? rangeBounds[next] : undefined;
+    if (next && bounds && !this._isSearchable(next) &&
+        (!bounds.lower || !bounds.upper || typeof bounds.lower.value === typeof bounds.upper.value)) {
+      range = {
+        field: next,
+        rule: `index:${indexOrderOf(definition)}`,
+        lower: bounds.lower ?? null,
+        upper: bounds.upper ?? null
+      };
+      covered.push(next);
+    }
+
+    const keyFilters: StringRecord = {};
+    for (const field of fields.slice(leading.length + (range ? 1 : 0))) {
+      if (!has(field)) continue;
+      keyFilters[field] = keyValue(field);
+      covered.push(field);
+    }
+
+    const sortServed = this._indexServesSort(definition, leading.length, equalityValues, sort);
+
+    if (leading.length === 0 && !range && Object.keys(keyFilters).length === 0 && !sortServed) {
+      return null;
+    }
+
+    return {
+      kind: 'index',
+      name: indexName,
+      leading,
+      range,
+      keyFilters,
+      covered,
+      sortServed,
+      totalFields: fields.length
+    };
+  }
+
+  /**
+   * An index serves a sort when the sort keys, ignoring fields pinned by
+   * equality, follow the index fields after the prefix in the index's order.
+   */
+  private _indexServesSort(
+    definition: IndexDefinition,
+    leadingCount: number,
+    equalityValues: Record<string, unknown>,
+    sort: QuerySort | undefined
+  ): boolean {
+    const pinned = (field: string): boolean => Object.prototype.hasOwnProperty.call(equalityValues, field);
+    const sortKeys = Object.entries(sort || {}).filter(([field]) => !pinned(field));
+    if (sortKeys.length === 0 || sortKeys.some(([field]) => this._isSearchable(field))) return false;
+
+    const order = indexOrderOf(definition);
+    const remaining = definition.fields.slice(leadingCount).filter(field => !pinned(field));
+    if (sortKeys.length > remaining.length) return false;
+
+    return sortKeys.every(([field, direction], i) => {
+      const ascending = direction === 1 || direction === 'asc';
+      const descending = direction === -1 || direction === 'desc';
+      return remaining[i] === field && (order === 'asc' ? ascending : descending);
+    });
+  }
+
+  private _pickCandidate(filter: QueryFilter, sort?: QuerySort): PlanCandidate | null {
+    const equalityValues = extractEqualityValues(filter);
+    const candidates: PlanCandidate[] = [];
+
+    const partitionBounds = extractRangeBounds(filter);
+    for (const [partitionName, partitionDef] of Object.entries(this.partitions)) {
+      if (!partitionDef || !partitionDef.fields || Object.keys(partitionDef.fields).length === 0) {
+        continue;
+      }
+
+      const candidate = this._buildPartitionCandidate(partitionName, partitionDef, equalityValues, partitionBounds);
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    }
+
+    const indexBounds = extractRangeBounds(filter, { numbers: true });
+    for (const [indexName, definition] of Object.entries(this.indexes)) {
+      if (!definition || !Array.isArray(definition.fields) || definition.fields.length === 0) {
+        continue;
+      }
+
+      const candidate = this._buildIndexCandidate(indexName, definition, equalityValues, indexBounds, sort);
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    }
+
+    candidates.sort((a, b) => {
+      if (b.leading.length !== a.leading.length) return b.leading.length - a.leading.length;
+      if (Number(!!b.range) !== Number(!!a.range)) return Number(!!b.range) - Number(!!a.range);
+      if (Number(b.sortServed) !== Number(a.sortServed)) return Number(b.sortServed) - Number(a.sortServed);
+      const keyFiltersA = Object.keys(a.keyFilters).length;
+      const keyFiltersB = Object.keys(b.keyFilters).length;
+      if (keyFiltersB !== keyFiltersA) return keyFiltersB - keyFiltersA;
+      if (a.totalFields !== b.totalFields) return a.totalFields - b.totalFields;
+      if (a.kind !== b.kind) return a.kind === 'partition' ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+
+    return candidates[0] ?? null;
+  }
+
+  private _finalize(
+    filter: QueryFilter,
+    plan: Omit<QueryPlan, 'fullyCovered' | 'requiresPostFilter'>
+  ): QueryPlan {
+    const covered = new Set(plan.coveredFields);
+    const fullyCovered = Object.entries(filter).every(([field, expected]) => {
+      if (!covered.has(field)) return false;
+      if (!isOperatorObject(expected)) return true;
+      return Object.entries(expected).every(([operator, operand]) =>
+        COVERABLE_OPERATORS.has(operator) && (operator !== '$in' || (Array.isArray(operand) && operand.length === 1))
+      );
+    });
+
+    return {
+      ...plan,
+      fullyCovered,
+      requiresPostFilter: !fullyCovered
+    };
+  }
+}
+
+export default ResourceQueryPlanner;
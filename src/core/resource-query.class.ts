@@ -1,6 +1,18 @@
 import { tryFn } from '../concerns/try-fn.js';
 import { isNotFoundError } from '../concerns/s3-errors.js';
 import { PartitionError, mapAwsError } from '../errors.js';
+import {
+  compileFilter,
+  extractEqualityValues,
+  projectDocument,
+  sortDocuments,
+  type QueryFilter,
+  type QueryProjection,
+  type QuerySort
+} from '../concerns/query-filter.js';
+import { S3_REQUEST_PRICES, type S3RequestPrices } from '../concerns/s3-pricing.js';
+import { ResourceQueryPlanner, type QueryPlan } from './resource-query-planner.class.js';
+import type { IndexesConfig } from './resource-indexes.class.js';
 import type { StringRecord } from '../types/common.types.js';
 import { createHash } from 'node:crypto';
 
@@ -18,16 +30,24 @@ export interface PartitionsConfig {
 
 export interface ResourceConfig {
   partitions?: PartitionsConfig;
+  indexes?: IndexesConfig;
 }
 
 export interface S3Client {
   count(params: { prefix: string }): Promise<number>;
   getKeysPage(params: { prefix: string; offset: number; amount: number }): Promise<string[]>;
-  listObjects(params: { prefix: string; maxKeys: number; continuationToken?: string | null }): Promise<{
+  listObjects(params: {
+    prefix: string;
+    maxKeys: number;
+    continuationToken?: string | null;
+    startAfter?: string | null;
+  }): Promise<{
     Contents?: Array<{ Key: string }>;
     IsTruncated?: boolean;
     NextContinuationToken?: string | null;
   }>;
+  headObject(key: string): Promise<{ Metadata?: StringRecord<string> }>;
+  costs?: { requests?: { prices?: Partial<S3RequestPrices> } };
 }
 
 export interface Observer {
@@ -60,6 +80,9 @@ export interface Resource {
   executeHooks(hookName: string, data: unknown): Promise<unknown>;
   get(id: string): Promise<ResourceData>;
   applyPartitionRule(value: unknown, rule: string): string;
+  isSearchable?(field: string): boolean;
+  blindIndex?(field: string, value: unknown): string;
+  blindIndexMetadataKey?(field: string): string;
   buildPartitionPrefix(partition: string, partitionDef: PartitionDefinition, partitionValues: StringRecord): string;
   extractPartitionValuesFromKey(id: string, keys: string[], sortedFields: Array<[string, string]>): StringRecord;
   emit(event: string, ...args: unknown[]): void;
@@ -131,13 +154,44 @@ export interface QueryOptions {
   offset?: number;
   partition?: string | null;
   partitionValues?: StringRecord;
+  /** Sort by dot-path fields, e.g. `{ createdAt: -1 }`. Reads every match before limiting. */
+  sort?: QuerySort;
+  /** Inclusion list/object or exclusion object applied to each result. */
+  fields?: QueryProjection;
 }
 
-interface PartitionPlannerCandidate {
-  partition: string;
-  partitionValues: StringRecord;
-  matchCount: number;
-  totalFields: number;
+export interface ExplainOptions extends QueryOptions {
+  /** List matching keys to estimate request counts and cost. Defaults to true. */
+  estimate?: boolean;
+  /** Most LIST pages (1000 keys each) the estimate reads before it stops and reports `approximate`. Defaults to 1. */
+  estimatePages?: number;
+}
+
+export interface QueryEstimate {
+  /** Keys that survive key-level filtering and would be fetched. */
+  keys: number;
+  keysListed: number;
+  listRequests: number;
+  getRequests: number;
+  /** False when a post-filter may discard fetched objects, so GETs are an upper bound. */
+  exact: boolean;
+  /** True when the probe stopped at `estimatePages` with keys left, so counts cover only the pages read. */
+  approximate: boolean;
+  cost: {
+    list: number;
+    get: number;
+    total: number;
+  };
+}
+
+export interface QueryExplanation extends QueryPlan {
+  estimate: QueryEstimate | null;
+}
+
+interface PlanScanStats {
+  listRequests: number;
+  keysListed: number;
+  truncated?: boolean;
 }
 
 interface CursorPayload {
@@ -176,95 +230,11 @@ function decodeCursorPayload(cursor: string): CursorPayload | null {
 
 export class ResourceQuery {
   resource: Resource;
+  planner: ResourceQueryPlanner;
 
   constructor(resource: Resource) {
     this.resource = resource;
-  }
-
-  private isUsablePartitionFilterValue(value: unknown): boolean {
-    return value !== undefined && value !== null;
-  }
-
-  private buildPlannerCandidateForPartition(
-    filter: StringRecord,
-    partitionName: string,
-    partitionDef: PartitionDefinition
-  ): PartitionPlannerCandidate | null {
-    const fields = partitionDef?.fields || {};
-    const partitionValues: StringRecord = {};
-    let matchCount = 0;
-    const totalFields = Object.keys(fields).length;
-
-    for (const [fieldName, rule] of Object.entries(fields)) {
-      if (!Object.prototype.hasOwnProperty.call(filter, fieldName)) {
-        continue;
-      }
-
-      const value = filter[fieldName];
-      if (!this.isUsablePartitionFilterValue(value)) {
-        continue;
-      }
-
-      partitionValues[fieldName] = this.resource.applyPartitionRule(value, rule);
-      matchCount++;
-    }
-
-    if (matchCount === 0) {
-      return null;
-    }
-
-    return {
-      partition: partitionName,
-      partitionValues,
-      matchCount,
-      totalFields
-    };
-  }
-
-  private resolvePartitionFromFilter(filter: StringRecord): { partition: string; partitionValues: StringRecord } | null {
-    const partitionEntries = Object.entries(this.partitions);
-    if (partitionEntries.length === 0) {
-      return null;
-    }
-
-    const candidates: PartitionPlannerCandidate[] = [];
-
-    for (const [partitionName, partitionDef] of partitionEntries) {
-      if (!partitionDef || !partitionDef.fields || Object.keys(partitionDef.fields).length === 0) {
-        continue;
-      }
-
-      const candidate = this.buildPlannerCandidateForPartition(filter, partitionName, partitionDef);
-      if (candidate) {
-        candidates.push(candidate);
-      }
-    }
-
-    if (candidates.length === 0) {
-      return null;
-    }
-
-    candidates.sort((a, b) => {
-      if (b.matchCount !== a.matchCount) {
-        return b.matchCount - a.matchCount;
-      }
-
-      if (a.totalFields !== b.totalFields) {
-        return a.totalFields - b.totalFields;
-      }
-
-      return a.partition.localeCompare(b.partition);
-    });
-
-    const bestCandidate = candidates[0];
-    if (!bestCandidate) {
-      return null;
-    }
-
-    return {
-      partition: bestCandidate.partition,
-      partitionValues: bestCandidate.partitionValues
-    };
+    this.planner = new ResourceQueryPlanner(resource);
   }
 
   get client(): S3Client {
@@ -1021,57 +991,225 @@ export class ResourceQuery {
     return pageResult;
   }
 
-  async query(filter: StringRecord = {}, { limit = 100, offset = 0, partition = null, partitionValues = {} }: QueryOptions = {}): Promise<ResourceData[]> {
-    await this.resource.executeHooks('beforeQuery', { filter, limit, offset, partition, partitionValues });
+  async query(
+    filter: QueryFilter = {},
+    { limit = 100, offset = 0, partition = null, partitionValues = {}, sort, fields }: QueryOptions = {}
+  ): Promise<ResourceData[]> {
+    await this.resource.executeHooks('beforeQuery', { filter, limit, offset, partition, partitionValues, sort, fields });
+
+    const hasSort = !!sort && Object.keys(sort).length > 0;
+    const hasFields = Array.isArray(fields) ? fields.length > 0 : !!fields && Object.keys(fields).length > 0;
 
-    if (Object.keys(filter).length === 0) {
+    if (Object.keys(filter).length === 0 && !hasSort && !hasFields) {
       return await this.list({ partition, partitionValues, limit, offset });
     }
 
-    let queryPartition = partition;
-    let queryPartitionValues = partitionValues;
+    const predicate = compileFilter(filter);
+    const plan = this.planner.plan(filter, { partition, partitionValues, sort });
+    const blindIndexChecks = plan.strategy === 'full-scan' ? this._blindIndexChecks(filter) : [];
 
-    if (!partition) {
-      const plannedPartition = this.resolvePartitionFromFilter(filter);
-      if (plannedPartition) {
-        queryPartition = plannedPartition.partition;
-        queryPartitionValues = plannedPartition.partitionValues;
+    // Sorting needs every match before a page can be cut, so the scan starts at
+    // the beginning and `offset` skips sorted matches instead of listed keys.
+    // An index listed in sort order only needs the first offset + limit matches.
+    const results: ResourceData[] = [];
+    const needed = offset + limit;
+    const sortedScan = hasSort && plan.sortCovered;
+    const batchSize = hasSort && !sortedScan ? 100 : Math.max(1, Math.min(sortedScan ? needed : limit, 50));
+    let skipped = 0;
+
+    const [ok, err] = await tryFn(async () => {
+      scan: for await (const keys of this._scanPlanKeys(plan)) {
+        for (let i = 0; i < keys.length; i += batchSize) {
+          let batchKeys = keys.slice(i, i + batchSize);
+
+          if (!hasSort && skipped < offset) {
+            const skip = Math.min(offset - skipped, batchKeys.length);
+            skipped += skip;
+            batchKeys = batchKeys.slice(skip);
+            if (batchKeys.length === 0) continue;
+          }
+
+          if (blindIndexChecks.length > 0) {
+            batchKeys = await this._matchBlindIndexes(batchKeys, blindIndexChecks);
+            if (batchKeys.length === 0) continue;
+          }
+
+          const batch = await this._fetchPlanKeys(plan, batchKeys);
+          results.push(...batch.filter(doc => predicate(doc)));
+
+          if (!hasSort && results.length >= limit) {
+            break scan;
+          }
+          if (sortedScan && results.length >= needed) {
+            break scan;
+          }
+        }
       }
+    });
+
+    if (!ok) {
+      return this.handleListError(err as Error, { partition: plan.partition, partitionValues: plan.partitionValues });
     }
 
-    const results: ResourceData[] = [];
-    let currentOffset = offset;
-    const batchSize = Math.min(limit, 50);
-
-    while (results.length < limit) {
-      const batch = await this.list({
-        partition: queryPartition,
-        partitionValues: queryPartitionValues,
-        limit: batchSize,
-        offset: currentOffset
-      });
+    let finalResults = hasSort
+      ? sortDocuments(results, sort!).slice(offset, offset + limit)
+      : results.slice(0, limit);
 
-      if (batch.length === 0) {
-        break;
+    if (hasFields) {
+      finalResults = finalResults.map(doc => projectDocument(doc, fields!) as ResourceData);
+    }
+
+    return await this.resource.executeHooks('afterQuery', finalResults) as ResourceData[];
+  }
+
+  /**
+   * Describe how `query()` would run a filter: the partition and prefix it
+   * lists, any StartAfter range scan, which fields the keys answer, and an
+   * estimate of LIST/GET requests with their cost. The estimate reads at
+   * most `estimatePages` LIST pages, so previewing a large scan stays cheap.
+   */
+  async explain(
+    filter: QueryFilter = {},
+    { limit = 100, offset = 0, partition = null, partitionValues = {}, sort, estimate = true, estimatePages = 1 }: ExplainOptions = {}
+  ): Promise<QueryExplanation> {
+    compileFilter(filter);
+    const plan = this.planner.plan(filter, { partition, partitionValues, sort });
+
+    if (!estimate) {
+      return { ...plan, estimate: null };
+    }
+
+    const hasSort = !!sort && Object.keys(sort).length > 0;
+    const stats: PlanScanStats = { listRequests: 0, keysListed: 0 };
+    const needed = offset + limit;
+    let keys = 0;
+    let listRequestsAtLimit: number | null = null;
+
+    for await (const batch of this._scanPlanKeys(plan, stats, Math.max(1, estimatePages))) {
+      keys += batch.length;
+      if (listRequestsAtLimit === null && keys >= needed) {
+        listRequestsAtLimit = stats.listRequests;
       }
+    }
 
-      const filteredBatch = batch.filter(doc => {
-        return Object.entries(filter).every(([key, value]) => {
-          return doc[key] === value;
-        });
+    // Without sort (or with an index listed in sort order), a fully covered
+    // plan stops as soon as the page is filled; otherwise every candidate may
+    // need a GET before the predicate rejects it.
+    const sortedScan = hasSort && plan.sortCovered;
+    const stopsEarly = (!hasSort || sortedScan) && plan.fullyCovered;
+    const listRequests = stopsEarly && listRequestsAtLimit !== null ? listRequestsAtLimit : stats.listRequests;
+    let getRequests: number;
+    if (sortedScan) {
+      getRequests = stopsEarly ? Math.min(needed, keys) : keys;
+    } else if (hasSort) {
+      getRequests = keys;
+    } else {
+      getRequests = stopsEarly ? Math.min(limit, Math.max(0, keys - offset)) : Math.max(0, keys - offset);
+    }
+
+    const prices = { ...S3_REQUEST_PRICES, ...(this.client.costs?.requests?.prices || {}) };
+    const listCost = listRequests * prices.list;
+    const getCost = getRequests * prices.get;
+
+    return {
+      ...plan,
+      estimate: {
+        keys,
+        keysListed: stats.keysListed,
+        listRequests,
+        getRequests,
+        exact: plan.fullyCovered,
+        approximate: !!stats.truncated,
+        cost: {
+          list: listCost,
+          get: getCost,
+          total: listCost + getCost
+        }
+      }
+    };
+  }
+
+  /**
+   * List the keys a plan selects, page by page, dropping keys that fail the
+   * plan's key-level checks and ending range scans past the upper bound.
+   * With `maxPages`, stops after that many LISTs and flags `stats.truncated`.
+   */
+  private async *_scanPlanKeys(plan: QueryPlan, stats?: PlanScanStats, maxPages?: number): AsyncGenerator<string[]> {
+    let continuationToken: string | null = null;
+    let first = true;
+
+    while (first || continuationToken) {
+      const response = await this.client.listObjects({
+        prefix: plan.prefix,
+        maxKeys: 1000,
+        continuationToken,
+        startAfter: first ? plan.startAfter : null
       });
+      first = false;
 
-      results.push(...filteredBatch);
-      currentOffset += batchSize;
+      if (stats) {
+        stats.listRequests++;
+        stats.keysListed += response.Contents?.length ?? 0;
+      }
 
-      if (batch.length < batchSize) {
-        break;
+      const keys: string[] = [];
+      let stop = false;
+      for (const item of response.Contents ?? []) {
+        if (typeof item.Key !== 'string' || item.Key.length === 0) continue;
+        const match = this.planner.matchKey(plan, item.Key);
+        if (match === 'stop') {
+          stop = true;
+          break;
+        }
+        if (match === 'match') keys.push(item.Key);
+      }
+
+      if (keys.length > 0) {
+        yield keys;
+      }
+
+      if (stop) return;
+      continuationToken = response.IsTruncated ? (response.NextContinuationToken ?? null) : null;
+
+      if (continuationToken && maxPages !== undefined && stats && stats.listRequests >= maxPages) {
+        stats.truncated = true;
+        return;
       }
     }
+  }
 
-    const finalResults = results.slice(0, limit);
+  // Equality on searchable secrets compares the blind index stored in metadata
+  private _blindIndexChecks(filter: QueryFilter): Array<[string, string]> {
+    if (!this.resource.isSearchable) return [];
+    return Object.entries(extractEqualityValues(filter))
+      .filter(([field]) => this.resource.isSearchable!(field))
+      .map(([field, value]) => [this.resource.blindIndexMetadataKey!(field), this.resource.blindIndex!(field, value)]);
+  }
 
-    return await this.resource.executeHooks('afterQuery', finalResults) as ResourceData[];
+  /** Keys whose metadata does not rule the match out, found with HEADs so misses are never decrypted. */
+  private async _matchBlindIndexes(keys: string[], checks: Array<[string, string]>): Promise<string[]> {
+    const operations = keys.map(key => async () => {
+      const [ok, , head] = await tryFn(() => this.client.headObject(key));
+      if (!ok) return key;
+      const metadata = head?.Metadata || {};
+      // Values moved to the body by the behavior are left to the predicate
+      const matches = checks.every(([metaKey, expected]) => metadata[metaKey] === undefined || metadata[metaKey] === expected);
+      return matches ? key : null;
+    });
+
+    const { results } = await this.resource._executeBatchHelper(operations);
+    return results.filter((key): key is string => !!key);
+  }
+
+  private async _fetchPlanKeys(plan: QueryPlan, keys: string[]): Promise<ResourceData[]> {
+    const ids = this.extractIdsFromKeys(keys);
+    const partitionDef = plan.partition ? this.partitions[plan.partition] : undefined;
+
+    if (plan.partition && partitionDef) {
+      return this.processPartitionResults(ids, plan.partition, partitionDef, keys);
+    }
+
+    return this.processListResults(ids, 'query');
   }
 }
 
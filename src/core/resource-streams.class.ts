@@ -1,4 +1,8 @@
-import { ResourceReader, ResourceWriter } from '../stream/index.js';
+import { ResourceReader, ResourceWriter, ResourceIterator } from '../stream/index.js';
+import { PartitionError } from '../errors.js';
+import { ResourceQueryPlanner, type PlannerResource } from './resource-query-planner.class.js';
+import type { QueryFilter } from '../concerns/query-filter.js';
+import type { StringRecord } from '../types/common.types.js';
 
 interface S3Client {
   parallelism: number;
@@ -6,7 +10,7 @@ interface S3Client {
   listObjects(options: { prefix: string; continuationToken: string | null }): Promise<unknown>;
 }
 
-export interface Resource {
+export interface Resource extends PlannerResource {
   name: string;
   client: S3Client;
   get(id: string): Promise<Record<string, unknown>>;
@@ -17,11 +21,24 @@ export interface StreamBuilder {
   build(): unknown;
 }
 
+export interface IterateOptions {
+  /** Scan this partition; `partitionValues` narrows it to one value. */
+  partition?: string | null;
+  partitionValues?: StringRecord;
+  filter?: QueryFilter;
+  batchSize?: number;
+  concurrency?: number;
+  /** `cursor` of a previous iterator with the same options. */
+  cursor?: string | null;
+}
+
 export class ResourceStreams {
   resource: Resource;
+  planner: ResourceQueryPlanner;
 
   constructor(resource: Resource) {
     this.resource = resource;
+    this.planner = new ResourceQueryPlanner(resource);
   }
 
   readable(): unknown {
@@ -33,6 +50,37 @@ export class ResourceStreams {
     const stream = new ResourceWriter({ resource: this.resource });
     return (stream as StreamBuilder).build();
   }
+
+  iterate({ partition = null, partitionValues = {}, filter = {}, batchSize, concurrency, cursor }: IterateOptions = {}): ResourceIterator {
+    return new ResourceIterator({
+      resource: this.resource,
+      prefix: this.scanPrefix({ partition, partitionValues, filter }),
+      filter,
+      batchSize,
+      concurrency,
+      cursor
+    });
+  }
+
+  /**
+   * Prefix an iteration lists. Without a partition, a filter the planner can
+   * answer exactly from one partition or index prefix narrows the scan.
+   */
+  scanPrefix({ partition = null, partitionValues = {}, filter = {} }: Pick<IterateOptions, 'partition' | 'partitionValues' | 'filter'> = {}): string {
+    if (partition) {
+      const partitionDef = this.resource.config?.partitions?.[partition];
+      if (!partitionDef) {
+        throw new PartitionError(`Partition '${partition}' not found`, {
+          resourceName: this.resource.name,
+          partitionName: partition,
+          operation: 'iterate'
+        });
+      }
+      return `${this.resource.buildPartitionPrefix(partition, partitionDef, partitionValues)}/`;
+    }
+
+    return this.planner.exactPrefix(filter) ?? `resource=${this.resource.name}/data/`;
+  }
 }
 
 export default ResourceStreams;
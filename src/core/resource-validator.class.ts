@@ -211,6 +211,10 @@ export class ResourceValidator {
           processed[key] = 'any';
           continue;
         }
+        if (value.startsWith('geo:polygon')) {
+          processed[key] = 'any' + value.replace(/^geo:polygon(:\d+)?/, '');
+          continue;
+        }
         if (value.startsWith('embedding:')) {
           const lengthMatch = value.match(/embedding:(\d+)/);
           if (lengthMatch) {
@@ -257,7 +261,7 @@ export class ResourceValidator {
         const validatorTypes = [
           'string', 'number', 'boolean', 'any', 'object', 'array', 'date', 'dateonly', 'datetime', 'timeonly', 'email', 'url', 'uuid', 'mac', 'cidr', 'semver', 'phone', 'color', 'duration', 'cron', 'locale', 'currency', 'country', 'ean',
           'enum', 'custom', 'ip4', 'ip6', 'buffer', 'bits', 'money', 'crypto', 'decimal',
-          'geo:lat', 'geo:lon', 'geo:point', 'geo-lat', 'geo-lon', 'geo-point', 'secret', 'password', 'password:bcrypt', 'password:argon2id', 'embedding'
+          'geo:lat', 'geo:lon', 'geo:point', 'geo:polygon', 'geo-lat', 'geo-lon', 'geo-point', 'geo-polygon', 'secret', 'password', 'password:bcrypt', 'password:argon2id', 'embedding'
         ];
         const objValue = value as ValidatorConfig;
         const typeValue = objValue.type;
@@ -302,7 +306,7 @@ export class ResourceValidator {
               min: cleanValue.min !== undefined ? cleanValue.min : -180,
               max: cleanValue.max !== undefined ? cleanValue.max : 180
             };
-          } else if (cleanValue.type === 'geo:point' || cleanValue.type === 'geo-point') {
+          } else if (cleanValue.type === 'geo:point' || cleanValue.type === 'geo-point' || cleanValue.type === 'geo:polygon' || cleanValue.type === 'geo-polygon') {
             processed[key] = { ...cleanValue, type: 'any' };
           } else if (cleanValue.type === 'object' && cleanValue.properties) {
             processed[key] = {
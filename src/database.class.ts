@@ -10,7 +10,10 @@ import { createLogger, getLoggerOptionsFromEnv, type Logger } from './concerns/l
 
 import { DatabaseHooks } from './database/database-hooks.class.js';
 import { DatabaseCoordinators } from './database/database-coordinators.class.js';
-import { DatabaseRecovery } from './database/database-recovery.class.js';
+import { DatabaseRecovery, type RecoverTransactionsOptions, type RecoveredTransaction } from './database/database-recovery.class.js';
+import { DatabaseTransactions, type TransactionCallback } from './database/database-transactions.class.js';
+import { DatabaseEncryption, type KeyRotation, type RotateEncryptionKeyOptions } from './database/database-encryption.class.js';
+import type { TransactionOptions } from './database/transaction.class.js';
 import { DatabaseMetadata } from './database/database-metadata.class.js';
 import { DatabasePlugins } from './database/database-plugins.class.js';
 import { DatabaseResources, type CreateResourceConfig, type HashExistsResult } from './database/database-resources.class.js';
@@ -146,6 +149,8 @@ export class Database extends SafeEventEmitter {
   private _pluginsModule: DatabasePlugins;
   private _resourcesModule: DatabaseResources;
   private _connectionModule: DatabaseConnection;
+  private _transactionsModule: DatabaseTransactions;
+  private _encryptionModule: DatabaseEncryption;
 
   constructor(options: DatabaseOptions) {
     super({
@@ -268,6 +273,8 @@ export class Database extends SafeEventEmitter {
     );
 
     this._connectionModule.registerExitListener();
+    this._transactionsModule = new DatabaseTransactions(this as any);
+    this._encryptionModule = new DatabaseEncryption(this as any);
   }
 
   private _initializeClient(options: DatabaseOptions): void {
@@ -515,6 +522,30 @@ export class Database extends SafeEventEmitter {
     return this._coordinatorsModule.getGlobalCoordinator(namespace, options);
   }
 
+  /**
+   * Run `fn` with staged reads and writes across resources and commit them
+   * together. Throws TransactionConflictError (nothing applied) when a record
+   * it used changed before commit; `retries` re-runs `fn` on conflict.
+   */
+  async transaction<T>(fn: TransactionCallback<T>, options: TransactionOptions = {}): Promise<T> {
+    return this._transactionsModule.transaction(fn, options);
+  }
+
+  /** Roll forward or back commits interrupted midway. Also runs on connect(). */
+  async recoverTransactions(options: RecoverTransactionsOptions = {}): Promise<RecoveredTransaction[]> {
+    return this._recoveryModule.recoverTransactions(options);
+  }
+
+  /**
+   * Make `to` the keyring's active master key and re-encrypt, in the
+   * background, the secret fields of records still under `from` (default:
+   * any other key, including the legacy passphrase). Await `rotation.done`
+   * for the result; progress is also emitted as `db:key-rotation-progress`.
+   */
+  async rotateEncryptionKey(options: RotateEncryptionKeyOptions): Promise<KeyRotation> {
+    return this._encryptionModule.rotateEncryptionKey(options);
+  }
+
   async createResource(config: CreateResourceConfig): Promise<Resource> {
     await this._hooksModule.executeHooks('beforeCreateResource', { config });
 
@@ -139,6 +139,8 @@ export class DatabaseConnection {
           cache: db.cache as boolean,
           timestamps: versionData.timestamps !== undefined ? versionData.timestamps : false,
           partitions: resourceMetadata.partitions || versionData.partitions || {},
+          indexes: versionData.indexes,
+          changeFeed: versionData.changeFeed,
           paranoid: versionData.paranoid !== undefined ? versionData.paranoid : true,
           allNestedObjectsOptional: versionData.allNestedObjectsOptional !== undefined ? versionData.allNestedObjectsOptional : true,
           autoDecrypt: versionData.autoDecrypt !== undefined ? versionData.autoDecrypt : true,
@@ -170,6 +172,11 @@ export class DatabaseConnection {
       await this.metadata.scheduleMetadataUpload();
     }
 
+    const [recoveryOk, recoveryErr] = await tryFn(() => this.recovery.recoverTransactions());
+    if (!recoveryOk) {
+      db.logger.warn({ error: (recoveryErr as Error)?.message }, 'transaction recovery failed');
+    }
+
     db.logger.info({
       databaseId: db.id,
       resourceCount: Object.keys(db.resources).length,
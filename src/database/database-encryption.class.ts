@@ -0,0 +1,277 @@
+import { idGenerator } from '../concerns/id.js';
+import { Keyring, LEGACY_KEY_ID, decryptSecret } from '../concerns/keyring.js';
+import { mapWithConcurrency } from '../concerns/map-with-concurrency.js';
+import type { SecurityConfig } from '../concerns/password-hashing.js';
+import { isPreconditionFailed } from '../concerns/s3-errors.js';
+import tryFn, { tryFnSync } from '../concerns/try-fn.js';
+import { CryptoError } from '../errors.js';
+import type { Resource } from '../resource.class.js';
+import type { DatabaseRef } from './types.js';
+
+export interface RotateEncryptionKeyOptions {
+  /** Only re-encrypt records holding values under this key (a key id, or 'passphrase' for pre-keyring values). Default: every key but `to`. */
+  from?: string;
+  /** Master key for new and re-encrypted values; becomes the keyring's active key. */
+  to: string;
+  /** Resources to rotate (default: every resource with secret fields). */
+  resources?: string[];
+  concurrency?: number;
+  /** Ids listed and processed per step; progress is reported after each. */
+  batchSize?: number;
+  onProgress?: (progress: KeyRotationProgress) => void;
+}
+
+export interface KeyRotationProgress {
+  id: string;
+  from: string | null;
+  to: string;
+  status: 'running' | 'completed' | 'cancelled' | 'failed';
+  resource: string | null;
+  resources: number;
+  resourcesDone: number;
+  processed: number;
+  rotated: number;
+  skipped: number;
+  failed: number;
+  startedAt: string;
+  finishedAt: string | null;
+}
+
+export interface KeyRotationResult extends KeyRotationProgress {
+  errors: Array<{ resource: string; id: string; message: string }>;
+}
+
+export interface KeyRotation {
+  id: string;
+  readonly progress: KeyRotationProgress;
+  /** Settles when every record was visited or the rotation was cancelled. */
+  done: Promise<KeyRotationResult>;
+  /** Stop after the batch in flight. */
+  cancel(): void;
+}
+
+/** Reads and conditional writes per record before a rotation gives up on it. */
+const ROTATE_ATTEMPTS = 5;
+
+interface RotationTarget {
+  resource: Resource;
+  keyring: Keyring;
+  fields: string[];
+}
+
+export class DatabaseEncryption {
+  constructor(private database: DatabaseRef) {}
+
+  async rotateEncryptionKey(options: RotateEncryptionKeyOptions): Promise<KeyRotation> {
+    const { from = null, to, concurrency = 5, batchSize = 100, onProgress } = options;
+    Keyring.assertKeyId(to);
+
+    const targets = this._targets(options.resources);
+    const keyrings = [...new Set(targets.map(target => target.keyring))];
+
+    // Fail before anything is written if the new key is unusable
+    for (const keyring of keyrings) {
+      const [ok, err] = await tryFn(async () => keyring.decrypt(await keyring.encrypt('probe', to)));
+      if (!ok) {
+        throw new CryptoError(`Master key '${to}' is not usable`, {
+          original: err,
+          suggestion: 'Create the key in the KMS before rotating to it.'
+        });
+      }
+      keyring.setActiveKey(to);
+    }
+
+    const progress: KeyRotationProgress = {
+      id: idGenerator(),
+      from,
+      to,
+      status: 'running',
+      resource: null,
+      resources: targets.length,
+      resourcesDone: 0,
+      processed: 0,
+      rotated: 0,
+      skipped: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    const errors: KeyRotationResult['errors'] = [];
+    let cancelled = false;
+
+    const report = (): void => {
+      const snapshot = { ...progress };
+      onProgress?.(snapshot);
+      this.database.emit('db:key-rotation-progress', snapshot);
+    };
+
+    const run = async (): Promise<KeyRotationResult> => {
+      for (const target of targets) {
+        if (cancelled) break;
+        progress.resource = target.resource.name;
+
+        for (let offset = 0; !cancelled; offset += batchSize) {
+          const ids = await target.resource.listIds({ limit: batchSize, offset });
+          if (ids.length === 0) break;
+
+          const { results, errors: failures } = await mapWithConcurrency(
+            ids,
+            id => this._rotateRecord(target, id, from, to),
+            { concurrency }
+          );
+          for (const rotated of results) {
+            if (rotated) progress.rotated++;
+            else progress.skipped++;
+          }
+          for (const failure of failures) {
+            errors.push({ resource: target.resource.name, id: String(failure.item), message: failure.message });
+          }
+          progress.failed += failures.length;
+          progress.processed += ids.length;
+          report();
+
+          if (ids.length < batchSize) break;
+        }
+
+        if (!cancelled) progress.resourcesDone++;
+      }
+
+      progress.resource = null;
+      progress.status = cancelled ? 'cancelled' : 'completed';
+      progress.finishedAt = new Date().toISOString();
+      const result = { ...progress, errors };
+      this.database.emit('db:key-rotation-completed', result);
+      return result;
+    };
+
+    const done = run().catch(error => {
+      progress.status = 'failed';
+      progress.finishedAt = new Date().toISOString();
+      this.database.emit('db:key-rotation-failed', { ...progress, error });
+      throw error;
+    });
+    done.catch(() => {});
+
+    return {
+      id: progress.id,
+      get progress() {
+        return { ...progress };
+      },
+      done,
+      cancel: () => {
+        cancelled = true;
+      }
+    };
+  }
+
+  /**
+   * Re-encrypt the stored secret values of one record under `to`; false when it
+   * had nothing to move. Only the raw ciphertexts change: the object is written
+   * back with If-Match on the ETag that was read, so timestamps, hooks, events
+   * and replicators never see a rotation, and a concurrent write wins and is
+   * rotated on the next attempt.
+   */
+  private async _rotateRecord(target: RotationTarget, id: string, from: string | null, to: string): Promise<boolean> {
+    const { keyring, resource, fields } = target;
+    const key = resource.getResourceKey(id);
+
+    for (let attempt = 1; ; attempt++) {
+      const object = await resource.client.getObject(key);
+      const schema = await resource.getSchemaForVersion(String(object.Metadata?._v || resource.version));
+      const metadata: Record<string, string> = { ...(object.Metadata || {}) };
+      const body = object.Body?.transformToByteArray
+        ? Buffer.from(await object.Body.transformToByteArray())
+        : Buffer.alloc(0);
+      // body-overflow and body-only keep mapped fields in a JSON body
+      const [, , parsed] = tryFnSync(() => JSON.parse(body.toString('utf-8')));
+      const bodyFields = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed as Record<string, unknown> : null;
+
+      let changed = false;
+      for (const field of fields) {
+        const mappedKey = schema.map?.[field] || field;
+        for (const holder of [metadata, bodyFields]) {
+          const value = holder?.[mappedKey];
+          if (typeof value !== 'string' || value === '') continue;
+
+          const rotated = await rotateValue(value, schema.security, keyring, from, to);
+          if (rotated !== null) {
+            holder![mappedKey] = rotated;
+            changed = true;
+          }
+        }
+      }
+      if (!changed) return false;
+
+      const [ok, err] = await tryFn(() => resource.client.putObject({
+        key,
+        metadata,
+        body: bodyFields ? JSON.stringify(bodyFields) : body,
+        contentType: object.ContentType,
+        contentEncoding: object.ContentEncoding,
+        ifMatch: object.ETag
+      }));
+      if (ok) return true;
+      if (!isPreconditionFailed(err) || attempt >= ROTATE_ATTEMPTS) throw err;
+    }
+  }
+
+  private _targets(names?: string[]): RotationTarget[] {
+    const resources = names
+      ? names.map(name => {
+        const resource = this.database.resources[name];
+        if (!resource) {
+          throw new CryptoError(`Resource '${name}' not found`, { suggestion: 'Pass existing resource names in resources.' });
+        }
+        return resource;
+      })
+      : Object.values(this.database.resources);
+
+    const targets: RotationTarget[] = [];
+    for (const resource of resources) {
+      const fields = secretFields(resource);
+      if (fields.length === 0) continue;
+
+      const keyring = resource.security?.keyring || this.database.security?.keyring;
+      if (!keyring) {
+        throw new CryptoError(`Resource '${resource.name}' has secret fields but no keyring`, {
+          suggestion: 'Set security.keyring on the database (or the resource) before rotating.'
+        });
+      }
+      targets.push({ resource, keyring, fields });
+    }
+    return targets;
+  }
+}
+
+/**
+ * `value` re-encrypted under `to`, or null when it is already there, is under a
+ * key other than `from`, or is not a ciphertext (the validator stores values
+ * that fail to encrypt as they are).
+ */
+async function rotateValue(
+  value: string,
+  security: SecurityConfig,
+  keyring: Keyring,
+  from: string | null,
+  to: string
+): Promise<string | null> {
+  if (Keyring.isEnvelope(value)) {
+    const keyId = Keyring.keyIdOf(value);
+    if (keyId === to || (from !== null && keyId !== from)) return null;
+    return keyring.rewrap(value, to);
+  }
+
+  if (from !== null && from !== LEGACY_KEY_ID) return null;
+  const [ok, , plaintext] = await tryFn<string>(() => decryptSecret(value, security));
+  return ok ? keyring.encrypt(plaintext!, to) : null;
+}
+
+/** Flattened names of the attributes the schema decrypts on read. */
+function secretFields(resource: Resource): string[] {
+  const hooks = (resource.schema as unknown as { options?: { hooks?: { afterUnmap?: Record<string, unknown[]> } } })
+    .options?.hooks?.afterUnmap || {};
+  return Object.entries(hooks)
+    .filter(([, actions]) => actions.some(action =>
+      action === 'decrypt' || (action as { action?: string })?.action === 'decrypt'))
+    .map(([name]) => name);
+}
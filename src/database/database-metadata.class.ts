@@ -97,6 +97,10 @@ export class DatabaseMetadata {
       behavior: behavior || definition.behavior || 'user-managed',
       partitions: definition.partitions || {},
     };
+    // Added only when present so resources without indexes keep their existing hash
+    if (definition.indexes && Object.keys(definition.indexes).length > 0) {
+      (hashObj as StringRecord).indexes = definition.indexes;
+    }
     const stableString = jsonStableStringify(hashObj);
     return `sha256:${createHash('sha256').update(stableString!).digest('hex')}`;
   }
@@ -311,6 +315,8 @@ export class DatabaseMetadata {
         behavior: (serializableDef.behavior || 'user-managed') as BehaviorType,
         timestamps: serializableDef.timestamps,
         partitions: serializableDef.partitions,
+        indexes: serializableDef.indexes,
+        changeFeed: serializableDef.changeFeed,
         paranoid: serializableDef.paranoid,
         allNestedObjectsOptional: serializableDef.allNestedObjectsOptional,
         autoDecrypt: serializableDef.autoDecrypt,
@@ -1,6 +1,36 @@
 import tryFn, { tryFnSync } from '../concerns/try-fn.js';
+import { isNotFoundError } from '../concerns/s3-errors.js';
+import {
+  TRANSACTION_INTENT_PREFIX,
+  applyOperation,
+  type AppliedOperation,
+  currentEtag,
+  operationApplied,
+  rollbackOperations,
+  transactionIntentKey,
+  type TransactionDatabase,
+  type TransactionIntent,
+  type TransactionOperation
+} from './transaction.class.js';
 import type { DatabaseRef, SavedMetadata, ResourceMetadata, HookSummary, StringRecord } from './types.js';
 
+export interface RecoverTransactionsOptions {
+  /** Leave intents younger than this alone; their commit may still be running. */
+  olderThanMs?: number;
+}
+
+export interface RecoveredTransaction {
+  transactionId: string;
+  action: 'rolled-forward' | 'rolled-back' | 'failed';
+  error?: string;
+}
+
+interface OperationState {
+  state: 'applied' | 'pending' | 'conflicted';
+  /** ETag the record has now; for applied operations, the one the commit wrote. */
+  etag: string | null;
+}
+
 export class DatabaseRecovery {
   constructor(private database: DatabaseRef) {}
 
@@ -288,4 +318,88 @@ export class DatabaseRecovery {
       throw err;
     }
   }
+
+  /**
+   * Finish commits that stopped midway, from the intents they left in
+   * `transactions/`. When every operation is either applied or still
+   * applicable (the record has the ETag the commit expected), the pending ones
+   * are applied. If any record changed in the meantime, the applied ones are
+   * rolled back instead.
+   */
+  async recoverTransactions({ olderThanMs = 60_000 }: RecoverTransactionsOptions = {}): Promise<RecoveredTransaction[]> {
+    const db = this.database as unknown as TransactionDatabase & DatabaseRef;
+    const keys = await db.client.getAllKeys({ prefix: TRANSACTION_INTENT_PREFIX });
+    const recovered: RecoveredTransaction[] = [];
+
+    for (const key of keys) {
+      const [readOk, readErr, intent] = await tryFn(async () => {
+        const { streamToString } = await import('../stream/index.js');
+        const response = await db.client.getObject(key);
+        return JSON.parse(await streamToString((response as any)?.Body)) as TransactionIntent;
+      });
+      if (!readOk) {
+        if (!isNotFoundError(readErr)) {
+          db.logger.warn({ key, error: (readErr as Error)?.message }, 'unreadable transaction intent');
+        }
+        continue;
+      }
+
+      if (Date.now() - new Date(intent!.createdAt).getTime() < olderThanMs) continue;
+
+      const result = await this._recoverTransaction(db, intent!);
+      recovered.push(result);
+      if (result.action !== 'failed') {
+        await tryFn(() => db.client.deleteObject(transactionIntentKey(intent!.id)));
+      }
+      db.emit('db:transaction-recovered', result);
+      db.logger.warn({ ...result }, `recovered transaction ${result.transactionId}: ${result.action}`);
+    }
+
+    return recovered;
+  }
+
+  private async _recoverTransaction(db: TransactionDatabase, intent: TransactionIntent): Promise<RecoveredTransaction> {
+    const [ok, err, action] = await tryFn(async () => {
+      const states: OperationState[] = [];
+      for (const operation of intent.operations) {
+        states.push(await this._operationState(db, operation));
+      }
+
+      const applied: AppliedOperation[] = intent.operations
+        .map((operation, i) => ({ operation, etag: states[i]!.etag }))
+        .filter((_, i) => states[i]!.state === 'applied');
+      if (!states.some(({ state }) => state === 'conflicted')) {
+        const [forwardOk] = await tryFn(async () => {
+          for (const [i, operation] of intent.operations.entries()) {
+            if (states[i]!.state !== 'pending') continue;
+            applied.push({ operation, etag: await applyOperation(db, intent.id, operation) });
+          }
+        });
+        if (forwardOk) return 'rolled-forward' as const;
+      }
+
+      const failures = await rollbackOperations(db, intent.id, applied);
+      if (failures.length > 0) throw failures[0]!.error;
+      return 'rolled-back' as const;
+    });
+
+    return ok
+      ? { transactionId: intent.id, action: action! }
+      : { transactionId: intent.id, action: 'failed', error: (err as Error)?.message };
+  }
+
+  private async _operationState(db: TransactionDatabase, operation: TransactionOperation): Promise<OperationState> {
+    const resource = db.resources[operation.resource];
+    if (!resource) return { state: 'conflicted', etag: null };
+
+    const etag = await currentEtag(db, resource, operation.id);
+    if (operation.type !== 'insert' && etag !== null && etag === operation.expectedEtag) return { state: 'pending', etag };
+    if (operation.type === 'insert' && etag === null) return { state: 'pending', etag };
+    if (operation.type === 'delete') return { state: etag === null ? 'applied' : 'conflicted', etag };
+    if (etag === null) return { state: 'conflicted', etag };
+
+    const record = await resource.getOrNull(operation.id);
+    const state = await operationApplied(resource, operation, record) ? 'applied' : 'conflicted';
+    return { state, etag: (record?._etag as string | undefined) ?? etag };
+  }
 }
@@ -5,6 +5,7 @@ import type Resource from '../resource.class.js';
 import type { ResourceExport } from '../resource.class.js';
 import type { HooksCollection } from '../core/resource-hooks.class.js';
 import type { PartitionsConfig } from '../core/resource-query.class.js';
+import type { IndexesConfig } from '../core/resource-indexes.class.js';
 import type { AttributesSchema } from '../core/resource-validator.class.js';
 import type { MiddlewareFunction, SupportedMethod } from '../core/resource-middleware.class.js';
 import type { StringRecord, EventHandler } from '../types/common.types.js';
@@ -34,6 +35,8 @@ export interface CreateResourceConfig {
   middlewares?: MiddlewareFunction[] | StringRecord<MiddlewareFunction | MiddlewareFunction[]>;
   timestamps?: boolean;
   partitions?: PartitionsConfig | string[];
+  indexes?: IndexesConfig;
+  changeFeed?: boolean;
   paranoid?: boolean;
   cache?: boolean;
   autoDecrypt?: boolean;
@@ -190,6 +193,8 @@ export class DatabaseResources {
       cache: config.cache !== undefined ? config.cache : db.cache as boolean,
       timestamps: config.timestamps !== undefined ? config.timestamps : false,
       partitions: normalizedPartitions,
+      indexes: config.indexes,
+      changeFeed: config.changeFeed,
       paranoid: config.paranoid !== undefined ? config.paranoid : true,
       allNestedObjectsOptional: config.allNestedObjectsOptional !== undefined ? config.allNestedObjectsOptional : true,
       autoDecrypt: config.autoDecrypt !== undefined ? config.autoDecrypt : true,
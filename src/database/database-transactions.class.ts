@@ -0,0 +1,58 @@
+import tryFn from '../concerns/try-fn.js';
+import { TransactionConflictError, TransactionError } from '../errors.js';
+import {
+  Transaction,
+  type TransactionDatabase,
+  type TransactionOptions,
+  type TransactionResourceHandle
+} from './transaction.class.js';
+import type { DatabaseRef, StringRecord } from './types.js';
+
+/** Callback argument: `tx.users` is the staged view of the `users` resource. */
+export type TransactionScope = StringRecord<TransactionResourceHandle> & {
+  readonly id: string;
+  resource(name: string): TransactionResourceHandle;
+};
+
+export type TransactionCallback<T> = (tx: TransactionScope) => Promise<T> | T;
+
+export class DatabaseTransactions {
+  constructor(private database: DatabaseRef) {}
+
+  async transaction<T>(fn: TransactionCallback<T>, { retries = 0 }: TransactionOptions = {}): Promise<T> {
+    if (typeof fn !== 'function') {
+      throw new TransactionError('db.transaction() requires a callback', {
+        suggestion: 'Pass an async function: db.transaction(async (tx) => { ... })'
+      });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const tx = new Transaction(this.database as unknown as TransactionDatabase);
+
+      const [ok, err, result] = await tryFn(async () => {
+        const value = await fn(this._scope(tx));
+        await tx.commit();
+        return value;
+      });
+      tx.abort();
+
+      if (ok) return result as T;
+      if (err instanceof TransactionConflictError && attempt < retries) {
+        this.database.logger.debug({ transactionId: tx.id, attempt: attempt + 1 }, 'transaction conflict, retrying');
+        continue;
+      }
+      throw err;
+    }
+  }
+
+  private _scope(tx: Transaction): TransactionScope {
+    return new Proxy({} as TransactionScope, {
+      get: (_target, prop) => {
+        if (typeof prop !== 'string' || prop === 'then') return undefined;
+        if (prop === 'id') return tx.id;
+        if (prop === 'resource') return (name: string) => tx.resource(name);
+        return tx.resource(prop);
+      }
+    });
+  }
+}
@@ -1,8 +1,24 @@
 export * from './types.js';
 export { DatabaseHooks, HOOK_EVENTS } from './database-hooks.class.js';
 export { DatabaseCoordinators } from './database-coordinators.class.js';
-export { DatabaseRecovery } from './database-recovery.class.js';
+export { DatabaseRecovery, type RecoverTransactionsOptions, type RecoveredTransaction } from './database-recovery.class.js';
 export { DatabaseMetadata } from './database-metadata.class.js';
 export { DatabasePlugins } from './database-plugins.class.js';
 export { DatabaseResources, type CreateResourceConfig, type ResourceApiConfig, type HashExistsResult } from './database-resources.class.js';
 export { DatabaseConnection } from './database-connection.class.js';
+export {
+  DatabaseEncryption,
+  type RotateEncryptionKeyOptions,
+  type KeyRotation,
+  type KeyRotationProgress,
+  type KeyRotationResult
+} from './database-encryption.class.js';
+export { DatabaseTransactions, type TransactionScope, type TransactionCallback } from './database-transactions.class.js';
+export {
+  Transaction,
+  TransactionResourceHandle,
+  TRANSACTION_INTENT_PREFIX,
+  type TransactionIntent,
+  type TransactionOperation,
+  type TransactionOptions
+} from './transaction.class.js';
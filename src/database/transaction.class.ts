@@ -0,0 +1,564 @@
+import { cloneDeep, get, set } from 'lodash-es';
+
+import tryFn from '../concerns/try-fn.js';
+import { idGenerator } from '../concerns/id.js';
+import { isNotFoundError, isPreconditionFailed } from '../concerns/s3-errors.js';
+import { compareValues, getPathValue } from '../concerns/query-filter.js';
+import type { SecurityConfig } from '../concerns/password-hashing.js';
+import { SchemaActions } from '../schema.class.js';
+import {
+  InvalidResourceItem,
+  ResourceNotFound,
+  TransactionConflictError,
+  TransactionError
+} from '../errors.js';
+import type { StringRecord } from '../types/common.types.js';
+
+/** Intents live outside every `resource=` prefix so scans never see them. */
+export const TRANSACTION_INTENT_PREFIX = 'transactions/';
+
+/** `replace` is an insert of a record the same transaction deleted. */
+export type TransactionOperationType = 'insert' | 'update' | 'replace' | 'delete';
+
+/**
+ * One write of a commit, as stored in the intent object. Values are in the
+ * form the record stores them: secret fields encrypted, passwords hashed.
+ */
+export interface TransactionOperation {
+  resource: string;
+  id: string;
+  type: TransactionOperationType;
+  /** ETag the record had when it was read; null when it must not exist. */
+  expectedEtag: string | null;
+  /** Full record for inserts and replaces, merged patch for updates. */
+  data: StringRecord | null;
+  /** Record before the transaction, used to roll back. */
+  before: StringRecord | null;
+}
+
+/** An operation that was written, with the ETag the write produced (null for deletes). */
+export interface AppliedOperation {
+  operation: TransactionOperation;
+  etag: string | null;
+}
+
+export interface TransactionIntent {
+  id: string;
+  status: 'pending';
+  createdAt: string;
+  operations: TransactionOperation[];
+}
+
+export interface TransactionOptions {
+  /** Run the callback again this many times when the commit hits a conflict. */
+  retries?: number;
+}
+
+interface TransactionClient {
+  config: { bucket: string };
+  headObject(key: string): Promise<{ ETag?: string }>;
+  putObject(params: { key: string; body: string; contentType?: string; ifNoneMatch?: string }): Promise<unknown>;
+  deleteObject(key: string): Promise<unknown>;
+}
+
+interface ConditionalResult {
+  success: boolean;
+  error?: string;
+  etag?: string;
+  validationErrors?: unknown[];
+}
+
+interface SecretSchema {
+  security?: SecurityConfig;
+  options?: { hooks?: { beforeMap?: StringRecord<unknown[]> } };
+}
+
+export interface TransactionalResource {
+  name: string;
+  idGenerator: ((data?: unknown) => string | Promise<string>) | null | unknown;
+  idGeneratorType?: string;
+  getResourceKey(id: string): string;
+  schema?: SecretSchema | null;
+  getOrNull(id: string): Promise<StringRecord | null>;
+  validate(data: StringRecord, options?: { includeId?: boolean }): Promise<{ isValid: boolean; errors?: unknown[]; data?: StringRecord }>;
+  insert(data: StringRecord): Promise<StringRecord>;
+  updateConditional(id: string, attributes: StringRecord, options: { ifMatch: string }): Promise<ConditionalResult>;
+  replace(id: string, data: StringRecord, options?: { ifMatch?: string }): Promise<StringRecord>;
+  delete(id: string): Promise<unknown>;
+}
+
+export interface TransactionDatabase {
+  client: TransactionClient;
+  resources: StringRecord<TransactionalResource>;
+  emit(event: string, data?: unknown): unknown;
+}
+
+interface RecordState {
+  resource: TransactionalResource;
+  id: string;
+  expectedEtag: string | null;
+  /** Record as read, secret fields encrypted. */
+  before: StringRecord | null;
+  /** Record as this transaction sees it; null once deleted. */
+  current: StringRecord | null;
+  type: TransactionOperationType | null;
+  data: StringRecord | null;
+  /** Fields an update patched, dot paths included. */
+  patched: string[];
+}
+
+export function transactionIntentKey(transactionId: string): string {
+  return `${TRANSACTION_INTENT_PREFIX}tx=${transactionId}.json`;
+}
+
+/** Strip `_etag`, `_v` and the other read-only fields `get()` adds. */
+function recordData(record: StringRecord | null): StringRecord | null {
+  if (!record) return null;
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_')));
+}
+
+/** Flattened names of the attributes the schema encrypts on write. */
+function secretFields(resource: TransactionalResource): string[] {
+  const hooks = resource.schema?.options?.hooks?.beforeMap || {};
+  return Object.entries(hooks)
+    .filter(([, actions]) => actions.some(action =>
+      action === 'encrypt' || (action as { action?: string })?.action === 'encrypt'))
+    .map(([name]) => name);
+}
+
+/** Copy of `record` with its secret fields encrypted or decrypted, the way the schema does it. */
+async function convertSecrets(
+  resource: TransactionalResource,
+  record: StringRecord | null,
+  action: 'encrypt' | 'decrypt'
+): Promise<StringRecord | null> {
+  const fields = record ? secretFields(resource) : [];
+  if (fields.length === 0) return record;
+
+  const converted = cloneDeep(record!);
+  for (const field of fields) {
+    const value = get(converted, field);
+    if (value === undefined || value === null) continue;
+    set(converted, field, await SchemaActions[action](value, { security: resource.schema!.security }));
+  }
+  return converted;
+}
+
+/** Same merge rules as `updateConditional`: dot paths set nested keys, objects merge one level. */
+function mergePatch(target: StringRecord, patch: StringRecord): StringRecord {
+  const merged: StringRecord = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (key.includes('.')) {
+      const parts = key.split('.');
+      let ref: StringRecord = merged;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const part = parts[i]!;
+        ref[part] = typeof ref[part] === 'object' && ref[part] !== null ? { ...(ref[part] as StringRecord) } : {};
+        ref = ref[part] as StringRecord;
+      }
+      ref[parts[parts.length - 1]!] = value;
+    } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      merged[key] = { ...((merged[key] as StringRecord) || {}), ...(value as StringRecord) };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function conflict(transactionId: string, operation: TransactionOperation | RecordState, reason: string, original?: unknown): TransactionConflictError {
+  const resourceName = 'resource' in operation && typeof operation.resource === 'string'
+    ? operation.resource
+    : (operation.resource as TransactionalResource).name;
+  return new TransactionConflictError(`Transaction ${transactionId} conflicts on ${resourceName}/${operation.id}: ${reason}`, {
+    transactionId,
+    resourceName,
+    id: operation.id,
+    original
+  });
+}
+
+/** Current ETag of a record, or null when it does not exist. */
+export async function currentEtag(db: TransactionDatabase, resource: TransactionalResource, id: string): Promise<string | null> {
+  const [ok, err, head] = await tryFn(() => db.client.headObject(resource.getResourceKey(id)));
+  if (ok) return head?.ETag ?? null;
+  if (isNotFoundError(err)) return null;
+  throw err;
+}
+
+/** Whether the record (as `getOrNull()` returns it) already holds what `operation` writes. */
+export async function operationApplied(
+  resource: TransactionalResource,
+  operation: TransactionOperation,
+  record: StringRecord | null
+): Promise<boolean> {
+  if (operation.type === 'delete') return record === null;
+  if (!record) return false;
+  const data = await convertSecrets(resource, operation.data, 'decrypt');
+  return Object.entries(data || {}).every(([field, value]) =>
+    field === 'id' || compareValues(getPathValue(record, field), value) === 0
+  );
+}
+
+function resolveResource(db: TransactionDatabase, operation: TransactionOperation): TransactionalResource {
+  const resource = db.resources[operation.resource];
+  if (!resource) {
+    throw new TransactionError(`Resource '${operation.resource}' used by a transaction no longer exists`, {
+      resourceName: operation.resource,
+      id: operation.id,
+      operation: operation.type
+    });
+  }
+  return resource;
+}
+
+/**
+ * Write one operation with the same precondition the commit validated:
+ * inserts use If-None-Match, updates and replaces If-Match on the expected
+ * ETag. Returns the ETag the write produced (null for deletes).
+ */
+export async function applyOperation(db: TransactionDatabase, transactionId: string, operation: TransactionOperation): Promise<string | null> {
+  const resource = resolveResource(db, operation);
+
+  if (operation.type === 'insert') {
+    const [ok, err, record] = await tryFn(() => resource.insert({ ...operation.data, id: operation.id }));
+    if (ok) return (record?._etag as string | undefined) ?? null;
+    if (err instanceof InvalidResourceItem && /already exists/.test(err.message)) {
+      throw conflict(transactionId, operation, 'record already exists', err);
+    }
+    throw err;
+  }
+
+  if (operation.type === 'replace') {
+    const { id: _id, ...data } = operation.data || {};
+    const [ok, err, record] = await tryFn(() => resource.replace(operation.id, data, { ifMatch: operation.expectedEtag! }));
+    if (ok) return (record?._etag as string | undefined) ?? null;
+    if (isPreconditionFailed(err)) throw conflict(transactionId, operation, 'record changed', err);
+    throw err;
+  }
+
+  if (operation.type === 'update') {
+    const result = await resource.updateConditional(operation.id, operation.data || {}, { ifMatch: operation.expectedEtag! });
+    if (result.success) return result.etag ?? null;
+    if (result.validationErrors) {
+      throw new TransactionError(`Transaction ${transactionId} update of ${operation.resource}/${operation.id} failed: ${result.error}`, {
+        transactionId,
+        resourceName: operation.resource,
+        id: operation.id,
+        validation: result.validationErrors
+      });
+    }
+    throw conflict(transactionId, operation, result.error || 'record changed');
+  }
+
+  // DeleteObject has no ETag precondition on every backend: check just before
+  if (await currentEtag(db, resource, operation.id) !== operation.expectedEtag) {
+    throw conflict(transactionId, operation, 'record changed');
+  }
+  await resource.delete(operation.id);
+  return null;
+}
+
+/**
+ * Put records back as they were before the transaction, newest first. Each
+ * restore is conditional on the ETag the transaction wrote, so a record
+ * another writer changed since is left alone and reported as a failure.
+ */
+export async function rollbackOperations(
+  db: TransactionDatabase,
+  transactionId: string,
+  applied: AppliedOperation[]
+): Promise<Array<{ operation: TransactionOperation; error: Error }>> {
+  const failures: Array<{ operation: TransactionOperation; error: Error }> = [];
+
+  for (const { operation, etag } of [...applied].reverse()) {
+    const [ok, err] = await tryFn(async () => {
+      const resource = resolveResource(db, operation);
+      if (operation.type === 'insert') {
+        if (await currentEtag(db, resource, operation.id) !== etag) {
+          throw conflict(transactionId, operation, 'record changed after the transaction wrote it');
+        }
+        await resource.delete(operation.id);
+      } else if (operation.type === 'update' || operation.type === 'replace') {
+        const { id: _id, ...before } = operation.before || {};
+        const [restored, restoreErr] = await tryFn(() => resource.replace(operation.id, before, { ifMatch: etag! }));
+        if (!restored) {
+          throw isPreconditionFailed(restoreErr)
+            ? conflict(transactionId, operation, 'record changed after the transaction wrote it', restoreErr)
+            : restoreErr;
+        }
+      } else if (await resource.getOrNull(operation.id) === null) {
+        await resource.insert({ ...operation.before, id: operation.id });
+      }
+    });
+    if (!ok) failures.push({ operation, error: err as Error });
+  }
+
+  return failures;
+}
+
+/**
+ * Stages reads and writes across resources, then commits them together.
+ *
+ * Reads record the ETag they saw. Commit checks every ETag with HEAD, writes
+ * an intent object listing the operations (the write-ahead log), applies them
+ * with conditional writes, and deletes the intent. If a conditional write
+ * fails, applied operations are rolled back. A process that dies mid-commit
+ * leaves the intent behind for `DatabaseRecovery.recoverTransactions()`.
+ */
+export class Transaction {
+  readonly id: string;
+  private db: TransactionDatabase;
+  private records = new Map<string, RecordState>();
+  private handles = new Map<string, TransactionResourceHandle>();
+  private closed = false;
+
+  constructor(db: TransactionDatabase) {
+    this.db = db;
+    this.id = idGenerator();
+  }
+
+  /** Staged view of a resource; `tx.users` is a shorthand for `tx.resource('users')`. */
+  resource(name: string): TransactionResourceHandle {
+    let handle = this.handles.get(name);
+    if (!handle) {
+      const resource = this.db.resources[name];
+      if (!resource) {
+        throw new TransactionError(`Resource '${name}' does not exist`, {
+          transactionId: this.id,
+          resourceName: name,
+          suggestion: 'Create the resource before using it in a transaction.'
+        });
+      }
+      handle = new TransactionResourceHandle(this, resource);
+      this.handles.set(name, handle);
+    }
+    return handle;
+  }
+
+  /** @internal */
+  async load(resource: TransactionalResource, id: string): Promise<RecordState> {
+    this.ensureOpen();
+    const key = `${resource.name}/${id}`;
+    let state = this.records.get(key);
+    if (!state) {
+      const record = await resource.getOrNull(id);
+      state = {
+        resource,
+        id,
+        expectedEtag: (record?._etag as string | undefined) ?? null,
+        // The intent is stored in the bucket: keep secrets as the record does
+        before: await convertSecrets(resource, recordData(record), 'encrypt'),
+        current: recordData(record),
+        type: null,
+        data: null,
+        patched: []
+      };
+      this.records.set(key, state);
+    }
+    return state;
+  }
+
+  /** @internal State for a record written without being read first; it must not exist yet. */
+  stageNew(resource: TransactionalResource, id: string): RecordState | undefined {
+    this.ensureOpen();
+    const key = `${resource.name}/${id}`;
+    if (this.records.has(key)) return this.records.get(key);
+    const state: RecordState = { resource, id, expectedEtag: null, before: null, current: null, type: null, data: null, patched: [] };
+    this.records.set(key, state);
+    return state;
+  }
+
+  /** @internal */
+  ensureOpen(): void {
+    if (this.closed) {
+      throw new TransactionError(`Transaction ${this.id} is already finished`, {
+        transactionId: this.id,
+        suggestion: 'Only use the transaction object inside the db.transaction() callback.'
+      });
+    }
+  }
+
+  operations(): TransactionOperation[] {
+    return [...this.records.values()]
+      .filter(state => state.type !== null)
+      .map(state => ({
+        resource: state.resource.name,
+        id: state.id,
+        type: state.type!,
+        expectedEtag: state.expectedEtag,
+        data: state.data,
+        before: state.before
+      }));
+  }
+
+  async commit(): Promise<void> {
+    this.ensureOpen();
+    this.closed = true;
+
+    // Every record read or written must still be as this transaction saw it
+    for (const state of this.records.values()) {
+      const etag = await currentEtag(this.db, state.resource, state.id);
+      if (etag !== state.expectedEtag) {
+        throw conflict(this.id, state, state.expectedEtag === null ? 'record was created' : 'record changed');
+      }
+    }
+
+    const operations = this.operations();
+    if (operations.length === 0) return;
+
+    const intent: TransactionIntent = {
+      id: this.id,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      operations
+    };
+    const intentKey = transactionIntentKey(this.id);
+    await this.db.client.putObject({
+      key: intentKey,
+      body: JSON.stringify(intent),
+      contentType: 'application/json',
+      ifNoneMatch: '*'
+    });
+
+    const applied: AppliedOperation[] = [];
+    for (const operation of operations) {
+      const [ok, err, etag] = await tryFn(() => applyOperation(this.db, this.id, operation));
+      if (ok) {
+        applied.push({ operation, etag: etag ?? null });
+        continue;
+      }
+
+      const failures = await rollbackOperations(this.db, this.id, applied);
+      if (failures.length === 0) {
+        await tryFn(() => this.db.client.deleteObject(intentKey));
+      }
+      // With failed rollbacks the intent stays, so recovery can finish the job
+      this.db.emit('db:transaction-aborted', {
+        transactionId: this.id,
+        error: err,
+        rolledBack: applied.length - failures.length,
+        rollbackFailures: failures.length
+      });
+      throw err;
+    }
+
+    await tryFn(() => this.db.client.deleteObject(intentKey));
+    this.db.emit('db:transaction-committed', { transactionId: this.id, operations: operations.length });
+  }
+
+  /** @internal */
+  abort(): void {
+    this.closed = true;
+  }
+}
+
+/** Resource view handed to the transaction callback. Writes are staged until commit. */
+export class TransactionResourceHandle {
+  private tx: Transaction;
+  private resource: TransactionalResource;
+
+  constructor(tx: Transaction, resource: TransactionalResource) {
+    this.tx = tx;
+    this.resource = resource;
+  }
+
+  async getOrNull(id: string): Promise<StringRecord | null> {
+    const state = await this.tx.load(this.resource, id);
+    return state.current ? { ...state.current } : null;
+  }
+
+  async get(id: string): Promise<StringRecord> {
+    const record = await this.getOrNull(id);
+    if (!record) {
+      throw new ResourceNotFound({
+        bucket: this.resourceBucket(),
+        resourceName: this.resource.name,
+        id
+      });
+    }
+    return record;
+  }
+
+  async exists(id: string): Promise<boolean> {
+    return (await this.getOrNull(id)) !== null;
+  }
+
+  async insert(data: StringRecord): Promise<StringRecord> {
+    let id = data.id as string | undefined;
+    if (!id) {
+      const generator = this.resource.idGenerator as ((data?: unknown) => string | Promise<string>) | null;
+      id = generator ? String(await (this.resource.idGeneratorType === 'custom' ? generator(data) : generator())) : idGenerator();
+    }
+
+    const state = this.tx.stageNew(this.resource, id)!;
+    if (state.current) {
+      throw this.invalid({ ...data, id }, [{ message: `Resource with id '${id}' already exists`, field: 'id' }]);
+    }
+
+    const record = { ...data, id };
+    const stored = await this.validate(record);
+
+    // Re-inserting a record deleted earlier in the transaction replaces it whole
+    state.type = state.type === 'delete' ? 'replace' : 'insert';
+    state.data = stored;
+    state.patched = [];
+    state.current = record;
+    return { ...record };
+  }
+
+  async update(id: string, patch: StringRecord): Promise<StringRecord> {
+    const state = await this.tx.load(this.resource, id);
+    if (!state.current) {
+      throw new ResourceNotFound({ bucket: this.resourceBucket(), resourceName: this.resource.name, id });
+    }
+
+    const merged = { ...mergePatch(state.current, patch), id };
+    const stored = await this.validate(merged);
+
+    if (state.type === 'insert' || state.type === 'replace') {
+      state.data = stored;
+    } else {
+      state.type = 'update';
+      state.patched = [...new Set([...state.patched, ...Object.keys(patch)])];
+      state.data = Object.fromEntries(state.patched.map(field => [field, getPathValue(stored, field)]));
+    }
+    state.current = merged;
+    return { ...merged };
+  }
+
+  async delete(id: string): Promise<void> {
+    const state = await this.tx.load(this.resource, id);
+    if (!state.current) {
+      throw new ResourceNotFound({ bucket: this.resourceBucket(), resourceName: this.resource.name, id });
+    }
+
+    // Deleting a record inserted by this transaction cancels the insert
+    state.type = state.type === 'insert' ? null : 'delete';
+    state.data = null;
+    state.patched = [];
+    state.current = null;
+  }
+
+  /** Validate and return the record as it will be stored: secrets encrypted, passwords hashed. */
+  private async validate(record: StringRecord): Promise<StringRecord> {
+    const { isValid, errors, data } = await this.resource.validate(record, { includeId: true });
+    if (!isValid) throw this.invalid(record, errors || []);
+    return data || record;
+  }
+
+  private invalid(attributes: StringRecord, validation: unknown[]): InvalidResourceItem {
+    const first = validation[0] as { message?: string } | undefined;
+    return new InvalidResourceItem({
+      bucket: this.resourceBucket(),
+      resourceName: this.resource.name,
+      attributes,
+      validation,
+      message: first?.message || 'Invalid record'
+    });
+  }
+
+  private resourceBucket(): string {
+    return (this.resource as unknown as { client?: { config?: { bucket?: string } } }).client?.config?.bucket || '';
+  }
+}
@@ -4,6 +4,7 @@ import type { BehaviorType } from '../behaviors/types.js';
 import type { LogLevel, StringRecord as CommonStringRecord, EventHandler } from '../types/common.types.js';
 import type { ResourceExport } from '../resource.class.js';
 import type { PartitionsConfig } from '../core/resource-query.class.js';
+import type { IndexesConfig } from '../core/resource-indexes.class.js';
 import type { AttributesSchema } from '../core/resource-validator.class.js';
 import type { Logger } from '../concerns/logger.js';
 import type { ProcessManager } from '../concerns/process-manager.js';
@@ -87,6 +88,8 @@ export interface VersionData {
   behavior: BehaviorType;
   timestamps?: boolean;
   partitions?: PartitionsConfig;
+  indexes?: IndexesConfig;
+  changeFeed?: boolean;
   paranoid?: boolean;
   allNestedObjectsOptional?: boolean;
   autoDecrypt?: boolean;
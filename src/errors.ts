@@ -1166,3 +1166,41 @@ Docs: https://github.com/forattini-dev/s3db.js/blob/main/docs/plugins/eventual-c
     });
   }
 }
+
+export interface TransactionErrorDetails extends S3dbErrorDetails {
+  transactionId?: string;
+  resourceName?: string;
+  id?: string;
+  operation?: string;
+}
+
+export class TransactionError extends S3dbError {
+  transactionId?: string;
+
+  constructor(message: string, details: TransactionErrorDetails = {}) {
+    const merged = {
+      statusCode: details.statusCode ?? 500,
+      retriable: details.retriable ?? false,
+      suggestion: details.suggestion ?? 'Check the transaction callback and the resources it uses.',
+      ...details,
+    };
+    super(message, merged);
+    this.transactionId = details.transactionId;
+    Object.assign(this, merged);
+  }
+}
+
+/**
+ * A record read or written by a transaction changed before it committed.
+ * Nothing from the transaction is left applied; running it again is safe.
+ */
+export class TransactionConflictError extends TransactionError {
+  constructor(message: string, details: TransactionErrorDetails = {}) {
+    super(message, {
+      statusCode: 409,
+      retriable: true,
+      suggestion: 'Another writer changed the same record. Retry the transaction to run it against fresh data.',
+      ...details,
+    });
+  }
+}
@@ -13,6 +13,7 @@ import { generateRecordETag, validateIfMatch, validateIfNoneMatch } from '../uti
 import { getResourceCustomRoutes } from '../utils/resource-custom-routes.js';
 import { decodeRequestParam } from '../utils/request-params.js';
 import { ValidationError } from '../../../errors.js';
+import { compileFilter, extractEqualityValues } from '../../../concerns/query-filter.js';
 import { createHash } from 'node:crypto';
 
 const logger: Logger = createLogger({ name: 'ResourceRoutes', level: 'info' });
@@ -230,6 +231,31 @@ function parseQueryFilterValue(raw: unknown): unknown {
   }
 }
 
+// $regex/$options are left out on purpose: a caller-supplied pattern runs on the API process (ReDoS).
+const HTTP_FILTER_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$exists', '$elemMatch', '$size', '$and', '$or', '$nor', '$not'
+]);
+
+function findDisallowedFilterOperator(value: unknown): string | null {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findDisallowedFilterOperator(item);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (!value || typeof value !== 'object') return null;
+
+  for (const [key, nested] of Object.entries(value as Record<string, unknown>)) {
+    if (key.startsWith('$') && !HTTP_FILTER_OPERATORS.has(key)) return key;
+    const found = findDisallowedFilterOperator(nested);
+    if (found) return found;
+  }
+  return null;
+}
+
 function getPartitionFieldRules(resource: ResourceLike, partitionName: string): Record<string, string> {
   const partitions = resource.config?.partitions || {};
   const partitionDef = partitions[partitionName] as { fields?: Record<string, unknown> } | undefined;
@@ -273,6 +299,7 @@ function resolvePartitionFromFilters(
   explicitPartitionValues: Record<string, unknown> | undefined
 ): PartitionResolution {
   const partitions = listPartitionNames(resource);
+  const equalityFilters = extractEqualityValues(queryFilters);
 
   if (explicitPartitionValues && !explicitPartition) {
     return {
@@ -319,7 +346,7 @@ function resolvePartitionFromFilters(
       };
     }
 
-    const missing = fields.filter((field) => !Object.prototype.hasOwnProperty.call(queryFilters, field));
+    const missing = fields.filter((field) => !Object.prototype.hasOwnProperty.call(equalityFilters, field));
     if (missing.length > 0) {
       return {
         partition: null,
@@ -339,7 +366,7 @@ function resolvePartitionFromFilters(
 
     const derivedValues: Record<string, unknown> = {};
     for (const field of fields) {
-      derivedValues[field] = normalizePartitionFieldValue(resource, queryFilters[field], rules[field]!);
+      derivedValues[field] = normalizePartitionFieldValue(resource, equalityFilters[field], rules[field]!);
     }
 
     const remaining = { ...queryFilters };
@@ -368,12 +395,12 @@ function resolvePartitionFromFilters(
     const fields = Object.keys(rules);
     if (fields.length === 0) continue;
 
-    const hasAllFields = fields.every((field) => Object.prototype.hasOwnProperty.call(queryFilters, field));
+    const hasAllFields = fields.every((field) => Object.prototype.hasOwnProperty.call(equalityFilters, field));
     if (!hasAllFields) continue;
 
     const values: Record<string, unknown> = {};
     for (const field of fields) {
-      values[field] = normalizePartitionFieldValue(resource, queryFilters[field], rules[field]!);
+      values[field] = normalizePartitionFieldValue(resource, equalityFilters[field], rules[field]!);
     }
 
     const remaining = { ...queryFilters };
@@ -446,45 +473,6 @@ function valuesEqual(left: unknown, right: unknown): boolean {
   return stableSerialize(left) === stableSerialize(right);
 }
 
-function readPathValue(source: unknown, path: string): unknown {
-  const segments = String(path || '')
-    .split('.')
-    .map(segment => segment.trim())
-    .filter(Boolean);
-
-  let current: unknown = source;
-  for (const segment of segments) {
-    if (current === null || current === undefined) return undefined;
-
-    if (Array.isArray(current)) {
-      const index = Number(segment);
-      if (!Number.isInteger(index) || index < 0) {
-        return undefined;
-      }
-      current = current[index];
-      continue;
-    }
-
-    if (typeof current !== 'object') {
-      return undefined;
-    }
-
-    current = (current as Record<string, unknown>)[segment];
-  }
-
-  return current;
-}
-
-function matchesQueryFilters(item: Record<string, unknown>, filters: Record<string, unknown>): boolean {
-  for (const [field, expectedValue] of Object.entries(filters)) {
-    const actualValue = readPathValue(item, field);
-    if (!valuesEqual(actualValue, expectedValue)) {
-      return false;
-    }
-  }
-  return true;
-}
-
 function encodeSimpleCursor(payload: Record<string, unknown>): string {
   return Buffer.from(JSON.stringify(payload), 'utf8')
     .toString('base64')
@@ -984,6 +972,35 @@ export function createResourceRoutes(resource: ResourceLike, _version: string, c
         }
       }
 
+      const disallowedOperator = findDisallowedFilterOperator(queryFilters);
+      if (disallowedOperator) {
+        const response = formatter.error(`Filter operator '${disallowedOperator}' is not allowed`, {
+          status: 400,
+          code: 'INVALID_FILTER',
+          details: {
+            operator: disallowedOperator,
+            allowed: [...HTTP_FILTER_OPERATORS],
+            suggestion: 'Use equality, range, set, $exists, $size, $elemMatch or logical operators in list filters'
+          }
+        });
+        return c.json(response, response._status as ContentfulStatusCode);
+      }
+
+      // Malformed filters (mixed operator and literal keys, bad operands) are the caller's fault
+      try {
+        compileFilter(queryFilters);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        const response = formatter.error(err.message, {
+          status: 400,
+          code: 'INVALID_FILTER',
+          details: {
+            suggestion: err.suggestion || 'Check the list filter syntax'
+          }
+        });
+        return c.json(response, response._status as ContentfulStatusCode);
+      }
+
       const partitionResolution = resolvePartitionFromFilters(
         resource,
         queryFilters,
@@ -1151,6 +1168,7 @@ export function createResourceRoutes(resource: ResourceLike, _version: string, c
       }
 
       if (remainingFilterKeys.length > 0) {
+        const matchesRemainingFilters = compileFilter(remainingFilters);
         const effectiveFilterLimit = limit;
         const collected: Record<string, unknown>[] = [];
         let scanCursor: string | null = requestCursorForPage;
@@ -1171,7 +1189,7 @@ export function createResourceRoutes(resource: ResourceLike, _version: string, c
 
           const pageItems = pageResult.items || [];
           if (pageItems.length > 0) {
-            const matched = pageItems.filter(item => matchesQueryFilters(item, remainingFilters));
+            const matched = pageItems.filter(item => matchesRemainingFilters(item));
             if (matched.length > 0) {
               collected.push(...matched);
             }
@@ -1,7 +1,8 @@
 import { Plugin } from './plugin.class.js';
-import tryFn from '../concerns/try-fn.js';
+import tryFn, { tryFnSync } from '../concerns/try-fn.js';
 import { createBackupDriver, validateBackupConfig } from './backup/index.js';
 import { StreamingExporter } from './backup/streaming-exporter.js';
+import { ChangeJournal, type JournalEntry, type JournalOperation, type JournalSegment } from './backup/change-journal.js';
 import { createWriteStream, createReadStream } from 'fs';
 import zlib from 'node:zlib';
 import { pipeline } from 'node:stream/promises';
@@ -9,6 +10,7 @@ import { mkdir, writeFile, readFile, stat } from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import os from 'os';
+import { isEqual } from 'lodash-es';
 import { PluginError } from '../errors.js';
 import type { Database } from '../database.class.js';
 import type { Resource } from '../resource.class.js';
@@ -23,6 +25,13 @@ export interface EncryptionConfig {
   algorithm: string;
 }
 
+export interface JournalOptions {
+  /** Write a segment at least this often, in ms (default 5000). */
+  flushInterval?: number;
+  /** Write a segment as soon as this many changes are buffered (default 500). */
+  maxEntries?: number;
+}
+
 export interface RetentionPolicy {
   daily?: number;
   weekly?: number;
@@ -57,6 +66,7 @@ export interface BackupPluginOptions {
   exclude?: string[];
   backupMetadataResource?: string;
   tempDir?: string;
+  journal?: JournalOptions | null;
   onBackupStart?: BackupHook | null;
   onBackupComplete?: BackupHook | null;
   onBackupError?: BackupHook | null;
@@ -80,6 +90,7 @@ export interface BackupPluginConfig {
   exclude: string[];
   backupMetadataResource: string;
   tempDir: string;
+  journal: Required<JournalOptions> | null;
   logLevel?: string;
   onBackupStart: BackupHook | null;
   onBackupComplete: BackupHook | null;
@@ -92,8 +103,10 @@ export interface BackupPluginConfig {
 
 export interface BackupMetadataRecord {
   id: string;
-  type: BackupType;
+  type: BackupType | 'journal';
   timestamp: number;
+  endTimestamp?: number;
+  entries?: number;
   resources: string[];
   driverInfo: UploadResult | UploadResult[];
   size: number;
@@ -131,6 +144,27 @@ export interface RestoreOptions {
   mode?: 'merge' | 'replace' | 'skip';
 }
 
+export interface PointInTimeRestoreOptions {
+  toTimestamp: number | string | Date;
+  resources?: string[];
+  /** Report the changes without writing anything. */
+  dryRun?: boolean;
+}
+
+export interface RestoreChange {
+  resource: string;
+  id: string;
+  action: 'insert' | 'update' | 'delete';
+}
+
+export interface PointInTimeRestoreResult extends RestoreResult {
+  toTimestamp: number;
+  dryRun: boolean;
+  segments: number;
+  entriesApplied: number;
+  changes: RestoreChange[];
+}
+
 export interface ListBackupsOptions {
   limit?: number;
 }
@@ -139,6 +173,7 @@ interface ArchiveFile {
   name: string;
   size: number;
   content: string;
+  encoding?: 'utf8' | 'base64';
 }
 
 interface BackupArchive {
@@ -153,10 +188,19 @@ interface ResourceExportData {
   records?: Record<string, unknown>[];
 }
 
+/** User data of a record, without `_` system fields and `$` event extras. */
+function userFields(record: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_') && !key.startsWith('$')));
+}
+
 export class BackupPlugin extends Plugin {
   config: BackupPluginConfig;
   driver: BaseBackupDriver | null;
   activeBackups: Set<string>;
+  journal: ChangeJournal | null;
+
+  private _journaledResources: Set<string>;
+  private _journalTimer: ReturnType<typeof setInterval> | null;
 
   constructor(options: BackupPluginOptions = {}) {
     super(options);
@@ -174,6 +218,7 @@ export class BackupPlugin extends Plugin {
       exclude = [],
       backupMetadataResource = 'plg_backup_metadata',
       tempDir = path.join(os.tmpdir(), 's3db', 'backups'),
+      journal = null,
       onBackupStart = null,
       onBackupComplete = null,
       onBackupError = null,
@@ -202,6 +247,7 @@ export class BackupPlugin extends Plugin {
       exclude,
       backupMetadataResource,
       tempDir,
+      journal: journal ? { flushInterval: 5000, maxEntries: 500, ...journal } : null,
       logLevel: this.logLevel,
       onBackupStart,
       onBackupComplete,
@@ -214,6 +260,9 @@ export class BackupPlugin extends Plugin {
 
     this.driver = null;
     this.activeBackups = new Set();
+    this.journal = null;
+    this._journaledResources = new Set();
+    this._journalTimer = null;
 
     validateBackupConfig(this.config.driver, this.config.driverConfig);
     this._validateConfiguration();
@@ -265,6 +314,10 @@ export class BackupPlugin extends Plugin {
     await mkdir(this.config.tempDir, { recursive: true });
     await this._createBackupMetadataResource();
 
+    if (this.config.journal) {
+      this._setupJournal();
+    }
+
     const storageInfo = this.driver.getStorageInfo();
     this.logger.debug({ driverType: storageInfo.type, storageInfo }, `Initialized with driver: ${storageInfo.type}`);
 
@@ -281,6 +334,8 @@ export class BackupPlugin extends Plugin {
         id: 'string|required',
         type: 'string|required',
         timestamp: 'number|required',
+        endTimestamp: 'number|optional',
+        entries: 'number|optional',
         resources: 'json|required',
         driverInfo: 'json|required',
         size: 'number|default:0',
@@ -304,6 +359,100 @@ export class BackupPlugin extends Plugin {
     }
   }
 
+  private _createJournal(): ChangeJournal {
+    return new ChangeJournal({
+      driver: this.driver!,
+      tempDir: path.join(this.config.tempDir, 'journal'),
+      compress: this.config.compression !== 'none',
+      maxEntries: this.config.journal?.maxEntries,
+      onSegment: (segment) => this._recordJournalSegment(segment),
+      onError: (error) => {
+        this.logger.warn({ error: error.message }, `Failed to write journal segment: ${error.message}`);
+        this.emit('plg:backup:journal-error', { error: error.message });
+      }
+    });
+  }
+
+  private _setupJournal(): void {
+    this.journal = this._createJournal();
+
+    this.database.addHook('afterCreateResource', (context: any) => {
+      this._journalResource(context.resource as Resource);
+    });
+
+    for (const resource of Object.values(this.database.resources as Record<string, Resource>)) {
+      this._journalResource(resource);
+    }
+  }
+
+  private _journalResource(resource: Resource): void {
+    const name = resource.name;
+    if (
+      name === this.config.backupMetadataResource ||
+      this._journaledResources.has(name) ||
+      (this.config.include && !this.config.include.includes(name)) ||
+      this.config.exclude.includes(name)
+    ) {
+      return;
+    }
+    this._journaledResources.add(name);
+
+    resource.on('inserted', (data: unknown) => this._recordChange(name, 'insert', data));
+    resource.on('updated', (data: unknown) => this._recordChange(name, 'update', data));
+    resource.on('deleted', (data: unknown) => this._recordChange(name, 'delete', data));
+
+    // replace() emits no event
+    resource.addHook('afterReplace', (data: unknown) => {
+      this._recordChange(name, 'update', data);
+      return data;
+    });
+  }
+
+  private _recordChange(resourceName: string, op: JournalOperation, data: unknown): void {
+    if (!this.journal) return;
+
+    const record = data as Record<string, unknown>;
+
+    this.journal.record({
+      ts: Date.now(),
+      resource: resourceName,
+      op,
+      id: record.id as string,
+      data: op === 'delete' ? null : userFields(record)
+    });
+  }
+
+  private async _recordJournalSegment(segment: JournalSegment): Promise<void> {
+    const record: BackupMetadataRecord = {
+      id: segment.id,
+      type: 'journal',
+      timestamp: segment.from,
+      endTimestamp: segment.to,
+      entries: segment.entries,
+      resources: segment.resources,
+      driverInfo: segment.driverInfo,
+      size: segment.size,
+      compressed: segment.compressed,
+      encrypted: false,
+      checksum: null,
+      status: 'completed',
+      error: null,
+      duration: 0,
+      createdAt: new Date().toISOString().slice(0, 10)
+    };
+
+    await (this.database.resources as Record<string, Resource>)[this.config.backupMetadataResource]!.insert(record as any);
+    this.emit('plg:backup:journal-segment', { id: segment.id, from: segment.from, to: segment.to, entries: segment.entries });
+  }
+
+  /** Write buffered journal entries now instead of waiting for the flush interval. */
+  async flushJournal(): Promise<JournalSegment | null> {
+    if (!this.journal) return null;
+    // Resource events are delivered on setImmediate; let pending ones land first
+    await new Promise(resolve => setImmediate(resolve));
+    return this.journal.flush();
+  }
+
   async backup(type: BackupType = 'full', options: { resources?: string[] } = {}): Promise<BackupResult> {
     const backupId = this._generateBackupId(type);
     const startTime = Date.now();
@@ -602,7 +751,7 @@ export class BackupPlugin extends Plugin {
     let totalSize = 0;
 
     for (const filePath of files) {
-      const [readOk, readErr, content] = await tryFn(() => readFile(filePath, 'utf8'));
+      const [readOk, readErr, content] = await tryFn(() => readFile(filePath));
 
       if (!readOk) {
         this.logger.warn({ filePath, error: readErr?.message }, `Failed to read ${filePath}: ${readErr?.message}`);
@@ -610,12 +759,14 @@ export class BackupPlugin extends Plugin {
       }
 
       const fileName = path.basename(filePath);
+      const encoding = fileName.endsWith('.gz') ? 'base64' : 'utf8';
       totalSize += content!.length;
 
       archive.files.push({
         name: fileName,
         size: content!.length,
-        content: content!
+        content: content!.toString(encoding),
+        encoding
       });
     }
 
@@ -668,7 +819,14 @@ export class BackupPlugin extends Plugin {
     );
   }
 
-  async restore(backupId: string, options: RestoreOptions = {}): Promise<RestoreResult> {
+  async restore(backupId: string, options?: RestoreOptions): Promise<RestoreResult>;
+  async restore(options: PointInTimeRestoreOptions): Promise<PointInTimeRestoreResult>;
+  async restore(target: string | PointInTimeRestoreOptions, options: RestoreOptions = {}): Promise<RestoreResult | PointInTimeRestoreResult> {
+    if (typeof target === 'object' && target !== null) {
+      return this._restoreToTimestamp(target);
+    }
+
+    const backupId = target;
     try {
       if (this.config.onRestoreStart) {
         await this._executeRestoreHook(this.config.onRestoreStart, backupId, options as any);
@@ -747,98 +905,235 @@ export class BackupPlugin extends Plugin {
     }
   }
 
-  private async _restoreFromBackup(backupPath: string, options: RestoreOptions): Promise<RestoredResourceInfo[]> {
-    const restoredResources: RestoredResourceInfo[] = [];
+  /**
+   * Rebuild the state at `toTimestamp` from the last full backup before it
+   * plus the journal entries up to that instant, then write only the
+   * difference against the current data.
+   */
+  private async _restoreToTimestamp(options: PointInTimeRestoreOptions): Promise<PointInTimeRestoreResult> {
+    const toTimestamp = new Date(options.toTimestamp).getTime();
+    const dryRun = options.dryRun === true;
+    const restoreId = `point-in-time-${Number.isNaN(toTimestamp) ? 'invalid' : new Date(toTimestamp).toISOString()}`;
 
     try {
-      let archiveData = '';
-
-      if (this.config.compression !== 'none') {
-        const input = createReadStream(backupPath);
-        const gunzip = zlib.createGunzip();
-        const chunks: Buffer[] = [];
-
-        await new Promise<void>((resolve, reject) => {
-          input.pipe(gunzip)
-            .on('data', (chunk: Buffer) => chunks.push(chunk))
-            .on('end', resolve)
-            .on('error', reject);
-        });
-
-        archiveData = Buffer.concat(chunks).toString('utf8');
-      } else {
-        archiveData = await readFile(backupPath, 'utf8');
-      }
-
-      let archive: BackupArchive;
-      try {
-        archive = JSON.parse(archiveData);
-      } catch (parseError) {
-        throw this.createError(`Failed to parse backup archive: ${(parseError as Error).message}`, {
-          operation: 'restoreParse',
+      if (Number.isNaN(toTimestamp)) {
+        throw this.createError(`Invalid toTimestamp '${String(options.toTimestamp)}'`, {
+          operation: 'restore',
           statusCode: 400,
           retriable: false,
-          suggestion: 'Verify the backup file is intact or recreate the backup before restoring.',
-          metadata: { backupPath }
+          suggestion: 'Pass a Date, epoch milliseconds or an ISO 8601 string.'
         });
       }
 
-      if (!archive || typeof archive !== 'object') {
-        throw this.createError('Invalid backup archive: not a valid JSON object', {
-          operation: 'restoreParse',
-          statusCode: 400,
-          retriable: false,
-          suggestion: 'Ensure the uploaded archive has JSON content and is not truncated.',
-          metadata: { backupPath }
-        });
+      if (this.config.onRestoreStart) {
+        await this._executeRestoreHook(this.config.onRestoreStart, restoreId, { toTimestamp, dryRun });
       }
 
-      if (!archive.version || !archive.files) {
-        throw this.createError('Invalid backup archive format: missing version or files array', {
-          operation: 'restoreParse',
-          statusCode: 400,
+      this.emit('plg:backup:restore-start', { id: restoreId, options });
+
+      await this.flushJournal();
+
+      const records = await this._listBackupMetadata();
+      const base = records
+        .filter(record => record.type === 'full' && record.status === 'completed' && record.timestamp <= toTimestamp)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+      if (!base) {
+        throw this.createError(`No completed full backup before ${new Date(toTimestamp).toISOString()}`, {
+          operation: 'restore',
+          statusCode: 404,
           retriable: false,
-          suggestion: 'Generate backups with the current plugin version to include version and files metadata.',
-          metadata: { backupPath }
+          suggestion: 'Point-in-time restore starts from a full backup; pick a later toTimestamp or create a full backup first.',
+          metadata: { toTimestamp }
         });
       }
 
-      this.logger.debug({ fileCount: archive.files.length }, `Restoring ${archive.files.length} files from backup`);
+      const tempRestoreDir = path.join(this.config.tempDir, `restore-${base.id}-${Date.now()}`);
+      await mkdir(tempRestoreDir, { recursive: true });
 
-      for (const file of archive.files) {
-        try {
-          const resourceData: ResourceExportData = JSON.parse(file.content);
+      try {
+        const downloadPath = path.join(tempRestoreDir, `${base.id}.backup`);
+        await this.driver!.download(base.id, downloadPath, base.driverInfo as any);
 
-          if (!resourceData.resourceName || !resourceData.definition) {
-            this.logger.warn({ fileName: file.name }, `Skipping invalid file: ${file.name}`);
-            continue;
+        if (this.config.verification && base.checksum) {
+          const actualChecksum = await this._generateChecksum(downloadPath);
+          if (actualChecksum !== base.checksum) {
+            throw this.createError('Backup verification failed during restore', {
+              operation: 'restoreVerify',
+              statusCode: 422,
+              retriable: false,
+              suggestion: 'Recreate the backup to generate a fresh checksum or disable verification temporarily.',
+              metadata: { backupId: base.id, expectedChecksum: base.checksum, actualChecksum }
+            });
           }
+        }
 
-          const resourceName = resourceData.resourceName;
+        const inScope = (name: string) =>
+          name !== this.config.backupMetadataResource && (!options.resources || options.resources.includes(name));
+        const target = new Map<string, Map<string, Record<string, unknown>>>();
+        const definitions = new Map<string, ResourceExportData>();
+
+        for (const resourceData of this._archiveResources(await this._readArchive(downloadPath))) {
+          if (!inScope(resourceData.resourceName)) continue;
+          definitions.set(resourceData.resourceName, resourceData);
+          target.set(
+            resourceData.resourceName,
+            new Map((resourceData.records || []).map(record => [record.id as string, userFields(record)]))
+          );
+        }
 
-          if (options.resources && !options.resources.includes(resourceName)) {
-            continue;
+        // Entries from the backup's start on: writes made while it ran may be missing from it
+        const segments = records
+          .filter(record =>
+            record.type === 'journal' &&
+            record.status === 'completed' &&
+            record.timestamp <= toTimestamp &&
+            (record.endTimestamp ?? record.timestamp) >= base.timestamp
+          )
+          .sort((a, b) => a.timestamp - b.timestamp);
+
+        const journal = this.journal || this._createJournal();
+        const entries: JournalEntry[] = [];
+        for (const segment of segments) {
+          const segmentEntries = await journal.read({
+            id: segment.id,
+            compressed: segment.compressed,
+            driverInfo: segment.driverInfo
+          });
+          entries.push(...segmentEntries.filter(entry =>
+            entry.ts >= base.timestamp && entry.ts <= toTimestamp && inScope(entry.resource)
+          ));
+        }
+
+        for (const entry of entries) {
+          if (!target.has(entry.resource)) target.set(entry.resource, new Map());
+          if (entry.op === 'delete') {
+            target.get(entry.resource)!.delete(entry.id);
+          } else {
+            target.get(entry.resource)!.set(entry.id, entry.data!);
           }
+        }
 
-          let resource = (this.database.resources as Record<string, Resource>)[resourceName];
+        const changes: RestoreChange[] = [];
+        const restored: RestoredResourceInfo[] = [];
 
-          if (!resource) {
-            this.logger.debug({ resourceName }, `Creating resource '${resourceName}'`);
+        for (const [resourceName, records] of target) {
+          let resource: Resource | null = (this.database.resources as Record<string, Resource>)[resourceName] || null;
+          if (!resource && !dryRun) {
+            resource = await this._ensureResource(definitions.get(resourceName) || { resourceName, definition: {} });
+            if (!resource) continue;
+          }
 
-            const [createOk, createErr] = await tryFn(() =>
-              this.database.createResource(resourceData.definition as { name: string; attributes: Record<string, string> })
-            );
+          const current = new Map<string, Record<string, unknown>>(
+            resource ? (await resource.list()).map(record => [record.id as string, userFields(record)]) : []
+          );
 
-            if (!createOk) {
-              this.logger.warn({ resourceName, error: createErr?.message }, `Failed to create resource '${resourceName}': ${createErr?.message}`);
-              continue;
+          const resourceChanges: RestoreChange[] = [];
+          for (const [id, record] of records) {
+            const existing = current.get(id);
+            if (!existing) {
+              resourceChanges.push({ resource: resourceName, id, action: 'insert' });
+            } else if (!isEqual(existing, record)) {
+              resourceChanges.push({ resource: resourceName, id, action: 'update' });
+            }
+          }
+          for (const id of current.keys()) {
+            if (!records.has(id)) {
+              resourceChanges.push({ resource: resourceName, id, action: 'delete' });
             }
+          }
+
+          let applied = 0;
+          if (!dryRun) {
+            for (const change of resourceChanges) {
+              const [ok, err] = await tryFn(async () => {
+                if (change.action === 'insert') {
+                  await resource!.insert(records.get(change.id)!);
+                } else if (change.action === 'update') {
+                  await resource!.replace(change.id, records.get(change.id)!);
+                } else {
+                  await resource!.delete(change.id);
+                }
+              });
 
-            resource = (this.database.resources as Record<string, Resource>)[resourceName];
+              if (ok) {
+                applied++;
+              } else {
+                this.logger.warn(
+                  { resourceName, id: change.id, action: change.action, error: err?.message },
+                  `Failed to ${change.action} '${change.id}' in '${resourceName}': ${err?.message}`
+                );
+              }
+            }
           }
 
+          changes.push(...resourceChanges);
+          restored.push({ name: resourceName, recordsRestored: applied, totalRecords: records.size });
+        }
+
+        const result: PointInTimeRestoreResult = {
+          backupId: base.id,
+          toTimestamp,
+          dryRun,
+          segments: segments.length,
+          entriesApplied: entries.length,
+          changes,
+          restored
+        };
+
+        if (this.config.onRestoreComplete) {
+          await this._executeRestoreHook(this.config.onRestoreComplete, restoreId, { ...result });
+        }
+
+        this.emit('plg:backup:restore-complete', {
+          id: restoreId,
+          backupId: base.id,
+          dryRun,
+          changes: changes.length,
+          restored
+        });
+
+        return result;
+
+      } finally {
+        await this._cleanupTempFiles(tempRestoreDir);
+      }
+
+    } catch (error) {
+      if (this.config.onRestoreError) {
+        await this._executeRestoreHook(this.config.onRestoreError, restoreId, { error });
+      }
+
+      this.emit('plg:backup:restore-error', { id: restoreId, error: (error as Error).message });
+      throw error;
+    }
+  }
+
+  private async _listBackupMetadata(): Promise<BackupMetadataRecord[]> {
+    const [ok, , records] = await tryFn(() =>
+      (this.database.resources as Record<string, Resource>)[this.config.backupMetadataResource]!.list()
+    );
+    return ok ? (records as unknown as BackupMetadataRecord[]) : [];
+  }
+
+  private async _restoreFromBackup(backupPath: string, options: RestoreOptions): Promise<RestoredResourceInfo[]> {
+    const restoredResources: RestoredResourceInfo[] = [];
+
+    try {
+      const archive = await this._readArchive(backupPath);
+
+      this.logger.debug({ fileCount: archive.files.length }, `Restoring ${archive.files.length} files from backup`);
+
+      for (const resourceData of this._archiveResources(archive)) {
+        const resourceName = resourceData.resourceName;
+
+        try {
+          if (options.resources && !options.resources.includes(resourceName)) {
+            continue;
+          }
+
+          const resource = await this._ensureResource(resourceData);
           if (!resource) {
-            this.logger.warn({ resourceName }, `Resource '${resourceName}' not found after creation attempt`);
             continue;
           }
 
@@ -856,12 +1151,12 @@ export class BackupPlugin extends Plugin {
             for (const record of resourceData.records) {
               const [insertOk] = await tryFn(async () => {
                 if (mode === 'skip') {
-                  const existing = await resource!.get(record.id as string);
+                  const existing = await resource.get(record.id as string);
                   if (existing) {
                     return false;
                   }
                 }
-                await resource!.insert(record);
+                await resource.insert(record);
                 return true;
               });
 
@@ -882,8 +1177,8 @@ export class BackupPlugin extends Plugin {
             );
           }
 
-        } catch (fileError) {
-          this.logger.warn({ fileName: file.name, error: (fileError as Error).message }, `Error processing file ${file.name}: ${(fileError as Error).message}`);
+        } catch (resourceError) {
+          this.logger.warn({ resourceName, error: (resourceError as Error).message }, `Error restoring '${resourceName}': ${(resourceError as Error).message}`);
         }
       }
 
@@ -901,6 +1196,146 @@ export class BackupPlugin extends Plugin {
     }
   }
 
+  private async _readArchive(backupPath: string): Promise<BackupArchive> {
+    let archiveData = '';
+
+    if (this.config.compression !== 'none') {
+      const input = createReadStream(backupPath);
+      const gunzip = zlib.createGunzip();
+      const chunks: Buffer[] = [];
+
+      await new Promise<void>((resolve, reject) => {
+        input.pipe(gunzip)
+          .on('data', (chunk: Buffer) => chunks.push(chunk))
+          .on('end', resolve)
+          .on('error', reject);
+      });
+
+      archiveData = Buffer.concat(chunks).toString('utf8');
+    } else {
+      archiveData = await readFile(backupPath, 'utf8');
+    }
+
+    let archive: BackupArchive;
+    try {
+      archive = JSON.parse(archiveData);
+    } catch (parseError) {
+      throw this.createError(`Failed to parse backup archive: ${(parseError as Error).message}`, {
+        operation: 'restoreParse',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Verify the backup file is intact or recreate the backup before restoring.',
+        metadata: { backupPath }
+      });
+    }
+
+    if (!archive || typeof archive !== 'object') {
+      throw this.createError('Invalid backup archive: not a valid JSON object', {
+        operation: 'restoreParse',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Ensure the uploaded archive has JSON content and is not truncated.',
+        metadata: { backupPath }
+      });
+    }
+
+    if (!archive.version || !archive.files) {
+      throw this.createError('Invalid backup archive format: missing version or files array', {
+        operation: 'restoreParse',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Generate backups with the current plugin version to include version and files metadata.',
+        metadata: { backupPath }
+      });
+    }
+
+    return archive;
+  }
+
+  /**
+   * Resource definitions and records of an archive: JSONL exports described
+   * by s3db.json, plus single-file JSON exports from older backups.
+   */
+  private _archiveResources(archive: BackupArchive): ResourceExportData[] {
+    const files = new Map(archive.files.map(file => [file.name, file]));
+    const exports: ResourceExportData[] = [];
+
+    const metadataFile = files.get('s3db.json');
+    const [, , metadata] = tryFnSync(() => JSON.parse(metadataFile?.content || '{}') as { resources?: Record<string, Record<string, any>> });
+
+    for (const [resourceName, info] of Object.entries(metadata?.resources || {})) {
+      const file = files.get(info.exportFile);
+      if (!file) {
+        this.logger.warn({ resourceName, exportFile: info.exportFile }, `Export file for '${resourceName}' missing from archive`);
+        continue;
+      }
+
+      try {
+        const raw = Buffer.from(file.content, file.encoding || 'utf8');
+        const content = (info.compression === 'gzip' ? zlib.gunzipSync(raw) : raw).toString('utf8');
+
+        exports.push({
+          resourceName,
+          definition: {
+            name: resourceName,
+            attributes: info.attributes,
+            partitions: info.partitions,
+            timestamps: info.timestamps
+          },
+          records: content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        });
+      } catch (fileError) {
+        this.logger.warn({ fileName: file.name, error: (fileError as Error).message }, `Error processing file ${file.name}: ${(fileError as Error).message}`);
+      }
+    }
+
+    for (const file of archive.files) {
+      if (file.name === 's3db.json' || !file.name.endsWith('.json')) continue;
+
+      try {
+        const resourceData: ResourceExportData = JSON.parse(file.content);
+
+        if (!resourceData.resourceName || !resourceData.definition) {
+          this.logger.warn({ fileName: file.name }, `Skipping invalid file: ${file.name}`);
+          continue;
+        }
+
+        exports.push(resourceData);
+      } catch (fileError) {
+        this.logger.warn({ fileName: file.name, error: (fileError as Error).message }, `Error processing file ${file.name}: ${(fileError as Error).message}`);
+      }
+    }
+
+    return exports;
+  }
+
+  private async _ensureResource(resourceData: ResourceExportData): Promise<Resource | null> {
+    const resourceName = resourceData.resourceName;
+    const existing = (this.database.resources as Record<string, Resource>)[resourceName];
+    if (existing) {
+      return existing;
+    }
+
+    this.logger.debug({ resourceName }, `Creating resource '${resourceName}'`);
+
+    const [createOk, createErr] = await tryFn(() =>
+      this.database.createResource(resourceData.definition as { name: string; attributes: Record<string, string> })
+    );
+
+    if (!createOk) {
+      this.logger.warn({ resourceName, error: createErr?.message }, `Failed to create resource '${resourceName}': ${createErr?.message}`);
+      return null;
+    }
+
+    const resource = (this.database.resources as Record<string, Resource>)[resourceName];
+    if (!resource) {
+      this.logger.warn({ resourceName }, `Resource '${resourceName}' not found after creation attempt`);
+      return null;
+    }
+
+    return resource;
+  }
+
   async listBackups(options: ListBackupsOptions = {}): Promise<BackupMetadataRecord[]> {
     try {
       const driverBackups = await this.driver!.list(options as any);
@@ -917,10 +1352,12 @@ export class BackupPlugin extends Plugin {
         (metadataRecords as unknown as BackupMetadataRecord[]).forEach(record => metadataMap.set(record.id, record));
       }
 
-      const combinedBackups = driverBackups.map(backup => ({
-        ...backup,
-        ...(metadataMap.get(backup.id) || {})
-      }));
+      const combinedBackups = driverBackups
+        .filter(backup => backup.type !== 'journal')
+        .map(backup => ({
+          ...backup,
+          ...(metadataMap.get(backup.id) || {})
+        }));
 
       return combinedBackups as BackupMetadataRecord[];
 
@@ -951,6 +1388,9 @@ export class BackupPlugin extends Plugin {
         return;
       }
 
+      const backups = (allBackups as unknown as BackupMetadataRecord[]).filter(b => b.type !== 'journal');
+      const segments = (allBackups as unknown as BackupMetadataRecord[]).filter(b => b.type === 'journal');
+
       const now = Date.now();
       const msPerDay = 24 * 60 * 60 * 1000;
       const msPerWeek = 7 * msPerDay;
@@ -964,7 +1404,7 @@ export class BackupPlugin extends Plugin {
         yearly: []
       };
 
-      for (const backup of (allBackups as unknown as BackupMetadataRecord[])) {
+      for (const backup of backups) {
         const age = now - backup.timestamp;
 
         if (age <= msPerDay * this.config.retention.daily) {
@@ -1009,7 +1449,11 @@ export class BackupPlugin extends Plugin {
         }
       }
 
-      const backupsToDelete = (allBackups as unknown as BackupMetadataRecord[]).filter(b => !toKeep.has(b.id));
+      const backupsToDelete = backups.filter(b => !toKeep.has(b.id));
+
+      // Journal segments only matter after a full backup that is still kept
+      const oldestFull = Math.min(...backups.filter(b => b.type === 'full' && toKeep.has(b.id)).map(b => b.timestamp));
+      backupsToDelete.push(...segments.filter(segment => (segment.endTimestamp ?? segment.timestamp) < oldestFull));
 
       if (backupsToDelete.length === 0) {
         return;
@@ -1054,6 +1498,13 @@ export class BackupPlugin extends Plugin {
   override async start(): Promise<void> {
     const storageInfo = this.driver!.getStorageInfo();
     this.logger.debug({ driverType: storageInfo.type }, `Started with driver: ${storageInfo.type}`);
+
+    if (this.journal && !this._journalTimer) {
+      this._journalTimer = setInterval(() => {
+        this.flushJournal().catch(() => {});
+      }, this.config.journal!.flushInterval);
+      this._journalTimer.unref?.();
+    }
   }
 
   override async stop(): Promise<void> {
@@ -1062,6 +1513,19 @@ export class BackupPlugin extends Plugin {
     }
     this.activeBackups.clear();
 
+    if (this._journalTimer) {
+      clearInterval(this._journalTimer);
+      this._journalTimer = null;
+    }
+
+    if (this.journal) {
+      const [flushOk, flushErr] = await tryFn(() => this.flushJournal());
+      if (!flushOk) {
+        this.logger.warn({ error: flushErr?.message }, `Failed to flush journal on stop: ${flushErr?.message}`);
+      }
+      this.journal = null;
+    }
+
     if (this.driver) {
       await this.driver.cleanup();
     }
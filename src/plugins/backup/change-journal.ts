@@ -0,0 +1,157 @@
+import { mkdir, readFile, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import type BaseBackupDriver from './base-backup-driver.class.js';
+import type { BackupMetadata, UploadResult } from './base-backup-driver.class.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export type JournalOperation = 'insert' | 'update' | 'delete';
+
+/** One change: the record as it was after the write, or null for deletes. */
+export interface JournalEntry {
+  ts: number;
+  resource: string;
+  op: JournalOperation;
+  id: string;
+  data: Record<string, unknown> | null;
+}
+
+export interface JournalSegment {
+  id: string;
+  from: number;
+  to: number;
+  entries: number;
+  resources: string[];
+  size: number;
+  compressed: boolean;
+  driverInfo: UploadResult | UploadResult[];
+}
+
+export interface ChangeJournalOptions {
+  driver: BaseBackupDriver;
+  tempDir: string;
+  compress?: boolean;
+  maxEntries?: number;
+  onSegment?: ((segment: JournalSegment) => Promise<void>) | null;
+  onError?: ((error: Error) => void) | null;
+}
+
+/**
+ * Buffers resource changes and writes them as JSONL segments through a backup
+ * driver. Entries carry after-images, so replaying a segment twice is harmless.
+ */
+export class ChangeJournal {
+  driver: BaseBackupDriver;
+  tempDir: string;
+  compress: boolean;
+  maxEntries: number;
+  onSegment: ((segment: JournalSegment) => Promise<void>) | null;
+  onError: ((error: Error) => void) | null;
+  buffer: JournalEntry[];
+
+  private _flushing: Promise<JournalSegment | null>;
+
+  constructor(options: ChangeJournalOptions) {
+    this.driver = options.driver;
+    this.tempDir = options.tempDir;
+    this.compress = options.compress !== false;
+    this.maxEntries = options.maxEntries || 500;
+    this.onSegment = options.onSegment || null;
+    this.onError = options.onError || null;
+    this.buffer = [];
+    this._flushing = Promise.resolve(null);
+  }
+
+  record(entry: JournalEntry): void {
+    this.buffer.push(entry);
+    if (this.buffer.length >= this.maxEntries) {
+      this.flush().catch(error => this.onError?.(error as Error));
+    }
+  }
+
+  /** Write the buffered entries as one segment; flushes run one at a time. */
+  flush(): Promise<JournalSegment | null> {
+    const next = this._flushing
+      .catch(() => null)
+      .then(() => this._writeSegment());
+    this._flushing = next;
+    return next;
+  }
+
+  async read(segment: Pick<JournalSegment, 'id' | 'compressed' | 'driverInfo'>): Promise<JournalEntry[]> {
+    const targetPath = path.join(this.tempDir, `${segment.id}.jsonl`);
+    await mkdir(this.tempDir, { recursive: true });
+
+    try {
+      await this.driver.download(segment.id, targetPath, segment.driverInfo as BackupMetadata);
+      const raw = await readFile(targetPath);
+      const content = (segment.compressed ? await gunzip(raw) : raw).toString('utf8');
+
+      return content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line) as JournalEntry);
+    } finally {
+      await rm(targetPath, { force: true });
+    }
+  }
+
+  private async _writeSegment(): Promise<JournalSegment | null> {
+    if (this.buffer.length === 0) return null;
+
+    const entries = this.buffer;
+    this.buffer = [];
+
+    const from = entries[0]!.ts;
+    const to = entries[entries.length - 1]!.ts;
+    const id = `journal-${new Date(from).toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).substring(2, 8)}`;
+    const resources = [...new Set(entries.map(entry => entry.resource))];
+
+    const content = Buffer.from(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    const filePath = path.join(this.tempDir, `${id}.jsonl`);
+
+    try {
+      await mkdir(this.tempDir, { recursive: true });
+      await writeFile(filePath, this.compress ? await gzip(content) : content);
+
+      const driverInfo = await this.driver.upload(filePath, id, {
+        type: 'journal',
+        timestamp: from,
+        from,
+        to,
+        entries: entries.length,
+        resources,
+        compression: this.compress ? 'gzip' : 'none',
+        createdAt: new Date().toISOString()
+      });
+
+      const segment: JournalSegment = {
+        id,
+        from,
+        to,
+        entries: entries.length,
+        resources,
+        size: (await stat(filePath)).size,
+        compressed: this.compress,
+        driverInfo
+      };
+
+      if (this.onSegment) {
+        await this.onSegment(segment);
+      }
+
+      return segment;
+    } catch (error) {
+      // Keep the entries for the next flush
+      this.buffer = entries.concat(this.buffer);
+      throw error;
+    } finally {
+      await rm(filePath, { force: true });
+    }
+  }
+}
+
+export default ChangeJournal;
@@ -43,4 +43,12 @@ export type {
   MultiBackupDriverConfig
 } from './factory.js';
 
+export type {
+  JournalOperation,
+  JournalEntry,
+  JournalSegment,
+  ChangeJournalOptions
+} from './change-journal.js';
+
 export { StreamingExporter } from './streaming-exporter.js';
+export { ChangeJournal } from './change-journal.js';
@@ -1,4 +1,5 @@
 import { Plugin } from './plugin.class.js';
+import { S3_REQUEST_PRICES } from '../concerns/s3-pricing.js';
 
 interface Database {
   client: S3Client;
@@ -307,16 +308,7 @@ export class CostsPlugin extends Plugin {
     this.costs = {
       total: 0,
       requests: {
-        prices: {
-          put: 0.005 / 1000,
-          copy: 0.005 / 1000,
-          list: 0.005 / 1000,
-          post: 0.005 / 1000,
-          get: 0.0004 / 1000,
-          select: 0.0004 / 1000,
-          delete: 0.0004 / 1000,
-          head: 0.0004 / 1000
-        },
+        prices: { ...S3_REQUEST_PRICES },
         total: 0,
         counts: createRequestCounts(),
         totalEvents: 0,
@@ -4,6 +4,7 @@
  */
 
 import { createLogger } from '../../concerns/logger.js';
+import { FIELD_TYPES, type FieldType } from './crdt.js';
 
 const logger = createLogger({ name: 'eventual-consistency' });
 
@@ -25,8 +26,13 @@ export interface AnalyticsConfig {
 export interface FieldConfig {
   field: string;
   fieldPath?: string;
-  initialValue?: number;
+  /** CRDT used to merge the field's transactions (default `'counter'`). */
+  type?: FieldType;
+  initialValue?: unknown;
   reducer?: ReducerFunction;
+  /** Bounds of a `pn-counter`. */
+  min?: number;
+  max?: number;
   cohort?: Partial<CohortConfig>;
 }
 
@@ -115,8 +121,11 @@ export interface FieldHandlerConfig extends NormalizedConfig {
   resource: string;
   field: string;
   fieldPath?: string;
-  initialValue: number;
+  type: FieldType;
+  initialValue: any;
   reducer: ReducerFunction;
+  min?: number;
+  max?: number;
 }
 
 /**
@@ -245,6 +254,7 @@ export function validateResourcesConfig(resources: ResourceConfig[]): void {
         if (fieldConfig.reducer && typeof fieldConfig.reducer !== 'function') {
           throw new Error(`EventualConsistencyPlugin: reducer must be a function for field "${fieldConfig.field}"`);
         }
+        validateFieldType(fieldConfig);
       } else {
         throw new Error(`EventualConsistencyPlugin: invalid field config type for resource "${resourceConfig.resource}"`);
       }
@@ -252,6 +262,37 @@ export function validateResourcesConfig(resources: ResourceConfig[]): void {
   }
 }
 
+/**
+ * Validate the CRDT type and its options for a field
+ */
+function validateFieldType(fieldConfig: FieldConfig): void {
+  const type = fieldConfig.type ?? 'counter';
+
+  if (!FIELD_TYPES.includes(type)) {
+    throw new Error(`EventualConsistencyPlugin: unknown type "${type}" for field "${fieldConfig.field}" (expected one of ${FIELD_TYPES.join(', ')})`);
+  }
+
+  if (fieldConfig.reducer && type !== 'counter') {
+    throw new Error(`EventualConsistencyPlugin: reducer is only supported by "counter" fields, not "${type}" field "${fieldConfig.field}"`);
+  }
+
+  const hasBounds = fieldConfig.min !== undefined || fieldConfig.max !== undefined;
+  if (hasBounds && type !== 'pn-counter') {
+    throw new Error(`EventualConsistencyPlugin: min/max are only supported by "pn-counter" fields, not "${type}" field "${fieldConfig.field}"`);
+  }
+
+  for (const bound of ['min', 'max'] as const) {
+    const value = fieldConfig[bound];
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`EventualConsistencyPlugin: ${bound} must be a finite number for field "${fieldConfig.field}"`);
+    }
+  }
+
+  if (fieldConfig.min !== undefined && fieldConfig.max !== undefined && fieldConfig.min > fieldConfig.max) {
+    throw new Error(`EventualConsistencyPlugin: min cannot be greater than max for field "${fieldConfig.field}"`);
+  }
+}
+
 /**
  * Log configuration warnings
  *
@@ -17,6 +17,7 @@ import {
 import type { NormalizedConfig } from './config.js';
 import type { PluginStorage } from './locks.js';
 import { updateAnalytics, type UpdateAnalyticsConfig } from './analytics.js';
+import { foldCrdt, type CrdtState } from './crdt.js';
 
 export type RunConsolidationCallback = (
   handler: FieldHandler,
@@ -278,7 +279,7 @@ function groupByOriginalId(transactions: Transaction[]): Record<string, Transact
 export interface RecordConsolidationResult {
   originalId: string;
   transactionsApplied: number;
-  newValue: number;
+  newValue: any;
 }
 
 /**
@@ -300,6 +301,10 @@ export async function consolidateRecord(
     return null;
   }
 
+  if (handler.type !== 'counter') {
+    return consolidateCrdtRecord(handler, originalId, transactions);
+  }
+
   const fieldName = handler.field;
   const fieldPath = handler.fieldPath;
   const reducer = handler.reducer;
@@ -408,7 +413,7 @@ export async function consolidateRecord(
 export async function getConsolidatedValue(
   handler: FieldHandler,
   originalId: string
-): Promise<number> {
+): Promise<any> {
   const fieldName = handler.field;
   const fieldPath = handler.fieldPath;
   const initialValue = handler.initialValue;
@@ -418,7 +423,7 @@ export async function getConsolidatedValue(
     handler.targetResource.get(originalId)
   );
 
-  let baseValue: number;
+  let baseValue: any;
   if (recordOk && record) {
     if (fieldPath) {
       baseValue = getNestedValue(record, fieldPath) ?? initialValue;
@@ -446,6 +451,11 @@ export async function getConsolidatedValue(
     pendingTransactions = txs;
   });
 
+  if (handler.type !== 'counter') {
+    const state = await loadCrdtState(handler, originalId);
+    return foldCrdt(handler, baseValue, state, txOk ? pendingTransactions : []).value;
+  }
+
   if (!txOk || !pendingTransactions || pendingTransactions.length === 0) {
     return baseValue;
   }
@@ -548,7 +558,7 @@ export async function getCohortStats(
 export async function recalculateRecord(
   handler: FieldHandler,
   originalId: string
-): Promise<number> {
+): Promise<any> {
   const fieldName = handler.field;
   const fieldPath = handler.fieldPath;
   const initialValue = handler.initialValue;
@@ -571,6 +581,17 @@ export async function recalculateRecord(
     return initialValue;
   }
 
+  if (handler.type !== 'counter') {
+    const { value, state } = foldCrdt(handler, initialValue, {}, allTransactions);
+    await saveCrdtState(handler, originalId, state);
+    await tryFn(async () => {
+      if (await handler.targetResource.exists(originalId)) {
+        await writeFieldValue(handler, originalId, value);
+      }
+    });
+    return value;
+  }
+
   const sorted = [...allTransactions].sort(
     (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
   );
@@ -620,3 +641,113 @@ export async function recalculateRecord(
 
   return value;
 }
+
+/**
+ * Consolidate transactions of a CRDT field (any type other than `counter`)
+ * for a single record: fold them into the stored value and state, write both
+ * back and mark the transactions as applied.
+ *
+ * @param handler - Field handler
+ * @param originalId - Record ID
+ * @param transactions - Transactions to consolidate
+ * @returns Consolidation result for this record
+ */
+export async function consolidateCrdtRecord(
+  handler: FieldHandler,
+  originalId: string,
+  transactions: Transaction[]
+): Promise<RecordConsolidationResult | null> {
+  if (transactions.length === 0) {
+    return null;
+  }
+
+  const [updateOk, updateErr, newValue] = await tryFn(async () => {
+    const [recordOk, , record] = await tryFn(() => handler.targetResource.get(originalId));
+    const exists = !!(recordOk && record);
+    const current = exists ? readFieldValue(handler, record) : undefined;
+
+    const state = await loadCrdtState(handler, originalId);
+    const folded = foldCrdt(handler, current ?? handler.initialValue, state, transactions);
+
+    // State first: the value is derived from it, so a retry after a failed
+    // record write reaches the same value
+    await saveCrdtState(handler, originalId, folded.state);
+    await writeFieldValue(handler, originalId, folded.value, exists ? record : null);
+    return folded.value;
+  });
+
+  if (!updateOk) {
+    throw new PluginError(`Failed to update record ${originalId}: ${updateErr?.message}`, {
+      pluginName: 'EventualConsistencyPlugin',
+      operation: 'consolidateRecord',
+      statusCode: 500,
+      retriable: true,
+      originalId,
+      field: handler.field
+    });
+  }
+
+  await Promise.all(
+    transactions.map(txn =>
+      tryFn(() => handler.transactionResource!.update(txn.id, { applied: true }))
+    )
+  );
+
+  return {
+    originalId,
+    transactionsApplied: transactions.length,
+    newValue
+  };
+}
+
+function readFieldValue(handler: FieldHandler, record: Record<string, any>): any {
+  return handler.fieldPath ? getNestedValue(record, handler.fieldPath) : record[handler.field];
+}
+
+/**
+ * Write a consolidated value to the target record, creating the record when
+ * `existingRecord` is null
+ */
+async function writeFieldValue(
+  handler: FieldHandler,
+  originalId: string,
+  value: any,
+  existingRecord?: Record<string, any> | null
+): Promise<void> {
+  if (existingRecord === null) {
+    const newRecord: Record<string, any> = { id: originalId };
+    if (handler.fieldPath) {
+      setNestedValue(newRecord, handler.fieldPath, value);
+    } else {
+      newRecord[handler.field] = value;
+    }
+    await handler.targetResource.insert(newRecord);
+    return;
+  }
+
+  if (handler.fieldPath) {
+    const updateData = { ...(existingRecord ?? await handler.targetResource.get(originalId)) };
+    setNestedValue(updateData, handler.fieldPath, value);
+    delete updateData.id;
+    await handler.targetResource.update(originalId, updateData);
+  } else {
+    await handler.targetResource.update(originalId, { [handler.field]: value });
+  }
+}
+
+async function loadCrdtState(handler: FieldHandler, originalId: string): Promise<CrdtState> {
+  if (!handler.stateResource) {
+    return {};
+  }
+
+  const [ok, , record] = await tryFn(() => handler.stateResource!.get(originalId));
+  return ok && record?.state ? record.state as CrdtState : {};
+}
+
+async function saveCrdtState(handler: FieldHandler, originalId: string, state: CrdtState): Promise<void> {
+  if (!handler.stateResource) {
+    return;
+  }
+
+  await handler.stateResource.replace(originalId, { id: originalId, state });
+}
@@ -0,0 +1,254 @@
+/**
+ * CRDT field types for EventualConsistencyPlugin
+ * @module eventual-consistency/crdt
+ *
+ * Every field type folds its transactions into a value. The folds only depend
+ * on the transactions themselves (ordered by timestamp, then id), so any
+ * worker consolidating the same transactions reaches the same value.
+ *
+ * | Type         | Operations                    | Value                                |
+ * |--------------|-------------------------------|--------------------------------------|
+ * | `counter`    | add, sub, set                 | number (custom reducer allowed)      |
+ * | `pn-counter` | add, sub, set                 | number clamped to `min`..`max`       |
+ * | `max`/`min`  | set                           | greatest/smallest value ever set     |
+ * | `lww`        | set                           | value of the latest write            |
+ * | `g-set`      | add-element                   | array, elements are never removed    |
+ * | `or-set`     | add-element, remove-element   | array, concurrent add beats remove   |
+ */
+
+import jsonStableStringify from 'json-stable-stringify';
+import type { Transaction } from './utils.js';
+
+export type FieldType = 'counter' | 'pn-counter' | 'g-set' | 'or-set' | 'lww' | 'max' | 'min';
+
+export type TransactionOperation = 'add' | 'sub' | 'set' | 'add-element' | 'remove-element';
+
+export const FIELD_TYPES: FieldType[] = ['counter', 'pn-counter', 'g-set', 'or-set', 'lww', 'max', 'min'];
+
+const FIELD_OPERATIONS: Record<FieldType, TransactionOperation[]> = {
+  'counter': ['add', 'sub', 'set'],
+  'pn-counter': ['add', 'sub', 'set'],
+  'g-set': ['add-element'],
+  'or-set': ['add-element', 'remove-element'],
+  'lww': ['set'],
+  'max': ['set'],
+  'min': ['set']
+};
+
+/** Tag of the elements found in the record before the OR-set state existed. */
+export const SEED_TAG = 'seed';
+
+/**
+ * Per-record state kept beside the consolidated value by the types that need
+ * more than the value to merge (`lww` and `or-set`).
+ */
+export interface CrdtState {
+  /** Consolidated value the state describes. */
+  value?: unknown;
+  /** LWW: `[timestamp, transactionId]` of the write that produced `value`. */
+  stamp?: [string, string];
+  /** OR-set: live add tags (transaction ids) per element key. */
+  entries?: Record<string, { value: unknown; tags: string[] }>;
+  /** OR-set: tags removed before their add was consolidated. */
+  removed?: string[];
+}
+
+export interface FieldTypeOptions {
+  type: FieldType;
+  min?: number;
+  max?: number;
+}
+
+export interface CrdtFoldResult {
+  value: unknown;
+  state: CrdtState;
+}
+
+export function getFieldOperations(type: FieldType): TransactionOperation[] {
+  return FIELD_OPERATIONS[type];
+}
+
+/** Types whose transaction values are numbers (and can feed analytics). */
+export function isNumericFieldType(type: FieldType): boolean {
+  return type === 'counter' || type === 'pn-counter' || type === 'max' || type === 'min';
+}
+
+/** Types that keep a CrdtState per record. */
+export function isStatefulFieldType(type: FieldType): boolean {
+  return type === 'lww' || type === 'or-set';
+}
+
+export function getDefaultInitialValue(type: FieldType): unknown {
+  if (type === 'counter' || type === 'pn-counter') return 0;
+  if (type === 'g-set' || type === 'or-set') return [];
+  return null;
+}
+
+/** Identity of a set element: its stable JSON form. */
+export function elementKey(element: unknown): string {
+  return jsonStableStringify(element) ?? 'null';
+}
+
+/** Deterministic order shared by all workers: timestamp, then transaction id. */
+export function sortTransactions(transactions: Transaction[]): Transaction[] {
+  return [...transactions].sort((a, b) => {
+    if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  });
+}
+
+function clamp(value: number, options: FieldTypeOptions): number {
+  let result = value;
+  if (typeof options.min === 'number' && result < options.min) result = options.min;
+  if (typeof options.max === 'number' && result > options.max) result = options.max;
+  return result;
+}
+
+function toNumber(value: unknown, fallback: number): number {
+  const parsed = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function foldPnCounter(options: FieldTypeOptions, base: unknown, transactions: Transaction[]): number {
+  let value = clamp(toNumber(base, 0), options);
+
+  for (const txn of transactions) {
+    const amount = toNumber(txn.value, 0);
+    if (txn.operation === 'set') {
+      value = clamp(amount, options);
+    } else if (txn.operation === 'add') {
+      value = clamp(value + amount, options);
+    } else if (txn.operation === 'sub') {
+      value = clamp(value - amount, options);
+    }
+  }
+
+  return value;
+}
+
+function foldExtremum(type: 'max' | 'min', base: unknown, transactions: Transaction[]): number | null {
+  const pick = type === 'max' ? Math.max : Math.min;
+  let value = base === null || base === undefined ? null : toNumber(base, 0);
+
+  for (const txn of transactions) {
+    if (txn.operation !== 'set') continue;
+    const offered = toNumber(txn.value, NaN);
+    if (Number.isNaN(offered)) continue;
+    value = value === null ? offered : pick(value, offered);
+  }
+
+  return value;
+}
+
+function foldLww(base: unknown, state: CrdtState, transactions: Transaction[]): CrdtFoldResult {
+  let value = state.stamp ? state.value : base;
+  let stamp = state.stamp;
+
+  for (const txn of transactions) {
+    if (txn.operation !== 'set') continue;
+    const candidate: [string, string] = [txn.timestamp, txn.id];
+    if (!stamp || candidate[0] > stamp[0] || (candidate[0] === stamp[0] && candidate[1] > stamp[1])) {
+      value = txn.value ?? null;
+      stamp = candidate;
+    }
+  }
+
+  return { value, state: stamp ? { value, stamp } : {} };
+}
+
+function foldGSet(base: unknown, transactions: Transaction[]): unknown[] {
+  const elements = new Map<string, unknown>();
+
+  for (const element of Array.isArray(base) ? base : []) {
+    elements.set(elementKey(element), element);
+  }
+
+  for (const txn of transactions) {
+    if (txn.operation !== 'add-element') continue;
+    const key = elementKey(txn.value);
+    if (!elements.has(key)) elements.set(key, txn.value);
+  }
+
+  return Array.from(elements.values());
+}
+
+function foldOrSet(base: unknown, state: CrdtState, transactions: Transaction[]): CrdtFoldResult {
+  const entries: Record<string, { value: unknown; tags: string[] }> = {};
+  const removed = new Set(state.removed ?? []);
+
+  if (state.entries) {
+    for (const [key, entry] of Object.entries(state.entries)) {
+      entries[key] = { value: entry.value, tags: [...entry.tags] };
+    }
+  } else {
+    for (const element of Array.isArray(base) ? base : []) {
+      entries[elementKey(element)] = { value: element, tags: [SEED_TAG] };
+    }
+  }
+
+  for (const txn of transactions) {
+    if (txn.operation === 'add-element') {
+      if (removed.delete(txn.id)) continue;
+      const key = elementKey(txn.value);
+      if (!entries[key]) {
+        entries[key] = { value: txn.value, tags: [] };
+      }
+      if (!entries[key].tags.includes(txn.id)) entries[key].tags.push(txn.id);
+    } else if (txn.operation === 'remove-element') {
+      const { element, tags = [] } = (txn.value ?? {}) as { element?: unknown; tags?: string[] };
+      const key = elementKey(element);
+      const entry = entries[key];
+
+      for (const tag of tags) {
+        const index = entry ? entry.tags.indexOf(tag) : -1;
+        if (index >= 0) {
+          entry!.tags.splice(index, 1);
+        } else if (tag !== SEED_TAG) {
+          // The add has not been consolidated yet: drop it when it shows up
+          removed.add(tag);
+        }
+      }
+
+      if (entry && entry.tags.length === 0) {
+        delete entries[key];
+      }
+    }
+  }
+
+  const value = Object.values(entries).map(entry => entry.value);
+  return { value, state: { entries, removed: Array.from(removed) } };
+}
+
+/**
+ * Fold transactions into the value of a CRDT field.
+ *
+ * @param options - Field type and bounds
+ * @param base - Current value of the field (or its initial value)
+ * @param state - Stored CrdtState of the record (`{}` when none)
+ * @param transactions - Transactions to apply, in any order
+ * @returns New value and the state to store
+ */
+export function foldCrdt(
+  options: FieldTypeOptions,
+  base: unknown,
+  state: CrdtState,
+  transactions: Transaction[]
+): CrdtFoldResult {
+  const sorted = sortTransactions(transactions);
+
+  switch (options.type) {
+    case 'pn-counter':
+      return { value: foldPnCounter(options, base, sorted), state: {} };
+    case 'max':
+    case 'min':
+      return { value: foldExtremum(options.type, base, sorted), state: {} };
+    case 'lww':
+      return foldLww(base, state, sorted);
+    case 'g-set':
+      return { value: foldGSet(base, sorted), state: {} };
+    case 'or-set':
+      return foldOrSet(base, state, sorted);
+    default:
+      throw new Error(`Field type '${options.type}' is not a CRDT type`);
+  }
+}
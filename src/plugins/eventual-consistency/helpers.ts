@@ -3,7 +3,7 @@
  * @module eventual-consistency/helpers
  */
 
-import { createTransaction } from './transactions.js';
+import { createTransaction, observeElementTags } from './transactions.js';
 import { resolveFieldAndPlugin, type FieldHandler } from './utils.js';
 import type { NormalizedConfig } from './config.js';
 
@@ -13,26 +13,28 @@ export interface HelperOptions {
 
 export interface TargetResource {
   _eventualConsistencyPlugins?: Record<string, FieldHandler>;
-  add?(field: string, value: number, options?: HelperOptions): Promise<any>;
-  add?(value: number, options?: HelperOptions): Promise<any>;
-  sub?(field: string, value: number, options?: HelperOptions): Promise<any>;
-  sub?(value: number, options?: HelperOptions): Promise<any>;
-  set?(field: string, value: number, options?: HelperOptions): Promise<any>;
-  set?(value: number, options?: HelperOptions): Promise<any>;
-  increment?(field: string, options?: HelperOptions): Promise<any>;
-  increment?(options?: HelperOptions): Promise<any>;
-  decrement?(field: string, options?: HelperOptions): Promise<any>;
-  decrement?(options?: HelperOptions): Promise<any>;
+  add?(id: string, field: string, value: number, options?: HelperOptions): Promise<any>;
+  add?(id: string, value: number, options?: HelperOptions): Promise<any>;
+  sub?(id: string, field: string, value: number, options?: HelperOptions): Promise<any>;
+  sub?(id: string, value: number, options?: HelperOptions): Promise<any>;
+  set?(id: string, field: string, value: unknown, options?: HelperOptions): Promise<any>;
+  set?(id: string, value: unknown, options?: HelperOptions): Promise<any>;
+  increment?(id: string, field?: string, options?: HelperOptions): Promise<any>;
+  decrement?(id: string, field?: string, options?: HelperOptions): Promise<any>;
+  addToSet?(id: string, field: string, element: unknown, options?: HelperOptions): Promise<any>;
+  addToSet?(id: string, element: unknown, options?: HelperOptions): Promise<any>;
+  removeFromSet?(id: string, field: string, element: unknown, options?: HelperOptions): Promise<any>;
+  removeFromSet?(id: string, element: unknown, options?: HelperOptions): Promise<any>;
   consolidate?(field?: string): Promise<any>;
-  getConsolidatedValue?(field: string, recordId: string): Promise<number>;
-  recalculate?(field: string, recordId: string): Promise<number>;
+  getConsolidatedValue?(field: string, recordId: string): Promise<any>;
+  recalculate?(field: string, recordId: string): Promise<any>;
   [key: string]: any;
 }
 
 export interface EventualConsistencyPlugin {
   runConsolidation(handler: FieldHandler, resourceName: string, fieldName: string): Promise<any>;
-  getConsolidatedValue(resourceName: string, fieldName: string, recordId: string): Promise<number>;
-  recalculateRecord(resourceName: string, fieldName: string, recordId: string): Promise<number>;
+  getConsolidatedValue(resourceName: string, fieldName: string, recordId: string): Promise<any>;
+  recalculateRecord(resourceName: string, fieldName: string, recordId: string): Promise<any>;
 }
 
 /**
@@ -50,7 +52,7 @@ export function addHelperMethods(
   const defaultField = getDefaultField(resource);
 
   resource.add = async function(...args: any[]): Promise<any> {
-    const { field, value, options, handler } = resolveFieldAndPlugin(
+    const { originalId, field, value, options, handler } = resolveFieldAndPlugin(
       args,
       defaultField,
       this
@@ -61,7 +63,7 @@ export function addHelperMethods(
     }
 
     return createTransaction(handler, {
-      originalId: this.id,
+      originalId,
       field,
       fieldPath: handler.fieldPath,
       value: Math.abs(value),
@@ -71,7 +73,7 @@ export function addHelperMethods(
   };
 
   resource.sub = async function(...args: any[]): Promise<any> {
-    const { field, value, options, handler } = resolveFieldAndPlugin(
+    const { originalId, field, value, options, handler } = resolveFieldAndPlugin(
       args,
       defaultField,
       this
@@ -82,7 +84,7 @@ export function addHelperMethods(
     }
 
     return createTransaction(handler, {
-      originalId: this.id,
+      originalId,
       field,
       fieldPath: handler.fieldPath,
       value: Math.abs(value),
@@ -92,7 +94,7 @@ export function addHelperMethods(
   };
 
   resource.set = async function(...args: any[]): Promise<any> {
-    const { field, value, options, handler } = resolveFieldAndPlugin(
+    const { originalId, field, value, options, handler } = resolveFieldAndPlugin(
       args,
       defaultField,
       this
@@ -103,7 +105,7 @@ export function addHelperMethods(
     }
 
     return createTransaction(handler, {
-      originalId: this.id,
+      originalId,
       field,
       fieldPath: handler.fieldPath,
       value,
@@ -112,18 +114,65 @@ export function addHelperMethods(
     });
   };
 
-  resource.increment = async function(...args: any[]): Promise<any> {
+  resource.increment = async function(id: string, ...args: any[]): Promise<any> {
     const options = typeof args[0] === 'string' ? args[1] : args[0];
     const field = typeof args[0] === 'string' ? args[0] : defaultField;
 
-    return this.add?.(field as string, 1, options);
+    return this.add?.(id, field as string, 1, options);
   };
 
-  resource.decrement = async function(...args: any[]): Promise<any> {
+  resource.decrement = async function(id: string, ...args: any[]): Promise<any> {
     const options = typeof args[0] === 'string' ? args[1] : args[0];
     const field = typeof args[0] === 'string' ? args[0] : defaultField;
 
-    return this.sub?.(field as string, 1, options);
+    return this.sub?.(id, field as string, 1, options);
+  };
+
+  resource.addToSet = async function(...args: any[]): Promise<any> {
+    const { originalId, field, value, options, handler } = resolveFieldAndPlugin(
+      args,
+      defaultField,
+      this
+    );
+
+    if (!handler) {
+      throw new Error(`No eventual consistency handler for field: ${field}`);
+    }
+
+    return createTransaction(handler, {
+      originalId,
+      field,
+      fieldPath: handler.fieldPath,
+      value,
+      operation: 'add-element',
+      options
+    });
+  };
+
+  resource.removeFromSet = async function(...args: any[]): Promise<any> {
+    const { originalId, field, value, options, handler } = resolveFieldAndPlugin(
+      args,
+      defaultField,
+      this
+    );
+
+    if (!handler) {
+      throw new Error(`No eventual consistency handler for field: ${field}`);
+    }
+
+    // Only OR-sets accept removals; createTransaction rejects the rest
+    const tags = handler.type === 'or-set'
+      ? await observeElementTags(handler, originalId, value)
+      : [];
+
+    return createTransaction(handler, {
+      originalId,
+      field,
+      fieldPath: handler.fieldPath,
+      value: { element: value, tags },
+      operation: 'remove-element',
+      options
+    });
   };
 
   resource.consolidate = async function(field?: string): Promise<any> {
@@ -143,7 +192,7 @@ export function addHelperMethods(
   resource.getConsolidatedValue = async function(
     field: string,
     recordId: string
-  ): Promise<number> {
+  ): Promise<any> {
     const handler = this._eventualConsistencyPlugins?.[field];
     if (!handler) {
       throw new Error(`No eventual consistency handler for field: ${field}`);
@@ -155,7 +204,7 @@ export function addHelperMethods(
   resource.recalculate = async function(
     field: string,
     recordId: string
-  ): Promise<number> {
+  ): Promise<any> {
     const handler = this._eventualConsistencyPlugins?.[field];
     if (!handler) {
       throw new Error(`No eventual consistency handler for field: ${field}`);
@@ -41,6 +41,7 @@ import {
   type CohortStats
 } from './consolidation.js';
 
+import type { FieldType, CrdtState } from './crdt.js';
 import { runGarbageCollection } from './garbage-collection.js';
 import { cleanupStaleLocks, type PluginStorage as IPluginStorage } from './locks.js';
 
@@ -294,15 +295,16 @@ export class EventualConsistencyPlugin extends CoordinatorPlugin<EventualConsist
   }
 
   /**
-   * Get consolidated value for a record
+   * Get consolidated value for a record (a number for counters; an array for
+   * sets; the register value for `lww`, `max` and `min` fields)
    */
-  async getConsolidatedValue(
+  async getConsolidatedValue<T = number>(
     resourceName: string,
     fieldName: string,
     recordId: string
-  ): Promise<number> {
+  ): Promise<T> {
     const handler = this._getHandler(resourceName, fieldName);
-    return getConsolidatedValue(handler, recordId);
+    return getConsolidatedValue(handler, recordId) as Promise<T>;
   }
 
   /**
@@ -319,13 +321,13 @@ export class EventualConsistencyPlugin extends CoordinatorPlugin<EventualConsist
   /**
    * Recalculate a record's value
    */
-  async recalculateRecord(
+  async recalculateRecord<T = number>(
     resourceName: string,
     fieldName: string,
     recordId: string
-  ): Promise<number> {
+  ): Promise<T> {
     const handler = this._getHandler(resourceName, fieldName);
-    return recalculateRecord(handler, recordId);
+    return recalculateRecord(handler, recordId) as Promise<T>;
   }
 
   /**
@@ -758,6 +760,8 @@ export default EventualConsistencyPlugin;
 export {
   type EventualConsistencyPluginOptions,
   type NormalizedConfig,
+  type FieldType,
+  type CrdtState,
   type FieldHandler,
   type ConsolidationResult,
   type CohortStats,
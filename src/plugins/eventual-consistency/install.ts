@@ -12,6 +12,7 @@ import { startGarbageCollectionTimer, type RunGCCallback, type EmitFunction } fr
 import { PluginError } from '../../errors.js';
 import { getCronManager } from '../../concerns/cron-manager.js';
 import { createTicketResourceSchema } from './tickets.js';
+import { isNumericFieldType, isStatefulFieldType } from './crdt.js';
 import type { FieldHandler } from './utils.js';
 import type { NormalizedConfig } from './config.js';
 
@@ -135,7 +136,7 @@ export async function completeFieldSetup(
         originalId: 'string|required',
         field: 'string|required',
         fieldPath: 'string|optional',
-        value: 'number|required',
+        value: isNumericFieldType(handler.type) ? 'number|required' : 'json|optional',
         operation: 'string|required',
         timestamp: 'string|required',
         cohortDate: 'string|required',
@@ -172,7 +173,11 @@ export async function completeFieldSetup(
     await createTicketResource(handler, database, resourceName, fieldName);
   }
 
-  if (config.enableAnalytics) {
+  if (isStatefulFieldType(handler.type)) {
+    await createStateResource(handler, database, resourceName, fieldName);
+  }
+
+  if (config.enableAnalytics && isNumericFieldType(handler.type)) {
     await createAnalyticsResource(handler, database, resourceName, fieldName);
   }
 
@@ -248,6 +253,46 @@ async function createAnalyticsResource(
   handler.analyticsResource = ok ? analyticsResource : database.resources[analyticsResourceName];
 }
 
+/**
+ * Create CRDT state resource for a field handler (`lww` and `or-set` fields)
+ */
+async function createStateResource(
+  handler: FieldHandler,
+  database: Database,
+  resourceName: string,
+  fieldName: string
+): Promise<void> {
+  const stateResourceName = `plg_${resourceName}_crdt_${fieldName}`;
+
+  const [ok, err, stateResource] = await tryFn(() =>
+    database.createResource({
+      name: stateResourceName,
+      attributes: {
+        id: 'string|required',
+        state: 'json|required'
+      },
+      behavior: 'body-only',
+      timestamps: true,
+      createdBy: 'EventualConsistencyPlugin'
+    })
+  );
+
+  if (!ok && !database.resources[stateResourceName]) {
+    throw new PluginError(`Failed to create CRDT state resource for ${resourceName}.${fieldName}`, {
+      pluginName: 'EventualConsistencyPlugin',
+      operation: 'createStateResource',
+      statusCode: 500,
+      retriable: false,
+      suggestion: 'Verify database permissions and configuration for creating plugin resources.',
+      resourceName,
+      fieldName,
+      original: err
+    });
+  }
+
+  handler.stateResource = ok ? stateResource : database.resources[stateResourceName];
+}
+
 /**
  * Create ticket resource for a field handler (coordinator mode)
  */
@@ -12,6 +12,7 @@ import {
   setNestedValue
 } from './utils.js';
 import type { NormalizedConfig } from './config.js';
+import { consolidateCrdtRecord } from './consolidation.js';
 
 export interface Ticket {
   id: string;
@@ -635,6 +636,13 @@ export async function processTicket(
         continue;
       }
 
+      if (handler.type !== 'counter') {
+        const crdtResult = await consolidateCrdtRecord(handler, originalId, transactions);
+        results.transactionsApplied += crdtResult?.transactionsApplied ?? 0;
+        results.recordsProcessed++;
+        continue;
+      }
+
       const sortedTransactions = [...transactions].sort((a, b) => {
         const aTs = new Date(a.timestamp).getTime();
         const bTs = new Date(b.timestamp).getTime();
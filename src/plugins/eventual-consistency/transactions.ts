@@ -4,12 +4,21 @@
  */
 
 import tryFn from '../../concerns/try-fn.js';
+import { PluginError } from '../../errors.js';
 import {
   type Transaction,
   type FieldHandler,
   getCohortInfo,
+  getNestedValue,
   generateTransactionId
 } from './utils.js';
+import {
+  SEED_TAG,
+  elementKey,
+  getFieldOperations,
+  type CrdtState,
+  type TransactionOperation
+} from './crdt.js';
 
 export interface CreateTransactionOptions {
   source?: string;
@@ -19,8 +28,8 @@ export interface CreateTransactionParams {
   originalId: string;
   field: string;
   fieldPath?: string;
-  value: number;
-  operation: 'add' | 'sub' | 'set';
+  value: any;
+  operation: TransactionOperation;
   options?: CreateTransactionOptions;
 }
 
@@ -38,6 +47,18 @@ export async function createTransaction(
   const { originalId, field, fieldPath, value, operation, options = {} } = params;
   const config = handler.config;
 
+  if (!getFieldOperations(handler.type).includes(operation)) {
+    throw new PluginError(`Operation '${operation}' is not supported by ${handler.type} field ${handler.resource}.${field}`, {
+      pluginName: 'EventualConsistencyPlugin',
+      operation: 'createTransaction',
+      statusCode: 400,
+      retriable: false,
+      suggestion: `${handler.type} fields accept: ${getFieldOperations(handler.type).join(', ')}.`,
+      resourceName: handler.resource,
+      fieldName: field
+    });
+  }
+
   const now = new Date();
   const timestamp = now.toISOString();
   const cohortInfo = getCohortInfo(timestamp, config.cohort.timezone);
@@ -89,6 +110,66 @@ export async function createTransaction(
   return transaction as Transaction;
 }
 
+/**
+ * Collect the add tags of an OR-set element that a removal observes: the tags
+ * in the consolidated state plus the adds still waiting for consolidation.
+ * Adds not visible here (e.g. queued by another process) survive the removal.
+ *
+ * @param handler - Field handler of an `or-set` field
+ * @param originalId - Record ID
+ * @param element - Element being removed
+ * @returns Observed tags
+ */
+export async function observeElementTags(
+  handler: FieldHandler,
+  originalId: string,
+  element: unknown
+): Promise<string[]> {
+  const key = elementKey(element);
+  const tags = new Set<string>();
+
+  const [stateOk, , stateRecord] = await tryFn(() => handler.stateResource!.get(originalId));
+  const state: CrdtState | undefined = stateOk ? stateRecord?.state : undefined;
+
+  if (state?.entries) {
+    for (const tag of state.entries[key]?.tags ?? []) tags.add(tag);
+  } else {
+    // No state yet: elements already in the record carry the seed tag
+    const [recordOk, , record] = await tryFn(() => handler.targetResource.get(originalId));
+    const current = recordOk && record
+      ? (handler.fieldPath ? getNestedValue(record, handler.fieldPath) : record[handler.field])
+      : undefined;
+    if (Array.isArray(current) && current.some(item => elementKey(item) === key)) {
+      tags.add(SEED_TAG);
+    }
+  }
+
+  const isPendingAdd = (txn: Transaction) =>
+    txn.operation === 'add-element' && elementKey(txn.value) === key;
+
+  const pageSize = 100;
+  let offset = 0;
+  while (true) {
+    const [ok, , batch] = await tryFn(() =>
+      handler.transactionResource!.query({ originalId, applied: false }, { limit: pageSize, offset })
+    );
+    if (!ok || !Array.isArray(batch) || batch.length === 0) break;
+
+    for (const txn of batch as Transaction[]) {
+      if (isPendingAdd(txn)) tags.add(txn.id);
+    }
+
+    if (batch.length < pageSize) break;
+    offset += pageSize;
+  }
+
+  for (const txn of handler.pendingTransactions?.get(`${originalId}:${handler.field}`) ?? []) {
+    if (isPendingAdd(txn)) tags.add(txn.id);
+  }
+
+  return Array.from(tags);
+}
+
 /**
  * Flush pending transactions to storage
  *
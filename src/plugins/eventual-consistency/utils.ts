@@ -10,6 +10,7 @@ import {
   type NormalizedConfig,
   type FieldHandlerConfig
 } from './config.js';
+import { getDefaultInitialValue, type FieldType } from './crdt.js';
 
 export interface CohortInfo {
   cohortDate: string;
@@ -23,7 +24,8 @@ export interface Transaction {
   originalId: string;
   field: string;
   fieldPath?: string;
-  value: number;
+  /** Amount for counters; element, register value or removal for other field types. */
+  value: any;
   operation: string;
   timestamp: string;
   cohortDate: string;
@@ -83,6 +85,11 @@ export interface TicketResource {
   query(query: Record<string, any>, options?: { limit?: number; offset?: number }): Promise<any[]>;
 }
 
+export interface StateResource {
+  get(id: string): Promise<any>;
+  replace(id: string, data: any): Promise<any>;
+}
+
 export interface FieldHandler {
   resource: string;
   field: string;
@@ -92,12 +99,16 @@ export interface FieldHandler {
   transactionResource?: TransactionResource;
   analyticsResource?: AnalyticsResource;
   ticketResource?: TicketResource;
+  stateResource?: StateResource;
   pendingTransactions?: Map<string, Transaction[]>;
   consolidationJobName?: string;
   gcJobName?: string;
   deferredSetup?: boolean;
-  initialValue: number;
+  type: FieldType;
+  initialValue: any;
   reducer: ReducerFunction;
+  min?: number;
+  max?: number;
 }
 
 /**
@@ -208,8 +219,11 @@ export function createFieldHandler(
 
   let fieldName: string;
   let fieldPath: string | undefined;
-  let initialValue: number = 0;
+  let type: FieldType = 'counter';
+  let initialValue: any = 0;
   let reducer: ReducerFunction = defaultReducer;
+  let min: number | undefined;
+  let max: number | undefined;
   let cohortConfig: CohortConfig = globalConfig.cohort;
 
   if (typeof fieldConfig === 'string') {
@@ -217,8 +231,11 @@ export function createFieldHandler(
   } else {
     fieldName = fieldConfig.field;
     fieldPath = fieldConfig.fieldPath;
-    initialValue = fieldConfig.initialValue ?? 0;
+    type = fieldConfig.type ?? 'counter';
+    initialValue = fieldConfig.initialValue ?? getDefaultInitialValue(type);
     reducer = fieldConfig.reducer || defaultReducer;
+    min = fieldConfig.min;
+    max = fieldConfig.max;
 
     if (fieldConfig.cohort) {
       cohortConfig = {
@@ -233,8 +250,11 @@ export function createFieldHandler(
     resource: resourceName,
     field: fieldName,
     fieldPath,
+    type,
     initialValue,
     reducer,
+    min,
+    max,
     cohort: cohortConfig
   };
 
@@ -243,8 +263,11 @@ export function createFieldHandler(
     field: fieldName,
     fieldPath,
     config: handlerConfig,
+    type,
     initialValue,
     reducer,
+    min,
+    max,
     pendingTransactions: new Map()
   };
 }
@@ -320,46 +343,37 @@ export function setNestedValue(obj: any, path: string, value: any): void {
 }
 
 /**
- * Resolve field and plugin handler from arguments
+ * Resolve record id, field and plugin handler from arguments
  *
- * @param args - Arguments array [field, value, options?] or [value, options?]
+ * @param args - Arguments array [id, field, value, options?] or [id, value, options?]
  * @param defaultField - Default field name if not specified
  * @param resource - Resource instance with plugin references
- * @returns Resolved field, value, options, and handler
+ * @returns Resolved record id, field, value, options, and handler
  */
 export function resolveFieldAndPlugin(
   args: any[],
   defaultField: string | null,
   resource: any
-): { field: string; value: number; options: any; handler: FieldHandler | null } {
+): { originalId: string; field: string; value: any; options: any; handler: FieldHandler | null } {
+  const plugins = resource._eventualConsistencyPlugins || {};
+  const originalId = args[0];
   let field: string;
-  let value: number;
-  let options: any = {};
+  let value: any;
+  let options: any;
 
-  if (args.length === 1) {
-    field = defaultField!;
-    value = args[0];
-  } else if (args.length === 2) {
-    if (typeof args[0] === 'string') {
-      field = args[0];
-      value = args[1];
-    } else {
-      field = defaultField!;
-      value = args[0];
-      options = args[1] || {};
-    }
+  if (args.length >= 3 && typeof args[1] === 'string' && plugins[args[1]]) {
+    field = args[1];
+    value = args[2];
+    options = args[3] || {};
   } else {
-    field = args[0];
+    field = defaultField!;
     value = args[1];
     options = args[2] || {};
   }
 
-  let handler: FieldHandler | null = null;
-  if (resource._eventualConsistencyPlugins) {
-    handler = resource._eventualConsistencyPlugins[field] || null;
-  }
+  const handler: FieldHandler | null = plugins[field] || null;
 
-  return { field, value, options, handler };
+  return { originalId, field, value, options, handler };
 }
 
 /**
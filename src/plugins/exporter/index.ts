@@ -0,0 +1,564 @@
+import { Plugin, type PluginConfig } from '../plugin.class.js';
+import { open, readFile, rm, writeFile, type FileHandle } from 'fs/promises';
+import { once } from 'events';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import type { Writable } from 'node:stream';
+import { get, pick } from 'lodash-es';
+import { flatten } from '../../concerns/flatten.js';
+import { PluginError } from '../../errors.js';
+import type { QueryFilter } from '../../concerns/query-filter.js';
+import type { StringRecord } from '../../types/common.types.js';
+import { ParquetEncoder, type ParquetRowGroupInfo, type ParquetValueType } from './parquet-writer.js';
+
+const gzip = promisify(zlib.gzip);
+
+interface ExportColumn {
+  name: string;
+  path: string[];
+  type: ParquetValueType;
+}
+
+interface ExportOptions {
+  format?: string;
+  /** File path or writable stream. */
+  output?: string | Writable;
+  filter?: QueryFilter;
+  partition?: string | null;
+  partitionValues?: StringRecord;
+  /** Attribute paths to export (dot notation); nested objects expand to their leaves. */
+  fields?: string[] | null;
+  gzip?: boolean;
+  /** Joins nested keys in column names (default '.'). */
+  separator?: string;
+  /** Flatten JSONL records too; tabular formats always flatten. */
+  flatten?: boolean;
+  /** CSV field delimiter. */
+  delimiter?: string;
+  /** Records per chunk: one checkpoint (and one Parquet row group) per chunk. */
+  chunkSize?: number;
+  /** Continue from `<output>.checkpoint` when a previous file export was interrupted. */
+  resume?: boolean;
+  /** Continue a stream export from a previous result's `cursor`. */
+  cursor?: string | null;
+  /** Stop after the current chunk; the export can be resumed later. */
+  signal?: AbortSignal;
+}
+
+interface ExportResult {
+  resource: string;
+  format: string;
+  output: string | null;
+  records: number;
+  bytes: number;
+  completed: boolean;
+  /** Where to continue an unfinished export, null once complete. */
+  cursor: string | null;
+  duration: number;
+}
+
+interface ExportProgressEvent {
+  resource: string;
+  records: number;
+  bytes: number;
+}
+
+interface ExportCheckpoint {
+  v: 1;
+  resource: string;
+  format: string;
+  gzip: boolean;
+  columns: ExportColumn[] | null;
+  cursor: string | null;
+  records: number;
+  bytes: number;
+  state: unknown;
+}
+
+interface ExporterPluginOptions extends PluginConfig {
+  /** Resources that get `resource.export()`; all by default. */
+  resources?: string[] | null;
+  format?: string;
+  gzip?: boolean;
+  separator?: string;
+  delimiter?: string;
+  chunkSize?: number;
+  concurrency?: number;
+}
+
+interface ResourceIteratorLike extends AsyncIterable<Record<string, unknown>> {
+  cursor: string | null;
+  done: boolean;
+}
+
+interface Resource {
+  name: string;
+  attributes?: Record<string, unknown>;
+  iterate(options: Record<string, unknown>): ResourceIteratorLike;
+  [key: string]: unknown;
+}
+
+interface Database {
+  resources: Record<string, Resource>;
+  addHook(event: string, fn: (context: Record<string, unknown>) => unknown): void;
+  [key: string]: unknown;
+}
+
+const NUMBER_TYPES = new Set(['number', 'decimal', 'money', 'crypto', 'geo:lat', 'geo:lon', 'geo-lat', 'geo-lon']);
+
+abstract class ExporterDriver {
+  protected config: ExportOptions;
+  /** Tabular formats write a fixed set of columns. */
+  readonly tabular: boolean = false;
+  /** Formats that compress internally instead of gzipping the output. */
+  readonly compressesItself: boolean = false;
+
+  constructor(config: ExportOptions = {}) {
+    this.config = config;
+  }
+
+  /** Bytes before the first record. */
+  header(columns: ExportColumn[] | null): Buffer {
+    return Buffer.alloc(0);
+  }
+
+  abstract encode(rows: Record<string, unknown>[], offset: number): Buffer;
+
+  /** Bytes after the last record. */
+  footer(): Buffer {
+    return Buffer.alloc(0);
+  }
+
+  /** State to carry across a resume. */
+  state(): unknown {
+    return null;
+  }
+
+  restore(columns: ExportColumn[] | null, state: unknown): void {}
+}
+
+class JSONLExportDriver extends ExporterDriver {
+  encode(rows: Record<string, unknown>[]): Buffer {
+    return Buffer.from(rows.map(row => JSON.stringify(row) + '\n').join(''), 'utf8');
+  }
+}
+
+class CSVExportDriver extends ExporterDriver {
+  override readonly tabular = true;
+  private columns: ExportColumn[] = [];
+
+  override header(columns: ExportColumn[]): Buffer {
+    this.columns = columns;
+    return Buffer.from(this._line(columns.map(column => column.name)), 'utf8');
+  }
+
+  encode(rows: Record<string, unknown>[]): Buffer {
+    return Buffer.from(rows.map(row => this._line(this.columns.map(column => row[column.name]))).join(''), 'utf8');
+  }
+
+  override restore(columns: ExportColumn[]): void {
+    this.columns = columns;
+  }
+
+  private _line(values: unknown[]): string {
+    const delimiter = this.config.delimiter || ',';
+    return values.map(value => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date
+        ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter) + '\n';
+  }
+}
+
+class ParquetExportDriver extends ExporterDriver {
+  override readonly tabular = true;
+  override readonly compressesItself = true;
+  private encoder: ParquetEncoder | null = null;
+  private rowGroups: ParquetRowGroupInfo[] = [];
+
+  override header(columns: ExportColumn[]): Buffer {
+    this.restore(columns, []);
+    return this.encoder!.header();
+  }
+
+  encode(rows: Record<string, unknown>[], offset: number): Buffer {
+    const { buffer, info } = this.encoder!.rowGroup(rows, offset);
+    this.rowGroups.push(info);
+    return buffer;
+  }
+
+  override footer(): Buffer {
+    return this.encoder!.footer(this.rowGroups);
+  }
+
+  override state(): unknown {
+    return this.rowGroups;
+  }
+
+  override restore(columns: ExportColumn[], state: unknown): void {
+    this.encoder = new ParquetEncoder(
+      columns.map(({ name, type }) => ({ name, type })),
+      { compression: this.config.gzip ? 'gzip' : 'none' }
+    );
+    this.rowGroups = (state as ParquetRowGroupInfo[]) || [];
+  }
+}
+
+/** Writes at tracked offsets so a resumed export can drop a partial chunk. */
+class FileSink {
+  private constructor(private handle: FileHandle, private position: number) {}
+
+  static async open(filePath: string, resumeAt: number | null): Promise<FileSink> {
+    const handle = await open(filePath, resumeAt === null ? 'w' : 'r+');
+    if (resumeAt !== null) {
+      await handle.truncate(resumeAt);
+    }
+    return new FileSink(handle, resumeAt ?? 0);
+  }
+
+  async write(buffer: Buffer): Promise<void> {
+    await this.handle.write(buffer, 0, buffer.length, this.position);
+    this.position += buffer.length;
+  }
+
+  async close(): Promise<void> {
+    await this.handle.close();
+  }
+}
+
+class StreamSink {
+  constructor(private stream: Writable) {}
+
+  async write(buffer: Buffer): Promise<void> {
+    if (!this.stream.write(buffer)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  async close(completed: boolean): Promise<void> {
+    if (!completed) return;
+    const finished = once(this.stream, 'finish');
+    this.stream.end();
+    await finished;
+  }
+}
+
+/** Leaf attributes as export columns, `id` first. */
+function schemaColumns(attributes: Record<string, unknown>, prefix: string[] = []): Array<Omit<ExportColumn, 'name'>> {
+  const columns: Array<Omit<ExportColumn, 'name'>> = [];
+
+  for (const [key, definition] of Object.entries(attributes || {})) {
+    if (key.startsWith('$$')) continue;
+    const path = [...prefix, key];
+
+    if (definition && typeof definition === 'object' && !Array.isArray(definition)) {
+      const def = definition as Record<string, unknown>;
+      if (typeof def.type !== 'string' || (def.type === 'object' && def.props)) {
+        columns.push(...schemaColumns((def.props as Record<string, unknown>) || def, path));
+        continue;
+      }
+    }
+
+    const type = typeof definition === 'string'
+      ? definition.split('|')[0]!.trim()
+      : String((definition as { type?: unknown })?.type ?? 'string');
+    columns.push({
+      path,
+      type: NUMBER_TYPES.has(type) ? 'double' : type === 'boolean' || type === 'bool' ? 'boolean' : 'string'
+    });
+  }
+
+  return columns;
+}
+
+/** Drops system fields (`_etag`, `$before`, ...) that are not declared attributes. */
+function userFields(record: Record<string, unknown>, attributes: Record<string, unknown>): Record<string, unknown> {
+  const result: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(record)) {
+    if ((key.startsWith('_') || key.startsWith('$')) && !(key in attributes)) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Streams resources to CSV, JSONL or Parquet files (or any writable stream).
+ *
+ * Records are written in chunks; after each chunk a file export saves a
+ * checkpoint next to the output, so `resume: true` continues an interrupted
+ * export from the last chunk instead of starting over.
+ *
+ *   await db.usePlugin(new ExporterPlugin());
+ *   await users.export({ format: 'csv', output: './users.csv', filter: { active: true } });
+ */
+export class ExporterPlugin extends Plugin {
+  private resourceNames: string[] | null;
+  private format: string;
+  private gzip: boolean;
+  private separator: string;
+  private delimiter: string;
+  private chunkSize: number;
+  private concurrency: number;
+
+  constructor(config: ExporterPluginOptions = {}) {
+    super(config);
+
+    const opts = this.options as ExporterPluginOptions;
+
+    this.resourceNames = opts.resources || null;
+    this.format = opts.format || 'jsonl';
+    this.gzip = opts.gzip || false;
+    this.separator = opts.separator || '.';
+    this.delimiter = opts.delimiter || ',';
+    this.chunkSize = opts.chunkSize || 1000;
+    this.concurrency = opts.concurrency || 10;
+  }
+
+  override async onInstall(): Promise<void> {
+    const db = this.database as unknown as Database;
+
+    for (const resource of Object.values(db.resources)) {
+      this._installResource(resource);
+    }
+
+    db.addHook('afterCreateResource', async (context: Record<string, unknown>) => {
+      const resource = ((context as { resource?: Resource })?.resource || context) as Resource;
+      if (resource && typeof resource.name === 'string') {
+        this._installResource(resource);
+      }
+    });
+  }
+
+  override async onUninstall(): Promise<void> {
+    for (const resource of Object.values((this.database as unknown as Database).resources)) {
+      delete (resource as Record<string, unknown>).export;
+    }
+  }
+
+  private _installResource(resource: Resource): void {
+    if (this.resourceNames && !this.resourceNames.includes(resource.name)) return;
+    resource.export = (options: ExportOptions) => this.export(resource, options);
+  }
+
+  private _createDriver(format: string, options: ExportOptions): ExporterDriver {
+    switch (format) {
+      case 'jsonl':
+      case 'ndjson':
+        return new JSONLExportDriver(options);
+      case 'csv':
+        return new CSVExportDriver(options);
+      case 'tsv':
+        return new CSVExportDriver({ ...options, delimiter: '\t' });
+      case 'parquet':
+        return new ParquetExportDriver(options);
+      default:
+        throw new PluginError(`Unsupported export format: ${format}`, {
+          pluginName: 'ExporterPlugin',
+          operation: '_createDriver',
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Use one of the supported formats: jsonl, ndjson, csv, tsv, parquet.',
+          format
+        });
+    }
+  }
+
+  async export(target: string | Resource, options: ExportOptions = {}): Promise<ExportResult> {
+    const resource = typeof target === 'string'
+      ? (this.database as unknown as Database).resources[target]
+      : target;
+
+    if (!resource) {
+      throw new PluginError(`Resource "${target}" not found`, {
+        pluginName: 'ExporterPlugin',
+        operation: 'export',
+        statusCode: 404,
+        retriable: false,
+        suggestion: 'Pass an existing resource name or Resource instance.',
+        resourceName: target
+      });
+    }
+    if (!options.output) {
+      throw new PluginError('Export output is required', {
+        pluginName: 'ExporterPlugin',
+        operation: 'export',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Pass `output` as a file path or a writable stream.'
+      });
+    }
+
+    const format = (options.format || this.format).toLowerCase();
+    const useGzip = options.gzip ?? this.gzip;
+    const separator = options.separator || this.separator;
+    const chunkSize = options.chunkSize || this.chunkSize;
+    const driver = this._createDriver(format, { ...options, gzip: useGzip, delimiter: options.delimiter || this.delimiter });
+    const attributes = resource.attributes || {};
+
+    const filePath = typeof options.output === 'string' ? options.output : null;
+    const checkpointPath = filePath ? `${filePath}.checkpoint` : null;
+    const checkpoint = checkpointPath && options.resume ? await this._readCheckpoint(checkpointPath) : null;
+
+    if (checkpoint && (checkpoint.resource !== resource.name || checkpoint.format !== format || checkpoint.gzip !== useGzip)) {
+      throw new PluginError('Checkpoint does not match this export', {
+        pluginName: 'ExporterPlugin',
+        operation: 'export',
+        statusCode: 409,
+        retriable: false,
+        suggestion: `Resume with the original resource, format and gzip options (checkpoint: ${checkpoint.resource}, ${checkpoint.format}, gzip=${checkpoint.gzip}) or delete ${checkpointPath}.`
+      });
+    }
+
+    const columns = checkpoint
+      ? checkpoint.columns
+      : driver.tabular ? this._columns(attributes, options.fields || null, separator) : null;
+
+    const started = Date.now();
+    let records = checkpoint?.records ?? 0;
+    let bytes = checkpoint?.bytes ?? 0;
+    let completed = false;
+    let cursor: string | null = checkpoint?.cursor ?? options.cursor ?? null;
+
+    const iterator = resource.iterate({
+      filter: options.filter,
+      partition: options.partition,
+      partitionValues: options.partitionValues,
+      concurrency: this.concurrency,
+      cursor
+    });
+
+    const sink = filePath ? await FileSink.open(filePath, checkpoint ? checkpoint.bytes : null) : new StreamSink(options.output as Writable);
+
+    const write = async (buffer: Buffer): Promise<void> => {
+      if (buffer.length === 0) return;
+      const out = useGzip && !driver.compressesItself ? await gzip(buffer) : buffer;
+      await sink.write(out);
+      bytes += out.length;
+    };
+
+    const flush = async (rows: Record<string, unknown>[]): Promise<void> => {
+      await write(driver.encode(rows, bytes));
+      records += rows.length;
+      cursor = iterator.cursor;
+
+      if (checkpointPath) {
+        const state: ExportCheckpoint = {
+          v: 1, resource: resource.name, format, gzip: useGzip, columns, cursor, records, bytes, state: driver.state()
+        };
+        await writeFile(checkpointPath, JSON.stringify(state));
+      }
+
+      this.emit('progress', { resource: resource.name, records, bytes } as ExportProgressEvent);
+    };
+
+    try {
+      if (checkpoint) {
+        driver.restore(columns, checkpoint.state);
+      } else if (!options.cursor) {
+        await write(driver.header(columns));
+      } else {
+        driver.restore(columns, null);
+      }
+
+      let rows: Record<string, unknown>[] = [];
+      for await (const record of iterator) {
+        rows.push(this._prepare(record, attributes, columns, options, separator));
+        if (rows.length >= chunkSize) {
+          await flush(rows);
+          rows = [];
+          if (options.signal?.aborted) break;
+        }
+      }
+
+      if (rows.length > 0) {
+        await flush(rows);
+      }
+
+      completed = iterator.done;
+      if (completed) {
+        await write(driver.footer());
+        cursor = null;
+        if (checkpointPath) await rm(checkpointPath, { force: true });
+      }
+    } finally {
+      await sink.close(completed);
+    }
+
+    const result: ExportResult = {
+      resource: resource.name,
+      format,
+      output: filePath,
+      records,
+      bytes,
+      completed,
+      cursor,
+      duration: Date.now() - started
+    };
+
+    if (completed) {
+      this.emit('complete', result);
+    }
+
+    return result;
+  }
+
+  private _columns(attributes: Record<string, unknown>, fields: string[] | null, separator: string): ExportColumn[] {
+    const leaves = schemaColumns(attributes).filter(column => column.path.join('.') !== 'id');
+    leaves.unshift({ path: ['id'], type: 'string' });
+
+    const selected = fields
+      ? fields.flatMap(field => {
+        const path = field.split('.');
+        const matches = leaves.filter(column => path.every((segment, i) => column.path[i] === segment));
+        return matches.length > 0 ? matches : [{ path, type: 'string' as const }];
+      })
+      : leaves;
+
+    return selected.map(column => ({ ...column, name: column.path.join(separator) }));
+  }
+
+  private _prepare(
+    record: Record<string, unknown>,
+    attributes: Record<string, unknown>,
+    columns: ExportColumn[] | null,
+    options: ExportOptions,
+    separator: string
+  ): Record<string, unknown> {
+    const clean = userFields(record, attributes);
+
+    if (columns) {
+      return Object.fromEntries(columns.map(column => [column.name, get(clean, column.path)]));
+    }
+
+    const selected = options.fields ? pick(clean, options.fields) : clean;
+    return options.flatten ? flatten(selected, { safe: true, delimiter: separator }) : selected;
+  }
+
+  private async _readCheckpoint(checkpointPath: string): Promise<ExportCheckpoint | null> {
+    try {
+      return JSON.parse(await readFile(checkpointPath, 'utf8')) as ExportCheckpoint;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+export {
+  ExporterDriver,
+  JSONLExportDriver,
+  CSVExportDriver,
+  ParquetExportDriver
+};
+
+export type {
+  ExportColumn,
+  ExportOptions,
+  ExportResult,
+  ExportProgressEvent,
+  ExporterPluginOptions
+};
+
+export default ExporterPlugin;
@@ -0,0 +1,311 @@
+import zlib from 'node:zlib';
+
+export type ParquetValueType = 'string' | 'double' | 'boolean';
+
+export interface ParquetWriterColumn {
+  name: string;
+  type: ParquetValueType;
+}
+
+export interface ParquetColumnChunkInfo {
+  offset: number;
+  compressedSize: number;
+  uncompressedSize: number;
+}
+
+/** Row group layout, kept so the footer can be written after a resume. */
+export interface ParquetRowGroupInfo {
+  numRows: number;
+  columns: ParquetColumnChunkInfo[];
+}
+
+export interface ParquetEncoderOptions {
+  compression?: 'none' | 'gzip';
+}
+
+const MAGIC = Buffer.from('PAR1', 'latin1');
+
+// Thrift compact protocol type ids
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+const PHYSICAL_TYPES: Record<ParquetValueType, number> = { boolean: 0, double: 5, string: 6 };
+const CODEC = { none: 0, gzip: 2 } as const;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const REPETITION_OPTIONAL = 1;
+const CONVERTED_UTF8 = 0;
+
+/** Thrift compact protocol encoder, just enough for Parquet metadata. */
+class CompactWriter {
+  private _bytes: number[] = [];
+  private _lastIds: number[] = [0];
+
+  i32(id: number, value: number): this {
+    this._field(id, T_I32);
+    this._varint((value << 1) ^ (value >> 31));
+    return this;
+  }
+
+  i64(id: number, value: number): this {
+    this._field(id, T_I64);
+    const n = BigInt(value);
+    this._varintBig((n << 1n) ^ (n >> 63n));
+    return this;
+  }
+
+  binary(id: number, value: string | Buffer): this {
+    this._field(id, T_BINARY);
+    this._binary(value);
+    return this;
+  }
+
+  struct(id: number, write: (writer: this) => void): this {
+    this._field(id, T_STRUCT);
+    this._nested(write);
+    return this;
+  }
+
+  structList<T>(id: number, items: T[], write: (writer: this, item: T) => void): this {
+    this._listHeader(id, T_STRUCT, items.length);
+    for (const item of items) this._nested(writer => write(writer, item));
+    return this;
+  }
+
+  i32List(id: number, items: number[]): this {
+    this._listHeader(id, T_I32, items.length);
+    for (const item of items) this._varint((item << 1) ^ (item >> 31));
+    return this;
+  }
+
+  binaryList(id: number, items: string[]): this {
+    this._listHeader(id, T_BINARY, items.length);
+    for (const item of items) this._binary(item);
+    return this;
+  }
+
+  /** Encode a top-level struct. */
+  static encode(write: (writer: CompactWriter) => void): Buffer {
+    const writer = new CompactWriter();
+    write(writer);
+    writer._bytes.push(0);
+    return Buffer.from(writer._bytes);
+  }
+
+  private _nested(write: (writer: this) => void): void {
+    this._lastIds.push(0);
+    write(this);
+    this._bytes.push(0);
+    this._lastIds.pop();
+  }
+
+  private _field(id: number, type: number): void {
+    const last = this._lastIds[this._lastIds.length - 1]!;
+    const delta = id - last;
+    if (delta > 0 && delta <= 15) {
+      this._bytes.push((delta << 4) | type);
+    } else {
+      this._bytes.push(type);
+      this._varint((id << 1) ^ (id >> 31));
+    }
+    this._lastIds[this._lastIds.length - 1] = id;
+  }
+
+  private _listHeader(id: number, elementType: number, size: number): void {
+    this._field(id, T_LIST);
+    if (size < 15) {
+      this._bytes.push((size << 4) | elementType);
+    } else {
+      this._bytes.push(0xf0 | elementType);
+      this._varint(size);
+    }
+  }
+
+  private _binary(value: string | Buffer): void {
+    const bytes = typeof value === 'string' ? Buffer.from(value, 'utf8') : value;
+    this._varint(bytes.length);
+    for (const byte of bytes) this._bytes.push(byte);
+  }
+
+  private _varint(value: number): void {
+    let n = value >>> 0;
+    while (n >= 0x80) {
+      this._bytes.push((n & 0x7f) | 0x80);
+      n >>>= 7;
+    }
+    this._bytes.push(n);
+  }
+
+  private _varintBig(value: bigint): void {
+    let n = BigInt.asUintN(64, value);
+    while (n >= 0x80n) {
+      this._bytes.push(Number(n & 0x7fn) | 0x80);
+      n >>= 7n;
+    }
+    this._bytes.push(Number(n));
+  }
+}
+
+function toStringValue(value: unknown): string | null {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toDoubleValue(value: unknown): number | null {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+function toBooleanValue(value: unknown): boolean | null {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+/**
+ * Encodes Parquet files as independent pieces: the leading magic, one row
+ * group per call, and the footer. Each column is written as a single PLAIN
+ * data page with optional values.
+ */
+export class ParquetEncoder {
+  columns: ParquetWriterColumn[];
+  codec: number;
+
+  constructor(columns: ParquetWriterColumn[], options: ParquetEncoderOptions = {}) {
+    this.columns = columns;
+    this.codec = CODEC[options.compression || 'none'];
+  }
+
+  header(): Buffer {
+    return Buffer.from(MAGIC);
+  }
+
+  /** Encode rows as one row group starting at byte `offset` of the file. */
+  rowGroup(rows: Record<string, unknown>[], offset: number): { buffer: Buffer; info: ParquetRowGroupInfo } {
+    const chunks: Buffer[] = [];
+    const columns: ParquetColumnChunkInfo[] = [];
+    let position = offset;
+
+    for (const column of this.columns) {
+      const body = this._encodeValues(column, rows.map(row => row[column.name]));
+      const data = this.codec === CODEC.gzip ? zlib.gzipSync(body) : body;
+
+      const header = CompactWriter.encode(writer => writer
+        .i32(1, 0)
+        .i32(2, body.length)
+        .i32(3, data.length)
+        .struct(5, page => page
+          .i32(1, rows.length)
+          .i32(2, ENCODING_PLAIN)
+          .i32(3, ENCODING_RLE)
+          .i32(4, ENCODING_RLE)));
+
+      chunks.push(header, data);
+      columns.push({
+        offset: position,
+        compressedSize: header.length + data.length,
+        uncompressedSize: header.length + body.length
+      });
+      position += header.length + data.length;
+    }
+
+    return { buffer: Buffer.concat(chunks), info: { numRows: rows.length, columns } };
+  }
+
+  footer(rowGroups: ParquetRowGroupInfo[]): Buffer {
+    const numRows = rowGroups.reduce((sum, group) => sum + group.numRows, 0);
+
+    const metadata = CompactWriter.encode(writer => writer
+      .i32(1, 1)
+      .structList(2, [null, ...this.columns], (element, column) => {
+        if (!column) {
+          element.binary(4, 'schema').i32(5, this.columns.length);
+          return;
+        }
+        element.i32(1, PHYSICAL_TYPES[column.type]).i32(3, REPETITION_OPTIONAL).binary(4, column.name);
+        if (column.type === 'string') {
+          element.i32(6, CONVERTED_UTF8).struct(10, logical => logical.struct(1, () => {}));
+        }
+      })
+      .i64(3, numRows)
+      .structList(4, rowGroups, (group, info) => group
+        .structList(1, this.columns.map((column, i) => ({ column, chunk: info.columns[i]! })), (writer, { column, chunk }) => writer
+          .i64(2, chunk.offset)
+          .struct(3, meta => meta
+            .i32(1, PHYSICAL_TYPES[column.type])
+            .i32List(2, [ENCODING_PLAIN, ENCODING_RLE])
+            .binaryList(3, [column.name])
+            .i32(4, this.codec)
+            .i64(5, info.numRows)
+            .i64(6, chunk.uncompressedSize)
+            .i64(7, chunk.compressedSize)
+            .i64(9, chunk.offset)))
+        .i64(2, info.columns.reduce((sum, columnInfo) => sum + columnInfo.uncompressedSize, 0))
+        .i64(3, info.numRows))
+      .binary(6, 's3db.js'));
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(metadata.length);
+    return Buffer.concat([metadata, length, MAGIC]);
+  }
+
+  private _encodeValues(column: ParquetWriterColumn, raw: unknown[]): Buffer {
+    const convert = column.type === 'double' ? toDoubleValue : column.type === 'boolean' ? toBooleanValue : toStringValue;
+    const values = raw.map(value => convert(value));
+    const present = values.filter(value => value !== null);
+
+    // Definition levels: one bit-packed run with bit width 1
+    const groups = Math.ceil(values.length / 8);
+    const levels = Buffer.alloc(groups);
+    values.forEach((value, i) => {
+      if (value !== null) levels[i >> 3]! |= 1 << (i & 7);
+    });
+    const levelHeader = varint(groups * 2 + 1);
+    const levelLength = Buffer.alloc(4);
+    levelLength.writeUInt32LE(levelHeader.length + levels.length);
+
+    let data: Buffer;
+    if (column.type === 'double') {
+      data = Buffer.alloc(present.length * 8);
+      present.forEach((value, i) => data.writeDoubleLE(value as number, i * 8));
+    } else if (column.type === 'boolean') {
+      data = Buffer.alloc(Math.ceil(present.length / 8));
+      present.forEach((value, i) => {
+        if (value) data[i >> 3]! |= 1 << (i & 7);
+      });
+    } else {
+      data = Buffer.concat(present.flatMap(value => {
+        const bytes = Buffer.from(value as string, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        return [length, bytes];
+      }));
+    }
+
+    return Buffer.concat([levelLength, levelHeader, levels, data]);
+  }
+}
+
+function varint(value: number): Buffer {
+  const bytes: number[] = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+export default ParquetEncoder;
@@ -2,6 +2,10 @@ import { Plugin, type PluginConfig, type ResourceLike } from './plugin.class.js'
 import tryFn from '../concerns/try-fn.js';
 import { FulltextError } from './fulltext.errors.js';
 import { resolveResourceName } from './concerns/resource-names.js';
+import { resolveAnalyzer, splitWords, type Analyzer, type AnalyzedToken } from './fulltext/analyzers.js';
+import { parseQuery, type QueryNode } from './fulltext/query-parser.js';
+import { TermDictionary } from './fulltext/term-dictionary.js';
+import { highlightText, type FieldHighlight, type HighlightOptions } from './fulltext/highlighter.js';
 
 interface Logger {
   info(obj: unknown, msg?: string): void;
@@ -34,10 +38,19 @@ interface IndexRecord {
   fieldName: string;
   word: string;
   recordIds: string[];
+  postings?: Record<string, number[]>;
   count: number;
   lastUpdated?: string;
 }
 
+interface DocumentRecord {
+  id: string;
+  resourceName: string;
+  recordId: string;
+  lengths: Record<string, number>;
+  terms: Record<string, string[]>;
+}
+
 interface Database {
   resources: Record<string, Resource>;
   pluginRegistry: PluginRegistry;
@@ -61,14 +74,36 @@ interface ResourceConfig {
   behavior?: string;
 }
 
+export type AnalyzerSpec = string | Analyzer;
+
+export interface BM25Options {
+  /** Term frequency saturation. */
+  k1?: number;
+  /** How much longer fields are penalised, 0 to 1. */
+  b?: number;
+}
+
 export interface FullTextPluginOptions {
   resourceNames?: {
     index?: string;
+    documents?: string;
   };
   indexResource?: string;
   minWordLength?: number;
   maxResults?: number;
   fields?: string[] | Record<string, string[]>;
+  /** 'standard', 'en', 'pt', 'es', a registered name or an Analyzer; defaults to `language`. */
+  analyzer?: AnalyzerSpec;
+  /** Analyzer per resource, overriding `analyzer`. */
+  analyzers?: Record<string, AnalyzerSpec>;
+  language?: string;
+  /** Score multiplier per field, e.g. `{ name: 3 }`. */
+  boosts?: Record<string, number>;
+  bm25?: BM25Options;
+  /** How query terms without an operator combine. */
+  defaultOperator?: 'and' | 'or';
+  /** Dictionary terms a prefix query expands to, per field. */
+  maxPrefixExpansions?: number;
   logLevel?: string;
   [key: string]: unknown;
 }
@@ -77,14 +112,48 @@ interface FullTextConfig {
   minWordLength: number;
   maxResults: number;
   fields?: string[] | Record<string, string[]>;
+  analyzer?: AnalyzerSpec;
+  analyzers?: Record<string, AnalyzerSpec>;
+  language?: string;
+  boosts: Record<string, number>;
+  bm25: Required<BM25Options>;
+  defaultOperator: 'and' | 'or';
+  maxPrefixExpansions: number;
   logLevel?: string;
 }
 
 interface IndexData {
   recordIds: string[];
   count: number;
+  /** Positions of the term in each record's field; the length is the term frequency. */
+  postings: Record<string, number[]>;
+}
+
+interface DocumentData {
+  /** Indexed tokens per field, the BM25 document length. */
+  lengths: Record<string, number>;
+  /** Distinct terms per field, so the record can be removed without a scan. */
+  terms: Record<string, string[]>;
+}
+
+interface CorpusStats {
+  documents: number;
+  totalLength: number;
+}
+
+interface SearchContext {
+  resourceName: string;
+  fields: string[];
+  boosts: Record<string, number>;
+  prefix: boolean;
+  fuzzy: number | 'auto';
+  analyzer: Analyzer;
+  /** Index terms that matched, for highlighting; null under NOT. */
+  matched: Set<string> | null;
 }
 
+type ScoreMap = Map<string, number>;
+
 interface ResourceDescriptor {
   defaultName: string;
   override?: string;
@@ -94,7 +163,18 @@ export interface SearchOptions {
   fields?: string[] | null;
   limit?: number;
   offset?: number;
+  /** Match whole terms only; by default the terms also match as prefixes. */
   exactMatch?: boolean;
+  /** Per-field score multipliers, merged over the plugin's `boosts`. */
+  boosts?: Record<string, number>;
+  operator?: 'and' | 'or';
+  /**
+   * Also match terms this many edits away (insert, delete, replace or swap a
+   * character). `true` or 'auto' allow 1 edit from 3 characters and 2 from 6.
+   */
+  fuzzy?: number | boolean | 'auto';
+  /** `searchRecords` only: add `_highlights` snippets for the matched fields. */
+  highlight?: boolean | HighlightOptions;
 }
 
 export interface SearchResult {
@@ -105,6 +185,7 @@ export interface SearchResult {
 export interface SearchRecord extends Record<string, unknown> {
   id: string;
   _searchScore: number;
+  _highlights?: Record<string, FieldHighlight>;
 }
 
 interface FieldStats {
@@ -133,13 +214,24 @@ export class FullTextPlugin extends Plugin {
   declare logLevel: string;
 
   indexResource: Resource | null = null;
+  documentsResource: Resource | null = null;
   indexResourceName: string;
+  documentsResourceName: string;
   config: FullTextConfig;
   indexes: Map<string, IndexData>;
   dirtyIndexes: Set<string>;
   deletedIndexes: Set<string>;
+  documents: Map<string, DocumentData>;
+  dirtyDocuments: Set<string>;
+  deletedDocuments: Set<string>;
 
   private _indexResourceDescriptor: ResourceDescriptor;
+  private _documentsResourceDescriptor: ResourceDescriptor;
+  private _dictionaries: Map<string, TermDictionary>;
+  private _corpusStats: Map<string, CorpusStats>;
+  private _analyzers: Map<string, Analyzer>;
+  /** Resources with indexes saved before documents were tracked. */
+  private _legacyResources: Set<string>;
 
   constructor(options: FullTextPluginOptions = {}) {
     super(options as PluginConfig);
@@ -153,18 +245,35 @@ export class FullTextPlugin extends Plugin {
       override: resourceNamesOption.index || opts.indexResource
     };
 
+    this._documentsResourceDescriptor = {
+      defaultName: 'plg_fulltext_documents',
+      override: resourceNamesOption.documents
+    };
+
     this.indexResourceName = this._resolveIndexResourceName();
+    this.documentsResourceName = this._resolveDocumentsResourceName();
 
     this.config = {
       minWordLength: (opts.minWordLength as number) || 3,
       maxResults: (opts.maxResults as number) || 100,
       logLevel: this.logLevel,
-      ...(opts as Record<string, unknown>)
+      ...(opts as Record<string, unknown>),
+      boosts: opts.boosts || {},
+      bm25: { k1: opts.bm25?.k1 ?? 1.2, b: opts.bm25?.b ?? 0.75 },
+      defaultOperator: opts.defaultOperator || 'or',
+      maxPrefixExpansions: opts.maxPrefixExpansions || 50
     };
 
     this.indexes = new Map();
     this.dirtyIndexes = new Set();
     this.deletedIndexes = new Set();
+    this.documents = new Map();
+    this.dirtyDocuments = new Set();
+    this.deletedDocuments = new Set();
+    this._dictionaries = new Map();
+    this._corpusStats = new Map();
+    this._analyzers = new Map();
+    this._legacyResources = new Set();
   }
 
   private _resolveIndexResourceName(): string {
@@ -173,8 +282,15 @@ export class FullTextPlugin extends Plugin {
     });
   }
 
+  private _resolveDocumentsResourceName(): string {
+    return resolveResourceName('fulltext', this._documentsResourceDescriptor, {
+      namespace: this.namespace
+    });
+  }
+
   override onNamespaceChanged(): void {
     this.indexResourceName = this._resolveIndexResourceName();
+    this.documentsResourceName = this._resolveDocumentsResourceName();
   }
 
   override async onInstall(): Promise<void> {
@@ -186,6 +302,7 @@ export class FullTextPlugin extends Plugin {
         fieldName: 'string|required',
         word: 'string|required',
         recordIds: 'json|required',
+        postings: 'json|optional',
         count: 'number|required',
         lastUpdated: 'string|required'
       },
@@ -203,6 +320,29 @@ export class FullTextPlugin extends Plugin {
       throw err;
     }
 
+    const [docsOk, docsErr, documentsResource] = await tryFn(() => this.database.createResource({
+      name: this.documentsResourceName,
+      attributes: {
+        id: 'string|required',
+        resourceName: 'string|required',
+        recordId: 'string|required',
+        lengths: 'json|required',
+        terms: 'json|required'
+      },
+      partitions: {
+        byResource: { fields: { resourceName: 'string' } }
+      },
+      behavior: 'body-overflow'
+    }));
+
+    if (docsOk) {
+      this.documentsResource = documentsResource as unknown as Resource;
+    } else if (this.database.resources[this.documentsResourceName]) {
+      this.documentsResource = this.database.resources[this.documentsResourceName] as unknown as Resource ?? null;
+    } else {
+      throw docsErr;
+    }
+
     await this.loadIndexes();
     this.installDatabaseHooks();
     this.installIndexingHooks();
@@ -218,7 +358,8 @@ export class FullTextPlugin extends Plugin {
   }
 
   isInternalResource(name: string): boolean {
-    return name === this.indexResourceName || name === 'plg_fulltext_indexes';
+    return name === this.indexResourceName || name === 'plg_fulltext_indexes' ||
+      name === this.documentsResourceName || name === 'plg_fulltext_documents';
   }
 
   async loadIndexes(): Promise<void> {
@@ -228,10 +369,27 @@ export class FullTextPlugin extends Plugin {
     if (ok && allIndexes) {
       for (const indexRecord of allIndexes) {
         const key = `${indexRecord.resourceName}:${indexRecord.fieldName}:${indexRecord.word}`;
+        const recordIds = indexRecord.recordIds || [];
+        if (!indexRecord.postings) this._legacyResources.add(indexRecord.resourceName);
         this.indexes.set(key, {
-          recordIds: indexRecord.recordIds || [],
-          count: indexRecord.count || 0
+          recordIds,
+          count: indexRecord.count || 0,
+          // Indexes saved before positions were stored count as one occurrence
+          postings: indexRecord.postings || Object.fromEntries(recordIds.map(id => [id, []]))
         });
+        this._dictionary(indexRecord.resourceName, indexRecord.fieldName).add(indexRecord.word);
+      }
+    }
+
+    if (!this.documentsResource) return;
+    const [docsOk, , allDocuments] = await tryFn(() =>
+      (this.documentsResource as unknown as { getAll(): Promise<DocumentRecord[]> }).getAll()
+    );
+    if (docsOk && allDocuments) {
+      for (const document of allDocuments) {
+        const data = { lengths: document.lengths || {}, terms: document.terms || {} };
+        this.documents.set(`${document.resourceName}:${document.recordId}`, data);
+        this._addCorpusStats(document.resourceName, data, 1);
       }
     }
   }
@@ -240,65 +398,106 @@ export class FullTextPlugin extends Plugin {
     if (!this.indexResource) return;
 
     const [ok] = await tryFn(async () => {
-      for (const key of this.deletedIndexes) {
-        const [resourceName] = key.split(':');
-        const [queryOk, , results] = await tryFn(() =>
-          this.indexResource!.query({ resourceName })
-        );
-
-        if (queryOk && results) {
-          for (const index of results) {
-            const indexKey = `${index.resourceName}:${index.fieldName}:${index.word}`;
-            if (indexKey === key) {
-              await this.indexResource!.delete(index.id);
-            }
+      // One query per resource: persisted ids keyed like the in-memory maps
+      const persistedIndexes = new Map<string, Map<string, string>>();
+      const indexIds = async (resourceName: string): Promise<Map<string, string>> => {
+        if (!persistedIndexes.has(resourceName)) {
+          const [queryOk, , results] = await tryFn(() => this.indexResource!.query({ resourceName }));
+          const ids = new Map<string, string>();
+          for (const index of (queryOk && results) || []) {
+            ids.set(`${index.resourceName}:${index.fieldName}:${index.word}`, index.id);
           }
+          persistedIndexes.set(resourceName, ids);
+        }
+        return persistedIndexes.get(resourceName)!;
+      };
+
+      for (const key of this.deletedIndexes) {
+        if (this.dirtyIndexes.has(key)) continue;
+        const [resourceName] = key.split(':') as [string];
+        const ids = await indexIds(resourceName);
+        const id = ids.get(key);
+        if (id) {
+          await this.indexResource!.delete(id);
+          ids.delete(key);
         }
       }
 
       for (const key of this.dirtyIndexes) {
-        const [resourceName, fieldName, word] = key.split(':');
+        const [resourceName, fieldName, word] = key.split(':') as [string, string, string];
         const data = this.indexes.get(key);
 
         if (!data) continue;
 
-        const [queryOk, , results] = await tryFn(() =>
-          this.indexResource!.query({ resourceName })
-        );
-
-        let existingRecord: IndexRecord | null = null;
-        if (queryOk && results) {
-          existingRecord = results.find(
-            (index) => index.resourceName === resourceName &&
-                      index.fieldName === fieldName &&
-                      index.word === word
-          ) || null;
-        }
+        const ids = await indexIds(resourceName);
+        const existingId = ids.get(key);
 
-        if (existingRecord) {
-          await this.indexResource!.update(existingRecord.id, {
+        if (existingId) {
+          await this.indexResource!.update(existingId, {
             recordIds: data.recordIds,
+            postings: data.postings,
             count: data.count,
             lastUpdated: new Date().toISOString()
           });
         } else {
-          await this.indexResource!.insert({
-            id: `index-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          const id = `index-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+          await (this.indexResource!.insert as (data: IndexRecord) => Promise<unknown>)({
+            id,
             resourceName,
             fieldName,
             word,
             recordIds: data.recordIds,
+            postings: data.postings,
             count: data.count,
             lastUpdated: new Date().toISOString()
           });
+          ids.set(key, id);
         }
       }
 
       this.dirtyIndexes.clear();
       this.deletedIndexes.clear();
+
+      await this._saveDocuments();
     });
   }
 
+  private async _saveDocuments(): Promise<void> {
+    const documents = this.documentsResource;
+    if (!documents) return;
+
+    // Document ids are derived from the record, so no lookup is needed
+    const documentId = (key: string): string => `doc-${key}`;
+
+    for (const key of this.deletedDocuments) {
+      if (this.dirtyDocuments.has(key)) continue;
+      await tryFn(() => documents.delete(documentId(key)));
+    }
+
+    for (const key of this.dirtyDocuments) {
+      const data = this.documents.get(key);
+      if (!data) continue;
+
+      const separator = key.indexOf(':');
+      const record: DocumentRecord = {
+        id: documentId(key),
+        resourceName: key.slice(0, separator),
+        recordId: key.slice(separator + 1),
+        lengths: data.lengths,
+        terms: data.terms
+      };
+      const [exists] = await tryFn(() => documents.get(record.id));
+      if (exists) {
+        await documents.update(record.id, { lengths: record.lengths, terms: record.terms });
+      } else {
+        await (documents.insert as (data: DocumentRecord) => Promise<unknown>)(record);
+      }
+    }
+
+    this.dirtyDocuments.clear();
+    this.deletedDocuments.clear();
+  }
+
   installDatabaseHooks(): void {
     (this.database as any).addHook('afterCreateResource', (resource: any) => {
       if (!this.isInternalResource(resource.name)) {
@@ -368,7 +567,6 @@ export class FullTextPlugin extends Plugin {
     this.wrapResourceMethod(resource as unknown as ResourceLike, 'update', (async (result: unknown, args: unknown[], methodName: string) => {
       const data = result as Record<string, unknown>;
       const [id] = args as [string];
-      this.removeRecordFromIndex(resource.name, id).catch(() => {});
       this.indexRecord(resource.name, id, data).catch(() => {});
       return data;
     }) as any);
@@ -388,56 +586,142 @@ export class FullTextPlugin extends Plugin {
     });
   }
 
+  /** Analyzer for a resource: `analyzers[resource]`, then `analyzer`, then `language`. */
+  getAnalyzer(resourceName: string): Analyzer {
+    let analyzer = this._analyzers.get(resourceName);
+    if (!analyzer) {
+      const spec = this.config.analyzers?.[resourceName] ?? this.config.analyzer ?? this.config.language;
+      analyzer = resolveAnalyzer(spec, { minWordLength: this.config.minWordLength });
+      this._analyzers.set(resourceName, analyzer);
+    }
+    return analyzer;
+  }
+
+  /**
+   * Index a record's fields, replacing what was indexed for it before. Runs
+   * synchronously to completion so hooks fired back to back cannot interleave.
+   */
   async indexRecord(resourceName: string, recordId: string, data: Record<string, unknown>): Promise<void> {
     const indexedFields = this.getIndexedFields(resourceName);
     if (!indexedFields || indexedFields.length === 0) {
       return;
     }
 
+    this._removeDocument(resourceName, recordId);
+
+    const analyzer = this.getAnalyzer(resourceName);
+    const document: DocumentData = { lengths: {}, terms: {} };
+
     for (const fieldName of indexedFields) {
       const fieldValue = this.getFieldValue(data, fieldName);
       if (!fieldValue) {
         continue;
       }
 
-      const words = this.tokenize(fieldValue);
+      const tokens = analyzer.analyze(Array.isArray(fieldValue) ? fieldValue.join(' ') : fieldValue);
+      if (tokens.length === 0) continue;
 
-      for (const word of words) {
-        if (word.length < this.config.minWordLength) {
-          continue;
-        }
+      const positions = new Map<string, number[]>();
+      for (const { term, position } of tokens) {
+        const list = positions.get(term);
+        if (list) list.push(position);
+        else positions.set(term, [position]);
+      }
 
-        const key = `${resourceName}:${fieldName}:${word.toLowerCase()}`;
-        const existing = this.indexes.get(key) || { recordIds: [], count: 0 };
+      for (const [word, wordPositions] of positions) {
+        const key = `${resourceName}:${fieldName}:${word}`;
+        const existing = this.indexes.get(key) || { recordIds: [], count: 0, postings: {} };
 
         if (!existing.recordIds.includes(recordId)) {
           existing.recordIds.push(recordId);
           existing.count = existing.recordIds.length;
         }
+        existing.postings[recordId] = wordPositions;
 
         this.indexes.set(key, existing);
         this.dirtyIndexes.add(key);
+        this._dictionary(resourceName, fieldName).add(word);
       }
+
+      document.lengths[fieldName] = tokens.length;
+      document.terms[fieldName] = [...positions.keys()];
     }
+
+    const documentKey = `${resourceName}:${recordId}`;
+    this.documents.set(documentKey, document);
+    this.dirtyDocuments.add(documentKey);
+    this._addCorpusStats(resourceName, document, 1);
   }
 
   async removeRecordFromIndex(resourceName: string, recordId: string): Promise<void> {
-    for (const [key, data] of this.indexes.entries()) {
-      if (key.startsWith(`${resourceName}:`)) {
-        const index = data.recordIds.indexOf(recordId);
-        if (index > -1) {
-          data.recordIds.splice(index, 1);
-          data.count = data.recordIds.length;
-
-          if (data.recordIds.length === 0) {
-            this.indexes.delete(key);
-            this.deletedIndexes.add(key);
-          } else {
-            this.indexes.set(key, data);
-            this.dirtyIndexes.add(key);
-          }
+    this._removeDocument(resourceName, recordId);
+  }
+
+  private _removeDocument(resourceName: string, recordId: string): void {
+    const documentKey = `${resourceName}:${recordId}`;
+    const document = this.documents.get(documentKey);
+
+    if (document) {
+      for (const [fieldName, words] of Object.entries(document.terms)) {
+        for (const word of words) {
+          this._removePosting(`${resourceName}:${fieldName}:${word}`, recordId);
         }
       }
+      this._addCorpusStats(resourceName, document, -1);
+      this.documents.delete(documentKey);
+      this.deletedDocuments.add(documentKey);
+      return;
+    }
+
+    if (!this._legacyResources.has(resourceName)) return;
+
+    // Indexed before documents were tracked: find its terms the slow way
+    for (const key of [...this.indexes.keys()]) {
+      if (key.startsWith(`${resourceName}:`)) {
+        this._removePosting(key, recordId);
+      }
+    }
+  }
+
+  private _removePosting(key: string, recordId: string): void {
+    const data = this.indexes.get(key);
+    if (!data) return;
+
+    const index = data.recordIds.indexOf(recordId);
+    if (index === -1) return;
+
+    data.recordIds.splice(index, 1);
+    delete data.postings[recordId];
+    data.count = data.recordIds.length;
+
+    if (data.recordIds.length === 0) {
+      const [resourceName, fieldName, word] = key.split(':') as [string, string, string];
+      this.indexes.delete(key);
+      this.dirtyIndexes.delete(key);
+      this.deletedIndexes.add(key);
+      this._dictionary(resourceName, fieldName).delete(word);
+    } else {
+      this.dirtyIndexes.add(key);
+    }
+  }
+
+  private _dictionary(resourceName: string, fieldName: string): TermDictionary {
+    const key = `${resourceName}:${fieldName}`;
+    let dictionary = this._dictionaries.get(key);
+    if (!dictionary) {
+      dictionary = new TermDictionary();
+      this._dictionaries.set(key, dictionary);
+    }
+    return dictionary;
+  }
+
+  private _addCorpusStats(resourceName: string, document: DocumentData, sign: 1 | -1): void {
+    for (const [fieldName, length] of Object.entries(document.lengths)) {
+      const key = `${resourceName}:${fieldName}`;
+      const stats = this._corpusStats.get(key) || { documents: 0, totalLength: 0 };
+      stats.documents += sign;
+      stats.totalLength += sign * length;
+      this._corpusStats.set(key, stats);
     }
   }
 
@@ -462,13 +746,7 @@ export class FullTextPlugin extends Plugin {
 
   tokenize(text: unknown): string[] {
     if (!text) return [];
-
-    const str = String(text).toLowerCase();
-
-    return str
-      .replace(/[^\w\s\u00C0-\u017F]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 0);
+    return splitWords(text);
   }
 
   getIndexedFields(resourceName: string): string[] {
@@ -488,63 +766,191 @@ export class FullTextPlugin extends Plugin {
     return fieldMappings[resourceName] || [];
   }
 
+  /**
+   * Rank records with BM25. The query supports quoted phrases, `+`/`-`
+   * modifiers, AND/OR/NOT with parentheses and `field:` prefixes; terms also
+   * match as prefixes unless `exactMatch` is set, and within `fuzzy` edits
+   * when it is.
+   */
   async search(resourceName: string, query: string, options: SearchOptions = {}): Promise<SearchResult[]> {
+    return this._search(resourceName, query, options).results;
+  }
+
+  private _search(resourceName: string, query: string, options: SearchOptions): { results: SearchResult[]; context: SearchContext | null } {
     const {
       fields = null,
       limit = this.config.maxResults,
       offset = 0,
-      exactMatch = false
+      exactMatch = false,
+      boosts = {},
+      operator = this.config.defaultOperator,
+      fuzzy = 0
     } = options;
 
     if (!query || query.trim().length === 0) {
-      return [];
+      return { results: [], context: null };
     }
 
-    const searchWords = this.tokenize(query);
-    const results = new Map<string, number>();
-
     const searchFields = fields || this.getIndexedFields(resourceName);
     if (searchFields.length === 0) {
-      return [];
+      return { results: [], context: null };
     }
 
-    for (const word of searchWords) {
-      if (word.length < this.config.minWordLength) continue;
+    const tree = parseQuery(query, { defaultOperator: operator });
+    if (!tree) {
+      return { results: [], context: null };
+    }
 
-      for (const fieldName of searchFields) {
-        if (exactMatch) {
-          const key = `${resourceName}:${fieldName}:${word.toLowerCase()}`;
-          const indexData = this.indexes.get(key);
+    const context: SearchContext = {
+      resourceName,
+      fields: searchFields,
+      boosts: { ...this.config.boosts, ...boosts },
+      prefix: !exactMatch,
+      fuzzy: fuzzy === true ? 'auto' : fuzzy === false ? 0 : fuzzy,
+      analyzer: this.getAnalyzer(resourceName),
+      matched: new Set()
+    };
+    const scores = this._evaluate(tree, context);
 
-          if (indexData) {
-            for (const recordId of indexData.recordIds) {
-              const currentScore = results.get(recordId) || 0;
-              results.set(recordId, currentScore + 1);
-            }
-          }
-        } else {
-          for (const [key, indexData] of this.indexes.entries()) {
-            if (key.startsWith(`${resourceName}:${fieldName}:${word.toLowerCase()}`)) {
-              for (const recordId of indexData.recordIds) {
-                const currentScore = results.get(recordId) || 0;
-                results.set(recordId, currentScore + 1);
-              }
-            }
-          }
+    const results = Array.from(scores || [])
+      .map(([recordId, score]) => ({ recordId, score }))
+      .sort((a, b) => b.score - a.score || (a.recordId < b.recordId ? -1 : 1))
+      .slice(offset, offset + limit);
+    return { results, context };
+  }
+
+  /** Scores of the records matching `node`, or null when it has no searchable terms. */
+  private _evaluate(node: QueryNode, context: SearchContext): ScoreMap | null {
+    if (node.type !== 'bool') {
+      const fields = node.field ? context.fields.filter(field => field === node.field) : context.fields;
+      const tokens = context.analyzer.analyze(node.text);
+      if (tokens.length === 0) return null;
+      if (tokens.length === 1) {
+        return node.type === 'term'
+          ? this._scoreTerm(tokens[0]!.term, fields, context, context.prefix, this._maxEdits(tokens[0]!.term, context.fuzzy))
+          : this._scoreTerm(tokens[0]!.term, fields, context, false, 0);
+      }
+      return this._scorePhrase(tokens, fields, context);
+    }
+
+    const must = node.must.map(child => this._evaluate(child, context)).filter((m): m is ScoreMap => m !== null);
+    const should = node.should.map(child => this._evaluate(child, context)).filter((m): m is ScoreMap => m !== null);
+    if (must.length === 0 && should.length === 0) return null;
+
+    let scores: ScoreMap;
+    if (must.length > 0) {
+      scores = new Map(must[0]);
+      for (const other of must.slice(1)) {
+        for (const [recordId, score] of scores) {
+          const otherScore = other.get(recordId);
+          if (otherScore === undefined) scores.delete(recordId);
+          else scores.set(recordId, score + otherScore);
+        }
+      }
+      // Optional clauses only add to the score of required matches
+      for (const other of should) {
+        for (const [recordId, score] of other) {
+          if (scores.has(recordId)) scores.set(recordId, scores.get(recordId)! + score);
+        }
+      }
+    } else {
+      scores = new Map();
+      for (const other of should) {
+        for (const [recordId, score] of other) {
+          scores.set(recordId, (scores.get(recordId) || 0) + score);
         }
       }
     }
 
-    const sortedResults = Array.from(results.entries())
-      .map(([recordId, score]) => ({ recordId, score }))
-      .sort((a, b) => b.score - a.score)
-      .slice(offset, offset + limit);
+    for (const child of node.mustNot) {
+      for (const recordId of (this._evaluate(child, { ...context, matched: null }) || new Map()).keys()) {
+        scores.delete(recordId);
+      }
+    }
+
+    return scores;
+  }
+
+  private _maxEdits(term: string, fuzzy: number | 'auto'): number {
+    if (fuzzy !== 'auto') return Math.max(0, Math.floor(fuzzy));
+    return term.length < 3 ? 0 : term.length < 6 ? 1 : 2;
+  }
+
+  private _scoreTerm(term: string, fields: string[], context: SearchContext, prefix: boolean, maxEdits: number): ScoreMap {
+    const scores: ScoreMap = new Map();
+
+    for (const fieldName of fields) {
+      const dictionary = this._dictionary(context.resourceName, fieldName);
+
+      // Dictionary term -> score weight; a typo match counts less the further it is
+      const words = new Map<string, number>(
+        (prefix ? dictionary.withPrefix(term, this.config.maxPrefixExpansions) : [term]).map(word => [word, 1])
+      );
+      if (maxEdits > 0) {
+        for (const { term: word, distance } of dictionary.similar(term, maxEdits, this.config.maxPrefixExpansions)) {
+          if (!words.has(word)) words.set(word, 1 / (1 + distance));
+        }
+      }
+
+      for (const [word, weight] of words) {
+        const data = this.indexes.get(`${context.resourceName}:${fieldName}:${word}`);
+        if (!data) continue;
+        context.matched?.add(word);
 
-    return sortedResults;
+        for (const recordId of data.recordIds) {
+          const frequency = Math.max(1, data.postings[recordId]?.length || 0);
+          const score = weight * this._bm25(context, fieldName, recordId, data.recordIds.length, frequency);
+          scores.set(recordId, (scores.get(recordId) || 0) + score);
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /** Records where the terms appear next to each other, in order. */
+  private _scorePhrase(tokens: AnalyzedToken[], fields: string[], context: SearchContext): ScoreMap {
+    const scores: ScoreMap = new Map();
+    const first = tokens[0]!;
+
+    for (const fieldName of fields) {
+      const postings = tokens.map(token => this.indexes.get(`${context.resourceName}:${fieldName}:${token.term}`));
+      if (postings.some(data => !data)) continue;
+      const lists = postings as IndexData[];
+
+      for (const recordId of lists[0]!.recordIds) {
+        const starts = lists[0]!.postings[recordId] || [];
+        const occurrences = starts.filter(start => tokens.every((token, i) =>
+          lists[i]!.postings[recordId]?.includes(start + token.position - first.position)
+        )).length;
+        if (occurrences === 0) continue;
+        for (const token of tokens) context.matched?.add(token.term);
+
+        let score = 0;
+        for (const data of lists) {
+          score += this._bm25(context, fieldName, recordId, data.recordIds.length, occurrences);
+        }
+        scores.set(recordId, (scores.get(recordId) || 0) + score);
+      }
+    }
+
+    return scores;
+  }
+
+  private _bm25(context: SearchContext, fieldName: string, recordId: string, matching: number, frequency: number): number {
+    const { k1, b } = this.config.bm25;
+    const stats = this._corpusStats.get(`${context.resourceName}:${fieldName}`);
+    const total = Math.max(stats?.documents || 0, matching);
+    const averageLength = stats && stats.documents > 0 ? stats.totalLength / stats.documents : 1;
+    const length = this.documents.get(`${context.resourceName}:${recordId}`)?.lengths[fieldName] ?? averageLength;
+
+    const idf = Math.log(1 + (total - matching + 0.5) / (matching + 0.5));
+    const tf = (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * (length / averageLength)));
+    return (context.boosts[fieldName] ?? 1) * idf * tf;
   }
 
   async searchRecords(resourceName: string, query: string, options: SearchOptions = {}): Promise<SearchRecord[]> {
-    const searchResults = await this.search(resourceName, query, options);
+    const { results: searchResults, context } = this._search(resourceName, query, options);
 
     if (searchResults.length === 0) {
       return [];
@@ -568,16 +974,35 @@ export class FullTextPlugin extends Plugin {
       .filter(record => record && typeof record === 'object')
       .map(record => {
         const searchResult = searchResults.find(sr => sr.recordId === (record as Record<string, unknown>).id);
-        return {
+        const searchRecord = {
           ...record,
           _searchScore: searchResult ? searchResult.score : 0
         } as SearchRecord;
+        if (options.highlight && context) {
+          searchRecord._highlights = this._highlight(record as Record<string, unknown>, context, options.highlight);
+        }
+        return searchRecord;
       })
       .sort((a, b) => b._searchScore - a._searchScore);
 
     return result;
   }
 
+  private _highlight(record: Record<string, unknown>, context: SearchContext, highlight: true | HighlightOptions): Record<string, FieldHighlight> {
+    const options = highlight === true ? {} : highlight;
+    const highlights: Record<string, FieldHighlight> = {};
+
+    for (const fieldName of options.fields || context.fields) {
+      const value = this.getFieldValue(record, fieldName);
+      if (!value) continue;
+      const text = Array.isArray(value) ? value.join(' ') : String(value);
+      const fieldHighlight = highlightText(text, context.analyzer, context.matched!, options);
+      if (fieldHighlight) highlights[fieldName] = fieldHighlight;
+    }
+
+    return highlights;
+  }
+
   async rebuildIndex(resourceName: string): Promise<void> {
     const resource = this.database.resources[resourceName]!;
     if (!resource) {
@@ -589,11 +1014,8 @@ export class FullTextPlugin extends Plugin {
       });
     }
 
-    for (const [key] of this.indexes.entries()) {
-      if (key.startsWith(`${resourceName}:`)) {
-        this.indexes.delete(key);
-      }
-    }
+    this._dropResource(resourceName);
+    this._legacyResources.delete(resourceName);
 
     const allRecords = await resource.getAll();
     const batchSize = 100;
@@ -672,17 +1094,40 @@ export class FullTextPlugin extends Plugin {
   }
 
   async clearIndex(resourceName: string): Promise<void> {
-    for (const [key] of this.indexes.entries()) {
-      if (key.startsWith(`${resourceName}:`)) {
-        this.indexes.delete(key);
-      }
-    }
-
+    this._dropResource(resourceName);
     await this.saveIndexes();
   }
 
   async clearAllIndexes(): Promise<void> {
-    this.indexes.clear();
+    const resourceNames = new Set([...this.indexes.keys(), ...this.documents.keys()].map(key => key.split(':')[0]!));
+    for (const resourceName of resourceNames) {
+      this._dropResource(resourceName);
+    }
     await this.saveIndexes();
   }
+
+  /** Forget everything indexed for a resource and mark it for deletion on save. */
+  private _dropResource(resourceName: string): void {
+    const prefix = `${resourceName}:`;
+    for (const key of [...this.indexes.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.indexes.delete(key);
+        this.dirtyIndexes.delete(key);
+        this.deletedIndexes.add(key);
+      }
+    }
+    for (const key of [...this.documents.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.documents.delete(key);
+        this.dirtyDocuments.delete(key);
+        this.deletedDocuments.add(key);
+      }
+    }
+    for (const key of [...this._dictionaries.keys(), ...this._corpusStats.keys()]) {
+      if (key.startsWith(prefix)) {
+        this._dictionaries.delete(key);
+        this._corpusStats.delete(key);
+      }
+    }
+  }
 }
@@ -0,0 +1,205 @@
+import { ValidationError } from '../../errors.js';
+
+export interface AnalyzedToken {
+  term: string;
+  /**
+   * Index of the word in `wordSpans(text)`; dropped words still take a
+   * position. Highlighting relies on custom analyzers keeping this numbering.
+   */
+  position: number;
+}
+
+export interface Analyzer {
+  name: string;
+  analyze(text: unknown): AnalyzedToken[];
+}
+
+export interface AnalyzerOptions {
+  name?: string;
+  /** Words dropped from the index; they still count for phrase positions. */
+  stopwords?: Iterable<string>;
+  stemmer?: ((word: string) => string) | null;
+  foldAccents?: boolean;
+  minWordLength?: number;
+}
+
+/** Lowercase and strip diacritics: "Ação" → "acao". */
+export function foldAccents(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}+/gu, '');
+}
+
+export interface WordSpan {
+  word: string;
+  /** Offset of the word in the source text. */
+  start: number;
+  end: number;
+}
+
+/** Lowercased runs of letters and digits, with their offsets in the source text. */
+export function wordSpans(text: unknown): WordSpan[] {
+  if (text === null || text === undefined || text === '') return [];
+  const spans: WordSpan[] = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    spans.push({ word: match[0].toLowerCase(), start: match.index!, end: match.index! + match[0].length });
+  }
+  return spans;
+}
+
+/** Split on anything that is not a letter or digit. */
+export function splitWords(text: unknown): string[] {
+  return wordSpans(text).map(span => span.word);
+}
+
+const EN_STOPWORDS = [
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+  'if', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+];
+
+const PT_STOPWORDS = [
+  'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele', 'em', 'entre',
+  'era', 'essa', 'esse', 'esta', 'este', 'eu', 'foi', 'ha', 'isso', 'isto', 'ja', 'mais', 'mas', 'me', 'na',
+  'nas', 'nao', 'no', 'nos', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'quando', 'que', 'se', 'sem',
+  'ser', 'seu', 'sua', 'sao', 'tambem', 'um', 'uma', 'uns', 'umas'
+];
+
+const ES_STOPWORDS = [
+  'a', 'al', 'como', 'con', 'de', 'del', 'el', 'ella', 'en', 'entre', 'era', 'es', 'esta', 'este', 'fue',
+  'ha', 'la', 'las', 'le', 'lo', 'los', 'mas', 'me', 'mi', 'muy', 'no', 'nos', 'o', 'para', 'pero', 'por',
+  'que', 'se', 'sin', 'sobre', 'su', 'sus', 'tambien', 'un', 'una', 'unas', 'unos', 'y', 'ya'
+];
+
+type SuffixRule = [suffix: string, replacement: string, minStem: number];
+
+/** Apply the first rule whose suffix matches and leaves at least `minStem` characters. */
+function applyRules(word: string, rules: SuffixRule[]): string {
+  for (const [suffix, replacement, minStem] of rules) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+      return word.slice(0, word.length - suffix.length) + replacement;
+    }
+  }
+  return word;
+}
+
+function undouble(word: string): string {
+  return /([b-df-hj-np-tv-z])\1$/.test(word) && !/(ll|ss|zz)$/.test(word) ? word.slice(0, -1) : word;
+}
+
+const EN_PLURAL: SuffixRule[] = [['sses', 'ss', 2], ['ies', 'y', 2], ['ss', 'ss', 0], ['us', 'us', 0], ['is', 'is', 0], ['s', '', 3]];
+const EN_SUFFIX: SuffixRule[] = [
+  ['ational', 'ate', 3], ['ization', 'ize', 3], ['fulness', 'ful', 3], ['iveness', 'ive', 3],
+  ['ments', '', 4], ['ment', '', 4], ['ness', '', 4], ['ingly', '', 4], ['edly', '', 4],
+  ['ing', '', 3], ['ers', '', 4], ['er', '', 4], ['ed', '', 3], ['ly', '', 4]
+];
+
+/** Light English stemmer: plurals, then one derivational or inflectional suffix. */
+export function stemEnglish(word: string): string {
+  if (word.length <= 3) return word;
+  const singular = applyRules(word, EN_PLURAL);
+  const stem = applyRules(singular, EN_SUFFIX);
+  return stem === singular ? stem : undouble(stem);
+}
+
+const PT_PLURAL: SuffixRule[] = [
+  ['oes', 'ao', 2], ['aes', 'ao', 2], ['ais', 'al', 2], ['eis', 'el', 2], ['ois', 'ol', 2],
+  ['ns', 'm', 2], ['res', 'r', 2], ['les', 'l', 2], ['zes', 'z', 2], ['s', '', 3]
+];
+const PT_SUFFIX: SuffixRule[] = [
+  ['amentos', '', 3], ['imentos', '', 3], ['amento', '', 3], ['imento', '', 3], ['mente', '', 4],
+  ['acoes', '', 3], ['acao', '', 3], ['idades', '', 3], ['idade', '', 3], ['ismo', '', 3], ['ista', '', 3],
+  ['adora', '', 3], ['edora', '', 3], ['idora', '', 3], ['ador', '', 3], ['edor', '', 3], ['idor', '', 3],
+  ['ando', '', 3], ['endo', '', 3], ['indo', '', 3], ['ado', '', 3], ['ido', '', 3],
+  ['ar', '', 3], ['er', '', 3], ['ir', '', 3], ['a', '', 3], ['o', '', 3], ['e', '', 3]
+];
+
+/** Light Portuguese stemmer (RSLP-style plural and suffix steps) on accent-folded words. */
+export function stemPortuguese(word: string): string {
+  if (word.length <= 3) return word;
+  return applyRules(applyRules(word, PT_PLURAL), PT_SUFFIX);
+}
+
+const ES_PLURAL: SuffixRule[] = [['ces', 'z', 2], ['iones', 'ion', 2], ['es', '', 4], ['s', '', 3]];
+const ES_SUFFIX: SuffixRule[] = [
+  ['amientos', '', 3], ['imientos', '', 3], ['amiento', '', 3], ['imiento', '', 3], ['mente', '', 4],
+  ['aciones', '', 3], ['acion', '', 3], ['idades', '', 3], ['idad', '', 3], ['ismo', '', 3], ['ista', '', 3],
+  ['adora', '', 3], ['edora', '', 3], ['idora', '', 3], ['ador', '', 3], ['edor', '', 3], ['idor', '', 3],
+  ['ando', '', 3], ['iendo', '', 3], ['ado', '', 3], ['ido', '', 3],
+  ['ar', '', 3], ['er', '', 3], ['ir', '', 3], ['a', '', 3], ['o', '', 3], ['e', '', 3]
+];
+
+/** Light Spanish stemmer on accent-folded words. */
+export function stemSpanish(word: string): string {
+  if (word.length <= 3) return word;
+  return applyRules(applyRules(word, ES_PLURAL), ES_SUFFIX);
+}
+
+export function createAnalyzer({
+  name = 'custom',
+  stopwords = [],
+  stemmer = null,
+  foldAccents: fold = true,
+  minWordLength = 1
+}: AnalyzerOptions = {}): Analyzer {
+  const stopSet = new Set([...stopwords].map(word => (fold ? foldAccents(word) : word).toLowerCase()));
+
+  return {
+    name,
+    analyze(text: unknown): AnalyzedToken[] {
+      const tokens: AnalyzedToken[] = [];
+      splitWords(text).forEach((word, position) => {
+        const normalized = fold ? foldAccents(word) : word;
+        if (normalized.length < minWordLength || stopSet.has(normalized)) return;
+        tokens.push({ term: stemmer ? stemmer(normalized) : normalized, position });
+      });
+      return tokens;
+    }
+  };
+}
+
+const LANGUAGES: Record<string, Pick<AnalyzerOptions, 'stopwords' | 'stemmer'>> = {
+  standard: {},
+  en: { stopwords: EN_STOPWORDS, stemmer: stemEnglish },
+  pt: { stopwords: PT_STOPWORDS, stemmer: stemPortuguese },
+  es: { stopwords: ES_STOPWORDS, stemmer: stemSpanish }
+};
+
+const customAnalyzers = new Map<string, Analyzer>();
+
+/** Make an analyzer available by name to every FullTextPlugin. */
+export function registerAnalyzer(analyzer: Analyzer): void {
+  if (!analyzer?.name || typeof analyzer.analyze !== 'function') {
+    throw new ValidationError('Analyzer must have a name and an analyze(text) function', {
+      field: 'analyzer',
+      pluginName: 'FullTextPlugin',
+      retriable: false,
+      suggestion: 'Build one with createAnalyzer() or pass { name, analyze }.'
+    });
+  }
+  customAnalyzers.set(analyzer.name, analyzer);
+}
+
+/**
+ * Resolve an analyzer from a name ('standard', 'en', 'pt', 'es', a locale such
+ * as 'pt-BR', or a registered name) or return the analyzer object given.
+ */
+export function resolveAnalyzer(spec: string | Analyzer | undefined, { minWordLength = 1 }: { minWordLength?: number } = {}): Analyzer {
+  if (spec && typeof spec === 'object') return spec;
+
+  const name = spec || 'standard';
+  const custom = customAnalyzers.get(name);
+  if (custom) return custom;
+
+  const language = name.toLowerCase().split(/[-_]/)[0]!;
+  const preset = LANGUAGES[language];
+  if (!preset) {
+    throw new ValidationError(`Unknown analyzer '${name}'`, {
+      field: 'analyzer',
+      value: name,
+      pluginName: 'FullTextPlugin',
+      retriable: false,
+      suggestion: `Use one of ${Object.keys(LANGUAGES).join(', ')} or register it with registerAnalyzer().`
+    });
+  }
+
+  return createAnalyzer({ name: language, ...preset, minWordLength });
+}
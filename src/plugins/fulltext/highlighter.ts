@@ -0,0 +1,96 @@
+import { wordSpans, type Analyzer, type WordSpan } from './analyzers.js';
+
+export interface HighlightOptions {
+  /** Fields to highlight; defaults to the fields searched. */
+  fields?: string[];
+  preTag?: string;
+  postTag?: string;
+  /** Approximate snippet length in characters. */
+  snippetLength?: number;
+}
+
+export interface HighlightMatch {
+  /** Offsets within `snippet`. */
+  start: number;
+  end: number;
+}
+
+export interface FieldHighlight {
+  /** Excerpt of the field value around the densest run of matches. */
+  snippet: string;
+  /** Where `snippet` starts in the field value. */
+  offset: number;
+  matches: HighlightMatch[];
+  /** `snippet` HTML-escaped, matches wrapped in the tags, `…` where text was cut. */
+  highlighted: string;
+}
+
+const HTML_ESCAPES: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]!);
+}
+
+/** Widen [start, end) so it does not cut a word in half. */
+function snapToWords(spans: WordSpan[], start: number, end: number): [number, number] {
+  for (const span of spans) {
+    if (span.start < start && start < span.end) start = span.start;
+    if (span.start < end && end < span.end) end = span.end;
+  }
+  return [start, end];
+}
+
+/**
+ * Excerpt of `text` around the matched terms. `terms` holds analyzed terms,
+ * so "Running" in the text is found for the term "run". Returns null when no
+ * word of the text matches.
+ */
+export function highlightText(
+  text: string,
+  analyzer: Analyzer,
+  terms: Set<string>,
+  { preTag = '<mark>', postTag = '</mark>', snippetLength = 160 }: HighlightOptions = {}
+): FieldHighlight | null {
+  const spans = wordSpans(text);
+  const hits = analyzer.analyze(text)
+    .filter(token => terms.has(token.term))
+    .map(token => spans[token.position])
+    .filter((span): span is WordSpan => !!span);
+  if (hits.length === 0) return null;
+
+  // Window holding the most matches
+  let first = 0;
+  let count = 1;
+  for (let i = 0, j = 0; i < hits.length; i++) {
+    j = Math.max(j, i);
+    while (j + 1 < hits.length && hits[j + 1]!.end - hits[i]!.start <= snippetLength) j++;
+    if (j - i + 1 > count) {
+      first = i;
+      count = j - i + 1;
+    }
+  }
+  const run = hits.slice(first, first + count);
+
+  const slack = Math.max(0, snippetLength - (run[run.length - 1]!.end - run[0]!.start));
+  let start = Math.max(0, run[0]!.start - Math.floor(slack / 2));
+  let end = Math.min(text.length, start + Math.max(snippetLength, run[run.length - 1]!.end - start));
+  start = Math.max(0, Math.min(start, end - snippetLength));
+  [start, end] = snapToWords(spans, start, end);
+  while (start < end && /\s/.test(text[start]!)) start++;
+  while (end > start && /\s/.test(text[end - 1]!)) end--;
+
+  const snippet = text.slice(start, end);
+  const matches = hits
+    .filter(hit => hit.start >= start && hit.end <= end)
+    .map(hit => ({ start: hit.start - start, end: hit.end - start }));
+
+  let highlighted = start > 0 ? '…' : '';
+  let cursor = 0;
+  for (const match of matches) {
+    highlighted += escapeHtml(snippet.slice(cursor, match.start)) + preTag + escapeHtml(snippet.slice(match.start, match.end)) + postTag;
+    cursor = match.end;
+  }
+  highlighted += escapeHtml(snippet.slice(cursor)) + (end < text.length ? '…' : '');
+
+  return { snippet, offset: start, matches, highlighted };
+}
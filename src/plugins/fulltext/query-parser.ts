@@ -0,0 +1,173 @@
+import { FulltextError } from '../fulltext.errors.js';
+
+export type QueryNode =
+  | { type: 'term'; text: string; field?: string }
+  | { type: 'phrase'; text: string; field?: string }
+  | { type: 'bool'; must: QueryNode[]; should: QueryNode[]; mustNot: QueryNode[] };
+
+export type BoolNode = Extract<QueryNode, { type: 'bool' }>;
+
+export interface ParseQueryOptions {
+  /** How terms without an operator between them combine. */
+  defaultOperator?: 'and' | 'or';
+}
+
+type Occur = 'must' | 'should' | 'mustNot';
+
+type Token =
+  | { kind: 'word' | 'phrase'; text: string; field?: string; modifier: Occur | null }
+  | { kind: 'open'; modifier: Occur | null }
+  | { kind: 'close' | 'and' | 'or' | 'not' };
+
+const FIELD_PREFIX = /^([A-Za-z_][\w.]*):(?=[^\s:])/;
+
+function lex(input: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i]!)) {
+      i++;
+      continue;
+    }
+
+    let modifier: Occur | null = null;
+    if ((input[i] === '+' || input[i] === '-') && i + 1 < input.length && !/\s/.test(input[i + 1]!)) {
+      modifier = input[i] === '+' ? 'must' : 'mustNot';
+      i++;
+    }
+
+    let field: string | undefined;
+    const fieldMatch = FIELD_PREFIX.exec(input.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1];
+      i += fieldMatch[0].length;
+    }
+
+    const char = input[i];
+    if (char === '(') {
+      tokens.push({ kind: 'open', modifier });
+      i++;
+    } else if (char === ')') {
+      tokens.push({ kind: 'close' });
+      i++;
+    } else if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      const stop = end === -1 ? input.length : end;
+      tokens.push({ kind: 'phrase', text: input.slice(i + 1, stop), field, modifier });
+      i = stop + 1;
+    } else {
+      let end = i;
+      while (end < input.length && !/[\s()"]/.test(input[end]!)) end++;
+      const text = input.slice(i, end);
+      i = end;
+
+      if (!modifier && !field && (text === 'AND' || text === 'OR' || text === 'NOT')) {
+        tokens.push({ kind: text.toLowerCase() as 'and' | 'or' | 'not' });
+      } else if (text) {
+        tokens.push({ kind: 'word', text, field, modifier });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query into a boolean tree.
+ *
+ *   laptop dell            either term (or both, with defaultOperator 'and')
+ *   "gaming mouse"         phrase: the words next to each other, in order
+ *   +wireless -bluetooth   must match / must not match
+ *   a AND (b OR c) NOT d   explicit operators; NOT binds tighter than AND, AND than OR
+ *   name:keyboard          restrict a term or phrase to one field
+ *
+ * Returns null when the query has no terms.
+ */
+export function parseQuery(input: string, { defaultOperator = 'or' }: ParseQueryOptions = {}): QueryNode | null {
+  const tokens = lex(input || '');
+  let index = 0;
+
+  const peek = (): Token | undefined => tokens[index];
+  const startsClause = (token: Token | undefined): boolean =>
+    !!token && (token.kind === 'word' || token.kind === 'phrase' || token.kind === 'open' || token.kind === 'not');
+
+  function parseUnary(): { occur: Occur; node: QueryNode } | null {
+    const token = tokens[index++];
+    if (!token) return null;
+
+    if (token.kind === 'not') {
+      const inner = parseUnary();
+      return inner && { occur: 'mustNot', node: inner.node };
+    }
+    if (token.kind === 'open') {
+      const node = parseGroup(true);
+      return node && { occur: token.modifier ?? 'should', node };
+    }
+    if (token.kind === 'word' || token.kind === 'phrase') {
+      const node: QueryNode = token.kind === 'word'
+        ? { type: 'term', text: token.text, ...(token.field ? { field: token.field } : {}) }
+        : { type: 'phrase', text: token.text, ...(token.field ? { field: token.field } : {}) };
+      return { occur: token.modifier ?? 'should', node };
+    }
+    return null;
+  }
+
+  function parseGroup(nested: boolean): QueryNode | null {
+    const group: BoolNode = { type: 'bool', must: [], should: [], mustNot: [] };
+
+    while (index < tokens.length) {
+      const token = peek()!;
+      if (token.kind === 'close') {
+        if (nested) {
+          index++;
+          break;
+        }
+        index++;
+        continue;
+      }
+      if (token.kind === 'or' || token.kind === 'and') {
+        index++;
+        continue;
+      }
+
+      const chain: Array<{ occur: Occur; node: QueryNode }> = [];
+      const first = parseUnary();
+      if (first) chain.push(first);
+
+      while (true) {
+        const next = peek();
+        const explicitAnd = next?.kind === 'and';
+        const implicitAnd = defaultOperator === 'and' && startsClause(next);
+        if (!explicitAnd && !implicitAnd) break;
+        if (explicitAnd) index++;
+        const clause = parseUnary();
+        if (clause) chain.push(clause);
+      }
+
+      if (chain.length === 1) {
+        group[chain[0]!.occur].push(chain[0]!.node);
+      } else if (chain.length > 1) {
+        const conjunction: BoolNode = { type: 'bool', must: [], should: [], mustNot: [] };
+        for (const { occur, node } of chain) {
+          conjunction[occur === 'mustNot' ? 'mustNot' : 'must'].push(node);
+        }
+        group.should.push(conjunction);
+      }
+    }
+
+    const clauses = group.must.length + group.should.length + group.mustNot.length;
+    if (clauses === 0) return null;
+    if (clauses === 1 && group.should.length === 1) return group.should[0]!;
+    if (group.must.length === 0 && group.should.length === 0) {
+      throw new FulltextError('Query has only excluded terms', {
+        operation: 'search',
+        query: input,
+        suggestion: 'Add at least one term to match, e.g. "laptop -refurbished".'
+      });
+    }
+    return group;
+  }
+
+  return parseGroup(false);
+}
@@ -0,0 +1,137 @@
+export interface SimilarTerm {
+  term: string;
+  distance: number;
+}
+
+// A typo (insertion, deletion, substitution or swap of neighbours) breaks at most this many trigrams
+const GRAMS_PER_EDIT = 4;
+
+function trigrams(term: string): Set<string> {
+  const padded = `^^${term}$$`;
+  const grams = new Set<string>();
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent characters. Gives up once the distance exceeds `max` and returns `max + 1`.
+ */
+export function editDistance(a: string, b: string, max = Infinity): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j]! + 1, current[j - 1]! + 1, previous[j - 1]! + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2]! + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length]!, max + 1);
+}
+
+/**
+ * Sorted set of terms. Prefix lookups binary-search to the first candidate
+ * and stop at the first term past the prefix, instead of scanning every term.
+ * A trigram index narrows fuzzy lookups to terms sharing enough trigrams.
+ */
+export class TermDictionary {
+  private terms: string[] = [];
+  private grams = new Map<string, Set<string>>();
+
+  get size(): number {
+    return this.terms.length;
+  }
+
+  has(term: string): boolean {
+    const index = this.lowerBound(term);
+    return this.terms[index] === term;
+  }
+
+  add(term: string): void {
+    const index = this.lowerBound(term);
+    if (this.terms[index] === term) return;
+    this.terms.splice(index, 0, term);
+    for (const gram of trigrams(term)) {
+      const terms = this.grams.get(gram);
+      if (terms) terms.add(term);
+      else this.grams.set(gram, new Set([term]));
+    }
+  }
+
+  delete(term: string): void {
+    const index = this.lowerBound(term);
+    if (this.terms[index] !== term) return;
+    this.terms.splice(index, 1);
+    for (const gram of trigrams(term)) {
+      const terms = this.grams.get(gram);
+      terms?.delete(term);
+      if (terms?.size === 0) this.grams.delete(gram);
+    }
+  }
+
+  withPrefix(prefix: string, limit = Infinity): string[] {
+    const matches: string[] = [];
+    for (let i = this.lowerBound(prefix); i < this.terms.length && matches.length < limit; i++) {
+      const term = this.terms[i]!;
+      if (!term.startsWith(prefix)) break;
+      matches.push(term);
+    }
+    return matches;
+  }
+
+  /** Terms within `maxEdits` edits of `term`, closest first. */
+  similar(term: string, maxEdits: number, limit = Infinity): SimilarTerm[] {
+    if (maxEdits <= 0) return this.has(term) ? [{ term, distance: 0 }] : [];
+
+    const grams = trigrams(term);
+    const needed = grams.size - GRAMS_PER_EDIT * maxEdits;
+    let candidates: Iterable<string> = this.terms;
+
+    // Short terms can lose every trigram to a single typo; those compare against all terms
+    if (needed > 0) {
+      const shared = new Map<string, number>();
+      for (const gram of grams) {
+        for (const candidate of this.grams.get(gram) || []) {
+          shared.set(candidate, (shared.get(candidate) || 0) + 1);
+        }
+      }
+      candidates = [...shared].filter(([, count]) => count >= needed).map(([candidate]) => candidate);
+    }
+
+    const matches: SimilarTerm[] = [];
+    for (const candidate of candidates) {
+      const distance = editDistance(term, candidate, maxEdits);
+      if (distance <= maxEdits) matches.push({ term: candidate, distance });
+    }
+    return matches
+      .sort((a, b) => a.distance - b.distance || (a.term < b.term ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  private lowerBound(term: string): number {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.terms[mid]! < term) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
+
+export default TermDictionary;
@@ -1,7 +1,8 @@
 import { Plugin } from './plugin.class.js';
-import tryFn from '../concerns/try-fn.js';
+import tryFn, { tryFnSync } from '../concerns/try-fn.js';
 import { PluginError } from '../errors.js';
 import { createLogger } from '../concerns/logger.js';
+import { toGeoMultiPolygon, type GeoMultiPolygonCoordinates, type GeoPosition } from '../concerns/geo-encoding.js';
 
 interface Logger {
   info(obj: unknown, msg?: string): void;
@@ -29,6 +30,9 @@ interface Resource {
   listPartition(options: ListPartitionOptions): Promise<Record<string, unknown>[]>;
   findNearby?(options: FindNearbyOptions): Promise<Array<Record<string, unknown> & { _distance: number }>>;
   findInBounds?(options: FindInBoundsOptions): Promise<Record<string, unknown>[]>;
+  findInPolygon?(options: FindInPolygonOptions): Promise<Record<string, unknown>[]>;
+  findAlongRoute?(options: FindAlongRouteOptions): Promise<Array<Record<string, unknown> & RouteMatch>>;
+  findContaining?(options: FindContainingOptions): Promise<Record<string, unknown>[]>;
   getDistance?(id1: string, id2: string): Promise<DistanceResult>;
 }
 
@@ -77,6 +81,30 @@ interface FindInBoundsOptions {
   limit?: number;
 }
 
+interface FindInPolygonOptions {
+  geojson: unknown;
+  limit?: number;
+}
+
+interface FindAlongRouteOptions {
+  lineString: unknown;
+  bufferKm?: number;
+  limit?: number;
+}
+
+interface FindContainingOptions {
+  lat: number;
+  lon: number;
+  limit?: number;
+}
+
+interface RouteMatch {
+  /** Distance from the record to the closest point of the route, in km. */
+  _distance: number;
+  /** Distance along the route, from its start to the closest point, in km. */
+  _routeDistance: number;
+}
+
 interface DistanceResult {
   distance: number;
   unit: string;
@@ -94,8 +122,10 @@ interface GeohashDecodeResult {
 }
 
 interface GeoResourceConfig {
-  latField: string;
-  lonField: string;
+  latField?: string;
+  lonField?: string;
+  /** Attribute holding a GeoJSON polygon (usually `geo:polygon`); enables findContaining(). */
+  polygonField?: string;
   precision: number;
   addGeohash?: boolean;
   usePartitions?: boolean;
@@ -108,17 +138,27 @@ export interface GeoPluginOptions {
   logLevel?: string;
 }
 
+type PointGeoConfig = GeoResourceConfig & { latField: string; lonField: string };
+
 interface GeoStats {
   resources: number;
   configurations: Array<{
     resource: string;
-    latField: string;
-    lonField: string;
+    latField?: string;
+    lonField?: string;
+    polygonField?: string;
     precision: number;
     cellSize: string;
   }>;
 }
 
+interface BoundingBox {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
+}
+
 interface GetGeohashesInBoundsOptions {
   north: number;
   south: number;
@@ -187,14 +227,16 @@ export class GeoPlugin extends Plugin {
       return;
     }
 
-    if (!config.latField || !config.lonField) {
+    const hasPoint = Boolean(config.latField && config.lonField);
+
+    if (!hasPoint && !config.polygonField) {
       throw new PluginError(`[GeoPlugin] Resource "${resourceName}" must have "latField" and "lonField" configured`, {
         pluginName: 'GeoPlugin',
         operation: 'setupResource',
         resourceName,
         statusCode: 400,
         retriable: false,
-        suggestion: 'Update GeoPlugin configuration with { latField: "...", lonField: "..." } for the resource.'
+        suggestion: 'Update GeoPlugin configuration with { latField: "...", lonField: "..." } (or { polygonField: "..." } for zone resources).'
       });
     }
 
@@ -204,6 +246,18 @@ export class GeoPlugin extends Plugin {
 
     (resource as any)._geoConfig = config;
 
+    if (config.polygonField) {
+      this._addPolygonMethods(resource as any, config.polygonField);
+    }
+
+    if (!hasPoint) {
+      return;
+    }
+
+    await this._setupPointResource(resource as any, config as PointGeoConfig);
+  }
+
+  async _setupPointResource(resource: Resource, config: PointGeoConfig): Promise<void> {
     const latField = resource.attributes[config.latField];
     const lonField = resource.attributes[config.lonField];
     const isLatOptional = typeof latField === 'object' && (latField as AttributeDefinition).optional === true;
@@ -251,7 +305,7 @@ export class GeoPlugin extends Plugin {
     this._addHelperMethods(resource as any, config);
   }
 
-  async _setupPartitions(resource: Resource, config: GeoResourceConfig): Promise<void> {
+  async _setupPartitions(resource: Resource, config: PointGeoConfig): Promise<void> {
     const updatedConfig = { ...resource.config };
     updatedConfig.partitions = updatedConfig.partitions || {};
 
@@ -299,7 +353,7 @@ export class GeoPlugin extends Plugin {
     }
   }
 
-  _addHooks(resource: Resource, config: GeoResourceConfig): void {
+  _addHooks(resource: Resource, config: PointGeoConfig): void {
     const calculateGeohash = async (data: Record<string, unknown>): Promise<Record<string, unknown>> => {
       const lat = data[config.latField] as number | undefined;
       const lon = data[config.lonField] as number | undefined;
@@ -328,7 +382,7 @@ export class GeoPlugin extends Plugin {
     resource.addHook('beforeUpdate', calculateGeohash);
   }
 
-  _addHelperMethods(resource: Resource, config: GeoResourceConfig): void {
+  _addHelperMethods(resource: Resource, config: PointGeoConfig): void {
     const plugin = this;
 
     resource.findNearby = async function({ lat, lon, radius = 10, limit = 100 }: FindNearbyOptions): Promise<Array<Record<string, unknown> & { _distance: number }>> {
@@ -511,6 +565,80 @@ export class GeoPlugin extends Plugin {
       return inBounds;
     };
 
+    resource.findInPolygon = async function({ geojson, limit = 100 }: FindInPolygonOptions): Promise<Record<string, unknown>[]> {
+      const polygons = plugin._parsePolygon(geojson, 'findInPolygon', resource.name);
+      const bounds = plugin._getBounds(polygons.flat(2));
+
+      const candidates = await plugin._listCandidates(
+        this,
+        config,
+        'findInPolygon',
+        plugin._getBoundsRadius(bounds),
+        precision => plugin._getPolygonCover(polygons, precision),
+        limit
+      );
+
+      return candidates
+        .filter(record => {
+          const lat = record[config.latField] as number | undefined;
+          const lon = record[config.lonField] as number | undefined;
+
+          if (lat === undefined || lon === undefined) {
+            return false;
+          }
+
+          return plugin._pointInMultiPolygon(lat, lon, polygons);
+        })
+        .slice(0, limit);
+    };
+
+    resource.findAlongRoute = async function({ lineString, bufferKm = 1, limit = 100 }: FindAlongRouteOptions): Promise<Array<Record<string, unknown> & RouteMatch>> {
+      const route = plugin._parseLineString(lineString, resource.name);
+
+      if (typeof bufferKm !== 'number' || !(bufferKm > 0)) {
+        throw new PluginError('bufferKm must be a positive number of kilometers', {
+          pluginName: 'GeoPlugin',
+          operation: 'findAlongRoute',
+          resourceName: resource.name,
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Call findAlongRoute({ lineString, bufferKm: 2 }) with the corridor width on each side of the route.',
+          bufferKm
+        });
+      }
+
+      // Cells roughly as wide as the corridor keep the cover to a few cells across the route.
+      const candidates = await plugin._listCandidates(
+        this,
+        config,
+        'findAlongRoute',
+        bufferKm * 2.5,
+        precision => plugin._getRouteCover(route, bufferKm, precision),
+        limit
+      );
+
+      return candidates
+        .map(record => {
+          const lat = record[config.latField] as number | undefined;
+          const lon = record[config.lonField] as number | undefined;
+
+          if (lat === undefined || lon === undefined) {
+            return null;
+          }
+
+          const { distance, along } = plugin._distanceToRoute(lat, lon, route);
+
+          return {
+            ...record,
+            _distance: distance,
+            _routeDistance: along
+          };
+        })
+        .filter((record): record is Record<string, unknown> & RouteMatch => record !== null && record._distance <= bufferKm)
+        .sort((a, b) => a._routeDistance - b._routeDistance)
+        .slice(0, limit);
+    };
+
     resource.getDistance = async function(id1: string, id2: string): Promise<DistanceResult> {
       let record1: Record<string, unknown> | null;
       let record2: Record<string, unknown> | null;
@@ -576,6 +704,364 @@ export class GeoPlugin extends Plugin {
     };
   }
 
+  _addPolygonMethods(resource: Resource, polygonField: string): void {
+    const plugin = this;
+
+    resource.findContaining = async function({ lat, lon, limit }: FindContainingOptions): Promise<Record<string, unknown>[]> {
+      if (lat === undefined || lon === undefined) {
+        throw new PluginError('Latitude and longitude are required for findContaining()', {
+          pluginName: 'GeoPlugin',
+          operation: 'findContaining',
+          resourceName: resource.name,
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Call findContaining({ lat, lon }) with both coordinates.'
+        });
+      }
+
+      const records = await this.list();
+
+      const containing = records.filter(record => {
+        const shape = record[polygonField];
+        if (!shape || typeof shape !== 'object') {
+          return false;
+        }
+
+        const [ok, , polygons] = tryFnSync(() => toGeoMultiPolygon(shape));
+        return ok && plugin._pointInMultiPolygon(lat, lon, polygons);
+      });
+
+      return limit ? containing.slice(0, limit) : containing;
+    };
+  }
+
+  async _listCandidates(
+    resource: Resource,
+    config: PointGeoConfig,
+    operation: string,
+    approximateRadius: number,
+    getCover: (precision: number) => string[],
+    limit: number
+  ): Promise<Record<string, unknown>[]> {
+    if (!config.usePartitions) {
+      return await resource.list({ limit: limit * 10 });
+    }
+
+    let partitionName: string;
+    let fieldName: string;
+    let precision: number;
+
+    if (config.zoomLevels && config.zoomLevels.length > 0) {
+      const optimalZoom = this._selectOptimalZoom(config.zoomLevels, approximateRadius)!;
+      partitionName = `byGeohashZoom${optimalZoom}`;
+      fieldName = `_geohash_zoom${optimalZoom}`;
+      precision = optimalZoom;
+    } else {
+      partitionName = 'byGeohash';
+      fieldName = '_geohash';
+      precision = config.precision;
+    }
+
+    if (!resource.config.partitions?.[partitionName]) {
+      return await resource.list({ limit: limit * 10 });
+    }
+
+    const geohashesToSearch = getCover(precision);
+
+    const partitionResults = await Promise.all(
+      geohashesToSearch.map(async (geohash) => {
+        const [ok, , records] = await tryFn(async () => {
+          return await resource.listPartition({
+            partition: partitionName,
+            partitionValues: { [fieldName]: geohash },
+            limit: limit * 2
+          });
+        });
+
+        return ok ? records! : [];
+      })
+    );
+
+    const candidates = partitionResults.flat();
+
+    if (this.logLevel === 'debug' || this.logLevel === 'trace') {
+      const msg = `[GeoPlugin] ${operation} searched ${geohashesToSearch.length} ${partitionName} partitions, found ${candidates.length} candidates`;
+      this.logger.info(msg);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Geohashes, at the given precision, of every cell that intersects the
+   * polygon. Cells that fall entirely inside a hole are left out.
+   */
+  getGeohashCover(geojson: unknown, precision: number = 5): string[] {
+    return this._getPolygonCover(this._parsePolygon(geojson, 'getGeohashCover'), precision);
+  }
+
+  pointInPolygon(lat: number, lon: number, geojson: unknown): boolean {
+    return this._pointInMultiPolygon(lat, lon, this._parsePolygon(geojson, 'pointInPolygon'));
+  }
+
+  _parsePolygon(geojson: unknown, operation: string, resourceName?: string): GeoMultiPolygonCoordinates {
+    if (geojson === undefined || geojson === null) {
+      throw new PluginError(`A GeoJSON polygon is required for ${operation}()`, {
+        pluginName: 'GeoPlugin',
+        operation,
+        resourceName,
+        statusCode: 400,
+        retriable: false,
+        suggestion: `Call ${operation}({ geojson: { type: 'Polygon', coordinates: [[[lon, lat], ...]] } }).`
+      });
+    }
+
+    const [ok, err, polygons] = tryFnSync(() => toGeoMultiPolygon(geojson));
+
+    if (!ok) {
+      throw new PluginError(`Invalid GeoJSON polygon: ${err.message}`, {
+        pluginName: 'GeoPlugin',
+        operation,
+        resourceName,
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Provide a GeoJSON Polygon or MultiPolygon (or a Feature/FeatureCollection wrapping them) with [longitude, latitude] positions.',
+        original: err
+      });
+    }
+
+    return polygons;
+  }
+
+  _parseLineString(lineString: unknown, resourceName?: string): GeoPosition[] {
+    let coordinates: unknown = lineString;
+
+    if (coordinates && typeof coordinates === 'object' && (coordinates as Record<string, unknown>).type === 'Feature') {
+      coordinates = (coordinates as Record<string, unknown>).geometry;
+    }
+    if (coordinates && typeof coordinates === 'object' && (coordinates as Record<string, unknown>).type === 'LineString') {
+      coordinates = (coordinates as Record<string, unknown>).coordinates;
+    }
+
+    const isValid = Array.isArray(coordinates) &&
+      coordinates.length >= 2 &&
+      coordinates.every(position =>
+        Array.isArray(position) &&
+        typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+        typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90
+      );
+
+    if (!isValid) {
+      throw new PluginError('findAlongRoute() requires a LineString with at least two [longitude, latitude] positions', {
+        pluginName: 'GeoPlugin',
+        operation: 'findAlongRoute',
+        resourceName,
+        statusCode: 400,
+        retriable: false,
+        suggestion: "Pass a GeoJSON LineString (or Feature) or an array of positions: { lineString: { type: 'LineString', coordinates: [[lon, lat], [lon, lat]] } }."
+      });
+    }
+
+    return (coordinates as number[][]).map(([lon, lat]) => [lon!, lat!] as GeoPosition);
+  }
+
+  _pointInRing(lat: number, lon: number, ring: GeoPosition[]): boolean {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i]!;
+      const [xj, yj] = ring[j]!;
+
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  _pointInMultiPolygon(lat: number, lon: number, polygons: GeoMultiPolygonCoordinates): boolean {
+    return polygons.some(([outer, ...holes]) =>
+      this._pointInRing(lat, lon, outer!) &&
+      !holes.some(hole => this._pointInRing(lat, lon, hole))
+    );
+  }
+
+  _getBounds(positions: GeoPosition[]): BoundingBox {
+    const bounds = { north: -90, south: 90, east: -180, west: 180 };
+
+    for (const [lon, lat] of positions) {
+      bounds.north = Math.max(bounds.north, lat);
+      bounds.south = Math.min(bounds.south, lat);
+      bounds.east = Math.max(bounds.east, lon);
+      bounds.west = Math.min(bounds.west, lon);
+    }
+
+    return bounds;
+  }
+
+  _getBoundsRadius({ north, south, east, west }: BoundingBox): number {
+    const centerLat = (north + south) / 2;
+    const centerLon = (east + west) / 2;
+    const latRadius = this.calculateDistance(centerLat, centerLon, north, centerLon);
+    const lonRadius = this.calculateDistance(centerLat, centerLon, centerLat, east);
+
+    return Math.max(latRadius, lonRadius);
+  }
+
+  /** Exact geohash grid cells overlapping a bounding box. */
+  _getGeohashCells({ north, south, east, west, precision }: GetGeohashesInBoundsOptions): Array<{ geohash: string; bounds: BoundingBox }> {
+    const bits = precision * 5;
+    const latCells = 2 ** Math.floor(bits / 2);
+    const lonCells = 2 ** Math.ceil(bits / 2);
+    const latSize = 180 / latCells;
+    const lonSize = 360 / lonCells;
+
+    const rowStart = Math.max(0, Math.floor((south + 90) / latSize));
+    const rowEnd = Math.min(latCells - 1, Math.floor((north + 90) / latSize));
+    const colStart = Math.max(0, Math.floor((west + 180) / lonSize));
+    const colEnd = Math.min(lonCells - 1, Math.floor((east + 180) / lonSize));
+
+    const cells: Array<{ geohash: string; bounds: BoundingBox }> = [];
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        const cellSouth = -90 + row * latSize;
+        const cellWest = -180 + col * lonSize;
+
+        cells.push({
+          geohash: this.encodeGeohash(cellSouth + latSize / 2, cellWest + lonSize / 2, precision),
+          bounds: { north: cellSouth + latSize, south: cellSouth, east: cellWest + lonSize, west: cellWest }
+        });
+      }
+    }
+
+    return cells;
+  }
+
+  _getPolygonCover(polygons: GeoMultiPolygonCoordinates, precision: number): string[] {
+    const geohashes = new Set<string>();
+
+    for (const polygon of polygons) {
+      const bounds = this._getBounds(polygon[0]!);
+
+      for (const cell of this._getGeohashCells({ ...bounds, precision })) {
+        if (!geohashes.has(cell.geohash) && this._cellIntersectsPolygon(cell.bounds, polygon)) {
+          geohashes.add(cell.geohash);
+        }
+      }
+    }
+
+    return Array.from(geohashes);
+  }
+
+  _cellIntersectsPolygon(cell: BoundingBox, rings: GeoPosition[][]): boolean {
+    const corners: GeoPosition[] = [
+      [cell.west, cell.south],
+      [cell.east, cell.south],
+      [cell.east, cell.north],
+      [cell.west, cell.north]
+    ];
+
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i]!;
+        const b = ring[(i + 1) % ring.length]!;
+
+        if (a[0] >= cell.west && a[0] <= cell.east && a[1] >= cell.south && a[1] <= cell.north) {
+          return true;
+        }
+
+        for (let c = 0; c < 4; c++) {
+          if (this._segmentsIntersect(a, b, corners[c]!, corners[(c + 1) % 4]!)) {
+            return true;
+          }
+        }
+      }
+    }
+
+    // No boundary crosses the cell, so it is either fully inside or fully outside.
+    return this._pointInMultiPolygon((cell.north + cell.south) / 2, (cell.east + cell.west) / 2, [rings]);
+  }
+
+  _segmentsIntersect(a: GeoPosition, b: GeoPosition, c: GeoPosition, d: GeoPosition): boolean {
+    const cross = (o: GeoPosition, p: GeoPosition, q: GeoPosition): number =>
+      (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+
+    return ((d1 > 0) !== (d2 > 0) || d1 === 0 || d2 === 0) &&
+      ((d3 > 0) !== (d4 > 0) || d3 === 0 || d4 === 0);
+  }
+
+  _getRouteCover(route: GeoPosition[], bufferKm: number, precision: number): string[] {
+    const bounds = this._getBounds(route);
+    const maxLat = Math.min(89, Math.max(Math.abs(bounds.north), Math.abs(bounds.south)));
+    const latPadding = bufferKm / 111;
+    const lonPadding = bufferKm / (111 * Math.cos(this._toRadians(maxLat)));
+
+    const cells = this._getGeohashCells({
+      north: Math.min(90, bounds.north + latPadding),
+      south: Math.max(-90, bounds.south - latPadding),
+      east: Math.min(180, bounds.east + lonPadding),
+      west: Math.max(-180, bounds.west - lonPadding),
+      precision
+    });
+
+    return cells
+      .filter(({ bounds: cell }) => {
+        const centerLat = (cell.north + cell.south) / 2;
+        const centerLon = (cell.east + cell.west) / 2;
+        const halfDiagonal = this.calculateDistance(centerLat, centerLon, cell.north, cell.east);
+
+        return this._distanceToRoute(centerLat, centerLon, route).distance <= bufferKm + halfDiagonal;
+      })
+      .map(cell => cell.geohash);
+  }
+
+  /**
+   * Distance (km) from a point to the closest point of the route, and how far
+   * along the route that closest point is. Segments are projected on a local
+   * equirectangular plane centered on the point.
+   */
+  _distanceToRoute(lat: number, lon: number, route: GeoPosition[]): { distance: number; along: number } {
+    const R = 6371;
+    const cosLat = Math.cos(this._toRadians(lat));
+    const project = ([pointLon, pointLat]: GeoPosition): [number, number] => [
+      this._toRadians(pointLon - lon) * cosLat * R,
+      this._toRadians(pointLat - lat) * R
+    ];
+
+    let distance = Infinity;
+    let along = 0;
+    let travelled = 0;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      const start = route[i]!;
+      const end = route[i + 1]!;
+      const [ax, ay] = project(start);
+      const [bx, by] = project(end);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared));
+      const segmentDistance = Math.hypot(ax + t * dx, ay + t * dy);
+      const segmentLength = this.calculateDistance(start[1], start[0], end[1], end[0]);
+
+      if (segmentDistance < distance) {
+        distance = segmentDistance;
+        along = travelled + t * segmentLength;
+      }
+
+      travelled += segmentLength;
+    }
+
+    return { distance, along };
+  }
+
   encodeGeohash(latitude: number, longitude: number, precision: number = 5): string {
     let idx = 0;
     let bit = 0;
@@ -809,6 +1295,7 @@ export class GeoPlugin extends Plugin {
         resource: name,
         latField: config.latField,
         lonField: config.lonField,
+        ...(config.polygonField ? { polygonField: config.polygonField } : {}),
         precision: config.precision,
         cellSize: `~${this._getPrecisionDistance(config.precision)}km`
       }))
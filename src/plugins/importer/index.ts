@@ -6,6 +6,8 @@ import * as readline from 'readline';
 import zlib from 'node:zlib';
 import { PluginError } from '../../errors.js';
 import type { Readable } from 'node:stream';
+import { ParquetReader } from './parquet-reader.js';
+import { XlsxReader, columnName } from './xlsx-reader.js';
 
 interface ImporterDriverConfig {
   [key: string]: unknown;
@@ -89,6 +91,7 @@ interface ImporterPluginOptions extends PluginConfig {
 
 interface Resource {
   insert: (record: Record<string, unknown>) => Promise<unknown>;
+  attributes?: Record<string, unknown>;
   [key: string]: unknown;
 }
 
@@ -99,6 +102,10 @@ interface Database {
 
 abstract class ImporterDriver extends EventEmitter {
   protected config: ImporterDriverConfig;
+  /** Record count, for formats that declare it before the data. */
+  total: number | null = null;
+  /** Emits native typed values (numbers, dates, bigints) that are coerced to the target attribute types. */
+  readonly typed: boolean = false;
 
   constructor(config: ImporterDriverConfig = {}) {
     super();
@@ -467,26 +474,118 @@ class CSVImportDriver extends ImporterDriver {
 }
 
 class ParquetImportDriver extends ImporterDriver {
+  override readonly typed = true;
+
   async *parse(filePath: string, options: ParseOptions = {}): AsyncGenerator<Record<string, unknown>> {
-    throw new PluginError('ParquetImportDriver not yet implemented', {
-      pluginName: 'ImporterPlugin',
-      operation: 'ParquetImportDriver.parse',
-      statusCode: 501,
-      retriable: false,
-      suggestion: 'Parquet import support is under development. Convert data to CSV/JSON or implement a custom driver.'
-    });
+    const reader = await ParquetReader.open(filePath);
+    this.total = reader.numRows;
+
+    try {
+      yield* reader.rows({ columns: (options.columns || this.config.columns) as string[] | undefined });
+    } finally {
+      await reader.close();
+    }
+  }
+
+  override async validate(filePath: string): Promise<boolean> {
+    if (!fs.existsSync(filePath)) {
+      throw new PluginError(`File not found: ${filePath}`, {
+        pluginName: 'ImporterPlugin',
+        operation: 'ParquetImportDriver.validate',
+        statusCode: 404,
+        retriable: false,
+        suggestion: 'Verify the Parquet file path or download it locally before importing.',
+        filePath
+      });
+    }
+
+    const ext = filePath.toLowerCase().split('.').pop();
+    if (ext !== 'parquet') {
+      throw new PluginError(`Invalid file extension for Parquet driver: .${ext}`, {
+        pluginName: 'ImporterPlugin',
+        operation: 'ParquetImportDriver.validate',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Rename the file to use the .parquet extension.',
+        filePath
+      });
+    }
+
+    return true;
   }
 }
 
 class ExcelImportDriver extends ImporterDriver {
+  override readonly typed = true;
+
   async *parse(filePath: string, options: ParseOptions = {}): AsyncGenerator<Record<string, unknown>> {
-    throw new PluginError('ExcelImportDriver not yet implemented', {
-      pluginName: 'ImporterPlugin',
-      operation: 'ExcelImportDriver.parse',
-      statusCode: 501,
-      retriable: false,
-      suggestion: 'Convert Excel files to CSV/JSON or implement a custom Excel driver before importing.'
-    });
+    const sheet = (options.sheet ?? this.config.sheet ?? 0) as string | number;
+    const headerRow = Number(options.headerRow ?? this.config.headerRow ?? 0);
+    const startRow = Math.max(Number(options.startRow ?? this.config.startRow ?? 0), headerRow + 1);
+
+    const reader = await XlsxReader.open(filePath);
+    let headers: string[] = [];
+
+    try {
+      const rows = reader.rows(sheet, lastRow => {
+        this.total = Math.max(lastRow - startRow, 0);
+      });
+
+      for await (const row of rows) {
+        if (row.index === headerRow) {
+          headers = Array.from(row.values, value => value === undefined || value === null ? '' : String(value).trim());
+          continue;
+        }
+        if (row.index < startRow) continue;
+
+        for (const [cell, code] of Object.entries(row.errors)) {
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', {
+              row: row.index + 1,
+              message: `Cell ${cell} contains ${code}`
+            } as ParseError);
+          }
+        }
+
+        const record: Record<string, unknown> = {};
+        row.values.forEach((value, column) => {
+          record[headers[column] || columnName(column)] = value;
+        });
+
+        yield record;
+      }
+    } finally {
+      await reader.close();
+    }
+  }
+
+  override async validate(filePath: string): Promise<boolean> {
+    if (!fs.existsSync(filePath)) {
+      throw new PluginError(`File not found: ${filePath}`, {
+        pluginName: 'ImporterPlugin',
+        operation: 'ExcelImportDriver.validate',
+        statusCode: 404,
+        retriable: false,
+        suggestion: 'Verify the workbook path or download it locally before importing.',
+        filePath
+      });
+    }
+
+    const ext = filePath.toLowerCase().split('.').pop();
+    if (!['xlsx', 'xlsm'].includes(ext!)) {
+      throw new PluginError(`Invalid file extension for Excel driver: .${ext}`, {
+        pluginName: 'ImporterPlugin',
+        operation: 'ExcelImportDriver.validate',
+        statusCode: 400,
+        retriable: false,
+        suggestion: ext === 'xls'
+          ? 'Legacy .xls workbooks are not supported; save the file as .xlsx first.'
+          : 'Rename the file to use the .xlsx extension.',
+        filePath
+      });
+    }
+
+    return true;
   }
 }
 
@@ -578,6 +677,11 @@ export class ImporterPlugin extends Plugin {
     }
 
     this.driver = this._createDriver(this.format);
+    this.driver.on('error', (error: ParseError) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
 
     this.emit('installed', {
       plugin: 'ImporterPlugin',
@@ -600,7 +704,12 @@ export class ImporterPlugin extends Plugin {
       case 'excel':
       case 'xls':
       case 'xlsx':
-        return new ExcelImportDriver(this.driverConfig);
+        return new ExcelImportDriver({
+          sheet: this.sheet,
+          headerRow: this.headerRow,
+          startRow: this.startRow,
+          ...this.driverConfig
+        });
       default:
         throw new PluginError(`Unsupported import format: ${format}`, {
           pluginName: 'ImporterPlugin',
@@ -631,7 +740,9 @@ export class ImporterPlugin extends Plugin {
         this.stats.totalProcessed++;
 
         const transformed = this._transformRecord(record);
-        const mapped = this._mapRecord(transformed);
+        const mapped = this.driver!.typed
+          ? this._coerceRecord(this._mapRecord(transformed))
+          : this._mapRecord(transformed);
 
         if (this.validateFn && !this.validateFn(mapped)) {
           this.stats.totalSkipped++;
@@ -671,12 +782,14 @@ export class ImporterPlugin extends Plugin {
           await this._processBatch(batch);
           batch = [];
 
+          const total = this.driver!.total;
           this.emit('progress', {
             processed: this.stats.totalProcessed,
             inserted: this.stats.totalInserted,
             skipped: this.stats.totalSkipped,
             errors: this.stats.totalErrors,
-            percent: 0
+            percent: total ? Math.min(100, Math.round((this.stats.totalProcessed / total) * 100)) : 0,
+            ...(total ? { total } : {})
           } as ProgressEvent);
         }
       }
@@ -723,6 +836,20 @@ export class ImporterPlugin extends Plugin {
     return mapped;
   }
 
+  /** Converts values from typed formats (Parquet, Excel) to what the target attributes expect. */
+  private _coerceRecord(record: Record<string, unknown>): Record<string, unknown> {
+    const attributes = this.resource?.attributes || {};
+    const coerced: Record<string, unknown> = {};
+
+    for (const [field, value] of Object.entries(record)) {
+      coerced[field] = value === null || value === undefined
+        ? value
+        : coerceValue(value, attributeType(attributes[field]));
+    }
+
+    return coerced;
+  }
+
   private _transformRecord(
     record: Record<string, unknown>,
     originalRecord: Record<string, unknown> | null = null
@@ -783,6 +910,66 @@ export class ImporterPlugin extends Plugin {
   }
 }
 
+const NUMBER_TYPES = new Set(['number', 'decimal', 'money', 'crypto', 'geo:lat', 'geo:lon', 'geo-lat', 'geo-lon']);
+const STRUCTURED_TYPES = new Set(['json', 'object', 'array', 'embedding', 'geo:point', 'geo-point', 'geo:polygon', 'geo-polygon']);
+const DATE_TYPES = new Set(['date', 'dateonly', 'datetime', 'timeonly']);
+
+function attributeType(definition: unknown): string | null {
+  if (typeof definition === 'string') {
+    return definition.split('|')[0]!.trim();
+  }
+  if (definition && typeof definition === 'object' && typeof (definition as { type?: unknown }).type === 'string') {
+    return (definition as { type: string }).type;
+  }
+  return null;
+}
+
+function coerceValue(value: unknown, type: string | null): unknown {
+  if (type === 'any' || (type && DATE_TYPES.has(type))) {
+    return value;
+  }
+
+  if (type && NUMBER_TYPES.has(type)) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return value;
+  }
+
+  if (type === 'boolean' || type === 'bool') {
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+      if (['false', 'no', '0', 'n', ''].includes(normalized)) return false;
+    }
+    return value;
+  }
+
+  if (type && STRUCTURED_TYPES.has(type)) {
+    if (typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  if (type === 'buffer') {
+    return value;
+  }
+
+  // String-like attributes (and fields the schema does not declare)
+  if (value instanceof Date) return type ? value.toISOString() : value;
+  if (Buffer.isBuffer(value)) return type ? value.toString('utf8') : value;
+  if (typeof value === 'bigint') return type || !Number.isSafeInteger(Number(value)) ? value.toString() : Number(value);
+  if (type && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  return value;
+}
+
 export const Transformers = {
   parseDate: (format?: string) => (value: unknown): number => {
     return new Date(value as string).getTime();
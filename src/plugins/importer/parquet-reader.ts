@@ -0,0 +1,676 @@
+import { open, type FileHandle } from 'fs/promises';
+import zlib from 'node:zlib';
+import { PluginError } from '../../errors.js';
+
+type ThriftValue = boolean | number | bigint | Buffer | ThriftValue[] | ThriftStruct | Map<ThriftValue, ThriftValue>;
+type ThriftStruct = { [fieldId: number]: ThriftValue };
+
+const MAGIC = 'PAR1';
+
+const PhysicalType = {
+  BOOLEAN: 0,
+  INT32: 1,
+  INT64: 2,
+  INT96: 3,
+  FLOAT: 4,
+  DOUBLE: 5,
+  BYTE_ARRAY: 6,
+  FIXED_LEN_BYTE_ARRAY: 7
+} as const;
+
+const Encoding = {
+  PLAIN: 0,
+  PLAIN_DICTIONARY: 2,
+  RLE: 3,
+  RLE_DICTIONARY: 8
+} as const;
+
+const PageType = {
+  DATA_PAGE: 0,
+  DICTIONARY_PAGE: 2,
+  DATA_PAGE_V2: 3
+} as const;
+
+const CODECS = ['UNCOMPRESSED', 'SNAPPY', 'GZIP', 'LZO', 'BROTLI', 'LZ4', 'ZSTD', 'LZ4_RAW'];
+
+// ConvertedType values used for conversion
+const ConvertedType = {
+  UTF8: 0,
+  ENUM: 4,
+  DECIMAL: 5,
+  DATE: 6,
+  TIMESTAMP_MILLIS: 9,
+  TIMESTAMP_MICROS: 10,
+  JSON: 19
+} as const;
+
+const REPETITION_OPTIONAL = 1;
+const REPETITION_REPEATED = 2;
+const JULIAN_UNIX_EPOCH = 2440588;
+const MS_PER_DAY = 86400000;
+
+export interface ParquetColumn {
+  name: string;
+  type: number;
+  typeLength: number;
+  optional: boolean;
+  /** How values are presented: string, date, timestamp-ms/us/ns, decimal, json, uuid or raw. */
+  kind: string;
+  scale: number;
+}
+
+export interface ParquetReadOptions {
+  /** Read only these columns. */
+  columns?: string[];
+}
+
+interface ColumnChunk {
+  column: ParquetColumn;
+  codec: number;
+  numValues: number;
+  start: number;
+  length: number;
+}
+
+interface RowGroup {
+  numRows: number;
+  chunks: Map<string, ColumnChunk>;
+}
+
+function parquetError(message: string, details: Record<string, unknown> = {}): PluginError {
+  return new PluginError(message, {
+    pluginName: 'ImporterPlugin',
+    operation: 'ParquetReader',
+    statusCode: 422,
+    retriable: false,
+    suggestion: 'Check that the file is a valid Parquet file with flat (non-nested) columns.',
+    ...details
+  });
+}
+
+/**
+ * Decoder for the Thrift compact protocol Parquet uses for its footer and
+ * page headers. Structs come back keyed by field id.
+ */
+class CompactReader {
+  buf: Buffer;
+  pos: number;
+
+  constructor(buf: Buffer, pos: number = 0) {
+    this.buf = buf;
+    this.pos = pos;
+  }
+
+  readStruct(): ThriftStruct {
+    const struct: ThriftStruct = {};
+    let lastId = 0;
+
+    while (true) {
+      const header = this.buf[this.pos++]!;
+      if (header === 0) return struct;
+
+      const type = header & 0x0f;
+      const delta = header >> 4;
+      const id = delta ? lastId + delta : this._zigzag(this._varint());
+      lastId = id;
+
+      if (type === 1 || type === 2) {
+        struct[id] = type === 1;
+      } else {
+        struct[id] = this._value(type);
+      }
+    }
+  }
+
+  private _value(type: number): ThriftValue {
+    switch (type) {
+      case 1: return true;
+      case 2: return false;
+      case 3: return this.buf.readInt8(this.pos++);
+      case 4:
+      case 5: return this._zigzag(this._varint());
+      case 6: return this._zigzagBig(this._varintBig());
+      case 7: {
+        const value = this.buf.readDoubleLE(this.pos);
+        this.pos += 8;
+        return value;
+      }
+      case 8: {
+        const length = this._varint();
+        const value = this.buf.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return value;
+      }
+      case 9:
+      case 10: {
+        const header = this.buf[this.pos++]!;
+        const size = (header >> 4) === 15 ? this._varint() : header >> 4;
+        const elementType = header & 0x0f;
+        const list: ThriftValue[] = [];
+        for (let i = 0; i < size; i++) {
+          list.push(elementType === 1 || elementType === 2 ? this.buf[this.pos++] === 1 : this._value(elementType));
+        }
+        return list;
+      }
+      case 11: {
+        const size = this._varint();
+        const map = new Map<ThriftValue, ThriftValue>();
+        if (size === 0) return map;
+        const types = this.buf[this.pos++]!;
+        for (let i = 0; i < size; i++) {
+          map.set(this._value(types >> 4), this._value(types & 0x0f));
+        }
+        return map;
+      }
+      case 12: return this.readStruct();
+      default:
+        throw parquetError(`Unknown thrift type ${type} at byte ${this.pos}`);
+    }
+  }
+
+  private _varint(): number {
+    let result = 0;
+    let shift = 0;
+    while (true) {
+      const byte = this.buf[this.pos++]!;
+      result += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) return result;
+      shift += 7;
+    }
+  }
+
+  private _varintBig(): bigint {
+    let result = 0n;
+    let shift = 0n;
+    while (true) {
+      const byte = this.buf[this.pos++]!;
+      result |= BigInt(byte & 0x7f) << shift;
+      if (byte < 0x80) return result;
+      shift += 7n;
+    }
+  }
+
+  private _zigzag(n: number): number {
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  }
+
+  private _zigzagBig(n: bigint): number {
+    return Number((n >> 1n) ^ -(n & 1n));
+  }
+}
+
+/** Snappy block decompression (the default Parquet codec). */
+export function snappyUncompress(input: Buffer): Buffer {
+  let pos = 0;
+  let length = 0;
+  let shift = 0;
+  while (true) {
+    const byte = input[pos++]!;
+    length += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) break;
+    shift += 7;
+  }
+
+  const output = Buffer.alloc(length);
+  let outPos = 0;
+
+  while (pos < input.length) {
+    const tag = input[pos++]!;
+    const type = tag & 3;
+
+    if (type === 0) {
+      let literalLength = tag >>> 2;
+      if (literalLength >= 60) {
+        const bytes = literalLength - 59;
+        literalLength = input.readUIntLE(pos, bytes);
+        pos += bytes;
+      }
+      literalLength += 1;
+      input.copy(output, outPos, pos, pos + literalLength);
+      pos += literalLength;
+      outPos += literalLength;
+      continue;
+    }
+
+    let copyLength: number;
+    let offset: number;
+    if (type === 1) {
+      copyLength = ((tag >>> 2) & 7) + 4;
+      offset = ((tag >>> 5) << 8) | input[pos++]!;
+    } else if (type === 2) {
+      copyLength = (tag >>> 2) + 1;
+      offset = input.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      copyLength = (tag >>> 2) + 1;
+      offset = input.readUInt32LE(pos);
+      pos += 4;
+    }
+
+    if (offset === 0 || offset > outPos) {
+      throw parquetError('Corrupt snappy data: copy offset out of range');
+    }
+    // Copies may overlap their own output
+    for (let i = 0; i < copyLength; i++) {
+      output[outPos + i] = output[outPos - offset + i]!;
+    }
+    outPos += copyLength;
+  }
+
+  return output;
+}
+
+function decompress(codec: number, data: Buffer): Buffer {
+  switch (codec) {
+    case 0: return data;
+    case 1: return snappyUncompress(data);
+    case 2: return zlib.gunzipSync(data);
+    case 4: return zlib.brotliDecompressSync(data);
+    case 6: {
+      const zstd = (zlib as unknown as { zstdDecompressSync?: (buf: Buffer) => Buffer }).zstdDecompressSync;
+      if (zstd) return zstd(data);
+      break;
+    }
+  }
+  throw parquetError(`Unsupported Parquet compression codec: ${CODECS[codec] || codec}`, {
+    suggestion: 'Rewrite the file with SNAPPY, GZIP, BROTLI or no compression (ZSTD needs a Node.js build with zstd support).'
+  });
+}
+
+/** RLE / bit-packed hybrid decoding, used for levels, dictionary ids and booleans. */
+function decodeHybrid(buf: Buffer, pos: number, end: number, bitWidth: number, count: number): number[] {
+  const values: number[] = [];
+  const byteWidth = Math.ceil(bitWidth / 8);
+
+  while (values.length < count && pos < end) {
+    let header = 0;
+    let shift = 0;
+    while (true) {
+      const byte = buf[pos++]!;
+      header += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) break;
+      shift += 7;
+    }
+
+    if (header & 1) {
+      const total = (header >>> 1) * 8;
+      let bitPos = pos * 8;
+      for (let i = 0; i < total && values.length < count; i++) {
+        let value = 0;
+        for (let b = 0; b < bitWidth; b++) {
+          const bit = (buf[(bitPos + b) >> 3]! >> ((bitPos + b) & 7)) & 1;
+          value |= bit << b;
+        }
+        values.push(value);
+        bitPos += bitWidth;
+      }
+      pos += (header >>> 1) * bitWidth;
+    } else {
+      const runLength = header >>> 1;
+      const value = byteWidth ? buf.readUIntLE(pos, byteWidth) : 0;
+      pos += byteWidth;
+      for (let i = 0; i < runLength && values.length < count; i++) {
+        values.push(value);
+      }
+    }
+  }
+
+  return values;
+}
+
+function decodePlain(column: ParquetColumn, buf: Buffer, pos: number, count: number): unknown[] {
+  const values: unknown[] = new Array(count);
+
+  switch (column.type) {
+    case PhysicalType.BOOLEAN:
+      for (let i = 0; i < count; i++) {
+        values[i] = ((buf[pos + (i >> 3)]! >> (i & 7)) & 1) === 1;
+      }
+      break;
+    case PhysicalType.INT32:
+      for (let i = 0; i < count; i++) values[i] = buf.readInt32LE(pos + i * 4);
+      break;
+    case PhysicalType.INT64:
+      for (let i = 0; i < count; i++) values[i] = buf.readBigInt64LE(pos + i * 8);
+      break;
+    case PhysicalType.INT96:
+      for (let i = 0; i < count; i++) {
+        const nanos = buf.readBigInt64LE(pos + i * 12);
+        const day = buf.readInt32LE(pos + i * 12 + 8);
+        values[i] = new Date((day - JULIAN_UNIX_EPOCH) * MS_PER_DAY + Number(nanos / 1000000n));
+      }
+      break;
+    case PhysicalType.FLOAT:
+      for (let i = 0; i < count; i++) values[i] = buf.readFloatLE(pos + i * 4);
+      break;
+    case PhysicalType.DOUBLE:
+      for (let i = 0; i < count; i++) values[i] = buf.readDoubleLE(pos + i * 8);
+      break;
+    case PhysicalType.BYTE_ARRAY:
+      for (let i = 0; i < count; i++) {
+        const length = buf.readUInt32LE(pos);
+        values[i] = buf.subarray(pos + 4, pos + 4 + length);
+        pos += 4 + length;
+      }
+      break;
+    case PhysicalType.FIXED_LEN_BYTE_ARRAY:
+      for (let i = 0; i < count; i++) {
+        values[i] = buf.subarray(pos + i * column.typeLength, pos + (i + 1) * column.typeLength);
+      }
+      break;
+  }
+
+  return values;
+}
+
+function bigEndianSigned(bytes: Buffer): bigint {
+  let value = 0n;
+  for (const byte of bytes) value = (value << 8n) | BigInt(byte);
+  const bits = BigInt(bytes.length * 8);
+  return bytes.length && bytes[0]! & 0x80 ? value - (1n << bits) : value;
+}
+
+function presentValue(column: ParquetColumn, raw: unknown): unknown {
+  switch (column.kind) {
+    case 'string':
+      return (raw as Buffer).toString('utf8');
+    case 'json': {
+      const text = (raw as Buffer).toString('utf8');
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+    case 'uuid': {
+      const hex = (raw as Buffer).toString('hex');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+    case 'date':
+      return new Date(Number(raw) * MS_PER_DAY);
+    case 'timestamp-ms':
+      return new Date(Number(raw));
+    case 'timestamp-us':
+      return new Date(Number((raw as bigint) / 1000n));
+    case 'timestamp-ns':
+      return new Date(Number((raw as bigint) / 1000000n));
+    case 'decimal': {
+      const unscaled = Buffer.isBuffer(raw) ? bigEndianSigned(raw) : raw;
+      return Number(unscaled) / 10 ** column.scale;
+    }
+  }
+
+  if (typeof raw === 'bigint') {
+    return Number.isSafeInteger(Number(raw)) ? Number(raw) : raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return Buffer.from(raw);
+  }
+  return raw;
+}
+
+function columnKind(element: ThriftStruct): { kind: string; scale: number } {
+  const logical = element[10] as ThriftStruct | undefined;
+  const converted = element[6] as number | undefined;
+  const scale = (element[7] as number | undefined) ?? 0;
+
+  if (logical) {
+    if (logical[1] || logical[4]) return { kind: 'string', scale };
+    if (logical[5]) return { kind: 'decimal', scale: ((logical[5] as ThriftStruct)[1] as number) ?? scale };
+    if (logical[6]) return { kind: 'date', scale };
+    if (logical[8]) {
+      const unit = (logical[8] as ThriftStruct)[2] as ThriftStruct | undefined;
+      if (unit?.[1]) return { kind: 'timestamp-ms', scale };
+      if (unit?.[2]) return { kind: 'timestamp-us', scale };
+      if (unit?.[3]) return { kind: 'timestamp-ns', scale };
+    }
+    if (logical[12]) return { kind: 'json', scale };
+    if (logical[14]) return { kind: 'uuid', scale };
+  }
+
+  switch (converted) {
+    case ConvertedType.UTF8:
+    case ConvertedType.ENUM:
+      return { kind: 'string', scale };
+    case ConvertedType.JSON:
+      return { kind: 'json', scale };
+    case ConvertedType.DECIMAL:
+      return { kind: 'decimal', scale };
+    case ConvertedType.DATE:
+      return { kind: 'date', scale };
+    case ConvertedType.TIMESTAMP_MILLIS:
+      return { kind: 'timestamp-ms', scale };
+    case ConvertedType.TIMESTAMP_MICROS:
+      return { kind: 'timestamp-us', scale };
+  }
+
+  return { kind: 'raw', scale };
+}
+
+/**
+ * Reads Parquet files one row group at a time, so memory stays bounded by
+ * the largest row group rather than the file.
+ *
+ * Supports flat schemas with PLAIN, dictionary and RLE encodings, v1 and v2
+ * data pages, and the UNCOMPRESSED, SNAPPY, GZIP and BROTLI codecs.
+ */
+export class ParquetReader {
+  filePath: string;
+  numRows: number;
+  columns: ParquetColumn[];
+
+  private _handle: FileHandle;
+  private _rowGroups: RowGroup[];
+
+  private constructor(filePath: string, handle: FileHandle) {
+    this.filePath = filePath;
+    this._handle = handle;
+    this.numRows = 0;
+    this.columns = [];
+    this._rowGroups = [];
+  }
+
+  static async open(filePath: string): Promise<ParquetReader> {
+    const handle = await open(filePath, 'r');
+    const reader = new ParquetReader(filePath, handle);
+
+    try {
+      await reader._readFooter();
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+
+    return reader;
+  }
+
+  async *rows(options: ParquetReadOptions = {}): AsyncGenerator<Record<string, unknown>> {
+    const wanted = options.columns
+      ? this.columns.filter(column => options.columns!.includes(column.name))
+      : this.columns;
+
+    for (const group of this._rowGroups) {
+      const columnValues = new Map<string, unknown[]>();
+      for (const column of wanted) {
+        columnValues.set(column.name, await this._readColumn(group.chunks.get(column.name)!, group.numRows));
+      }
+
+      for (let row = 0; row < group.numRows; row++) {
+        const record: Record<string, unknown> = {};
+        for (const column of wanted) {
+          record[column.name] = columnValues.get(column.name)![row];
+        }
+        yield record;
+      }
+    }
+  }
+
+  async close(): Promise<void> {
+    await this._handle.close();
+  }
+
+  private async _read(position: number, length: number): Promise<Buffer> {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await this._handle.read(buffer, 0, length, position);
+    if (bytesRead < length) {
+      throw parquetError(`Unexpected end of file reading ${length} bytes at ${position}`);
+    }
+    return buffer;
+  }
+
+  private async _readFooter(): Promise<void> {
+    const { size } = await this._handle.stat();
+    if (size < 12) {
+      throw parquetError('File is too small to be Parquet');
+    }
+
+    const tail = await this._read(size - 8, 8);
+    if (tail.toString('latin1', 4) !== MAGIC) {
+      throw parquetError('Not a Parquet file (missing PAR1 footer)');
+    }
+
+    const metadataLength = tail.readUInt32LE(0);
+    const metadata = new CompactReader(await this._read(size - 8 - metadataLength, metadataLength)).readStruct();
+
+    const schema = (metadata[2] as ThriftStruct[]) || [];
+    for (const element of schema.slice(1)) {
+      const name = (element[4] as Buffer).toString('utf8');
+      if (element[5] !== undefined || element[3] === REPETITION_REPEATED) {
+        throw parquetError(`Nested or repeated Parquet column '${name}' is not supported`, {
+          suggestion: 'Flatten nested columns (or serialize them to JSON strings) before importing.'
+        });
+      }
+
+      this.columns.push({
+        name,
+        type: element[1] as number,
+        typeLength: (element[2] as number) || 0,
+        optional: element[3] === REPETITION_OPTIONAL,
+        ...columnKind(element)
+      });
+    }
+
+    this.numRows = Number(metadata[3] || 0);
+
+    for (const group of (metadata[4] as ThriftStruct[]) || []) {
+      const chunks = new Map<string, ColumnChunk>();
+      for (const chunk of group[1] as ThriftStruct[]) {
+        const meta = chunk[3] as ThriftStruct;
+        const name = (meta[3] as Buffer[]).map(part => part.toString('utf8')).join('.');
+        const dictionaryOffset = meta[11] as number | undefined;
+        const dataOffset = meta[9] as number;
+        const start = dictionaryOffset !== undefined && dictionaryOffset > 0 ? Math.min(dictionaryOffset, dataOffset) : dataOffset;
+
+        chunks.set(name, {
+          column: this.columns.find(column => column.name === name)!,
+          codec: meta[4] as number,
+          numValues: Number(meta[5]),
+          start,
+          length: Number(meta[7])
+        });
+      }
+      this._rowGroups.push({ numRows: Number(group[3]), chunks });
+    }
+  }
+
+  private async _readColumn(chunk: ColumnChunk, numRows: number): Promise<unknown[]> {
+    const { column, codec } = chunk;
+    const buf = await this._read(chunk.start, chunk.length);
+    const maxDefinition = column.optional ? 1 : 0;
+
+    const values: unknown[] = [];
+    let dictionary: unknown[] | null = null;
+    let pos = 0;
+
+    while (values.length < chunk.numValues && pos < buf.length) {
+      const reader = new CompactReader(buf, pos);
+      const header = reader.readStruct();
+      pos = reader.pos;
+
+      const type = header[1] as number;
+      const compressedSize = header[3] as number;
+      const page = buf.subarray(pos, pos + compressedSize);
+      pos += compressedSize;
+
+      if (type === PageType.DICTIONARY_PAGE) {
+        const dictionaryHeader = header[7] as ThriftStruct;
+        const data = codec ? decompress(codec, page) : page;
+        dictionary = decodePlain(column, data, 0, dictionaryHeader[1] as number);
+        continue;
+      }
+
+      let numValues: number;
+      let encoding: number;
+      let definitions: number[] | null = null;
+      let data: Buffer;
+      let dataPos = 0;
+
+      if (type === PageType.DATA_PAGE) {
+        const dataHeader = header[5] as ThriftStruct;
+        numValues = dataHeader[1] as number;
+        encoding = dataHeader[2] as number;
+        data = codec ? decompress(codec, page) : page;
+
+        if (maxDefinition > 0) {
+          const length = data.readUInt32LE(0);
+          definitions = decodeHybrid(data, 4, 4 + length, 1, numValues);
+          dataPos = 4 + length;
+        }
+      } else if (type === PageType.DATA_PAGE_V2) {
+        const dataHeader = header[8] as ThriftStruct;
+        numValues = dataHeader[1] as number;
+        encoding = dataHeader[4] as number;
+        const definitionLength = dataHeader[5] as number;
+        const repetitionLength = dataHeader[6] as number;
+        const levelsEnd = repetitionLength + definitionLength;
+
+        if (maxDefinition > 0) {
+          definitions = decodeHybrid(page, repetitionLength, levelsEnd, 1, numValues);
+        }
+
+        const body = page.subarray(levelsEnd);
+        data = codec && dataHeader[7] !== false ? decompress(codec, body) : body;
+      } else {
+        continue;
+      }
+
+      const present = definitions ? definitions.filter(level => level === maxDefinition).length : numValues;
+      let decoded: unknown[];
+
+      if (encoding === Encoding.PLAIN) {
+        decoded = decodePlain(column, data, dataPos, present);
+      } else if (encoding === Encoding.PLAIN_DICTIONARY || encoding === Encoding.RLE_DICTIONARY) {
+        if (!dictionary) {
+          throw parquetError(`Dictionary-encoded page without a dictionary in column '${column.name}'`);
+        }
+        const bitWidth = data[dataPos]!;
+        const ids = decodeHybrid(data, dataPos + 1, data.length, bitWidth, present);
+        decoded = ids.map(id => dictionary![id]);
+      } else if (encoding === Encoding.RLE && column.type === PhysicalType.BOOLEAN) {
+        const length = data.readUInt32LE(dataPos);
+        decoded = decodeHybrid(data, dataPos + 4, dataPos + 4 + length, 1, present).map(bit => bit === 1);
+      } else {
+        throw parquetError(`Unsupported Parquet encoding ${encoding} in column '${column.name}'`, {
+          suggestion: 'Rewrite the file with PLAIN or dictionary encoding.'
+        });
+      }
+
+      let next = 0;
+      for (let i = 0; i < numValues; i++) {
+        if (definitions && definitions[i] !== maxDefinition) {
+          values.push(null);
+        } else {
+          values.push(presentValue(column, decoded[next++]));
+        }
+      }
+    }
+
+    if (values.length < numRows) {
+      throw parquetError(`Column '${column.name}' has ${values.length} values, expected ${numRows}`);
+    }
+
+    return values;
+  }
+}
+
+export default ParquetReader;
@@ -0,0 +1,424 @@
+import { createReadStream } from 'fs';
+import { open, type FileHandle } from 'fs/promises';
+import path from 'path';
+import zlib from 'node:zlib';
+import { PassThrough, type Readable } from 'node:stream';
+import { PluginError } from '../../errors.js';
+
+interface ZipEntry {
+  name: string;
+  method: number;
+  compressedSize: number;
+  headerOffset: number;
+}
+
+export interface XlsxSheet {
+  name: string;
+  path: string;
+}
+
+export interface XlsxRow {
+  /** 0-based row index in the sheet. */
+  index: number;
+  /** Cell values by 0-based column index (sparse). */
+  values: unknown[];
+  /** Error cells such as #N/A, keyed by cell reference; their values are null. */
+  errors: Record<string, string>;
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const MS_PER_DAY = 86400000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+// Built-in number formats that display dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function xlsxError(message: string, details: Record<string, unknown> = {}): PluginError {
+  return new PluginError(message, {
+    pluginName: 'ImporterPlugin',
+    operation: 'XlsxReader',
+    statusCode: 422,
+    retriable: false,
+    suggestion: 'Check that the file is a valid .xlsx workbook (legacy .xls files must be re-saved as .xlsx).',
+    ...details
+  });
+}
+
+function attr(tag: string, name: string): string | undefined {
+  const match = tag.match(new RegExp(`(?:^|\\s)${name}=(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[1] ?? match[2]!) : undefined;
+}
+
+function decodeXml(text: string): string {
+  return text
+    .replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (entity, code: string) => {
+      switch (code) {
+        case 'lt': return '<';
+        case 'gt': return '>';
+        case 'amp': return '&';
+        case 'quot': return '"';
+        case 'apos': return "'";
+      }
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    })
+    .replace(/_x([0-9a-fA-F]{4})_/g, (_, hex: string) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/** Concatenates the text runs of a string item, skipping phonetic hints. */
+function richText(xml: string): string {
+  let text = '';
+  for (const match of xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g)) {
+    text += match[1] ? decodeXml(match[1]) : '';
+  }
+  return text;
+}
+
+export function columnIndex(ref: string): number {
+  let index = 0;
+  for (const char of ref) {
+    const code = char.charCodeAt(0);
+    if (code < 65 || code > 90) break;
+    index = index * 26 + (code - 64);
+  }
+  return index - 1;
+}
+
+export function columnName(index: number): string {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function isDateFormat(code: string): boolean {
+  const stripped = code
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(?!h\]|m\]|s\])[^\]]*\]/gi, '')
+    .replace(/General/gi, '');
+  return /[dmyhs]/i.test(stripped);
+}
+
+/**
+ * Minimal .xlsx reader. Shared strings and styles are loaded up front; sheet
+ * XML is inflated and parsed as a stream, one row at a time.
+ */
+export class XlsxReader {
+  filePath: string;
+  sheets: XlsxSheet[];
+  date1904: boolean;
+
+  private _handle: FileHandle;
+  private _entries: Map<string, ZipEntry>;
+  private _sharedStrings: string[];
+  private _dateStyles: Set<number>;
+
+  private constructor(filePath: string, handle: FileHandle) {
+    this.filePath = filePath;
+    this._handle = handle;
+    this.sheets = [];
+    this.date1904 = false;
+    this._entries = new Map();
+    this._sharedStrings = [];
+    this._dateStyles = new Set();
+  }
+
+  static async open(filePath: string): Promise<XlsxReader> {
+    const handle = await open(filePath, 'r');
+    const reader = new XlsxReader(filePath, handle);
+
+    try {
+      await reader._readDirectory();
+      await reader._readWorkbook();
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+
+    return reader;
+  }
+
+  /** Resolve a sheet by name or 0-based index. */
+  sheet(selector: string | number = 0): XlsxSheet {
+    const sheet = typeof selector === 'number'
+      ? this.sheets[selector]
+      : this.sheets.find(candidate => candidate.name === selector);
+
+    if (!sheet) {
+      throw xlsxError(`Sheet ${typeof selector === 'number' ? `#${selector}` : `"${selector}"`} not found`, {
+        statusCode: 404,
+        suggestion: `Available sheets: ${this.sheets.map(s => s.name).join(', ')}`
+      });
+    }
+    return sheet;
+  }
+
+  /**
+   * Stream the non-empty rows of a sheet. `onDimension` receives the row count
+   * declared in the sheet header, when there is one, before the first row.
+   */
+  async *rows(selector: string | number = 0, onDimension?: (rows: number) => void): AsyncGenerator<XlsxRow> {
+    const stream = this._entryStream(this.sheet(selector).path);
+    stream.setEncoding('utf8');
+
+    let pending = '';
+    let dimensionSeen = false;
+    let nextIndex = 0;
+
+    try {
+      for await (const chunk of stream) {
+        pending += chunk as string;
+
+        if (!dimensionSeen && onDimension) {
+          const dimension = pending.match(/<dimension\b[^>]*\bref="[A-Z]*(\d+)?(?::[A-Z]+(\d+))?"/);
+          if (dimension) {
+            dimensionSeen = true;
+            const last = Number(dimension[2] ?? dimension[1] ?? 0);
+            if (last > 1) onDimension(last);
+          } else if (pending.includes('<sheetData')) {
+            dimensionSeen = true;
+          }
+        }
+
+        let end: number;
+        while ((end = pending.indexOf('</row>')) !== -1) {
+          const start = pending.lastIndexOf('<row', end);
+          const row = this._parseRow(pending.slice(start, end), nextIndex);
+          pending = pending.slice(end + 6);
+          nextIndex = row.index + 1;
+
+          if (row.values.length > 0 || Object.keys(row.errors).length > 0) {
+            yield row;
+          }
+        }
+      }
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  async close(): Promise<void> {
+    await this._handle.close();
+  }
+
+  private _parseRow(xml: string, fallbackIndex: number): XlsxRow {
+    const rowTag = xml.slice(0, xml.indexOf('>') + 1);
+    const rowNumber = attr(rowTag, 'r');
+    const index = rowNumber ? Number(rowNumber) - 1 : fallbackIndex;
+
+    const values: unknown[] = [];
+    const errors: Record<string, string> = {};
+    let nextColumn = 0;
+
+    for (const match of xml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = match[1]!;
+      const body = match[2];
+      const ref = attr(tag, 'r');
+      const column = ref ? columnIndex(ref) : nextColumn;
+      nextColumn = column + 1;
+
+      if (body === undefined) continue;
+
+      const type = attr(tag, 't') || 'n';
+      const raw = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+      let value: unknown;
+
+      switch (type) {
+        case 's':
+          value = raw !== undefined ? this._sharedStrings[Number(raw)] : undefined;
+          break;
+        case 'inlineStr':
+          value = richText(body.match(/<is\b[^>]*>([\s\S]*?)<\/is>/)?.[1] ?? '');
+          break;
+        case 'str':
+          value = raw !== undefined ? decodeXml(raw) : undefined;
+          break;
+        case 'b':
+          value = raw === undefined ? undefined : raw === '1';
+          break;
+        case 'e':
+          errors[ref || `${columnName(column)}${index + 1}`] = raw ? decodeXml(raw) : '#ERROR';
+          value = null;
+          break;
+        case 'd':
+          value = raw ? new Date(decodeXml(raw)) : undefined;
+          break;
+        default: {
+          if (raw === undefined || raw === '') break;
+          const number = Number(raw);
+          const style = Number(attr(tag, 's') || 0);
+          value = this._dateStyles.has(style) ? this._serialToDate(number) : number;
+        }
+      }
+
+      if (value !== undefined) {
+        values[column] = value;
+      }
+    }
+
+    return { index, values, errors };
+  }
+
+  private _serialToDate(serial: number): Date {
+    const epoch = this.date1904 ? EPOCH_1904 : EPOCH_1900;
+    return new Date(epoch + Math.round(serial * MS_PER_DAY));
+  }
+
+  private async _readDirectory(): Promise<void> {
+    const { size } = await this._handle.stat();
+    const tailLength = Math.min(size, 65557);
+    const tail = Buffer.alloc(tailLength);
+    await this._handle.read(tail, 0, tailLength, size - tailLength);
+
+    let eocd = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw xlsxError('Not an .xlsx workbook (zip directory not found)');
+    }
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset === 0xffffffff) {
+      throw xlsxError('ZIP64 workbooks are not supported');
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await this._handle.read(directory, 0, directorySize, directoryOffset);
+
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      if (directory.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+        throw xlsxError('Corrupt zip central directory');
+      }
+      const nameLength = directory.readUInt16LE(pos + 28);
+      const extraLength = directory.readUInt16LE(pos + 30);
+      const commentLength = directory.readUInt16LE(pos + 32);
+      const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+      this._entries.set(name, {
+        name,
+        method: directory.readUInt16LE(pos + 10),
+        compressedSize: directory.readUInt32LE(pos + 20),
+        headerOffset: directory.readUInt32LE(pos + 42)
+      });
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  private async _readWorkbook(): Promise<void> {
+    const rootRels = await this._readText('_rels/.rels');
+    const officeDocument = rootRels
+      ? [...rootRels.matchAll(/<Relationship\b[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => attr(tag, 'Type')?.endsWith('/officeDocument'))
+      : undefined;
+    const workbookPath = officeDocument ? attr(officeDocument, 'Target')!.replace(/^\//, '') : 'xl/workbook.xml';
+
+    const workbook = await this._readText(workbookPath);
+    if (!workbook) {
+      throw xlsxError('Workbook part not found');
+    }
+
+    const workbookDir = path.posix.dirname(workbookPath);
+    const relsPath = path.posix.join(workbookDir, '_rels', `${path.posix.basename(workbookPath)}.rels`);
+    const rels = await this._readText(relsPath) || '';
+
+    const targets = new Map<string, string>();
+    let sharedStringsPath: string | null = null;
+    let stylesPath: string | null = null;
+
+    for (const [tag] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+      const target = attr(tag, 'Target')!;
+      const resolved = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(workbookDir, target));
+      const type = attr(tag, 'Type') || '';
+      targets.set(attr(tag, 'Id')!, resolved);
+      if (type.endsWith('/sharedStrings')) sharedStringsPath = resolved;
+      if (type.endsWith('/styles')) stylesPath = resolved;
+    }
+
+    const workbookPr = workbook.match(/<workbookPr\b[^>]*>/)?.[0];
+    this.date1904 = workbookPr ? ['1', 'true'].includes(attr(workbookPr, 'date1904') || '') : false;
+
+    for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+      const relId = tag.match(/\s[\w]+:id="([^"]+)"/)?.[1];
+      const sheetPath = relId ? targets.get(relId) : undefined;
+      if (sheetPath) {
+        this.sheets.push({ name: attr(tag, 'name')!, path: sheetPath });
+      }
+    }
+
+    if (sharedStringsPath) {
+      const xml = await this._readText(sharedStringsPath) || '';
+      for (const match of xml.matchAll(/<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g)) {
+        this._sharedStrings.push(richText(match[1] ?? ''));
+      }
+    }
+
+    if (stylesPath) {
+      const xml = await this._readText(stylesPath) || '';
+      const customFormats = new Map<number, string>();
+      for (const [tag] of xml.matchAll(/<numFmt\b[^>]*>/g)) {
+        customFormats.set(Number(attr(tag, 'numFmtId')), attr(tag, 'formatCode') || '');
+      }
+
+      const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+      let style = 0;
+      for (const [tag] of cellXfs.matchAll(/<xf\b[^>]*>/g)) {
+        const formatId = Number(attr(tag, 'numFmtId') || 0);
+        const custom = customFormats.get(formatId);
+        if (DATE_FORMAT_IDS.has(formatId) || (custom !== undefined && isDateFormat(custom))) {
+          this._dateStyles.add(style);
+        }
+        style++;
+      }
+    }
+  }
+
+  private _entryStream(name: string): Readable {
+    const entry = this._entries.get(name);
+    if (!entry) {
+      throw xlsxError(`Workbook part "${name}" not found`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw xlsxError(`Unsupported zip compression method ${entry.method} for "${name}"`);
+    }
+
+    const output = new PassThrough();
+
+    this._handle.read(Buffer.alloc(30), 0, 30, entry.headerOffset).then(({ buffer }) => {
+      const dataStart = entry.headerOffset + 30 + buffer.readUInt16LE(26) + buffer.readUInt16LE(28);
+      const raw = createReadStream(this.filePath, {
+        start: dataStart,
+        end: dataStart + entry.compressedSize - 1
+      });
+      const source: Readable = entry.method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+      raw.on('error', error => output.destroy(error));
+      source.on('error', (error: Error) => output.destroy(error));
+      output.on('close', () => raw.destroy());
+      source.pipe(output);
+    }, (error: Error) => output.destroy(error));
+
+    return output;
+  }
+
+  private async _readText(name: string): Promise<string | null> {
+    if (!this._entries.has(name)) return null;
+
+    const chunks: Buffer[] = [];
+    for await (const chunk of this._entryStream(name)) {
+      chunks.push(chunk as Buffer);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+}
+
+export default XlsxReader;
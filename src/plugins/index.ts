@@ -19,7 +19,12 @@ export type {
 } from './costs.plugin.js';
 
 export { FullTextPlugin } from './fulltext.plugin.js';
-export type { FullTextPluginOptions, SearchOptions, SearchResult, IndexStats, RebuildOptions } from './fulltext.plugin.js';
+export type { FullTextPluginOptions, SearchOptions, SearchResult, SearchRecord, IndexStats, RebuildOptions, AnalyzerSpec, BM25Options } from './fulltext.plugin.js';
+export { createAnalyzer, registerAnalyzer, resolveAnalyzer, stemEnglish, stemPortuguese, stemSpanish } from './fulltext/analyzers.js';
+export type { Analyzer, AnalyzedToken, AnalyzerOptions } from './fulltext/analyzers.js';
+export { parseQuery } from './fulltext/query-parser.js';
+export type { FieldHighlight, HighlightMatch, HighlightOptions } from './fulltext/highlighter.js';
+export type { QueryNode } from './fulltext/query-parser.js';
 
 export { MetricsPlugin } from './metrics.plugin.js';
 export type { MetricsPluginOptions, MetricsStats, MetricsQueryOptions, PrometheusConfig } from './metrics.plugin.js';
@@ -27,6 +32,19 @@ export type { MetricsPluginOptions, MetricsStats, MetricsQueryOptions, Prometheu
 export { CloudInventoryPlugin } from './cloud-inventory.plugin.js';
 export type { CloudInventoryPluginOptions } from './cloud-inventory.plugin.js';
 
+export { RelationPlugin } from './relation.plugin.js';
+export type {
+  RelationPluginOptions,
+  RelationPluginConfig,
+  RelationDefinition,
+  RelationType,
+  RelationStats,
+  OnDeleteAction,
+  IncludeSpec,
+  IncludeOptions
+} from './relation.plugin.js';
+export { RelationError } from './relation.errors.js';
+
 export { S3QueuePlugin } from './s3-queue.plugin.js';
 export type { S3QueuePluginOptions } from './s3-queue.plugin.js';
 
@@ -36,6 +54,19 @@ export type { SchedulerPluginOptions } from './scheduler.plugin.js';
 export { StateMachinePlugin } from './state-machine.plugin.js';
 export type { StateMachinePluginOptions, TransitionResult, TransitionHistoryEntry, TransitionHistoryOptions } from './state-machine.plugin.js';
 
+export { WorkflowPlugin } from './workflow.plugin.js';
+export type {
+  WorkflowPluginOptions,
+  WorkflowDefinition,
+  WorkflowExecution,
+  StepDefinition,
+  StepContext,
+  CompensationContext,
+  StepState,
+  ExecutionStatus
+} from './workflow.plugin.js';
+export { WorkflowError } from './workflow.errors.js';
+
 export { TTLPlugin } from './ttl.plugin.js';
 export type { TTLPluginOptions, TTLResourceConfig, TTLStats, TTLGranularity, TTLExpireStrategy } from './ttl.plugin.js';
 
@@ -52,11 +83,28 @@ export type {
   VectorFieldInfo,
   DistanceMetric,
   DistanceFunction,
-  FindOptimalKOptions
+  FindOptimalKOptions,
+  VectorAnnOptions,
+  BuildVectorIndexOptions
 } from './vector.plugin.js';
+export { IvfIndex } from './vector/ivf-index.js';
+export type { IvfMeta, IvfEntry, IvfIndexOptions, IvfSearchOptions, IvfSearchResult } from './vector/ivf-index.js';
 
 export { MLPlugin } from './ml.plugin.js';
-export type { MLPluginOptions, ModelConfig, ModelStats, ModelInstance } from './ml.plugin.js';
+export type {
+  MLPluginOptions,
+  ModelConfig,
+  ModelStats,
+  ModelInstance,
+  EvaluationResult,
+  HoldoutResult,
+  CrossValidationResult
+} from './ml.plugin.js';
+export { FeaturePipeline } from './ml/feature-pipeline.class.js';
+export type { PipelineStep, DatePart, FeaturePipelineJSON } from './ml/feature-pipeline.class.js';
+export { classificationMetrics, regressionMetrics, timeSeriesMetrics, rocAuc } from './ml/metrics.js';
+export type { ClassificationMetrics, RegressionMetrics, TimeSeriesMetrics, EvaluationMetrics } from './ml/metrics.js';
+export { holdoutSplit, kFoldSplits, timeSeriesSplits } from './ml/evaluation.js';
 export { MLError, ModelConfigError, ModelNotFoundError, TrainingError, TensorFlowDependencyError } from './ml.errors.js';
 
 export { SMTPPlugin } from './smtp.plugin.js';
@@ -90,6 +138,8 @@ export * from './eventual-consistency/index.js';
 
 export * from './tfstate/index.js';
 export * from './importer/index.js';
+export * from './exporter/index.js';
+export * from './sync/index.js';
 
 export type {
   CorsConfig,
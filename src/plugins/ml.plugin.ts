@@ -9,6 +9,16 @@ import { RegressionModel } from './ml/regression-model.class.js';
 import { ClassificationModel } from './ml/classification-model.class.js';
 import { TimeSeriesModel } from './ml/timeseries-model.class.js';
 import { NeuralNetworkModel } from './ml/neural-network-model.class.js';
+import { FeaturePipeline, type PipelineStep } from './ml/feature-pipeline.class.js';
+import {
+  holdoutSplit,
+  kFoldSplits,
+  timeSeriesSplits,
+  evaluateModel,
+  type DataSplit,
+  type EvaluableModel
+} from './ml/evaluation.js';
+import { summarizeMetrics, type EvaluationMetrics } from './ml/metrics.js';
 
 import {
   MLError,
@@ -30,6 +40,7 @@ export interface ModelConfig {
   saveModel?: boolean;
   saveTrainingData?: boolean;
   modelConfig?: Record<string, any>;
+  pipeline?: PipelineStep[];
   filter?: (item: any) => boolean;
   map?: (item: any) => any;
   [key: string]: any;
@@ -52,6 +63,7 @@ export interface ModelStats {
   r2?: number;
   samples?: number;
   isTrained?: boolean;
+  evaluation?: (EvaluationMetrics & { testSamples: number }) | null;
   // Add other stats as needed
 }
 
@@ -64,6 +76,32 @@ export interface ModelInstance {
   predict: (input: any) => Promise<any>;
   predictBatch: (inputs: any[]) => Promise<any[]>;
   getStats: () => ModelStats;
+  stats?: Record<string, any>;
+}
+
+export interface EvaluationResult {
+  modelName: string;
+  type: ModelConfig['type'];
+  samples: number;
+  metrics: EvaluationMetrics;
+}
+
+export interface HoldoutResult {
+  modelName: string;
+  type: ModelConfig['type'];
+  trainSamples: number;
+  testSamples: number;
+  metrics: EvaluationMetrics;
+}
+
+export interface CrossValidationResult {
+  modelName: string;
+  type: ModelConfig['type'];
+  folds: Array<{ fold: number; trainSamples: number; testSamples: number; metrics: EvaluationMetrics }>;
+  /** Mean of every numeric metric across folds (nested metrics as `macro.f1`) */
+  mean: Record<string, number>;
+  /** Standard deviation of every numeric metric across folds */
+  std: Record<string, number>;
 }
 
 export class MLPlugin extends Plugin {
@@ -419,6 +457,40 @@ export class MLPlugin extends Plugin {
               return await mlPlugin.compareVersions(modelName, v1, v2);
             },
 
+            /**
+             * Evaluate the model on records
+             * @param target - Target attribute
+             * @param options - { data } (defaults to the training data)
+             * @returns Metrics of the model type
+             */
+            evaluate: async (target: string, options: { data?: any[] } = {}) => {
+              const modelName = mlPlugin._findModelForResource(resource.name, target);
+              if (!modelName) {
+                throw new ModelNotFoundError(
+                  `No model found for resource "${resource.name}" with target "${target}"`,
+                  { resourceName: resource.name, targetAttribute: target }
+                );
+              }
+              return await mlPlugin.evaluate(modelName, options);
+            },
+
+            /**
+             * K-fold cross-validation
+             * @param target - Target attribute
+             * @param options - { folds, seed, shuffle }
+             * @returns Per-fold metrics with mean and std
+             */
+            crossValidate: async (target: string, options: { folds?: number; seed?: number; shuffle?: boolean } = {}) => {
+              const modelName = mlPlugin._findModelForResource(resource.name, target);
+              if (!modelName) {
+                throw new ModelNotFoundError(
+                  `No model found for resource "${resource.name}" with target "${target}"`,
+                  { resourceName: resource.name, targetAttribute: target }
+                );
+              }
+              return await mlPlugin.crossValidate(modelName, options);
+            },
+
             /**
              * Get model statistics
              * @param target - Target attribute
@@ -866,6 +938,10 @@ export class MLPlugin extends Plugin {
         { modelName }
       );
     }
+
+    if (config.pipeline) {
+      FeaturePipeline.validate(config.pipeline, config.features, config.target);
+    }
   }
 
   /**
@@ -873,6 +949,21 @@ export class MLPlugin extends Plugin {
    * @private
    */
   async _initializeModel(modelName: string, config: ModelConfig): Promise<void> {
+    try {
+      this.models[modelName] = this._createModelInstance(modelName, config);
+
+      this.logger.debug({ modelName, type: config.type }, `Initialized model "${modelName}" (${config.type})`);
+    } catch (error: any) {
+      this.logger.error({ modelName, error: error.message }, `Failed to initialize model "${modelName}"`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an untrained model instance from its configuration
+   * @private
+   */
+  _createModelInstance(modelName: string, config: ModelConfig): ModelInstance {
     const modelOptions = {
       name: modelName,
       resource: config.resource,
@@ -880,38 +971,28 @@ export class MLPlugin extends Plugin {
       target: config.target,
       minSamples: config.minSamples ?? this.config.minTrainingSamples,
       modelConfig: config.modelConfig || {},
+      pipeline: config.pipeline,
       logLevel: this.config.logLevel
     };
 
-    try {
-      switch (config.type) {
-        case 'regression':
-          this.models[modelName] = new RegressionModel(modelOptions) as unknown as ModelInstance;
-          break;
-
-        case 'classification':
-          this.models[modelName] = new ClassificationModel(modelOptions) as unknown as ModelInstance;
-          break;
-
-        case 'timeseries':
-          this.models[modelName] = new TimeSeriesModel(modelOptions) as unknown as ModelInstance;
-          break;
-
-        case 'neural-network':
-          this.models[modelName] = new NeuralNetworkModel(modelOptions) as unknown as ModelInstance;
-          break;
-
-        default:
-          throw new ModelConfigError(
-            `Unknown model type: ${config.type}`,
-            { modelName, type: config.type }
-          );
-      }
+    switch (config.type) {
+      case 'regression':
+        return new RegressionModel(modelOptions) as unknown as ModelInstance;
 
-      this.logger.debug({ modelName, type: config.type }, `Initialized model "${modelName}" (${config.type})`);
-    } catch (error: any) {
-      this.logger.error({ modelName, error: error.message }, `Failed to initialize model "${modelName}"`);
-      throw error;
+      case 'classification':
+        return new ClassificationModel(modelOptions) as unknown as ModelInstance;
+
+      case 'timeseries':
+        return new TimeSeriesModel(modelOptions) as unknown as ModelInstance;
+
+      case 'neural-network':
+        return new NeuralNetworkModel(modelOptions) as unknown as ModelInstance;
+
+      default:
+        throw new ModelConfigError(
+          `Unknown model type: ${config.type}`,
+          { modelName, type: config.type }
+        );
     }
   }
 
@@ -1038,85 +1119,8 @@ export class MLPlugin extends Plugin {
     this.training.set(modelName, true);
 
     try {
-      // Get model config
       const modelConfig = this.config.models[modelName]!;
-      if (!modelConfig) {
-        throw new ModelNotFoundError(
-          `Model "${modelName}" not found in configuration`,
-          { modelName }
-        );
-      }
-
-      // Get resource
-      const resource = (this as any).database.resources[modelConfig.resource];
-      if (!resource) {
-        throw new ModelNotFoundError(
-          `Resource "${modelConfig.resource}" not found`,
-          { modelName, resource: modelConfig.resource }
-        );
-      }
-
-      // Fetch training data (with optional partition filtering)
-      this.logger.debug({ modelName }, `Fetching training data for "${modelName}"...`);
-
-      let data;
-      const partition = modelConfig.partition;
-
-      if (partition && partition.name) {
-        // Use partition filtering
-        this.logger.debug(
-          { modelName, partition: partition.name, partitionValues: partition.values },
-          `Using partition "${partition.name}" with values: ${JSON.stringify(partition.values)}`
-        );
-
-        const [ok, err, partitionData] = await tryFn(() =>
-          resource.listPartition({
-            partition: partition.name,
-            partitionValues: partition.values
-          })
-        );
-
-        if (!ok) {
-          throw new TrainingError(
-            `Failed to fetch training data from partition: ${err!.message}`,
-            { modelName, resource: modelConfig.resource, partition: partition.name, originalError: err!.message }
-          );
-        }
-
-        data = partitionData;
-      } else {
-        // Fetch all data
-        const [ok, err, allData] = await tryFn(() => resource.list());
-
-        if (!ok) {
-          throw new TrainingError(
-            `Failed to fetch training data: ${err!.message}`,
-            { modelName, resource: modelConfig.resource, originalError: err!.message }
-          );
-        }
-
-        data = allData;
-      }
-
-      // Apply custom filter function if provided
-      if (modelConfig.filter && typeof modelConfig.filter === 'function') {
-        this.logger.debug({ modelName }, 'Applying custom filter function...');
-
-        const originalLength = data.length;
-        data = data.filter(modelConfig.filter);
-
-        this.logger.debug(
-          { modelName, originalLength, filteredLength: data.length },
-          `Filter reduced dataset from ${originalLength} to ${data.length} samples`
-        );
-      }
-
-      // Apply custom map function if provided
-      if (modelConfig.map && typeof modelConfig.map === 'function') {
-        this.logger.debug({ modelName }, 'Applying custom map function...');
-
-        data = data.map(modelConfig.map);
-      }
+      let data = await this._loadTrainingData(modelName);
 
       if (!data || data.length < this.config.minTrainingSamples) {
         throw new TrainingError(
@@ -1139,9 +1143,31 @@ export class MLPlugin extends Plugin {
         await this._saveTrainingData(modelName, data);
       }
 
+      // Hold out a test set when evaluation is requested
+      let testData: any[] | null = null;
+      if (options.evaluation) {
+        const split = this._holdoutSplit(modelConfig, data, options.evaluation === true ? {} : options.evaluation);
+        data = split.train;
+        testData = split.test;
+      }
+
       // Train model
       const result = await model.train(data);
 
+      // Score the held-out records (stored with the saved version)
+      if (model.stats) {
+        model.stats.evaluation = testData
+          ? {
+              ...await evaluateModel(model as unknown as EvaluableModel, modelConfig.type, testData, { context: data }),
+              testSamples: testData.length
+            }
+          : null;
+
+        if (testData) {
+          result.evaluation = model.stats.evaluation;
+        }
+      }
+
       // Save model to plugin storage if enabled
       const shouldSaveModel = modelConfig.saveModel !== undefined
         ? modelConfig.saveModel
@@ -1181,6 +1207,96 @@ export class MLPlugin extends Plugin {
     }
   }
 
+  /**
+   * Fetch the training records of a model (partition, filter and map applied)
+   * @private
+   * @param modelName - Model name
+   * @returns Training records
+   */
+  async _loadTrainingData(modelName: string): Promise<any[]> {
+    // Get model config
+    const modelConfig = this.config.models[modelName]!;
+    if (!modelConfig) {
+      throw new ModelNotFoundError(
+        `Model "${modelName}" not found in configuration`,
+        { modelName }
+      );
+    }
+
+    // Get resource
+    const resource = (this as any).database.resources[modelConfig.resource];
+    if (!resource) {
+      throw new ModelNotFoundError(
+        `Resource "${modelConfig.resource}" not found`,
+        { modelName, resource: modelConfig.resource }
+      );
+    }
+
+    // Fetch training data (with optional partition filtering)
+    this.logger.debug({ modelName }, `Fetching training data for "${modelName}"...`);
+
+    let data: any[];
+    const partition = modelConfig.partition;
+
+    if (partition && partition.name) {
+      // Use partition filtering
+      this.logger.debug(
+        { modelName, partition: partition.name, partitionValues: partition.values },
+        `Using partition "${partition.name}" with values: ${JSON.stringify(partition.values)}`
+      );
+
+      const [ok, err, partitionData] = await tryFn(() =>
+        resource.listPartition({
+          partition: partition.name,
+          partitionValues: partition.values
+        })
+      );
+
+      if (!ok) {
+        throw new TrainingError(
+          `Failed to fetch training data from partition: ${err!.message}`,
+          { modelName, resource: modelConfig.resource, partition: partition.name, originalError: err!.message }
+        );
+      }
+
+      data = partitionData;
+    } else {
+      // Fetch all data
+      const [ok, err, allData] = await tryFn(() => resource.list());
+
+      if (!ok) {
+        throw new TrainingError(
+          `Failed to fetch training data: ${err!.message}`,
+          { modelName, resource: modelConfig.resource, originalError: err!.message }
+        );
+      }
+
+      data = allData;
+    }
+
+    // Apply custom filter function if provided
+    if (modelConfig.filter && typeof modelConfig.filter === 'function') {
+      this.logger.debug({ modelName }, 'Applying custom filter function...');
+
+      const originalLength = data.length;
+      data = data.filter(modelConfig.filter);
+
+      this.logger.debug(
+        { modelName, originalLength, filteredLength: data.length },
+        `Filter reduced dataset from ${originalLength} to ${data.length} samples`
+      );
+    }
+
+    // Apply custom map function if provided
+    if (modelConfig.map && typeof modelConfig.map === 'function') {
+      this.logger.debug({ modelName }, 'Applying custom map function...');
+
+      data = data.map(modelConfig.map);
+    }
+
+    return data;
+  }
+
   /**
    * Make a prediction
    * @param modelName - Model name
@@ -1259,6 +1375,158 @@ export class MLPlugin extends Plugin {
     return await this.train(modelName, options);
   }
 
+  /**
+   * Score a trained model against records
+   * Without `options.data` the model's training data is used, which measures
+   * the fit rather than generalization; prefer holdout() or crossValidate()
+   * @param modelName - Model name
+   * @param options.data - Records to score (raw, as stored in the resource)
+   * @returns Metrics of the model type
+   */
+  async evaluate(modelName: string, options: { data?: any[] } = {}): Promise<EvaluationResult> {
+    const model = this.models[modelName];
+    if (!model) {
+      throw new ModelNotFoundError(
+        `Model "${modelName}" not found`,
+        { modelName, availableModels: Object.keys(this.models) }
+      );
+    }
+
+    const modelConfig = this.config.models[modelName]!;
+    const data = options.data ?? await this._loadTrainingData(modelName);
+    const metrics = await evaluateModel(model as unknown as EvaluableModel, modelConfig.type, data);
+
+    return { modelName, type: modelConfig.type, samples: metrics.samples, metrics };
+  }
+
+  /**
+   * Train a throwaway model on part of the data and score it on the rest
+   * The active model and its versions are left untouched.
+   * Classification splits keep class proportions; time series hold out the most recent records
+   * @param modelName - Model name
+   * @param options.testSize - Fraction held out for testing (default: 0.2)
+   * @param options.seed - Shuffle seed, for reproducible splits
+   * @returns Metrics on the held-out records
+   */
+  async holdout(modelName: string, options: { testSize?: number; seed?: number; shuffle?: boolean } = {}): Promise<HoldoutResult> {
+    const modelConfig = this._getEvaluationConfig(modelName);
+    const data = await this._loadTrainingData(modelName);
+    const split = this._holdoutSplit(modelConfig, data, options);
+    const metrics = await this._trainAndEvaluate(modelName, modelConfig, split);
+
+    return {
+      modelName,
+      type: modelConfig.type,
+      trainSamples: split.train.length,
+      testSamples: split.test.length,
+      metrics
+    };
+  }
+
+  /**
+   * K-fold cross-validation: train a throwaway model per fold and score it on the fold
+   * The active model and its versions are left untouched.
+   * Classification folds keep class proportions; time series use expanding
+   * windows, so no fold trains on records after its test block
+   * @param modelName - Model name
+   * @param options.folds - Number of folds (default: 5)
+   * @param options.seed - Shuffle seed, for reproducible folds
+   * @returns Per-fold metrics with their mean and standard deviation
+   */
+  async crossValidate(modelName: string, options: { folds?: number; seed?: number; shuffle?: boolean } = {}): Promise<CrossValidationResult> {
+    const modelConfig = this._getEvaluationConfig(modelName);
+    const data = await this._loadTrainingData(modelName);
+
+    const splits = modelConfig.type === 'timeseries'
+      ? timeSeriesSplits(data, {
+          folds: options.folds,
+          minTrainSize: (modelConfig.modelConfig?.lookback || 10) + 1
+        })
+      : kFoldSplits(data, {
+          folds: options.folds,
+          seed: options.seed,
+          shuffle: options.shuffle,
+          stratifyBy: modelConfig.type === 'classification' ? modelConfig.target : undefined
+        });
+
+    const folds: CrossValidationResult['folds'] = [];
+    for (const [index, split] of splits.entries()) {
+      this.logger.debug(
+        { modelName, fold: index + 1, folds: splits.length },
+        `Cross-validating "${modelName}" (fold ${index + 1}/${splits.length})`
+      );
+
+      folds.push({
+        fold: index + 1,
+        trainSamples: split.train.length,
+        testSamples: split.test.length,
+        metrics: await this._trainAndEvaluate(modelName, modelConfig, split)
+      });
+    }
+
+    const { mean, std } = summarizeMetrics(folds.map(fold => fold.metrics));
+
+    this.emit('plg:ml:cross-validated', {
+      modelName,
+      type: modelConfig.type,
+      folds: folds.length,
+      mean
+    });
+
+    return { modelName, type: modelConfig.type, folds, mean, std };
+  }
+
+  /**
+   * Get the configuration of a model to evaluate
+   * @private
+   */
+  _getEvaluationConfig(modelName: string): ModelConfig {
+    const modelConfig = this.config.models[modelName];
+    if (!modelConfig) {
+      throw new ModelNotFoundError(
+        `Model "${modelName}" not found`,
+        { modelName, availableModels: Object.keys(this.models) }
+      );
+    }
+    return modelConfig;
+  }
+
+  /**
+   * Holdout split suited to the model type
+   * @private
+   */
+  _holdoutSplit(
+    modelConfig: ModelConfig,
+    data: any[],
+    options: { testSize?: number; seed?: number; shuffle?: boolean } = {}
+  ): DataSplit<any> {
+    if (modelConfig.type === 'timeseries') {
+      return holdoutSplit(data, { testSize: options.testSize, shuffle: false });
+    }
+
+    return holdoutSplit(data, {
+      testSize: options.testSize,
+      seed: options.seed,
+      shuffle: options.shuffle,
+      stratifyBy: modelConfig.type === 'classification' ? modelConfig.target : undefined
+    });
+  }
+
+  /**
+   * Train a fresh model instance on the train split and score it on the test split
+   * @private
+   */
+  async _trainAndEvaluate(modelName: string, modelConfig: ModelConfig, split: DataSplit<any>): Promise<EvaluationMetrics> {
+    const instance = this._createModelInstance(modelName, modelConfig);
+
+    try {
+      await instance.train(split.train);
+      return await evaluateModel(instance as unknown as EvaluableModel, modelConfig.type, split.test, { context: split.train });
+    } finally {
+      instance.dispose?.();
+    }
+  }
+
   /**
    * Get model statistics
    * @param modelName - Model name
@@ -1447,7 +1715,8 @@ export class MLPlugin extends Plugin {
             metrics: {
               loss: modelStats.loss,
               accuracy: modelStats.accuracy,
-              samples: modelStats.samples
+              samples: modelStats.samples,
+              evaluation: modelStats.evaluation ?? null
             },
             savedAt: timestamp
           },
@@ -1484,7 +1753,8 @@ export class MLPlugin extends Plugin {
             metrics: {
               loss: modelStats.loss,
               accuracy: modelStats.accuracy,
-              samples: modelStats.samples
+              samples: modelStats.samples,
+              evaluation: modelStats.evaluation ?? null
             },
             savedAt: timestamp
           },
@@ -2095,6 +2365,18 @@ export class MLPlugin extends Plugin {
       const metrics1 = typeof v1Data.metrics === 'string' ? JSON.parse(v1Data.metrics) : (v1Data.metrics || {});
       const metrics2 = typeof v2Data.metrics === 'string' ? JSON.parse(v2Data.metrics) : (v2Data.metrics || {});
 
+      // Holdout metrics of both versions (train with `evaluation`): version2 minus version1
+      let evaluationDelta: Record<string, number> | null = null;
+      if (metrics1.evaluation && metrics2.evaluation) {
+        const before = summarizeMetrics([metrics1.evaluation]).mean;
+        const after = summarizeMetrics([metrics2.evaluation]).mean;
+        evaluationDelta = Object.fromEntries(
+          Object.keys(after)
+            .filter(key => key !== 'testSamples' && key in before)
+            .map(key => [key, after[key]! - before[key]!])
+        );
+      }
+
       return {
         modelName,
         version1: {
@@ -2109,7 +2391,8 @@ export class MLPlugin extends Plugin {
         },
         improvement: {
           loss: metrics1.loss && metrics2.loss ? ((metrics1.loss - metrics2.loss) / metrics1.loss * 100).toFixed(2) + '%' : 'N/A',
-          accuracy: metrics1.accuracy && metrics2.accuracy ? ((metrics2.accuracy - metrics1.accuracy) / metrics1.accuracy * 100).toFixed(2) + '%' : 'N/A'
+          accuracy: metrics1.accuracy && metrics2.accuracy ? ((metrics2.accuracy - metrics1.accuracy) / metrics1.accuracy * 100).toFixed(2) + '%' : 'N/A',
+          evaluation: evaluationDelta
         }
       };
     } catch (error: any) {
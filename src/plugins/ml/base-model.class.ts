@@ -15,6 +15,7 @@ import {
   TensorFlowDependencyError
 } from '../ml.errors.js';
 import { PluginError } from '../../errors.js';
+import { FeaturePipeline, type PipelineStep } from './feature-pipeline.class.js';
 import { createLogger, type LogLevel } from '../../concerns/logger.js';
 
 const require = createRequire(import.meta.url);
@@ -72,6 +73,8 @@ export interface BaseModelConfig {
     shuffle?: boolean;
     [key: string]: any;
   };
+  /** Feature transformations fitted on the training data */
+  pipeline?: PipelineStep[];
   logLevel?: string;
   logger?: any;
 }
@@ -91,6 +94,7 @@ export interface BaseModelStats {
   errors: number;
   isTrained?: boolean;
   config?: any;
+  evaluation?: any;
 }
 
 export abstract class BaseModel {
@@ -98,6 +102,7 @@ export abstract class BaseModel {
   model: any;
   isTrained: boolean;
   normalizer: Normalizer;
+  pipeline: FeaturePipeline | null;
   stats: BaseModelStats;
   tf: TensorFlowModule | null;
   _tfValidated: boolean;
@@ -128,10 +133,16 @@ export abstract class BaseModel {
         shuffle: true,
         ...config.modelConfig
       },
+      pipeline: config.pipeline || [],
       logLevel: config.logLevel || 'info',
       logger: config.logger // Assuming logger might be passed down
     } as Required<BaseModelConfig>; // Cast to Required to satisfy type checking
 
+    // Feature pipeline (fitted on training data, raw features as input)
+    this.pipeline = this.config.pipeline.length > 0
+      ? new FeaturePipeline(this.config.pipeline, this.config.features)
+      : null;
+
     // Model state
     this.model = null;
     this.isTrained = false;
@@ -218,6 +229,9 @@ export abstract class BaseModel {
         );
       }
 
+      // Fit feature pipeline and transform records
+      data = this._fitPipeline(data);
+
       // Prepare data (extract features and target)
       const { xs, ys } = this._prepareData(data);
 
@@ -301,11 +315,12 @@ export abstract class BaseModel {
     }
 
     try {
-      // Validate input
-      this._validateInput(input);
+      // Apply feature pipeline and validate input
+      const record = this._applyPipeline(input);
+      this._validateInput(record);
 
       // Extract and normalize features
-      const features = this._extractFeatures(input);
+      const features = this._extractFeatures(record);
       const normalizedFeatures = this._normalizeFeatures(features);
 
       // Convert to tensor
@@ -360,6 +375,42 @@ export abstract class BaseModel {
     return predictions;
   }
 
+  /**
+   * Fit the feature pipeline on training data
+   * The model features become the pipeline outputs; a model built for a
+   * different feature count is discarded so it is rebuilt with the new width
+   * @private
+   * @param data - Raw training data
+   * @returns Transformed training data
+   */
+  _fitPipeline(data: any[]): any[] {
+    if (!this.pipeline) {
+      return data;
+    }
+
+    this.pipeline.fit(data);
+    const outputFeatures = this.pipeline.getOutputFeatures();
+
+    if (this.model && outputFeatures.length !== this.config.features.length) {
+      this.model.dispose();
+      this.model = null;
+    }
+
+    this.config.features = outputFeatures;
+    return data.map(record => this.pipeline!.transform(record));
+  }
+
+  /**
+   * Apply the fitted feature pipeline to a raw input record
+   * @protected
+   */
+  _applyPipeline(input: any): any {
+    if (!this.pipeline || !input || typeof input !== 'object') {
+      return input;
+    }
+    return this.pipeline.transform(input);
+  }
+
   /**
    * Prepare training data (extract features and target)
    * @private
@@ -535,6 +586,7 @@ export abstract class BaseModel {
       normalizer: this.normalizer,
       stats: this.stats,
       isTrained: this.isTrained,
+      pipeline: this.pipeline ? this.pipeline.toJSON() : null,
       model: modelJSON
     };
   }
@@ -562,6 +614,7 @@ export abstract class BaseModel {
     }
 
     this.normalizer = data.normalizer || this.normalizer;
+    this.pipeline = data.pipeline ? FeaturePipeline.fromJSON(data.pipeline) : null;
     this.stats = data.stats || this.stats;
     this.isTrained = data.isTrained ?? false;
 
@@ -225,11 +225,12 @@ export class ClassificationModel extends BaseModel {
     }
 
     try {
-      // Validate input
-      this._validateInput(input);
+      // Apply feature pipeline and validate input
+      const record = this._applyPipeline(input);
+      this._validateInput(record);
 
       // Extract and normalize features
-      const features = this._extractFeatures(input);
+      const features = this._extractFeatures(record);
       const normalizedFeatures = this._normalizeFeatures(features);
 
       // Convert to tensor
@@ -0,0 +1,270 @@
+/**
+ * Model Evaluation
+ *
+ * Data splitting (holdout, k-fold, time-ordered folds) and
+ * scoring of a trained model against held-out records
+ */
+
+import { ModelConfigError, InsufficientDataError } from '../ml.errors.js';
+import {
+  classificationMetrics,
+  regressionMetrics,
+  timeSeriesMetrics,
+  type EvaluationMetrics
+} from './metrics.js';
+
+export interface SplitOptions {
+  /** Shuffle before splitting (default: true) */
+  shuffle?: boolean;
+  /** Seed of the shuffle, for reproducible splits */
+  seed?: number;
+  /** Field whose class proportions every split keeps */
+  stratifyBy?: string;
+}
+
+export interface HoldoutOptions extends SplitOptions {
+  /** Fraction of the records held out for testing (default: 0.2) */
+  testSize?: number;
+}
+
+export interface KFoldOptions extends SplitOptions {
+  /** Number of folds (default: 5) */
+  folds?: number;
+}
+
+export interface DataSplit<T> {
+  train: T[];
+  test: T[];
+}
+
+/** Minimal model surface needed to score predictions */
+export interface EvaluableModel {
+  config: { target: string; modelConfig: Record<string, any> };
+  classes?: unknown[];
+  predict(input: any): Promise<any>;
+}
+
+export type EvaluationModelType = 'regression' | 'classification' | 'timeseries' | 'neural-network';
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param seed - 32-bit seed
+ * @returns Function returning floats in [0, 1)
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+export function shuffle<T>(items: T[], random: () => number = Math.random): T[] {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j]!, result[i]!];
+  }
+  return result;
+}
+
+function randomFor(options: SplitOptions): () => number {
+  return options.seed !== undefined ? createRandom(options.seed) : Math.random;
+}
+
+/**
+ * Group records by the stratification field, keeping first-seen order
+ * Without `stratifyBy` all records form a single group
+ * @private
+ */
+function groupRecords<T>(data: T[], options: SplitOptions): T[][] {
+  const random = randomFor(options);
+  const ordered = options.shuffle === false ? data : shuffle(data, random);
+
+  if (!options.stratifyBy) return [ordered];
+
+  const groups = new Map<string, T[]>();
+  for (const record of ordered) {
+    const key = String((record as any)[options.stratifyBy]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key)!.push(record);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Split records into a training and a test set
+ * @param data - Records
+ * @param options - Split options
+ * @returns Train and test records
+ */
+export function holdoutSplit<T>(data: T[], options: HoldoutOptions = {}): DataSplit<T> {
+  const testSize = options.testSize ?? 0.2;
+  if (!(testSize > 0 && testSize < 1)) {
+    throw new ModelConfigError(`testSize must be between 0 and 1, got ${testSize}`, { testSize });
+  }
+
+  if (data.length < 2) {
+    throw new InsufficientDataError(
+      `Holdout split needs at least 2 records, got ${data.length}`,
+      { samples: data.length, minimum: 2 }
+    );
+  }
+
+  // Without shuffling the test set is the tail, so ordered data keeps its order
+  const train: T[] = [];
+  const test: T[] = [];
+  for (const group of groupRecords(data, options)) {
+    const trainCount = group.length - Math.round(group.length * testSize);
+    train.push(...group.slice(0, trainCount));
+    test.push(...group.slice(trainCount));
+  }
+
+  // Tiny groups can round to nothing: keep both sides non-empty
+  if (test.length === 0) test.push(train.pop()!);
+  if (train.length === 0) train.push(test.shift()!);
+
+  return { train, test };
+}
+
+/**
+ * Split records into k folds; each fold is tested once and trained on the rest
+ * @param data - Records
+ * @param options - Split options
+ * @returns One train/test split per fold
+ */
+export function kFoldSplits<T>(data: T[], options: KFoldOptions = {}): DataSplit<T>[] {
+  const folds = options.folds ?? 5;
+  if (!Number.isInteger(folds) || folds < 2) {
+    throw new ModelConfigError(`folds must be an integer of at least 2, got ${folds}`, { folds });
+  }
+
+  if (data.length < folds) {
+    throw new InsufficientDataError(
+      `${folds}-fold cross-validation needs at least ${folds} records, got ${data.length}`,
+      { samples: data.length, minimum: folds }
+    );
+  }
+
+  const buckets: T[][] = Array.from({ length: folds }, () => []);
+  let position = 0;
+  for (const group of groupRecords(data, options)) {
+    for (const record of group) {
+      buckets[position % folds]!.push(record);
+      position++;
+    }
+  }
+
+  return buckets.map((test, index) => ({
+    train: buckets.filter((_, other) => other !== index).flat(),
+    test
+  }));
+}
+
+/**
+ * Time-ordered folds (expanding window): every fold trains on all records
+ * before its test block, so no fold sees the future
+ * @param data - Records in time order
+ * @param options.folds - Number of folds (default: 5)
+ * @param options.minTrainSize - Minimum records in the first training window
+ * @returns One train/test split per fold
+ */
+export function timeSeriesSplits<T>(
+  data: T[],
+  options: { folds?: number; minTrainSize?: number } = {}
+): DataSplit<T>[] {
+  const folds = options.folds ?? 5;
+  if (!Number.isInteger(folds) || folds < 2) {
+    throw new ModelConfigError(`folds must be an integer of at least 2, got ${folds}`, { folds });
+  }
+
+  const minTrainSize = options.minTrainSize ?? 1;
+  const testSize = Math.floor((data.length - minTrainSize) / folds);
+  if (testSize < 1) {
+    throw new InsufficientDataError(
+      `Time series cross-validation with ${folds} folds needs at least ${minTrainSize + folds} records, got ${data.length}`,
+      { samples: data.length, minimum: minTrainSize + folds }
+    );
+  }
+
+  const firstTest = data.length - testSize * folds;
+  return Array.from({ length: folds }, (_, index) => {
+    const start = firstTest + index * testSize;
+    return {
+      train: data.slice(0, start),
+      test: data.slice(start, start + testSize)
+    };
+  });
+}
+
+/**
+ * Score a trained model on held-out records
+ * @param model - Trained model
+ * @param type - Model type (selects the metrics)
+ * @param records - Test records (raw, the model applies its own pipeline)
+ * @param options.context - Time series only: records preceding the test set,
+ *   whose tail seeds the first prediction windows
+ * @returns Metrics of the model type
+ */
+export async function evaluateModel(
+  model: EvaluableModel,
+  type: EvaluationModelType,
+  records: any[],
+  options: { context?: any[] } = {}
+): Promise<EvaluationMetrics> {
+  const target = model.config.target;
+
+  if (type === 'timeseries') {
+    const lookback = model.config.modelConfig.lookback;
+    const series = [...(options.context || []).slice(-lookback), ...records];
+    const firstIndex = Math.max(lookback, series.length - records.length);
+
+    if (series.length <= firstIndex) {
+      throw new InsufficientDataError(
+        `Time series evaluation needs more than ${lookback} records, got ${series.length}`,
+        { samples: series.length, minimum: lookback + 1 }
+      );
+    }
+
+    const actual: number[] = [];
+    const predicted: number[] = [];
+    for (let i = firstIndex; i < series.length; i++) {
+      const { prediction } = await model.predict(series.slice(i - lookback, i));
+      actual.push(series[i][target]);
+      predicted.push(prediction);
+    }
+    return timeSeriesMetrics(actual, predicted);
+  }
+
+  if (records.length === 0) {
+    throw new InsufficientDataError('No evaluation data provided', { samples: 0 });
+  }
+
+  if (type === 'classification') {
+    const actual: unknown[] = [];
+    const predicted: unknown[] = [];
+    const probabilities: Array<Record<string, number>> = [];
+    for (const record of records) {
+      const result = await model.predict(record);
+      actual.push(record[target]);
+      predicted.push(result.prediction);
+      probabilities.push(result.probabilities || {});
+    }
+    return classificationMetrics(actual, predicted, { classes: model.classes, probabilities });
+  }
+
+  const actual: number[] = [];
+  const predicted: number[] = [];
+  for (const record of records) {
+    const { prediction } = await model.predict(record);
+    actual.push(record[target]);
+    predicted.push(prediction);
+  }
+  return regressionMetrics(actual, predicted);
+}
@@ -0,0 +1,334 @@
+/**
+ * Feature Pipeline
+ *
+ * Declarative feature transformations applied before a model sees a record
+ * Steps are fitted on the training data and serialized with the model version,
+ * so predictions go through exactly the same transformations
+ */
+
+import { ModelConfigError, ModelNotTrainedError, DataValidationError } from '../ml.errors.js';
+
+export type DatePart = 'year' | 'month' | 'day' | 'dayOfWeek' | 'hour' | 'minute';
+
+export type PipelineStep =
+  | { type: 'one-hot'; field: string; categories?: Array<string | number | boolean> }
+  | { type: 'normalize'; field: string; method?: 'min-max' | 'z-score' }
+  | { type: 'date-parts'; field: string; parts?: DatePart[] }
+  | { type: 'text-hash'; field: string; buckets?: number };
+
+/** Parameters learned by `fit()` for one step */
+export interface FittedStep {
+  categories?: string[];
+  min?: number;
+  max?: number;
+  mean?: number;
+  std?: number;
+}
+
+export interface FeaturePipelineJSON {
+  steps: PipelineStep[];
+  inputFeatures: string[];
+  fitted: FittedStep[] | null;
+}
+
+const STEP_TYPES = ['one-hot', 'normalize', 'date-parts', 'text-hash'];
+const DATE_PARTS: DatePart[] = ['year', 'month', 'day', 'dayOfWeek', 'hour', 'minute'];
+const DEFAULT_DATE_PARTS: DatePart[] = ['year', 'month', 'day', 'dayOfWeek'];
+const DEFAULT_BUCKETS = 32;
+
+/**
+ * 32-bit FNV-1a hash
+ * @private
+ */
+function hashToken(token: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text: string): string[] {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function toDate(value: unknown): Date | null {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+function datePart(date: Date, part: DatePart): number {
+  switch (part) {
+    case 'year': return date.getUTCFullYear();
+    case 'month': return date.getUTCMonth() + 1;
+    case 'day': return date.getUTCDate();
+    case 'dayOfWeek': return date.getUTCDay();
+    case 'hour': return date.getUTCHours();
+    case 'minute': return date.getUTCMinutes();
+  }
+}
+
+export class FeaturePipeline {
+  steps: PipelineStep[];
+  inputFeatures: string[];
+  fitted: FittedStep[] | null;
+
+  /**
+   * @param steps - Transformation steps (at most one per field)
+   * @param inputFeatures - Raw features of the model, in order
+   */
+  constructor(steps: PipelineStep[], inputFeatures: string[]) {
+    FeaturePipeline.validate(steps, inputFeatures);
+    this.steps = steps.map(step => ({ ...step }));
+    this.inputFeatures = [...inputFeatures];
+    this.fitted = null;
+  }
+
+  /**
+   * Validate pipeline steps against the model features
+   * @throws ModelConfigError
+   */
+  static validate(steps: PipelineStep[], inputFeatures: string[], target?: string): void {
+    if (!Array.isArray(steps)) {
+      throw new ModelConfigError('Feature pipeline must be an array of steps', { steps });
+    }
+
+    const seen = new Set<string>();
+    for (const step of steps) {
+      if (!step || !STEP_TYPES.includes(step.type)) {
+        throw new ModelConfigError(
+          `Unknown pipeline step type: ${step?.type}`,
+          { step, validTypes: STEP_TYPES }
+        );
+      }
+
+      if (!inputFeatures.includes(step.field)) {
+        throw new ModelConfigError(
+          `Pipeline step "${step.type}" targets "${step.field}", which is not a model feature`,
+          { step, features: inputFeatures }
+        );
+      }
+
+      if (target && step.field === target) {
+        throw new ModelConfigError(
+          `Pipeline steps cannot transform the target "${target}"`,
+          { step, target }
+        );
+      }
+
+      if (seen.has(step.field)) {
+        throw new ModelConfigError(
+          `Feature "${step.field}" has more than one pipeline step`,
+          { step }
+        );
+      }
+      seen.add(step.field);
+
+      if (step.type === 'normalize' && step.method && !['min-max', 'z-score'].includes(step.method)) {
+        throw new ModelConfigError(
+          `Unknown normalization method: ${step.method}`,
+          { step, validMethods: ['min-max', 'z-score'] }
+        );
+      }
+
+      if (step.type === 'date-parts' && step.parts) {
+        const invalid = step.parts.filter(part => !DATE_PARTS.includes(part));
+        if (step.parts.length === 0 || invalid.length > 0) {
+          throw new ModelConfigError(
+            `Invalid date parts for "${step.field}": ${invalid.join(', ') || 'none selected'}`,
+            { step, validParts: DATE_PARTS }
+          );
+        }
+      }
+
+      if (step.type === 'text-hash' && step.buckets !== undefined &&
+        (!Number.isInteger(step.buckets) || step.buckets < 1)) {
+        throw new ModelConfigError(
+          `Text hash buckets must be a positive integer, got ${step.buckets}`,
+          { step }
+        );
+      }
+    }
+  }
+
+  /**
+   * Restore a fitted pipeline from its serialized form
+   */
+  static fromJSON(data: FeaturePipelineJSON): FeaturePipeline {
+    const pipeline = new FeaturePipeline(data.steps, data.inputFeatures);
+    pipeline.fitted = data.fitted ? data.fitted.map(params => ({ ...params })) : null;
+    return pipeline;
+  }
+
+  get isFitted(): boolean {
+    return this.fitted !== null;
+  }
+
+  /**
+   * Learn step parameters (categories, ranges) from training records
+   * @param records - Raw training records
+   */
+  fit(records: any[]): this {
+    this.fitted = this.steps.map(step => {
+      const values = records.map(record => record[step.field]);
+
+      switch (step.type) {
+        case 'one-hot': {
+          const categories = step.categories
+            ? step.categories.map(String)
+            : [...new Set(values.filter(value => value !== null && value !== undefined).map(String))].sort();
+          return { categories };
+        }
+
+        case 'normalize': {
+          const numbers = values.map(value => this._toNumber(step.field, value));
+          const mean = numbers.reduce((sum, value) => sum + value, 0) / (numbers.length || 1);
+          const variance = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (numbers.length || 1);
+          return {
+            min: numbers.length ? Math.min(...numbers) : 0,
+            max: numbers.length ? Math.max(...numbers) : 0,
+            mean,
+            std: Math.sqrt(variance)
+          };
+        }
+
+        default:
+          return {};
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Names of the features produced by the pipeline, in model input order
+   * Untransformed features keep their position and name
+   */
+  getOutputFeatures(): string[] {
+    this._assertFitted();
+
+    return this.inputFeatures.flatMap(feature => {
+      const index = this.steps.findIndex(step => step.field === feature);
+      if (index === -1) return [feature];
+      return this._outputNames(this.steps[index]!, this.fitted![index]!);
+    });
+  }
+
+  /**
+   * Transform a raw record
+   * Transformed fields are replaced by their output features; every other
+   * field (including the target) is kept as is
+   * @param record - Raw record
+   * @returns New record
+   */
+  transform(record: any): any {
+    this._assertFitted();
+
+    const output: Record<string, any> = { ...record };
+
+    this.steps.forEach((step, index) => {
+      const params = this.fitted![index]!;
+      const value = record[step.field];
+      const names = this._outputNames(step, params);
+      delete output[step.field];
+
+      switch (step.type) {
+        case 'one-hot': {
+          const category = value === null || value === undefined ? null : String(value);
+          // Unknown categories encode as all zeros
+          params.categories!.forEach((cat, i) => {
+            output[names[i]!] = cat === category ? 1 : 0;
+          });
+          break;
+        }
+
+        case 'normalize': {
+          const number = this._toNumber(step.field, value);
+          if (step.method === 'z-score') {
+            output[step.field] = params.std ? (number - params.mean!) / params.std : 0;
+          } else {
+            const range = params.max! - params.min!;
+            output[step.field] = range ? (number - params.min!) / range : 0;
+          }
+          break;
+        }
+
+        case 'date-parts': {
+          const date = toDate(value);
+          if (!date) {
+            throw new DataValidationError(
+              `Feature "${step.field}" must be a date, got ${JSON.stringify(value)}`,
+              { feature: step.field, value }
+            );
+          }
+          (step.parts || DEFAULT_DATE_PARTS).forEach((part, i) => {
+            output[names[i]!] = datePart(date, part);
+          });
+          break;
+        }
+
+        case 'text-hash': {
+          const buckets = step.buckets || DEFAULT_BUCKETS;
+          const counts = new Array<number>(buckets).fill(0);
+          const text = value === null || value === undefined ? '' : String(value);
+          for (const token of tokenize(text)) {
+            counts[hashToken(token) % buckets]!++;
+          }
+          counts.forEach((count, i) => {
+            output[names[i]!] = count;
+          });
+          break;
+        }
+      }
+    });
+
+    return output;
+  }
+
+  toJSON(): FeaturePipelineJSON {
+    return {
+      steps: this.steps.map(step => ({ ...step })),
+      inputFeatures: [...this.inputFeatures],
+      fitted: this.fitted ? this.fitted.map(params => ({ ...params })) : null
+    };
+  }
+
+  _outputNames(step: PipelineStep, params: FittedStep): string[] {
+    switch (step.type) {
+      case 'one-hot':
+        return params.categories!.map(cat => `${step.field}_${cat}`);
+      case 'normalize':
+        return [step.field];
+      case 'date-parts':
+        return (step.parts || DEFAULT_DATE_PARTS).map(part => `${step.field}_${part}`);
+      case 'text-hash':
+        return Array.from({ length: step.buckets || DEFAULT_BUCKETS }, (_, i) => `${step.field}_h${i}`);
+    }
+  }
+
+  _toNumber(field: string, value: unknown): number {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(number)) {
+      throw new DataValidationError(
+        `Feature "${field}" must be numeric for normalization, got ${JSON.stringify(value)}`,
+        { feature: field, value }
+      );
+    }
+    return number;
+  }
+
+  _assertFitted(): void {
+    if (!this.fitted) {
+      throw new ModelNotTrainedError('Feature pipeline has not been fitted yet', {
+        steps: this.steps.map(step => `${step.type}:${step.field}`)
+      });
+    }
+  }
+}
+
+export default FeaturePipeline;
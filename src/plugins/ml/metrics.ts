@@ -0,0 +1,233 @@
+/**
+ * Evaluation Metrics
+ *
+ * Pure metric functions for the model types of MLPlugin
+ * Classification: confusion matrix, precision/recall/F1, ROC-AUC
+ * Regression: RMSE, MAE, R²
+ * Time series: MAPE (plus RMSE/MAE)
+ */
+
+export interface ClassMetrics {
+  precision: number;
+  recall: number;
+  f1: number;
+  support: number;
+}
+
+export interface ClassificationMetrics {
+  accuracy: number;
+  confusionMatrix: Record<string, Record<string, number>>;
+  perClass: Record<string, ClassMetrics>;
+  macro: { precision: number; recall: number; f1: number };
+  weighted: { precision: number; recall: number; f1: number };
+  /** Binary: AUC of the second class. Multi-class: macro one-vs-rest AUC. `null` without probabilities. */
+  rocAuc: number | null;
+  samples: number;
+}
+
+export interface RegressionMetrics {
+  rmse: number;
+  mae: number;
+  mse: number;
+  r2: number;
+  samples: number;
+}
+
+export interface TimeSeriesMetrics {
+  mape: number;
+  rmse: number;
+  mae: number;
+  samples: number;
+}
+
+export type EvaluationMetrics = ClassificationMetrics | RegressionMetrics | TimeSeriesMetrics;
+
+function divide(numerator: number, denominator: number): number {
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Area under the ROC curve for one positive class
+ * Computed from score ranks (Mann-Whitney U), ties get their average rank
+ * @param positives - Whether each sample belongs to the positive class
+ * @param scores - Score (probability) of the positive class for each sample
+ * @returns AUC (0-1), or null when only one class is present
+ */
+export function rocAuc(positives: boolean[], scores: number[]): number | null {
+  const order = scores.map((score, index) => ({ score, positive: positives[index]! }))
+    .sort((a, b) => a.score - b.score);
+
+  const positiveCount = order.filter(item => item.positive).length;
+  const negativeCount = order.length - positiveCount;
+  if (positiveCount === 0 || negativeCount === 0) return null;
+
+  let rankSum = 0;
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1]!.score === order[i]!.score) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (order[k]!.positive) rankSum += averageRank;
+    }
+    i = j + 1;
+  }
+
+  return (rankSum - positiveCount * (positiveCount + 1) / 2) / (positiveCount * negativeCount);
+}
+
+/**
+ * Classification metrics
+ * @param actual - True labels
+ * @param predicted - Predicted labels
+ * @param options.classes - Known classes (defaults to the labels seen)
+ * @param options.probabilities - Per-sample class probabilities, enables ROC-AUC
+ */
+export function classificationMetrics(
+  actual: unknown[],
+  predicted: unknown[],
+  options: { classes?: unknown[]; probabilities?: Array<Record<string, number>> } = {}
+): ClassificationMetrics {
+  const classes = (options.classes && options.classes.length > 0
+    ? options.classes
+    : [...new Set([...actual, ...predicted])].sort()
+  ).map(String);
+
+  const confusionMatrix: Record<string, Record<string, number>> = {};
+  for (const actualClass of classes) {
+    confusionMatrix[actualClass] = Object.fromEntries(classes.map(cls => [cls, 0]));
+  }
+
+  let correct = 0;
+  actual.forEach((label, index) => {
+    const actualClass = String(label);
+    const predictedClass = String(predicted[index]);
+    if (actualClass === predictedClass) correct++;
+    if (confusionMatrix[actualClass] && predictedClass in confusionMatrix[actualClass]!) {
+      confusionMatrix[actualClass]![predictedClass]!++;
+    }
+  });
+
+  const perClass: Record<string, ClassMetrics> = {};
+  for (const cls of classes) {
+    const truePositives = confusionMatrix[cls]![cls]!;
+    const support = Object.values(confusionMatrix[cls]!).reduce((sum, count) => sum + count, 0);
+    const predictedCount = classes.reduce((sum, other) => sum + confusionMatrix[other]![cls]!, 0);
+    const precision = divide(truePositives, predictedCount);
+    const recall = divide(truePositives, support);
+    perClass[cls] = { precision, recall, f1: divide(2 * precision * recall, precision + recall), support };
+  }
+
+  const average = (key: 'precision' | 'recall' | 'f1', weighted: boolean): number => {
+    const total = weighted ? actual.length : classes.length;
+    const sum = classes.reduce((acc, cls) => acc + perClass[cls]![key] * (weighted ? perClass[cls]!.support : 1), 0);
+    return divide(sum, total);
+  };
+
+  let auc: number | null = null;
+  if (options.probabilities && options.probabilities.length === actual.length && classes.length >= 2) {
+    const probabilities = options.probabilities;
+    const aucFor = (cls: string) => rocAuc(
+      actual.map(label => String(label) === cls),
+      probabilities.map(p => p[cls] ?? 0)
+    );
+
+    if (classes.length === 2) {
+      auc = aucFor(classes[1]!);
+    } else {
+      const values = classes.map(aucFor).filter((value): value is number => value !== null);
+      auc = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+  }
+
+  return {
+    accuracy: divide(correct, actual.length),
+    confusionMatrix,
+    perClass,
+    macro: { precision: average('precision', false), recall: average('recall', false), f1: average('f1', false) },
+    weighted: { precision: average('precision', true), recall: average('recall', true), f1: average('f1', true) },
+    rocAuc: auc,
+    samples: actual.length
+  };
+}
+
+/**
+ * Regression metrics
+ * @param actual - True values
+ * @param predicted - Predicted values
+ */
+export function regressionMetrics(actual: number[], predicted: number[]): RegressionMetrics {
+  const n = actual.length;
+  const mean = divide(actual.reduce((sum, value) => sum + value, 0), n);
+
+  let squaredError = 0;
+  let absoluteError = 0;
+  let totalSquares = 0;
+  actual.forEach((value, index) => {
+    const error = value - predicted[index]!;
+    squaredError += error * error;
+    absoluteError += Math.abs(error);
+    totalSquares += (value - mean) ** 2;
+  });
+
+  const mse = divide(squaredError, n);
+  return {
+    rmse: Math.sqrt(mse),
+    mae: divide(absoluteError, n),
+    mse,
+    // Constant targets: perfect fit scores 1, anything else 0
+    r2: totalSquares === 0 ? (squaredError === 0 ? 1 : 0) : 1 - squaredError / totalSquares,
+    samples: n
+  };
+}
+
+/**
+ * Time series metrics
+ * MAPE skips actual values of zero, where the percentage error is undefined
+ * @param actual - True values
+ * @param predicted - Predicted values
+ */
+export function timeSeriesMetrics(actual: number[], predicted: number[]): TimeSeriesMetrics {
+  let percentageError = 0;
+  let counted = 0;
+  actual.forEach((value, index) => {
+    if (value === 0) return;
+    percentageError += Math.abs((value - predicted[index]!) / value) * 100;
+    counted++;
+  });
+
+  const { rmse, mae } = regressionMetrics(actual, predicted);
+  return { mape: divide(percentageError, counted), rmse, mae, samples: actual.length };
+}
+
+/**
+ * Summarize the metrics of several folds: mean and standard deviation of
+ * every numeric metric (nested objects such as `macro` are flattened to `macro.f1`)
+ */
+export function summarizeMetrics(folds: EvaluationMetrics[]): { mean: Record<string, number>; std: Record<string, number> } {
+  const values: Record<string, number[]> = {};
+
+  const collect = (prefix: string, source: Record<string, unknown>) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (key === 'samples' || key === 'confusionMatrix' || key === 'perClass') continue;
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        (values[name] ??= []).push(value);
+      } else if (value && typeof value === 'object') {
+        collect(name, value as Record<string, unknown>);
+      }
+    }
+  };
+
+  for (const fold of folds) collect('', fold as unknown as Record<string, unknown>);
+
+  const mean: Record<string, number> = {};
+  const std: Record<string, number> = {};
+  for (const [name, list] of Object.entries(values)) {
+    const avg = list.reduce((sum, value) => sum + value, 0) / list.length;
+    mean[name] = avg;
+    std[name] = Math.sqrt(list.reduce((sum, value) => sum + (value - avg) ** 2, 0) / list.length);
+  }
+
+  return { mean, std };
+}
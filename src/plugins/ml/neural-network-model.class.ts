@@ -243,7 +243,8 @@ export class NeuralNetworkModel extends BaseModel {
       restoreBestWeights = true
     } = earlyStoppingConfig;
 
-    // Prepare data
+    // Fit feature pipeline, then prepare data
+    data = this._fitPipeline(data);
     const { xs, ys } = this._prepareData(data);
 
     // Build model if not already built
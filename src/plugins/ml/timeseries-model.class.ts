@@ -235,7 +235,8 @@ export class TimeSeriesModel extends BaseModel {
 
       // Prepare sequence
       const normalizedSequence: number[][] = [];
-      for (const record of sequence) {
+      for (const step of sequence) {
+        const record = this._applyPipeline(step);
         this._validateInput(record); // _validateInput ensures features exist
         const features = this._extractFeatures(record);
         const target = record[this.config.target];
@@ -0,0 +1,43 @@
+import { S3dbError } from '../errors.js';
+
+export interface RelationErrorDetails {
+  resourceName?: string;
+  relation?: string;
+  operation?: string;
+  description?: string;
+  statusCode?: number;
+  [key: string]: unknown;
+}
+
+export class RelationError extends S3dbError {
+  constructor(message: string, details: RelationErrorDetails = {}) {
+    const { resourceName, relation, operation = 'unknown', ...rest } = details;
+
+    let description = details.description;
+    if (!description) {
+      description = `
+Relation Operation Error
+
+Operation: ${operation}
+${resourceName ? `Resource: ${resourceName}` : ''}
+${relation ? `Relation: ${relation}` : ''}
+
+Common causes:
+1. Relation not defined for the resource
+2. Related or junction resource does not exist
+3. Missing foreignKey, through or otherKey in the definition
+4. Delete blocked by an onDelete: 'restrict' relation
+
+Solution:
+Check the relation definitions passed to RelationPlugin.
+
+Docs: https://github.com/forattini-dev/s3db.js/blob/main/docs/plugins/relation/README.md
+`.trim();
+    }
+
+    super(message, { ...rest, resourceName, relation, operation, description });
+    this.statusCode = details.statusCode ?? 500;
+  }
+}
+
+export default RelationError;
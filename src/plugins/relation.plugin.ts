@@ -0,0 +1,649 @@
+import { Plugin } from './plugin.class.js';
+import { RelationError } from './relation.errors.js';
+import { mapWithConcurrency } from '../concerns/map-with-concurrency.js';
+
+import type { Resource } from '../resource.class.js';
+import type { ResourceLike } from './plugin.class.js';
+
+export type RelationType = 'hasOne' | 'hasMany' | 'belongsTo' | 'belongsToMany';
+export type OnDeleteAction = 'cascade' | 'restrict' | 'set-null';
+
+export interface RelationDefinition {
+  type: RelationType;
+  /** Related resource. */
+  resource: string;
+  /** belongsTo: field on this resource; hasOne/hasMany: field on the related resource; belongsToMany: junction field pointing here. */
+  foreignKey: string;
+  /** Field the foreign key points at (default `'id'`). */
+  localKey?: string;
+  /** belongsToMany junction resource. */
+  through?: string;
+  /** belongsToMany junction field pointing at the related resource. */
+  otherKey?: string;
+  partitionHint?: string;
+  junctionPartitionHint?: string;
+  /** Load on every get/list/query that passes no `include`. */
+  eager?: boolean;
+  /** What deleting this record does to the related ones; belongsToMany acts on the junction rows. */
+  onDelete?: OnDeleteAction;
+  /** `'deleted'` is `onDelete: 'cascade'`; `'updated'` rewrites foreign keys when `localKey` changes. */
+  cascade?: string[];
+  [key: string]: unknown;
+}
+
+export type IncludeSpec = string | string[] | Record<string, boolean | IncludeOptions>;
+
+export interface IncludeOptions {
+  include?: IncludeSpec;
+  /** Max related records per parent for hasMany/belongsToMany. */
+  limit?: number;
+}
+
+export interface RelationPluginOptions {
+  relations?: Record<string, Record<string, RelationDefinition>>;
+  cache?: boolean;
+  preventN1?: boolean;
+  batchSize?: number;
+  parallelism?: number;
+  logLevel?: string;
+  [key: string]: unknown;
+}
+
+export interface RelationPluginConfig {
+  cache: boolean;
+  preventN1: boolean;
+  batchSize: number;
+  parallelism: number;
+  logLevel?: string;
+}
+
+export interface RelationStats {
+  totalRelationLoads: number;
+  partitionCacheHits: number;
+  deduplicatedQueries: number;
+  batchLoads: number;
+  cascadeDeletes: number;
+  cascadeUpdates: number;
+  setNullUpdates: number;
+}
+
+interface NormalizedInclude {
+  name: string;
+  include: NormalizedInclude[];
+  limit?: number;
+}
+
+type Row = Record<string, unknown>;
+
+const RELATION_TYPES: RelationType[] = ['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'];
+const ON_DELETE_ACTIONS: OnDeleteAction[] = ['cascade', 'restrict', 'set-null'];
+
+// Argument of each wrapped read method that carries `{ include }`
+const INCLUDE_ARGUMENT: Record<string, number> = { get: 1, getMany: 1, list: 0, query: 1 };
+// Internal reads pass this so eager relations do not load recursively
+const NO_INCLUDE = { include: [] };
+
+function keyOf(value: unknown): string | null {
+  return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+function setRelation(record: Row, name: string, value: unknown): void {
+  // Replaces a lazy loader of the same name, which is not enumerable
+  Object.defineProperty(record, name, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * ORM-style relations between resources.
+ *
+ * Relations load in batches: one getMany (or one query per `batchSize`
+ * keys, or one partition listing per key when a partition covers the
+ * foreign key) for all parents, instead of one lookup per parent.
+ */
+export class RelationPlugin extends Plugin {
+  config: RelationPluginConfig;
+  relations: Record<string, Record<string, RelationDefinition>>;
+  stats: RelationStats;
+
+  private _partitionCache: Map<string, string | null>;
+  private _installed: WeakSet<object>;
+  private _keyChanges: Map<string, Map<string, unknown>>;
+
+  constructor(options: RelationPluginOptions = {}) {
+    super(options as any);
+
+    const {
+      relations = {},
+      cache = true,
+      preventN1 = true,
+      batchSize = 100,
+      parallelism = 10
+    } = this.options as RelationPluginOptions;
+
+    this.config = { cache, preventN1, batchSize, parallelism, logLevel: this.logLevel };
+
+    this.relations = {};
+    for (const [resourceName, definitions] of Object.entries(relations)) {
+      this.relations[resourceName] = {};
+      for (const [name, definition] of Object.entries(definitions || {})) {
+        this.relations[resourceName]![name] = this._normalizeDefinition(resourceName, name, definition);
+      }
+    }
+
+    this.stats = {
+      totalRelationLoads: 0,
+      partitionCacheHits: 0,
+      deduplicatedQueries: 0,
+      batchLoads: 0,
+      cascadeDeletes: 0,
+      cascadeUpdates: 0,
+      setNullUpdates: 0
+    };
+
+    this._partitionCache = new Map();
+    this._installed = new WeakSet();
+    this._keyChanges = new Map();
+  }
+
+  override async onInstall(): Promise<void> {
+    for (const resource of Object.values(this.database.resources)) {
+      this.installResource(resource as unknown as Resource);
+    }
+
+    this.database.addHook('afterCreateResource', async (context: Record<string, unknown>) => {
+      const resource = ((context as { resource?: Resource })?.resource || context) as Resource;
+      if (resource && typeof resource.name === 'string') {
+        this.installResource(resource);
+      }
+    });
+  }
+
+  override async onUninstall(): Promise<void> {
+    for (const resource of Object.values(this.database.resources)) {
+      const resourceAny = resource as unknown as Record<string, unknown>;
+      delete resourceAny._relations;
+      delete resourceAny.include;
+      delete resourceAny.populate;
+    }
+  }
+
+  getStats(): RelationStats {
+    return { ...this.stats };
+  }
+
+  clearPartitionCache(): void {
+    this._partitionCache.clear();
+  }
+
+  installResource(resource: Resource): void {
+    if (this._installed.has(resource)) return;
+    this._installed.add(resource);
+
+    const definitions = this.relations[resource.name];
+    const resourceAny = resource as unknown as Record<string, unknown>;
+    resourceAny.include = (records: Row | Row[], include: IncludeSpec) => this.include(resource, records, include);
+    resourceAny.populate = resourceAny.include;
+
+    if (!definitions || Object.keys(definitions).length === 0) return;
+    resourceAny._relations = definitions;
+
+    for (const [method, argument] of Object.entries(INCLUDE_ARGUMENT)) {
+      this.wrapResourceMethod(resource as unknown as ResourceLike, method, async (result: unknown, args: unknown[]) => {
+        const options = args[argument] as { include?: IncludeSpec } | undefined;
+        const include = options && typeof options === 'object' && 'include' in options
+          ? options.include
+          : this._eagerIncludes(resource.name);
+
+        const records = (Array.isArray(result) ? result : [result])
+          .filter((record): record is Row => !!record && typeof record === 'object' && !(record as Row)._error);
+        if (records.length > 0) {
+          if (include && (typeof include !== 'object' || Object.keys(include).length > 0)) {
+            await this.populate(resource, records, include);
+          }
+          this._attachLoaders(resource, records);
+        }
+        return result;
+      });
+    }
+
+    const onDelete = Object.entries(definitions).filter(([, definition]) => definition.onDelete);
+    if (onDelete.length > 0) {
+      resource.addHook('beforeDelete', async (data: unknown) => {
+        await this._restrictDelete(resource, data as Row, onDelete);
+        return data;
+      });
+      resource.addHook('afterDelete', async (data: unknown) => {
+        await this._applyOnDelete(resource, data as Row, onDelete);
+        return data;
+      });
+    }
+
+    const onKeyChange = Object.entries(definitions)
+      .filter(([, definition]) => definition.cascade?.some(event => event === 'updated' || event === 'update') &&
+        definition.type !== 'belongsTo' && definition.localKey !== 'id');
+    if (onKeyChange.length > 0) {
+      resource.addHook('beforeUpdate', async (data: unknown) => {
+        await this._rememberKeyChanges(resource, data as Row, onKeyChange);
+        return data;
+      });
+      resource.addHook('afterUpdate', async (data: unknown) => {
+        await this._applyKeyChanges(resource, data as Row, onKeyChange);
+        return data;
+      });
+    }
+  }
+
+  /** Load `include` into the records and add lazy loaders for the other relations. */
+  async include<T extends Row | Row[]>(resource: Resource, records: T, include: IncludeSpec): Promise<T> {
+    await this.populate(resource, records, include);
+    this._attachLoaders(resource, (Array.isArray(records) ? records : [records]) as Row[]);
+    return records;
+  }
+
+  /** Load relations into `items` in place. Used by `?populate=` in the API plugin. */
+  async populate(resource: Resource | ResourceLike, items: Row | Row[], includes: IncludeSpec | Record<string, unknown>): Promise<void> {
+    const records = (Array.isArray(items) ? items : [items]).filter(record => record && typeof record === 'object');
+    if (records.length === 0) return;
+    await this._populate(resource.name!, records, this._normalizeIncludes(includes as IncludeSpec));
+  }
+
+  private async _populate(resourceName: string, records: Row[], includes: NormalizedInclude[]): Promise<void> {
+    await Promise.all(includes.map(async spec => {
+      const definition = this.relations[resourceName]?.[spec.name];
+      if (!definition) {
+        throw new RelationError(`Relation '${spec.name}' is not defined on resource '${resourceName}'`, {
+          operation: 'include',
+          resourceName,
+          relation: spec.name,
+          statusCode: 400,
+          retriable: false,
+          available: Object.keys(this.relations[resourceName] || {}),
+          suggestion: `Use one of: ${Object.keys(this.relations[resourceName] || {}).join(', ') || '(none defined)'}`
+        });
+      }
+
+      if (this.config.preventN1) {
+        await this._loadRelation(resourceName, spec, definition, records);
+      } else {
+        for (const record of records) {
+          await this._loadRelation(resourceName, spec, definition, [record]);
+        }
+      }
+    }));
+  }
+
+  private async _loadRelation(resourceName: string, spec: NormalizedInclude, definition: RelationDefinition, records: Row[]): Promise<void> {
+    this.stats.totalRelationLoads++;
+    const target = this._resource(definition.resource, resourceName, spec.name);
+    const localKey = definition.localKey!;
+    const limit = (rows: Row[]): Row[] => (spec.limit !== undefined ? rows.slice(0, spec.limit) : rows);
+    let valueFor: (record: Row) => Row | Row[] | null;
+
+    if (definition.type === 'belongsTo') {
+      const found = await this._findBy(target, localKey, this._keys(records, definition.foreignKey), definition.partitionHint);
+      const byKey = this._group(found, localKey);
+      valueFor = record => byKey.get(keyOf(record[definition.foreignKey])!)?.[0] ?? null;
+    } else if (definition.type === 'belongsToMany') {
+      const junction = this._resource(definition.through!, resourceName, spec.name);
+      const links = await this._findBy(junction, definition.foreignKey, this._keys(records, localKey), definition.junctionPartitionHint);
+      const targets = await this._findBy(target, 'id', this._keys(links, definition.otherKey!), definition.partitionHint);
+      const byId = this._group(targets, 'id');
+      const linksByKey = this._group(links, definition.foreignKey);
+      valueFor = record => {
+        const seen = new Set<string>();
+        const related: Row[] = [];
+        for (const link of linksByKey.get(keyOf(record[localKey])!) || []) {
+          const id = keyOf(link[definition.otherKey!]);
+          const row = id === null ? undefined : byId.get(id)?.[0];
+          if (row && !seen.has(id!)) {
+            seen.add(id!);
+            related.push(row);
+          }
+        }
+        return limit(related);
+      };
+    } else {
+      const found = await this._findBy(target, definition.foreignKey, this._keys(records, localKey), definition.partitionHint);
+      const byKey = this._group(found, definition.foreignKey);
+      valueFor = record => {
+        const rows = byKey.get(keyOf(record[localKey])!) || [];
+        return definition.type === 'hasOne' ? rows[0] ?? null : limit(rows);
+      };
+    }
+
+    const related = new Set<Row>();
+    for (const record of records) {
+      const value = valueFor(record);
+      setRelation(record, spec.name, value);
+      for (const row of Array.isArray(value) ? value : value ? [value] : []) related.add(row);
+    }
+
+    if (spec.include.length > 0 && related.size > 0) {
+      await this._populate(definition.resource, [...related], spec.include);
+    }
+  }
+
+  /** Records of `resource` whose `field` is one of `values`. */
+  private async _findBy(resource: Resource, field: string, values: unknown[], hint?: string): Promise<Row[]> {
+    if (values.length === 0) return [];
+    const { batchSize, parallelism } = this.config;
+
+    if (field === 'id') {
+      this.stats.batchLoads++;
+      const rows: Row[] = [];
+      for (let i = 0; i < values.length; i += batchSize) {
+        const ids = values.slice(i, i + batchSize).map(String);
+        const batch = await (resource.getMany as (ids: string[], options: unknown) => Promise<Row[]>)(ids, NO_INCLUDE);
+        rows.push(...batch.filter(row => row && !row._error));
+      }
+      return rows;
+    }
+
+    const partition = this._partitionFor(resource, field, hint);
+    if (partition) {
+      const { results, errors } = await mapWithConcurrency(
+        values,
+        value => resource.listPartition({ partition, partitionValues: { [field]: value as string } }) as Promise<Row[]>,
+        { concurrency: parallelism }
+      );
+      if (errors.length > 0) throw errors[0]!.raw;
+      return results.flat();
+    }
+
+    this.logger.debug(`No partition found for ${resource.name}.${field}; falling back to a filtered scan`);
+    this.stats.batchLoads++;
+    const rows: Row[] = [];
+    for (let i = 0; i < values.length; i += batchSize) {
+      const batch = await (resource.query as (filter: unknown, options: unknown) => Promise<Row[]>)(
+        { [field]: { $in: values.slice(i, i + batchSize) } },
+        { limit: Number.MAX_SAFE_INTEGER, ...NO_INCLUDE }
+      );
+      rows.push(...batch);
+    }
+    return rows;
+  }
+
+  /** Single-field partition over `field`, `hint` first. */
+  private _partitionFor(resource: Resource, field: string, hint?: string): string | null {
+    const cacheKey = `${resource.name}:${field}:${hint || ''}`;
+    if (this.config.cache && this._partitionCache.has(cacheKey)) {
+      this.stats.partitionCacheHits++;
+      return this._partitionCache.get(cacheKey)!;
+    }
+
+    const partitions = (resource.config?.partitions || {}) as Record<string, { fields?: Record<string, unknown> }>;
+    const coversField = (name: string): boolean => {
+      const fields = Object.keys(partitions[name]?.fields || {});
+      return fields.length === 1 && fields[0] === field;
+    };
+
+    let partition: string | null = null;
+    if (hint && coversField(hint)) {
+      partition = hint;
+    } else {
+      if (hint) this.logger.warn(`Partition '${hint}' of '${resource.name}' does not cover only '${field}'; looking for another`);
+      partition = Object.keys(partitions).find(coversField) ?? null;
+    }
+
+    if (this.config.cache) this._partitionCache.set(cacheKey, partition);
+    return partition;
+  }
+
+  private async _restrictDelete(resource: Resource, record: Row, relations: Array<[string, RelationDefinition]>): Promise<void> {
+    for (const [name, definition] of relations) {
+      if (definition.onDelete !== 'restrict') continue;
+      const { rows } = await this._dependents(resource, record, name, definition);
+      if (rows.length > 0) {
+        throw new RelationError(`Cannot delete ${resource.name} '${record.id}': ${rows.length} related '${name}' record(s) exist`, {
+          operation: 'delete',
+          resourceName: resource.name,
+          relation: name,
+          id: record.id,
+          related: rows.length,
+          statusCode: 409,
+          retriable: false,
+          suggestion: `Delete or reassign the '${name}' records first, or set onDelete to 'cascade' or 'set-null'.`
+        });
+      }
+    }
+  }
+
+  private async _applyOnDelete(resource: Resource, record: Row, relations: Array<[string, RelationDefinition]>): Promise<void> {
+    for (const [name, definition] of relations) {
+      if (definition.onDelete === 'restrict') continue;
+      const { owner, rows } = await this._dependents(resource, record, name, definition);
+      if (rows.length === 0) continue;
+
+      // Junction rows cannot point at nothing, so set-null removes them as well
+      const remove = definition.onDelete === 'cascade' || definition.type === 'belongsToMany';
+      const { errors } = await mapWithConcurrency(
+        rows,
+        row => remove
+          ? owner.delete(String(row.id))
+          : owner.patch(String(row.id), { [definition.foreignKey]: null }),
+        { concurrency: this.config.parallelism }
+      );
+
+      if (remove) this.stats.cascadeDeletes += rows.length - errors.length;
+      else this.stats.setNullUpdates += rows.length - errors.length;
+
+      if (errors.length > 0) {
+        throw new RelationError(`onDelete '${definition.onDelete}' failed for ${errors.length} '${name}' record(s) of ${resource.name} '${record.id}'`, {
+          operation: 'delete',
+          resourceName: resource.name,
+          relation: name,
+          id: record.id,
+          failed: errors.map(error => ({ id: (error.item as Row).id, message: error.message })),
+          retriable: true,
+          suggestion: 'The parent record is already deleted; retry the failed related records.'
+        });
+      }
+    }
+  }
+
+  /** Records that point at `record` through the relation: children, or junction rows for belongsToMany. */
+  private async _dependents(resource: Resource, record: Row, name: string, definition: RelationDefinition): Promise<{ owner: Resource; rows: Row[] }> {
+    const key = record[definition.localKey!];
+    if (keyOf(key) === null) return { owner: resource, rows: [] };
+
+    const owner = definition.type === 'belongsToMany'
+      ? this._resource(definition.through!, resource.name, name)
+      : this._resource(definition.resource, resource.name, name);
+    const hint = definition.type === 'belongsToMany' ? definition.junctionPartitionHint : definition.partitionHint;
+    return { owner, rows: await this._findBy(owner, definition.foreignKey, [key], hint) };
+  }
+
+  private async _rememberKeyChanges(resource: Resource, data: Row, relations: Array<[string, RelationDefinition]>): Promise<void> {
+    if (data.id === undefined) return;
+    const previous = await (resource.get as (id: string, options: unknown) => Promise<Row>)(String(data.id), NO_INCLUDE).catch(() => null);
+    if (!previous) return;
+
+    const changes = new Map<string, unknown>();
+    for (const [name, definition] of relations) {
+      const localKey = definition.localKey!;
+      if (localKey in data && keyOf(previous[localKey]) !== keyOf(data[localKey])) {
+        changes.set(name, previous[localKey]);
+      }
+    }
+    if (changes.size > 0) this._keyChanges.set(`${resource.name}:${data.id}`, changes);
+  }
+
+  private async _applyKeyChanges(resource: Resource, data: Row, relations: Array<[string, RelationDefinition]>): Promise<void> {
+    const changeKey = `${resource.name}:${data.id}`;
+    const changes = this._keyChanges.get(changeKey);
+    if (!changes) return;
+    this._keyChanges.delete(changeKey);
+
+    for (const [name, definition] of relations) {
+      if (!changes.has(name)) continue;
+      const { owner, rows } = await this._dependents(resource, { [definition.localKey!]: changes.get(name) }, name, definition);
+      await mapWithConcurrency(
+        rows,
+        row => owner.patch(String(row.id), { [definition.foreignKey]: data[definition.localKey!] }),
+        { concurrency: this.config.parallelism }
+      );
+      this.stats.cascadeUpdates += rows.length;
+    }
+  }
+
+  /** Non-enumerable `record.<relation>()` loaders; each loads once and keeps the result. */
+  private _attachLoaders(resource: Resource, records: Row[]): void {
+    const definitions = this.relations[resource.name];
+    if (!definitions) return;
+
+    for (const record of records) {
+      for (const name of Object.keys(definitions)) {
+        if (name in record) continue;
+        let loaded: Promise<unknown> | null = null;
+        Object.defineProperty(record, name, {
+          configurable: true,
+          enumerable: false,
+          writable: true,
+          value: () => {
+            loaded ??= (async () => {
+              const copy = { ...record };
+              await this._populate(resource.name, [copy], [{ name, include: [] }]);
+              return copy[name];
+            })().catch(error => {
+              loaded = null;
+              throw error;
+            });
+            return loaded;
+          }
+        });
+      }
+    }
+  }
+
+  private _eagerIncludes(resourceName: string): string[] | null {
+    const eager = Object.entries(this.relations[resourceName] || {})
+      .filter(([, definition]) => definition.eager)
+      .map(([name]) => name);
+    return eager.length > 0 ? eager : null;
+  }
+
+  /** Accepts 'a,b.c', ['a', 'b.c'], { a: true, b: { include: [...], limit } } and the API plugin's tree. */
+  private _normalizeIncludes(spec: IncludeSpec | undefined | null): NormalizedInclude[] {
+    const byName = new Map<string, NormalizedInclude>();
+    const node = (name: string): NormalizedInclude => {
+      let entry = byName.get(name);
+      if (!entry) {
+        entry = { name, include: [] };
+        byName.set(name, entry);
+      }
+      return entry;
+    };
+
+    if (!spec) return [];
+
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      const paths = (Array.isArray(spec) ? spec : spec.split(','))
+        .map(path => String(path).trim())
+        .filter(Boolean);
+      for (const path of paths) {
+        const [head, ...rest] = path.split('.');
+        const entry = node(head!);
+        if (rest.length > 0) entry.include = this._mergeIncludes(entry.include, this._normalizeIncludes(rest.join('.')));
+      }
+      return [...byName.values()];
+    }
+
+    for (const [name, value] of Object.entries(spec)) {
+      if (!value) continue;
+      const entry = node(name);
+      if (typeof value === 'object') {
+        entry.include = this._normalizeIncludes(value.include);
+        if (typeof value.limit === 'number') entry.limit = value.limit;
+      }
+    }
+    return [...byName.values()];
+  }
+
+  private _mergeIncludes(a: NormalizedInclude[], b: NormalizedInclude[]): NormalizedInclude[] {
+    const merged = new Map(a.map(entry => [entry.name, entry]));
+    for (const entry of b) {
+      const existing = merged.get(entry.name);
+      merged.set(entry.name, existing
+        ? { ...existing, include: this._mergeIncludes(existing.include, entry.include) }
+        : entry);
+    }
+    return [...merged.values()];
+  }
+
+  private _keys(records: Row[], field: string): unknown[] {
+    const keys = new Map<string, unknown>();
+    let total = 0;
+    for (const record of records) {
+      const key = keyOf(record[field]);
+      if (key === null) continue;
+      total++;
+      keys.set(key, record[field]);
+    }
+    this.stats.deduplicatedQueries += total - keys.size;
+    return [...keys.values()];
+  }
+
+  private _group(rows: Row[], field: string): Map<string, Row[]> {
+    const groups = new Map<string, Row[]>();
+    for (const row of rows) {
+      const key = keyOf(row[field]);
+      if (key === null) continue;
+      const group = groups.get(key);
+      if (group) group.push(row);
+      else groups.set(key, [row]);
+    }
+    return groups;
+  }
+
+  private _resource(name: string, from: string, relation: string): Resource {
+    const resource = this.database.resources[name] as unknown as Resource | undefined;
+    if (!resource) {
+      throw new RelationError(`Resource '${name}' used by relation '${from}.${relation}' does not exist`, {
+        operation: 'include',
+        resourceName: from,
+        relation,
+        missingResource: name,
+        statusCode: 500,
+        retriable: false,
+        suggestion: `Create the '${name}' resource or fix the relation definition.`
+      });
+    }
+    return resource;
+  }
+
+  private _normalizeDefinition(resourceName: string, name: string, definition: RelationDefinition): RelationDefinition {
+    const invalid = (problem: string, suggestion: string): RelationError => new RelationError(
+      `Invalid relation '${resourceName}.${name}': ${problem}`,
+      { operation: 'constructor', resourceName, relation: name, statusCode: 400, retriable: false, suggestion }
+    );
+
+    if (!definition || !RELATION_TYPES.includes(definition.type)) {
+      throw invalid(`unknown type '${definition?.type}'`, `Use one of: ${RELATION_TYPES.join(', ')}.`);
+    }
+    if (!definition.resource) {
+      throw invalid('missing resource', 'Set resource to the related resource name.');
+    }
+    if (!definition.foreignKey) {
+      throw invalid('missing foreignKey', 'Set foreignKey to the field that references the other side.');
+    }
+    if (definition.type === 'belongsToMany' && (!definition.through || !definition.otherKey)) {
+      throw invalid('belongsToMany needs through and otherKey', 'Set through to the junction resource and otherKey to its field pointing at the related resource.');
+    }
+
+    const cascadeDelete = definition.cascade?.some(event => event === 'deleted' || event === 'delete');
+    const onDelete = definition.onDelete ?? (cascadeDelete ? 'cascade' : undefined);
+    if (onDelete !== undefined && !ON_DELETE_ACTIONS.includes(onDelete)) {
+      throw invalid(`unknown onDelete '${onDelete}'`, `Use one of: ${ON_DELETE_ACTIONS.join(', ')}.`);
+    }
+    if (onDelete && definition.type === 'belongsTo') {
+      throw invalid('onDelete on a belongsTo relation', 'Set onDelete on the parent side (hasOne, hasMany or belongsToMany).');
+    }
+
+    return {
+      ...definition,
+      localKey: definition.localKey || 'id',
+      ...(onDelete ? { onDelete } : {})
+    };
+  }
+}
+
+export default RelationPlugin;
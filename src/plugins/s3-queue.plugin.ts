@@ -57,6 +57,10 @@ interface QueueEntry {
   attempts: number;
   maxAttempts: number;
   queuedAt: number;
+  sequence?: number | null;
+  priority?: number | null;
+  groupId?: string | null;
+  deduplicationId?: string | null;
   error?: string | null;
   result?: unknown;
   createdAt: string;
@@ -67,6 +71,11 @@ interface QueueEntry {
 
 interface EnqueueOptions {
   maxAttempts?: number;
+  priority?: number;
+  delaySeconds?: number;
+  notBefore?: Date | number | string;
+  groupId?: string;
+  deduplicationId?: string;
 }
 
 interface QueueStats {
@@ -76,6 +85,20 @@ interface QueueStats {
   completed: number;
   failed: number;
   dead: number;
+  delayed: number;
+  priorities: Record<string, number>;
+  groups: { total: number; processing: number };
+  deduplicated: number;
+}
+
+interface DeduplicationMarker {
+  recordId: string;
+  queueId: string;
+}
+
+interface GroupMessage {
+  queueId: string;
+  enqueuedAt: number;
 }
 
 type QueueMessageStatusQuery = 'pending' | 'processing' | 'completed' | 'failed' | 'dead' | 'all';
@@ -167,12 +190,14 @@ interface ClaimedMessage {
   visibleUntil: number;
   etag?: string;
   queuedAt: number;
+  groupId?: string | null;
 }
 
 interface PluginStorage {
   get(key: string): Promise<unknown>;
   set(key: string, data: unknown, options?: StorageSetOptions): Promise<void>;
   getWithVersion(key: string): Promise<{ data: Record<string, unknown> | null; version: string | null }>;
+  setIfNotExists(key: string, data: Record<string, unknown>, options?: StorageSetOptions): Promise<string | null>;
   setIfVersion(
     key: string,
     data: Record<string, unknown>,
@@ -283,6 +308,7 @@ export interface S3QueuePluginOptions extends CoordinatorConfig {
   consumerJitterMs?: number;
   retryJitterMs?: number;
   autoAcknowledge?: boolean;
+  deduplicationWindow?: number;
 }
 
 interface S3QueueConfig {
@@ -315,6 +341,7 @@ interface S3QueueConfig {
   consumerJitterMs: number;
   retryJitterMs: number;
   autoAcknowledge: boolean;
+  deduplicationWindow: number;
 }
 
 export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
@@ -349,6 +376,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
   _bestEffortNotified = false;
   _dispatchIdleStreak = 0;
   _nextDispatchAllowedAt = 0;
+  _lastSequence = 0;
+  _deduplicatedCount = 0;
 
   dispatchHandle: ReturnType<typeof setInterval> | null = null;
 
@@ -397,6 +426,7 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       consumerJitterMs = 0,
       retryJitterMs = 0,
       autoAcknowledge = false,
+      deduplicationWindow = 300000,
       ...rest
     } = this.options;
 
@@ -463,7 +493,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       heartbeatTTL,
       consumerJitterMs: Math.max(0, Math.floor(consumerJitterMs)),
       retryJitterMs: Math.max(0, Math.floor(retryJitterMs)),
-      autoAcknowledge
+      autoAcknowledge,
+      deduplicationWindow: Math.max(1000, deduplicationWindow)
     };
 
     if (this.config.failureStrategy.deadLetterQueue) {
@@ -553,6 +584,10 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
           attempts: 'number|default:0',
           maxAttempts: 'number|default:3',
           queuedAt: 'number|required',
+          sequence: 'number|optional',
+          priority: 'number|default:0',
+          groupId: 'string|optional',
+          deduplicationId: 'string|optional',
           error: 'string|optional',
           result: 'json|optional',
           createdAt: 'string|required',
@@ -620,33 +655,74 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     const resource = this.targetResource!;
 
     resource.enqueue = async function(data: Record<string, unknown>, options: EnqueueOptions = {}): Promise<Record<string, unknown>> {
+      const now = Date.now();
+      const priority = plugin._normalizePriority(options.priority);
+      const visibleAt = plugin._resolveVisibleAt(options, now);
+      const groupId = options.groupId !== undefined && options.groupId !== null ? String(options.groupId) : null;
+      const deduplicationId = options.deduplicationId !== undefined && options.deduplicationId !== null
+        ? String(options.deduplicationId)
+        : null;
+
       const recordData = {
         id: (data.id as string) || idGenerator(),
         ...data
       };
+      const queueId = idGenerator();
 
-      const record = await resource.insert(recordData);
+      if (deduplicationId) {
+        const duplicate = await plugin._claimDeduplicationId(deduplicationId, {
+          recordId: recordData.id as string,
+          queueId
+        });
+        if (duplicate) {
+          plugin._deduplicatedCount++;
+          plugin.emit('plg:s3-queue:message-deduplicated', { id: duplicate.id, deduplicationId });
+          return duplicate;
+        }
+      }
 
-      const now = Date.now();
-      const maxAttemptsForMessage = options.maxAttempts ?? plugin._resolveMaxAttempts();
+      let record: Record<string, unknown>;
+      try {
+        record = await resource.insert(recordData);
 
-      const queueEntry = {
-        id: idGenerator(),
-        originalId: record.id as string,
-        status: 'pending',
-        visibleAt: now,
-        attempts: 0,
-        maxAttempts: maxAttemptsForMessage,
-        queuedAt: now,
-        createdAt: new Date(now).toISOString()
-      };
+        // Join the group before the entry becomes claimable so it cannot overtake earlier messages
+        if (groupId) {
+          await plugin._appendToGroup(groupId, queueId, now);
+        }
 
-      await plugin.queueResource!.insert(queueEntry);
+        const queueEntry: Record<string, unknown> = {
+          id: queueId,
+          originalId: record.id as string,
+          status: 'pending',
+          visibleAt,
+          attempts: 0,
+          maxAttempts: options.maxAttempts ?? plugin._resolveMaxAttempts(),
+          queuedAt: now,
+          sequence: plugin._nextSequence(now),
+          priority,
+          createdAt: new Date(now).toISOString()
+        };
+        if (groupId) queueEntry.groupId = groupId;
+        if (deduplicationId) queueEntry.deduplicationId = deduplicationId;
+
+        await plugin.queueResource!.insert(queueEntry);
+      } catch (error) {
+        if (deduplicationId) {
+          await plugin._releaseDeduplicationId(deduplicationId);
+        }
+        throw error;
+      }
 
       plugin._dispatchIdleStreak = 0;
       plugin._nextDispatchAllowedAt = 0;
 
-      plugin.emit('plg:s3-queue:message-enqueued', { id: record.id, queueId: queueEntry.id });
+      plugin.emit('plg:s3-queue:message-enqueued', {
+        id: record.id,
+        queueId,
+        priority,
+        visibleAt,
+        groupId
+      });
 
       return record;
     };
@@ -1174,7 +1250,9 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       return 0;
     }
 
-    const orderedMessages = this._prepareAvailableMessages(pendingMessages, Date.now());
+    const orderedMessages = await this._dropBlockedGroupMessages(
+      this._prepareAvailableMessages(pendingMessages, Date.now())
+    );
     if (orderedMessages.length === 0) {
       return 0;
     }
@@ -1387,13 +1465,7 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       return null;
     }
 
-    const messages = allMessages.filter(msg => msg.visibleAt <= now).slice(0, this.config.pollBatchSize);
-
-    if (messages.length === 0) {
-      return null;
-    }
-
-    const available = this._prepareAvailableMessages(messages, now);
+    const available = this._prepareAvailableMessages(allMessages, now).slice(0, this.config.pollBatchSize);
     if (available.length === 0) {
       return null;
     }
@@ -1409,9 +1481,12 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     }
 
     try {
-      const next = available[0];
-      if (!next) return null;
-      return await this.attemptClaim(next, { enforceOrder: true });
+      // A message waiting behind its group head must not block other groups
+      for (const next of available) {
+        if (next.groupId && !(await this._isGroupHead(next))) continue;
+        return await this.attemptClaim(next, { enforceOrder: true });
+      }
+      return null;
     } finally {
       await releaseOrderingLock();
     }
@@ -1447,15 +1522,28 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
   }
 
   private _sortMessages(messages: QueueEntry[]): QueueEntry[] {
-    const mode = this.config.orderingMode;
+    const direction = this.config.orderingMode === 'lifo' ? -1 : 1;
     const sorted = [...messages];
-    const comparator = mode === 'lifo'
-      ? (a: QueueEntry, b: QueueEntry) => ((b._queuedAt || 0) - (a._queuedAt || 0)) || a.id.localeCompare(b.id)
-      : (a: QueueEntry, b: QueueEntry) => ((a._queuedAt || 0) - (b._queuedAt || 0)) || a.id.localeCompare(b.id);
-    sorted.sort(comparator);
+    sorted.sort((a, b) =>
+      ((b.priority || 0) - (a.priority || 0))
+      || direction * (this._sequenceOf(a) - this._sequenceOf(b))
+      || a.id.localeCompare(b.id)
+    );
     return sorted;
   }
 
+  private _sequenceOf(message: QueueEntry): number {
+    if (typeof message.sequence === 'number' && Number.isFinite(message.sequence)) {
+      return message.sequence;
+    }
+    return (message._queuedAt || 0) * 1000;
+  }
+
+  _nextSequence(now: number): number {
+    this._lastSequence = Math.max(now * 1000, this._lastSequence + 1);
+    return this._lastSequence;
+  }
+
   private async _attemptMessagesInOrder(messages: QueueEntry[]): Promise<ClaimedMessage | null> {
     for (const msg of messages) {
       const claimed = await this.attemptClaim(msg);
@@ -1577,6 +1665,10 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     const now = Date.now();
     const { enforceOrder = false } = options;
 
+    if (msg.groupId && !(await this._isGroupHead(msg))) {
+      return null;
+    }
+
     const lock = await this.acquireLock(msg.id);
 
     if (!lock) {
@@ -1612,7 +1704,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     }
 
     if (msgWithETag.status !== 'pending' || msgWithETag.visibleAt > now) {
-      this.processedCache.delete(msg.id);
+      // The shared marker would otherwise hide a message in retry backoff until it expires
+      await this._clearProcessedMarker(msg.id);
       this.logger.debug(
         { messageId: msg.id, status: msgWithETag.status, visibleAt: msgWithETag.visibleAt, now },
         `Message ${msg.id} not claimable: status=${msgWithETag.status}, visibleAt=${msgWithETag.visibleAt}, now=${now}`
@@ -1675,7 +1768,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
         record: null as unknown as Record<string, unknown>,
         originalId: msgWithETag.originalId,
         visibleUntil: nextVisibleAt,
-        queuedAt: msgWithETag.queuedAt
+        queuedAt: msgWithETag.queuedAt,
+        groupId: msgWithETag.groupId ?? null
       }, 'Original record not found');
       return null;
     }
@@ -1691,7 +1785,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       lockToken,
       visibleUntil: nextVisibleAt,
       etag: result.etag || claimedData._etag,
-      queuedAt: msgWithETag.queuedAt
+      queuedAt: msgWithETag.queuedAt,
+      groupId: msgWithETag.groupId ?? null
     };
   }
 
@@ -1796,6 +1891,7 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       lockToken: null,
       error: null
     });
+    await this._leaveGroup(message);
   }
 
   async failMessage(message: ClaimedMessage, error: string): Promise<void> {
@@ -1806,6 +1902,7 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       claimedAt: Date.now(),
       lockToken: null
     }, { clearProcessedMarker: true });
+    await this._leaveGroup(message);
   }
 
   async retryMessage(message: ClaimedMessage, attempts: number, error: string): Promise<void> {
@@ -1863,30 +1960,29 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       claimedAt: Date.now(),
       lockToken: null
     }, { clearProcessedMarker: true });
+    await this._leaveGroup(message);
   }
 
   async getStats(): Promise<QueueStats> {
-    if (!this.queueResource) {
-      return {
-        total: 0,
-        pending: 0,
-        processing: 0,
-        completed: 0,
-        failed: 0,
-        dead: 0
-      };
-    }
-
-    const statusKeys: Array<'pending' | 'processing' | 'completed' | 'failed' | 'dead'> = ['pending', 'processing', 'completed', 'failed', 'dead'];
     const stats: QueueStats = {
       total: 0,
       pending: 0,
       processing: 0,
       completed: 0,
       failed: 0,
-      dead: 0
+      dead: 0,
+      delayed: 0,
+      priorities: {},
+      groups: { total: 0, processing: 0 },
+      deduplicated: this._deduplicatedCount
     };
 
+    if (!this.queueResource) {
+      return stats;
+    }
+
+    const statusKeys: Array<'pending' | 'processing' | 'completed' | 'failed' | 'dead'> = ['pending', 'processing', 'completed', 'failed', 'dead'];
+
     const counts = await Promise.all(
       statusKeys.map(status => tryFn(() => this.queueResource!.count({ status })))
     );
@@ -1917,9 +2013,50 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       );
     }
 
+    await this._collectBacklogStats(stats);
+
     return stats;
   }
 
+  private async _collectBacklogStats(stats: QueueStats): Promise<void> {
+    const now = Date.now();
+    const [ok, err, batches] = await tryFn(() => Promise.all([
+      this.queueResource!.query({ status: 'pending' }),
+      this.queueResource!.query({ status: 'processing' })
+    ]));
+
+    if (!ok || !batches) {
+      this.logger.warn(
+        { error: (err as Error)?.message },
+        `Failed to inspect queue backlog: ${(err as Error)?.message}`
+      );
+      return;
+    }
+
+    // Partition indexes are updated asynchronously, so an entry may briefly show up in both lists
+    const entries = new Map<string, QueueEntry>();
+    for (const entry of batches.flat()) {
+      if (entry?.id) entries.set(entry.id, entry);
+    }
+
+    const groups = new Map<string, boolean>();
+    for (const entry of entries.values()) {
+      if (entry.status === 'pending') {
+        if (entry.visibleAt > now) stats.delayed++;
+        const priority = String(entry.priority || 0);
+        stats.priorities[priority] = (stats.priorities[priority] || 0) + 1;
+      }
+      if (entry.groupId) {
+        groups.set(entry.groupId, groups.get(entry.groupId) === true || entry.status === 'processing');
+      }
+    }
+
+    stats.groups = {
+      total: groups.size,
+      processing: Array.from(groups.values()).filter(Boolean).length
+    };
+  }
+
   async countQueue(status: QueueMessageStatusQuery = 'pending'): Promise<number> {
     if (!this.queueResource) {
       return 0;
@@ -2193,7 +2330,8 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
         maxAttempts: queueEntry.maxAttempts,
         lockToken: queueEntry.lockToken || '',
         visibleUntil: queueEntry.visibleAt,
-        queuedAt: queueEntry.queuedAt
+        queuedAt: queueEntry.queuedAt,
+        groupId: queueEntry.groupId ?? null
       };
 
       const timeoutError = 'visibility-timeout exceeded max attempts';
@@ -2373,6 +2511,262 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     return result;
   }
 
+  private _normalizePriority(priority: number | undefined): number {
+    if (priority === undefined || priority === null) {
+      return 0;
+    }
+    if (!Number.isInteger(priority)) {
+      throw new QueueError(`Invalid priority '${priority}'`, {
+        pluginName: 'S3QueuePlugin',
+        operation: 'enqueue',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Use an integer priority; higher values are processed first (default 0).'
+      });
+    }
+    return priority;
+  }
+
+  private _resolveVisibleAt(options: EnqueueOptions, now: number): number {
+    let visibleAt = now;
+
+    if (options.delaySeconds !== undefined && options.delaySeconds !== null) {
+      const delaySeconds = Number(options.delaySeconds);
+      if (!Number.isFinite(delaySeconds) || delaySeconds < 0) {
+        throw new QueueError(`Invalid delaySeconds '${options.delaySeconds}'`, {
+          pluginName: 'S3QueuePlugin',
+          operation: 'enqueue',
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Use a non-negative number of seconds.'
+        });
+      }
+      visibleAt = now + delaySeconds * 1000;
+    }
+
+    if (options.notBefore !== undefined && options.notBefore !== null) {
+      const { notBefore } = options;
+      const timestamp = notBefore instanceof Date
+        ? notBefore.getTime()
+        : typeof notBefore === 'string' ? Date.parse(notBefore) : Number(notBefore);
+      if (!Number.isFinite(timestamp)) {
+        throw new QueueError(`Invalid notBefore '${String(notBefore)}'`, {
+          pluginName: 'S3QueuePlugin',
+          operation: 'enqueue',
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Use a Date, an epoch timestamp in milliseconds or an ISO 8601 string.'
+        });
+      }
+      visibleAt = Math.max(visibleAt, timestamp);
+    }
+
+    return Math.round(visibleAt);
+  }
+
+  private _deduplicationKey(deduplicationId: string): string {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    return storage.getPluginKey(null, 'dedup', encodeURIComponent(deduplicationId));
+  }
+
+  /**
+   * Reserve a deduplication id for the window. Returns the record enqueued under the
+   * id when it is already taken, or null when the caller may enqueue.
+   */
+  async _claimDeduplicationId(deduplicationId: string, marker: DeduplicationMarker): Promise<Record<string, unknown> | null> {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    const key = this._deduplicationKey(deduplicationId);
+    const ttl = Math.ceil(this.config.deduplicationWindow / 1000);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const created = await storage.setIfNotExists(key, { ...marker, createdAt: Date.now() }, {
+        ttl,
+        behavior: 'body-only'
+      });
+      if (created) {
+        return null;
+      }
+
+      // Expired markers are removed on read
+      const { data } = await storage.getWithVersion(key);
+      if (!data) {
+        continue;
+      }
+
+      const [okRecord, , record] = await tryFn(() =>
+        (this.targetResource as unknown as { get(id: string): Promise<Record<string, unknown>> }).get(data.recordId as string)
+      );
+      if (okRecord && record) {
+        return record;
+      }
+
+      const age = Date.now() - Number(data.createdAt || 0);
+      if (age < this.config.visibilityTimeout) {
+        throw new QueueError(`Message with deduplicationId '${deduplicationId}' is still being enqueued`, {
+          pluginName: 'S3QueuePlugin',
+          operation: 'enqueue',
+          statusCode: 409,
+          retriable: true,
+          suggestion: 'Retry the enqueue shortly; the first call with this deduplicationId has not finished.'
+        });
+      }
+
+      // The enqueue that took the id never finished
+      await this._releaseDeduplicationId(deduplicationId);
+    }
+
+    throw new QueueError(`Could not reserve deduplicationId '${deduplicationId}'`, {
+      pluginName: 'S3QueuePlugin',
+      operation: 'enqueue',
+      statusCode: 409,
+      retriable: true
+    });
+  }
+
+  async _releaseDeduplicationId(deduplicationId: string): Promise<void> {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    const [ok, err] = await tryFn(() => storage.delete(this._deduplicationKey(deduplicationId)));
+    if (!ok && err && (err as { code?: string }).code !== 'NoSuchKey' && (err as { code?: string }).code !== 'NotFound') {
+      this.logger.warn(
+        { deduplicationId, error: (err as Error).message || err },
+        `Failed to release deduplication id: ${(err as Error).message || err}`
+      );
+    }
+  }
+
+  private _groupKey(groupId: string): string {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    return storage.getPluginKey(null, 'groups', encodeURIComponent(groupId));
+  }
+
+  /**
+   * Apply `mutate` to the group's ordered message list with optimistic concurrency.
+   * `mutate` returns null when nothing needs to change; an empty list removes the group.
+   */
+  private async _updateGroup(
+    groupId: string,
+    mutate: (messages: GroupMessage[]) => GroupMessage[] | null
+  ): Promise<boolean> {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    const key = this._groupKey(groupId);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const { data, version } = await storage.getWithVersion(key);
+      const messages = Array.isArray(data?.messages) ? data.messages as GroupMessage[] : [];
+      const next = mutate(messages);
+      if (!next) {
+        return true;
+      }
+
+      if (!version) {
+        if (next.length === 0) return true;
+        if (await storage.setIfNotExists(key, { groupId, messages: next }, { behavior: 'body-only' })) {
+          return true;
+        }
+      } else if (next.length === 0 && typeof storage.deleteIfVersion === 'function') {
+        if (await storage.deleteIfVersion(key, version)) {
+          return true;
+        }
+      } else if (await storage.setIfVersion(key, { groupId, messages: next }, version, { behavior: 'body-only' })) {
+        return true;
+      }
+
+      await this._sleep(this._nextJitterDelay(25 * (attempt + 1)));
+    }
+
+    return false;
+  }
+
+  async _appendToGroup(groupId: string, queueId: string, enqueuedAt: number): Promise<void> {
+    const appended = await this._updateGroup(groupId, (messages) => [...messages, { queueId, enqueuedAt }]);
+    if (!appended) {
+      throw new QueueError(`Could not add message to group '${groupId}'`, {
+        pluginName: 'S3QueuePlugin',
+        operation: 'enqueue',
+        groupId,
+        statusCode: 409,
+        retriable: true,
+        suggestion: 'Too many concurrent enqueues on the same group; retry the enqueue.'
+      });
+    }
+  }
+
+  private async _leaveGroup(message: ClaimedMessage): Promise<void> {
+    if (!message.groupId) return;
+
+    const queueId = message.queueId;
+    const [ok, err, left] = await tryFn(() => this._updateGroup(message.groupId!, (messages) =>
+      messages.some((entry) => entry.queueId === queueId)
+        ? messages.filter((entry) => entry.queueId !== queueId)
+        : null
+    ));
+
+    // A head that is never removed here is cleaned up by the next _isGroupHead() check
+    if (!ok || !left) {
+      this.logger.warn(
+        { queueId, groupId: message.groupId, error: (err as Error)?.message },
+        `Failed to remove message ${queueId} from group '${message.groupId}'`
+      );
+    }
+  }
+
+  /**
+   * Only the oldest unfinished message of a group may be claimed. Heads that already
+   * finished, or that were never inserted, are dropped so the group keeps moving.
+   */
+  private async _isGroupHead(message: QueueEntry): Promise<boolean> {
+    const storage = this.getStorage() as unknown as PluginStorage;
+    const groupId = message.groupId!;
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const data = await storage.get(this._groupKey(groupId)) as { messages?: GroupMessage[] } | null;
+      const messages = Array.isArray(data?.messages) ? data.messages : [];
+
+      if (!messages.some((entry) => entry.queueId === message.id)) {
+        return true;
+      }
+
+      const head = messages[0]!;
+      if (head.queueId === message.id) {
+        return true;
+      }
+
+      if (!(await this._isStaleGroupHead(head))) {
+        return false;
+      }
+
+      await this._updateGroup(groupId, (current) =>
+        current[0]?.queueId === head.queueId ? current.slice(1) : null
+      );
+    }
+
+    return false;
+  }
+
+  private async _dropBlockedGroupMessages(messages: QueueEntry[]): Promise<QueueEntry[]> {
+    const claimable: QueueEntry[] = [];
+    const groupsWithHead = new Set<string>();
+
+    for (const message of messages) {
+      if (message.groupId) {
+        if (groupsWithHead.has(message.groupId) || !(await this._isGroupHead(message))) continue;
+        groupsWithHead.add(message.groupId);
+      }
+      claimable.push(message);
+    }
+
+    return claimable;
+  }
+
+  private async _isStaleGroupHead(head: GroupMessage): Promise<boolean> {
+    const [ok, , entry] = await tryFn(() => this.queueResource!.get(head.queueId));
+    if (ok && entry) {
+      return ['completed', 'failed', 'dead'].includes(entry.status);
+    }
+    // Give an in-flight enqueue time to insert its entry
+    return Date.now() - head.enqueuedAt > this.config.visibilityTimeout;
+  }
+
   private _normalizeOrderingMode(orderingMode: string): 'fifo' | 'lifo' {
     const candidate = (orderingMode || 'fifo').toString().toLowerCase();
     if (candidate !== 'fifo' && candidate !== 'lifo') {
@@ -2623,9 +3017,12 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
       return;
     }
 
-    const messages = allMessages.filter(msg => msg.visibleAt <= now).slice(0, availableCapacity);
+    const ticketedMessages = new Set(existingTickets.map((ticket) => ticket.messageId));
+    const orderedMessages = (await this._dropBlockedGroupMessages(
+      this._prepareAvailableMessages(allMessages, now).filter((msg) => !ticketedMessages.has(msg.id))
+    )).slice(0, availableCapacity);
 
-    if (messages.length === 0) {
+    if (orderedMessages.length === 0) {
       this._dispatchIdleStreak = Math.min(this._dispatchIdleStreak + 1, 10);
       const base = this.config.pollInterval;
       const maxIdle = this.config.maxPollInterval || Math.max(base * 32, 30000);
@@ -2637,12 +3034,6 @@ export class S3QueuePlugin extends CoordinatorPlugin<S3QueuePluginOptions> {
     this._dispatchIdleStreak = 0;
     this._nextDispatchAllowedAt = 0;
 
-    const orderedMessages = this._prepareAvailableMessages(messages, now);
-
-    if (orderedMessages.length === 0) {
-      return;
-    }
-
     const releaseOrderingLock = await this._acquireOrderingLock();
     if (!releaseOrderingLock) {
       return;
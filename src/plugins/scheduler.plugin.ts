@@ -55,6 +55,10 @@ interface LockOptions {
 
 type JobAction = (database: Database, context: JobContext, scheduler: SchedulerPlugin) => Promise<unknown>;
 
+export type CatchUpPolicy = 'none' | 'latest' | 'all';
+
+export type RunTrigger = 'schedule' | 'manual' | 'backfill' | 'catch-up' | 'dependency';
+
 interface JobConfig {
   schedule: string;
   description?: string;
@@ -62,9 +66,12 @@ interface JobConfig {
   enabled?: boolean;
   retries?: number;
   timeout?: number;
+  dependsOn?: string | string[];
+  catchUp?: CatchUpPolicy;
 }
 
-interface JobData extends JobConfig {
+interface JobData extends Omit<JobConfig, 'dependsOn'> {
+  dependsOn: string[];
   enabled: boolean;
   retries: number;
   timeout: number;
@@ -79,9 +86,38 @@ interface JobContext {
   jobName: string;
   executionId: string;
   scheduledTime: Date;
+  logicalDate: Date;
+  trigger: RunTrigger;
   database: Database;
 }
 
+interface QueuedRun {
+  logicalDate: number;
+  trigger: RunTrigger;
+}
+
+interface ScheduledRun {
+  jobName: string;
+  logicalDate: Date;
+}
+
+interface RunJobOptions {
+  logicalDate?: Date | number | string;
+  ignoreDependencies?: boolean;
+}
+
+interface BackfillOptions {
+  from: Date | number | string;
+  to: Date | number | string;
+  includeDependents?: boolean;
+}
+
+interface BackfillResult {
+  jobName: string;
+  enqueued: ScheduledRun[];
+  skipped: ScheduledRun[];
+}
+
 interface JobStatistics {
   totalRuns: number;
   totalSuccesses: number;
@@ -102,9 +138,11 @@ interface JobStatus {
   enabled: boolean;
   schedule: string;
   description?: string;
+  dependsOn: string[];
   lastRun: Date | null;
   nextRun: Date | null;
   isRunning: boolean;
+  waitingRuns: Date[];
   statistics: {
     totalRuns: number;
     totalSuccesses: number;
@@ -119,6 +157,8 @@ interface JobStatus {
 interface JobHistoryEntry {
   id: string;
   status: string;
+  logicalDate: Date | null;
+  trigger: RunTrigger | null;
   startTime: Date;
   endTime: Date | null;
   duration: number;
@@ -143,6 +183,8 @@ export interface SchedulerPluginOptions {
   defaultRetries?: number;
   jobHistoryResource?: string;
   persistJobs?: boolean;
+  catchUp?: CatchUpPolicy;
+  catchUpWindow?: number;
   onJobStart?: JobStartHook | null;
   onJobComplete?: JobCompleteHook | null;
   onJobError?: JobErrorHook | null;
@@ -157,6 +199,8 @@ interface SchedulerConfig {
   defaultRetries: number;
   jobHistoryResource: string;
   persistJobs: boolean;
+  catchUp: CatchUpPolicy;
+  catchUpWindow: number;
   onJobStart: JobStartHook | null;
   onJobComplete: JobCompleteHook | null;
   onJobError: JobErrorHook | null;
@@ -228,6 +272,12 @@ export class SchedulerPlugin extends CoordinatorPlugin {
   activeJobs: Map<string, string> = new Map();
   timers: Map<string, ReturnType<typeof setTimeout>> = new Map();
   statistics: Map<string, JobStatistics> = new Map();
+  runStates: Map<string, Map<number, string>> = new Map();
+  waitingRuns: Map<string, Map<number, RunTrigger>> = new Map();
+  runQueues: Map<string, QueuedRun[]> = new Map();
+  private _drains: Map<string, Promise<void>> = new Map();
+  private _triggers: Set<Promise<void>> = new Set();
+  private _dateFormatters: Map<string, Intl.DateTimeFormat> = new Map();
 
   constructor(options: SchedulerPluginOptions = {}) {
     super(options as any);
@@ -247,6 +297,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       defaultRetries = 1,
       jobHistoryResource = 'plg_job_executions',
       persistJobs = true,
+      catchUp = 'none',
+      catchUpWindow = 24 * 60 * 60 * 1000,
       onJobStart = null,
       onJobComplete = null,
       onJobError = null,
@@ -260,6 +312,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       defaultRetries: defaultRetries as number,
       jobHistoryResource: jobHistoryResource as string,
       persistJobs: persistJobs as boolean,
+      catchUp: catchUp as CatchUpPolicy,
+      catchUpWindow: catchUpWindow as number,
       logLevel: this.logLevel,
       onJobStart: onJobStart as JobStartHook | null,
       onJobComplete: onJobComplete as JobCompleteHook | null,
@@ -312,6 +366,96 @@ export class SchedulerPlugin extends CoordinatorPlugin {
           suggestion: 'Use valid cron format (5 fields: minute hour day month weekday) or shortcuts (@hourly, @daily, @weekly, @monthly, @yearly)'
         });
       }
+
+      if (job.catchUp !== undefined) {
+        this._validateCatchUpPolicy(job.catchUp, 'validateConfiguration', jobName);
+      }
+    }
+
+    this._validateCatchUpPolicy(this.config.catchUp, 'validateConfiguration');
+
+    const graph = new Map<string, string[]>();
+    for (const [jobName, job] of Object.entries(this.config.jobs)) {
+      graph.set(jobName, this._normalizeDependsOn(job.dependsOn));
+    }
+    for (const jobName of graph.keys()) {
+      this._validateDependencies(jobName, graph, 'validateConfiguration');
+    }
+  }
+
+  private _validateCatchUpPolicy(policy: unknown, operation: string, jobName?: string): void {
+    if (policy === 'none' || policy === 'latest' || policy === 'all') {
+      return;
+    }
+
+    throw new SchedulerError(`Invalid catchUp policy '${String(policy)}'${jobName ? ` for job '${jobName}'` : ''}`, {
+      operation,
+      taskId: jobName,
+      catchUp: policy,
+      suggestion: "Use one of: 'none' (skip missed runs), 'latest' (run only the most recent missed run), 'all' (run every missed run)"
+    });
+  }
+
+  private _normalizeDependsOn(dependsOn: string | string[] | undefined): string[] {
+    if (dependsOn === undefined || dependsOn === null) {
+      return [];
+    }
+
+    const names = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+    return Array.from(new Set(names.map((name) => String(name).trim()).filter(Boolean)));
+  }
+
+  /**
+   * Checks that every upstream of `jobName` exists in `graph` and that following
+   * the dependsOn edges never leads back to `jobName`.
+   */
+  private _validateDependencies(jobName: string, graph: Map<string, string[]>, operation: string): void {
+    const dependsOn = graph.get(jobName) || [];
+
+    for (const upstream of dependsOn) {
+      if (upstream === jobName) {
+        throw new SchedulerError(`Job '${jobName}' cannot depend on itself`, {
+          operation,
+          taskId: jobName,
+          dependsOn,
+          suggestion: 'Remove the job from its own dependsOn list'
+        });
+      }
+
+      if (!graph.has(upstream)) {
+        throw new SchedulerError(`Job '${jobName}' depends on unknown job '${upstream}'`, {
+          operation,
+          taskId: jobName,
+          dependsOn,
+          availableJobs: Array.from(graph.keys()),
+          suggestion: 'Define the upstream job before (or together with) the jobs that depend on it'
+        });
+      }
+    }
+
+    const visited = new Set<string>();
+    const visit = (current: string, path: string[]): void => {
+      for (const upstream of graph.get(current) || []) {
+        if (upstream === jobName) {
+          throw new SchedulerError(`Dependency cycle detected: ${[jobName, ...path, jobName].join(' -> ')}`, {
+            operation,
+            taskId: jobName,
+            cycle: [jobName, ...path, jobName],
+            suggestion: 'Jobs must form a DAG; remove one of the dependsOn edges in the cycle'
+          });
+        }
+        if (!visited.has(upstream)) {
+          visited.add(upstream);
+          visit(upstream, [...path, upstream]);
+        }
+      }
+    };
+
+    for (const upstream of dependsOn) {
+      if (!visited.has(upstream)) {
+        visited.add(upstream);
+        visit(upstream, [upstream]);
+      }
     }
   }
 
@@ -519,16 +663,20 @@ export class SchedulerPlugin extends CoordinatorPlugin {
 
   private _getDateParts(date: Date, timezone: string): { year: number; month: number; day: number; hour: number; minute: number; weekday: number } | null {
     try {
-      const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        weekday: 'short',
-        hourCycle: 'h23'
-      });
+      let formatter = this._dateFormatters.get(timezone);
+      if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          weekday: 'short',
+          hourCycle: 'h23'
+        });
+        this._dateFormatters.set(timezone, formatter);
+      }
 
       const parts = formatter.formatToParts(date);
       const values = parts.reduce((acc, part) => {
@@ -553,14 +701,19 @@ export class SchedulerPlugin extends CoordinatorPlugin {
   }
 
   private _hasCronMatchInTimezone(schedule: string, date: Date, timezone: string): boolean {
+    const fields = this._compileCron(schedule);
+    return fields !== null && this._matchesCron(fields, date, timezone);
+  }
+
+  private _compileCron(schedule: string): CronFieldParseResult[] | null {
     const normalized = this._normalizeCronExpression(schedule);
     if (!normalized) {
-      return false;
+      return null;
     }
 
     const parts = normalized.split(/\s+/);
     if (parts.length !== 5) {
-      return false;
+      return null;
     }
 
     const [minuteExpr, hourExpr, dayOfMonthExpr, monthExpr, dayOfWeekExpr] = parts as [
@@ -578,9 +731,21 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     const dayOfWeek = this._parseField(dayOfWeekExpr, 0, 6, this._dayOfWeekNames);
 
     if (!minute || !hour || !dayOfMonth || !month || !dayOfWeek) {
-      return false;
+      return null;
     }
 
+    return [minute, hour, dayOfMonth, month, dayOfWeek];
+  }
+
+  private _matchesCron(fields: CronFieldParseResult[], date: Date, timezone: string): boolean {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields as [
+      CronFieldParseResult,
+      CronFieldParseResult,
+      CronFieldParseResult,
+      CronFieldParseResult,
+      CronFieldParseResult
+    ];
+
     const timezoneParts = this._getDateParts(date, timezone);
     if (!timezoneParts) {
       return false;
@@ -606,6 +771,41 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     return minuteMatch && hourMatch && monthMatch && dateMatch;
   }
 
+  /**
+   * Cron slots of `schedule` between `from` and `to` (inclusive), oldest first.
+   * Slots are the logical dates that dependencies, backfills and catch-up refer to.
+   */
+  private _listScheduledRuns(schedule: string, from: number, to: number, timezone: string = this.config.timezone): number[] {
+    const fields = this._compileCron(schedule);
+    if (!fields) {
+      return [];
+    }
+
+    const runs: number[] = [];
+    for (let time = Math.ceil(from / 60000) * 60000; time <= to; time += 60000) {
+      if (this._matchesCron(fields, new Date(time), timezone)) {
+        runs.push(time);
+      }
+    }
+    return runs;
+  }
+
+  private _previousScheduledRun(schedule: string, at: number, timezone: string = this.config.timezone): number | null {
+    const fields = this._compileCron(schedule);
+    if (!fields) {
+      return null;
+    }
+
+    const floor = Math.floor(at / 60000) * 60000;
+    for (let attempt = 0; attempt < 60 * 24 * 366; attempt++) {
+      const time = floor - attempt * 60000;
+      if (this._matchesCron(fields, new Date(time), timezone)) {
+        return time;
+      }
+    }
+    return null;
+  }
+
   override async onInstall(): Promise<void> {
     if (this.config.persistJobs) {
       await this._createJobHistoryResource();
@@ -614,6 +814,7 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     for (const [jobName, jobConfig] of Object.entries(this.config.jobs)) {
       this.jobs.set(jobName, {
         ...jobConfig,
+        dependsOn: this._normalizeDependsOn(jobConfig.dependsOn),
         enabled: jobConfig.enabled !== false,
         retries: jobConfig.retries || this.config.defaultRetries,
         timeout: jobConfig.timeout || this.config.defaultTimeout,
@@ -655,6 +856,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
         result: 'json|default:null',
         error: 'string|default:null',
         retryCount: 'number|default:0',
+        logicalDate: 'number|optional',
+        trigger: 'string|optional',
         createdAt: 'string|required'
       },
       behavior: 'body-overflow',
@@ -678,6 +881,9 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       workerId: this.workerId,
       timestamp: Date.now()
     });
+
+    // The previous coordinator may have died with runs still due
+    await this._catchUpMissedRuns();
   }
 
   override async onStopBeingCoordinator(): Promise<void> {
@@ -713,7 +919,7 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     this.timers.clear();
   }
 
-  private _scheduleNextExecution(jobName: string): void {
+  private _scheduleNextExecution(jobName: string, after: number = Date.now()): void {
     const job = this.jobs.get(jobName);
     if (!job || !job.enabled) return;
 
@@ -723,14 +929,18 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       this.timers.delete(jobName);
     }
 
-    const nextRun = this._calculateNextRun(job.schedule);
+    const nextRun = this._calculateNextRun(job.schedule, this.config.timezone, after);
     job.nextRun = nextRun;
 
     const delay = nextRun.getTime() - Date.now();
 
     if (delay > 0) {
       const timer = setTimeout(() => {
-        this._executeJob(jobName);
+        this.timers.delete(jobName);
+        const logicalDate = this._previousScheduledRun(job.schedule, nextRun.getTime()) ?? nextRun.getTime();
+        this._dispatchRun(jobName, logicalDate, 'schedule');
+        // Arm the next slot now: a run that waits on upstream jobs must not stall the schedule
+        this._scheduleNextExecution(jobName, nextRun.getTime());
       }, delay);
 
       this.timers.set(jobName, timer);
@@ -739,8 +949,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     }
   }
 
-  private _calculateNextRun(schedule: string, timezone: string = this.config.timezone): Date {
-    const now = new Date();
+  private _calculateNextRun(schedule: string, timezone: string = this.config.timezone, after: number = Date.now()): Date {
+    const now = new Date(Math.max(after, Date.now()));
     const normalized = this._normalizeCronExpression(schedule);
 
     if (!normalized) {
@@ -856,14 +1066,18 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     return nextRun;
   }
 
-  private async _executeJob(jobName: string): Promise<void> {
+  /**
+   * Runs one attempt cycle of a job for a logical date. Resolves to false when the run was
+   * skipped because the job is already running here or its lock is held elsewhere.
+   */
+  private async _executeJob(jobName: string, run: QueuedRun, lockTimeout: number = 0): Promise<boolean> {
     const job = this.jobs.get(jobName);
     if (!job) {
-      return;
+      return false;
     }
 
     if (this.activeJobs.has(jobName)) {
-      return;
+      return false;
     }
 
     this.activeJobs.set(jobName, 'acquiring-lock');
@@ -872,14 +1086,14 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     const lockName = `job-${jobName}`;
     const lock = await storage.acquireLock(lockName, {
       ttl: Math.ceil(job.timeout / 1000) + 60,
-      timeout: 0,
+      timeout: lockTimeout,
       workerId: this.workerId
     });
 
     if (!lock) {
       this.logger.debug({ jobName }, `Job '${jobName}' already running on another instance`);
       this.activeJobs.delete(jobName);
-      return;
+      return false;
     }
 
     const executionId = `${jobName}_${idGenerator()}`;
@@ -889,6 +1103,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       jobName,
       executionId,
       scheduledTime: new Date(startTime),
+      logicalDate: new Date(run.logicalDate),
+      trigger: run.trigger,
       database: this.database as unknown as Database
     };
 
@@ -911,7 +1127,13 @@ export class SchedulerPlugin extends CoordinatorPlugin {
         await this._executeHook(this.config.onJobStart, jobName, context);
       }
 
-      this.emit('plg:scheduler:job-start', { jobName, executionId, startTime });
+      this.emit('plg:scheduler:job-start', {
+        jobName,
+        executionId,
+        startTime,
+        logicalDate: context.logicalDate,
+        trigger: run.trigger
+      });
 
       let attempt = 0;
       let lastError: Error | null = null;
@@ -987,9 +1209,11 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       stats.avgDuration = ((stats.avgDuration * (stats.totalRuns - 1)) + duration) / stats.totalRuns;
 
       if (this.config.persistJobs) {
-        await this._persistJobExecution(jobName, executionId, startTime, endTime, duration, status, result, lastError, attempt);
+        await this._persistJobExecution(jobName, executionId, startTime, endTime, duration, status, result, lastError, attempt, run);
       }
 
+      this._recordRunState(jobName, run.logicalDate, status);
+
       if (status === 'success' && this.config.onJobComplete) {
         await this._executeHook(this.config.onJobComplete, jobName, result, duration);
       } else if (status !== 'success' && this.config.onJobError) {
@@ -1003,7 +1227,9 @@ export class SchedulerPlugin extends CoordinatorPlugin {
         duration,
         result,
         error: lastError?.message,
-        retryCount: attempt
+        retryCount: attempt,
+        logicalDate: context.logicalDate,
+        trigger: run.trigger
       });
 
       this.activeJobs.delete(jobName);
@@ -1012,9 +1238,15 @@ export class SchedulerPlugin extends CoordinatorPlugin {
         this._scheduleNextExecution(jobName);
       }
 
+      if (status === 'success') {
+        this._releaseDependents(jobName, run.logicalDate);
+      }
+
       if (lastError && status !== 'success') {
         throw lastError;
       }
+
+      return true;
     } finally {
       if (lock) {
         await tryFn(() => storage.releaseLock(lock));
@@ -1031,7 +1263,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     status: string,
     result: unknown,
     error: Error | null,
-    retryCount: number
+    retryCount: number,
+    run: QueuedRun
   ): Promise<void> {
     if (!this.database) return;
 
@@ -1046,6 +1279,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
         result: result ? JSON.stringify(result) : null,
         error: error?.message || null,
         retryCount,
+        logicalDate: run.logicalDate,
+        trigger: run.trigger,
         createdAt: new Date(startTime).toISOString().slice(0, 10)
       })
     );
@@ -1064,7 +1299,7 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     }
   }
 
-  async runJob(jobName: string, _context: Record<string, unknown> = {}): Promise<void> {
+  async runJob(jobName: string, options: RunJobOptions = {}): Promise<void> {
     const job = this.jobs.get(jobName);
     if (!job) {
       throw new SchedulerError(`Job '${jobName}' not found`, {
@@ -1084,7 +1319,319 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       });
     }
 
-    await this._executeJob(jobName);
+    const now = Date.now();
+    const logicalDate = options.logicalDate !== undefined
+      ? this._toTimestamp(options.logicalDate, 'runJob', 'logicalDate', jobName)
+      : this._previousScheduledRun(job.schedule, now) ?? Math.floor(now / 60000) * 60000;
+
+    if (!options.ignoreDependencies && job.dependsOn.length > 0) {
+      const waitingOn = await this._pendingDependencies(job, logicalDate);
+      if (waitingOn.length > 0) {
+        throw new SchedulerError(`Job '${jobName}' is waiting on upstream jobs for ${new Date(logicalDate).toISOString()}`, {
+          operation: 'runJob',
+          taskId: jobName,
+          logicalDate: new Date(logicalDate).toISOString(),
+          waitingOn,
+          suggestion: 'Run the upstream jobs for this logical date first, or pass { ignoreDependencies: true }'
+        });
+      }
+    }
+
+    await this._executeJob(jobName, { logicalDate, trigger: 'manual' });
+  }
+
+  /**
+   * Enqueues every run of `jobName` whose cron slot falls between `from` and `to` and has
+   * not succeeded yet. Runs execute one at a time per job, still honoring dependsOn.
+   */
+  async backfill(jobName: string, options: BackfillOptions): Promise<BackfillResult> {
+    const job = this.jobs.get(jobName);
+    if (!job) {
+      throw new SchedulerError(`Job '${jobName}' not found`, {
+        operation: 'backfill',
+        taskId: jobName,
+        availableJobs: Array.from(this.jobs.keys()),
+        suggestion: 'Check job name or use getAllJobsStatus() to list available jobs'
+      });
+    }
+
+    const from = this._toTimestamp(options?.from, 'backfill', 'from', jobName);
+    const to = this._toTimestamp(options?.to, 'backfill', 'to', jobName);
+    if (from > to) {
+      throw new SchedulerError(`Backfill range for job '${jobName}' ends before it starts`, {
+        operation: 'backfill',
+        taskId: jobName,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        suggestion: 'Pass a range where from <= to'
+      });
+    }
+
+    const jobNames = options.includeDependents ? [jobName, ...this._collectDependents(jobName)] : [jobName];
+    const result: BackfillResult = { jobName, enqueued: [], skipped: [] };
+
+    for (const name of jobNames) {
+      const target = this.jobs.get(name)!;
+      if (this.config.persistJobs) {
+        await this._loadRunStates(name);
+      }
+
+      for (const logicalDate of this._listScheduledRuns(target.schedule, from, to)) {
+        const run = { jobName: name, logicalDate: new Date(logicalDate) };
+        if (this.runStates.get(name)?.get(logicalDate) === 'success') {
+          result.skipped.push(run);
+          continue;
+        }
+        result.enqueued.push(run);
+        await this._triggerRun(name, logicalDate, 'backfill');
+      }
+    }
+
+    this.emit('plg:scheduler:backfill', {
+      jobName,
+      from: new Date(from),
+      to: new Date(to),
+      enqueued: result.enqueued.length,
+      skipped: result.skipped.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Resolves once every queued, waiting-to-be-released and running backfill, catch-up
+   * and dependency run has finished. Runs still waiting on a failed upstream are not awaited.
+   */
+  async drain(): Promise<void> {
+    while (this._drains.size > 0 || this._triggers.size > 0) {
+      await Promise.all([...this._drains.values(), ...this._triggers]);
+    }
+  }
+
+  private _toTimestamp(value: unknown, operation: string, field: string, jobName: string): number {
+    const timestamp = value instanceof Date
+      ? value.getTime()
+      : typeof value === 'string' ? Date.parse(value) : typeof value === 'number' ? value : NaN;
+
+    if (!Number.isFinite(timestamp)) {
+      throw new SchedulerError(`Invalid ${field} '${String(value)}' for job '${jobName}'`, {
+        operation,
+        taskId: jobName,
+        [field]: value,
+        suggestion: 'Use a Date, an epoch timestamp in milliseconds or an ISO 8601 string'
+      });
+    }
+
+    return timestamp;
+  }
+
+  private _collectDependents(jobName: string): string[] {
+    const dependents: string[] = [];
+    const pending = [jobName];
+
+    while (pending.length > 0) {
+      const current = pending.shift()!;
+      for (const [name, job] of this.jobs) {
+        if (job.dependsOn.includes(current) && !dependents.includes(name)) {
+          dependents.push(name);
+          pending.push(name);
+        }
+      }
+    }
+
+    return dependents;
+  }
+
+  private _recordRunState(jobName: string, logicalDate: number, status: string): void {
+    let states = this.runStates.get(jobName);
+    if (!states) {
+      states = new Map();
+      this.runStates.set(jobName, states);
+    }
+
+    // A later failed rerun does not undo a success that dependents may already have consumed
+    if (states.get(logicalDate) !== 'success') {
+      states.set(logicalDate, status);
+    }
+  }
+
+  private async _loadRunStates(jobName: string): Promise<void> {
+    const history = this.database?.resources[this.config.jobHistoryResource];
+    if (!history) return;
+
+    const [ok, err, records] = await tryFn(() => history.query({ jobName }));
+    if (!ok) {
+      this.logger.warn({ jobName, error: (err as Error).message }, `Failed to load run history for job '${jobName}': ${(err as Error).message}`);
+      return;
+    }
+
+    for (const record of records as Array<Record<string, unknown>>) {
+      if (typeof record.logicalDate === 'number') {
+        this._recordRunState(jobName, record.logicalDate, record.status as string);
+      }
+    }
+  }
+
+  private async _getRunStatus(jobName: string, logicalDate: number): Promise<string | null> {
+    const known = this.runStates.get(jobName)?.get(logicalDate);
+    if (known === 'success' || !this.config.persistJobs) {
+      return known ?? null;
+    }
+
+    // Another instance may have run the job for this logical date
+    await this._loadRunStates(jobName);
+    return this.runStates.get(jobName)?.get(logicalDate) ?? null;
+  }
+
+  private async _pendingDependencies(job: JobData, logicalDate: number): Promise<string[]> {
+    const waitingOn: string[] = [];
+    for (const upstream of job.dependsOn) {
+      if (await this._getRunStatus(upstream, logicalDate) !== 'success') {
+        waitingOn.push(upstream);
+      }
+    }
+    return waitingOn;
+  }
+
+  /**
+   * Queues a run once all upstream jobs succeeded for the same logical date; otherwise
+   * parks it until _releaseDependents() sees the last upstream succeed.
+   */
+  private async _triggerRun(jobName: string, logicalDate: number, trigger: RunTrigger): Promise<void> {
+    const job = this.jobs.get(jobName);
+    if (!job) return;
+
+    const waitingOn = await this._pendingDependencies(job, logicalDate);
+    if (waitingOn.length > 0) {
+      let waiting = this.waitingRuns.get(jobName);
+      if (!waiting) {
+        waiting = new Map();
+        this.waitingRuns.set(jobName, waiting);
+      }
+      waiting.set(logicalDate, trigger);
+
+      // An upstream may have succeeded while its history was being read
+      const stillWaiting = job.dependsOn.filter((upstream) => this.runStates.get(upstream)?.get(logicalDate) !== 'success');
+      if (stillWaiting.length > 0) {
+        this.emit('plg:scheduler:job-waiting', {
+          jobName,
+          logicalDate: new Date(logicalDate),
+          trigger,
+          waitingOn: stillWaiting
+        });
+        return;
+      }
+      waiting.delete(logicalDate);
+    }
+
+    const queue = this.runQueues.get(jobName) || [];
+    this.runQueues.set(jobName, queue);
+    if (queue.some((queued) => queued.logicalDate === logicalDate)) {
+      return;
+    }
+    queue.push({ logicalDate, trigger });
+    this._startDrain(jobName);
+  }
+
+  private _dispatchRun(jobName: string, logicalDate: number, trigger: RunTrigger): void {
+    const pending: Promise<void> = this._triggerRun(jobName, logicalDate, trigger)
+      .catch((error) => {
+        this.logger.warn({ jobName, error: (error as Error).message }, `Failed to trigger job '${jobName}': ${(error as Error).message}`);
+      })
+      .finally(() => this._triggers.delete(pending));
+    this._triggers.add(pending);
+  }
+
+  private _releaseDependents(jobName: string, logicalDate: number): void {
+    for (const [name, job] of this.jobs) {
+      const trigger = this.waitingRuns.get(name)?.get(logicalDate);
+      if (!trigger || !job.dependsOn.includes(jobName)) continue;
+
+      this.waitingRuns.get(name)!.delete(logicalDate);
+      this._dispatchRun(name, logicalDate, trigger);
+    }
+  }
+
+  private _startDrain(jobName: string): void {
+    if (this._drains.has(jobName)) return;
+
+    const drain: Promise<void> = this._drainRuns(jobName).finally(() => {
+      if (this._drains.get(jobName) === drain) {
+        this._drains.delete(jobName);
+      }
+      if ((this.runQueues.get(jobName)?.length ?? 0) > 0 && this.jobs.has(jobName)) {
+        this._startDrain(jobName);
+      }
+    });
+    this._drains.set(jobName, drain);
+  }
+
+  private async _drainRuns(jobName: string): Promise<void> {
+    const queue = this.runQueues.get(jobName);
+
+    while (queue && queue.length > 0) {
+      const job = this.jobs.get(jobName);
+      if (!job) {
+        queue.length = 0;
+        return;
+      }
+
+      // Queued runs wait for a manual or scheduled run of the same job instead of being dropped
+      if (this.activeJobs.has(jobName)) {
+        await this._sleep(50);
+        continue;
+      }
+
+      const run = queue.shift()!;
+      // Scheduled runs keep the old skip-if-locked behavior; other runs wait for the lock
+      const lockTimeout = run.trigger === 'schedule' ? 0 : job.timeout;
+      const [ok, , executed] = await tryFn(() => this._executeJob(jobName, run, lockTimeout));
+
+      if (ok && !executed && run.trigger !== 'schedule') {
+        this.logger.warn(
+          { jobName, logicalDate: new Date(run.logicalDate).toISOString(), trigger: run.trigger },
+          `Skipped ${run.trigger} run of job '${jobName}': lock held by another instance`
+        );
+      }
+    }
+  }
+
+  /**
+   * Applies the catchUp policy after this worker becomes coordinator. Only slots newer than
+   * the job's latest recorded run count as missed, so a fresh deployment does not replay history.
+   */
+  private async _catchUpMissedRuns(): Promise<void> {
+    const now = Date.now();
+
+    for (const [jobName, job] of this.jobs) {
+      const policy = job.catchUp ?? this.config.catchUp;
+      if (policy === 'none' || !job.enabled) continue;
+
+      if (!this.config.persistJobs) {
+        this.logger.warn({ jobName }, `Cannot catch up job '${jobName}' without persistJobs`);
+        continue;
+      }
+
+      await this._loadRunStates(jobName);
+      const known = this.runStates.get(jobName);
+      if (!known || known.size === 0) continue;
+
+      const lastRecorded = Math.max(...known.keys());
+      const missed = this._listScheduledRuns(job.schedule, Math.max(lastRecorded + 1, now - this.config.catchUpWindow), now)
+        .filter((logicalDate) => logicalDate < now && !known.has(logicalDate));
+      const runs = policy === 'latest' ? missed.slice(-1) : missed;
+      if (runs.length === 0) continue;
+
+      this.emit('plg:scheduler:catch-up', {
+        jobName,
+        policy,
+        runs: runs.map((logicalDate) => new Date(logicalDate))
+      });
+
+      for (const logicalDate of runs) {
+        await this._triggerRun(jobName, logicalDate, 'catch-up');
+      }
+    }
   }
 
   enableJob(jobName: string): void {
@@ -1139,9 +1686,13 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       enabled: job.enabled,
       schedule: job.schedule,
       description: job.description,
+      dependsOn: [...job.dependsOn],
       lastRun: job.lastRun,
       nextRun: job.nextRun,
       isRunning: this.activeJobs.has(jobName),
+      waitingRuns: Array.from(this.waitingRuns.get(jobName)?.keys() || [])
+        .sort((a, b) => a - b)
+        .map((logicalDate) => new Date(logicalDate)),
       statistics: {
         totalRuns: stats.totalRuns,
         totalSuccesses: stats.totalSuccesses,
@@ -1206,6 +1757,8 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       return {
         id: h.id as string,
         status: h.status as string,
+        logicalDate: typeof h.logicalDate === 'number' ? new Date(h.logicalDate) : null,
+        trigger: (h.trigger as RunTrigger | undefined) ?? null,
         startTime: new Date(h.startTime as number),
         endTime: h.endTime ? new Date(h.endTime as number) : null,
         duration: h.duration as number,
@@ -1244,8 +1797,21 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       });
     }
 
+    if (jobConfig.catchUp !== undefined) {
+      this._validateCatchUpPolicy(jobConfig.catchUp, 'addJob', jobName);
+    }
+
+    const dependsOn = this._normalizeDependsOn(jobConfig.dependsOn);
+    const graph = new Map<string, string[]>();
+    for (const [name, existing] of this.jobs) {
+      graph.set(name, existing.dependsOn);
+    }
+    graph.set(jobName, dependsOn);
+    this._validateDependencies(jobName, graph, 'addJob');
+
     const job: JobData = {
       ...jobConfig,
+      dependsOn,
       enabled: jobConfig.enabled !== false,
       retries: jobConfig.retries ?? this.config.defaultRetries,
       timeout: jobConfig.timeout ?? this.config.defaultTimeout,
@@ -1285,6 +1851,18 @@ export class SchedulerPlugin extends CoordinatorPlugin {
       });
     }
 
+    const dependents = Array.from(this.jobs.entries())
+      .filter(([, other]) => other.dependsOn.includes(jobName))
+      .map(([name]) => name);
+    if (dependents.length > 0) {
+      throw new SchedulerError(`Job '${jobName}' is a dependency of: ${dependents.join(', ')}`, {
+        operation: 'removeJob',
+        taskId: jobName,
+        dependents,
+        suggestion: 'Remove the dependent jobs first'
+      });
+    }
+
     const timer = this.timers.get(jobName);
     if (timer) {
       clearTimeout(timer);
@@ -1294,6 +1872,9 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     this.jobs.delete(jobName);
     this.statistics.delete(jobName);
     this.activeJobs.delete(jobName);
+    this.runStates.delete(jobName);
+    this.waitingRuns.delete(jobName);
+    this.runQueues.delete(jobName);
 
     this.emit('plg:scheduler:job-removed', { jobName });
   }
@@ -1331,6 +1912,9 @@ export class SchedulerPlugin extends CoordinatorPlugin {
     this.jobs.clear();
     this.statistics.clear();
     this.activeJobs.clear();
+    this.runStates.clear();
+    this.waitingRuns.clear();
+    this.runQueues.clear();
     this.removeAllListeners();
 
     await this.stopCoordination();
@@ -1,7 +1,10 @@
 import { Plugin } from './plugin.class.js';
+import { CoordinatorPlugin, type CoordinatorConfig, type IntervalHandle } from './concerns/coordinator-plugin.class.js';
 import tryFn from '../concerns/try-fn.js';
+import { createLogger, type LogLevel } from '../concerns/logger.js';
 import { resolveResourceNames } from './concerns/resource-names.js';
 import { StateMachineError } from './state-machine.errors.js';
+import { Statechart, type ChartStep, type ChartTransition, type StateHistory, type StateNode, type StateNodeConfig } from './state-machine.statechart.js';
 import { ErrorClassifier } from '../concerns/error-classifier.js';
 import { getCronManager } from '../concerns/cron-manager.js';
 
@@ -20,6 +23,7 @@ interface Resource {
   delete(id: string): Promise<void>;
   get(id: string): Promise<StateRecord | null>;
   query(filter: Record<string, unknown>, options?: QueryOptions): Promise<TransitionRecord[]>;
+  list(options?: QueryOptions): Promise<TimerRecord[]>;
   on(event: string, handler: (...args: unknown[]) => void): void;
 }
 
@@ -36,9 +40,21 @@ interface StateRecord {
   context: Record<string, unknown>;
   lastTransition: string | null;
   triggerCounts?: Record<string, number>;
+  history?: StateHistory;
   updatedAt: string;
 }
 
+interface TimerRecord {
+  id: string;
+  machineId: string;
+  entityId: string;
+  state: string;
+  delay: string;
+  target: string;
+  dueAt: number;
+  context: Record<string, unknown>;
+}
+
 interface TransitionRecord {
   id: string;
   machineId: string;
@@ -97,12 +113,8 @@ interface ActionContext {
   entityId: string;
 }
 
-interface StateConfig {
-  on?: Record<string, string>;
-  type?: 'final';
-  entry?: string;
-  exit?: string;
-  guards?: Record<string, string>;
+interface StateConfig extends StateNodeConfig {
+  states?: Record<string, StateConfig>;
   meta?: Record<string, unknown>;
   triggers?: TriggerConfig[];
   retryConfig?: RetryConfig;
@@ -165,10 +177,11 @@ interface TriggerListenerRef {
   handler: (...args: unknown[]) => unknown;
 }
 
-export interface StateMachinePluginOptions {
+export interface StateMachinePluginOptions extends CoordinatorConfig {
   resourceNames?: {
     transitionLog?: string;
     states?: string;
+    timers?: string;
   };
   stateMachines?: Record<string, MachineConfig>;
   actions?: Record<string, ActionHandler>;
@@ -188,6 +201,8 @@ export interface StateMachinePluginOptions {
   enableFunctionTriggers?: boolean;
   enableEventTriggers?: boolean;
   triggerCheckInterval?: number;
+  /** How often the coordinator fires due `after` transitions. */
+  timerCheckInterval?: number;
   logLevel?: string;
   [key: string]: unknown;
 }
@@ -199,6 +214,7 @@ interface StateMachineConfig {
   persistTransitions: boolean;
   transitionLogResource: string;
   stateResource: string;
+  timerResource: string;
   retryAttempts: number;
   retryDelay: number;
   workerId: string;
@@ -211,17 +227,21 @@ interface StateMachineConfig {
   enableFunctionTriggers: boolean;
   enableEventTriggers: boolean;
   triggerCheckInterval: number;
+  timerCheckInterval: number;
   logLevel?: string;
 }
 
 interface MachineData {
   config: MachineConfig;
+  chart: Statechart;
   currentStates: Map<string, string>;
+  histories: Map<string, StateHistory>;
 }
 
 interface ResourceNames {
   transitionLog: string;
   states: string;
+  timers: string;
 }
 
 interface ResourceDescriptor {
@@ -259,6 +279,8 @@ interface EntityInState {
 interface MachineProxy {
   send(id: string, event: string, eventData?: Record<string, unknown>): Promise<TransitionResult>;
   getState(id: string): Promise<string>;
+  getActiveStates(id: string): Promise<string[]>;
+  matches(id: string, state: string): Promise<boolean>;
   canTransition(id: string, event: string): Promise<boolean>;
   getValidEvents(id: string): Promise<string[]>;
   initializeEntity(id: string, context?: Record<string, unknown>): Promise<string>;
@@ -266,11 +288,14 @@ interface MachineProxy {
   deleteEntity(id: string): Promise<void>;
 }
 
+/** Upper bound on chained onDone steps within one transition. */
+const MAX_DONE_STEPS = 32;
+
 interface SchedulerPluginClass {
   new(options: Record<string, unknown>): Plugin & { stop(): Promise<void> };
 }
 
-export class StateMachinePlugin extends Plugin {
+export class StateMachinePlugin extends CoordinatorPlugin<StateMachinePluginOptions> {
   declare namespace: string;
   declare logLevel: string;
 
@@ -283,9 +308,19 @@ export class StateMachinePlugin extends Plugin {
   _triggerListeners: TriggerListenerRef[];
 
   private _resourceDescriptors: Record<string, ResourceDescriptor>;
+  private _charts: Map<string, Statechart>;
+  private _timerHandle: IntervalHandle | null;
+  private _lastTransitionAt: number;
 
   constructor(options: StateMachinePluginOptions = {}) {
-    super(options);
+    super({
+      ...options,
+      coordinatorWorkInterval: options.timerCheckInterval || 5000
+    });
+
+    if (!options.logger) {
+      this.logger = createLogger({ name: `Plugin:${this.name}`, level: (this.logLevel || 'info') as LogLevel });
+    }
 
     const smOptions = this.options as StateMachinePluginOptions;
     const {
@@ -308,6 +343,7 @@ export class StateMachinePlugin extends Plugin {
       enableFunctionTriggers = true,
       enableEventTriggers = true,
       triggerCheckInterval = 60000,
+      timerCheckInterval = 5000,
       ...rest
     } = smOptions;
 
@@ -328,6 +364,10 @@ export class StateMachinePlugin extends Plugin {
       states: {
         defaultName: 'plg_entity_states',
         override: resourceNamesOption.states || stateResource
+      },
+      timers: {
+        defaultName: 'plg_state_timers',
+        override: resourceNamesOption.timers
       }
     };
 
@@ -340,6 +380,7 @@ export class StateMachinePlugin extends Plugin {
       persistTransitions,
       transitionLogResource: this.resourceNames.transitionLog,
       stateResource: this.resourceNames.states,
+      timerResource: this.resourceNames.timers,
       retryAttempts,
       retryDelay,
       logLevel: this.logLevel,
@@ -353,6 +394,7 @@ export class StateMachinePlugin extends Plugin {
       enableFunctionTriggers,
       enableEventTriggers,
       triggerCheckInterval,
+      timerCheckInterval,
       ...rest
     };
 
@@ -361,6 +403,9 @@ export class StateMachinePlugin extends Plugin {
     this.schedulerPlugin = null;
     this._pendingEventHandlers = new Set();
     this._triggerListeners = [];
+    this._charts = new Map();
+    this._timerHandle = null;
+    this._lastTransitionAt = 0;
 
     this._validateConfiguration();
   }
@@ -376,6 +421,7 @@ export class StateMachinePlugin extends Plugin {
     if (this.config) {
       this.config.transitionLogResource = this.resourceNames.transitionLog;
       this.config.stateResource = this.resourceNames.states;
+      this.config.timerResource = this.resourceNames.timers;
     }
   }
 
@@ -450,6 +496,14 @@ export class StateMachinePlugin extends Plugin {
     return (this.database.resources[this.config.transitionLogResource] as Resource | undefined) || null;
   }
 
+  private _getTimerResource(): Resource | null {
+    if (!this.database?.resources) {
+      return null;
+    }
+
+    return (this.database.resources[this.config.timerResource] as Resource | undefined) || null;
+  }
+
   private _getMachineConfig(machineConfig: MachineConfig): MachineConfig {
     const nestedConfig = (machineConfig as { config?: MachineConfig }).config;
 
@@ -504,18 +558,31 @@ export class StateMachinePlugin extends Plugin {
           suggestion: 'Set initialState to one of the defined states'
         });
       }
+
+      this._charts.set(machineName, new Statechart(machineName, machine));
     }
   }
 
+  /** Whether any machine declares `after` transitions. */
+  private get _hasTimers(): boolean {
+    return Array.from(this._charts.values()).some(chart => chart.nodes.some(node => node.config.after));
+  }
+
   override async onInstall(): Promise<void> {
     if (this.config.persistTransitions) {
       await this._createStateResources();
     }
 
+    if (this._hasTimers) {
+      await this._createTimerResource();
+    }
+
     for (const [machineName, machineConfig] of Object.entries(this.config.stateMachines)) {
       this.machines.set(machineName, {
         config: machineConfig,
-        currentStates: new Map()
+        chart: this._charts.get(machineName)!,
+        currentStates: new Map(),
+        histories: new Map()
       });
     }
 
@@ -523,6 +590,22 @@ export class StateMachinePlugin extends Plugin {
     await this._setupTriggers();
 
     this.emit('db:plugin:initialized', { machines: Array.from(this.machines.keys()) });
+
+    if (this._hasTimers) {
+      if (this.enableCoordinator) {
+        await this.startCoordination();
+      } else {
+        this._timerHandle = await this._scheduleInterval(
+          async () => { await this.processTimers(); },
+          this.config.timerCheckInterval,
+          `state-machine-timers-${this.workerId}`
+        );
+      }
+    }
+  }
+
+  override async coordinatorWork(): Promise<void> {
+    await this.processTimers();
   }
 
   private async _createStateResources(): Promise<void> {
@@ -563,6 +646,7 @@ export class StateMachinePlugin extends Plugin {
         context: 'json|default:{}',
         lastTransition: 'string|default:null',
         triggerCounts: 'json|default:{}',
+        history: 'json|default:{}',
         updatedAt: 'string|required'
       },
       behavior: 'body-overflow'
@@ -576,6 +660,30 @@ export class StateMachinePlugin extends Plugin {
     }
   }
 
+  private async _createTimerResource(): Promise<void> {
+    const [ok, err] = await tryFn(() => this.database.createResource({
+      name: this.config.timerResource,
+      attributes: {
+        id: 'string|required',
+        machineId: 'string|required',
+        entityId: 'string|required',
+        state: 'string|required',
+        delay: 'string|required',
+        target: 'string|required',
+        dueAt: 'number|required',
+        context: 'json|default:{}'
+      },
+      behavior: 'body-overflow'
+    }));
+
+    if (!ok && !this._getTimerResource()) {
+      this.logger.warn({
+        machineResource: this.config.timerResource,
+        error: (err as Error)?.message
+      }, `Failed to create timer resource for state machine plugin: ${(err as Error)?.message || 'unknown error'}`);
+    }
+  }
+
   async send(machineId: string, entityId: string, event: string, context: Record<string, unknown> = {}): Promise<TransitionResult> {
     const machine = this.machines.get(machineId);
     if (!machine) {
@@ -591,85 +699,147 @@ export class StateMachinePlugin extends Plugin {
 
     try {
       const currentState = await this.getState(machineId, entityId);
-      const stateConfig = machine.config.states[currentState];
+      const { chart } = machine;
+      const leaves = chart.parse(currentState);
+      const candidates = chart.candidates(leaves, event);
 
-      if (!stateConfig || !stateConfig.on || !stateConfig.on[event]) {
+      if (candidates.length === 0) {
         throw new StateMachineError(`Event '${event}' not valid for state '${currentState}' in machine '${machineId}'`, {
           operation: 'send',
           machineId,
           entityId,
           event,
           currentState,
-          validEvents: stateConfig && stateConfig.on ? Object.keys(stateConfig.on) : [],
+          validEvents: chart.events(leaves),
           suggestion: 'Use getValidEvents() to check which events are valid for the current state'
         });
       }
 
-      const targetState = stateConfig.on[event];
+      const transitions: ChartTransition[] = [];
+      for (const { source, target } of candidates) {
+        await this._checkGuard(source, event, context, machineId, entityId, currentState);
+        transitions.push({ source, target: chart.resolve(source, target) });
+      }
 
-      if (stateConfig.guards && stateConfig.guards[event]) {
-        const guardName = stateConfig.guards[event];
-        const guard = this.config.guards[guardName];
+      const targetState = await this._applyStep(machineId, entityId, currentState, transitions, event, context);
 
-        if (!guard) {
-          throw new StateMachineError(`Guard '${guardName}' not found`, {
-            operation: 'guard-not-found',
-            machineId,
-            entityId,
-            event,
-            currentState,
-            guardName,
-            suggestion: 'Register the guard in plugin options and ensure the state transition references a valid guard'
-          });
-        }
+      return {
+        from: currentState,
+        to: targetState,
+        event,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await this._releaseTransitionLock(lock);
+    }
+  }
 
-        const [guardOk, guardErr, guardResult] = await tryFn(() =>
-          guard(context, event, { database: this.database as unknown as Database, machineId, entityId })
-        );
+  private async _checkGuard(
+    source: StateNode,
+    event: string,
+    context: Record<string, unknown>,
+    machineId: string,
+    entityId: string,
+    currentState: string
+  ): Promise<void> {
+    const guardName = source.config.guards?.[event];
+    if (!guardName) return;
 
-        if (!guardOk || !guardResult) {
-          throw new StateMachineError(`Transition blocked by guard '${guardName}'`, {
-            operation: 'guard',
-            machineId,
-            entityId,
-            event,
-            currentState,
-            guardName,
-            guardError: (guardErr as Error)?.message || 'Guard returned false',
-            suggestion: 'Check guard conditions or modify the context to satisfy guard requirements'
-          });
-        }
+    const guard = this.config.guards[guardName];
+
+    if (!guard) {
+      throw new StateMachineError(`Guard '${guardName}' not found`, {
+        operation: 'guard-not-found',
+        machineId,
+        entityId,
+        event,
+        currentState,
+        guardName,
+        suggestion: 'Register the guard in plugin options and ensure the state transition references a valid guard'
+      });
+    }
+
+    const [guardOk, guardErr, guardResult] = await tryFn(() =>
+      guard(context, event, { database: this.database as unknown as Database, machineId, entityId })
+    );
+
+    if (!guardOk || !guardResult) {
+      throw new StateMachineError(`Transition blocked by guard '${guardName}'`, {
+        operation: 'guard',
+        machineId,
+        entityId,
+        event,
+        currentState,
+        guardName,
+        guardError: (guardErr as Error)?.message || 'Guard returned false',
+        suggestion: 'Check guard conditions or modify the context to satisfy guard requirements'
+      });
+    }
+  }
+
+  /**
+   * Run a chart step: exit actions innermost first, persist, entry actions
+   * outermost first, then reschedule delayed transitions. Completed compound
+   * and parallel states take their `onDone` transition as a follow-up step.
+   */
+  private async _applyStep(
+    machineId: string,
+    entityId: string,
+    fromState: string,
+    transitions: ChartTransition[],
+    event: string,
+    context: Record<string, unknown>
+  ): Promise<string> {
+    const { chart } = this.machines.get(machineId)!;
+    let currentState = fromState;
+    let pending = transitions;
+    let stepEvent = event;
+
+    for (let round = 0; pending.length > 0; round++) {
+      if (round >= MAX_DONE_STEPS) {
+        throw new StateMachineError(`Too many consecutive onDone transitions in machine '${machineId}'`, {
+          operation: 'send',
+          machineId,
+          entityId,
+          currentState,
+          suggestion: 'Check for onDone transitions that loop back into states that complete immediately'
+        });
       }
 
-      if (stateConfig.exit) {
-        await this._executeAction(stateConfig.exit, context, event, machineId, entityId);
+      const history = await this._getHistory(machineId, entityId);
+      const step = chart.step(chart.parse(currentState), history, pending);
+
+      for (const node of step.exited) {
+        if (node.config.exit) {
+          await this._executeAction(node.config.exit, context, stepEvent, machineId, entityId, node);
+        }
       }
 
-      await this._transition(machineId, entityId, currentState, targetState, event, context);
+      await this._transition(machineId, entityId, currentState, step.value, stepEvent, context, step.history);
 
-      const targetStateConfig = machine.config.states[targetState];
-      if (targetStateConfig && targetStateConfig.entry) {
-        await this._executeAction(targetStateConfig.entry, context, event, machineId, entityId);
+      for (const node of step.entered) {
+        if (node.config.entry) {
+          await this._executeAction(node.config.entry, context, stepEvent, machineId, entityId, node);
+        }
       }
 
+      await this._rescheduleTimers(machineId, entityId, step, context);
+
       this.emit('plg:state-machine:transition', {
         machineId,
         entityId,
         from: currentState,
-        to: targetState,
-        event,
+        to: step.value,
+        event: stepEvent,
         context
       });
 
-      return {
-        from: currentState,
-        to: targetState,
-        event,
-        timestamp: new Date().toISOString()
-      };
-    } finally {
-      await this._releaseTransitionLock(lock);
+      currentState = step.value;
+      pending = step.done.map(node => ({ source: node, target: chart.resolve(node, node.config.onDone!) }));
+      stepEvent = step.done.length > 0 ? `done.state.${step.done[0]!.path}` : stepEvent;
     }
+
+    return currentState;
   }
 
   private async _executeAction(
@@ -677,7 +847,8 @@ export class StateMachinePlugin extends Plugin {
     context: Record<string, unknown>,
     event: string,
     machineId: string,
-    entityId: string
+    entityId: string,
+    node?: StateNode
   ): Promise<unknown> {
     const action = this.config.actions[actionName];
     if (!action) {
@@ -693,13 +864,18 @@ export class StateMachinePlugin extends Plugin {
 
     const machine = this.machines.get(machineId);
     const currentState = await this.getState(machineId, entityId);
-    const stateConfig = machine?.config?.states?.[currentState];
+    const lineage: StateNode[] = [];
+    for (let state = node ?? machine?.chart.parse(currentState)[0]; state?.parent; state = state.parent) {
+      lineage.unshift(state);
+    }
 
-    const retryConfig: RetryConfig = {
-      ...(this.config.retryConfig || {}),
-      ...(machine?.config?.retryConfig || {}),
-      ...(stateConfig?.retryConfig || {})
-    };
+    // Retry settings cascade: plugin, machine, then each enclosing state down to this one
+    const retryConfig: RetryConfig = Object.assign(
+      {},
+      this.config.retryConfig || {},
+      machine?.config?.retryConfig || {},
+      ...lineage.map(state => (state.config as StateConfig).retryConfig || {})
+    );
 
     const maxAttempts = retryConfig.maxAttempts ?? 0;
     const retryEnabled = maxAttempts > 0;
@@ -804,9 +980,12 @@ export class StateMachinePlugin extends Plugin {
     fromState: string,
     toState: string,
     event: string,
-    context: Record<string, unknown>
+    context: Record<string, unknown>,
+    history: StateHistory = {}
   ): Promise<void> {
-    const timestamp = Date.now();
+    // Strictly increasing, so chained steps within one millisecond keep distinct ids and their order
+    const timestamp = Math.max(Date.now(), this._lastTransitionAt + 1);
+    this._lastTransitionAt = timestamp;
     const now = new Date().toISOString();
 
     const machine = this.machines.get(machineId)!;
@@ -818,6 +997,7 @@ export class StateMachinePlugin extends Plugin {
       currentState: toState,
       context,
       lastTransition: transitionId,
+      history,
       updatedAt: now
     };
 
@@ -924,6 +1104,7 @@ export class StateMachinePlugin extends Plugin {
     }
 
     machine.currentStates.set(entityId, toState);
+    machine.histories.set(entityId, history);
   }
 
   private async _transitionToTargetState(
@@ -943,7 +1124,8 @@ export class StateMachinePlugin extends Plugin {
       });
     }
 
-    if (!machine.config.states[targetState]) {
+    const target = machine.chart.node(targetState);
+    if (!target) {
       throw new StateMachineError(`Target state '${targetState}' is not defined in machine '${machineId}'`, {
         operation: 'target-state-transition',
         machineId,
@@ -956,32 +1138,149 @@ export class StateMachinePlugin extends Plugin {
 
     try {
       const fromState = await this.getState(machineId, entityId);
-      if (fromState === targetState) {
-        return { from: fromState, to: targetState };
+      if (machine.chart.matches(fromState, target.path)) {
+        return { from: fromState, to: fromState };
       }
 
-      const fromStateConfig = machine.config.states[fromState];
-      if (fromStateConfig?.exit) {
-        await this._executeAction(fromStateConfig.exit, context, event, machineId, entityId);
+      const to = await this._applyStep(machineId, entityId, fromState, [{ source: machine.chart.root, target }], event, context);
+      return { from: fromState, to };
+    } finally {
+      await this._releaseTransitionLock(lock);
+    }
+  }
+
+  private _timerId(machineId: string, entityId: string, state: string, delay: string): string {
+    return `${machineId}_${entityId}_${state}_${delay}`;
+  }
+
+  /** Cancel timers of exited states and schedule those of entered states. */
+  private async _rescheduleTimers(
+    machineId: string,
+    entityId: string,
+    step: ChartStep,
+    context: Record<string, unknown>
+  ): Promise<void> {
+    const timerResource = this._getTimerResource();
+    if (!timerResource) return;
+
+    const { chart } = this.machines.get(machineId)!;
+
+    for (const node of step.exited) {
+      for (const { delay } of chart.delays(node)) {
+        await tryFn(() => timerResource.delete(this._timerId(machineId, entityId, node.path, delay)));
       }
+    }
+
+    for (const node of step.entered) {
+      for (const { delay, ms, target } of chart.delays(node)) {
+        const id = this._timerId(machineId, entityId, node.path, delay);
+        const timer = { machineId, entityId, state: node.path, delay, target, dueAt: Date.now() + ms, context };
 
-      await this._transition(machineId, entityId, fromState, targetState, event, context);
+        const [insertOk] = await tryFn(() => timerResource.insert({ id, ...timer }));
+        if (insertOk) continue;
 
-      const targetStateConfig = machine.config.states[targetState];
-      if (targetStateConfig?.entry) {
-        await this._executeAction(targetStateConfig.entry, context, event, machineId, entityId);
+        const [updateOk, updateErr] = await tryFn(() => timerResource.update(id, timer));
+        if (!updateOk) {
+          throw new StateMachineError('Failed to schedule delayed transition', {
+            operation: 'schedule-timer',
+            machineId,
+            entityId,
+            currentState: node.path,
+            targetState: target,
+            delay,
+            original: updateErr,
+            suggestion: 'Check timer resource configuration and database permissions'
+          });
+        }
       }
+    }
+  }
 
-      this.emit('plg:state-machine:transition', {
-        machineId,
-        entityId,
-        from: fromState,
-        to: targetState,
-        event,
-        context
+  /**
+   * Fire every delayed transition that is due. Runs on the coordinator, so
+   * timers stored in S3 survive restarts and fire once across workers; call
+   * it directly to drive timers from your own scheduler.
+   */
+  async processTimers(now: number = Date.now()): Promise<number> {
+    const timerResource = this._getTimerResource();
+    if (!timerResource) return 0;
+
+    const [ok, err, timers] = await tryFn<TimerRecord[]>(() => timerResource.list() as Promise<TimerRecord[]>);
+    if (!ok) {
+      this.logger.warn({ error: (err as Error).message }, `Failed to list state machine timers: ${(err as Error).message}`);
+      return 0;
+    }
+
+    const due = (timers || []).filter(timer => timer.dueAt <= now).sort((a, b) => a.dueAt - b.dueAt);
+    let fired = 0;
+
+    for (const timer of due) {
+      const [fireOk, fireErr, didFire] = await tryFn(() => this._fireTimer(timer, now));
+
+      if (!fireOk) {
+        this.logger.error({ timerId: timer.id, error: (fireErr as Error).message }, `Delayed transition '${timer.id}' failed: ${(fireErr as Error).message}`);
+        this.emit('plg:state-machine:timer-error', {
+          machineId: timer.machineId,
+          entityId: timer.entityId,
+          state: timer.state,
+          delay: timer.delay,
+          error: (fireErr as Error).message
+        });
+      } else if (didFire) {
+        fired++;
+      }
+    }
+
+    return fired;
+  }
+
+  private async _fireTimer(timer: TimerRecord, now: number): Promise<boolean> {
+    const timerResource = this._getTimerResource()!;
+    const machine = this.machines.get(timer.machineId);
+    const source = machine?.chart.node(timer.state);
+
+    if (!machine || !source) {
+      await tryFn(() => timerResource.delete(timer.id));
+      return false;
+    }
+
+    const lock = await this._acquireTransitionLock(timer.machineId, timer.entityId);
+
+    try {
+      // Another worker may have fired it, or the state was re-entered and the timer pushed back
+      const [found, , latest] = await tryFn(() => timerResource.get(timer.id) as unknown as Promise<TimerRecord | null>);
+      if (!found || !latest || latest.dueAt > now) {
+        return false;
+      }
+
+      const currentState = await this.getState(timer.machineId, timer.entityId);
+
+      // The state was left without the timer being cancelled (e.g. a crash mid-transition)
+      if (!machine.chart.matches(currentState, source.path)) {
+        await tryFn(() => timerResource.delete(timer.id));
+        return false;
+      }
+
+      const target = machine.chart.resolve(source, timer.target);
+      const to = await this._applyStep(
+        timer.machineId,
+        timer.entityId,
+        currentState,
+        [{ source, target }],
+        `after:${timer.delay}`,
+        timer.context || {}
+      );
+
+      this.emit('plg:state-machine:timer-fired', {
+        machineId: timer.machineId,
+        entityId: timer.entityId,
+        state: timer.state,
+        delay: timer.delay,
+        from: currentState,
+        to
       });
 
-      return { from: fromState, to: targetState };
+      return true;
     } finally {
       await this._releaseTransitionLock(lock);
     }
@@ -1108,15 +1407,45 @@ export class StateMachinePlugin extends Plugin {
 
       if (ok && stateRecord) {
         machine.currentStates.set(entityId, stateRecord.currentState);
+        machine.histories.set(entityId, stateRecord.history || {});
         return stateRecord.currentState;
       }
     }
 
-    const initialState = machine.config.initialState;
+    const initialState = machine.chart.initial().value;
     machine.currentStates.set(entityId, initialState);
     return initialState;
   }
 
+  /** Active leaf states, e.g. `['processing.payment.captured', 'processing.shipping.packing']`. */
+  async getActiveStates(machineId: string, entityId: string): Promise<string[]> {
+    const state = await this.getState(machineId, entityId);
+    return this.machines.get(machineId)!.chart.parse(state).map(node => node.path);
+  }
+
+  /** Whether the entity is in `state` or one of its descendants. */
+  async matches(machineId: string, entityId: string, state: string): Promise<boolean> {
+    const current = await this.getState(machineId, entityId);
+    return this.machines.get(machineId)!.chart.matches(current, state);
+  }
+
+  private async _getHistory(machineId: string, entityId: string): Promise<StateHistory> {
+    const machine = this.machines.get(machineId)!;
+    if (!machine.chart.hasHistory) {
+      return {};
+    }
+
+    if (!machine.histories.has(entityId)) {
+      const stateResource = this._getStateResource();
+      const [ok, , stateRecord] = stateResource
+        ? await tryFn<StateRecord>(() => stateResource.get(`${machineId}_${entityId}`) as unknown as Promise<StateRecord>)
+        : [false, null, null];
+      machine.histories.set(entityId, (ok && stateRecord?.history) || {});
+    }
+
+    return machine.histories.get(entityId)!;
+  }
+
   async getValidEvents(machineId: string, stateOrEntityId: string): Promise<string[]> {
     const machine = this.machines.get(machineId);
     if (!machine) {
@@ -1128,15 +1457,11 @@ export class StateMachinePlugin extends Plugin {
       });
     }
 
-    let state: string;
-    if (machine.config.states[stateOrEntityId]) {
-      state = stateOrEntityId;
-    } else {
-      state = await this.getState(machineId, stateOrEntityId);
-    }
+    const { chart } = machine;
+    const stateNode = chart.node(stateOrEntityId);
+    const leaves = stateNode ? [stateNode] : chart.parse(await this.getState(machineId, stateOrEntityId));
 
-    const stateConfig = machine.config.states[state];
-    return stateConfig && stateConfig.on ? Object.keys(stateConfig.on) : [];
+    return chart.events(leaves);
   }
 
   async getTransitionHistory(machineId: string, entityId: string, options: TransitionHistoryOptions = {}): Promise<TransitionHistoryEntry[]> {
@@ -1189,8 +1514,10 @@ export class StateMachinePlugin extends Plugin {
       });
     }
 
-    const initialState = machine.config.initialState;
+    const initial = machine.chart.initial();
+    const initialState = initial.value;
     machine.currentStates.set(entityId, initialState);
+    machine.histories.set(entityId, {});
 
     if (this.config.persistTransitions) {
       const now = new Date().toISOString();
@@ -1225,11 +1552,14 @@ export class StateMachinePlugin extends Plugin {
       }
     }
 
-    const initialStateConfig = machine.config.states[initialState];
-    if (initialStateConfig && initialStateConfig.entry) {
-      await this._executeAction(initialStateConfig.entry, context, 'INIT', machineId, entityId);
+    for (const node of initial.entered) {
+      if (node.config.entry) {
+        await this._executeAction(node.config.entry, context, 'INIT', machineId, entityId, node);
+      }
     }
 
+    await this._rescheduleTimers(machineId, entityId, initial, context);
+
     this.emit('plg:state-machine:entity-initialized', { machineId, entityId, initialState });
 
     return initialState;
@@ -1249,6 +1579,7 @@ export class StateMachinePlugin extends Plugin {
     const stateId = `${machineId}_${entityId}`;
 
     machine.currentStates.delete(entityId);
+    machine.histories.delete(entityId);
 
     const stateResource = this._getStateResource();
     if (stateResource) {
@@ -1257,6 +1588,17 @@ export class StateMachinePlugin extends Plugin {
       );
     }
 
+    const timerResource = this._getTimerResource();
+    if (timerResource) {
+      const [timersOk, , timers] = await tryFn<TimerRecord[]>(() =>
+        timerResource.query({ machineId, entityId }) as unknown as Promise<TimerRecord[]>
+      );
+
+      if (timersOk && timers) {
+        await Promise.all(timers.map(timer => tryFn(() => timerResource.delete(timer.id))));
+      }
+    }
+
     if (this.config.persistTransitions) {
       const transitionLogResource = this._getTransitionLogResource();
 
@@ -1308,26 +1650,85 @@ export class StateMachinePlugin extends Plugin {
       });
     }
 
+    const { chart } = machine;
+    const quote = (name: string): string => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name}"`;
+    const cluster = (node: StateNode): string => `cluster_${node.path.replace(/[^A-Za-z0-9_]/g, '_')}`;
+
+    // Edges into or out of a compound state attach to a leaf inside its cluster
+    const anchor = (node: StateNode): StateNode => {
+      if (node.type === 'compound') return anchor(node.children.find(child => child.key === node.config.initialState)!);
+      if (node.type === 'parallel') return anchor(node.children.find(child => child.type !== 'history')!);
+      return node;
+    };
+
+    const edge = (from: StateNode, targetName: string, label: string): string => {
+      let to: StateNode | null = null;
+      try {
+        to = chart.resolve(from, targetName);
+      } catch {
+        to = null;
+      }
+
+      const attrs = [`label="${label}"`];
+      if (from.children.length > 0) attrs.push(`ltail=${cluster(from)}`);
+      if (to && to.children.length > 0) attrs.push(`lhead=${cluster(to)}`);
+      return `  ${quote(anchor(from).path)} -> ${quote(to ? anchor(to).path : targetName)} [${attrs.join(', ')}];\n`;
+    };
+
     let dot = `digraph ${machineId} {\n`;
     dot += `  rankdir=LR;\n`;
+    if (chart.hierarchical) {
+      dot += `  compound=true;\n`;
+    }
     dot += `  node [shape=circle];\n`;
 
-    for (const [stateName, stateConfig] of Object.entries(machine.config.states)) {
-      const shape = stateConfig.type === 'final' ? 'doublecircle' : 'circle';
-      const color = (stateConfig.meta?.color as string) || 'lightblue';
-      dot += `  ${stateName} [shape=${shape}, fillcolor=${color}, style=filled];\n`;
+    const renderState = (node: StateNode, indent: string): void => {
+      if (node.children.length > 0) {
+        dot += `${indent}subgraph ${cluster(node)} {\n`;
+        dot += `${indent}  label="${node.key}${node.type === 'parallel' ? ' (parallel)' : ''}";\n`;
+        dot += `${indent}  style=${node.type === 'parallel' ? 'dashed' : 'rounded'};\n`;
+        for (const child of node.children) {
+          renderState(child, `${indent}  `);
+        }
+        dot += `${indent}}\n`;
+        return;
+      }
+
+      const label = node.path !== node.key ? `, label="${node.key}"` : '';
+      if (node.type === 'history') {
+        dot += `${indent}${quote(node.path)} [shape=circle, label="${node.config.history === 'deep' ? 'H*' : 'H'}"];\n`;
+        return;
+      }
+
+      const shape = node.type === 'final' ? 'doublecircle' : 'circle';
+      const color = ((node.config as StateConfig).meta?.color as string) || 'lightblue';
+      dot += `${indent}${quote(node.path)} [shape=${shape}, fillcolor=${color}, style=filled${label}];\n`;
+    };
+
+    for (const node of chart.root.children) {
+      renderState(node, '  ');
     }
 
-    for (const [stateName, stateConfig] of Object.entries(machine.config.states)) {
-      if (stateConfig.on) {
-        for (const [event, targetState] of Object.entries(stateConfig.on)) {
-          dot += `  ${stateName} -> ${targetState} [label="${event}"];\n`;
-        }
+    for (const node of chart.nodes) {
+      for (const [event, targetState] of Object.entries(node.config.on || {})) {
+        dot += edge(node, targetState, event);
+      }
+      for (const [delay, targetState] of Object.entries(node.config.after || {})) {
+        dot += edge(node, targetState, `after ${delay}`);
+      }
+      if (node.config.onDone) {
+        dot += edge(node, node.config.onDone, 'done');
+      }
+      if (node.type === 'compound') {
+        const initial = node.children.find(child => child.key === node.config.initialState)!;
+        dot += `  ${quote(`${node.path}.initial`)} [shape=point];\n`;
+        dot += `  ${quote(`${node.path}.initial`)} -> ${quote(anchor(initial).path)}${initial.children.length > 0 ? ` [lhead=${cluster(initial)}]` : ''};\n`;
       }
     }
 
+    const initialNode = chart.node(machine.config.initialState)!;
     dot += `  start [shape=point];\n`;
-    dot += `  start -> ${machine.config.initialState};\n`;
+    dot += `  start -> ${quote(anchor(initialNode).path)}${initialNode.children.length > 0 ? ` [lhead=${cluster(initialNode)}]` : ''};\n`;
 
     dot += `}\n`;
 
@@ -1335,13 +1736,13 @@ export class StateMachinePlugin extends Plugin {
   }
 
   private async _getEntitiesInState(machineId: string, stateName: string): Promise<EntityInState[]> {
-    if (!this.config.persistTransitions) {
-      const machine = this.machines.get(machineId);
-      if (!machine) return [];
+    const machine = this.machines.get(machineId);
+    if (!machine) return [];
 
+    if (!this.config.persistTransitions) {
       const entities: EntityInState[] = [];
       for (const [entityId, currentState] of machine.currentStates) {
-        if (currentState === stateName) {
+        if (machine.chart.matches(currentState, stateName)) {
           entities.push({ entityId, currentState, context: {}, triggerCounts: {} });
         }
       }
@@ -1355,10 +1756,10 @@ export class StateMachinePlugin extends Plugin {
       return [];
     }
 
+    // Nested and parallel configurations hold several paths, so match in memory
     const [ok, err, records] = await tryFn<StateRecord[]>(() =>
       stateResource.query({
-        machineId,
-        currentState: stateName
+        machineId
       }) as unknown as Promise<StateRecord[]>
     );
 
@@ -1367,7 +1768,7 @@ export class StateMachinePlugin extends Plugin {
       return [];
     }
 
-    return (records || []).map(r => ({
+    return (records || []).filter(r => machine.chart.matches(r.currentState, stateName)).map(r => ({
       entityId: r.entityId,
       currentState: r.currentState,
       context: r.context,
@@ -1409,10 +1810,9 @@ export class StateMachinePlugin extends Plugin {
     const cronJobs: Record<string, SchedulerJob> = {};
 
     for (const [machineId, machineData] of this.machines) {
-      const machineConfig = machineData.config;
-
-      for (const [stateName, stateConfig] of Object.entries(machineConfig.states)) {
-        const triggers = stateConfig.triggers || [];
+      for (const stateNode of machineData.chart.nodes) {
+        const stateName = stateNode.path;
+        const triggers = (stateNode.config as StateConfig).triggers || [];
 
         for (let i = 0; i < triggers.length; i++) {
           const trigger = triggers[i]!;
@@ -1901,6 +2301,12 @@ export class StateMachinePlugin extends Plugin {
         getState: async (id: string) => {
           return this.getState(machineName, id);
         },
+        getActiveStates: async (id: string) => {
+          return this.getActiveStates(machineName, id);
+        },
+        matches: async (id: string, state: string) => {
+          return this.matches(machineName, id, state);
+        },
         canTransition: async (id: string, event: string) => {
           const validEvents = await this.getValidEvents(machineName, id);
           return validEvents.includes(event);
@@ -1925,6 +2331,8 @@ export class StateMachinePlugin extends Plugin {
         get: () => ({
           send: async (id: string, event: string, eventData?: Record<string, unknown>) => machineProxy.send(id, event, eventData),
           get: async (id: string) => machineProxy.getState(id),
+          active: async (id: string) => machineProxy.getActiveStates(id),
+          matches: async (id: string, state: string) => machineProxy.matches(id, state),
           canTransition: async (id: string, event: string) => machineProxy.canTransition(id, event),
           getValidEvents: async (id: string) => machineProxy.getValidEvents(id),
           initialize: async (id: string, context?: Record<string, unknown>) => machineProxy.initializeEntity(id, context),
@@ -1958,6 +2366,10 @@ export class StateMachinePlugin extends Plugin {
   }
 
   override async stop(): Promise<void> {
+    await this.stopCoordination();
+    this._clearIntervalHandle(this._timerHandle);
+    this._timerHandle = null;
+
     const cronManager = getCronManager();
     for (const jobName of this.triggerJobNames) {
       cronManager.stop(jobName);
@@ -0,0 +1,427 @@
+import { StateMachineError } from './state-machine.errors.js';
+
+export type StateNodeType = 'atomic' | 'compound' | 'parallel' | 'final' | 'history';
+
+export interface StateNodeConfig {
+  type?: 'final' | 'parallel' | 'history';
+  /** Initial child of a compound state. */
+  initialState?: string;
+  states?: Record<string, StateNodeConfig>;
+  on?: Record<string, string>;
+  /** Delayed transitions keyed by delay: `{ '30m': 'expired', 5000: 'retry' }`. */
+  after?: Record<string, string>;
+  /** Taken when a compound state reaches a final child, or when every region of a parallel state has. */
+  onDone?: string;
+  /** History states only: remember the direct child ('shallow') or the whole subtree ('deep'). */
+  history?: 'shallow' | 'deep';
+  /** History states only: where to go when nothing has been recorded yet. */
+  target?: string;
+  entry?: string;
+  exit?: string;
+  guards?: Record<string, string>;
+}
+
+export interface StateNode {
+  key: string;
+  /** Dot-separated path from the top level, e.g. `processing.payment.captured`. */
+  path: string;
+  type: StateNodeType;
+  parent: StateNode | null;
+  children: StateNode[];
+  config: StateNodeConfig;
+  /** Document order (pre-order), so parents sort before their children. */
+  order: number;
+}
+
+/** Active leaves of each exited state that owns a history child, keyed by state path. */
+export type StateHistory = Record<string, string[]>;
+
+export interface ChartTransition {
+  source: StateNode;
+  target: StateNode;
+}
+
+export interface ChartStep {
+  exited: StateNode[];
+  entered: StateNode[];
+  leaves: StateNode[];
+  value: string;
+  history: StateHistory;
+  /** States whose `onDone` transition is now enabled. */
+  done: StateNode[];
+}
+
+export interface DelayedTransition {
+  delay: string;
+  ms: number;
+  target: string;
+}
+
+const DELAY_UNITS: Record<string, number> = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+export function parseDelay(delay: string | number): number | null {
+  if (typeof delay === 'number') return Number.isFinite(delay) && delay >= 0 ? delay : null;
+  const match = String(delay).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]!) * DELAY_UNITS[match[2] || 'ms']!);
+}
+
+function isDescendant(node: StateNode, ancestor: StateNode): boolean {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+const byOrder = (a: StateNode, b: StateNode): number => a.order - b.order;
+
+/**
+ * Hierarchical state chart for one machine: compound and parallel states,
+ * history pseudo-states and delayed transitions. A configuration is stored
+ * as its active leaves joined by commas, so flat machines keep plain state
+ * names ('pending') and nested ones read like 'processing.payment.captured'.
+ */
+export class Statechart {
+  machineId: string;
+  root: StateNode;
+  private _nodes: Map<string, StateNode>;
+
+  constructor(machineId: string, config: { initialState: string; states: Record<string, StateNodeConfig> }) {
+    this.machineId = machineId;
+    this._nodes = new Map();
+
+    let order = 0;
+    const build = (key: string, nodeConfig: StateNodeConfig, parent: StateNode | null): StateNode => {
+      const node: StateNode = {
+        key,
+        path: parent?.path ? `${parent.path}.${key}` : key,
+        type: this._typeOf(nodeConfig),
+        parent,
+        children: [],
+        config: nodeConfig,
+        order: order++
+      };
+      if (parent) {
+        this._validateKey(node);
+        this._nodes.set(node.path, node);
+      }
+      for (const [childKey, childConfig] of Object.entries(nodeConfig.states || {})) {
+        node.children.push(build(childKey, childConfig || {}, node));
+      }
+      return node;
+    };
+
+    this.root = build('', { initialState: config.initialState, states: config.states }, null);
+    this.root.type = 'compound';
+
+    for (const node of [this.root, ...this._nodes.values()]) {
+      this._validateNode(node);
+    }
+  }
+
+  /** True when any state nests others; flat machines keep their original behaviour and output. */
+  get hierarchical(): boolean {
+    return this.root.children.some(child => child.children.length > 0);
+  }
+
+  /** Whether any state declares a history child, i.e. whether history must be tracked. */
+  get hasHistory(): boolean {
+    return this.nodes.some(node => node.type === 'history');
+  }
+
+  get nodes(): StateNode[] {
+    return Array.from(this._nodes.values());
+  }
+
+  node(path: string): StateNode | undefined {
+    return this._nodes.get(path);
+  }
+
+  /** Active leaves of a stored configuration; unknown paths are ignored. */
+  parse(value: string | null | undefined): StateNode[] {
+    if (!value) return [];
+    return value.split(',')
+      .map(path => this._nodes.get(path))
+      .filter((node): node is StateNode => !!node)
+      .sort(byOrder);
+  }
+
+  serialize(leaves: StateNode[]): string {
+    return [...leaves].sort(byOrder).map(node => node.path).join(',');
+  }
+
+  /** Whether `path` (or one of its descendants) is active in the configuration. */
+  matches(value: string | null | undefined, path: string): boolean {
+    if (!value) return false;
+    return value.split(',').some(leaf => leaf === path || leaf.startsWith(`${path}.`));
+  }
+
+  /** Events handled by the given leaves or any of their ancestors, innermost first. */
+  events(leaves: StateNode[]): string[] {
+    const events = new Set<string>();
+    for (const leaf of leaves) {
+      for (let node: StateNode | null = leaf; node && node !== this.root; node = node.parent) {
+        for (const event of Object.keys(node.config.on || {})) events.add(event);
+      }
+    }
+    return Array.from(events);
+  }
+
+  /** The innermost state handling `event` for each active leaf. */
+  candidates(leaves: StateNode[], event: string): Array<{ source: StateNode; target: string }> {
+    const sources = new Map<StateNode, string>();
+    for (const leaf of leaves) {
+      for (let node: StateNode | null = leaf; node && node !== this.root; node = node.parent) {
+        const target = node.config.on?.[event];
+        if (target !== undefined) {
+          sources.set(node, target);
+          break;
+        }
+      }
+    }
+    return Array.from(sources, ([source, target]) => ({ source, target }));
+  }
+
+  /**
+   * Resolve a transition target relative to the source: first among its
+   * siblings, then among each ancestor's children, ending at the top level.
+   */
+  resolve(source: StateNode, target: string): StateNode {
+    for (let scope: StateNode | null = source.parent ?? source; scope; scope = scope.parent) {
+      const node = this._nodes.get(scope.path ? `${scope.path}.${target}` : target);
+      if (node) return node;
+    }
+
+    throw new StateMachineError(`Target state '${target}' is not defined in machine '${this.machineId}'`, {
+      operation: 'resolveTarget',
+      machineId: this.machineId,
+      currentState: source.path,
+      targetState: target,
+      suggestion: 'Reference a sibling state by name, or a nested state by its dot-separated path'
+    });
+  }
+
+  delays(node: StateNode): DelayedTransition[] {
+    return Object.entries(node.config.after || {}).map(([delay, target]) => ({
+      delay,
+      ms: parseDelay(delay)!,
+      target
+    }));
+  }
+
+  /** Enter the initial configuration. */
+  initial(): ChartStep {
+    const entries = new Set<StateNode>();
+    this._enter(this.root, entries, {});
+    entries.delete(this.root);
+    const entered = Array.from(entries).sort(byOrder);
+    const leaves = entered.filter(node => node.children.length === 0);
+    return { exited: [], entered, leaves, value: this.serialize(leaves), history: {}, done: [] };
+  }
+
+  /**
+   * Take a set of transitions from the given configuration. Transitions whose
+   * exit set overlaps an earlier one are dropped, so a transition out of a
+   * parallel state wins over transitions inside its regions.
+   */
+  step(leaves: StateNode[], history: StateHistory, transitions: ChartTransition[]): ChartStep {
+    const active = new Set<StateNode>();
+    for (const leaf of leaves) {
+      for (let node: StateNode | null = leaf; node && node !== this.root; node = node.parent) active.add(node);
+    }
+
+    const exits = new Set<StateNode>();
+    const entries = new Set<StateNode>();
+
+    for (const { source, target } of transitions) {
+      const domain = this._domain(source, target);
+      const exitSet = Array.from(active).filter(node => isDescendant(node, domain));
+      if (exitSet.some(node => exits.has(node))) continue;
+
+      exitSet.forEach(node => exits.add(node));
+      this._enterPath(target, domain, entries, history);
+    }
+
+    const nextHistory: StateHistory = { ...history };
+    for (const node of exits) {
+      if (node.children.some(child => child.type === 'history')) {
+        nextHistory[node.path] = leaves.filter(leaf => isDescendant(leaf, node)).map(leaf => leaf.path);
+      }
+    }
+
+    const exited = Array.from(exits).sort((a, b) => b.order - a.order);
+    const entered = Array.from(entries).sort(byOrder);
+    const nextActive = new Set([...Array.from(active).filter(node => !exits.has(node)), ...entered]);
+    const nextLeaves = Array.from(nextActive).filter(node => node.children.length === 0).sort(byOrder);
+
+    return {
+      exited,
+      entered,
+      leaves: nextLeaves,
+      value: this.serialize(nextLeaves),
+      history: nextHistory,
+      done: this._done(entered, nextActive)
+    };
+  }
+
+  private _typeOf(config: StateNodeConfig): StateNodeType {
+    if (config.type === 'final' || config.type === 'history' || config.type === 'parallel') return config.type;
+    return config.states && Object.keys(config.states).length > 0 ? 'compound' : 'atomic';
+  }
+
+  private _validateKey(node: StateNode): void {
+    if (node.key.includes('.') || node.key.includes(',')) {
+      throw new StateMachineError(`State name '${node.key}' in machine '${this.machineId}' cannot contain '.' or ','`, {
+        operation: 'validateConfiguration',
+        machineId: this.machineId,
+        currentState: node.path,
+        suggestion: 'Dots separate nested state paths and commas separate parallel regions; rename the state'
+      });
+    }
+  }
+
+  private _validateNode(node: StateNode): void {
+    const fail = (message: string, suggestion: string): never => {
+      throw new StateMachineError(message, {
+        operation: 'validateConfiguration',
+        machineId: this.machineId,
+        currentState: node.path,
+        suggestion
+      });
+    };
+
+    if (node.type === 'compound' && node !== this.root) {
+      const initial = node.config.initialState;
+      const child = node.children.find(candidate => candidate.key === initial);
+      if (!child || child.type === 'history') {
+        fail(
+          `Compound state '${node.path}' in machine '${this.machineId}' needs an initialState naming one of its child states`,
+          `Set initialState to one of: ${node.children.filter(c => c.type !== 'history').map(c => c.key).join(', ')}`
+        );
+      }
+    }
+
+    if (node.type === 'parallel') {
+      const regions = node.children.filter(child => child.type !== 'history');
+      if (regions.length === 0 || regions.some(region => region.type !== 'compound' && region.type !== 'parallel')) {
+        fail(
+          `Parallel state '${node.path}' in machine '${this.machineId}' must contain only compound regions`,
+          'Give each region of a parallel state its own states and initialState'
+        );
+      }
+    }
+
+    if (node.type === 'history') {
+      if (node.children.length > 0 || !node.parent || node.parent === this.root) {
+        fail(
+          `History state '${node.path}' in machine '${this.machineId}' must be a leaf inside a compound or parallel state`,
+          'Declare history states as children of the state whose history they remember'
+        );
+      }
+      if (node.config.history && node.config.history !== 'shallow' && node.config.history !== 'deep') {
+        fail(`History state '${node.path}' has invalid history '${node.config.history}'`, "Use history: 'shallow' or 'deep'");
+      }
+      if (node.config.target) this.resolve(node, node.config.target);
+    }
+
+    for (const delay of Object.keys(node.config.after || {})) {
+      if (parseDelay(delay) === null) {
+        fail(`Invalid delay '${delay}' in state '${node.path}' of machine '${this.machineId}'`, "Use milliseconds or a duration such as '30s', '30m', '2h' or '1d'");
+      }
+    }
+  }
+
+  /** Least common compound ancestor: the state the transition stays within. */
+  private _domain(source: StateNode, target: StateNode): StateNode {
+    for (let node: StateNode | null = source === this.root ? source : source.parent; node; node = node.parent) {
+      if (node === this.root || (node.type === 'compound' && isDescendant(target, node))) return node;
+    }
+    return this.root;
+  }
+
+  private _enterPath(target: StateNode, domain: StateNode, entries: Set<StateNode>, history: StateHistory): void {
+    const ancestors: StateNode[] = [];
+    for (let node = target.parent; node && node !== domain; node = node.parent) ancestors.push(node);
+    ancestors.forEach(node => entries.add(node));
+
+    this._enter(target, entries, history);
+
+    for (const ancestor of ancestors) {
+      if (ancestor.type === 'parallel') this._enterRegions(ancestor, entries, history);
+    }
+  }
+
+  private _enter(node: StateNode, entries: Set<StateNode>, history: StateHistory): void {
+    if (node.type === 'history') {
+      this._enterHistory(node, entries, history);
+      return;
+    }
+
+    entries.add(node);
+
+    if (node.type === 'compound') {
+      const hasEntry = Array.from(entries).some(entry => isDescendant(entry, node));
+      if (!hasEntry) {
+        this._enter(node.children.find(child => child.key === node.config.initialState)!, entries, history);
+      }
+    } else if (node.type === 'parallel') {
+      this._enterRegions(node, entries, history);
+    }
+  }
+
+  private _enterRegions(node: StateNode, entries: Set<StateNode>, history: StateHistory): void {
+    for (const region of node.children) {
+      if (region.type === 'history') continue;
+      if (!entries.has(region)) this._enter(region, entries, history);
+    }
+  }
+
+  private _enterHistory(node: StateNode, entries: Set<StateNode>, history: StateHistory): void {
+    const parent = node.parent!;
+    const recorded = (history[parent.path] || [])
+      .map(path => this._nodes.get(path))
+      .filter((leaf): leaf is StateNode => !!leaf && isDescendant(leaf, parent));
+
+    if (recorded.length > 0) {
+      if (node.config.history === 'deep') {
+        for (const leaf of recorded) this._enterPath(leaf, parent, entries, history);
+      } else {
+        const children = new Set(recorded.map(leaf => {
+          let child = leaf;
+          while (child.parent !== parent) child = child.parent!;
+          return child;
+        }));
+        children.forEach(child => this._enter(child, entries, history));
+      }
+    } else if (node.config.target) {
+      this._enterPath(this.resolve(node, node.config.target), parent, entries, history);
+    } else if (parent.type === 'compound') {
+      this._enter(parent.children.find(child => child.key === parent.config.initialState)!, entries, history);
+    }
+
+    if (parent.type === 'parallel') this._enterRegions(parent, entries, history);
+  }
+
+  private _done(entered: StateNode[], active: Set<StateNode>): StateNode[] {
+    const done = new Set<StateNode>();
+    const isComplete = (node: StateNode): boolean => node.type === 'parallel'
+      ? node.children.filter(child => child.type !== 'history').every(isComplete)
+      : node.children.some(child => child.type === 'final' && active.has(child));
+
+    for (const node of entered) {
+      if (node.type !== 'final' || !node.parent || node.parent === this.root) continue;
+
+      const parent = node.parent;
+      if (parent.config.onDone) done.add(parent);
+
+      const grandparent = parent.parent;
+      if (grandparent?.type === 'parallel' && grandparent.config.onDone && isComplete(grandparent)) {
+        done.add(grandparent);
+      }
+    }
+
+    return Array.from(done).sort(byOrder);
+  }
+}
+
+export default Statechart;
@@ -0,0 +1,600 @@
+import { Plugin, type PluginConfig } from '../plugin.class.js';
+import { resolveResourceNames } from '../concerns/resource-names.js';
+import type { PluginStorage } from '../../concerns/plugin-storage.js';
+import tryFn from '../../concerns/try-fn.js';
+import { idGenerator } from '../../concerns/id.js';
+import { SyncError } from './errors.js';
+import { compareVectors, hashValue, incrementVector, stampFields, syncFields } from './clocks.js';
+import { normalizeSyncResources, recordKey, type SyncRecordMeta, type SyncResource } from './utils.js';
+import type { PulledChange, PushResult, SyncChange, SyncTransport } from './transport.js';
+
+/** IndexedDB-style async key/value store (idb-keyval's get/set are a drop-in). */
+export interface SyncKeyValueStore {
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+}
+
+/** In-memory SyncKeyValueStore, for tests and non-persistent replicas. */
+export function createMemoryStore(): SyncKeyValueStore & { data: Map<string, unknown> } {
+  const data = new Map<string, unknown>();
+  return {
+    data,
+    get: async key => data.get(key),
+    set: async (key, value) => {
+      data.set(key, value);
+    }
+  };
+}
+
+export interface SyncClientResourceOptions {
+  /** Replicate only this partition of the server resource. */
+  partition?: string;
+  partitionValues?: Record<string, unknown>;
+}
+
+export interface SyncClientPluginOptions extends PluginConfig {
+  transport?: SyncTransport;
+  resources?: string[] | Record<string, SyncClientResourceOptions | true>;
+  /** Where the replica is persisted; requires the database to use MemoryClient. */
+  store?: SyncKeyValueStore | null;
+  storeKey?: string;
+  /** Entry of this replica in version vectors; generated and persisted when omitted. */
+  replicaId?: string;
+  /** Records per push request. */
+  pushBatchSize?: number;
+  /** Changes per resource per pull request. */
+  pullLimit?: number;
+  /** Run sync() every N ms while started (0 disables). */
+  syncInterval?: number;
+  /** Delay (ms) used to coalesce snapshot writes to the store. */
+  persistDelay?: number;
+  resourceNames?: { meta?: string; outbox?: string };
+}
+
+interface SyncClientPluginConfig {
+  metaResource: string;
+  outboxResource: string;
+  storeKey: string;
+  pushBatchSize: number;
+  pullLimit: number;
+  syncInterval: number;
+  persistDelay: number;
+  logLevel: string;
+}
+
+export interface OutboxEntry {
+  id: string;
+  resourceName: string;
+  recordId: string;
+  op: 'upsert' | 'delete';
+  createdAt: number;
+}
+
+export interface SyncResult {
+  pushed: number;
+  pulled: number;
+  conflicts: number;
+  rejected: number;
+}
+
+interface ClientState {
+  replicaId: string;
+  cursors: Record<string, number>;
+}
+
+interface SnapshotClient {
+  snapshot(): unknown;
+  restore(snapshot: unknown): void;
+}
+
+/** Remote record state to store locally without going through the outbox. */
+type RemoteState = Pick<PulledChange, 'vector' | 'fields' | 'updatedAt' | 'data'> & { deleted: boolean };
+
+/**
+ * SyncClientPlugin
+ *
+ * Client half of the local-first sync protocol, for a database on
+ * MemoryClient (typically in a browser). Local writes to synced resources bump
+ * the record's version vector and land in an outbox; sync() pushes the outbox,
+ * adopts the server's resolution of conflicts and pulls the changes of the
+ * replicated partitions. The whole bucket is snapshotted to an IndexedDB-style
+ * store, so the replica and its outbox survive restarts.
+ */
+export class SyncClientPlugin extends Plugin<SyncClientPluginOptions> {
+  config: SyncClientPluginConfig;
+  resources: Record<string, SyncClientResourceOptions>;
+  transport: SyncTransport;
+  store: SyncKeyValueStore | null;
+  replicaId: string | null = null;
+  metaResource: SyncResource | null = null;
+  outboxResource: SyncResource | null = null;
+
+  private _state: ClientState | null = null;
+  private _tracked: Set<string> = new Set();
+  /** Records being written from remote state; their hooks must not reach the outbox. */
+  private _applying: Set<string> = new Set();
+  private _tail: Promise<unknown> = Promise.resolve();
+  private _outboxCounter = 0;
+  private _syncing: Promise<SyncResult> | null = null;
+  private _syncTimer: ReturnType<typeof setInterval> | null = null;
+  private _persistTimer: ReturnType<typeof setTimeout> | null = null;
+  private _persisting: Promise<void> | null = null;
+  private _resourceDescriptors: Record<string, { defaultName: string; override?: string }>;
+
+  constructor(options: SyncClientPluginOptions = {}) {
+    super(options);
+
+    const {
+      transport,
+      resources,
+      store = null,
+      storeKey = 's3db-sync',
+      pushBatchSize = 100,
+      pullLimit = 500,
+      syncInterval = 0,
+      persistDelay = 50,
+      resourceNames = {}
+    } = this.options;
+
+    if (!transport || typeof transport.push !== 'function' || typeof transport.pull !== 'function') {
+      throw new SyncError('SyncClientPlugin requires a transport', {
+        operation: 'constructor',
+        statusCode: 400,
+        retriable: false,
+        suggestion: "Use createHttpTransport({ url: 'https://api.example.com/sync' }) or createLocalTransport(serverPlugin)."
+      });
+    }
+
+    this.transport = transport;
+    this.store = store;
+    this.resources = normalizeSyncResources(resources, 'constructor');
+
+    this._resourceDescriptors = {
+      meta: { defaultName: 'plg_sync_meta', override: resourceNames.meta },
+      outbox: { defaultName: 'plg_sync_outbox', override: resourceNames.outbox }
+    };
+    const names = this._resolveResourceNames();
+
+    this.config = {
+      metaResource: names.meta!,
+      outboxResource: names.outbox!,
+      storeKey,
+      pushBatchSize: Math.max(1, pushBatchSize),
+      pullLimit: Math.max(1, pullLimit),
+      syncInterval,
+      persistDelay,
+      logLevel: this.logLevel
+    };
+  }
+
+  private _resolveResourceNames(): Record<string, string> {
+    return resolveResourceNames('sync', this._resourceDescriptors, {
+      namespace: this.namespace ?? undefined
+    });
+  }
+
+  override onNamespaceChanged(): void {
+    if (!this.config) return;
+    const names = this._resolveResourceNames();
+    this.config.metaResource = names.meta!;
+    this.config.outboxResource = names.outbox!;
+  }
+
+  override async onInstall(): Promise<void> {
+    if (this.store) {
+      const client = this.database.client as unknown as Partial<SnapshotClient>;
+      if (typeof client.snapshot !== 'function' || typeof client.restore !== 'function') {
+        throw new SyncError('A sync store needs a database on MemoryClient', {
+          operation: 'onInstall',
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Create the client-side database with new MemoryClient(), or omit the store.'
+        });
+      }
+
+      const snapshot = await this.store.get(this.config.storeKey);
+      if (snapshot) {
+        client.restore(snapshot);
+      }
+    }
+
+    this.metaResource = await this._createResource(this.config.metaResource, {
+      id: 'string|required',
+      resourceName: 'string|required',
+      recordId: 'string|required',
+      vector: 'json|required',
+      fields: 'json|required',
+      deleted: 'boolean|required',
+      updatedAt: 'number|required'
+    }, { behavior: 'body-only' });
+
+    this.outboxResource = await this._createResource(this.config.outboxResource, {
+      id: 'string|required',
+      resourceName: 'string|required',
+      recordId: 'string|required',
+      op: 'string|required',
+      createdAt: 'number|required'
+    });
+
+    const saved = await this._pluginStorage().get(this._stateKey()) as Partial<ClientState> | null;
+    this._state = {
+      replicaId: this.options.replicaId ?? saved?.replicaId ?? `client-${idGenerator(12)}`,
+      cursors: saved?.cursors ?? {}
+    };
+    this.replicaId = this._state.replicaId;
+    await this._saveState();
+
+    this.database.addHook('afterCreateResource', (context: any) => {
+      this._trackResource(context.resource as SyncResource);
+    });
+    for (const resource of Object.values(this.database.resources as unknown as Record<string, SyncResource>)) {
+      this._trackResource(resource);
+    }
+  }
+
+  private async _createResource(
+    name: string,
+    attributes: Record<string, string>,
+    options: Record<string, unknown> = {}
+  ): Promise<SyncResource> {
+    const [ok, err] = await tryFn(() => this.database.createResource({
+      name,
+      attributes,
+      behavior: 'body-overflow',
+      ...options
+    }));
+
+    const resource = this.database.resources[name] as unknown as SyncResource | undefined;
+    if (!resource) {
+      throw new SyncError(`Failed to create resource '${name}': ${(err as Error)?.message}`, {
+        operation: 'onInstall',
+        resourceName: name,
+        statusCode: 500,
+        retriable: false,
+        suggestion: 'Check database permissions and ensure createResource() succeeds.',
+        original: ok ? undefined : err
+      });
+    }
+    return resource;
+  }
+
+  override async onStart(): Promise<void> {
+    if (this.config.syncInterval > 0 && !this._syncTimer) {
+      this._syncTimer = setInterval(() => {
+        this.sync().catch((error: Error) => {
+          this.emit('plg:sync:error', { error: error.message });
+        });
+      }, this.config.syncInterval);
+      this._syncTimer.unref?.();
+    }
+  }
+
+  override async onStop(): Promise<void> {
+    if (this._syncTimer) {
+      clearInterval(this._syncTimer);
+      this._syncTimer = null;
+    }
+    await this._syncing?.catch(() => undefined);
+    await this.flush();
+  }
+
+  private _pluginStorage(): PluginStorage {
+    return this.getStorage() as PluginStorage;
+  }
+
+  private _stateKey(): string {
+    return this._pluginStorage().getPluginKey(null, 'state');
+  }
+
+  private async _saveState(): Promise<void> {
+    await this._pluginStorage().set(this._stateKey(), { ...this._state! }, { behavior: 'body-only' });
+    this._schedulePersist();
+  }
+
+  /** Runs meta read-modify-writes one at a time. */
+  private _serialize<T>(task: () => Promise<T>): Promise<T> {
+    const run = this._tail.then(task);
+    this._tail = run.catch(() => undefined);
+    return run;
+  }
+
+  private _trackResource(resource: SyncResource): void {
+    const name = resource?.name;
+    if (!name || !this.resources[name] || this._tracked.has(name)) return;
+    this._tracked.add(name);
+
+    const onWrite = async (data: Record<string, unknown>) => {
+      await this._recordLocal(name, data, false);
+      return data;
+    };
+    resource.addHook('afterInsert', onWrite);
+    resource.addHook('afterUpdate', onWrite);
+    resource.addHook('afterReplace', onWrite);
+    resource.addHook('afterDelete', async (data) => {
+      await this._recordLocal(name, data, true);
+      return data;
+    });
+  }
+
+  private async _getMeta(resourceName: string, id: string): Promise<SyncRecordMeta | null> {
+    const [ok, , meta] = await tryFn(() => this.metaResource!.get(recordKey(resourceName, id)));
+    return ok ? meta as unknown as SyncRecordMeta : null;
+  }
+
+  private async _recordLocal(resourceName: string, data: Record<string, unknown>, deleted: boolean): Promise<void> {
+    const id = String(data.id);
+    const key = recordKey(resourceName, id);
+    if (this._applying.has(key)) return;
+
+    const recorded = await this._serialize(async () => {
+      const previous = await this._getMeta(resourceName, id);
+      const now = Date.now();
+
+      let fields = previous?.fields ?? {};
+      if (!deleted) {
+        const stamped = stampFields(previous?.fields, data, now);
+        if (previous && !previous.deleted && stamped.changed.length === 0) return false;
+        fields = stamped.fields;
+      }
+
+      await this.metaResource!.replace(key, {
+        id: key,
+        resourceName,
+        recordId: id,
+        vector: incrementVector(previous?.vector, this.replicaId!),
+        fields,
+        deleted,
+        updatedAt: now
+      });
+
+      // Time first so ids sort in write order
+      const sequence = String(++this._outboxCounter % 1e6).padStart(6, '0');
+      await this.outboxResource!.insert({
+        id: `${String(now).padStart(15, '0')}-${sequence}-${idGenerator(6)}`,
+        resourceName,
+        recordId: id,
+        op: deleted ? 'delete' : 'upsert',
+        createdAt: now
+      });
+      return true;
+    });
+
+    if (recorded) {
+      this.emit('plg:sync:change', { resource: resourceName, id, op: deleted ? 'delete' : 'upsert' });
+      this._schedulePersist();
+    }
+  }
+
+  /** Local changes not pushed yet, oldest first. */
+  async pendingChanges(): Promise<OutboxEntry[]> {
+    const entries = await this.outboxResource!.list() as unknown as OutboxEntry[];
+    return entries.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  /** Push the outbox, then pull. Concurrent calls share the same run. */
+  async sync(): Promise<SyncResult> {
+    if (this._syncing) return this._syncing;
+
+    this._syncing = (async () => {
+      const pushed = await this.push();
+      const pulled = await this.pull();
+      await this.flush();
+
+      const result = { ...pushed, pulled };
+      this.emit('plg:sync:synced', result);
+      return result;
+    })();
+
+    try {
+      return await this._syncing;
+    } finally {
+      this._syncing = null;
+    }
+  }
+
+  /** Send pending local changes, coalesced to the latest state of each record. */
+  async push(): Promise<Omit<SyncResult, 'pulled'>> {
+    const result = { pushed: 0, conflicts: 0, rejected: 0 };
+    const entries = await this.pendingChanges();
+    if (entries.length === 0) return result;
+
+    const groups = new Map<string, { resourceName: string; id: string; entryIds: string[] }>();
+    for (const entry of entries) {
+      const key = recordKey(entry.resourceName, entry.recordId);
+      const group = groups.get(key) ?? { resourceName: entry.resourceName, id: entry.recordId, entryIds: [] };
+      group.entryIds.push(entry.id);
+      groups.set(key, group);
+    }
+
+    const records = [...groups.values()];
+    for (let i = 0; i < records.length; i += this.config.pushBatchSize) {
+      const batch = records.slice(i, i + this.config.pushBatchSize);
+      const changes: SyncChange[] = [];
+
+      for (const { resourceName, id } of batch) {
+        const meta = await this._getMeta(resourceName, id);
+        if (!meta) continue;
+
+        const resource = this.database.resources[resourceName] as unknown as SyncResource;
+        const [ok, , record] = meta.deleted ? [false] as const : await tryFn(() => resource.get(id));
+        const data = ok && record ? { ...syncFields(record), id } : null;
+
+        changes.push({
+          resource: resourceName,
+          id,
+          deleted: !data,
+          data,
+          vector: meta.vector,
+          fields: meta.fields,
+          updatedAt: meta.updatedAt
+        });
+      }
+
+      const response = await this.transport.push({ replicaId: this.replicaId!, changes });
+
+      for (const { entryIds } of batch) {
+        for (const entryId of entryIds) {
+          await tryFn(() => this.outboxResource!.delete(entryId));
+        }
+      }
+
+      // Records written again while the push was in flight keep their local state
+      const stillPending = new Set((await this.pendingChanges()).map(entry => recordKey(entry.resourceName, entry.recordId)));
+
+      for (const pushResult of response.results) {
+        result.pushed++;
+        if (pushResult.status === 'merged') result.conflicts++;
+        if (pushResult.status === 'rejected') {
+          result.rejected++;
+          // The server state wins; the event carries the local data so it can be recovered
+          const local = changes.find(change => change.resource === pushResult.resource && change.id === pushResult.id);
+          this.emit('plg:sync:rejected', {
+            resource: pushResult.resource,
+            id: pushResult.id,
+            error: pushResult.error,
+            data: local?.data ?? null
+          });
+        }
+
+        if (pushResult.status === 'ignored' || stillPending.has(recordKey(pushResult.resource, pushResult.id))) continue;
+        await this._serialize(() => this._applyRemote(pushResult.resource, pushResult.id, pushResult));
+      }
+    }
+
+    this._schedulePersist();
+    return result;
+  }
+
+  /** Fetch server changes after the stored cursors until every resource is drained. */
+  async pull(): Promise<number> {
+    let pulled = 0;
+    let pending = Object.keys(this.resources);
+
+    while (pending.length > 0) {
+      const response = await this.transport.pull({
+        replicaId: this.replicaId!,
+        limit: this.config.pullLimit,
+        resources: Object.fromEntries(pending.map(name => [name, {
+          ...this.resources[name],
+          cursor: this._state!.cursors[name] ?? 0
+        }]))
+      });
+
+      const localPending = new Set((await this.pendingChanges()).map(entry => recordKey(entry.resourceName, entry.recordId)));
+      const next: string[] = [];
+
+      for (const [resourceName, page] of Object.entries(response.resources)) {
+        for (const change of page.changes) {
+          // Pushed on the next sync, where the server resolves the conflict
+          if (localPending.has(recordKey(resourceName, change.id))) continue;
+          if (await this._serialize(() => this._applyPulled(resourceName, change))) pulled++;
+        }
+
+        this._state!.cursors[resourceName] = page.cursor;
+        if (page.hasMore && pending.includes(resourceName)) next.push(resourceName);
+      }
+
+      await this._saveState();
+      pending = next;
+    }
+
+    return pulled;
+  }
+
+  private async _applyPulled(resourceName: string, change: PulledChange): Promise<boolean> {
+    const meta = await this._getMeta(resourceName, change.id);
+
+    if (change.op === 'evict') {
+      const resource = this.database.resources[resourceName] as unknown as SyncResource;
+      if (!meta && !(await resource.exists(change.id))) return false;
+      await this._withApplying(resourceName, change.id, async () => {
+        if (await resource.exists(change.id)) await resource.delete(change.id);
+      });
+      await tryFn(() => this.metaResource!.delete(recordKey(resourceName, change.id)));
+      return true;
+    }
+
+    const order = compareVectors(change.vector, meta?.vector);
+    if (order === 'before' || order === 'equal') return false;
+
+    await this._applyRemote(resourceName, change.id, { ...change, deleted: change.op === 'delete' });
+    return true;
+  }
+
+  private async _withApplying(resourceName: string, id: string, task: () => Promise<void>): Promise<void> {
+    const key = recordKey(resourceName, id);
+    this._applying.add(key);
+    try {
+      await task();
+    } finally {
+      this._applying.delete(key);
+    }
+  }
+
+  private async _applyRemote(resourceName: string, id: string, state: RemoteState | PushResult): Promise<void> {
+    const resource = this.database.resources[resourceName] as unknown as SyncResource;
+
+    await this._withApplying(resourceName, id, async () => {
+      if (state.deleted || !state.data) {
+        if (await resource.exists(id)) await resource.delete(id);
+        return;
+      }
+
+      const [exists, , current] = await tryFn(() => resource.get(id));
+      const incoming = syncFields(state.data);
+      if (!exists || hashValue(syncFields(current as Record<string, unknown>)) !== hashValue(incoming)) {
+        await resource.replace(id, incoming);
+      }
+    });
+
+    const key = recordKey(resourceName, id);
+    await this.metaResource!.replace(key, {
+      id: key,
+      resourceName,
+      recordId: id,
+      vector: state.vector,
+      fields: state.fields,
+      deleted: state.deleted || !state.data,
+      updatedAt: state.updatedAt
+    });
+  }
+
+  private _snapshotClient(): SnapshotClient {
+    return this.database.client as unknown as SnapshotClient;
+  }
+
+  private _schedulePersist(): void {
+    if (!this.store || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      void this._persist();
+    }, this.config.persistDelay);
+    this._persistTimer.unref?.();
+  }
+
+  private async _persist(): Promise<void> {
+    if (!this.store) return;
+    // Chain writes so an older snapshot never lands after a newer one
+    const previous = this._persisting ?? Promise.resolve();
+    const run = previous.then(async () => {
+      const [ok, err] = await tryFn(() => this.store!.set(this.config.storeKey, this._snapshotClient().snapshot()));
+      if (!ok) {
+        this.logger.warn({ error: (err as Error).message }, `Failed to persist sync replica: ${(err as Error).message}`);
+        this.emit('plg:sync:persist-error', { error: (err as Error).message });
+      }
+    });
+    this._persisting = run;
+    await run;
+    if (this._persisting === run) this._persisting = null;
+  }
+
+  /** Write the replica (data, meta and outbox) to the store now. */
+  async flush(): Promise<void> {
+    if (!this.store) return;
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    await this._persist();
+  }
+}
@@ -0,0 +1,91 @@
+import jsonStableStringify from 'json-stable-stringify';
+
+/** Counter of writes seen from each replica. */
+export type VersionVector = Record<string, number>;
+
+export type VectorOrder = 'equal' | 'before' | 'after' | 'concurrent';
+
+/** Per-field `[timestamp, valueHash]`, used by field-level merges. */
+export type FieldClock = Record<string, [number, string]>;
+
+/**
+ * Order of `a` relative to `b`: `before` when `b` has seen every write of `a`
+ * (and more), `concurrent` when each side has writes the other has not seen.
+ */
+export function compareVectors(a: VersionVector = {}, b: VersionVector = {}): VectorOrder {
+  let aAhead = false;
+  let bAhead = false;
+
+  for (const replica of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const left = a[replica] ?? 0;
+    const right = b[replica] ?? 0;
+    if (left > right) aAhead = true;
+    if (right > left) bAhead = true;
+  }
+
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+export function mergeVectors(a: VersionVector = {}, b: VersionVector = {}): VersionVector {
+  const merged: VersionVector = { ...a };
+  for (const [replica, counter] of Object.entries(b)) {
+    merged[replica] = Math.max(merged[replica] ?? 0, counter);
+  }
+  return merged;
+}
+
+export function incrementVector(vector: VersionVector = {}, replicaId: string): VersionVector {
+  return { ...vector, [replicaId]: (vector[replicaId] ?? 0) + 1 };
+}
+
+/** FNV-1a over the stable JSON of the value: short, deterministic and browser-safe. */
+export function hashValue(value: unknown): string {
+  const text = jsonStableStringify(value === undefined ? null : value) ?? 'null';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/** Record fields tracked by the field clock (everything but the id and internal `_`/`$` keys). */
+export function syncFields(record: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(
+    Object.entries(record).filter(([key]) => key !== 'id' && !key.startsWith('_') && !key.startsWith('$'))
+  );
+}
+
+/**
+ * Stamp the fields of `data` whose value changed since `previous` with
+ * `timestamp`; unchanged fields keep their clock. Fields missing from `data`
+ * are dropped.
+ */
+export function stampFields(
+  previous: FieldClock = {},
+  data: Record<string, unknown>,
+  timestamp: number
+): { fields: FieldClock; changed: string[] } {
+  const fields: FieldClock = {};
+  const changed: string[] = [];
+
+  for (const [key, value] of Object.entries(syncFields(data))) {
+    const hash = hashValue(value);
+    const clock = previous[key];
+    if (clock && clock[1] === hash) {
+      fields[key] = clock;
+    } else {
+      fields[key] = [timestamp, hash];
+      changed.push(key);
+    }
+  }
+
+  for (const key of Object.keys(previous)) {
+    if (!(key in fields)) changed.push(key);
+  }
+
+  return { fields, changed };
+}
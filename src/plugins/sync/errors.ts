@@ -0,0 +1,50 @@
+import { S3dbError } from '../../errors.js';
+
+export interface SyncErrorDetails {
+  resourceName?: string;
+  recordId?: string;
+  replicaId?: string;
+  operation?: string;
+  statusCode?: number;
+  retriable?: boolean;
+  description?: string;
+  [key: string]: unknown;
+}
+
+export class SyncError extends S3dbError {
+  constructor(message: string, details: SyncErrorDetails = {}) {
+    const { resourceName, recordId, replicaId, operation = 'unknown', retriable, ...rest } = details;
+
+    let description = details.description;
+    if (!description) {
+      description = `
+Sync Operation Error
+
+Operation: ${operation}
+${resourceName ? `Resource: ${resourceName}` : ''}
+${recordId ? `Record: ${recordId}` : ''}
+${replicaId ? `Replica: ${replicaId}` : ''}
+
+Common causes:
+1. Resource not listed in the sync plugin options
+2. Unknown partition in a client scope
+3. Server unreachable or returning an error
+4. Commit lock held by another writer for too long
+
+Solution:
+Check the sync configuration on both sides and retry; sync() is safe to repeat.
+
+Docs: https://github.com/forattini-dev/s3db.js/blob/main/docs/plugins/sync/README.md
+`.trim();
+    }
+
+    super(message, { ...rest, resourceName, recordId, replicaId, operation, description });
+    this.statusCode = details.statusCode ?? 500;
+
+    if (retriable !== undefined) {
+      this.retriable = retriable;
+    }
+  }
+}
+
+export default SyncError;
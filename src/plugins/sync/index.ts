@@ -0,0 +1,32 @@
+export { SyncServerPlugin } from './server.js';
+export type { SyncServerPluginOptions, SyncServerResourceOptions, SyncRoutesOptions } from './server.js';
+export { SyncClientPlugin, createMemoryStore } from './client.js';
+export type {
+  SyncClientPluginOptions,
+  SyncClientResourceOptions,
+  SyncKeyValueStore,
+  OutboxEntry,
+  SyncResult
+} from './client.js';
+export { createHttpTransport, createLocalTransport } from './transport.js';
+export type {
+  SyncTransport,
+  SyncEndpoint,
+  SyncChange,
+  PushRequest,
+  PushResponse,
+  PushResult,
+  PushStatus,
+  PullScope,
+  PullRequest,
+  PullResponse,
+  PulledChange,
+  PulledOperation,
+  PulledResource,
+  HttpTransportOptions
+} from './transport.js';
+export { lastWriterWins, fieldLevelMerge, getResolver } from './resolvers.js';
+export type { SyncConflict, SyncRecordState, SyncResolver, SyncResolverOption } from './resolvers.js';
+export { compareVectors, mergeVectors, incrementVector } from './clocks.js';
+export type { VersionVector, VectorOrder, FieldClock } from './clocks.js';
+export { SyncError } from './errors.js';
@@ -0,0 +1,87 @@
+import { SyncError } from './errors.js';
+import { syncFields, type FieldClock, type VersionVector } from './clocks.js';
+
+/** One side of a conflict: the record as that replica last wrote it. */
+export interface SyncRecordState {
+  /** Record data, or null when this side deleted the record. */
+  data: Record<string, unknown> | null;
+  deleted: boolean;
+  vector: VersionVector;
+  fields: FieldClock;
+  /** Timestamp (ms) of the last write. */
+  updatedAt: number;
+  /** Replica that made the last write. */
+  replicaId: string;
+}
+
+export interface SyncConflict {
+  resource: string;
+  id: string;
+  server: SyncRecordState;
+  client: SyncRecordState;
+}
+
+/** Returns the merged record, or null to keep the record deleted. */
+export type SyncResolver = (
+  conflict: SyncConflict
+) => Record<string, unknown> | null | Promise<Record<string, unknown> | null>;
+
+export type SyncResolverOption = 'lww' | 'last-writer-wins' | 'field-merge' | SyncResolver;
+
+function isLater(a: { updatedAt: number; replicaId: string }, b: { updatedAt: number; replicaId: string }): boolean {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return a.replicaId > b.replicaId;
+}
+
+/** The side with the latest write wins as a whole; ties go to the greater replica id. */
+export const lastWriterWins: SyncResolver = ({ server, client }) => {
+  const winner = isLater(client, server) ? client : server;
+  return winner.deleted ? null : winner.data;
+};
+
+/**
+ * Each field takes the value from the side that wrote it last. A delete on
+ * either side makes the whole record fall back to last-writer-wins.
+ */
+export const fieldLevelMerge: SyncResolver = (conflict) => {
+  const { id, server, client } = conflict;
+  if (server.deleted || client.deleted || !server.data || !client.data) {
+    return lastWriterWins(conflict);
+  }
+
+  const serverFields = syncFields(server.data);
+  const clientFields = syncFields(client.data);
+  const clientWinsTies = isLater(client, server);
+  const merged: Record<string, unknown> = { id };
+
+  for (const key of new Set([...Object.keys(serverFields), ...Object.keys(clientFields)])) {
+    if (!(key in clientFields)) {
+      merged[key] = serverFields[key];
+      continue;
+    }
+    if (!(key in serverFields)) {
+      merged[key] = clientFields[key];
+      continue;
+    }
+
+    const serverTime = server.fields[key]?.[0] ?? 0;
+    const clientTime = client.fields[key]?.[0] ?? 0;
+    const useClient = clientTime > serverTime || (clientTime === serverTime && clientWinsTies);
+    merged[key] = useClient ? clientFields[key] : serverFields[key];
+  }
+
+  return merged;
+};
+
+export function getResolver(option: SyncResolverOption | undefined = 'lww'): SyncResolver {
+  if (typeof option === 'function') return option;
+  if (option === 'lww' || option === 'last-writer-wins') return lastWriterWins;
+  if (option === 'field-merge') return fieldLevelMerge;
+
+  throw new SyncError(`Unknown conflict resolver '${String(option)}'`, {
+    operation: 'getResolver',
+    statusCode: 400,
+    retriable: false,
+    suggestion: "Use 'lww', 'field-merge' or a function (conflict) => mergedRecord | null."
+  });
+}
@@ -0,0 +1,619 @@
+import { get } from 'lodash-es';
+import { Plugin, type PluginConfig } from '../plugin.class.js';
+import { resolveResourceNames } from '../concerns/resource-names.js';
+import type { PluginStorage } from '../../concerns/plugin-storage.js';
+import tryFn from '../../concerns/try-fn.js';
+import { SyncError } from './errors.js';
+import {
+  compareVectors,
+  hashValue,
+  incrementVector,
+  mergeVectors,
+  stampFields,
+  syncFields,
+  type FieldClock,
+  type VersionVector
+} from './clocks.js';
+import { getResolver, type SyncConflict, type SyncResolver, type SyncResolverOption } from './resolvers.js';
+import { normalizeSyncResources, recordKey, type SyncRecordMeta, type SyncResource } from './utils.js';
+import type {
+  PullRequest,
+  PullResponse,
+  PulledChange,
+  PullScope,
+  PushRequest,
+  PushResponse,
+  PushResult,
+  PushStatus,
+  SyncChange
+} from './transport.js';
+
+export interface SyncServerResourceOptions {
+  /** Conflict resolver for this resource (defaults to the plugin resolver). */
+  resolver?: SyncResolverOption;
+}
+
+export interface SyncServerPluginOptions extends PluginConfig {
+  resources?: string[] | Record<string, SyncServerResourceOptions | true>;
+  resolver?: SyncResolverOption;
+  /** Entry of the server in version vectors. */
+  replicaId?: string;
+  /** Maximum changes per resource in one pull response. */
+  pageSize?: number;
+  /** How long a write waits for the per-resource commit lock (ms). */
+  lockTimeout?: number;
+  resourceNames?: { records?: string };
+}
+
+interface SyncServerPluginConfig {
+  recordsResource: string;
+  replicaId: string;
+  pageSize: number;
+  lockTimeout: number;
+  logLevel: string;
+}
+
+interface ServerRecordMeta extends SyncRecordMeta {
+  /** Per-resource commit sequence of the last change; pull cursors point into it. */
+  seq: number;
+  replicaId: string;
+  /** Values of the partition fields at the last change, used to filter pulls. */
+  scope: Record<string, unknown>;
+}
+
+/** Meta to record instead of a fresh local write while a pushed change is applied. */
+interface CommitOverride {
+  vector: VersionVector;
+  fields: FieldClock;
+  updatedAt: number;
+  replicaId: string;
+}
+
+interface RouteContext {
+  body(): Promise<unknown>;
+  success(data: unknown, status?: number): unknown;
+  error(error: unknown, status?: number): unknown;
+  forbidden(message?: string): unknown;
+}
+
+export interface SyncRoutesOptions {
+  basePath?: string;
+  /**
+   * Called before each push/pull. Return false to answer 403; the request
+   * may be adjusted in place (e.g. to force the caller's tenant partition).
+   * Required: without it every request is denied. Pass `'public'` to open
+   * the routes to any caller.
+   */
+  authorize?: 'public' | ((
+    ctx: RouteContext,
+    operation: 'push' | 'pull',
+    request: PushRequest | PullRequest
+  ) => boolean | Promise<boolean>);
+}
+
+/** Field clock of a resolved record: each field keeps the clock of the side it came from. */
+function resolvedFieldClock(data: Record<string, unknown>, conflict: SyncConflict, now: number): FieldClock {
+  const fields: FieldClock = {};
+
+  for (const [key, value] of Object.entries(syncFields(data))) {
+    const hash = hashValue(value);
+    const candidates = [conflict.server.fields[key], conflict.client.fields[key]]
+      .filter((clock): clock is [number, string] => !!clock && clock[1] === hash);
+    fields[key] = candidates.length > 0
+      ? candidates.reduce((latest, clock) => (clock[0] > latest[0] ? clock : latest))
+      : [now, hash];
+  }
+
+  return fields;
+}
+
+/**
+ * SyncServerPlugin
+ *
+ * Server half of the local-first sync protocol. Every write to a synced
+ * resource bumps the record's version vector and field clock and takes the
+ * next per-resource sequence, under a commit lock so pull cursors never skip
+ * a change. Clients push their outbox (concurrent versions go through the
+ * conflict resolver) and pull everything after their cursor.
+ */
+export class SyncServerPlugin extends Plugin<SyncServerPluginOptions> {
+  config: SyncServerPluginConfig;
+  resources: Record<string, SyncServerResourceOptions>;
+  recordsResource: SyncResource | null = null;
+
+  private _resolvers: Map<string, SyncResolver> = new Map();
+  private _defaultResolver: SyncResolver;
+  private _tracked: Set<string> = new Set();
+  private _overrides: Map<string, CommitOverride> = new Map();
+  private _resourceDescriptors: Record<string, { defaultName: string; override?: string }>;
+
+  constructor(options: SyncServerPluginOptions = {}) {
+    super(options);
+
+    const {
+      resources,
+      resolver = 'lww',
+      replicaId = 'server',
+      pageSize = 500,
+      lockTimeout = 10000,
+      resourceNames = {}
+    } = this.options;
+
+    this.resources = normalizeSyncResources(resources, 'constructor');
+    this._defaultResolver = getResolver(resolver);
+    for (const [name, resourceOptions] of Object.entries(this.resources)) {
+      this._resolvers.set(name, resourceOptions.resolver ? getResolver(resourceOptions.resolver) : this._defaultResolver);
+    }
+
+    this._resourceDescriptors = {
+      records: { defaultName: 'plg_sync_records', override: resourceNames.records }
+    };
+    const names = this._resolveResourceNames();
+
+    this.config = {
+      recordsResource: names.records!,
+      replicaId,
+      pageSize: Math.max(1, pageSize),
+      lockTimeout,
+      logLevel: this.logLevel
+    };
+  }
+
+  private _resolveResourceNames(): Record<string, string> {
+    return resolveResourceNames('sync', this._resourceDescriptors, {
+      namespace: this.namespace ?? undefined
+    });
+  }
+
+  override onNamespaceChanged(): void {
+    if (!this.config) return;
+    this.config.recordsResource = this._resolveResourceNames().records!;
+  }
+
+  override async onInstall(): Promise<void> {
+    const [ok, err] = await tryFn(() => this.database.createResource({
+      name: this.config.recordsResource,
+      attributes: {
+        id: 'string|required',
+        resourceName: 'string|required',
+        recordId: 'string|required',
+        seq: 'number|required',
+        vector: 'json|required',
+        fields: 'json|required',
+        deleted: 'boolean|required',
+        updatedAt: 'number|required',
+        replicaId: 'string|required',
+        scope: 'json|optional'
+      },
+      // Field clocks grow with the tracked record
+      behavior: 'body-only',
+      partitions: { byResource: { fields: { resourceName: 'string' } } },
+      // Pulls list the partition right after a commit
+      asyncPartitions: false
+    }));
+
+    this.recordsResource = this.database.resources[this.config.recordsResource] as unknown as SyncResource | undefined ?? null;
+    if (!this.recordsResource) {
+      throw new SyncError(`Failed to create resource '${this.config.recordsResource}': ${(err as Error)?.message}`, {
+        operation: 'onInstall',
+        resourceName: this.config.recordsResource,
+        statusCode: 500,
+        retriable: false,
+        suggestion: 'Check database permissions and ensure createResource() succeeds.',
+        original: ok ? undefined : err
+      });
+    }
+
+    this.database.addHook('afterCreateResource', (context: any) => {
+      this._trackResource(context.resource as SyncResource);
+    });
+    for (const resource of Object.values(this.database.resources as unknown as Record<string, SyncResource>)) {
+      this._trackResource(resource);
+    }
+  }
+
+  private _trackResource(resource: SyncResource): void {
+    const name = resource?.name;
+    if (!name || !this.resources[name] || this._tracked.has(name)) return;
+    this._tracked.add(name);
+
+    const onWrite = async (data: Record<string, unknown>) => {
+      await this._commitLocal(name, data, false);
+      return data;
+    };
+    resource.addHook('afterInsert', onWrite);
+    resource.addHook('afterUpdate', onWrite);
+    resource.addHook('afterReplace', onWrite);
+    resource.addHook('afterDelete', async (data) => {
+      await this._commitLocal(name, data, true);
+      return data;
+    });
+  }
+
+  private _getResource(name: string, operation: string): SyncResource {
+    const resource = this.database.resources[name] as unknown as SyncResource | undefined;
+    if (!this._tracked.has(name) || !resource) {
+      throw new SyncError(`Resource '${name}' is not synced`, {
+        operation,
+        resourceName: name,
+        statusCode: 400,
+        retriable: false,
+        suggestion: `Synced resources: ${Object.keys(this.resources).join(', ')}.`
+      });
+    }
+    return resource;
+  }
+
+  private _pluginStorage(): PluginStorage {
+    return this.getStorage() as PluginStorage;
+  }
+
+  private async _withCommitLock<T>(resourceName: string, operation: string, callback: () => Promise<T>): Promise<T> {
+    const ttl = Math.max(30, Math.ceil(this.config.lockTimeout / 1000) * 3);
+    const [ok, err, result] = await tryFn(() => this._pluginStorage().withLock(
+      `commit-${resourceName}`,
+      { ttl, timeout: this.config.lockTimeout },
+      async () => ({ value: await callback() })
+    ));
+
+    if (!ok) throw err;
+    if (!result) {
+      throw new SyncError(`Timed out waiting for the commit lock of '${resourceName}'`, {
+        operation,
+        resourceName,
+        statusCode: 503,
+        retriable: true,
+        suggestion: 'Another writer holds the lock; retry, or raise lockTimeout.'
+      });
+    }
+    return result.value;
+  }
+
+  private async _commitLocal(resourceName: string, data: Record<string, unknown>, deleted: boolean): Promise<void> {
+    const id = String(data.id);
+    const override = this._overrides.get(recordKey(resourceName, id));
+    if (override) {
+      // push() already holds the commit lock
+      await this._writeMeta(resourceName, data, deleted, override);
+      return;
+    }
+    await this._withCommitLock(resourceName, 'track', () => this._writeMeta(resourceName, data, deleted));
+  }
+
+  private async _getMeta(resourceName: string, id: string): Promise<ServerRecordMeta | null> {
+    const [ok, , meta] = await tryFn(() => this.recordsResource!.get(recordKey(resourceName, id)));
+    return ok ? meta as unknown as ServerRecordMeta : null;
+  }
+
+  private _scopeOf(resourceName: string, data: Record<string, unknown>): Record<string, unknown> {
+    const resource = this.database.resources[resourceName] as unknown as SyncResource | undefined;
+    const scope: Record<string, unknown> = {};
+    for (const partition of Object.values(resource?.config?.partitions ?? {})) {
+      for (const field of Object.keys(partition.fields ?? {})) {
+        scope[field] = get(data, field) ?? null;
+      }
+    }
+    return scope;
+  }
+
+  private async _writeMeta(
+    resourceName: string,
+    data: Record<string, unknown>,
+    deleted: boolean,
+    override?: CommitOverride
+  ): Promise<ServerRecordMeta | null> {
+    const id = String(data.id);
+    const previous = await this._getMeta(resourceName, id);
+    const updatedAt = override?.updatedAt ?? Date.now();
+
+    let fields = previous?.fields ?? {};
+    if (!deleted) {
+      const stamped = stampFields(override?.fields ?? previous?.fields, data, updatedAt);
+      if (!override && previous && !previous.deleted && stamped.changed.length === 0) {
+        return previous;
+      }
+      fields = stamped.fields;
+    } else if (!override && previous?.deleted) {
+      return previous;
+    }
+
+    const meta: ServerRecordMeta = {
+      id: recordKey(resourceName, id),
+      resourceName,
+      recordId: id,
+      seq: await this._pluginStorage().nextSequence('seq', { resourceName }),
+      vector: override?.vector ?? incrementVector(previous?.vector, this.config.replicaId),
+      fields,
+      deleted,
+      updatedAt,
+      replicaId: override?.replicaId ?? this.config.replicaId,
+      scope: deleted && Object.keys(data).length <= 1 ? previous?.scope ?? {} : this._scopeOf(resourceName, data)
+    };
+
+    await this.recordsResource!.replace(meta.id, meta as unknown as Record<string, unknown>);
+    return meta;
+  }
+
+  /**
+   * Record the current state of records written before the plugin was
+   * installed, so clients pull them. Records that already have sync state are
+   * left alone.
+   */
+  async trackExisting(resourceName?: string): Promise<number> {
+    const names = resourceName ? [resourceName] : Object.keys(this.resources);
+    let tracked = 0;
+
+    for (const name of names) {
+      const resource = this._getResource(name, 'trackExisting');
+      for (const record of await resource.list()) {
+        const meta = await this._getMeta(name, String(record.id));
+        if (meta) continue;
+        await this._commitLocal(name, record, false);
+        tracked++;
+      }
+    }
+    return tracked;
+  }
+
+  async push(request: PushRequest): Promise<PushResponse> {
+    if (!request || typeof request.replicaId !== 'string' || !request.replicaId || !Array.isArray(request.changes)) {
+      throw new SyncError('Push request needs a replicaId and a changes array', {
+        operation: 'push',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Send { replicaId, changes: [{ resource, id, deleted, data, vector, fields, updatedAt }] }.'
+      });
+    }
+
+    const results: PushResult[] = [];
+    for (const change of request.changes) {
+      this._getResource(change.resource, 'push');
+      results.push(await this._withCommitLock(
+        change.resource,
+        'push',
+        () => this._pushChange(change, request.replicaId)
+      ));
+    }
+
+    this.emit('plg:sync:pushed', {
+      replicaId: request.replicaId,
+      changes: results.length,
+      conflicts: results.filter(result => result.status === 'merged').length
+    });
+    return { results };
+  }
+
+  private async _pushChange(change: SyncChange, replicaId: string): Promise<PushResult> {
+    const { resource: resourceName, id } = change;
+    const meta = await this._getMeta(resourceName, id);
+    const order = compareVectors(change.vector, meta?.vector);
+
+    if (order === 'equal' || order === 'before') {
+      return this._pushResult(resourceName, id, 'ignored');
+    }
+
+    const clientData = change.deleted || !change.data ? null : { ...change.data, id };
+
+    if (order === 'after') {
+      const [ok, err] = await tryFn(() => this._apply(resourceName, id, clientData, {
+        vector: change.vector,
+        fields: change.fields ?? {},
+        updatedAt: change.updatedAt,
+        replicaId
+      }));
+      return ok
+        ? this._pushResult(resourceName, id, 'applied')
+        : this._rejected(resourceName, id, replicaId, err as Error);
+    }
+
+    const current = meta && !meta.deleted
+      ? (await tryFn(() => this.database.resources[resourceName]!.get(id)))[2] as Record<string, unknown> | undefined
+      : undefined;
+
+    const conflict: SyncConflict = {
+      resource: resourceName,
+      id,
+      server: {
+        data: current ?? null,
+        deleted: !current,
+        vector: meta?.vector ?? {},
+        fields: meta?.fields ?? {},
+        updatedAt: meta?.updatedAt ?? 0,
+        replicaId: meta?.replicaId ?? this.config.replicaId
+      },
+      client: {
+        data: clientData,
+        deleted: !clientData,
+        vector: change.vector,
+        fields: change.fields ?? {},
+        updatedAt: change.updatedAt,
+        replicaId
+      }
+    };
+
+    const resolver = this._resolvers.get(resourceName) ?? this._defaultResolver;
+    const resolved = await resolver(conflict);
+    const now = Date.now();
+
+    const [ok, err] = await tryFn(() => this._apply(resourceName, id, resolved ? { ...resolved, id } : null, {
+      vector: incrementVector(mergeVectors(change.vector, meta?.vector), this.config.replicaId),
+      fields: resolved ? resolvedFieldClock(resolved, conflict, now) : meta?.fields ?? {},
+      updatedAt: now,
+      replicaId: this.config.replicaId
+    }));
+    if (!ok) return this._rejected(resourceName, id, replicaId, err as Error);
+
+    this.emit('plg:sync:conflict', {
+      resource: resourceName,
+      id,
+      replicaId,
+      deleted: !resolved
+    });
+    return this._pushResult(resourceName, id, 'merged');
+  }
+
+  private async _apply(
+    resourceName: string,
+    id: string,
+    data: Record<string, unknown> | null,
+    override: CommitOverride
+  ): Promise<void> {
+    const resource = this.database.resources[resourceName] as unknown as SyncResource;
+    const key = recordKey(resourceName, id);
+    this._overrides.set(key, override);
+
+    try {
+      if (data) {
+        await resource.replace(id, syncFields(data));
+      } else if (await resource.exists(id)) {
+        await resource.delete(id);
+      } else {
+        // Nothing to delete, but the tombstone must still carry the vector
+        await this._writeMeta(resourceName, { id }, true, override);
+      }
+    } finally {
+      this._overrides.delete(key);
+    }
+  }
+
+  private _rejected(resourceName: string, id: string, replicaId: string, error: Error): Promise<PushResult> {
+    this.logger.warn({ resource: resourceName, id, replicaId, error: error.message }, `Rejected pushed change: ${error.message}`);
+    this.emit('plg:sync:rejected', { resource: resourceName, id, replicaId, error: error.message });
+    return this._pushResult(resourceName, id, 'rejected', error.message);
+  }
+
+  private async _pushResult(resourceName: string, id: string, status: PushStatus, error?: string): Promise<PushResult> {
+    const meta = await this._getMeta(resourceName, id);
+    const deleted = !meta || meta.deleted;
+    const data = deleted
+      ? null
+      : (await tryFn(() => this.database.resources[resourceName]!.get(id)))[2] as Record<string, unknown> ?? null;
+
+    return {
+      resource: resourceName,
+      id,
+      status,
+      deleted: !data,
+      data: data ? { ...syncFields(data), id } : null,
+      vector: meta?.vector ?? {},
+      fields: meta?.fields ?? {},
+      updatedAt: meta?.updatedAt ?? 0,
+      replicaId: meta?.replicaId ?? this.config.replicaId,
+      ...(error ? { error } : {})
+    };
+  }
+
+  private _scopeMatcher(resourceName: string, scope: PullScope): (recordScope: Record<string, unknown>) => boolean {
+    if (!scope.partition) return () => true;
+
+    const resource = this.database.resources[resourceName] as unknown as SyncResource;
+    const partition = resource.config?.partitions?.[scope.partition];
+    if (!partition) {
+      throw new SyncError(`Partition '${scope.partition}' not found on resource '${resourceName}'`, {
+        operation: 'pull',
+        resourceName,
+        statusCode: 400,
+        retriable: false,
+        suggestion: `Available partitions: ${Object.keys(resource.config?.partitions ?? {}).join(', ') || 'none'}.`
+      });
+    }
+
+    const expected = Object.keys(partition.fields ?? {})
+      .filter(field => scope.partitionValues?.[field] !== undefined)
+      .map(field => [field, String(scope.partitionValues![field])] as const);
+
+    return recordScope => expected.every(([field, value]) => String(recordScope?.[field] ?? '') === value);
+  }
+
+  async pull(request: PullRequest): Promise<PullResponse> {
+    if (!request || typeof request.replicaId !== 'string' || !request.resources || typeof request.resources !== 'object') {
+      throw new SyncError('Pull request needs a replicaId and resources', {
+        operation: 'pull',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Send { replicaId, resources: { orders: { cursor: 0 } } }.'
+      });
+    }
+
+    const limit = Math.min(Math.max(1, request.limit ?? this.config.pageSize), this.config.pageSize);
+    const response: PullResponse = { resources: {} };
+
+    for (const [resourceName, scope] of Object.entries(request.resources)) {
+      const resource = this._getResource(resourceName, 'pull');
+      const matches = this._scopeMatcher(resourceName, scope ?? {});
+      const cursor = Number(scope?.cursor ?? 0);
+
+      const pending = (await this.recordsResource!.listPartition({
+        partition: 'byResource',
+        partitionValues: { resourceName }
+      }) as unknown as ServerRecordMeta[])
+        .filter(meta => meta.seq > cursor)
+        .sort((a, b) => a.seq - b.seq);
+      const page = pending.slice(0, limit);
+
+      const changes: PulledChange[] = [];
+      for (const meta of page) {
+        // The puller already has its own writes
+        if (meta.replicaId === request.replicaId) continue;
+
+        const base = {
+          id: meta.recordId,
+          seq: meta.seq,
+          vector: meta.vector,
+          fields: meta.fields,
+          updatedAt: meta.updatedAt,
+          replicaId: meta.replicaId
+        };
+
+        if (!matches(meta.scope)) {
+          // Only the id: the record may have left the client's scope
+          changes.push({ ...base, op: 'evict', data: null, fields: {} });
+          continue;
+        }
+
+        const [ok, , data] = meta.deleted ? [false] as const : await tryFn(() => resource.get(meta.recordId));
+        changes.push(ok && data
+          ? { ...base, op: 'upsert', data: { ...syncFields(data), id: meta.recordId } }
+          : { ...base, op: 'delete', data: null });
+      }
+
+      response.resources[resourceName] = {
+        changes,
+        cursor: page.length > 0 ? page[page.length - 1]!.seq : cursor,
+        hasMore: pending.length > page.length
+      };
+    }
+
+    return response;
+  }
+
+  /**
+   * `POST <basePath>/push` and `POST <basePath>/pull` handlers for ApiPlugin's
+   * `routes` option.
+   */
+  getRoutes(options: SyncRoutesOptions = {}): Record<string, (c: unknown, ctx: RouteContext) => Promise<unknown>> {
+    const { basePath = '/sync', authorize } = options;
+    const prefix = basePath.replace(/\/+$/, '');
+
+    const handler = (operation: 'push' | 'pull') => async (_c: unknown, ctx: RouteContext) => {
+      const request = await ctx.body() as PushRequest & PullRequest;
+      if (!authorize) {
+        return ctx.forbidden(`Sync ${operation} not allowed: getRoutes() needs an authorize function or authorize: 'public'`);
+      }
+      if (authorize !== 'public' && !(await authorize(ctx, operation, request))) {
+        return ctx.forbidden(`Sync ${operation} not allowed`);
+      }
+
+      const [ok, err, data] = await tryFn(() => (operation === 'push' ? this.push(request) : this.pull(request)));
+      if (!ok) {
+        return ctx.error(err, (err as SyncError).statusCode ?? 500);
+      }
+      return ctx.success(data);
+    };
+
+    return {
+      [`POST ${prefix}/push`]: handler('push'),
+      [`POST ${prefix}/pull`]: handler('pull')
+    };
+  }
+}
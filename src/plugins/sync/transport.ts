@@ -0,0 +1,181 @@
+import { SyncError } from './errors.js';
+import type { FieldClock, VersionVector } from './clocks.js';
+
+/** A record state sent by a client. */
+export interface SyncChange {
+  resource: string;
+  id: string;
+  deleted: boolean;
+  data: Record<string, unknown> | null;
+  vector: VersionVector;
+  fields: FieldClock;
+  updatedAt: number;
+}
+
+export interface PushRequest {
+  replicaId: string;
+  changes: SyncChange[];
+}
+
+/**
+ * - `applied`: the client state was newer and is now the server state
+ * - `ignored`: the server already had this state (or a newer one)
+ * - `merged`: both sides changed concurrently; `data` holds the resolved record
+ * - `rejected`: the server could not store it (e.g. validation); `data` holds the server state
+ */
+export type PushStatus = 'applied' | 'ignored' | 'merged' | 'rejected';
+
+export interface PushResult {
+  resource: string;
+  id: string;
+  status: PushStatus;
+  deleted: boolean;
+  data: Record<string, unknown> | null;
+  vector: VersionVector;
+  fields: FieldClock;
+  updatedAt: number;
+  replicaId: string;
+  error?: string;
+}
+
+export interface PushResponse {
+  results: PushResult[];
+}
+
+/** What a client replicates of one resource: the whole resource or one partition. */
+export interface PullScope {
+  /** Last sequence received for this resource. */
+  cursor?: number;
+  partition?: string;
+  partitionValues?: Record<string, unknown>;
+}
+
+export interface PullRequest {
+  replicaId: string;
+  resources: Record<string, PullScope>;
+  /** Maximum changes per resource in this response. */
+  limit?: number;
+}
+
+/** `evict` means the record left the client's scope (e.g. moved to another partition). */
+export type PulledOperation = 'upsert' | 'delete' | 'evict';
+
+export interface PulledChange {
+  id: string;
+  op: PulledOperation;
+  seq: number;
+  data: Record<string, unknown> | null;
+  vector: VersionVector;
+  fields: FieldClock;
+  updatedAt: number;
+  replicaId: string;
+}
+
+export interface PulledResource {
+  changes: PulledChange[];
+  cursor: number;
+  hasMore: boolean;
+}
+
+export interface PullResponse {
+  resources: Record<string, PulledResource>;
+}
+
+export interface SyncTransport {
+  push(request: PushRequest): Promise<PushResponse>;
+  pull(request: PullRequest): Promise<PullResponse>;
+}
+
+/** Server side of a transport (implemented by SyncServerPlugin). */
+export interface SyncEndpoint {
+  push(request: PushRequest): Promise<PushResponse>;
+  pull(request: PullRequest): Promise<PullResponse>;
+}
+
+type FetchLike = (url: string, init: {
+  method: string;
+  headers: Record<string, string>;
+  body: string;
+}) => Promise<{ ok: boolean; status: number; json(): Promise<unknown> }>;
+
+export interface HttpTransportOptions {
+  /** Base URL of the sync routes, e.g. `https://api.example.com/sync`. */
+  url: string;
+  /** Extra headers, or a function returning them (e.g. to attach a fresh token). */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  fetch?: FetchLike;
+}
+
+/**
+ * Talks to the routes from SyncServerPlugin.getRoutes() mounted in ApiPlugin,
+ * unwrapping the `{ success, data }` envelope.
+ */
+export function createHttpTransport(options: HttpTransportOptions): SyncTransport {
+  const { url, headers = {} } = options;
+  const fetchImpl = options.fetch ?? (globalThis.fetch as unknown as FetchLike | undefined);
+
+  if (!url || typeof fetchImpl !== 'function') {
+    throw new SyncError('HTTP transport needs a url and a fetch implementation', {
+      operation: 'createHttpTransport',
+      statusCode: 400,
+      retriable: false,
+      suggestion: 'Pass { url } and, outside browsers and Node 18+, a fetch function.'
+    });
+  }
+
+  const base = url.replace(/\/+$/, '');
+
+  const post = async <T>(operation: 'push' | 'pull', body: unknown): Promise<T> => {
+    const extraHeaders = typeof headers === 'function' ? await headers() : headers;
+
+    let response: Awaited<ReturnType<FetchLike>>;
+    try {
+      response = await fetchImpl(`${base}/${operation}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+        body: JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new SyncError(`Sync ${operation} request failed: ${(err as Error).message}`, {
+        operation,
+        statusCode: 503,
+        retriable: true,
+        suggestion: 'The device is probably offline; local changes stay in the outbox until the next sync().',
+        original: err
+      });
+    }
+
+    const payload = await response.json().catch(() => null) as
+      { success?: boolean; data?: T; error?: { message?: string } } | null;
+
+    if (!response.ok || !payload || payload.success === false) {
+      throw new SyncError(`Sync ${operation} rejected by server: ${payload?.error?.message ?? `HTTP ${response.status}`}`, {
+        operation,
+        statusCode: response.status,
+        retriable: response.status >= 500 || response.status === 429,
+        suggestion: 'Check the server logs and the authorize() callback passed to getRoutes().'
+      });
+    }
+
+    return payload.data as T;
+  };
+
+  return {
+    push: request => post<PushResponse>('push', request),
+    pull: request => post<PullResponse>('pull', request)
+  };
+}
+
+/**
+ * In-process transport to a SyncServerPlugin. Payloads go through JSON, as
+ * they would over HTTP. Handy for tests and for syncing two databases in the
+ * same process.
+ */
+export function createLocalTransport(endpoint: SyncEndpoint): SyncTransport {
+  const roundTrip = <T>(value: T): T => JSON.parse(JSON.stringify(value)) as T;
+
+  return {
+    push: async request => roundTrip(await endpoint.push(roundTrip(request))),
+    pull: async request => roundTrip(await endpoint.pull(roundTrip(request)))
+  };
+}
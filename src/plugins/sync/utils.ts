@@ -0,0 +1,53 @@
+import { SyncError } from './errors.js';
+import type { FieldClock, VersionVector } from './clocks.js';
+
+export interface SyncResource {
+  name: string;
+  config: { partitions?: Record<string, { fields?: Record<string, unknown> }> };
+  get(id: string): Promise<Record<string, unknown>>;
+  exists(id: string): Promise<boolean>;
+  insert(data: Record<string, unknown>): Promise<Record<string, unknown>>;
+  replace(id: string, data: Record<string, unknown>): Promise<Record<string, unknown>>;
+  delete(id: string): Promise<unknown>;
+  list(options?: { limit?: number }): Promise<Record<string, unknown>[]>;
+  listPartition(options: { partition: string; partitionValues: Record<string, unknown> }): Promise<Record<string, unknown>[]>;
+  addHook(event: string, handler: (data: Record<string, unknown>) => unknown): void;
+}
+
+/** Sync bookkeeping kept next to every replicated record. */
+export interface SyncRecordMeta {
+  id: string;
+  resourceName: string;
+  recordId: string;
+  vector: VersionVector;
+  fields: FieldClock;
+  deleted: boolean;
+  updatedAt: number;
+}
+
+export function recordKey(resourceName: string, id: string): string {
+  return `${resourceName}:${id}`;
+}
+
+/** `['a', 'b']` or `{ a: {...}, b: true }` into `{ a: {...}, b: {} }`. */
+export function normalizeSyncResources<T extends object>(
+  resources: string[] | Record<string, T | true> | undefined,
+  operation: string
+): Record<string, T> {
+  if (Array.isArray(resources)) {
+    return Object.fromEntries(resources.map(name => [name, {} as T]));
+  }
+
+  if (!resources || typeof resources !== 'object' || Object.keys(resources).length === 0) {
+    throw new SyncError('At least one resource must be synced', {
+      operation,
+      statusCode: 400,
+      retriable: false,
+      suggestion: "Pass resources: ['orders'] or resources: { orders: { ... } }."
+    });
+  }
+
+  return Object.fromEntries(
+    Object.entries(resources).map(([name, options]) => [name, (options === true ? {} : options) as T])
+  );
+}
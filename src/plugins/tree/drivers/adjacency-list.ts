@@ -353,6 +353,15 @@ export class AdjacencyListDriver {
     }
   }
 
+  /**
+   * Parent of every node, read from the parent field.
+   */
+  async exportParents(resourceName: string): Promise<Map<string, string | null>> {
+    const resource = this.database.resources[resourceName]!;
+    const nodes = await resource.list({ limit: 10000 });
+    return new Map(nodes.map(node => [node.id, (node[this.config.parentField] as string | null) ?? this.config.rootParentValue]));
+  }
+
   async rebuildTree(_resourceName: string): Promise<RebuildResult> {
     return { rebuilt: 0, message: 'Adjacency List does not require rebuilding' };
   }
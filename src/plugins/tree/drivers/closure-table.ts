@@ -0,0 +1,587 @@
+import { TasksRunner } from '../../../tasks/tasks-runner.class.js';
+import { InvalidParentError, NodeNotFoundError, TreeIntegrityError } from '../errors.js';
+import type { TreePlugin } from '../index.js';
+
+export interface ClosureTableConfig {
+  treeField: string | null;
+  parentField: string;
+  depthField: string;
+  rootParentValue: string | null;
+  [key: string]: unknown;
+}
+
+export interface TreeNode {
+  id: string;
+  [key: string]: unknown;
+}
+
+/** One row of the closure table: `ancestorId` reaches `descendantId` in `depth` steps. */
+export interface ClosureRow {
+  id: string;
+  ancestorId: string;
+  descendantId: string;
+  depth: number;
+  [key: string]: unknown;
+}
+
+type ClosureRowData = Pick<ClosureRow, 'ancestorId' | 'descendantId' | 'depth'>;
+
+interface Resource {
+  name: string;
+  config: {
+    partitions?: {
+      byTree?: unknown;
+    };
+  };
+  get(id: string): Promise<TreeNode | null>;
+  getMany(ids: string[]): Promise<TreeNode[]>;
+  exists(id: string): Promise<boolean>;
+  list(options: { limit: number }): Promise<TreeNode[]>;
+  listPartition(options: {
+    partition: string;
+    partitionValues: Record<string, unknown>;
+    limit: number;
+  }): Promise<TreeNode[]>;
+  insert(data: Record<string, unknown>): Promise<TreeNode>;
+  patch(id: string, data: Record<string, unknown>): Promise<TreeNode>;
+  replace(id: string, data: Record<string, unknown>): Promise<TreeNode>;
+  delete(id: string): Promise<void>;
+}
+
+interface Database {
+  resources: Record<string, Resource>;
+  createResource(config: Record<string, unknown>): Promise<Resource>;
+}
+
+interface Logger {
+  info(message: string, ...args: unknown[]): void;
+  debug(message: string, ...args: unknown[]): void;
+  warn(message: string, ...args: unknown[]): void;
+  error(message: string, ...args: unknown[]): void;
+}
+
+export interface GetChildrenOptions {
+  orderBy?: string;
+  order?: 'asc' | 'desc';
+}
+
+export interface GetDescendantsOptions {
+  includeNode?: boolean;
+  maxDepth?: number | null;
+}
+
+export interface GetAncestorsOptions {
+  includeNode?: boolean;
+}
+
+export interface GetRootsOptions {
+  treeId?: string | null;
+}
+
+export interface DeleteNodeOptions {
+  promoteChildren?: boolean;
+}
+
+export interface DeleteResult {
+  deleted: number;
+  promoted?: number;
+}
+
+export interface RebuildResult {
+  rebuilt: number;
+}
+
+/**
+ * Keeps every ancestor/descendant pair of the tree in a companion resource
+ * (`plg_<resource>_tree_closure`), partitioned by ancestor and by descendant.
+ *
+ * Descendants and ancestors are one partition listing each, and
+ * `isDescendantOf` is a single existence check. Moving a subtree rewrites the
+ * rows linking it to its old and new ancestors; the nodes themselves only get
+ * their parent and depth updated.
+ */
+export class ClosureTableDriver {
+  plugin: TreePlugin;
+  config: ClosureTableConfig;
+  private _closureResources: Map<string, Promise<Resource>>;
+
+  constructor(plugin: TreePlugin, config: ClosureTableConfig) {
+    this.plugin = plugin;
+    this.config = config;
+    this._closureResources = new Map();
+  }
+
+  get database(): Database {
+    return this.plugin.database as unknown as Database;
+  }
+
+  get logger(): Logger {
+    return this.plugin.logger as Logger;
+  }
+
+  get treeField(): string | null {
+    return this.config.treeField;
+  }
+
+  getClosureResourceName(resourceName: string): string {
+    return `plg_${resourceName}_tree_closure`;
+  }
+
+  private _getTreeId(node: TreeNode): string | null {
+    if (!this.treeField) return null;
+    return node[this.treeField] as string | null;
+  }
+
+  private _getLockKey(resourceName: string, treeId: string | null): string {
+    if (!this.treeField || !treeId) return resourceName;
+    return `${resourceName}:${treeId}`;
+  }
+
+  private _rowId(ancestorId: string, descendantId: string): string {
+    return `${ancestorId}:${descendantId}`;
+  }
+
+  private _isRoot(node: TreeNode): boolean {
+    const parentId = node[this.config.parentField];
+    return parentId === this.config.rootParentValue || parentId === null || parentId === undefined;
+  }
+
+  private async _getClosure(resourceName: string): Promise<Resource> {
+    const name = this.getClosureResourceName(resourceName);
+    if (!this._closureResources.has(name)) {
+      const created = this.database.resources[name]
+        ? Promise.resolve(this.database.resources[name]!)
+        : this.database.createResource({
+          name,
+          attributes: {
+            id: 'string|required',
+            ancestorId: 'string|required',
+            descendantId: 'string|required',
+            depth: 'number|required'
+          },
+          partitions: {
+            byAncestor: { fields: { ancestorId: 'string' } },
+            byDescendant: { fields: { descendantId: 'string' } }
+          },
+          asyncPartitions: false,
+          createdBy: 'TreePlugin'
+        });
+      this._closureResources.set(name, created);
+      created.catch(() => this._closureResources.delete(name));
+    }
+    return this._closureResources.get(name)!;
+  }
+
+  /** Rows where `nodeId` is the ancestor (the node itself included, at depth 0). */
+  private async _descendantRows(resourceName: string, nodeId: string): Promise<ClosureRow[]> {
+    const closure = await this._getClosure(resourceName);
+    const rows = await closure.listPartition({
+      partition: 'byAncestor',
+      partitionValues: { ancestorId: nodeId },
+      limit: 10000
+    }) as unknown as ClosureRow[];
+    // Partition listings match key prefixes, so `a` would also list `ab`
+    return rows.filter(row => row.ancestorId === nodeId);
+  }
+
+  /** Rows where `nodeId` is the descendant (the node itself included, at depth 0). */
+  private async _ancestorRows(resourceName: string, nodeId: string): Promise<ClosureRow[]> {
+    const closure = await this._getClosure(resourceName);
+    const rows = await closure.listPartition({
+      partition: 'byDescendant',
+      partitionValues: { descendantId: nodeId },
+      limit: 10000
+    }) as unknown as ClosureRow[];
+    return rows.filter(row => row.descendantId === nodeId);
+  }
+
+  private async _writeRows(resourceName: string, rows: ClosureRowData[]): Promise<void> {
+    const closure = await this._getClosure(resourceName);
+    const { errors } = await TasksRunner.process(
+      rows,
+      async (row: ClosureRowData) => {
+        const id = this._rowId(row.ancestorId, row.descendantId);
+        await closure.replace(id, { id, ...row });
+      },
+      { concurrency: 10 }
+    );
+    this._assertNoErrors(resourceName, 'write', errors);
+  }
+
+  private async _deleteRows(resourceName: string, ids: string[]): Promise<void> {
+    const closure = await this._getClosure(resourceName);
+    const { errors } = await TasksRunner.process(
+      ids,
+      async (id: string) => {
+        await closure.delete(id);
+      },
+      { concurrency: 10 }
+    );
+    this._assertNoErrors(resourceName, 'delete', errors);
+  }
+
+  private _assertNoErrors(resourceName: string, action: string, errors: Array<{ error: Error }>): void {
+    if (errors.length === 0) return;
+    throw new TreeIntegrityError(
+      `Failed to ${action} ${errors.length} closure row(s) of '${resourceName}'. Run rebuild() to repair the closure table.`,
+      { resource: resourceName, originalError: errors[0]!.error }
+    );
+  }
+
+  private async _getNodes(resourceName: string, ids: string[]): Promise<TreeNode[]> {
+    if (ids.length === 0) return [];
+    const resource = this.database.resources[resourceName]!;
+    const nodes = await resource.getMany(ids);
+    return nodes.filter(node => !node._error);
+  }
+
+  private async _getNodesForTree(resourceName: string, treeId: string | null | undefined): Promise<TreeNode[]> {
+    const resource = this.database.resources[resourceName]!;
+
+    if (this.treeField && treeId) {
+      if (resource.config.partitions?.byTree) {
+        return await resource.listPartition({
+          partition: 'byTree',
+          partitionValues: { [this.treeField]: treeId },
+          limit: 10000
+        });
+      }
+      const allNodes = await resource.list({ limit: 10000 });
+      return allNodes.filter(n => n[this.treeField!] === treeId);
+    }
+
+    return await resource.list({ limit: 10000 });
+  }
+
+  async validateResource(resourceName: string): Promise<void> {
+    await this._getClosure(resourceName);
+  }
+
+  async createRoot(resourceName: string, data: Record<string, unknown> = {}): Promise<TreeNode> {
+    const resource = this.database.resources[resourceName]!;
+    await this._getClosure(resourceName);
+
+    const node = await resource.insert({
+      ...data,
+      [this.config.parentField]: this.config.rootParentValue,
+      [this.config.depthField]: 0
+    });
+
+    await this._writeRows(resourceName, [{ ancestorId: node.id, descendantId: node.id, depth: 0 }]);
+    return node;
+  }
+
+  async addChild(resourceName: string, parentId: string, data: Record<string, unknown> = {}): Promise<TreeNode> {
+    const resource = this.database.resources[resourceName]!;
+
+    const parent = await this.getNode(resourceName, parentId);
+    const treeId = this._getTreeId(parent);
+    const parentRows = await this._ancestorRows(resourceName, parentId);
+
+    const node = await resource.insert({
+      ...data,
+      [this.config.parentField]: parentId,
+      [this.config.depthField]: ((parent[this.config.depthField] as number) || 0) + 1,
+      ...(this.treeField && treeId ? { [this.treeField]: treeId } : {})
+    });
+
+    await this._writeRows(resourceName, [
+      { ancestorId: node.id, descendantId: node.id, depth: 0 },
+      ...parentRows.map(row => ({ ancestorId: row.ancestorId, descendantId: node.id, depth: row.depth + 1 }))
+    ]);
+
+    return node;
+  }
+
+  async getNode(resourceName: string, nodeId: string): Promise<TreeNode> {
+    const resource = this.database.resources[resourceName]!;
+    try {
+      const node = await resource.get(nodeId);
+      if (!node) throw new NodeNotFoundError(nodeId, { resource: resourceName });
+      return node;
+    } catch (err) {
+      const error = err as Error & { code?: string; name?: string };
+      if (error.code === 'NoSuchKey' || error.name === 'NoSuchKey' || error.message?.includes('No such key')) {
+        throw new NodeNotFoundError(nodeId, { resource: resourceName, originalError: err });
+      }
+      throw err;
+    }
+  }
+
+  async getRoots(resourceName: string, options: GetRootsOptions = {}): Promise<TreeNode[]> {
+    const nodes = await this._getNodesForTree(resourceName, options.treeId);
+    return nodes.filter(node => this._isRoot(node));
+  }
+
+  async getParent(resourceName: string, nodeId: string): Promise<TreeNode | null> {
+    const node = await this.getNode(resourceName, nodeId);
+    if (this._isRoot(node)) return null;
+    return this.getNode(resourceName, node[this.config.parentField] as string);
+  }
+
+  async getChildren(resourceName: string, nodeId: string, options: GetChildrenOptions = {}): Promise<TreeNode[]> {
+    const rows = await this._descendantRows(resourceName, nodeId);
+    const children = await this._getNodes(resourceName, rows.filter(row => row.depth === 1).map(row => row.descendantId));
+
+    const { orderBy = 'name', order = 'asc' } = options;
+    if (orderBy) {
+      children.sort((a, b) => {
+        const aVal = (a[orderBy] || '') as string;
+        const bVal = (b[orderBy] || '') as string;
+        if (aVal < bVal) return order === 'asc' ? -1 : 1;
+        if (aVal > bVal) return order === 'asc' ? 1 : -1;
+        return 0;
+      });
+    }
+
+    return children;
+  }
+
+  async getDescendants(resourceName: string, nodeId: string, options: GetDescendantsOptions = {}): Promise<TreeNode[]> {
+    const { includeNode = false, maxDepth = null } = options;
+
+    const rows = (await this._descendantRows(resourceName, nodeId))
+      .filter(row => (includeNode ? row.depth >= 0 : row.depth > 0))
+      .filter(row => maxDepth === null || row.depth <= maxDepth)
+      .sort((a, b) => a.depth - b.depth);
+
+    return this._getNodes(resourceName, rows.map(row => row.descendantId));
+  }
+
+  async getAncestors(resourceName: string, nodeId: string, options: GetAncestorsOptions = {}): Promise<TreeNode[]> {
+    const { includeNode = false } = options;
+
+    const node = await this.getNode(resourceName, nodeId);
+    const rows = (await this._ancestorRows(resourceName, nodeId))
+      .filter(row => row.depth > 0)
+      .sort((a, b) => b.depth - a.depth);
+
+    const ancestors = await this._getNodes(resourceName, rows.map(row => row.ancestorId));
+    if (includeNode) ancestors.push(node);
+    return ancestors;
+  }
+
+  async getDepth(resourceName: string, nodeId: string): Promise<number> {
+    const node = await this.getNode(resourceName, nodeId);
+    return (node[this.config.depthField] as number) || 0;
+  }
+
+  async moveSubtree(resourceName: string, nodeId: string, newParentId: string): Promise<TreeNode> {
+    const resource = this.database.resources[resourceName]!;
+    const node = await this.getNode(resourceName, nodeId);
+    const treeId = this._getTreeId(node);
+
+    return this.plugin._withLock(this._getLockKey(resourceName, treeId), async () => {
+      const freshNode = await this.getNode(resourceName, nodeId);
+      const newParent = await this.getNode(resourceName, newParentId);
+
+      if (this.treeField && treeId !== this._getTreeId(newParent)) {
+        throw new InvalidParentError(nodeId, newParentId, {
+          reason: 'Cannot move node to a different tree'
+        });
+      }
+
+      if (newParentId === nodeId || await this.isDescendantOf(resourceName, newParentId, nodeId)) {
+        throw new InvalidParentError(nodeId, newParentId, {
+          reason: 'Cannot move node to its own descendant'
+        });
+      }
+
+      if (freshNode[this.config.parentField] === newParentId) return freshNode;
+
+      const subtreeRows = await this._descendantRows(resourceName, nodeId);
+      const oldAncestorRows = (await this._ancestorRows(resourceName, nodeId)).filter(row => row.depth > 0);
+      const newAncestorRows = await this._ancestorRows(resourceName, newParentId);
+
+      await this._deleteRows(
+        resourceName,
+        oldAncestorRows.flatMap(ancestor => subtreeRows.map(row => this._rowId(ancestor.ancestorId, row.descendantId)))
+      );
+
+      await this._writeRows(
+        resourceName,
+        newAncestorRows.flatMap(ancestor => subtreeRows.map(row => ({
+          ancestorId: ancestor.ancestorId,
+          descendantId: row.descendantId,
+          depth: ancestor.depth + 1 + row.depth
+        })))
+      );
+
+      const baseDepth = ((newParent[this.config.depthField] as number) || 0) + 1;
+      await TasksRunner.process(
+        subtreeRows,
+        async (row: ClosureRow) => {
+          await resource.patch(row.descendantId, {
+            [this.config.depthField]: baseDepth + row.depth,
+            ...(row.descendantId === nodeId ? { [this.config.parentField]: newParentId } : {})
+          });
+        },
+        { concurrency: 10 }
+      );
+
+      return (await resource.get(nodeId))!;
+    });
+  }
+
+  async deleteNode(resourceName: string, nodeId: string, options: DeleteNodeOptions = {}): Promise<DeleteResult> {
+    const { promoteChildren = true } = options;
+    const resource = this.database.resources[resourceName]!;
+    const node = await this.getNode(resourceName, nodeId);
+
+    return this.plugin._withLock(this._getLockKey(resourceName, this._getTreeId(node)), async () => {
+      const freshNode = await this.getNode(resourceName, nodeId);
+      const descendantRows = (await this._descendantRows(resourceName, nodeId)).filter(row => row.depth > 0);
+      const ancestorRows = await this._ancestorRows(resourceName, nodeId);
+      const children = descendantRows.filter(row => row.depth === 1);
+
+      if (children.length > 0 && !promoteChildren) {
+        throw new Error(`Node has children. Use deleteSubtree() or set promoteChildren: true`);
+      }
+
+      // Every path through the node gets one step shorter
+      const outerAncestors = ancestorRows.filter(row => row.depth > 0);
+      await this._writeRows(
+        resourceName,
+        outerAncestors.flatMap(ancestor => descendantRows.map(row => ({
+          ancestorId: ancestor.ancestorId,
+          descendantId: row.descendantId,
+          depth: ancestor.depth + row.depth - 1
+        })))
+      );
+
+      await TasksRunner.process(
+        descendantRows,
+        async (row: ClosureRow) => {
+          const current = await resource.get(row.descendantId);
+          await resource.patch(row.descendantId, {
+            [this.config.depthField]: (((current?.[this.config.depthField] as number) || 1) - 1),
+            ...(row.depth === 1 ? { [this.config.parentField]: freshNode[this.config.parentField] ?? this.config.rootParentValue } : {})
+          });
+        },
+        { concurrency: 10 }
+      );
+
+      await this._deleteRows(resourceName, [...descendantRows, ...ancestorRows].map(row => row.id));
+      await resource.delete(nodeId);
+
+      return { deleted: 1, promoted: children.length };
+    });
+  }
+
+  async deleteSubtree(resourceName: string, nodeId: string): Promise<DeleteResult> {
+    const resource = this.database.resources[resourceName]!;
+    await this.getNode(resourceName, nodeId);
+
+    const subtreeRows = await this._descendantRows(resourceName, nodeId);
+    const rowIds: string[] = [];
+    for (const row of subtreeRows) {
+      rowIds.push(...(await this._ancestorRows(resourceName, row.descendantId)).map(ancestor => ancestor.id));
+    }
+
+    await TasksRunner.process(
+      subtreeRows,
+      async (row: ClosureRow) => {
+        await resource.delete(row.descendantId);
+      },
+      { concurrency: 10 }
+    );
+    await this._deleteRows(resourceName, rowIds);
+
+    return { deleted: subtreeRows.length };
+  }
+
+  async isDescendantOf(resourceName: string, nodeId: string, ancestorId: string): Promise<boolean> {
+    if (nodeId === ancestorId) return false;
+    const closure = await this._getClosure(resourceName);
+    return closure.exists(this._rowId(ancestorId, nodeId));
+  }
+
+  async isAncestorOf(resourceName: string, nodeId: string, descendantId: string): Promise<boolean> {
+    return this.isDescendantOf(resourceName, descendantId, nodeId);
+  }
+
+  async countDescendants(resourceName: string, nodeId: string): Promise<number> {
+    return (await this._descendantRows(resourceName, nodeId)).filter(row => row.depth > 0).length;
+  }
+
+  /**
+   * Parent of every node, read from the depth-1 rows of the closure table.
+   */
+  async exportParents(resourceName: string): Promise<Map<string, string | null>> {
+    const resource = this.database.resources[resourceName]!;
+    const closure = await this._getClosure(resourceName);
+    const nodes = await resource.list({ limit: 10000 });
+    const rows = await closure.list({ limit: 100000 }) as unknown as ClosureRow[];
+
+    const parentOf = new Map(rows.filter(row => row.depth === 1).map(row => [row.descendantId, row.ancestorId]));
+    return new Map(nodes.map(node => [node.id, parentOf.get(node.id) ?? this.config.rootParentValue]));
+  }
+
+  /**
+   * Rebuild the closure rows and depths from the parent field.
+   */
+  async rebuildTree(resourceName: string, options: GetRootsOptions = {}): Promise<RebuildResult> {
+    const { treeId } = options;
+
+    return this.plugin._withLock(this._getLockKey(resourceName, treeId ?? null), async () => {
+      const resource = this.database.resources[resourceName]!;
+      const closure = await this._getClosure(resourceName);
+      const nodes = await this._getNodesForTree(resourceName, treeId);
+      const nodeIds = new Set(nodes.map(node => node.id));
+
+      const parentOf = new Map<string, string | null>();
+      for (const node of nodes) {
+        const parentId = node[this.config.parentField] as string | null;
+        parentOf.set(node.id, !this._isRoot(node) && nodeIds.has(parentId!) ? parentId : null);
+      }
+
+      const expected = new Map<string, ClosureRowData>();
+      const depthOf = new Map<string, number>();
+      for (const node of nodes) {
+        const seen = new Set<string>();
+        let current: string | null = node.id;
+        let depth = 0;
+        while (current && !seen.has(current)) {
+          seen.add(current);
+          expected.set(this._rowId(current, node.id), { ancestorId: current, descendantId: node.id, depth });
+          current = parentOf.get(current) ?? null;
+          depth++;
+        }
+        if (current) {
+          throw new TreeIntegrityError(`Cycle detected in '${resourceName}' at node ${node.id}`, { resource: resourceName });
+        }
+        depthOf.set(node.id, depth - 1);
+      }
+
+      const existing = (await closure.list({ limit: 100000 }) as unknown as ClosureRow[])
+        .filter(row => nodeIds.has(row.descendantId));
+      const existingById = new Map(existing.map(row => [row.id, row]));
+
+      const stale = existing.filter(row => !expected.has(row.id)).map(row => row.id);
+      const missing = [...expected.entries()]
+        .filter(([id, row]) => existingById.get(id)?.depth !== row.depth)
+        .map(([, row]) => row);
+
+      await this._deleteRows(resourceName, stale);
+      await this._writeRows(resourceName, missing);
+
+      const changedNodes = new Set([
+        ...stale.map(id => existingById.get(id)!.descendantId),
+        ...missing.map(row => row.descendantId),
+        ...nodes.filter(node => node[this.config.depthField] !== depthOf.get(node.id)).map(node => node.id)
+      ]);
+
+      await TasksRunner.process(
+        nodes.filter(node => node[this.config.depthField] !== depthOf.get(node.id)),
+        async (node: TreeNode) => {
+          await resource.patch(node.id, { [this.config.depthField]: depthOf.get(node.id) });
+        },
+        { concurrency: 10 }
+      );
+
+      return { rebuilt: changedNodes.size };
+    });
+  }
+}
+
+export default ClosureTableDriver;
@@ -0,0 +1,497 @@
+import { TasksRunner } from '../../../tasks/tasks-runner.class.js';
+import { InvalidParentError, TreeConfigurationError, NodeNotFoundError } from '../errors.js';
+import type { TreePlugin } from '../index.js';
+
+export interface MaterializedPathConfig {
+  treeField: string | null;
+  parentField: string;
+  depthField: string;
+  pathField: string;
+  pathSeparator: string;
+  rootParentValue: string | null;
+  [key: string]: unknown;
+}
+
+export interface TreeNode {
+  id: string;
+  [key: string]: unknown;
+}
+
+interface Resource {
+  name: string;
+  config: {
+    partitions?: {
+      byParent?: unknown;
+      byPath?: unknown;
+      byTree?: unknown;
+    };
+  };
+  idGenerator?: ((data?: unknown) => string | Promise<string>) | null;
+  get(id: string): Promise<TreeNode | null>;
+  getMany(ids: string[]): Promise<TreeNode[]>;
+  list(options: { limit: number }): Promise<TreeNode[]>;
+  listPartition(options: {
+    partition: string;
+    partitionValues: Record<string, unknown>;
+    limit: number;
+  }): Promise<TreeNode[]>;
+  insert(data: Record<string, unknown>): Promise<TreeNode>;
+  patch(id: string, data: Record<string, unknown>): Promise<TreeNode>;
+  delete(id: string): Promise<void>;
+}
+
+interface Database {
+  resources: Record<string, Resource>;
+}
+
+interface Logger {
+  info(message: string, ...args: unknown[]): void;
+  debug(message: string, ...args: unknown[]): void;
+  warn(message: string, ...args: unknown[]): void;
+  error(message: string, ...args: unknown[]): void;
+}
+
+export interface GetChildrenOptions {
+  orderBy?: string;
+  order?: 'asc' | 'desc';
+}
+
+export interface GetDescendantsOptions {
+  includeNode?: boolean;
+  maxDepth?: number | null;
+}
+
+export interface GetAncestorsOptions {
+  includeNode?: boolean;
+}
+
+export interface GetRootsOptions {
+  treeId?: string | null;
+}
+
+export interface DeleteNodeOptions {
+  promoteChildren?: boolean;
+}
+
+export interface DeleteResult {
+  deleted: number;
+  promoted?: number;
+}
+
+export interface RebuildResult {
+  rebuilt: number;
+}
+
+/**
+ * Stores each node's ancestry as a path of ids (`rootId.childId.nodeId.`).
+ *
+ * With a `byPath` partition on the path field, a partition listing is an S3
+ * key-prefix listing, so all descendants of a node come from a single listing
+ * of its path. Moving a subtree rewrites the paths of that subtree only.
+ */
+export class MaterializedPathDriver {
+  plugin: TreePlugin;
+  config: MaterializedPathConfig;
+
+  constructor(plugin: TreePlugin, config: MaterializedPathConfig) {
+    this.plugin = plugin;
+    this.config = config;
+  }
+
+  get database(): Database {
+    return this.plugin.database as unknown as Database;
+  }
+
+  get logger(): Logger {
+    return this.plugin.logger as Logger;
+  }
+
+  get treeField(): string | null {
+    return this.config.treeField;
+  }
+
+  private _getTreeId(node: TreeNode): string | null {
+    if (!this.treeField) return null;
+    return node[this.treeField] as string | null;
+  }
+
+  private _getLockKey(resourceName: string, treeId: string | null): string {
+    if (!this.treeField || !treeId) return resourceName;
+    return `${resourceName}:${treeId}`;
+  }
+
+  private _getPath(node: TreeNode): string {
+    return (node[this.config.pathField] as string) || '';
+  }
+
+  private _pathIds(path: string): string[] {
+    return path.split(this.config.pathSeparator).filter(Boolean);
+  }
+
+  private _childPath(parentPath: string, nodeId: string): string {
+    if (nodeId.includes(this.config.pathSeparator)) {
+      throw new TreeConfigurationError(
+        `Node id '${nodeId}' contains the path separator '${this.config.pathSeparator}'. ` +
+        `Use ids without it or set a different pathSeparator.`
+      );
+    }
+    return `${parentPath}${nodeId}${this.config.pathSeparator}`;
+  }
+
+  private async _nextId(resource: Resource, data: Record<string, unknown>): Promise<string> {
+    if (data.id) return String(data.id);
+    if (typeof resource.idGenerator !== 'function') {
+      throw new TreeConfigurationError(`Resource '${resource.name}' has no id generator; pass an id to create nodes`);
+    }
+    return String(await resource.idGenerator(data));
+  }
+
+  private async _getNodesForTree(resourceName: string, treeId: string | null | undefined): Promise<TreeNode[]> {
+    const resource = this.database.resources[resourceName]!;
+
+    if (this.treeField && treeId) {
+      if (resource.config.partitions?.byTree) {
+        return await resource.listPartition({
+          partition: 'byTree',
+          partitionValues: { [this.treeField]: treeId },
+          limit: 10000
+        });
+      }
+      const allNodes = await resource.list({ limit: 10000 });
+      return allNodes.filter(n => n[this.treeField!] === treeId);
+    }
+
+    return await resource.list({ limit: 10000 });
+  }
+
+  /** The node and all its descendants, via one prefix listing of the node's path. */
+  private async _getSubtreeNodes(resourceName: string, node: TreeNode): Promise<TreeNode[]> {
+    const resource = this.database.resources[resourceName]!;
+    const path = this._getPath(node);
+
+    const nodes = await resource.listPartition({
+      partition: 'byPath',
+      partitionValues: { [this.config.pathField]: path },
+      limit: 10000
+    });
+
+    return nodes.filter(n => this._getPath(n).startsWith(path));
+  }
+
+  validateResource(resourceName: string): void {
+    const resource = this.database.resources[resourceName]!;
+    if (!resource.config.partitions || !resource.config.partitions.byPath) {
+      throw new TreeConfigurationError(
+        `Resource '${resourceName}' must have a 'byPath' partition to use Materialized Path driver. ` +
+        `Add partitions: { byPath: { fields: { ${this.config.pathField}: 'string' } } }`
+      );
+    }
+  }
+
+  async createRoot(resourceName: string, data: Record<string, unknown> = {}): Promise<TreeNode> {
+    this.validateResource(resourceName);
+    const resource = this.database.resources[resourceName]!;
+    const id = await this._nextId(resource, data);
+
+    return await resource.insert({
+      ...data,
+      id,
+      [this.config.parentField]: this.config.rootParentValue,
+      [this.config.pathField]: this._childPath('', id),
+      [this.config.depthField]: 0
+    });
+  }
+
+  async addChild(resourceName: string, parentId: string, data: Record<string, unknown> = {}): Promise<TreeNode> {
+    this.validateResource(resourceName);
+    const resource = this.database.resources[resourceName]!;
+
+    const parent = await this.getNode(resourceName, parentId);
+    const treeId = this._getTreeId(parent);
+    const id = await this._nextId(resource, data);
+
+    return await resource.insert({
+      ...data,
+      id,
+      [this.config.parentField]: parentId,
+      [this.config.pathField]: this._childPath(this._getPath(parent), id),
+      [this.config.depthField]: ((parent[this.config.depthField] as number) || 0) + 1,
+      ...(this.treeField && treeId ? { [this.treeField]: treeId } : {})
+    });
+  }
+
+  async getNode(resourceName: string, nodeId: string): Promise<TreeNode> {
+    const resource = this.database.resources[resourceName]!;
+    try {
+      const node = await resource.get(nodeId);
+      if (!node) throw new NodeNotFoundError(nodeId, { resource: resourceName });
+      return node;
+    } catch (err) {
+      const error = err as Error & { code?: string; name?: string };
+      if (error.code === 'NoSuchKey' || error.name === 'NoSuchKey' || error.message?.includes('No such key')) {
+        throw new NodeNotFoundError(nodeId, { resource: resourceName, originalError: err });
+      }
+      throw err;
+    }
+  }
+
+  async getRoots(resourceName: string, options: GetRootsOptions = {}): Promise<TreeNode[]> {
+    this.validateResource(resourceName);
+    const nodes = await this._getNodesForTree(resourceName, options.treeId);
+    return nodes.filter(node => this._pathIds(this._getPath(node)).length === 1);
+  }
+
+  async getParent(resourceName: string, nodeId: string): Promise<TreeNode | null> {
+    const node = await this.getNode(resourceName, nodeId);
+    const ids = this._pathIds(this._getPath(node));
+    if (ids.length < 2) return null;
+    return this.getNode(resourceName, ids[ids.length - 2]!);
+  }
+
+  async getChildren(resourceName: string, nodeId: string, options: GetChildrenOptions = {}): Promise<TreeNode[]> {
+    this.validateResource(resourceName);
+    const resource = this.database.resources[resourceName]!;
+
+    let children: TreeNode[];
+    if (resource.config.partitions?.byParent) {
+      children = (await resource.listPartition({
+        partition: 'byParent',
+        partitionValues: { [this.config.parentField]: nodeId },
+        limit: 10000
+      })).filter(child => child[this.config.parentField] === nodeId);
+    } else {
+      children = await this.getDescendants(resourceName, nodeId, { maxDepth: 1 });
+    }
+
+    const { orderBy = 'name', order = 'asc' } = options;
+    if (orderBy) {
+      children.sort((a, b) => {
+        const aVal = (a[orderBy] || '') as string;
+        const bVal = (b[orderBy] || '') as string;
+        if (aVal < bVal) return order === 'asc' ? -1 : 1;
+        if (aVal > bVal) return order === 'asc' ? 1 : -1;
+        return 0;
+      });
+    }
+
+    return children;
+  }
+
+  async getDescendants(resourceName: string, nodeId: string, options: GetDescendantsOptions = {}): Promise<TreeNode[]> {
+    this.validateResource(resourceName);
+    const { includeNode = false, maxDepth = null } = options;
+
+    const node = await this.getNode(resourceName, nodeId);
+    const nodeDepth = this._pathIds(this._getPath(node)).length;
+
+    return (await this._getSubtreeNodes(resourceName, node))
+      .map(n => ({ node: n, depth: this._pathIds(this._getPath(n)).length - nodeDepth }))
+      .filter(({ depth }) => (includeNode ? depth >= 0 : depth > 0))
+      .filter(({ depth }) => maxDepth === null || depth <= maxDepth)
+      .sort((a, b) => a.depth - b.depth || (this._getPath(a.node) < this._getPath(b.node) ? -1 : 1))
+      .map(({ node: n }) => n);
+  }
+
+  async getAncestors(resourceName: string, nodeId: string, options: GetAncestorsOptions = {}): Promise<TreeNode[]> {
+    const { includeNode = false } = options;
+    const resource = this.database.resources[resourceName]!;
+
+    const node = await this.getNode(resourceName, nodeId);
+    const ancestorIds = this._pathIds(this._getPath(node)).slice(0, -1);
+
+    const ancestors = ancestorIds.length > 0 ? await resource.getMany(ancestorIds) : [];
+    const byId = new Map(ancestors.filter(ancestor => !ancestor._error).map(ancestor => [ancestor.id, ancestor]));
+    const ordered = ancestorIds.map(id => byId.get(id)).filter((n): n is TreeNode => !!n);
+
+    if (includeNode) ordered.push(node);
+    return ordered;
+  }
+
+  async getDepth(resourceName: string, nodeId: string): Promise<number> {
+    const node = await this.getNode(resourceName, nodeId);
+    return this._pathIds(this._getPath(node)).length - 1;
+  }
+
+  async moveSubtree(resourceName: string, nodeId: string, newParentId: string): Promise<TreeNode> {
+    this.validateResource(resourceName);
+
+    const resource = this.database.resources[resourceName]!;
+    const node = await this.getNode(resourceName, nodeId);
+    const treeId = this._getTreeId(node);
+
+    return this.plugin._withLock(this._getLockKey(resourceName, treeId), async () => {
+      const freshNode = await this.getNode(resourceName, nodeId);
+      const newParent = await this.getNode(resourceName, newParentId);
+
+      if (this.treeField && treeId !== this._getTreeId(newParent)) {
+        throw new InvalidParentError(nodeId, newParentId, {
+          reason: 'Cannot move node to a different tree'
+        });
+      }
+
+      if (newParentId === nodeId || this._pathIds(this._getPath(newParent)).includes(nodeId)) {
+        throw new InvalidParentError(nodeId, newParentId, {
+          reason: 'Cannot move node to its own descendant'
+        });
+      }
+
+      if (freshNode[this.config.parentField] === newParentId) return freshNode;
+
+      const oldPath = this._getPath(freshNode);
+      const newPath = this._childPath(this._getPath(newParent), nodeId);
+      await this._rewritePaths(resourceName, freshNode, oldPath, newPath);
+
+      await resource.patch(nodeId, { [this.config.parentField]: newParentId });
+      return (await resource.get(nodeId))!;
+    });
+  }
+
+  /** Replace the `oldPath` prefix with `newPath` for a node and its subtree. */
+  private async _rewritePaths(resourceName: string, node: TreeNode, oldPath: string, newPath: string): Promise<void> {
+    const resource = this.database.resources[resourceName]!;
+    const subtree = await this._getSubtreeNodes(resourceName, node);
+
+    await TasksRunner.process(
+      subtree,
+      async (subtreeNode: TreeNode) => {
+        const path = newPath + this._getPath(subtreeNode).slice(oldPath.length);
+        await resource.patch(subtreeNode.id, {
+          [this.config.pathField]: path,
+          [this.config.depthField]: this._pathIds(path).length - 1
+        });
+      },
+      { concurrency: 10 }
+    );
+  }
+
+  async deleteNode(resourceName: string, nodeId: string, options: DeleteNodeOptions = {}): Promise<DeleteResult> {
+    const { promoteChildren = true } = options;
+    this.validateResource(resourceName);
+
+    const resource = this.database.resources[resourceName]!;
+    const node = await this.getNode(resourceName, nodeId);
+
+    return this.plugin._withLock(this._getLockKey(resourceName, this._getTreeId(node)), async () => {
+      const freshNode = await this.getNode(resourceName, nodeId);
+      const children = await this.getDescendants(resourceName, nodeId, { maxDepth: 1 });
+
+      if (children.length > 0) {
+        if (!promoteChildren) {
+          throw new Error(`Node has children. Use deleteSubtree() or set promoteChildren: true`);
+        }
+
+        const nodePath = this._getPath(freshNode);
+        const parentPath = nodePath.slice(0, nodePath.length - nodeId.length - this.config.pathSeparator.length);
+        const parentId = freshNode[this.config.parentField] as string | null;
+
+        for (const child of children) {
+          await this._rewritePaths(resourceName, child, this._getPath(child), this._childPath(parentPath, child.id));
+          await resource.patch(child.id, { [this.config.parentField]: parentId });
+        }
+      }
+
+      await resource.delete(nodeId);
+      return { deleted: 1, promoted: children.length };
+    });
+  }
+
+  async deleteSubtree(resourceName: string, nodeId: string): Promise<DeleteResult> {
+    this.validateResource(resourceName);
+    const resource = this.database.resources[resourceName]!;
+    const node = await this.getNode(resourceName, nodeId);
+    const subtree = await this._getSubtreeNodes(resourceName, node);
+
+    await TasksRunner.process(
+      subtree,
+      async (subtreeNode: TreeNode) => {
+        await resource.delete(subtreeNode.id);
+      },
+      { concurrency: 10 }
+    );
+
+    return { deleted: subtree.length };
+  }
+
+  async isDescendantOf(resourceName: string, nodeId: string, ancestorId: string): Promise<boolean> {
+    const node = await this.getNode(resourceName, nodeId);
+    return this._pathIds(this._getPath(node)).slice(0, -1).includes(ancestorId);
+  }
+
+  async isAncestorOf(resourceName: string, nodeId: string, descendantId: string): Promise<boolean> {
+    return this.isDescendantOf(resourceName, descendantId, nodeId);
+  }
+
+  async countDescendants(resourceName: string, nodeId: string): Promise<number> {
+    return (await this.getDescendants(resourceName, nodeId)).length;
+  }
+
+  /**
+   * Parent of every node, read from the paths.
+   */
+  async exportParents(resourceName: string): Promise<Map<string, string | null>> {
+    const resource = this.database.resources[resourceName]!;
+    const nodes = await resource.list({ limit: 10000 });
+    const parents = new Map<string, string | null>();
+
+    for (const node of nodes) {
+      const ids = this._pathIds(this._getPath(node));
+      parents.set(node.id, ids.length >= 2 ? ids[ids.length - 2]! : this.config.rootParentValue);
+    }
+
+    return parents;
+  }
+
+  /**
+   * Recompute paths and depths from the parent field.
+   */
+  async rebuildTree(resourceName: string, options: GetRootsOptions = {}): Promise<RebuildResult> {
+    this.validateResource(resourceName);
+    const { treeId } = options;
+
+    return this.plugin._withLock(this._getLockKey(resourceName, treeId ?? null), async () => {
+      const resource = this.database.resources[resourceName]!;
+      const nodes = await this._getNodesForTree(resourceName, treeId);
+
+      const childrenOf = new Map<string | null, TreeNode[]>();
+      const ids = new Set(nodes.map(node => node.id));
+      for (const node of nodes) {
+        const parentId = node[this.config.parentField] as string | null;
+        const key = parentId && parentId !== this.config.rootParentValue && ids.has(parentId) ? parentId : null;
+        if (!childrenOf.has(key)) childrenOf.set(key, []);
+        childrenOf.get(key)!.push(node);
+      }
+
+      const updates: Array<{ node: TreeNode; path: string }> = [];
+      const queue: Array<{ node: TreeNode; parentPath: string }> = (childrenOf.get(null) ?? [])
+        .map(node => ({ node, parentPath: '' }));
+
+      while (queue.length > 0) {
+        const { node, parentPath } = queue.shift()!;
+        const path = this._childPath(parentPath, node.id);
+        updates.push({ node, path });
+        for (const child of childrenOf.get(node.id) ?? []) {
+          queue.push({ node: child, parentPath: path });
+        }
+      }
+
+      const changed = updates.filter(({ node, path }) =>
+        this._getPath(node) !== path || node[this.config.depthField] !== this._pathIds(path).length - 1
+      );
+
+      await TasksRunner.process(
+        changed,
+        async ({ node, path }: { node: TreeNode; path: string }) => {
+          await resource.patch(node.id, {
+            [this.config.pathField]: path,
+            [this.config.depthField]: this._pathIds(path).length - 1
+          });
+        },
+        { concurrency: 10 }
+      );
+
+      return { rebuilt: changed.length };
+    });
+  }
+}
+
+export default MaterializedPathDriver;
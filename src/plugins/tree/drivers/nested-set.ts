@@ -688,6 +688,15 @@ export class NestedSetDriver {
     );
   }
 
+  /**
+   * Parent of every node, read from the parent field.
+   */
+  async exportParents(resourceName: string): Promise<Map<string, string | null>> {
+    const resource = this.database.resources[resourceName]!;
+    const nodes = await resource.list({ limit: 10000 });
+    return new Map(nodes.map(node => [node.id, (node[this.config.parentField] as string | null) ?? this.config.rootParentValue]));
+  }
+
   async rebuildTree(resourceName: string, options: GetRootsOptions = {}): Promise<RebuildResult> {
     const { treeId } = options;
 
@@ -2,6 +2,9 @@ import { Plugin } from '../plugin.class.js';
 import { createLogger, type Logger } from '../../concerns/logger.js';
 import { NestedSetDriver } from './drivers/nested-set.js';
 import { AdjacencyListDriver } from './drivers/adjacency-list.js';
+import { MaterializedPathDriver } from './drivers/materialized-path.js';
+import { ClosureTableDriver } from './drivers/closure-table.js';
+import { TasksRunner } from '../../tasks/tasks-runner.class.js';
 import { TreeConfigurationError } from './errors.js';
 
 interface PluginOptions {
@@ -11,14 +14,18 @@ interface PluginOptions {
   [key: string]: unknown;
 }
 
+export type TreeDriverName = 'nested-set' | 'adjacency-list' | 'materialized-path' | 'closure-table';
+
 export interface TreePluginOptions extends PluginOptions {
   resources?: string | string[];
-  driver?: 'nested-set' | 'adjacency-list';
+  driver?: TreeDriverName;
   leftField?: string;
   rightField?: string;
   depthField?: string;
   parentField?: string;
   treeField?: string | null;
+  pathField?: string;
+  pathSeparator?: string;
   rootParentValue?: string | null;
   autoRebuild?: boolean;
   logLevel?: string;
@@ -33,10 +40,18 @@ export interface TreePluginConfig {
   depthField: string;
   parentField: string;
   treeField: string | null;
+  pathField: string;
+  pathSeparator: string;
   rootParentValue: string | null;
   autoRebuild: boolean;
 }
 
+export interface MigrateDriverResult {
+  from: TreeDriverName;
+  to: TreeDriverName;
+  resources: Record<string, { nodes: number; reparented: number; rebuilt: number }>;
+}
+
 interface TreeNode {
   id: string;
   tree?: TreeNodeNamespace;
@@ -52,6 +67,7 @@ interface Resource {
   get(id: string): Promise<TreeNode | null>;
   insert(data: Record<string, unknown>): Promise<TreeNode>;
   update(id: string, data: Record<string, unknown>): Promise<TreeNode>;
+  patch(id: string, data: Record<string, unknown>): Promise<TreeNode>;
   getMany(ids: string[]): Promise<TreeNode[]>;
   list(options?: Record<string, unknown>): Promise<TreeNode[]>;
   query(query: Record<string, unknown>): Promise<TreeNode[]>;
@@ -63,7 +79,7 @@ interface Database {
   addHook(event: string, callback: (args: { resource: Resource }) => Promise<void>): void;
 }
 
-type TreeDriver = NestedSetDriver | AdjacencyListDriver;
+type TreeDriver = NestedSetDriver | AdjacencyListDriver | MaterializedPathDriver | ClosureTableDriver;
 
 interface TreeNodeNamespace {
   parent(): Promise<TreeNode | null>;
@@ -148,6 +164,8 @@ export class TreePlugin extends Plugin {
       depthField = 'depth',
       parentField = 'parentId',
       treeField = null,
+      pathField = 'path',
+      pathSeparator = '.',
       rootParentValue = null,
       autoRebuild = false
     } = opts;
@@ -160,22 +178,31 @@ export class TreePlugin extends Plugin {
       depthField: depthField as string,
       parentField: parentField as string,
       treeField: treeField as string | null,
+      pathField: pathField as string,
+      pathSeparator: pathSeparator as string,
       rootParentValue: rootParentValue as string | null,
       autoRebuild: autoRebuild as boolean
     };
 
-    if (driver === 'nested-set') {
-      this.driver = new NestedSetDriver(this, this.config as any);
-    } else if (driver === 'adjacency-list') {
-      this.driver = new AdjacencyListDriver(this, this.config as any);
-    } else {
-      throw new TreeConfigurationError(`Unknown driver: ${driver}`);
-    }
+    this.driver = this._createDriver(driver);
 
     this._resourceTreeNamespaces = new Map();
     this._locks = new Map();
   }
 
+  private _createDriver(driver: string): TreeDriver {
+    if (driver === 'nested-set') {
+      return new NestedSetDriver(this, this.config as any);
+    } else if (driver === 'adjacency-list') {
+      return new AdjacencyListDriver(this, this.config as any);
+    } else if (driver === 'materialized-path') {
+      return new MaterializedPathDriver(this, this.config as any);
+    } else if (driver === 'closure-table') {
+      return new ClosureTableDriver(this, this.config as any);
+    }
+    throw new TreeConfigurationError(`Unknown driver: ${driver}`);
+  }
+
   override async onInstall(): Promise<void> {
     this._installResourceMethods();
 
@@ -348,6 +375,74 @@ export class TreePlugin extends Plugin {
     }
   }
 
+  /**
+   * Convert the trees of every configured resource from one driver to another.
+   *
+   * Reads each node's parent from the `from` driver's own structure (lft/rgt,
+   * paths or closure rows), writes it to `parentField` where it differs, then
+   * lets the `to` driver rebuild its structure from `parentField`. The plugin
+   * switches to the new driver once all resources are converted. Writes to the
+   * trees should be paused while it runs.
+   */
+  async migrateDriver(from: TreeDriverName, to: TreeDriverName): Promise<MigrateDriverResult> {
+    if (from !== this.config.driver) {
+      throw new TreeConfigurationError(`Cannot migrate from '${from}': the plugin uses the '${this.config.driver}' driver`);
+    }
+
+    const result: MigrateDriverResult = { from, to, resources: {} };
+    if (from === to) return result;
+
+    const source = this.driver;
+    const target = this._createDriver(to);
+    const { parentField, rootParentValue } = this.config;
+
+    for (const resourceName of this.config.resources) {
+      const resource = this.database.resources[resourceName];
+      if (!resource) continue;
+
+      if ('validateResource' in target) {
+        await target.validateResource(resourceName);
+      }
+
+      const parents = await source.exportParents(resourceName);
+      const nodes = await resource.list({ limit: 10000 });
+      const reparent = nodes.filter(node =>
+        (node[parentField] ?? rootParentValue) !== (parents.get(node.id) ?? rootParentValue)
+      );
+
+      await TasksRunner.process(
+        reparent,
+        async (node: TreeNode) => {
+          await resource.patch(node.id, { [parentField]: parents.get(node.id) ?? rootParentValue });
+        },
+        { concurrency: 10 }
+      );
+
+      const { rebuilt } = await target.rebuildTree(resourceName);
+      result.resources[resourceName] = { nodes: nodes.length, reparented: reparent.length, rebuilt };
+    }
+
+    this.driver = target;
+    this.config.driver = to;
+
+    for (const resourceName of this._resourceTreeNamespaces.keys()) {
+      const resource = this.database.resources[resourceName];
+      if (!resource) continue;
+
+      const treeNamespace = this._createTreeNamespace(resource);
+      this._resourceTreeNamespaces.set(resourceName, treeNamespace);
+      Object.defineProperty(resource, 'tree', {
+        value: treeNamespace,
+        writable: true,
+        configurable: true,
+        enumerable: false
+      });
+    }
+
+    this.logger.info({ from, to, resources: Object.keys(result.resources) }, `Migrated trees from ${from} to ${to}`);
+    return result;
+  }
+
   override async onUninstall(): Promise<void> {
     for (const [resourceName] of this._resourceTreeNamespaces) {
       const resource = this.database.resources[resourceName]!;
@@ -364,7 +459,8 @@ export class TreePlugin extends Plugin {
       rightField: this.config.rightField,
       depthField: this.config.depthField,
       parentField: this.config.parentField,
-      treeField: this.config.treeField
+      treeField: this.config.treeField,
+      pathField: this.config.pathField
     };
   }
 }
@@ -379,5 +475,7 @@ export {
 
 export { NestedSetDriver } from './drivers/nested-set.js';
 export { AdjacencyListDriver } from './drivers/adjacency-list.js';
+export { MaterializedPathDriver } from './drivers/materialized-path.js';
+export { ClosureTableDriver } from './drivers/closure-table.js';
 
 export default TreePlugin;
@@ -2,7 +2,9 @@ import { Plugin } from './plugin.class.js';
 import { cosineDistance, euclideanDistance, manhattanDistance, dotProduct, normalize } from './vector/distances.js';
 import { kmeans, findOptimalK } from './vector/kmeans.js';
 import { VectorError } from './vector/vector-error.js';
+import { IvfIndex, type IvfEntry, type IvfMeta, type IvfStorage } from './vector/ivf-index.js';
 import { createLogger } from '../concerns/logger.js';
+import { tryFn } from '../concerns/try-fn.js';
 
 import type { Database } from '../database.class.js';
 import type { Resource } from '../resource.class.js';
@@ -12,6 +14,27 @@ export type DistanceMetric = 'cosine' | 'euclidean' | 'manhattan';
 export type DistanceFunction = (a: number[], b: number[]) => number;
 export type PartitionPolicy = 'allow' | 'warn' | 'error';
 
+export interface VectorAnnOptions {
+  type?: 'ivf';
+  /** Resources to index; defaults to every resource with a vector field. */
+  resources?: string[];
+  /** Number of k-means lists; defaults to √n at build time. */
+  lists?: number;
+  /** Lists scanned per search; more lists raise recall and latency. */
+  nprobe?: number;
+  /** Fields stored next to each vector so `filter` can prune before ranking. */
+  filterFields?: string[];
+  /** Vectors needed before the index is clustered; smaller indexes are one list. */
+  trainThreshold?: number;
+  /** Rebuild in the background when a list outgrows the training. */
+  autoRetrain?: boolean;
+}
+
+export interface BuildVectorIndexOptions {
+  /** Recluster the vectors already indexed instead of rescanning the resource. */
+  retrain?: boolean;
+}
+
 export interface VectorPluginOptions extends Record<string, unknown> {
   dimensions?: number;
   distanceMetric?: DistanceMetric;
@@ -24,6 +47,7 @@ export interface VectorPluginOptions extends Record<string, unknown> {
   partitionPolicy?: PartitionPolicy;
   maxUnpartitionedRecords?: number;
   searchPageSize?: number;
+  ann?: VectorAnnOptions | null;
   logLevel?: string;
   logLevelEvents?: boolean;
   logger?: Logger;
@@ -41,6 +65,7 @@ export interface VectorPluginConfig extends VectorPluginOptions {
   partitionPolicy: PartitionPolicy;
   maxUnpartitionedRecords: number;
   searchPageSize: number;
+  ann: VectorAnnOptions | null;
 }
 
 export interface VectorSearchOptions {
@@ -56,6 +81,12 @@ export interface VectorSearchOptions {
   partitionPolicy?: PartitionPolicy;
   maxUnpartitionedRecords?: number;
   onProgress?: (stats: VectorSearchStats) => void;
+  /** Use the ANN index when there is one; false forces an exact scan. */
+  approximate?: boolean;
+  /** Index lists to scan; overrides `ann.nprobe`. */
+  nprobe?: number;
+  /** Field equality filters applied before ranking; an array matches any of its values. */
+  filter?: Record<string, unknown> | null;
 }
 
 export interface VectorSearchStats {
@@ -194,6 +225,8 @@ export class VectorPlugin extends Plugin {
 
   private _vectorFieldCache: Map<string, string | null>;
   private _throttleState: Map<string, number>;
+  private _annIndexes: Map<string, IvfIndex>;
+  private _annBuilds: Map<string, Promise<IvfMeta | null>>;
 
   constructor(options: VectorPluginOptions = {}) {
     super(options);
@@ -217,6 +250,7 @@ export class VectorPlugin extends Plugin {
       partitionPolicy = 'warn',
       maxUnpartitionedRecords = 1000,
       searchPageSize = 1000,
+      ann = null,
       ...rest
     } = this.options;
 
@@ -232,6 +266,7 @@ export class VectorPlugin extends Plugin {
       partitionPolicy: partitionPolicy as PartitionPolicy,
       maxUnpartitionedRecords: maxUnpartitionedRecords as number,
       searchPageSize: searchPageSize as number,
+      ann: ann as VectorAnnOptions | null,
       logLevel: this.logLevel,
       ...rest
     };
@@ -244,6 +279,8 @@ export class VectorPlugin extends Plugin {
 
     this._vectorFieldCache = new Map();
     this._throttleState = new Map();
+    this._annIndexes = new Map();
+    this._annBuilds = new Map();
   }
 
   override async onInstall(): Promise<void> {
@@ -251,6 +288,10 @@ export class VectorPlugin extends Plugin {
 
     this.validateVectorStorage();
     this.installResourceMethods();
+
+    if (this.config.ann) {
+      this.installAnnIndexes();
+    }
   }
 
   override async onStart(): Promise<void> {
@@ -258,6 +299,7 @@ export class VectorPlugin extends Plugin {
   }
 
   override async onStop(): Promise<void> {
+    await Promise.all(this._annBuilds.values());
     this.emit('db:plugin:stopped', { plugin: 'VectorPlugin' });
   }
 
@@ -270,6 +312,7 @@ export class VectorPlugin extends Plugin {
       delete (resource as unknown as Record<string, unknown>).similarTo;
       delete (resource as unknown as Record<string, unknown>).findSimilar;
       delete (resource as unknown as Record<string, unknown>).distance;
+      delete (resource as unknown as Record<string, unknown>).buildVectorIndex;
     }
 
     this.emit('db:plugin:uninstalled', { plugin: 'VectorPlugin' });
@@ -448,6 +491,191 @@ export class VectorPlugin extends Plugin {
     });
   }
 
+  installAnnIndexes(): void {
+    const ann = this.config.ann!;
+    if (ann.type && ann.type !== 'ivf') {
+      throw new VectorError(`Unsupported ANN index type: ${ann.type}`, {
+        operation: 'installAnnIndexes',
+        supportedTypes: ['ivf'],
+        suggestion: "Use ann: { type: 'ivf' }."
+      });
+    }
+
+    const storage = this.getStorage() as unknown as IvfStorage;
+
+    for (const resource of Object.values(this.database.resources)) {
+      if (ann.resources && !ann.resources.includes(resource.name)) continue;
+
+      const vectorField = this.detectVectorField(resource);
+      if (!vectorField) continue;
+
+      const index = new IvfIndex(storage, resource.name, vectorField, {
+        metric: this.config.distanceMetric,
+        distanceFn: this.distanceFunctions[this.config.distanceMetric],
+        lists: ann.lists,
+        nprobe: ann.nprobe ?? 8,
+        trainThreshold: ann.trainThreshold ?? 1000
+      });
+      this._annIndexes.set(`${resource.name}:${vectorField}`, index);
+      this.installAnnHooks(resource, index);
+    }
+  }
+
+  installAnnHooks(resource: Resource, index: IvfIndex): void {
+    const resourceWithHooks = resource as unknown as {
+      addHook: (event: string, handler: Function) => void;
+      behavior: string;
+    };
+
+    resourceWithHooks.addHook('afterInsert', (data: Record<string, unknown>) => this._annHook(resource, index, data, 'insert'));
+    resourceWithHooks.addHook('afterUpdate', (data: Record<string, unknown>) => this._annHook(resource, index, data, 'update'));
+    resourceWithHooks.addHook('afterReplace', (data: Record<string, unknown>) => this._annHook(resource, index, data, 'update'));
+    resourceWithHooks.addHook('afterPatch', async (data: Record<string, unknown>) => {
+      // Other behaviors patch through update(), which already ran afterUpdate
+      if (!['enforce-limits', 'truncate-data'].includes(resourceWithHooks.behavior)) return data;
+      return this._annHook(resource, index, data, 'update');
+    });
+    resourceWithHooks.addHook('afterDelete', (data: Record<string, unknown>) => this._annHook(resource, index, data, 'delete'));
+
+    this.emit('plg:vector:hooks-installed', {
+      resource: resource.name,
+      vectorField: index.field,
+      hooks: ['afterInsert', 'afterUpdate', 'afterReplace', 'afterPatch', 'afterDelete'],
+      timestamp: Date.now()
+    });
+  }
+
+  private async _annHook(
+    resource: Resource,
+    index: IvfIndex,
+    data: Record<string, unknown>,
+    operation: 'insert' | 'update' | 'delete'
+  ): Promise<Record<string, unknown>> {
+    const [ok, err] = await tryFn(async () => {
+      const entry = operation === 'delete' ? null : this._annEntry(resource, index, data);
+      if (!entry) {
+        if (operation !== 'insert') await index.remove(String(data.id));
+        return;
+      }
+
+      const { indexed, rebuild } = await index.upsert(entry, { isNew: operation === 'insert' });
+      if (!indexed && !(await index.meta())) {
+        this._scheduleAnnBuild(resource, index, false);
+      } else if (rebuild && this.config.ann?.autoRetrain !== false) {
+        this._scheduleAnnBuild(resource, index, true);
+      }
+    });
+
+    // The record is already written; a failed index write must not fail it
+    if (!ok) {
+      this._emitEvent('plg:vector:index-error', {
+        resource: resource.name,
+        vectorField: index.field,
+        id: data?.id,
+        operation,
+        error: (err as Error).message,
+        timestamp: Date.now()
+      });
+    }
+    return data;
+  }
+
+  private _annEntry(resource: Resource, index: IvfIndex, record: Record<string, unknown>): IvfEntry | null {
+    const vector = this.getNestedValue(record, index.field);
+    if (!Array.isArray(vector) || vector.length === 0 || record.id == null) return null;
+
+    const fields: Record<string, unknown> = {};
+    for (const field of this._annFilterFields(resource)) {
+      const value = this.getNestedValue(record, field);
+      if (value !== undefined) fields[field] = value;
+    }
+    return { id: String(record.id), vector: vector as number[], fields, at: Date.now() };
+  }
+
+  /** Configured filter fields plus partition fields, so partition values prune index searches too. */
+  private _annFilterFields(resource: Resource): string[] {
+    const partitions = (resource as unknown as { config?: { partitions?: Record<string, { fields?: Record<string, unknown> }> } }).config?.partitions || {};
+    const partitionFields = Object.values(partitions)
+      .flatMap(partition => Object.keys(partition.fields || {}))
+      .filter(field => !field.startsWith('_has'));
+    return [...new Set([...(this.config.ann?.filterFields || []), ...partitionFields])];
+  }
+
+  private _scheduleAnnBuild(resource: Resource, index: IvfIndex, retrain: boolean): void {
+    if (this._annBuilds.has(`${resource.name}:${index.field}`)) return;
+
+    void this._trackAnnBuild(resource, index, this._buildAnnIndex(resource, index, { retrain, wait: false }))
+      .catch((error: Error) => {
+        this._emitEvent('plg:vector:index-error', {
+          resource: resource.name,
+          vectorField: index.field,
+          operation: 'build',
+          error: error.message,
+          timestamp: Date.now()
+        });
+      });
+  }
+
+  /** Remember a running build so this process starts no other one for the index until it settles. */
+  private _trackAnnBuild(resource: Resource, index: IvfIndex, build: Promise<IvfMeta | null>): Promise<IvfMeta | null> {
+    const key = `${resource.name}:${index.field}`;
+    const settled = build.catch(() => null);
+    this._annBuilds.set(key, settled);
+    void settled.then(() => {
+      if (this._annBuilds.get(key) === settled) this._annBuilds.delete(key);
+    });
+    return build;
+  }
+
+  /**
+   * Build under a lock so only one process builds at a time. Background builds
+   * give up when another process holds it; explicit ones wait for it.
+   */
+  private async _buildAnnIndex(
+    resource: Resource,
+    index: IvfIndex,
+    { retrain, wait }: { retrain: boolean; wait: boolean }
+  ): Promise<IvfMeta | null> {
+    const startTime = Date.now();
+    const storage = this.getStorage() as unknown as {
+      withLock<T>(name: string, options: { ttl?: number; timeout?: number }, callback: () => Promise<T>): Promise<T | null>;
+    };
+
+    const meta = await storage.withLock(
+      `ann-${resource.name}-${index.field}`,
+      { ttl: 600, timeout: wait ? 60000 : 0 },
+      () => index.build(retrain ? null : () => this._loadAnnEntries(resource, index))
+    );
+
+    if (meta) {
+      this._emitEvent('plg:vector:index-built', {
+        resource: resource.name,
+        vectorField: index.field,
+        version: meta.version,
+        vectors: meta.vectors,
+        lists: Math.max(1, meta.centroids.length),
+        duration: Date.now() - startTime,
+        timestamp: Date.now()
+      });
+    }
+    return meta;
+  }
+
+  private async _loadAnnEntries(resource: Resource, index: IvfIndex): Promise<IvfEntry[]> {
+    const entries: IvfEntry[] = [];
+    const pageSize = this.config.searchPageSize;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const batch = await resource.list({ limit: pageSize, offset });
+      for (const record of batch) {
+        const entry = this._annEntry(resource, index, record as Record<string, unknown>);
+        if (entry) entries.push(entry);
+      }
+      if (batch.length < pageSize) break;
+    }
+    return entries;
+  }
+
   hasVectorValue(data: Record<string, unknown>, fieldPath: string): boolean {
     const value = this.getNestedValue(data, fieldPath);
     return value != null && Array.isArray(value) && value.length > 0;
@@ -616,6 +844,7 @@ export class VectorPlugin extends Plugin {
       resourceAny.similarTo = searchMethod;
       resourceAny.findSimilar = searchMethod;
       resourceAny.distance = distanceMethod;
+      resourceAny.buildVectorIndex = this.createBuildIndexMethod(resource);
     }
   }
 
@@ -626,12 +855,98 @@ export class VectorPlugin extends Plugin {
     };
   }
 
+  createBuildIndexMethod(resource: Resource): (options?: BuildVectorIndexOptions) => Promise<IvfMeta | null> {
+    return async ({ retrain = false }: BuildVectorIndexOptions = {}): Promise<IvfMeta | null> => {
+      const index = [...this._annIndexes.values()].find(candidate => candidate.resourceName === resource.name);
+      if (!index) {
+        throw new VectorError(`Resource '${resource.name}' has no vector index`, {
+          operation: 'buildVectorIndex',
+          resource: resource.name,
+          suggestion: "Enable it with new VectorPlugin({ ann: { type: 'ivf' } }) and a vector field on the resource."
+        });
+      }
+      const key = `${resource.name}:${index.field}`;
+      while (this._annBuilds.has(key)) await this._annBuilds.get(key);
+      return await this._trackAnnBuild(resource, index, this._buildAnnIndex(resource, index, { retrain, wait: true }));
+    };
+  }
+
   createVectorSearchPagedMethod(resource: Resource): (queryVector: number[], options?: VectorSearchOptions) => Promise<VectorSearchPagedResult> {
     return async (queryVector: number[], options: VectorSearchOptions = {}): Promise<VectorSearchPagedResult> => {
       return await this._vectorSearchPaged(resource, queryVector, options);
     };
   }
 
+  /** Search the ANN index, then rank the candidates by their stored vectors. Returns null when the index is not built. */
+  private async _annSearch(
+    resource: Resource,
+    index: IvfIndex,
+    queryVector: number[],
+    { limit, nprobe, match, threshold, recordFilter }: {
+      limit: number;
+      nprobe?: number;
+      match: Record<string, unknown>;
+      threshold: number | null;
+      recordFilter?: (record: Record<string, unknown>) => boolean;
+    },
+    stats: VectorSearchStats
+  ): Promise<VectorSearchResult[] | null> {
+    const indexedFields = new Set(this._annFilterFields(resource));
+    const unindexed = Object.keys(match).filter(field => !indexedFields.has(field));
+    if (unindexed.length > 0) {
+      throw new VectorError(`Vector index for '${resource.name}' cannot filter on ${unindexed.join(', ')}`, {
+        operation: 'vectorSearch',
+        resource: resource.name,
+        vectorField: index.field,
+        fields: unindexed,
+        suggestion: 'Add the fields to ann.filterFields and rebuild the index, or pass approximate: false.'
+      });
+    }
+
+    const hasMatch = Object.keys(match).length > 0;
+    // Oversample: candidates can be stale or dropped by recordFilter/threshold
+    const found = await index.search(queryVector, {
+      limit: Math.max(limit * 2, limit + 10),
+      nprobe,
+      match: hasMatch ? fields => this._matchesFilter(match, field => fields[field]) : null
+    });
+    if (!found) return null;
+
+    stats.approximate = true;
+    stats.pagesScanned = found.listsProbed;
+    stats.scannedRecords = found.scanned;
+
+    const records = found.candidates.length > 0
+      ? await resource.getMany(found.candidates.map(candidate => candidate.id))
+      : [];
+    const results: VectorSearchResult[] = [];
+
+    for (const record of records as Record<string, unknown>[]) {
+      const vector = this.getNestedValue(record, index.field);
+      if (!Array.isArray(vector)) continue;
+      if (vector.length !== queryVector.length) {
+        stats.dimensionMismatches += 1;
+        continue;
+      }
+      if (hasMatch && !this._matchesFilter(match, field => this.getNestedValue(record, field))) continue;
+      if (recordFilter && !recordFilter(record)) continue;
+
+      const distance = index.options.distanceFn(queryVector, vector as number[]);
+      stats.processedRecords += 1;
+      if (threshold !== null && distance > threshold) continue;
+      results.push({ record, distance });
+    }
+
+    return results.sort((a, b) => a.distance - b.distance).slice(0, limit);
+  }
+
+  private _matchesFilter(filter: Record<string, unknown>, valueOf: (field: string) => unknown): boolean {
+    return Object.entries(filter).every(([field, expected]) => {
+      const value = valueOf(field);
+      return Array.isArray(expected) ? expected.includes(value) : expected === value;
+    });
+  }
+
   private async _vectorSearchPaged(resource: Resource, queryVector: number[], options: VectorSearchOptions = {}): Promise<VectorSearchPagedResult> {
     const startTime = Date.now();
 
@@ -653,7 +968,10 @@ export class VectorPlugin extends Plugin {
       recordFilter,
       partitionPolicy = this.config.partitionPolicy,
       maxUnpartitionedRecords = this.config.maxUnpartitionedRecords,
-      onProgress
+      onProgress,
+      approximate = true,
+      nprobe,
+      filter = null
     } = options;
 
     let actualPartition = partition;
@@ -725,6 +1043,34 @@ export class VectorPlugin extends Plugin {
         approximate: false
       };
 
+      const annIndex = approximate && limit > 0 ? this._annIndexes.get(`${resource.name}:${vectorField}`) : undefined;
+      if (annIndex && annIndex.options.metric === distanceMetric) {
+        const match = { ...(partition && partitionValues ? partitionValues : {}), ...filter };
+        const results = await this._annSearch(resource, annIndex, queryVector, { limit, nprobe, match, threshold, recordFilter }, stats);
+
+        if (results) {
+          stats.durationMs = Date.now() - startTime;
+          this._emitEvent('vector:search-complete', {
+            resource: resource.name,
+            vectorField,
+            resultsCount: results.length,
+            totalRecords: stats.totalRecords,
+            processedRecords: stats.processedRecords,
+            scannedRecords: stats.scannedRecords,
+            pagesScanned: stats.pagesScanned,
+            dimensionMismatches: stats.dimensionMismatches,
+            duration: stats.durationMs,
+            approximate: stats.approximate,
+            throughput: (stats.durationMs > 0 ? stats.scannedRecords / (stats.durationMs / 1000) : 0).toFixed(2),
+            timestamp: Date.now()
+          });
+          return { results, stats };
+        }
+
+        // Not built yet: answer with the exact scan while it builds
+        this._scheduleAnnBuild(resource, annIndex, false);
+      }
+
       const policyMaxRecords = maxUnpartitionedRecords ?? this.config.maxUnpartitionedRecords;
       const policyMode = partitionPolicy ?? this.config.partitionPolicy;
       let policyWarned = false;
@@ -843,6 +1189,10 @@ export class VectorPlugin extends Plugin {
             continue;
           }
 
+          if (filter && !this._matchesFilter(filter, field => this.getNestedValue(record as Record<string, unknown>, field))) {
+            continue;
+          }
+
           const vectorValue = (record as Record<string, unknown>)[vectorField!];
           if (!vectorValue || !Array.isArray(vectorValue)) {
             continue;
@@ -0,0 +1,344 @@
+import { kmeans, type DistanceFunction } from './kmeans.js';
+import { VectorError } from './vector-error.js';
+
+/** Subset of PluginStorage the index needs. */
+export interface IvfStorage {
+  getPluginKey(resourceName: string | null, ...parts: string[]): string;
+  get(key: string): Promise<Record<string, unknown> | null>;
+  getWithVersion(key: string): Promise<{ data: Record<string, unknown> | null; version: string | null }>;
+  set(key: string, data: Record<string, unknown>, options?: { behavior?: 'body-only' | 'body-overflow' }): Promise<unknown>;
+  setIfVersion(key: string, data: Record<string, unknown>, version: string, options?: { behavior?: 'body-only' }): Promise<string | null>;
+  setIfNotExists(key: string, data: Record<string, unknown>, options?: { behavior?: 'body-only' }): Promise<string | null>;
+  delete(key: string): Promise<void>;
+}
+
+export interface IvfEntry {
+  id: string;
+  vector: number[];
+  /** Values of the fields searches can pre-filter on. */
+  fields: Record<string, unknown>;
+  /** Write time; when a record shows up in two lists the newest entry wins. */
+  at: number;
+}
+
+export interface IvfMeta {
+  version: number;
+  metric: string;
+  dimensions: number | null;
+  /** Empty until the index is trained; every vector is then in list 0. */
+  centroids: number[][];
+  vectors: number;
+  builtAt: string;
+}
+
+export interface IvfIndexOptions {
+  metric: string;
+  distanceFn: DistanceFunction;
+  /** Lists (k-means clusters); defaults to √n when trained. */
+  lists?: number;
+  nprobe: number;
+  /** Vectors needed before k-means training; below it search scans the one list. */
+  trainThreshold: number;
+}
+
+export interface IvfSearchOptions {
+  limit: number;
+  nprobe?: number;
+  match?: ((fields: Record<string, unknown>) => boolean) | null;
+}
+
+export interface IvfSearchResult {
+  candidates: Array<{ id: string; distance: number }>;
+  listsProbed: number;
+  scanned: number;
+}
+
+export interface IvfUpsertResult {
+  indexed: boolean;
+  /** The list outgrew the training, so the index should be rebuilt. */
+  rebuild: boolean;
+}
+
+const MAX_WRITE_ATTEMPTS = 10;
+// A list this many times its trained average size triggers a rebuild
+const GROWTH_FACTOR = 4;
+
+/**
+ * Inverted-file (IVF) approximate nearest neighbour index.
+ *
+ * Vectors are split into lists by their nearest k-means centroid. A search
+ * ranks the centroids and scans only the closest `nprobe` lists, trading
+ * recall for latency. Each list is one object under
+ * `resource=<r>/plugin=<slug>/ann/<field>/v=<version>/list=<n>`, written
+ * with ETag checks so writers on several processes do not lose entries.
+ *
+ * A rebuild writes a new version, then replays into it whatever changed in
+ * the old version while it ran; writers re-check the version after writing
+ * and redo the write if it moved.
+ */
+export class IvfIndex {
+  readonly resourceName: string;
+  readonly field: string;
+  options: IvfIndexOptions;
+  private storage: IvfStorage;
+  private _assignments: { version: number; lists: Map<string, number> } | null = null;
+  private _queues = new Map<string, Promise<unknown>>();
+
+  constructor(storage: IvfStorage, resourceName: string, field: string, options: IvfIndexOptions) {
+    this.storage = storage;
+    this.resourceName = resourceName;
+    this.field = field;
+    this.options = options;
+  }
+
+  get metaKey(): string {
+    return this.storage.getPluginKey(this.resourceName, 'ann', this.field, 'meta');
+  }
+
+  listKey(version: number, list: number): string {
+    return this.storage.getPluginKey(this.resourceName, 'ann', this.field, `v=${version}`, `list=${list}`);
+  }
+
+  async meta(): Promise<IvfMeta | null> {
+    return await this.storage.get(this.metaKey) as IvfMeta | null;
+  }
+
+  async readList(version: number, list: number): Promise<IvfEntry[]> {
+    const data = await this.storage.get(this.listKey(version, list));
+    return (data?.entries as IvfEntry[] | undefined) || [];
+  }
+
+  nearestList(meta: IvfMeta, vector: number[]): number {
+    let best = 0;
+    let bestDistance = Infinity;
+    meta.centroids.forEach((centroid, list) => {
+      const distance = this.options.distanceFn(vector, centroid);
+      if (distance < bestDistance) {
+        best = list;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /** Add or move a vector. `isNew` skips looking for a previous list. */
+  async upsert(entry: IvfEntry, { isNew = false }: { isNew?: boolean } = {}): Promise<IvfUpsertResult> {
+    while (true) {
+      const meta = await this.meta();
+      if (!meta || (meta.dimensions !== null && entry.vector.length !== meta.dimensions)) {
+        return { indexed: false, rebuild: false };
+      }
+
+      const list = this.nearestList(meta, entry.vector);
+      const previous = isNew ? undefined : await this._previousList(meta, entry.id);
+      const size = await this._mutateList(meta.version, list, entries => [...entries.filter(e => e.id !== entry.id), entry]);
+      if (previous !== undefined && previous !== list) {
+        await this._mutateList(meta.version, previous, entries => entries.filter(e => e.id !== entry.id));
+      }
+      if (this._assignments?.version === meta.version) this._assignments.lists.set(entry.id, list);
+
+      if ((await this.meta())?.version === meta.version) {
+        const trainedSize = meta.centroids.length > 0 ? meta.vectors / meta.centroids.length : 0;
+        const rebuild = trainedSize > 0
+          ? size > GROWTH_FACTOR * trainedSize
+          : size >= this.options.trainThreshold;
+        return { indexed: true, rebuild };
+      }
+    }
+  }
+
+  async remove(id: string): Promise<void> {
+    while (true) {
+      const meta = await this.meta();
+      if (!meta) return;
+
+      const previous = await this._previousList(meta, id);
+      if (previous !== undefined) {
+        await this._mutateList(meta.version, previous, entries => entries.filter(e => e.id !== id));
+        this._assignments?.lists.delete(id);
+      }
+
+      if ((await this.meta())?.version === meta.version) return;
+    }
+  }
+
+  /**
+   * Nearest stored vectors to `query`. Scans the `nprobe` closest lists, and
+   * keeps going while fewer than `limit` entries passed `match`. Returns null
+   * when the index has not been built.
+   */
+  async search(query: number[], { limit, nprobe = this.options.nprobe, match = null }: IvfSearchOptions): Promise<IvfSearchResult | null> {
+    const meta = await this.meta();
+    if (!meta) return null;
+
+    const order = meta.centroids.length > 0
+      ? meta.centroids
+        .map((centroid, list) => ({ list, distance: this.options.distanceFn(query, centroid) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ list }) => list)
+      : [0];
+    const probes = Math.max(1, nprobe);
+
+    const best = new Map<string, IvfEntry>();
+    let probed = 0;
+    let scanned = 0;
+    while (probed < order.length && (probed < probes || best.size < limit)) {
+      const batch = order.slice(probed, probed + Math.max(probes - probed, 1));
+      const lists = await Promise.all(batch.map(list => this.readList(meta.version, list)));
+      probed += batch.length;
+
+      for (const entry of lists.flat()) {
+        scanned++;
+        if (match && !match(entry.fields || {})) continue;
+        const seen = best.get(entry.id);
+        if (!seen || seen.at < entry.at) best.set(entry.id, entry);
+      }
+    }
+
+    const candidates: Array<{ id: string; distance: number }> = [];
+    for (const entry of best.values()) {
+      if (entry.vector.length !== query.length) continue;
+      candidates.push({ id: entry.id, distance: this.options.distanceFn(query, entry.vector) });
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    return { candidates: candidates.slice(0, limit), listsProbed: probed, scanned };
+  }
+
+  /** Meta of the current version, creating an empty untrained one if none exists. */
+  async ensure(): Promise<IvfMeta> {
+    const current = await this.meta();
+    if (current) return current;
+    await this.storage.setIfNotExists(this.metaKey, this._meta(1, [], 0, null) as unknown as Record<string, unknown>, { behavior: 'body-only' });
+    return (await this.meta())!;
+  }
+
+  /**
+   * Build a new version from the entries `load` returns, or retrain from the
+   * vectors already indexed when `load` is null. `load` runs after the old
+   * version is snapshotted, so writes it misses are replayed afterwards.
+   */
+  async build(load: (() => Promise<IvfEntry[]>) | null, { lists }: { lists?: number } = {}): Promise<IvfMeta> {
+    const current = await this.ensure();
+    const before = await this._readAll(current);
+    const source = load ? await load() : [...before.values()];
+    const dimensions = source[0]?.vector.length ?? current.dimensions;
+    const valid = source.filter(entry => entry.vector.length === dimensions);
+
+    const { centroids, groups } = this._train(valid, lists);
+    const next = this._meta(current.version + 1, centroids, valid.length, dimensions);
+
+    await Promise.all(groups.map((group, list) =>
+      group.length > 0
+        ? this.storage.set(this.listKey(next.version, list), { entries: group }, { behavior: 'body-only' })
+        : null
+    ));
+    await this.storage.set(this.metaKey, next as unknown as Record<string, unknown>, { behavior: 'body-only' });
+    this._assignments = null;
+
+    // Replay writes that landed in the previous version during the build
+    const after = await this._readAll(current);
+    for (const [id, entry] of after) {
+      if (before.get(id)?.at !== entry.at) await this.upsert(entry);
+    }
+    for (const id of before.keys()) {
+      if (!after.has(id)) await this.remove(id);
+    }
+
+    await Promise.all(
+      Array.from({ length: Math.max(1, current.centroids.length) }, (_, list) =>
+        this.storage.delete(this.listKey(current.version, list)).catch(() => undefined)
+      )
+    );
+
+    return next;
+  }
+
+  /** Delete the index; searches fall back to a full scan until it is rebuilt. */
+  async drop(): Promise<void> {
+    const meta = await this.meta();
+    if (!meta) return;
+    await this.storage.delete(this.metaKey);
+    await Promise.all(
+      Array.from({ length: Math.max(1, meta.centroids.length) }, (_, list) =>
+        this.storage.delete(this.listKey(meta.version, list)).catch(() => undefined)
+      )
+    );
+    this._assignments = null;
+  }
+
+  private _meta(version: number, centroids: number[][], vectors: number, dimensions: number | null): IvfMeta {
+    return { version, metric: this.options.metric, dimensions, centroids, vectors, builtAt: new Date().toISOString() };
+  }
+
+  private _train(entries: IvfEntry[], lists?: number): { centroids: number[][]; groups: IvfEntry[][] } {
+    if (entries.length === 0 || entries.length < this.options.trainThreshold) {
+      return { centroids: [], groups: [entries] };
+    }
+
+    const k = Math.min(entries.length, Math.max(1, lists ?? this.options.lists ?? Math.round(Math.sqrt(entries.length))));
+    const result = kmeans(entries.map(entry => entry.vector), k, {
+      distanceFn: this.options.distanceFn,
+      maxIterations: 25
+    });
+
+    const groups: IvfEntry[][] = result.centroids.map(() => []);
+    entries.forEach((entry, i) => groups[result.assignments[i]!]!.push(entry));
+    return { centroids: result.centroids, groups };
+  }
+
+  private async _readAll(meta: IvfMeta): Promise<Map<string, IvfEntry>> {
+    const lists = await Promise.all(
+      Array.from({ length: Math.max(1, meta.centroids.length) }, (_, list) => this.readList(meta.version, list))
+    );
+    const entries = new Map<string, IvfEntry>();
+    for (const entry of lists.flat()) {
+      const seen = entries.get(entry.id);
+      if (!seen || seen.at < entry.at) entries.set(entry.id, entry);
+    }
+    return entries;
+  }
+
+  /** List holding `id`, from a map of the version's lists read once per process. */
+  private async _previousList(meta: IvfMeta, id: string): Promise<number | undefined> {
+    if (this._assignments?.version !== meta.version) {
+      const lists = await Promise.all(
+        Array.from({ length: Math.max(1, meta.centroids.length) }, (_, list) => this.readList(meta.version, list))
+      );
+      const assignments = new Map<string, number>();
+      lists.forEach((entries, list) => entries.forEach(entry => assignments.set(entry.id, list)));
+      this._assignments = { version: meta.version, lists: assignments };
+    }
+    return this._assignments.lists.get(id);
+  }
+
+  /** Read-modify-write a list with an ETag check; writes to one list from this process are queued. */
+  private _mutateList(version: number, list: number, change: (entries: IvfEntry[]) => IvfEntry[]): Promise<number> {
+    const key = this.listKey(version, list);
+    const run = (this._queues.get(key) || Promise.resolve()).then(async () => {
+      for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+        const { data, version: etag } = await this.storage.getWithVersion(key);
+        const entries = change((data?.entries as IvfEntry[] | undefined) || []);
+        const written = etag
+          ? await this.storage.setIfVersion(key, { entries }, etag, { behavior: 'body-only' })
+          : await this.storage.setIfNotExists(key, { entries }, { behavior: 'body-only' });
+        if (written) return entries.length;
+      }
+      throw new VectorError(`Vector index list kept changing while writing '${key}'`, {
+        operation: 'indexUpsert',
+        resourceName: this.resourceName,
+        vectorField: this.field,
+        retriable: true,
+        suggestion: 'Retry the write; many writers are updating the same index list.'
+      });
+    });
+    const settled = run.catch(() => undefined);
+    this._queues.set(key, settled);
+    void settled.then(() => {
+      if (this._queues.get(key) === settled) this._queues.delete(key);
+    });
+    return run;
+  }
+}
+
+export default IvfIndex;
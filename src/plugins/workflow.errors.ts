@@ -0,0 +1,50 @@
+import { S3dbError } from '../errors.js';
+
+export interface WorkflowErrorDetails {
+  workflow?: string;
+  executionId?: string;
+  step?: string;
+  operation?: string;
+  statusCode?: number;
+  retriable?: boolean;
+  description?: string;
+  [key: string]: unknown;
+}
+
+export class WorkflowError extends S3dbError {
+  constructor(message: string, details: WorkflowErrorDetails = {}) {
+    const { workflow, executionId, step, operation = 'unknown', retriable, ...rest } = details;
+
+    let description = details.description;
+    if (!description) {
+      description = `
+Workflow Operation Error
+
+Operation: ${operation}
+${workflow ? `Workflow: ${workflow}` : ''}
+${executionId ? `Execution: ${executionId}` : ''}
+${step ? `Step: ${step}` : ''}
+
+Common causes:
+1. Workflow or step not registered
+2. Execution not found
+3. Replaying an execution that has not failed
+4. Plugin not installed before starting executions
+
+Solution:
+Check the workflow definition and the execution status with getExecution(id).
+
+Docs: https://github.com/forattini-dev/s3db.js/blob/main/docs/plugins/workflow/README.md
+`.trim();
+    }
+
+    super(message, { ...rest, workflow, executionId, step, operation, description });
+    this.statusCode = details.statusCode ?? 500;
+
+    if (retriable !== undefined) {
+      this.retriable = retriable;
+    }
+  }
+}
+
+export default WorkflowError;
@@ -0,0 +1,827 @@
+import { Plugin, type PluginConfig } from './plugin.class.js';
+import { S3QueuePlugin, type S3QueuePluginOptions } from './s3-queue.plugin.js';
+import { StateMachinePlugin } from './state-machine.plugin.js';
+import { resolveResourceNames } from './concerns/resource-names.js';
+import { WorkflowError } from './workflow.errors.js';
+import tryFn from '../concerns/try-fn.js';
+import { idGenerator } from '../concerns/id.js';
+
+interface Resource {
+  name: string;
+  get(id: string): Promise<Record<string, unknown>>;
+  exists(id: string): Promise<boolean>;
+  insert(data: Record<string, unknown>): Promise<Record<string, unknown>>;
+  update(id: string, data: Record<string, unknown>): Promise<Record<string, unknown>>;
+  query(filter: Record<string, unknown>, options?: { limit?: number }): Promise<Record<string, unknown>[]>;
+  enqueue?(data: Record<string, unknown>, options?: { maxAttempts?: number }): Promise<Record<string, unknown>>;
+}
+
+interface QueueMessageContext {
+  attempts: number;
+  renewLock: (extraMilliseconds?: number) => Promise<boolean>;
+}
+
+export type ExecutionStatus = 'pending' | 'running' | 'compensating' | 'completed' | 'failed';
+
+export type StepStatus = 'pending' | 'running' | 'retrying' | 'completed' | 'failed' | 'compensated' | 'compensation-failed';
+
+export interface StepContext {
+  executionId: string;
+  workflow: string;
+  step: string;
+  /** Attempt number within the current run, starting at 1. */
+  attempt: number;
+  run: number;
+  /** Outputs of the completed steps, by step name. */
+  outputs: Record<string, unknown>;
+  /** Extends the task's visibility timeout for long-running steps. */
+  renewLock: (extraMilliseconds?: number) => Promise<boolean>;
+}
+
+export interface CompensationContext extends StepContext {
+  /** What the step returned when it ran. */
+  output: unknown;
+  /** The failure that triggered the compensation. */
+  error: ExecutionError | null;
+}
+
+export type StepFunction = (input: Record<string, unknown>, context: StepContext) => unknown | Promise<unknown>;
+export type CompensateFunction = (input: Record<string, unknown>, context: CompensationContext) => unknown | Promise<unknown>;
+
+export interface StepDefinition {
+  run: StepFunction;
+  compensate?: CompensateFunction;
+  maxAttempts?: number;
+}
+
+export interface WorkflowDefinition {
+  /** Registered step names, run in order. */
+  steps: string[];
+}
+
+export interface StepState {
+  name: string;
+  status: StepStatus;
+  attempts: number;
+  output?: unknown;
+  error?: string | null;
+  startedAt?: string | null;
+  completedAt?: string | null;
+}
+
+export interface ExecutionError {
+  step: string;
+  message: string;
+}
+
+export interface ExecutionHistoryEntry {
+  type: string;
+  at: string;
+  run: number;
+  step?: string;
+  attempt?: number;
+  error?: string;
+}
+
+export interface WorkflowExecution {
+  id: string;
+  workflow: string;
+  status: ExecutionStatus;
+  input: Record<string, unknown>;
+  /** Output of the last step once the execution completes. */
+  output: unknown;
+  steps: StepState[];
+  history: ExecutionHistoryEntry[];
+  error: ExecutionError | null;
+  /** Incremented by every replay. */
+  run: number;
+  /** Index of the step being run (or compensated). */
+  currentStep: number;
+  startedAt: string;
+  completedAt: string | null;
+}
+
+export interface ExecuteOptions {
+  /** Execution id; executing an existing id returns that execution instead. */
+  id?: string;
+}
+
+export interface ReplayOptions {
+  /** Re-run this step and every step after it, even if they completed. */
+  fromStep?: string;
+}
+
+export interface ListExecutionsOptions {
+  workflow?: string;
+  status?: ExecutionStatus;
+  limit?: number;
+}
+
+export interface WorkflowPluginOptions extends PluginConfig {
+  steps?: Record<string, StepDefinition | StepFunction>;
+  workflows?: Record<string, WorkflowDefinition | string[]>;
+  resourceNames?: { executions?: string; tasks?: string };
+  /** Attempts per step (and per compensation) unless the step sets its own. */
+  maxAttempts?: number;
+  concurrency?: number;
+  visibilityTimeout?: number;
+  pollInterval?: number;
+  autoStart?: boolean;
+  /** Extra S3QueuePlugin options for the task queue. */
+  queue?: Partial<S3QueuePluginOptions>;
+}
+
+interface WorkflowPluginConfig {
+  executionsResource: string;
+  tasksResource: string;
+  maxAttempts: number;
+  concurrency: number;
+  visibilityTimeout: number;
+  pollInterval: number;
+  autoStart: boolean;
+  queue: Partial<S3QueuePluginOptions>;
+  logLevel: string;
+}
+
+type TaskAction = 'run' | 'compensate';
+
+const EXECUTION_MACHINE = 'workflow';
+
+const EXECUTION_STATES = {
+  initialState: 'pending',
+  states: {
+    pending: { on: { START: 'running' } },
+    running: { on: { COMPLETE: 'completed', FAIL: 'compensating' } },
+    compensating: { on: { COMPENSATED: 'failed' } },
+    completed: { type: 'final' as const },
+    failed: { on: { REPLAY: 'running' } }
+  }
+};
+
+const TASK_ACTIONS: Partial<Record<ExecutionStatus, TaskAction>> = {
+  pending: 'run',
+  running: 'run',
+  compensating: 'compensate'
+};
+
+/**
+ * WorkflowPlugin
+ *
+ * Durable sagas: each step runs as an S3Queue task, so retries follow the
+ * queue's visibility timeout and backoff. Step outputs are checkpointed on the
+ * execution record and the execution status is driven by a StateMachinePlugin.
+ * When a step exhausts its attempts, the completed steps are compensated in
+ * reverse order.
+ */
+export class WorkflowPlugin extends Plugin<WorkflowPluginOptions> {
+  config: WorkflowPluginConfig;
+  steps: Map<string, StepDefinition> = new Map();
+  workflows: Map<string, WorkflowDefinition> = new Map();
+
+  executionsResource: Resource | null = null;
+  tasksResource: Resource | null = null;
+  queuePlugin: S3QueuePlugin | null = null;
+  stateMachinePlugin: StateMachinePlugin | null = null;
+
+  private _resourceDescriptors: Record<string, { defaultName: string; override?: string }>;
+
+  constructor(options: WorkflowPluginOptions = {}) {
+    super(options);
+
+    const {
+      steps = {},
+      workflows = {},
+      resourceNames = {},
+      maxAttempts = 3,
+      concurrency = 1,
+      visibilityTimeout = 30000,
+      pollInterval = 1000,
+      autoStart = true,
+      queue = {}
+    } = this.options;
+
+    this._resourceDescriptors = {
+      executions: { defaultName: 'plg_workflow_executions', override: resourceNames.executions },
+      tasks: { defaultName: 'plg_workflow_tasks', override: resourceNames.tasks }
+    };
+    const names = this._resolveResourceNames();
+
+    this.config = {
+      executionsResource: names.executions!,
+      tasksResource: names.tasks!,
+      maxAttempts: Math.max(1, maxAttempts),
+      concurrency,
+      visibilityTimeout,
+      pollInterval,
+      autoStart,
+      queue,
+      logLevel: this.logLevel
+    };
+
+    for (const [name, definition] of Object.entries(steps)) {
+      this.registerStep(name, definition);
+    }
+    for (const [name, definition] of Object.entries(workflows)) {
+      this.registerWorkflow(name, definition);
+    }
+  }
+
+  private _resolveResourceNames(): Record<string, string> {
+    return resolveResourceNames('workflow', this._resourceDescriptors, {
+      namespace: this.namespace ?? undefined
+    });
+  }
+
+  override onNamespaceChanged(): void {
+    if (!this.config) return;
+    const names = this._resolveResourceNames();
+    this.config.executionsResource = names.executions!;
+    this.config.tasksResource = names.tasks!;
+  }
+
+  registerStep(name: string, definition: StepDefinition | StepFunction): void {
+    const step = typeof definition === 'function' ? { run: definition } : definition;
+    if (typeof step?.run !== 'function') {
+      throw new WorkflowError(`Step '${name}' must be a function or define run()`, {
+        step: name,
+        operation: 'registerStep',
+        statusCode: 400,
+        retriable: false,
+        suggestion: 'Register steps as async (input, context) => output or { run, compensate }.'
+      });
+    }
+    this.steps.set(name, step);
+  }
+
+  registerWorkflow(name: string, definition: WorkflowDefinition | string[]): void {
+    const steps = Array.isArray(definition) ? definition : definition?.steps;
+    if (!Array.isArray(steps) || steps.length === 0 || steps.some(step => typeof step !== 'string')) {
+      throw new WorkflowError(`Workflow '${name}' must list at least one step name`, {
+        workflow: name,
+        operation: 'registerWorkflow',
+        statusCode: 400,
+        retriable: false,
+        suggestion: "Define workflows as { steps: ['chargeCard', 'reserveStock'] }."
+      });
+    }
+    this.workflows.set(name, { steps: [...steps] });
+  }
+
+  override async onInstall(): Promise<void> {
+    this.executionsResource = await this._createResource(this.config.executionsResource, {
+      id: 'string|required',
+      workflow: 'string|required',
+      status: 'string|required',
+      input: 'json|optional',
+      output: 'json|optional',
+      steps: 'json|required',
+      history: 'json|required',
+      error: 'json|optional',
+      run: 'number|required',
+      currentStep: 'number|required',
+      startedAt: 'string|required',
+      completedAt: 'string|optional'
+    }, {
+      // Step outputs and history grow with every step
+      behavior: 'body-only',
+      partitions: { byWorkflow: { fields: { workflow: 'string' } } },
+      asyncPartitions: true
+    });
+
+    this.tasksResource = await this._createResource(this.config.tasksResource, {
+      id: 'string|required',
+      executionId: 'string|required',
+      run: 'number|required',
+      step: 'number|required',
+      action: 'string|required'
+    });
+
+    this.stateMachinePlugin = new StateMachinePlugin({
+      logLevel: this.logLevel,
+      namespace: this.namespace ?? undefined,
+      enableCoordinator: false,
+      stateMachines: { [EXECUTION_MACHINE]: EXECUTION_STATES }
+    });
+    await this.stateMachinePlugin.install(this.database);
+
+    this.queuePlugin = new S3QueuePlugin({
+      logLevel: this.logLevel,
+      namespace: this.namespace ?? undefined,
+      enableCoordinator: false,
+      orderingGuarantee: false,
+      ...this.config.queue,
+      resource: this.config.tasksResource,
+      resourceNames: { queue: `${this.config.tasksResource}_queue` },
+      maxAttempts: this.config.maxAttempts,
+      concurrency: this.config.concurrency,
+      visibilityTimeout: this.config.visibilityTimeout,
+      pollInterval: this.config.pollInterval,
+      autoStart: false,
+      autoAcknowledge: true
+    } as S3QueuePluginOptions);
+    await this.queuePlugin.install(this.database);
+  }
+
+  private async _createResource(
+    name: string,
+    attributes: Record<string, string>,
+    options: Record<string, unknown> = {}
+  ): Promise<Resource> {
+    const [ok, err] = await tryFn(() => this.database.createResource({
+      name,
+      attributes,
+      behavior: 'body-overflow',
+      timestamps: true,
+      ...options
+    }));
+
+    const resource = this.database.resources[name] as unknown as Resource | undefined;
+    if (!resource) {
+      throw new WorkflowError(`Failed to create resource '${name}': ${(err as Error)?.message}`, {
+        operation: 'onInstall',
+        resourceName: name,
+        statusCode: 500,
+        retriable: false,
+        suggestion: 'Check database permissions and ensure createResource() succeeds.',
+        original: ok ? undefined : err
+      });
+    }
+    return resource;
+  }
+
+  override async onStart(): Promise<void> {
+    if (this.config.autoStart) {
+      await this.startProcessing();
+    }
+  }
+
+  override async onStop(): Promise<void> {
+    await this.queuePlugin?.stop();
+    await this.stateMachinePlugin?.stop();
+  }
+
+  override async onUninstall(options: { purgeData?: boolean } = {}): Promise<void> {
+    await this.queuePlugin?.uninstall(options);
+    await this.stateMachinePlugin?.uninstall(options);
+  }
+
+  async startProcessing(options: { concurrency?: number } = {}): Promise<void> {
+    if (!this.queuePlugin) {
+      throw this._notInstalled('startProcessing');
+    }
+    await this.queuePlugin.startProcessing(
+      (record, context) => this._handleTask(record, context),
+      { concurrency: options.concurrency || this.config.concurrency }
+    );
+  }
+
+  async stopProcessing(): Promise<void> {
+    await this.queuePlugin?.stopProcessing();
+  }
+
+  /**
+   * Start an execution of a workflow. Steps run asynchronously on the task queue;
+   * follow them with getExecution() or the plg:workflow:* events.
+   */
+  async execute(workflowName: string, input: Record<string, unknown> = {}, options: ExecuteOptions = {}): Promise<WorkflowExecution> {
+    const workflow = this.workflows.get(workflowName);
+    if (!workflow) {
+      throw new WorkflowError(`Workflow '${workflowName}' not found`, {
+        workflow: workflowName,
+        operation: 'execute',
+        statusCode: 404,
+        retriable: false,
+        availableWorkflows: Array.from(this.workflows.keys()),
+        suggestion: 'Register the workflow via the workflows option or registerWorkflow().'
+      });
+    }
+
+    const missing = workflow.steps.filter(step => !this.steps.has(step));
+    if (missing.length > 0) {
+      throw new WorkflowError(`Workflow '${workflowName}' uses unregistered steps: ${missing.join(', ')}`, {
+        workflow: workflowName,
+        operation: 'execute',
+        statusCode: 400,
+        retriable: false,
+        missingSteps: missing,
+        suggestion: 'Register every step via the steps option or registerStep().'
+      });
+    }
+
+    if (options.id) {
+      const existing = await this.getExecution(options.id);
+      if (existing) return existing;
+    }
+
+    const execution: WorkflowExecution = {
+      id: options.id || idGenerator(),
+      workflow: workflowName,
+      status: 'pending',
+      input,
+      output: null,
+      steps: workflow.steps.map(name => ({ name, status: 'pending', attempts: 0 })),
+      history: [],
+      error: null,
+      run: 1,
+      currentStep: 0,
+      startedAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this._record(execution, { type: 'started' });
+
+    await this._requireResource('execute').insert({ ...execution });
+    await this.stateMachinePlugin!.initializeEntity(EXECUTION_MACHINE, execution.id);
+    await this._enqueueCurrent(execution);
+
+    this.emit('plg:workflow:started', { executionId: execution.id, workflow: workflowName });
+    return execution;
+  }
+
+  async getExecution(id: string): Promise<WorkflowExecution | null> {
+    const [ok, , record] = await tryFn(() => this._requireResource('getExecution').get(id));
+    return ok && record ? this._toExecution(record) : null;
+  }
+
+  async listExecutions({ workflow, status, limit = 100 }: ListExecutionsOptions = {}): Promise<WorkflowExecution[]> {
+    const filter: Record<string, unknown> = {};
+    if (workflow) filter.workflow = workflow;
+    if (status) filter.status = status;
+    const records = await this._requireResource('listExecutions').query(filter, { limit });
+    return records.map(record => this._toExecution(record));
+  }
+
+  /**
+   * Run a failed execution again. Compensated and failed steps run again; steps
+   * that completed without being compensated keep their checkpointed output,
+   * unless `fromStep` forces a re-run from that step onwards.
+   */
+  async replay(id: string, { fromStep }: ReplayOptions = {}): Promise<WorkflowExecution> {
+    const execution = await this.getExecution(id);
+    if (!execution) {
+      throw new WorkflowError(`Execution '${id}' not found`, {
+        executionId: id,
+        operation: 'replay',
+        statusCode: 404,
+        retriable: false,
+        suggestion: 'Check the execution id returned by execute().'
+      });
+    }
+
+    if (execution.status !== 'failed') {
+      throw new WorkflowError(`Execution '${id}' is ${execution.status}; only failed executions can be replayed`, {
+        executionId: id,
+        workflow: execution.workflow,
+        operation: 'replay',
+        statusCode: 409,
+        retriable: false,
+        suggestion: 'Wait for the execution to finish compensating before replaying it.'
+      });
+    }
+
+    let from = execution.steps.length;
+    if (fromStep !== undefined) {
+      from = execution.steps.findIndex(state => state.name === fromStep);
+      if (from === -1) {
+        throw new WorkflowError(`Step '${fromStep}' is not part of workflow '${execution.workflow}'`, {
+          executionId: id,
+          workflow: execution.workflow,
+          step: fromStep,
+          operation: 'replay',
+          statusCode: 400,
+          retriable: false,
+          suggestion: `Use one of: ${execution.steps.map(state => state.name).join(', ')}.`
+        });
+      }
+    }
+
+    execution.steps = execution.steps.map((state, index) => (
+      index >= from || state.status !== 'completed'
+        ? { name: state.name, status: 'pending', attempts: 0 }
+        : state
+    ));
+
+    await this.stateMachinePlugin!.send(EXECUTION_MACHINE, id, 'REPLAY');
+    execution.status = 'running';
+    execution.run += 1;
+    execution.currentStep = execution.steps.findIndex(state => state.status !== 'completed');
+    execution.output = null;
+    execution.error = null;
+    execution.completedAt = null;
+    this._record(execution, { type: 'replayed', step: execution.steps[execution.currentStep]!.name });
+
+    await this._save(execution);
+    await this._enqueueCurrent(execution);
+
+    this.emit('plg:workflow:replayed', { executionId: id, workflow: execution.workflow, run: execution.run });
+    return execution;
+  }
+
+  private async _handleTask(task: Record<string, unknown>, context: QueueMessageContext): Promise<void> {
+    const execution = await this.getExecution(task.executionId as string);
+    if (!execution || execution.run !== task.run) return;
+
+    const action = TASK_ACTIONS[execution.status];
+    if (!action) return;
+
+    if (task.action !== action || task.step !== execution.currentStep) {
+      // A redelivered task: the worker that ran it may have stopped before queueing its successor
+      await this._enqueueCurrent(execution);
+      return;
+    }
+
+    if (action === 'run') {
+      await this._runStep(execution, context);
+    } else {
+      await this._compensateStep(execution, context);
+    }
+  }
+
+  private async _runStep(execution: WorkflowExecution, context: QueueMessageContext): Promise<void> {
+    const index = execution.currentStep;
+    const state = execution.steps[index]!;
+    const definition = this.steps.get(state.name);
+
+    if (execution.status === 'pending') {
+      await this._setStatus(execution, 'START', 'running');
+    }
+
+    if (state.status === 'completed') {
+      await this._advance(execution);
+      return;
+    }
+
+    state.status = 'running';
+    state.attempts = context.attempts;
+    state.startedAt = new Date().toISOString();
+    await this._save(execution);
+
+    const [ok, err, output] = await tryFn(async () => {
+      if (!definition) {
+        throw new WorkflowError(`Step '${state.name}' is not registered`, {
+          executionId: execution.id,
+          workflow: execution.workflow,
+          step: state.name,
+          operation: 'runStep',
+          statusCode: 400,
+          retriable: false,
+          suggestion: 'Register the step on every worker that processes this workflow.'
+        });
+      }
+      return await definition.run(execution.input, this._stepContext(execution, state, context));
+    });
+
+    if (ok) {
+      state.status = 'completed';
+      state.output = output ?? null;
+      state.error = null;
+      state.completedAt = new Date().toISOString();
+      this._record(execution, { type: 'step-completed', step: state.name, attempt: context.attempts });
+      this.emit('plg:workflow:step-completed', {
+        executionId: execution.id,
+        workflow: execution.workflow,
+        step: state.name,
+        attempt: context.attempts,
+        output: state.output
+      });
+      await this._advance(execution);
+      return;
+    }
+
+    const message = (err as Error).message;
+    state.error = message;
+    this._record(execution, { type: 'step-failed', step: state.name, attempt: context.attempts, error: message });
+
+    if (definition && context.attempts < (definition.maxAttempts ?? this.config.maxAttempts)) {
+      state.status = 'retrying';
+      await this._save(execution);
+      this.emit('plg:workflow:step-retry', {
+        executionId: execution.id,
+        workflow: execution.workflow,
+        step: state.name,
+        attempt: context.attempts,
+        error: message
+      });
+      // Failing the task lets the queue retry it after its backoff
+      throw err;
+    }
+
+    state.status = 'failed';
+    state.completedAt = new Date().toISOString();
+    execution.error = { step: state.name, message };
+    await this._setStatus(execution, 'FAIL', 'compensating');
+    this.emit('plg:workflow:step-failed', {
+      executionId: execution.id,
+      workflow: execution.workflow,
+      step: state.name,
+      attempt: context.attempts,
+      error: message
+    });
+    await this._compensateFrom(execution, index);
+  }
+
+  private async _compensateStep(execution: WorkflowExecution, context: QueueMessageContext): Promise<void> {
+    const index = execution.currentStep;
+    const state = execution.steps[index]!;
+
+    if (!this._isCompensable(state)) {
+      await this._compensateFrom(execution, index);
+      return;
+    }
+
+    const definition = this.steps.get(state.name)!;
+    const [ok, err] = await tryFn(async () => definition.compensate!(execution.input, {
+      ...this._stepContext(execution, state, context),
+      output: state.output ?? null,
+      error: execution.error
+    }));
+
+    if (ok) {
+      state.status = 'compensated';
+      this._record(execution, { type: 'step-compensated', step: state.name, attempt: context.attempts });
+      this.emit('plg:workflow:step-compensated', {
+        executionId: execution.id,
+        workflow: execution.workflow,
+        step: state.name,
+        attempt: context.attempts
+      });
+      await this._compensateFrom(execution, index);
+      return;
+    }
+
+    const message = (err as Error).message;
+    this._record(execution, { type: 'compensation-failed', step: state.name, attempt: context.attempts, error: message });
+
+    if (context.attempts < (definition.maxAttempts ?? this.config.maxAttempts)) {
+      await this._save(execution);
+      throw err;
+    }
+
+    state.status = 'compensation-failed';
+    state.error = message;
+    this.emit('plg:workflow:compensation-failed', {
+      executionId: execution.id,
+      workflow: execution.workflow,
+      step: state.name,
+      attempt: context.attempts,
+      error: message
+    });
+    await this._compensateFrom(execution, index);
+  }
+
+  /** Move to the next step that has not completed, or complete the execution. */
+  private async _advance(execution: WorkflowExecution): Promise<void> {
+    let next = execution.currentStep + 1;
+    while (next < execution.steps.length && execution.steps[next]!.status === 'completed') {
+      next++;
+    }
+
+    if (next < execution.steps.length) {
+      execution.currentStep = next;
+      await this._save(execution);
+      await this._enqueueCurrent(execution);
+      return;
+    }
+
+    execution.output = execution.steps[execution.steps.length - 1]!.output ?? null;
+    execution.completedAt = new Date().toISOString();
+    await this._setStatus(execution, 'COMPLETE', 'completed');
+    this._record(execution, { type: 'completed' });
+    await this._save(execution);
+
+    this.emit('plg:workflow:completed', {
+      executionId: execution.id,
+      workflow: execution.workflow,
+      output: execution.output
+    });
+  }
+
+  /** Queue the compensation of the closest completed step before `index`, or fail the execution. */
+  private async _compensateFrom(execution: WorkflowExecution, index: number): Promise<void> {
+    let previous = index - 1;
+    while (previous >= 0 && !this._isCompensable(execution.steps[previous]!)) {
+      previous--;
+    }
+
+    if (previous >= 0) {
+      execution.currentStep = previous;
+      await this._save(execution);
+      await this._enqueueCurrent(execution);
+      return;
+    }
+
+    execution.completedAt = new Date().toISOString();
+    await this._setStatus(execution, 'COMPENSATED', 'failed');
+    this._record(execution, { type: 'failed', error: execution.error?.message });
+    await this._save(execution);
+
+    this.emit('plg:workflow:failed', {
+      executionId: execution.id,
+      workflow: execution.workflow,
+      error: execution.error
+    });
+  }
+
+  private _isCompensable(state: StepState): boolean {
+    return state.status === 'completed' && typeof this.steps.get(state.name)?.compensate === 'function';
+  }
+
+  private _stepContext(execution: WorkflowExecution, state: StepState, context: QueueMessageContext): StepContext {
+    const outputs: Record<string, unknown> = {};
+    for (const step of execution.steps) {
+      if (step.status === 'completed') outputs[step.name] = step.output ?? null;
+    }
+
+    return {
+      executionId: execution.id,
+      workflow: execution.workflow,
+      step: state.name,
+      attempt: context.attempts,
+      run: execution.run,
+      outputs,
+      renewLock: context.renewLock
+    };
+  }
+
+  /** Queue the task for the current step. Task ids are deterministic, so queueing twice is a no-op. */
+  private async _enqueueCurrent(execution: WorkflowExecution): Promise<void> {
+    const action = TASK_ACTIONS[execution.status]!;
+    const step = execution.currentStep;
+    const id = `${execution.id}-${execution.run}-${action}-${step}`;
+    const definition = this.steps.get(execution.steps[step]!.name);
+    const tasks = this.tasksResource!;
+
+    const [ok, err] = await tryFn(() => tasks.enqueue!(
+      { id, executionId: execution.id, run: execution.run, step, action },
+      { maxAttempts: definition?.maxAttempts ?? this.config.maxAttempts }
+    ));
+
+    if (!ok && !(await tasks.exists(id))) {
+      throw err;
+    }
+  }
+
+  /**
+   * Transition the execution's state machine. A worker that stopped between the
+   * transition and the checkpoint leaves the machine one step ahead, which is
+   * accepted when it already sits in the expected state.
+   */
+  private async _setStatus(execution: WorkflowExecution, event: string, status: ExecutionStatus): Promise<void> {
+    const [ok, err] = await tryFn(() => this.stateMachinePlugin!.send(EXECUTION_MACHINE, execution.id, event));
+    if (!ok && await this.stateMachinePlugin!.getState(EXECUTION_MACHINE, execution.id) !== status) {
+      throw err;
+    }
+    execution.status = status;
+  }
+
+  private _record(execution: WorkflowExecution, entry: Omit<ExecutionHistoryEntry, 'at' | 'run'>): void {
+    execution.history.push({ ...entry, at: new Date().toISOString(), run: execution.run });
+  }
+
+  private async _save(execution: WorkflowExecution): Promise<void> {
+    await this._requireResource('save').update(execution.id, {
+      status: execution.status,
+      output: execution.output ?? null,
+      steps: execution.steps,
+      history: execution.history,
+      error: execution.error,
+      run: execution.run,
+      currentStep: execution.currentStep,
+      completedAt: execution.completedAt
+    });
+  }
+
+  private _toExecution(record: Record<string, unknown>): WorkflowExecution {
+    return {
+      id: record.id as string,
+      workflow: record.workflow as string,
+      status: record.status as ExecutionStatus,
+      input: (record.input as Record<string, unknown>) ?? {},
+      output: record.output ?? null,
+      steps: (record.steps as StepState[]) ?? [],
+      history: (record.history as ExecutionHistoryEntry[]) ?? [],
+      error: (record.error as ExecutionError) ?? null,
+      run: record.run as number,
+      currentStep: record.currentStep as number,
+      startedAt: record.startedAt as string,
+      completedAt: (record.completedAt as string) ?? null
+    };
+  }
+
+  private _requireResource(operation: string): Resource {
+    if (!this.executionsResource) {
+      throw this._notInstalled(operation);
+    }
+    return this.executionsResource;
+  }
+
+  private _notInstalled(operation: string): WorkflowError {
+    return new WorkflowError('WorkflowPlugin is not installed', {
+      operation,
+      statusCode: 400,
+      retriable: false,
+      suggestion: 'Call db.usePlugin(new WorkflowPlugin(...)) before starting executions.'
+    });
+  }
+}
+
+export default WorkflowPlugin;
@@ -15,11 +15,14 @@ import { ResourceGuards } from './core/resource-guards.class.js';
 import { ResourceMiddleware } from './core/resource-middleware.class.js';
 import { ResourcePartitions } from './core/resource-partitions.class.js';
 import { ResourceQuery } from './core/resource-query.class.js';
+import { ResourceAggregation, type AggregateOptions } from './core/resource-aggregation.class.js';
 import { ResourceContent } from './core/resource-content.class.js';
-import { ResourceStreams } from './core/resource-streams.class.js';
+import { ResourceStreams, type IterateOptions } from './core/resource-streams.class.js';
 import { ResourcePersistence } from './core/resource-persistence.class.js';
+import { ResourceIndexes, type IndexesConfig } from './core/resource-indexes.class.js';
+import { ResourceChanges, type ChangeFeedIterator, type ChangesOptions } from './core/resource-changes.class.js';
 import tryFn, { tryFnSync } from './concerns/try-fn.js';
-import { ResourceReader, ResourceWriter } from './stream/index.js';
+import { ResourceReader, ResourceWriter, type ResourceIterator } from './stream/index.js';
 import { getBehavior, DEFAULT_BEHAVIOR } from './behaviors/index.js';
 import { idGenerator as defaultIdGenerator } from './concerns/id.js';
 import { validateS3KeySegment } from './concerns/s3-key.js';
@@ -31,6 +34,9 @@ import type { Client } from './clients/types.js';
 import type { BehaviorType } from './behaviors/types.js';
 import type { SchemaRegistry, PluginSchemaRegistry } from './schema.class.js';
 import type { LogLevel, StringRecord, EventHandler, Disposable } from './types/common.types.js';
+import type { QueryProjection, QuerySort } from './concerns/query-filter.js';
+import type { AggregationPipeline } from './concerns/aggregation.js';
+import type { ExplainOptions, QueryExplanation } from './core/resource-query.class.js';
 import type {
   HookFunction,
   BoundHookFunction,
@@ -89,6 +95,8 @@ export interface ResourceConfig {
   autoDecrypt?: boolean;
   timestamps?: boolean;
   partitions?: PartitionsConfig | string[];
+  indexes?: IndexesConfig;
+  changeFeed?: boolean;
   paranoid?: boolean;
   allNestedObjectsOptional?: boolean;
   hooks?: Partial<HooksCollection>;
@@ -136,6 +144,8 @@ export interface ResourceInternalConfig {
   paranoid: boolean;
   timestamps: boolean;
   partitions: PartitionsConfig;
+  indexes: IndexesConfig;
+  changeFeed: boolean;
   autoEncrypt: boolean;
   autoDecrypt: boolean;
   allNestedObjectsOptional: boolean;
@@ -151,6 +161,8 @@ export interface ResourceExport {
   behavior: BehaviorType;
   timestamps: boolean;
   partitions: PartitionsConfig;
+  indexes?: IndexesConfig;
+  changeFeed?: boolean;
   paranoid: boolean;
   allNestedObjectsOptional: boolean;
   autoDecrypt: boolean;
@@ -206,6 +218,8 @@ export interface QueryOptions {
   offset?: number;
   partition?: string | null;
   partitionValues?: StringRecord;
+  sort?: QuerySort;
+  fields?: QueryProjection;
 }
 
 export interface ListOptions {
@@ -324,10 +338,13 @@ export class Resource extends AsyncEventEmitter implements Disposable {
   private _idGenerator: ResourceIdGenerator;
   private _hooksModule: ResourceHooks;
   private _partitions: ResourcePartitions;
+  private _indexes: ResourceIndexes;
+  private _changes: ResourceChanges;
   private _eventsModule: ResourceEvents;
   private _guards: ResourceGuards;
   private _middleware: ResourceMiddleware;
   private _query: ResourceQuery;
+  private _aggregation: ResourceAggregation;
   private _content: ResourceContent;
   private _streams: ResourceStreams;
   private _persistence: ResourcePersistence;
@@ -361,6 +378,8 @@ export class Resource extends AsyncEventEmitter implements Disposable {
       autoDecrypt = true,
       timestamps = false,
       partitions = {},
+      indexes = {},
+      changeFeed = false,
       paranoid = true,
       allNestedObjectsOptional = true,
       hooks = {},
@@ -424,6 +443,8 @@ export class Resource extends AsyncEventEmitter implements Disposable {
       paranoid,
       timestamps,
       partitions: normalizedPartitions,
+      indexes,
+      changeFeed,
       autoEncrypt,
       autoDecrypt,
       allNestedObjectsOptional,
@@ -495,6 +516,8 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     this.attributes = attributes || {};
 
     this._partitions = new ResourcePartitions(this as any, { strictValidation });
+    this._indexes = new ResourceIndexes(this as any, { strictValidation });
+    this._changes = new ResourceChanges(this as any);
 
     this.map = config.map;
 
@@ -525,6 +548,8 @@ export class Resource extends AsyncEventEmitter implements Disposable {
 
     this._query = new ResourceQuery(this as any);
 
+    this._aggregation = new ResourceAggregation(this as any);
+
     this._content = new ResourceContent(this as any);
 
     this._streams = new ResourceStreams(this as any);
@@ -675,6 +700,12 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     exported.behavior = this.behavior;
     exported.timestamps = this.config.timestamps;
     exported.partitions = this.config.partitions || {};
+    if (this.config.indexes && Object.keys(this.config.indexes).length > 0) {
+      exported.indexes = this.config.indexes;
+    }
+    if (this.config.changeFeed) {
+      exported.changeFeed = true;
+    }
     exported.paranoid = this.config.paranoid;
     exported.allNestedObjectsOptional = this.config.allNestedObjectsOptional;
     exported.autoDecrypt = this.config.autoDecrypt;
@@ -753,6 +784,7 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     }
 
     this.validatePartitions();
+    this._indexes?.validate();
   }
 
   updateAttributes(newAttributes: AttributesSchema): { oldAttributes: AttributesSchema; newAttributes: AttributesSchema } {
@@ -903,6 +935,27 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     return this._partitions.applyRule(value, rule);
   }
 
+  /** Whether `field` is a `secret|searchable` attribute keyed by its blind index. */
+  isSearchable(field: string): boolean {
+    this._ensureSchemaCompiled();
+    return this.schema.searchableFields.includes(field);
+  }
+
+  blindIndex(field: string, value: unknown): string {
+    this._ensureSchemaCompiled();
+    return this.schema.blindIndex(field, value);
+  }
+
+  blindIndexMetadataKey(field: string): string {
+    this._ensureSchemaCompiled();
+    return this.schema.blindIndexMetadataKey(field);
+  }
+
+  async revealSearchable<T extends object>(data: T): Promise<T> {
+    this._ensureSchemaCompiled();
+    return this.schema.revealSearchable(data);
+  }
+
   getResourceKey(id: string): string {
     validateS3KeySegment(id, 'id');
     const key = join('resource=' + this.name, 'data', `id=${id}`);
@@ -913,6 +966,39 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     return this._partitions.getKey({ partitionName, id, data });
   }
 
+  getIndexKey({ indexName, id, data }: { indexName: string; id: string; data: Record<string, unknown> }): string {
+    return this._indexes.getEntryKey(indexName, id, data);
+  }
+
+  hasIndexes(): boolean {
+    return this._indexes.hasIndexes();
+  }
+
+  async reserveUniqueIndexValues(id: string, data: Record<string, unknown>, previous: Record<string, unknown> | null = null): Promise<string[]> {
+    return this._indexes.reserveUnique(id, data as any, previous as any);
+  }
+
+  async releaseUniqueIndexValues(keys: string[]): Promise<void> {
+    return this._indexes.releaseUnique(keys);
+  }
+
+  async updateIndexReferences(id: string, oldData: Record<string, unknown> | null, newData: Record<string, unknown> | null): Promise<void> {
+    return this._indexes.updateReferences(id, oldData as any, newData as any);
+  }
+
+  async appendChange(id: string, oldData: Record<string, unknown> | null, newData: Record<string, unknown> | null): Promise<unknown> {
+    return this._changes.append(id, oldData, newData);
+  }
+
+  /** Durable change feed of this resource's writes; requires `changeFeed: true`. */
+  changes(options: ChangesOptions = {}): ChangeFeedIterator {
+    return this._changes.changes(options);
+  }
+
+  async latestChangeSequence(): Promise<number> {
+    return this._changes.latestSequence();
+  }
+
   getNestedFieldValue(data: Record<string, unknown>, fieldPath: string): unknown {
     return this._partitions.getNestedFieldValue(data, fieldPath);
   }
@@ -990,7 +1076,7 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     return this._persistence._patchViaCopyObject(id, fields) as Promise<ResourceData>;
   }
 
-  async replace(id: string, fullData: Record<string, unknown>, options: { partition?: string; partitionValues?: StringRecord } = {}): Promise<ResourceData> {
+  async replace(id: string, fullData: Record<string, unknown>, options: { partition?: string; partitionValues?: StringRecord; ifMatch?: string } = {}): Promise<ResourceData> {
     this._ensureSchemaCompiled();
     return this._persistence.replace(id, fullData, options) as Promise<ResourceData>;
   }
@@ -1110,6 +1196,11 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     return this._streams.writable() as unknown as ResourceWriter;
   }
 
+  iterate(options: IterateOptions = {}): ResourceIterator {
+    this._ensureSchemaCompiled();
+    return this._streams.iterate(options);
+  }
+
   async setContent({ id, buffer, contentType = 'application/octet-stream' }: SetContentParams): Promise<ResourceData> {
     return this._content.setContent({ id, buffer, contentType }) as Promise<ResourceData>;
   }
@@ -1155,9 +1246,19 @@ export class Resource extends AsyncEventEmitter implements Disposable {
     return this._partitions.deleteReferences(data as any);
   }
 
-  async query(filter: QueryFilter = {}, { limit = 100, offset = 0, partition = null, partitionValues = {} }: QueryOptions = {}): Promise<ResourceData[]> {
+  async query(filter: QueryFilter = {}, { limit = 100, offset = 0, partition = null, partitionValues = {}, sort, fields }: QueryOptions = {}): Promise<ResourceData[]> {
+    this._ensureSchemaCompiled();
+    return this._query.query(filter, { limit, offset, partition, partitionValues, sort, fields }) as Promise<ResourceData[]>;
+  }
+
+  async explain(filter: QueryFilter = {}, options: ExplainOptions = {}): Promise<QueryExplanation> {
+    this._ensureSchemaCompiled();
+    return this._query.explain(filter, options);
+  }
+
+  async aggregate<T = Record<string, unknown>>(pipeline: AggregationPipeline, options: AggregateOptions = {}): Promise<T[]> {
     this._ensureSchemaCompiled();
-    return this._query.query(filter, { limit, offset, partition, partitionValues }) as Promise<ResourceData[]>;
+    return this._aggregation.aggregate<T>(pipeline, options);
   }
 
   async handlePartitionReferenceUpdates(oldData: ResourceData, newData: ResourceData): Promise<void> {
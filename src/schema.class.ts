@@ -12,7 +12,8 @@ import {
   cloneDeep,
 } from "lodash-es";
 
-import { encrypt, decrypt } from "./concerns/crypto.js";
+import { encryptSecret, decryptSecret } from "./concerns/keyring.js";
+import { blindIndex, revealSecret, BLIND_INDEX_PREFIX } from "./concerns/blind-index.js";
 import { hashPassword, compactHash, type SecurityConfig } from "./concerns/password-hashing.js";
 import { ValidatorManager } from "./validator.class.js";
 import { tryFn, tryFnSync } from "./concerns/try-fn.js";
@@ -20,7 +21,7 @@ import { SchemaError } from "./errors.js";
 import { encode as toBase62, decode as fromBase62, encodeKey, decodeKey, encodeDecimal, decodeDecimal, encodeFixedPoint, decodeFixedPoint, encodeFixedPointBatch, decodeFixedPointBatch } from "./concerns/base62.js";
 import { encodeIPv4, decodeIPv4, encodeIPv6, decodeIPv6, isValidIPv4, isValidIPv6 } from "./concerns/ip.js";
 import { encodeBuffer, decodeBuffer, encodeBits, decodeBits } from "./concerns/binary.js";
-import { encodeGeoLat, decodeGeoLat, encodeGeoLon, decodeGeoLon, encodeGeoPoint, decodeGeoPoint } from "./concerns/geo-encoding.js";
+import { encodeGeoLat, decodeGeoLat, encodeGeoLon, decodeGeoLon, encodeGeoPoint, decodeGeoPoint, encodeGeoPolygon, decodeGeoPolygon } from "./concerns/geo-encoding.js";
 import {
   generateSchemaFingerprint,
   getCachedValidator,
@@ -280,6 +281,28 @@ function generateMappingFromRegistry(
   return { mapping, reversedMapping, registry, changed };
 }
 
+/** Flattened names of `secret|searchable` attributes. */
+function findSearchableFields(attributes: Record<string, unknown>, prefix = ''): string[] {
+  const fields: string[] = [];
+  for (const [name, definition] of Object.entries(attributes || {})) {
+    if (name.startsWith('$$')) continue;
+    const path = prefix ? `${prefix}.${name}` : name;
+
+    if (typeof definition === 'string') {
+      const [type, ...flags] = definition.split('|').map(part => part.trim());
+      if (type!.startsWith('secret') && flags.includes('searchable')) fields.push(path);
+    } else if (definition && typeof definition === 'object' && !Array.isArray(definition)) {
+      const def = definition as Record<string, unknown>;
+      if (typeof def.type === 'string' && def.type !== 'object') {
+        if (def.type.startsWith('secret') && def.searchable === true) fields.push(path);
+      } else {
+        fields.push(...findSearchableFields((def.props as Record<string, unknown>) || def, path));
+      }
+    }
+  }
+  return fields;
+}
+
 /**
  * Generate plugin attribute mapping from a persistent registry.
  * Stores actual key strings (hash-based) to preserve stability across schemas.
@@ -380,17 +403,17 @@ export const SchemaActions = {
   encrypt: async (value: unknown, { security }: ActionContext): Promise<unknown> => {
     if (value === null || value === undefined) return value;
     const secretValue = String(value);
-    if (security?.passphrase) {
-      const [okDecrypt] = await tryFn(() => decrypt(secretValue, security.passphrase!));
+    if (security?.passphrase || security?.keyring) {
+      const [okDecrypt] = await tryFn(() => decryptSecret(secretValue, security));
       if (okDecrypt) return value;
     }
-    const [ok, , res] = await tryFn(() => encrypt(secretValue, security?.passphrase!));
+    const [ok, , res] = await tryFn(() => encryptSecret(secretValue, security));
     return ok ? res : value;
   },
 
   decrypt: async (value: unknown, { security }: ActionContext): Promise<unknown> => {
     if (value === null || value === undefined) return value;
-    const [ok, , raw] = await tryFn<string>(() => decrypt(value as string, security?.passphrase!) as Promise<string>);
+    const [ok, , raw] = await tryFn<string>(() => decryptSecret(value as string, security));
     if (!ok) return value;
     if (raw === 'null') return null;
     if (raw === 'undefined') return undefined;
@@ -845,6 +868,20 @@ export const SchemaActions = {
     const [ok, , decoded] = tryFnSync(() => decodeGeoPoint(value, precision));
     return ok ? decoded : value;
   },
+
+  encodeGeoPolygonShape: (value: unknown, { precision = 6 }: ActionContext = {}): unknown => {
+    if (value === null || value === undefined) return value;
+    if (typeof value !== 'object') return value;
+    const [ok, , encoded] = tryFnSync(() => encodeGeoPolygon(value, precision));
+    return ok ? encoded : value;
+  },
+
+  decodeGeoPolygonShape: (value: unknown, { precision = 6 }: ActionContext = {}): unknown => {
+    if (value === null || value === undefined) return value;
+    if (typeof value !== 'string' || !value.startsWith('~')) return value;
+    const [ok, , decoded] = tryFnSync(() => decodeGeoPolygon(value, precision));
+    return ok ? decoded : value;
+  },
 };
 
 export class Schema {
@@ -854,6 +891,8 @@ export class Schema {
   security: SecurityConfig;
   options: SchemaOptions;
   allNestedObjectsOptional: boolean;
+  /** Flattened names of `secret|searchable` attributes, which carry a blind index. */
+  searchableFields: string[];
   _pluginAttributeMetadata: PluginAttributeMetadata;
   _pluginAttributes: PluginAttributes;
   _schemaFingerprint: string;
@@ -890,6 +929,7 @@ export class Schema {
     this.security = security ?? { passphrase: 'secret', bcrypt: { rounds: 12 } };
     this.options = merge({}, this.defaultOptions(), options);
     this.allNestedObjectsOptional = this.options.allNestedObjectsOptional ?? false;
+    this.searchableFields = findSearchableFields(this.attributes);
 
     this._pluginAttributeMetadata = _pluginAttributeMetadata || {};
     this._pluginAttributes = _pluginAttributes || {};
@@ -1366,6 +1406,18 @@ export class Schema {
         continue;
       }
 
+      if (defStr.includes("geo:polygon") || defType === 'geo:polygon') {
+        let precision = 6;
+        const precisionMatch = defStr.match(/geo:polygon:(\d+)/);
+        if (precisionMatch) {
+          precision = parseInt(precisionMatch[1]!, 10);
+        }
+
+        this.addHook("beforeMap", name, "encodeGeoPolygonShape", { precision });
+        this.addHook("afterUnmap", name, "decodeGeoPolygonShape", { precision });
+        continue;
+      }
+
       if (defStr.includes("geo:point") || defType === 'geo:point') {
         let precision = 6;
         const precisionMatch = defStr.match(/geo:point:(\d+)/);
@@ -1681,6 +1733,13 @@ export class Schema {
         rest[mappedKey] = value;
       }
     }
+
+    for (const field of this.searchableFields) {
+      const value = get(resourceItem, field);
+      if (value === undefined || value === null) continue;
+      rest[this.blindIndexMetadataKey(field)] = this.blindIndex(field, await revealSecret(value, this.security));
+    }
+
     await this.applyHooksActions(rest, "afterMap");
     return rest;
   }
@@ -1692,6 +1751,9 @@ export class Schema {
   ): Promise<Record<string, unknown>> {
     let obj = cloneDeep(mappedResourceItem);
     delete obj._v;
+    for (const key of Object.keys(obj)) {
+      if (key.startsWith(BLIND_INDEX_PREFIX)) delete obj[key];
+    }
     obj = await this.applyHooksActions(obj, "beforeUnmap");
     const reversedMap = mapOverride ? invert(mapOverride) : this.reversedMap;
     const reversedPluginMap = pluginMapOverride ? invert(pluginMapOverride) : this.reversedPluginMap;
@@ -1863,6 +1925,29 @@ export class Schema {
     return result;
   }
 
+  /** Blind index of a searchable field's plaintext value. */
+  blindIndex(field: string, value: unknown): string {
+    return blindIndex(field, value, this.security);
+  }
+
+  /** Metadata key holding a searchable field's blind index. */
+  blindIndexMetadataKey(field: string): string {
+    return `${BLIND_INDEX_PREFIX}${this.pluginMap[field] || this.map[field] || field}`;
+  }
+
+  /** `data` with searchable fields decrypted, copied only when something was encrypted. */
+  async revealSearchable<T extends object>(data: T): Promise<T> {
+    let revealed = data;
+    for (const field of this.searchableFields) {
+      const value = get(data, field);
+      const plaintext = await revealSecret(value, this.security);
+      if (plaintext === value) continue;
+      if (revealed === data) revealed = cloneDeep(data);
+      set(revealed, field, plaintext);
+    }
+    return revealed;
+  }
+
   getAttributeDefinition(key: string): unknown {
     const parts = key.split('.');
     let def: unknown = this.attributes;
@@ -1974,6 +2059,10 @@ export class Schema {
           processed[key] = 'any';
           continue;
         }
+        if (value.startsWith('geo:polygon')) {
+          processed[key] = 'any' + value.replace(/^geo:polygon(:\d+)?/, '');
+          continue;
+        }
         if (value.startsWith('embedding:')) {
           const lengthMatch = value.match(/embedding:(\d+)/);
           if (lengthMatch) {
@@ -2017,7 +2106,7 @@ export class Schema {
         }
         processed[key] = value;
       } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        const validatorTypes = ['string', 'number', 'boolean', 'bool', 'any', 'object', 'array', 'date', 'dateonly', 'datetime', 'timeonly', 'email', 'url', 'uuid', 'enum', 'custom', 'ip4', 'ip6', 'mac', 'cidr', 'semver', 'phone', 'color', 'duration', 'cron', 'locale', 'currency', 'country', 'ean', 'buffer', 'bits', 'money', 'crypto', 'decimal', 'geo:lat', 'geo:lon', 'geo:point', 'geo-lat', 'geo-lon', 'geo-point', 'secret', 'password', 'password:bcrypt', 'password:argon2id', 'embedding'];
+        const validatorTypes = ['string', 'number', 'boolean', 'bool', 'any', 'object', 'array', 'date', 'dateonly', 'datetime', 'timeonly', 'email', 'url', 'uuid', 'enum', 'custom', 'ip4', 'ip6', 'mac', 'cidr', 'semver', 'phone', 'color', 'duration', 'cron', 'locale', 'currency', 'country', 'ean', 'buffer', 'bits', 'money', 'crypto', 'decimal', 'geo:lat', 'geo:lon', 'geo:point', 'geo:polygon', 'geo-lat', 'geo-lon', 'geo-point', 'geo-polygon', 'secret', 'password', 'password:bcrypt', 'password:argon2id', 'embedding'];
         const typeValue = (value as Record<string, unknown>).type as string | undefined;
         const isValidValidatorType = typeof typeValue === 'string' &&
           !typeValue.includes('|') &&
@@ -2059,7 +2148,7 @@ export class Schema {
               min: cleanValue.min !== undefined ? cleanValue.min : -180,
               max: cleanValue.max !== undefined ? cleanValue.max : 180
             };
-          } else if (cleanValue.type === 'geo:point' || cleanValue.type === 'geo-point') {
+          } else if (cleanValue.type === 'geo:point' || cleanValue.type === 'geo-point' || cleanValue.type === 'geo:polygon' || cleanValue.type === 'geo-polygon') {
             processed[key] = { ...cleanValue, type: 'any' };
           } else if (cleanValue.type === 'object' && cleanValue.properties) {
             processed[key] = {
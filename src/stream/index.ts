@@ -5,6 +5,7 @@ export * from "./resource-reader.class.js";
 export * from "./resource-writer.class.js";
 export * from "./resource-ids-reader.class.js";
 export * from "./resource-ids-page-reader.class.js";
+export * from "./resource-iterator.class.js";
 
 export function streamToString(stream: Readable): Promise<string> {
   return new Promise((resolve, reject) => {
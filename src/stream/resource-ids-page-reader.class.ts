@@ -1,9 +1,10 @@
 import ResourceIdsReader from "./resource-ids-reader.class.js";
 
 export class ResourceIdsPageReader extends ResourceIdsReader {
-  override enqueue(ids: string[]): void {
+  /** Emits `page` with the ids and the keys they were listed from, in the order pages are read. */
+  override enqueue(ids: string[], keys: string[] = ids): void {
     this.controller.enqueue(ids);
-    this.emit("page", ids);
+    this.emit("page", ids, keys);
   }
 }
 
@@ -6,7 +6,7 @@ interface S3Object {
 }
 
 interface ListObjectsResponse {
-  Contents: S3Object[];
+  Contents?: S3Object[];
   NextContinuationToken?: string;
   IsTruncated: boolean;
 }
@@ -18,7 +18,11 @@ interface S3ClientConfig {
 interface S3Client {
   parallelism: number;
   config: S3ClientConfig;
-  listObjects(options: { prefix: string; continuationToken: string | null }): Promise<ListObjectsResponse>;
+  listObjects(options: {
+    prefix: string;
+    continuationToken: string | null;
+    startAfter?: string | null;
+  }): Promise<ListObjectsResponse>;
 }
 
 interface Resource {
@@ -28,28 +32,38 @@ interface Resource {
 
 interface ResourceIdsReaderOptions {
   resource: Resource;
+  /** Key prefix to list; defaults to the resource data. Partition prefixes work too. */
+  prefix?: string;
+  /** Start listing after this key (relative to the client keyPrefix), e.g. to resume a scan. */
+  startAfter?: string | null;
+  /** Pages (or ids) listed ahead of the consumer; defaults to three per client slot. */
+  highWaterMark?: number;
 }
 
 export class ResourceIdsReader extends EventEmitter {
   resource: Resource;
   client: S3Client;
+  prefix: string;
+  startAfter: string | null;
   stream: ReadableStream<string | string[]>;
   controller!: ReadableStreamDefaultController<string | string[]>;
   continuationToken: string | null = null;
   closeNextIteration: boolean = false;
 
-  constructor({ resource }: ResourceIdsReaderOptions) {
+  constructor({ resource, prefix, startAfter = null, highWaterMark }: ResourceIdsReaderOptions) {
     super();
 
     this.resource = resource;
     this.client = resource.client;
+    this.prefix = prefix ?? `resource=${this.resource.name}/data/`;
+    this.startAfter = startAfter;
 
     this.stream = new ReadableStream<string | string[]>({
       start: this._start.bind(this),
       pull: this._pull.bind(this),
       cancel: this._cancel.bind(this),
     }, {
-      highWaterMark: this.client.parallelism * 3
+      highWaterMark: highWaterMark ?? (this.client.parallelism || 10) * 3
     });
   }
 
@@ -64,29 +78,41 @@ export class ResourceIdsReader extends EventEmitter {
   }
 
   async _pull(_controller: ReadableStreamDefaultController<string | string[]>): Promise<void> {
-    if (this.closeNextIteration) {
-      this.controller.close();
-      return;
+    // A pull that enqueues nothing is not retried, so keep listing until a
+    // page has ids or the listing ends
+    while (true) {
+      if (this.closeNextIteration) {
+        this.controller.close();
+        return;
+      }
+
+      const response = await this.client.listObjects({
+        prefix: this.prefix,
+        continuationToken: this.continuationToken,
+        // S3 ignores StartAfter once a continuation token is sent
+        startAfter: this.continuationToken ? null : this.startAfter,
+      });
+
+      // Data and partition keys both end in `/id=<id>`
+      const keyPrefix = this.client.config.keyPrefix;
+      const keys = (response?.Contents ?? [])
+        .map((x) => x.Key)
+        .map((x) => (keyPrefix && x.startsWith(keyPrefix) ? x.slice(keyPrefix.length) : x))
+        .map((x) => (x.startsWith("/") ? x.replace(`/`, "") : x))
+        .filter((x) => x.includes("/id="));
+      const ids = keys.map((x) => x.slice(x.lastIndexOf("/id=") + 4));
+
+      this.continuationToken = response?.NextContinuationToken || null;
+      if (!response?.IsTruncated) this.closeNextIteration = true;
+
+      if (ids.length > 0) {
+        this.enqueue(ids, keys);
+        return;
+      }
     }
-
-    const response = await this.client.listObjects({
-      prefix: `resource=${this.resource.name}`,
-      continuationToken: this.continuationToken,
-    });
-
-    const keys = response?.Contents
-      .map((x) => x.Key)
-      .map((x) => x.replace(this.client.config.keyPrefix, ""))
-      .map((x) => (x.startsWith("/") ? x.replace(`/`, "") : x))
-      .map((x) => x.replace(`resource=${this.resource.name}/id=`, ""));
-
-    this.continuationToken = response.NextContinuationToken || null;
-    this.enqueue(keys);
-
-    if (!response.IsTruncated) this.closeNextIteration = true;
   }
 
-  enqueue(ids: string[]): void {
+  enqueue(ids: string[], _keys: string[] = ids): void {
     ids.forEach((key) => {
       this.controller.enqueue(key);
       this.emit("id", key);
@@ -94,7 +120,7 @@ export class ResourceIdsReader extends EventEmitter {
   }
 
   _cancel(_reason?: unknown): void {
-    // No cleanup needed
+    this.closeNextIteration = true;
   }
 }
 
@@ -0,0 +1,194 @@
+import { ResourceIdsPageReader } from "./resource-ids-page-reader.class.js";
+import { TasksPool } from "../tasks/tasks-pool.class.js";
+import { isNotFoundError } from "../concerns/s3-errors.js";
+import { compileFilter, type FilterPredicate, type QueryFilter } from "../concerns/query-filter.js";
+import { StreamError, ValidationError } from "../errors.js";
+
+interface S3Client {
+  parallelism: number;
+  config: { keyPrefix: string };
+  listObjects(options: {
+    prefix: string;
+    continuationToken: string | null;
+    startAfter?: string | null;
+  }): Promise<unknown>;
+}
+
+interface Resource {
+  name: string;
+  client: S3Client;
+  get(id: string): Promise<Record<string, unknown>>;
+}
+
+export interface ResourceIteratorOptions {
+  resource: Resource;
+  /** Key prefix to scan; defaults to the resource data. */
+  prefix?: string;
+  filter?: QueryFilter;
+  /** Records fetched per batch before the cursor moves on. */
+  batchSize?: number;
+  concurrency?: number;
+  /** Cursor from a previous iterator over the same prefix. */
+  cursor?: string | null;
+}
+
+interface CursorState {
+  v: 1;
+  r: string;
+  p: string;
+  /** Last key read; the scan resumes right after it. */
+  a: string | null;
+}
+
+/**
+ * Async iterator over a resource's records, paging with S3 continuation
+ * tokens through ResourceIdsPageReader.
+ *
+ * `cursor` is an opaque string that can be stored and passed back to resume
+ * the scan right after the last record read. It holds the last key rather
+ * than a continuation token, so it stays valid however long the scan is
+ * paused. It is `null` once the scan is complete.
+ *
+ *   const it = users.iterate({ filter: { active: true } });
+ *   for await (const user of it) {
+ *     if (timeIsUp()) { await save(it.cursor); break; }
+ *   }
+ */
+export class ResourceIterator implements AsyncIterable<Record<string, unknown>> {
+  resource: Resource;
+  prefix: string;
+  batchSize: number;
+  concurrency: number;
+  private _predicate: FilterPredicate;
+  private _after: string | null;
+  private _done = false;
+  private _started = false;
+
+  constructor({ resource, prefix, filter = {}, batchSize = 100, concurrency = 10, cursor = null }: ResourceIteratorOptions) {
+    if (!resource) {
+      throw new StreamError('Resource is required for ResourceIterator', {
+        operation: 'constructor',
+        suggestion: 'Pass a valid Resource instance when creating ResourceIterator'
+      });
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new ValidationError('batchSize must be a positive integer', {
+        field: 'batchSize',
+        value: batchSize,
+        constraint: 'iterate'
+      });
+    }
+
+    this.resource = resource;
+    this.prefix = prefix ?? `resource=${resource.name}/data/`;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this._predicate = compileFilter(filter);
+    this._after = cursor ? this._decodeCursor(cursor) : null;
+  }
+
+  /** Position after the last record read, or null when the scan is complete. */
+  get cursor(): string | null {
+    if (this._done) return null;
+    const state: CursorState = { v: 1, r: this.resource.name, p: this.prefix, a: this._after };
+    return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+  }
+
+  get done(): boolean {
+    return this._done;
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<Record<string, unknown>> {
+    if (this._started) {
+      throw new StreamError('ResourceIterator can only be iterated once', {
+        operation: 'iterate',
+        resource: this.resource.name,
+        suggestion: 'Create a new iterator from the cursor to continue the scan.'
+      });
+    }
+    this._started = true;
+
+    const reader = new ResourceIdsPageReader({
+      resource: this.resource as any,
+      prefix: this.prefix,
+      startAfter: this._after,
+      // One page ahead: a scan stopped early should not pay for LISTs it never reads
+      highWaterMark: 1
+    });
+    // Pages are read ahead; keys queue up in the same order the ids arrive
+    const pageKeys: string[][] = [];
+    reader.on('page', (_ids: string[], keys: string[]) => pageKeys.push(keys));
+    const pages = reader.build();
+
+    try {
+      while (true) {
+        const { value, done } = await pages.read();
+        if (done) break;
+
+        const ids = Array.isArray(value) ? value : [value];
+        const keys = pageKeys.shift() ?? [];
+
+        for (let i = 0; i < ids.length; i += this.batchSize) {
+          const batchIds = ids.slice(i, i + this.batchSize);
+          const docs = await this._fetch(batchIds);
+
+          for (let j = 0; j < batchIds.length; j++) {
+            this._after = keys[i + j] ?? this._after;
+            const doc = docs[j];
+            if (doc && this._predicate(doc)) yield doc;
+          }
+        }
+      }
+      this._done = true;
+    } finally {
+      if (!this._done) await pages.cancel().catch(() => {});
+    }
+  }
+
+  private async _fetch(ids: string[]): Promise<Array<Record<string, unknown> | null>> {
+    const docs: Array<Record<string, unknown> | null> = new Array(ids.length).fill(null);
+    const { errors } = await TasksPool.map(
+      ids,
+      async (id, index) => {
+        docs[index] = await this.resource.get(id);
+      },
+      { concurrency: this.concurrency }
+    );
+
+    // Records deleted between LIST and GET are skipped
+    const failure = errors.find(({ error }) => !isNotFoundError(error));
+    if (failure) throw failure.error;
+
+    return docs;
+  }
+
+  private _decodeCursor(cursor: string): string | null {
+    let state: Partial<CursorState> | null = null;
+    try {
+      state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      state = null;
+    }
+
+    if (!state || state.v !== 1 || typeof state.p !== 'string') {
+      throw new ValidationError('Invalid iteration cursor', {
+        field: 'cursor',
+        value: cursor,
+        constraint: 'iterate',
+        suggestion: 'Pass the `cursor` value of a previous iterator unchanged.'
+      });
+    }
+    if (state.r !== this.resource.name || state.p !== this.prefix) {
+      throw new ValidationError('Cursor belongs to a different scan', {
+        field: 'cursor',
+        value: cursor,
+        constraint: 'iterate',
+        suggestion: `Resume with the same resource and partition options. Cursor scans '${state.p}', this iterator scans '${this.prefix}'.`
+      });
+    }
+
+    return state.a ?? null;
+  }
+}
+
+export default ResourceIterator;
@@ -1,5 +1,6 @@
-import EventEmitter from "events";
+import EventEmitter, { once } from "events";
 import { Transform, TransformCallback } from "node:stream";
+import type { ReadableStreamDefaultReader } from "node:stream/web";
 
 import { ResourceIdsPageReader } from "./resource-ids-page-reader.class.js";
 import { TasksPool } from '../tasks/tasks-pool.class.js';
@@ -22,6 +23,8 @@ interface ResourceReaderOptions {
   resource: Resource;
   batchSize?: number;
   concurrency?: number;
+  /** Key prefix to read from; defaults to the resource data. */
+  prefix?: string;
 }
 
 export class ResourceReader extends EventEmitter {
@@ -31,8 +34,10 @@ export class ResourceReader extends EventEmitter {
   concurrency: number;
   input: ResourceIdsPageReader;
   transform: Transform;
+  private _pages: ReadableStreamDefaultReader<string | string[]>;
+  private _stopped = false;
 
-  constructor({ resource, batchSize = 10, concurrency = 5 }: ResourceReaderOptions) {
+  constructor({ resource, batchSize = 10, concurrency = 5, prefix }: ResourceReaderOptions) {
     super();
 
     if (!resource) {
@@ -48,25 +53,14 @@ export class ResourceReader extends EventEmitter {
     this.batchSize = batchSize;
     this.concurrency = concurrency;
 
-    this.input = new ResourceIdsPageReader({ resource: this.resource as any });
+    this.input = new ResourceIdsPageReader({ resource: this.resource as any, prefix });
+    this._pages = this.input.build();
 
     this.transform = new Transform({
       objectMode: true,
       transform: this._transform.bind(this)
     });
 
-    this.input.on('data', (chunk: string[]) => {
-      this.transform.write(chunk);
-    });
-
-    this.input.on('end', () => {
-      this.transform.end();
-    });
-
-    this.input.on('error', (error: Error) => {
-      this.emit('error', error);
-    });
-
     this.transform.on('data', (data: Record<string, unknown>) => {
       this.emit('data', data);
     });
@@ -78,26 +72,56 @@ export class ResourceReader extends EventEmitter {
     this.transform.on('error', (error: Error) => {
       this.emit('error', error);
     });
+
+    this._pump().catch((error: Error) => {
+      // Transform failures were already emitted by its error listener
+      if (this.transform.destroyed) return;
+      this.emit('error', error);
+      this.transform.end();
+    });
   }
 
   build(): this {
     return this;
   }
 
+  // Pages are only listed as fast as the transform fetches them
+  private async _pump(): Promise<void> {
+    while (!this._stopped) {
+      const { value, done } = await this._pages.read();
+      if (done) break;
+      const ids = Array.isArray(value) ? value : [value];
+      if (!this.transform.write(ids)) {
+        await once(this.transform, 'drain');
+      }
+    }
+    this.transform.end();
+  }
+
+  /** Stop listing; objects already being fetched are still emitted before `end`. */
+  stop(): void {
+    if (this._stopped) return;
+    this._stopped = true;
+    this._pages.cancel().catch(() => {});
+  }
+
   async _transform(chunk: string[], _encoding: BufferEncoding, callback: TransformCallback): Promise<void> {
     const [, err] = await tryFn(async () => {
-      await TasksPool.map(
-        chunk,
-        async (id) => {
-          const data = await this.resource.get(id);
-          this.transform.push(data);
-          return data;
-        },
-        {
-          concurrency: this.concurrency,
-          onItemError: (error, id) => this.emit("error", error, id)
-        }
-      );
+      // Fetch in batches so stop() takes effect within a listed page
+      for (let i = 0; i < chunk.length && !this._stopped; i += this.batchSize) {
+        await TasksPool.map(
+          chunk.slice(i, i + this.batchSize),
+          async (id) => {
+            const data = await this.resource.get(id);
+            this.transform.push(data);
+            return data;
+          },
+          {
+            concurrency: this.concurrency,
+            onItemError: (error, id) => this.emit("error", error, id)
+          }
+        );
+      }
     });
     callback(err as Error | null | undefined);
   }
@@ -2,7 +2,7 @@ import { merge, isString } from 'lodash-es';
 import * as FastestValidatorModule from 'fastest-validator';
 import type { ValidationRuleObject, ValidatorConstructorOptions } from 'fastest-validator';
 
-import { decrypt, encrypt } from './concerns/crypto.js';
+import { decryptSecret, encryptSecret } from './concerns/keyring.js';
 import {
   compactHash,
   hashPassword,
@@ -39,24 +39,22 @@ async function secretHandler(
 ): Promise<unknown> {
   const secretValue = String(actual);
 
-  if (this.security?.passphrase) {
-    const [okDecrypt] = await tryFn(() => decrypt(secretValue, this.security.passphrase!));
-    if (okDecrypt) {
-      return actual;
-    }
-  }
-
-  if (!this.security?.passphrase) {
+  if (!this.security?.passphrase && !this.security?.keyring) {
     errors.push(new ValidationError('Missing configuration for secrets encryption.', {
       actual,
       field,
       type: 'encryptionKeyMissing',
-      suggestion: 'Provide a passphrase for secret encryption.'
+      suggestion: 'Provide a passphrase or keyring for secret encryption.'
     }));
     return actual;
   }
 
-  const [ok, err, res] = await tryFn(() => encrypt(secretValue, this.security.passphrase!));
+  const [okDecrypt] = await tryFn(() => decryptSecret(secretValue, this.security));
+  if (okDecrypt) {
+    return actual;
+  }
+
+  const [ok, err, res] = await tryFn(() => encryptSecret(secretValue, this.security));
   if (ok) return res;
   errors.push(new ValidationError('Problem encrypting secret.', {
     actual,
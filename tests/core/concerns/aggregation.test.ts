@@ -0,0 +1,98 @@
+import { aggregateDocuments, createAggregation } from '../../../src/concerns/aggregation.js';
+
+describe('Aggregation Pipeline', () => {
+  const orders = [
+    { id: 'o1', status: 'paid', amount: 10, region: 'eu', customer: 'ana' },
+    { id: 'o2', status: 'paid', amount: 30, region: 'us', customer: 'bia' },
+    { id: 'o3', status: 'open', amount: 5, region: 'eu', customer: 'ana' },
+    { id: 'o4', status: 'paid', amount: 20, region: 'eu', customer: 'caio' },
+    { id: 'o5', status: 'void', region: 'us', customer: null },
+    { id: 'o6', status: 'open', amount: 15, region: 'us', customer: 'bia' }
+  ];
+
+  test('should group with sum, avg, min, max and count', () => {
+    const rows = aggregateDocuments(orders, [
+      { $match: { status: { $ne: 'void' } } },
+      {
+        $group: {
+          _id: '$status',
+          total: { $sum: '$amount' },
+          orders: { $sum: 1 },
+          average: { $avg: '$amount' },
+          smallest: { $min: '$amount' },
+          largest: { $max: '$amount' },
+          count: { $count: {} }
+        }
+      },
+      { $sort: { total: -1 } }
+    ]);
+
+    expect(rows).toEqual([
+      { _id: 'paid', total: 60, orders: 3, average: 20, smallest: 10, largest: 30, count: 3 },
+      { _id: 'open', total: 20, orders: 2, average: 10, smallest: 5, largest: 15, count: 2 }
+    ]);
+  });
+
+  test('should collect distinct values and group by composite or null keys', () => {
+    const byRegion = aggregateDocuments(orders, [
+      { $group: { _id: { region: '$region', status: '$status' }, customers: { $distinct: '$customer' } } },
+      { $sort: { '_id.region': 1, '_id.status': 1 } },
+      { $limit: 2 }
+    ]);
+    expect(byRegion).toEqual([
+      { _id: { region: 'eu', status: 'open' }, customers: ['ana'] },
+      { _id: { region: 'eu', status: 'paid' }, customers: ['ana', 'caio'] }
+    ]);
+
+    const [all] = aggregateDocuments(orders, [
+      { $group: { _id: null, customers: { $distinct: '$customer' }, average: { $avg: '$missing' } } }
+    ]);
+    expect(all).toEqual({ _id: null, customers: [null, 'ana', 'bia', 'caio'], average: null });
+  });
+
+  test('should compute nearest-rank percentiles and sample large groups', () => {
+    const latencies = Array.from({ length: 100 }, (_, i) => ({ ms: i + 1 }));
+
+    const [exact] = aggregateDocuments(latencies, [
+      { $group: { _id: null, p: { $percentile: { input: '$ms', p: [0, 0.5, 0.95, 1] } } } }
+    ]);
+    expect(exact.p).toEqual([1, 50, 95, 100]);
+
+    const [sampled] = aggregateDocuments(latencies, [
+      { $group: { _id: null, median: { $percentile: { input: '$ms', p: 0.5, maxSamples: 10 } } } }
+    ]);
+    expect(sampled.median).toBeGreaterThanOrEqual(1);
+    expect(sampled.median).toBeLessThanOrEqual(100);
+  });
+
+  test('should stop reading once a leading $limit is satisfied', () => {
+    const aggregation = createAggregation([
+      { $match: { status: 'paid' } },
+      { $limit: 2 },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    const accepted = orders.map(order => aggregation.push(order));
+
+    expect(accepted).toEqual([true, false, false, false, false, false]);
+    expect(aggregation.finish()).toEqual([{ _id: null, total: 40 }]);
+  });
+
+  test('should keep only the top documents for $sort followed by $limit', () => {
+    const many = Array.from({ length: 50 }, (_, i) => ({ n: (i * 37) % 50 }));
+    const rows = aggregateDocuments(many, [{ $sort: { n: -1 } }, { $limit: 3 }]);
+    expect(rows.map(row => row.n)).toEqual([49, 48, 47]);
+  });
+
+  test('should reject malformed pipelines before reading documents', () => {
+    expect(() => createAggregation({} as any)).toThrow(/must be an array/);
+    expect(() => createAggregation([{ $project: {} } as any])).toThrow(/Invalid aggregation stage at position 0/);
+    expect(() => createAggregation([{ $limit: 0 }])).toThrow(/positive integer/);
+    expect(() => createAggregation([{ $sort: { a: 2 as any } }])).toThrow(/Invalid sort direction/);
+    expect(() => createAggregation([{ $group: { total: { $sum: 1 } } as any }])).toThrow(/_id/);
+    expect(() => createAggregation([{ $group: { _id: null, x: { $median: '$a' } as any } }])).toThrow(/Invalid accumulator/);
+    expect(() => createAggregation([{ $group: { _id: null, x: { $percentile: { input: '$a', p: 95 } } } }]))
+      .toThrow(/p in \[0, 1\]/);
+    expect(() => createAggregation([{ $match: { a: { $nope: 1 } } }])).toThrow(/Unknown query operator/);
+  });
+});
@@ -0,0 +1,69 @@
+import { compareValues } from '../../../src/concerns/query-filter.js';
+import { decodeIndexValue, encodeIndexValue, indexTypeTag } from '../../../src/concerns/index-key.js';
+
+const binaryCompare = (a: string, b: string) => (a < b ? -1 : a > b ? 1 : 0);
+
+describe('Index Key Encoding', () => {
+  const values = [
+    null,
+    -Infinity,
+    -1e9,
+    -2.5,
+    -1,
+    0,
+    0.001,
+    1,
+    2,
+    10,
+    1e12,
+    Infinity,
+    '',
+    'a',
+    'a-b',
+    'a/b',
+    'ab',
+    'abc',
+    'b',
+    'Zoë',
+    'ação',
+    false,
+    true
+  ];
+
+  test('should sort ascending keys like compareValues', () => {
+    const byKey = [...values].sort((a, b) => binaryCompare(encodeIndexValue(a), encodeIndexValue(b)));
+    const byValue = [...values].sort(compareValues);
+    expect(byKey).toEqual(byValue);
+  });
+
+  test('should reverse the order for descending keys, including string prefixes', () => {
+    const byKey = [...values].sort((a, b) => binaryCompare(encodeIndexValue(a, 'desc'), encodeIndexValue(b, 'desc')));
+    const byValue = [...values].sort((a, b) => compareValues(b, a));
+    expect(byKey).toEqual(byValue);
+  });
+
+  test('should keep composite keys ordered field by field', () => {
+    const rows = [['a', 2], ['ab', 1], ['a', 10]];
+    const keys = rows.map(row => row.map(v => encodeIndexValue(v)).join('/'));
+    expect([...keys].sort()).toEqual([keys[0], keys[2], keys[1]]);
+  });
+
+  test('should round-trip values in both orders', () => {
+    for (const value of values) {
+      expect(decodeIndexValue(encodeIndexValue(value))).toEqual(value);
+      expect(decodeIndexValue(encodeIndexValue(value, 'desc'), 'desc')).toEqual(value);
+    }
+    expect(decodeIndexValue(encodeIndexValue(-0))).toBe(0);
+  });
+
+  test('should encode dates as ISO strings and never emit key separators', () => {
+    const date = new Date('2024-05-01T10:00:00.000Z');
+    expect(encodeIndexValue(date)).toBe(encodeIndexValue('2024-05-01T10:00:00.000Z'));
+    expect(indexTypeTag(date)).toBe(indexTypeTag('x'));
+
+    for (const value of values) {
+      expect(encodeIndexValue(value)).not.toMatch(/[/=%\\]/);
+      expect(encodeIndexValue(value, 'desc')).not.toMatch(/[/=%\\]/);
+    }
+  });
+});
@@ -0,0 +1,157 @@
+import {
+  compileFilter,
+  matchesFilter,
+  getPathValue,
+  extractEqualityValues,
+  extractRangeBounds,
+  sortDocuments,
+  projectDocument
+} from '../../../src/concerns/query-filter.js';
+import { ValidationError } from '../../../src/errors.js';
+
+describe('Query Filter', () => {
+  const doc = {
+    id: 'o1',
+    status: 'paid',
+    amount: 120,
+    createdAt: '2024-03-10T12:00:00.000Z',
+    tags: ['vip', 'promo'],
+    customer: { name: 'Ana', address: { city: 'Recife' } },
+    items: [
+      { sku: 'A-1', qty: 2 },
+      { sku: 'B-7', qty: 1 }
+    ]
+  };
+
+  describe('field operators', () => {
+    test('should match literal equality and $eq/$ne', () => {
+      expect(matchesFilter(doc, { status: 'paid' })).toBe(true);
+      expect(matchesFilter(doc, { status: { $eq: 'paid' } })).toBe(true);
+      expect(matchesFilter(doc, { status: { $ne: 'paid' } })).toBe(false);
+      expect(matchesFilter(doc, { status: 'pending' })).toBe(false);
+    });
+
+    test('should compare ranges on numbers, strings and dates', () => {
+      expect(matchesFilter(doc, { amount: { $gt: 100, $lte: 120 } })).toBe(true);
+      expect(matchesFilter(doc, { amount: { $lt: 100 } })).toBe(false);
+      expect(matchesFilter(doc, { createdAt: { $gte: '2024-03-01' } })).toBe(true);
+      expect(matchesFilter(doc, { createdAt: { $lt: new Date('2024-03-01T00:00:00Z') } })).toBe(false);
+    });
+
+    test('should not range-compare values of different types', () => {
+      expect(matchesFilter(doc, { amount: { $gt: '1' } })).toBe(false);
+      expect(matchesFilter(doc, { missing: { $lt: 10 } })).toBe(false);
+    });
+
+    test('should support $in, $nin and array containment', () => {
+      expect(matchesFilter(doc, { status: { $in: ['paid', 'refunded'] } })).toBe(true);
+      expect(matchesFilter(doc, { status: { $nin: ['paid'] } })).toBe(false);
+      expect(matchesFilter(doc, { tags: 'vip' })).toBe(true);
+      expect(matchesFilter(doc, { tags: { $in: ['other', 'promo'] } })).toBe(true);
+      expect(matchesFilter(doc, { tags: ['vip', 'promo'] })).toBe(true);
+    });
+
+    test('should support $exists, $regex, $size and field-level $not', () => {
+      expect(matchesFilter(doc, { deletedAt: { $exists: false } })).toBe(true);
+      expect(matchesFilter(doc, { amount: { $exists: true } })).toBe(true);
+      expect(matchesFilter(doc, { 'customer.name': { $regex: '^an', $options: 'i' } })).toBe(true);
+      expect(matchesFilter(doc, { 'customer.name': /^Bo/ })).toBe(false);
+      expect(matchesFilter(doc, { tags: { $size: 2 } })).toBe(true);
+      expect(matchesFilter(doc, { amount: { $not: { $gt: 200 } } })).toBe(true);
+    });
+  });
+
+  describe('paths and arrays', () => {
+    test('should resolve dot-paths into nested objects and arrays', () => {
+      expect(getPathValue(doc, 'customer.address.city')).toBe('Recife');
+      expect(getPathValue(doc, 'items.1.sku')).toBe('B-7');
+      expect(getPathValue(doc, 'items.sku')).toEqual(['A-1', 'B-7']);
+      expect(matchesFilter(doc, { 'customer.address.city': 'Recife' })).toBe(true);
+      expect(matchesFilter(doc, { 'items.sku': 'B-7' })).toBe(true);
+    });
+
+    test('should match $elemMatch against a single array element', () => {
+      expect(matchesFilter(doc, { items: { $elemMatch: { sku: 'A-1', qty: { $gte: 2 } } } })).toBe(true);
+      expect(matchesFilter(doc, { items: { $elemMatch: { sku: 'B-7', qty: { $gte: 2 } } } })).toBe(false);
+      expect(matchesFilter({ scores: [3, 9] }, { scores: { $elemMatch: { $gt: 5, $lt: 10 } } })).toBe(true);
+    });
+  });
+
+  describe('logical operators', () => {
+    test('should combine $and, $or, $nor and $not', () => {
+      expect(matchesFilter(doc, { $or: [{ status: 'pending' }, { amount: { $gt: 100 } }] })).toBe(true);
+      expect(matchesFilter(doc, { $and: [{ status: 'paid' }, { tags: 'missing' }] })).toBe(false);
+      expect(matchesFilter(doc, { $nor: [{ status: 'pending' }, { status: 'failed' }] })).toBe(true);
+      expect(matchesFilter(doc, { $not: { status: 'paid' } })).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject unknown operators before evaluating', () => {
+      expect(() => compileFilter({ amount: { $between: [1, 2] } })).toThrow(ValidationError);
+      expect(() => compileFilter({ $xor: [] })).toThrow(/Unknown top-level query operator/);
+      expect(() => compileFilter({ status: { $in: 'paid' } })).toThrow(/requires an array/);
+      expect(() => compileFilter({ amount: { $gt: 1, value: 2 } })).toThrow(/Cannot mix/);
+    });
+  });
+
+  describe('planner helpers', () => {
+    test('should extract fields pinned to a single value', () => {
+      expect(extractEqualityValues({
+        status: 'paid',
+        region: { $in: ['br'] },
+        country: { $eq: 'BR' },
+        amount: { $gt: 10 },
+        tags: { $in: ['a', 'b'] },
+        $and: [{ channel: 'web' }]
+      })).toEqual({ status: 'paid', region: 'br', country: 'BR', channel: 'web' });
+    });
+
+    test('should extract and tighten string range bounds', () => {
+      expect(extractRangeBounds({
+        createdAt: { $gte: '2024-01-01', $lt: new Date('2024-02-01T00:00:00.000Z') },
+        amount: { $gt: 10 },
+        $and: [{ createdAt: { $gt: '2024-01-15' } }]
+      })).toEqual({
+        createdAt: {
+          lower: { value: '2024-01-15', inclusive: false },
+          upper: { value: '2024-02-01T00:00:00.000Z', inclusive: false }
+        }
+      });
+    });
+  });
+
+  describe('sort and projection', () => {
+    test('should sort by multiple fields with stable ordering', () => {
+      const rows = [
+        { id: 'a', group: 2, name: 'x' },
+        { id: 'b', group: 1, name: 'z' },
+        { id: 'c', group: 1, name: 'y' },
+        { id: 'd', name: 'w' }
+      ];
+      expect(sortDocuments(rows, { group: 1, name: 'desc' }).map(r => r.id)).toEqual(['d', 'b', 'c', 'a']);
+      expect(sortDocuments(rows, { group: -1 }).map(r => r.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('should project inclusion and exclusion fields', () => {
+      expect(projectDocument(doc, ['status', 'customer.address.city'])).toEqual({
+        id: 'o1',
+        status: 'paid',
+        customer: { address: { city: 'Recife' } }
+      });
+
+      const excluded = projectDocument(doc, { items: 0, 'customer.address': 0 });
+      expect(excluded.items).toBeUndefined();
+      expect(excluded.customer).toEqual({ name: 'Ana' });
+      expect(doc.customer.address.city).toBe('Recife');
+    });
+
+    test('should reject projection paths that reach the prototype', () => {
+      for (const path of ['__proto__.polluted', 'customer.constructor.prototype.polluted', 'prototype']) {
+        expect(() => projectDocument(doc, [path])).toThrow(ValidationError);
+        expect(() => projectDocument(doc, { [path]: 0 })).toThrow(ValidationError);
+      }
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+});
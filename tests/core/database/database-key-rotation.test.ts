@@ -0,0 +1,187 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { createDatabaseForTest } from '#tests/config.js';
+import { Keyring, LocalFileKms, LEGACY_KEY_ID } from '../../../src/concerns/keyring.js';
+import { encrypt } from '../../../src/concerns/crypto.js';
+import { CryptoError } from '../../../src/errors.js';
+
+describe('Database Key Rotation - Envelope Encryption', () => {
+  let dir;
+  let kms;
+  let keyring;
+  let database;
+  let users;
+
+  const storedSecret = async (id) => {
+    const key = users.getResourceKey(id);
+    const { Metadata } = await database.client.headObject(key);
+    return Metadata[users.schema.map.token];
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 's3db-kms-'));
+    kms = new LocalFileKms({ path: join(dir, 'keys.json') });
+    await kms.createKey('k1');
+    await kms.createKey('k2');
+    keyring = new Keyring({ kms, activeKey: 'k1' });
+
+    database = createDatabaseForTest('suite=database/key-rotation', {
+      security: { passphrase: 'legacy-pass', keyring }
+    });
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        token: 'secret|optional'
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('keyring ciphertexts carry the key id and use a fresh data key per value', async () => {
+    const a = await keyring.encrypt('same');
+    const b = await keyring.encrypt('same');
+
+    expect(Keyring.isEnvelope(a)).toBe(true);
+    expect(Keyring.keyIdOf(a)).toBe('k1');
+    expect(a.split('$')[3]).not.toBe(b.split('$')[3]);
+    expect(await keyring.decrypt(a)).toBe('same');
+
+    const rewrapped = await keyring.rewrap(a, 'k2');
+    expect(Keyring.keyIdOf(rewrapped)).toBe('k2');
+    expect(rewrapped.split('$').pop()).toBe(a.split('$').pop());
+    expect(await keyring.decrypt(rewrapped)).toBe('same');
+
+    expect(Keyring.keyIdOf(await encrypt('x', 'legacy-pass'))).toBe(LEGACY_KEY_ID);
+    await expect(keyring.encrypt('x', 'missing')).rejects.toThrow(/Master key 'missing' not found/);
+  });
+
+  test('local file KMS persists master keys for other processes', async () => {
+    const file = JSON.parse(await readFile(kms.path, 'utf8'));
+    expect(Object.keys(file.keys).sort()).toEqual(['k1', 'k2']);
+
+    const other = new Keyring({ kms: new LocalFileKms({ path: kms.path }), activeKey: 'k1' });
+    expect(await other.decrypt(await keyring.encrypt('shared'))).toBe('shared');
+  });
+
+  test('secret fields are stored as envelopes and read back', async () => {
+    await users.insert({ id: 'u1', name: 'Ana', token: 'tok-1' });
+
+    const stored = await storedSecret('u1');
+    expect(Keyring.keyIdOf(stored)).toBe('k1');
+    expect((await users.get('u1')).token).toBe('tok-1');
+
+    await users.update('u1', { name: 'Ana Maria' });
+    expect(await storedSecret('u1')).toBe(stored);
+
+    await users.update('u1', { token: 'tok-2' });
+    expect(await storedSecret('u1')).not.toBe(stored);
+    expect((await users.get('u1')).token).toBe('tok-2');
+  });
+
+  test('rotateEncryptionKey moves records to the new key with progress', async () => {
+    for (let i = 0; i < 5; i++) {
+      await users.insert({ id: `u${i}`, name: `User ${i}`, token: `tok-${i}` });
+    }
+    await users.insert({ id: 'empty', name: 'No token' });
+
+    const progress = [];
+    const events = [];
+    database.on('db:key-rotation-progress', (p) => events.push(p));
+
+    const rotation = await database.rotateEncryptionKey({
+      from: 'k1',
+      to: 'k2',
+      batchSize: 2,
+      onProgress: (p) => progress.push(p)
+    });
+    expect(keyring.activeKey).toBe('k2');
+
+    const result = await rotation.done;
+    // An omitted secret is still stored as a ciphertext, so that record moves too
+    expect(result).toMatchObject({ status: 'completed', processed: 6, rotated: 6, skipped: 0, failed: 0, resourcesDone: 1 });
+    expect(progress.map(p => p.processed)).toEqual([2, 4, 6]);
+    expect(events).toHaveLength(3);
+
+    for (let i = 0; i < 5; i++) {
+      expect(Keyring.keyIdOf(await storedSecret(`u${i}`))).toBe('k2');
+      expect((await users.get(`u${i}`)).token).toBe(`tok-${i}`);
+    }
+
+    // Nothing left under k1
+    const again = await (await database.rotateEncryptionKey({ from: 'k1', to: 'k2' })).done;
+    expect(again.rotated).toBe(0);
+  });
+
+  test('rotation rewrites only ciphertexts and retries when another writer wins', async () => {
+    await users.insert({ id: 'u1', name: 'Ana', token: 'tok-1' });
+    const updated = vi.fn();
+    users.on('updated', updated);
+
+    const putObject = database.client.putObject.bind(database.client);
+    let raced = false;
+    const putSpy = vi.spyOn(database.client, 'putObject').mockImplementation(async (params) => {
+      if (params.ifMatch && !raced) {
+        raced = true;
+        await users.update('u1', { name: 'Ana Maria' });
+        throw Object.assign(new Error('Precondition failed'), { code: 'PreconditionFailed', statusCode: 412 });
+      }
+      return putObject(params);
+    });
+
+    const result = await (await database.rotateEncryptionKey({ to: 'k2' })).done;
+    putSpy.mockRestore();
+
+    expect(result).toMatchObject({ rotated: 1, failed: 0 });
+    expect(Keyring.keyIdOf(await storedSecret('u1'))).toBe('k2');
+    expect(await users.get('u1')).toMatchObject({ name: 'Ana Maria', token: 'tok-1' });
+    // Only the concurrent update went through the update pipeline
+    expect(updated).toHaveBeenCalledTimes(1);
+  });
+
+  test('migrates values written with the passphrase before the keyring existed', async () => {
+    const legacy = createDatabaseForTest('suite=database/key-rotation-legacy', {
+      security: { passphrase: 'legacy-pass' }
+    });
+    await legacy.connect();
+    const legacyUsers = await legacy.createResource({
+      name: 'users',
+      attributes: { id: 'string|optional', name: 'string|required', token: 'secret|optional' }
+    });
+    await legacyUsers.insert({ id: 'old', name: 'Old', token: 'old-token' });
+    const legacyValue = (await legacy.client.headObject(legacyUsers.getResourceKey('old'))).Metadata[legacyUsers.schema.map.token];
+    await legacy.disconnect();
+
+    await database.client.putObject({
+      key: users.getResourceKey('old'),
+      metadata: { ...(await users.schema.mapper({ name: 'Old' })), [users.schema.map.token]: legacyValue, _v: String(users.version) },
+      body: ''
+    });
+    expect((await users.get('old')).token).toBe('old-token');
+
+    const result = await (await database.rotateEncryptionKey({ from: LEGACY_KEY_ID, to: 'k2' })).done;
+    expect(result.rotated).toBe(1);
+    expect(Keyring.keyIdOf(await storedSecret('old'))).toBe('k2');
+    expect((await users.get('old')).token).toBe('old-token');
+  });
+
+  test('rejects unknown keys and resources without a keyring before writing', async () => {
+    await expect(database.rotateEncryptionKey({ to: 'k9' })).rejects.toThrow(CryptoError);
+    expect(keyring.activeKey).toBe('k1');
+
+    const plain = createDatabaseForTest('suite=database/key-rotation-plain', { security: { passphrase: 'p' } });
+    await plain.connect();
+    await plain.createResource({ name: 'vault', attributes: { id: 'string|optional', key: 'secret' } });
+    await expect(plain.rotateEncryptionKey({ to: 'k2' })).rejects.toThrow(/no keyring/);
+    await plain.disconnect();
+  });
+});
@@ -0,0 +1,248 @@
+import { createDatabaseForTest } from '#tests/config.js';
+import { TransactionConflictError, TransactionError } from '../../../src/errors.js';
+import { transactionIntentKey } from '../../../src/database/transaction.class.js';
+
+describe('Database Transactions - Real Integration Tests', () => {
+  let database;
+  let users;
+  let orders;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=database/transactions');
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        balance: 'number|required'
+      }
+    });
+    orders = await database.createResource({
+      name: 'orders',
+      attributes: {
+        id: 'string|optional',
+        userId: 'string|required',
+        total: 'number|required'
+      }
+    });
+
+    await users.insert({ id: 'u1', name: 'Ana', balance: 100 });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  const intentKeys = () => database.client.getAllKeys({ prefix: 'transactions/' });
+
+  test('should commit staged writes across resources and read its own writes', async () => {
+    const committed = vi.fn();
+    database.on('db:transaction-committed', committed);
+
+    const orderId = await database.transaction(async (tx) => {
+      const user = await tx.users.get('u1');
+      await tx.users.update('u1', { balance: user.balance - 30 });
+      const order = await tx.orders.insert({ userId: 'u1', total: 30 });
+
+      // Staged, not yet written
+      expect((await tx.users.get('u1')).balance).toBe(70);
+      expect(await tx.orders.exists(order.id)).toBe(true);
+      expect(await orders.exists(order.id)).toBe(false);
+      return order.id;
+    });
+
+    expect((await users.get('u1')).balance).toBe(70);
+    expect(await orders.get(orderId)).toMatchObject({ userId: 'u1', total: 30 });
+    expect(await intentKeys()).toEqual([]);
+    expect(committed).toHaveBeenCalledWith(expect.objectContaining({ operations: 2 }));
+  });
+
+  test('should fail with a conflict and apply nothing when a record read changed', async () => {
+    const attempt = database.transaction(async (tx) => {
+      const user = await tx.users.get('u1');
+      await tx.orders.insert({ id: 'o1', userId: 'u1', total: 10 });
+      await tx.users.update('u1', { balance: user.balance - 10 });
+
+      await users.update('u1', { balance: 5 });
+    });
+
+    await expect(attempt).rejects.toBeInstanceOf(TransactionConflictError);
+    await expect(attempt).rejects.toMatchObject({ statusCode: 409, retriable: true });
+    expect(await orders.exists('o1')).toBe(false);
+    expect((await users.get('u1')).balance).toBe(5);
+  });
+
+  test('should roll back applied writes when a later conditional write fails', async () => {
+    const spy = vi.spyOn(users, 'updateConditional').mockResolvedValueOnce({ success: false, error: 'ETag mismatch' });
+
+    await expect(database.transaction(async (tx) => {
+      await tx.orders.insert({ id: 'o1', userId: 'u1', total: 10 });
+      await tx.users.update('u1', { balance: 90 });
+    })).rejects.toThrow(/conflicts on users\/u1/);
+
+    spy.mockRestore();
+    expect(await orders.exists('o1')).toBe(false);
+    expect((await users.get('u1')).balance).toBe(100);
+    expect(await intentKeys()).toEqual([]);
+  });
+
+  test('should re-run the callback on conflict when retries are allowed', async () => {
+    let runs = 0;
+    await database.transaction(async (tx) => {
+      runs++;
+      const user = await tx.users.get('u1');
+      if (runs === 1) await users.update('u1', { balance: 50 });
+      await tx.users.update('u1', { balance: user.balance + 1 });
+    }, { retries: 2 });
+
+    expect(runs).toBe(2);
+    expect((await users.get('u1')).balance).toBe(51);
+  });
+
+  test('should validate staged writes and refuse use after the callback', async () => {
+    let leaked;
+    await expect(database.transaction(async (tx) => {
+      leaked = tx;
+      await tx.orders.insert({ id: 'o1', total: 'lots' });
+    })).rejects.toThrow();
+    expect(await orders.exists('o1')).toBe(false);
+
+    await expect(leaked.users.get('u1')).rejects.toBeInstanceOf(TransactionError);
+    await expect(database.transaction(async (tx) => tx.missing.get('x'))).rejects.toThrow(/Resource 'missing' does not exist/);
+  });
+
+  test('should keep secret fields encrypted in the intent object', async () => {
+    const vault = await database.createResource({
+      name: 'vault',
+      attributes: {
+        id: 'string|optional',
+        owner: 'string|required',
+        apiKey: 'secret|required'
+      }
+    });
+    await vault.insert({ id: 'v1', owner: 'u1', apiKey: 'sk-old-value' });
+
+    const putObject = database.client.putObject.bind(database.client);
+    const intents = [];
+    const putSpy = vi.spyOn(database.client, 'putObject').mockImplementation(async (params) => {
+      if (params.key.startsWith('transactions/')) intents.push(params.body);
+      return putObject(params);
+    });
+
+    await database.transaction(async (tx) => {
+      await tx.vault.update('v1', { apiKey: 'sk-new-value' });
+      await tx.vault.insert({ id: 'v2', owner: 'u1', apiKey: 'sk-other-value' });
+    });
+    putSpy.mockRestore();
+
+    expect(intents).toHaveLength(1);
+    expect(intents[0]).not.toMatch(/sk-(old|new|other)-value/);
+    expect((await vault.get('v1')).apiKey).toBe('sk-new-value');
+    expect((await vault.get('v2')).apiKey).toBe('sk-other-value');
+  });
+
+  test('should replace a record deleted and inserted again in the same transaction', async () => {
+    const profiles = await database.createResource({
+      name: 'profiles',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        nickname: 'string|optional'
+      }
+    });
+    await profiles.insert({ id: 'p1', name: 'Ana', nickname: 'Aninha' });
+
+    await database.transaction(async (tx) => {
+      await tx.profiles.delete('p1');
+      await tx.profiles.insert({ id: 'p1', name: 'Bia' });
+    });
+
+    const profile = await profiles.get('p1');
+    expect(profile.name).toBe('Bia');
+    expect(profile.nickname).toBeUndefined();
+  });
+
+  test('should not roll back over a record another writer changed after the commit wrote it', async () => {
+    // Body-only records get an ETag per content, so the concurrent write is visible
+    const accounts = await database.createResource({
+      name: 'accounts',
+      behavior: 'body-only',
+      attributes: {
+        id: 'string|optional',
+        balance: 'number|required'
+      }
+    });
+    await accounts.insert({ id: 'a1', balance: 100 });
+
+    const aborted = vi.fn();
+    database.on('db:transaction-aborted', aborted);
+    const insertSpy = vi.spyOn(orders, 'insert').mockImplementationOnce(async () => {
+      await accounts.update('a1', { balance: 5 });
+      throw new Error('orders are down');
+    });
+
+    await expect(database.transaction(async (tx) => {
+      await tx.accounts.update('a1', { balance: 90 });
+      await tx.orders.insert({ id: 'o1', userId: 'u1', total: 10 });
+    })).rejects.toThrow('orders are down');
+    insertSpy.mockRestore();
+
+    expect((await accounts.get('a1')).balance).toBe(5);
+    expect(aborted).toHaveBeenCalledWith(expect.objectContaining({ rolledBack: 0, rollbackFailures: 1 }));
+    // The intent stays for recovery to report
+    expect(await intentKeys()).toHaveLength(1);
+  });
+
+  test('should roll an interrupted commit forward when no record changed', async () => {
+    const { _etag } = await users.get('u1');
+    await orders.insert({ id: 'o1', userId: 'u1', total: 40 });
+    await database.client.putObject({
+      key: transactionIntentKey('crashed1'),
+      contentType: 'application/json',
+      body: JSON.stringify({
+        id: 'crashed1',
+        status: 'pending',
+        createdAt: new Date(Date.now() - 120_000).toISOString(),
+        operations: [
+          { resource: 'orders', id: 'o1', type: 'insert', expectedEtag: null, data: { id: 'o1', userId: 'u1', total: 40 }, before: null },
+          { resource: 'users', id: 'u1', type: 'update', expectedEtag: _etag, data: { balance: 60 }, before: { id: 'u1', name: 'Ana', balance: 100 } }
+        ]
+      })
+    });
+
+    const recovered = await database.recoverTransactions();
+
+    expect(recovered).toEqual([{ transactionId: 'crashed1', action: 'rolled-forward' }]);
+    expect((await users.get('u1')).balance).toBe(60);
+    expect(await intentKeys()).toEqual([]);
+  });
+
+  test('should roll an interrupted commit back when a record changed since', async () => {
+    await orders.insert({ id: 'o2', userId: 'u1', total: 40 });
+    await database.client.putObject({
+      key: transactionIntentKey('crashed2'),
+      contentType: 'application/json',
+      body: JSON.stringify({
+        id: 'crashed2',
+        status: 'pending',
+        createdAt: new Date(Date.now() - 120_000).toISOString(),
+        operations: [
+          { resource: 'orders', id: 'o2', type: 'insert', expectedEtag: null, data: { id: 'o2', userId: 'u1', total: 40 }, before: null },
+          { resource: 'users', id: 'u1', type: 'update', expectedEtag: '"stale"', data: { balance: 60 }, before: { id: 'u1', name: 'Ana', balance: 100 } }
+        ]
+      })
+    });
+
+    // Younger intents may belong to a commit still running
+    expect(await database.recoverTransactions({ olderThanMs: 600_000 })).toEqual([]);
+
+    const recovered = await database.recoverTransactions();
+
+    expect(recovered).toEqual([{ transactionId: 'crashed2', action: 'rolled-back' }]);
+    expect(await orders.exists('o2')).toBe(false);
+    expect((await users.get('u1')).balance).toBe(100);
+    expect(await intentKeys()).toEqual([]);
+  });
+});
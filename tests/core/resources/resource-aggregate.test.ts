@@ -0,0 +1,110 @@
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('Resource Aggregate - Real Integration Tests', () => {
+  let database;
+  let orders;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/aggregate');
+    await database.connect();
+
+    orders = await database.createResource({
+      name: 'orders',
+      attributes: {
+        id: 'string|optional',
+        status: 'string|required',
+        region: 'string|required',
+        amount: 'number|required'
+      },
+      partitions: {
+        byRegion: { fields: { region: 'string' } },
+        byStatus: { fields: { status: 'string' } }
+      }
+    });
+
+    await orders.insertMany([
+      { id: 'o1', status: 'paid', region: 'eu', amount: 10 },
+      { id: 'o2', status: 'paid', region: 'us', amount: 30 },
+      { id: 'o3', status: 'open', region: 'eu', amount: 5 },
+      { id: 'o4', status: 'paid', region: 'eu', amount: 20 },
+      { id: 'o5', status: 'void', region: 'br', amount: 1 },
+      { id: 'o6', status: 'open', region: 'us', amount: 15 }
+    ]);
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('should group, sort and limit over every record', async () => {
+    const rows = await orders.aggregate([
+      { $group: { _id: '$status', total: { $sum: '$amount' }, count: { $count: {} } } },
+      { $sort: { total: -1 } },
+      { $limit: 2 }
+    ]);
+
+    expect(rows).toEqual([
+      { _id: 'paid', total: 60, count: 3 },
+      { _id: 'open', total: 20, count: 2 }
+    ]);
+  });
+
+  test('should read only the partition a leading $match selects', async () => {
+    const listSpy = vi.spyOn(orders.client, 'listObjects');
+
+    const rows = await orders.aggregate([
+      { $match: { status: 'paid' } },
+      { $group: { _id: '$region', total: { $sum: '$amount' }, regions: { $distinct: '$region' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    expect(rows).toEqual([
+      { _id: 'eu', total: 30, regions: ['eu'] },
+      { _id: 'us', total: 30, regions: ['us'] }
+    ]);
+    expect(listSpy.mock.calls.every(([params]) => params.prefix === 'resource=orders/partition=byStatus/status=paid/')).toBe(true);
+
+    listSpy.mockRestore();
+  });
+
+  test('should fan out over partition values in parallel', async () => {
+    const prefixes = await orders._aggregation.sourcePrefixes([], { partition: 'byRegion' });
+    expect(prefixes.sort()).toEqual([
+      'resource=orders/partition=byRegion/region=br/',
+      'resource=orders/partition=byRegion/region=eu/',
+      'resource=orders/partition=byRegion/region=us/'
+    ]);
+
+    const rows = await orders.aggregate([
+      { $group: { _id: '$region', average: { $avg: '$amount' }, top: { $max: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ], { partition: 'byRegion', concurrency: 3 });
+
+    expect(rows).toEqual([
+      { _id: 'br', average: 1, top: 1 },
+      { _id: 'eu', average: 35 / 3, top: 20 },
+      { _id: 'us', average: 22.5, top: 30 }
+    ]);
+
+    const single = await orders.aggregate([
+      { $group: { _id: null, amounts: { $percentile: { input: '$amount', p: [0.5, 1] } } } }
+    ], { partition: 'byRegion', partitionValues: { region: 'us' } });
+    expect(single).toEqual([{ _id: null, amounts: [15, 30] }]);
+  });
+
+  test('should stop fetching records once a leading $limit is reached', async () => {
+    const getSpy = vi.spyOn(orders, 'get');
+
+    const rows = await orders.aggregate([{ $limit: 2 }], { readConcurrency: 1 });
+
+    expect(rows).toHaveLength(2);
+    expect(getSpy.mock.calls.length).toBeLessThan(6);
+
+    getSpy.mockRestore();
+  });
+
+  test('should reject unknown partitions and invalid pipelines', async () => {
+    await expect(orders.aggregate([], { partition: 'nope' })).rejects.toThrow(/Partition 'nope' not found/);
+    await expect(orders.aggregate([{ $group: { _id: '$status', x: { $median: '$amount' } } }])).rejects.toThrow(/Invalid accumulator/);
+  });
+});
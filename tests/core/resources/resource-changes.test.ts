@@ -0,0 +1,147 @@
+import { createDatabaseForTest } from '#tests/config.js';
+import Resource from '../../../src/resource.class.js';
+import { SchemaActions } from '../../../src/schema.class.js';
+
+describe('Resource Change Feed - Real Integration Tests', () => {
+  let database;
+  let orders;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/changes');
+    await database.connect();
+
+    orders = await database.createResource({
+      name: 'orders',
+      changeFeed: true,
+      attributes: {
+        id: 'string|optional',
+        status: 'string|required',
+        total: 'number|required'
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  const collect = async (iterator) => {
+    const changes = [];
+    for await (const change of iterator) changes.push(change);
+    return changes;
+  };
+
+  test('should record inserts, update diffs and deletes in order', async () => {
+    await orders.insert({ id: 'o1', status: 'open', total: 10 });
+    await orders.update('o1', { status: 'paid' });
+    await orders.patch('o1', { total: 12 });
+    await orders.delete('o1');
+
+    const changes = await collect(orders.changes());
+
+    expect(changes.map(change => [change.seq, change.op])).toEqual([[1, 'insert'], [2, 'update'], [3, 'update'], [4, 'delete']]);
+    expect(changes[0].after).toEqual({ id: 'o1', status: 'open', total: 10 });
+    expect(changes[1]).toMatchObject({ id: 'o1', before: { status: 'open' }, after: { status: 'paid' } });
+    expect(changes[2]).toMatchObject({ before: { total: 10 }, after: { total: 12 } });
+    expect(changes[3]).toMatchObject({ before: { id: 'o1', status: 'paid', total: 12 }, after: null });
+    expect(await orders.latestChangeSequence()).toBe(4);
+  });
+
+  test('should store secret fields as ciphertext and leave passwords out', async () => {
+    const accounts = await database.createResource({
+      name: 'accounts',
+      changeFeed: true,
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        apiKey: 'secret|required',
+        password: 'password|optional'
+      }
+    });
+
+    await accounts.insert({ id: 'a1', name: 'Ana', apiKey: 'sk-live-111', password: 'hunter2-pass' });
+    await accounts.update('a1', { name: 'Ana Maria' });
+    await accounts.delete('a1');
+
+    for (let seq = 1; seq <= 3; seq++) {
+      const { Body } = await database.client.getObject(`resource=accounts/changes/seq=${String(seq).padStart(16, '0')}`);
+      const raw = Buffer.from(await Body.transformToByteArray()).toString();
+      expect(raw).not.toMatch(/sk-live|hunter2|password/);
+    }
+
+    const changes = await collect(accounts.changes());
+    expect(changes.map(change => change.op)).toEqual(['insert', 'update', 'delete']);
+    expect(await SchemaActions.decrypt(changes[0].after.apiKey, { security: accounts.schema.security })).toBe('sk-live-111');
+    expect(changes[0].after).not.toHaveProperty('password');
+    expect(changes[1].after).toEqual({ name: 'Ana Maria' });
+  });
+
+  test('should resume from a checkpoint without repeating or skipping changes', async () => {
+    for (let i = 0; i < 5; i++) {
+      await orders.insert({ id: `o${i}`, status: 'open', total: i });
+    }
+
+    const first = orders.changes();
+    const seen = [];
+    for await (const change of first) {
+      seen.push(change.id);
+      if (seen.length === 2) break;
+    }
+    expect(first.checkpoint).toBe(2);
+
+    await orders.update('o0', { total: 100 });
+    const rest = await collect(orders.changes({ since: first.checkpoint }));
+
+    expect(rest.map(change => change.seq)).toEqual([3, 4, 5, 6]);
+    expect(rest.at(-1)).toMatchObject({ op: 'update', id: 'o0', after: { total: 100 } });
+  });
+
+  test('should keep sequence numbers unique across writers in other processes', async () => {
+    // A second instance has its own append state, like another service would
+    const otherOrders = new Resource({
+      name: 'orders',
+      client: database.client,
+      changeFeed: true,
+      attributes: orders.attributes
+    });
+
+    await orders.insert({ id: 'a1', status: 'open', total: 1 });
+    await otherOrders.insert({ id: 'b1', status: 'open', total: 2 });
+    await orders.insert({ id: 'a2', status: 'open', total: 3 });
+    // otherOrders still expects seq 3 next and has to probe past 3 and 4
+    await orders.update('a1', { total: 10 });
+    await otherOrders.update('b1', { total: 20 });
+
+    const changes = await collect(orders.changes());
+    expect(changes.map(change => change.seq)).toEqual([1, 2, 3, 4, 5]);
+    expect(new Set(changes.map(change => `${change.op}:${change.id}`)).size).toBe(5);
+  });
+
+  test('should deliver new changes to a following iterator until closed', async () => {
+    const feed = orders.changes({ follow: true, pollIntervalMs: 20 });
+    const received = [];
+    const consumer = (async () => {
+      for await (const change of feed) {
+        received.push(change.id);
+        if (received.length === 2) feed.close();
+      }
+    })();
+
+    await orders.insert({ id: 'f1', status: 'open', total: 1 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await orders.insert({ id: 'f2', status: 'open', total: 2 });
+    await consumer;
+
+    expect(received).toEqual(['f1', 'f2']);
+    expect(feed.checkpoint).toBe(2);
+  });
+
+  test('should reject feeds on resources without changeFeed and bad checkpoints', async () => {
+    const plain = await database.createResource({ name: 'plain', attributes: { name: 'string' } });
+    await plain.insert({ id: 'p1', name: 'x' });
+
+    expect(() => plain.changes()).toThrow(/has no change feed/);
+    expect(() => orders.changes({ since: -1 })).toThrow(/non-negative integer/);
+    expect(await database.client.getAllKeys({ prefix: 'resource=plain/changes/' })).toEqual([]);
+  });
+});
@@ -0,0 +1,141 @@
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('Resource Secondary Indexes - Real Integration Tests', () => {
+  let database;
+  let users;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/indexes');
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        email: 'email|required',
+        name: 'string|required',
+        age: 'number|required',
+        joinedAt: 'string|required'
+      },
+      indexes: {
+        byEmail: { fields: ['email'], unique: true },
+        byAge: { fields: ['age'] },
+        byJoined: { fields: ['joinedAt'], order: 'desc' }
+      }
+    });
+
+    await users.insertMany([
+      { id: 'u1', email: 'ana@example.com', name: 'Ana', age: 31, joinedAt: '2024-01-01' },
+      { id: 'u2', email: 'bia@example.com', name: 'Bia', age: 9, joinedAt: '2024-01-05' },
+      { id: 'u3', email: 'caio@example.com', name: 'Caio', age: 100, joinedAt: '2024-01-03' },
+      { id: 'u4', email: 'duda@example.com', name: 'Duda', age: -4, joinedAt: '2024-01-02' },
+      { id: 'u5', email: 'eli@example.com', name: 'Eli', age: 31, joinedAt: '2024-01-04' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('should reject duplicate values on insert and update', async () => {
+    await expect(users.insert({ email: 'ana@example.com', name: 'Other', age: 20, joinedAt: '2024-02-01' }))
+      .rejects.toMatchObject({ name: 'InvalidResourceItem', data: { indexName: 'byEmail' } });
+
+    await expect(users.update('u2', { email: 'ana@example.com' }))
+      .rejects.toMatchObject({ data: { indexName: 'byEmail', validation: [{ type: 'unique', field: 'email' }] } });
+
+    const unchanged = await users.get('u2');
+    expect(unchanged.email).toBe('bia@example.com');
+  });
+
+  test('should release unique values when records change or are deleted', async () => {
+    await users.update('u1', { email: 'ana.new@example.com' });
+    const reused = await users.insert({ id: 'u6', email: 'ana@example.com', name: 'Ana 2', age: 40, joinedAt: '2024-02-01' });
+    expect(reused.id).toBe('u6');
+
+    await users.delete('u2');
+    await users.insert({ id: 'u7', email: 'bia@example.com', name: 'Bia 2', age: 12, joinedAt: '2024-02-02' });
+
+    const rows = await users.query({ email: 'bia@example.com' });
+    expect(rows.map(r => r.id)).toEqual(['u7']);
+  });
+
+  test('should keep the live claim when an insert with a duplicate id fails', async () => {
+    await expect(users.insert({ id: 'u1', email: 'ana@example.com', name: 'Ana Again', age: 31, joinedAt: '2024-01-01' }))
+      .rejects.toThrow();
+
+    await expect(users.insert({ id: 'u6', email: 'ana@example.com', name: 'Impostor', age: 20, joinedAt: '2024-02-01' }))
+      .rejects.toMatchObject({ name: 'InvalidResourceItem', data: { indexName: 'byEmail' } });
+
+    const rows = await users.query({ email: 'ana@example.com' });
+    expect(rows.map(r => r.id)).toEqual(['u1']);
+  });
+
+  test('should keep a unique value when the same record is updated', async () => {
+    const updated = await users.update('u1', { name: 'Ana Maria' });
+    expect(updated.email).toBe('ana@example.com');
+
+    const replaced = await users.replace('u1', { email: 'ana@example.com', name: 'Ana R', age: 32, joinedAt: '2024-01-01' });
+    expect(replaced.name).toBe('Ana R');
+  });
+
+  test('should answer numeric ranges from the index in value order', async () => {
+    const listSpy = vi.spyOn(users.client, 'listObjects');
+
+    const rows = await users.query({ age: { $gte: 9, $lt: 100 } }, { sort: { age: 1 } });
+
+    expect(rows.map(r => r.id)).toEqual(['u2', 'u1', 'u5']);
+    expect(listSpy.mock.calls[0][0].prefix).toBe('resource=users/index=byAge/');
+    expect(listSpy.mock.calls[0][0].startAfter).toMatch(/^resource=users\/index=byAge\//);
+
+    listSpy.mockRestore();
+  });
+
+  test('should serve a descending sort from a descending index and stop at the page', async () => {
+    const getSpy = vi.spyOn(users, 'get');
+
+    const rows = await users.query({ joinedAt: { $lte: '2024-01-04' } }, { sort: { joinedAt: -1 }, limit: 2, offset: 1 });
+
+    expect(rows.map(r => r.id)).toEqual(['u3', 'u4']);
+    expect(getSpy).toHaveBeenCalledTimes(3);
+
+    getSpy.mockRestore();
+  });
+
+  test('should explain index plans and keep index keys in sync on update', async () => {
+    const plan = await users.explain({ age: { $gt: 30 } }, { sort: { age: 1 }, limit: 1 });
+    expect(plan).toMatchObject({
+      strategy: 'index-range',
+      index: 'byAge',
+      partition: null,
+      sortCovered: true,
+      fullyCovered: true,
+      range: { field: 'age', lower: { value: 30, inclusive: false }, upper: null }
+    });
+    expect(plan.estimate).toMatchObject({ keys: 3, getRequests: 1 });
+
+    const scan = await users.explain({}, { sort: { joinedAt: -1 }, estimate: false });
+    expect(scan).toMatchObject({ strategy: 'index-scan', index: 'byJoined', sortCovered: true });
+
+    await users.update('u4', { age: 50 });
+    const rows = await users.query({ age: { $gt: 30 } }, { sort: { age: 1 } });
+    expect(rows.map(r => r.id)).toEqual(['u1', 'u5', 'u4', 'u3']);
+
+    const entries = await users.client.getAllKeys({ prefix: 'resource=users/index=byAge/' });
+    expect(entries.filter(key => key.endsWith('/id=u4'))).toHaveLength(1);
+  });
+
+  test('should reject indexes on missing or encrypted fields', async () => {
+    await expect(database.createResource({
+      name: 'broken',
+      attributes: { name: 'string' },
+      indexes: { byMissing: { fields: ['nope'] } }
+    })).rejects.toThrow(/does not exist/);
+
+    await expect(database.createResource({
+      name: 'broken2',
+      attributes: { token: 'secret' },
+      indexes: { byToken: { fields: ['token'] } }
+    })).rejects.toThrow(/cannot use field 'token'/);
+  });
+});
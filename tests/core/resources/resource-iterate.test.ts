@@ -0,0 +1,101 @@
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('Resource Iterate - Real Integration Tests', () => {
+  let database;
+  let events;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/iterate');
+    await database.connect();
+
+    events = await database.createResource({
+      name: 'events',
+      attributes: {
+        id: 'string|optional',
+        kind: 'string|required',
+        seq: 'number|required'
+      },
+      partitions: {
+        byKind: { fields: { kind: 'string' } }
+      }
+    });
+
+    await events.insertMany(Array.from({ length: 12 }, (_, i) => ({
+      id: `e${String(i).padStart(2, '0')}`,
+      kind: i % 3 === 0 ? 'click' : 'view',
+      seq: i
+    })));
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('should iterate every record in key order and clear the cursor at the end', async () => {
+    const iterator = events.iterate({ batchSize: 5 });
+    const ids = [];
+    for await (const doc of iterator) ids.push(doc.id);
+
+    expect(ids).toEqual(Array.from({ length: 12 }, (_, i) => `e${String(i).padStart(2, '0')}`));
+    expect(iterator.done).toBe(true);
+    expect(iterator.cursor).toBeNull();
+  });
+
+  test('should resume from a serialised cursor without repeating or skipping records', async () => {
+    const seen = [];
+    let cursor = null;
+
+    // Each "invocation" reads four records, then stores the cursor
+    for (let run = 0; run < 10; run++) {
+      const iterator = events.iterate({ batchSize: 3, cursor });
+      let read = 0;
+      for await (const doc of iterator) {
+        seen.push(doc.id);
+        if (++read === 4) break;
+      }
+      cursor = iterator.cursor;
+      if (cursor === null) break;
+      expect(typeof JSON.parse(JSON.stringify({ cursor })).cursor).toBe('string');
+    }
+
+    expect(seen).toHaveLength(12);
+    expect(new Set(seen).size).toBe(12);
+  });
+
+  test('should scan a partition and apply the filter', async () => {
+    const listSpy = vi.spyOn(events.client, 'listObjects');
+
+    const docs = [];
+    for await (const doc of events.iterate({ partition: 'byKind', partitionValues: { kind: 'click' }, filter: { seq: { $gte: 3 } } })) {
+      docs.push(doc);
+    }
+
+    expect(docs.map(doc => doc.seq)).toEqual([3, 6, 9]);
+    expect(listSpy.mock.calls[0][0].prefix).toBe('resource=events/partition=byKind/kind=click/');
+
+    listSpy.mockRestore();
+  });
+
+  test('should narrow the scan with a filter a partition answers', async () => {
+    const iterator = events.iterate({ filter: { kind: 'click' } });
+    expect(iterator.prefix).toBe('resource=events/partition=byKind/kind=click/');
+
+    const ids = [];
+    for await (const doc of iterator) ids.push(doc.id);
+    expect(ids).toEqual(['e00', 'e03', 'e06', 'e09']);
+  });
+
+  test('should reject cursors from another scan or that were tampered with', async () => {
+    const iterator = events.iterate({ partition: 'byKind', partitionValues: { kind: 'view' } });
+    for await (const _doc of iterator) break;
+
+    expect(() => events.iterate({ cursor: iterator.cursor })).toThrow(/different scan/);
+    expect(() => events.iterate({ cursor: 'not-a-cursor' })).toThrow(/Invalid iteration cursor/);
+    expect(() => events.iterate({ partition: 'nope' })).toThrow(/Partition 'nope' not found/);
+
+    const resumed = events.iterate({ partition: 'byKind', partitionValues: { kind: 'view' }, cursor: iterator.cursor });
+    const rest = [];
+    for await (const doc of resumed) rest.push(doc.id);
+    expect(rest).toHaveLength(7);
+  });
+});
@@ -380,6 +380,32 @@ describe('Resource patch() and replace() Methods', () => {
     });
   });
 
+  describe('update() and patch() - secret fields', () => {
+    test('should persist a new secret value and keep the old one when omitted', async () => {
+      const vault = await database.createResource({
+        name: 'vault_entries',
+        attributes: {
+          id: 'string|optional',
+          name: 'string|required',
+          token: 'secret|optional'
+        },
+        behavior: 'enforce-limits'
+      });
+
+      await vault.insert({ id: 'v1', name: 'Entry', token: 'tok-1' });
+
+      await vault.update('v1', { token: 'tok-2' });
+      expect((await vault.get('v1')).token).toBe('tok-2');
+
+      await vault.patch('v1', { token: 'tok-3' });
+      expect((await vault.get('v1')).token).toBe('tok-3');
+
+      await vault.patch('v1', { name: 'Renamed' });
+      await vault.update('v1', { name: 'Renamed again' });
+      expect((await vault.get('v1')).token).toBe('tok-3');
+    });
+  });
+
   describe('patch() - error handling', () => {
     test('should throw error for empty id', async () => {
       await expect(
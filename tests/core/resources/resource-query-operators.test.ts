@@ -0,0 +1,81 @@
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('Resource Query Operators - Real Integration Tests', () => {
+  let database;
+  let orders;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/query-operators');
+    await database.connect();
+
+    orders = await database.createResource({
+      name: 'orders',
+      asyncPartitions: false,
+      attributes: {
+        id: 'string|optional',
+        status: 'string|required',
+        amount: 'number|required',
+        customer: {
+          name: 'string|required',
+          city: 'string|required'
+        },
+        tags: 'array|items:string|optional'
+      },
+      partitions: {
+        byStatus: { fields: { status: 'string' } }
+      }
+    });
+
+    await orders.insertMany([
+      { id: 'o1', status: 'paid', amount: 50, customer: { name: 'Ana', city: 'Recife' }, tags: ['vip'] },
+      { id: 'o2', status: 'paid', amount: 150, customer: { name: 'Bruno', city: 'Natal' }, tags: [] },
+      { id: 'o3', status: 'pending', amount: 300, customer: { name: 'Carla', city: 'Recife' }, tags: ['vip', 'b2b'] },
+      { id: 'o4', status: 'cancelled', amount: 20, customer: { name: 'Davi', city: 'Olinda' }, tags: [] }
+    ]);
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('should filter with comparison, set and nested-path operators', async () => {
+    const large = await orders.query({ amount: { $gte: 150 } });
+    expect(large.map(o => o.id).sort()).toEqual(['o2', 'o3']);
+
+    const recife = await orders.query({ 'customer.city': 'Recife', status: { $ne: 'cancelled' } });
+    expect(recife.map(o => o.id).sort()).toEqual(['o1', 'o3']);
+
+    const vip = await orders.query({ tags: 'vip', $or: [{ amount: { $lt: 100 } }, { status: 'pending' }] });
+    expect(vip.map(o => o.id).sort()).toEqual(['o1', 'o3']);
+
+    const notOpen = await orders.query({ status: { $in: ['paid', 'cancelled'] }, amount: { $not: { $gt: 100 } } });
+    expect(notOpen.map(o => o.id).sort()).toEqual(['o1', 'o4']);
+  });
+
+  test('should sort, offset and limit sorted matches', async () => {
+    const sorted = await orders.query({ status: { $ne: 'cancelled' } }, { sort: { amount: -1 } });
+    expect(sorted.map(o => o.id)).toEqual(['o3', 'o2', 'o1']);
+
+    const second = await orders.query({}, { sort: { amount: 1 }, offset: 1, limit: 2 });
+    expect(second.map(o => o.id)).toEqual(['o1', 'o2']);
+  });
+
+  test('should project requested fields only', async () => {
+    const [row] = await orders.query({ id: 'o3' }, { fields: ['amount', 'customer.name'] });
+    expect(row).toEqual({ id: 'o3', amount: 300, customer: { name: 'Carla' } });
+  });
+
+  test('should prune to a partition for equality operators on partition fields', async () => {
+    const spy = vi.spyOn(orders.client, 'listObjects');
+
+    const paid = await orders.query({ status: { $eq: 'paid' }, amount: { $gt: 100 } });
+    expect(paid.map(o => o.id)).toEqual(['o2']);
+    expect(spy.mock.calls[0][0].prefix).toContain('partition=byStatus/status=paid');
+
+    spy.mockRestore();
+  });
+
+  test('should reject invalid operators', async () => {
+    await expect(orders.query({ amount: { $between: [1, 2] } })).rejects.toThrow(/Unknown query operator/);
+  });
+});
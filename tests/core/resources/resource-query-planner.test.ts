@@ -0,0 +1,126 @@
+import { createDatabaseForTest } from '#tests/config.js';
+import { S3_REQUEST_PRICES } from '../../../src/concerns/s3-pricing.js';
+
+describe('Resource Query Planner - Real Integration Tests', () => {
+  let database;
+  let visits;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/query-planner');
+    await database.connect();
+
+    visits = await database.createResource({
+      name: 'visits',
+      asyncPartitions: false,
+      attributes: {
+        id: 'string|optional',
+        tenant: 'string|required',
+        visitedOn: 'string|required',
+        page: 'string|required'
+      },
+      partitions: {
+        byTenantDate: { fields: { tenant: 'string', visitedOn: 'date' } }
+      }
+    });
+
+    await visits.insertMany([
+      { id: 'v1', tenant: 'acme', visitedOn: '2024-01-01', page: '/home' },
+      { id: 'v2', tenant: 'acme', visitedOn: '2024-01-02', page: '/pricing' },
+      { id: 'v3', tenant: 'acme', visitedOn: '2024-01-03', page: '/home' },
+      { id: 'v4', tenant: 'acme', visitedOn: '2024-01-04', page: '/docs' },
+      { id: 'v5', tenant: 'globex', visitedOn: '2024-01-03', page: '/home' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('should range-scan a partition with StartAfter and fetch only matching keys', async () => {
+    const listSpy = vi.spyOn(visits.client, 'listObjects');
+    const getSpy = vi.spyOn(visits, 'get');
+
+    const rows = await visits.query({ tenant: 'acme', visitedOn: { $gte: '2024-01-02', $lt: '2024-01-04' } });
+
+    expect(rows.map(r => r.id).sort()).toEqual(['v2', 'v3']);
+    expect(listSpy.mock.calls[0][0]).toMatchObject({
+      prefix: 'resource=visits/partition=byTenantDate/tenant=acme',
+      startAfter: 'resource=visits/partition=byTenantDate/tenant=acme/visitedOn=2024-01-02'
+    });
+    expect(getSpy).toHaveBeenCalledTimes(2);
+
+    listSpy.mockRestore();
+    getSpy.mockRestore();
+  });
+
+  test('should explain a covered range plan with request and cost estimates', async () => {
+    const plan = await visits.explain({ tenant: 'acme', visitedOn: { $gt: '2024-01-01', $lte: '2024-01-03' } });
+
+    expect(plan).toMatchObject({
+      strategy: 'partition-range',
+      partition: 'byTenantDate',
+      partitionValues: { tenant: 'acme' },
+      prefix: 'resource=visits/partition=byTenantDate/tenant=acme',
+      range: {
+        field: 'visitedOn',
+        lower: { value: '2024-01-01', inclusive: false },
+        upper: { value: '2024-01-03', inclusive: true }
+      },
+      fullyCovered: true,
+      requiresPostFilter: false
+    });
+    expect(plan.coveredFields.sort()).toEqual(['tenant', 'visitedOn']);
+    expect(plan.estimate).toMatchObject({ keys: 2, listRequests: 1, getRequests: 2, exact: true });
+    expect(plan.estimate.cost.total).toBeCloseTo(S3_REQUEST_PRICES.list + 2 * S3_REQUEST_PRICES.get, 12);
+  });
+
+  test('should check non-leading partition fields on keys before fetching', async () => {
+    const plan = await visits.explain({ visitedOn: '2024-01-03' }, { estimate: false });
+
+    expect(plan).toMatchObject({
+      strategy: 'partition',
+      prefix: 'resource=visits/partition=byTenantDate',
+      keyFilters: { visitedOn: '2024-01-03' },
+      estimate: null
+    });
+
+    const rows = await visits.query({ visitedOn: '2024-01-03' });
+    expect(rows.map(r => r.id).sort()).toEqual(['v3', 'v5']);
+  });
+
+  test('should flag post-filtering and fall back to a full scan', async () => {
+    const partial = await visits.explain({ tenant: 'acme', page: '/home' });
+    expect(partial.strategy).toBe('partition');
+    expect(partial.requiresPostFilter).toBe(true);
+    expect(partial.estimate).toMatchObject({ keys: 4, getRequests: 4, exact: false });
+
+    const scan = await visits.explain({ page: { $regex: '^/d' } });
+    expect(scan).toMatchObject({ strategy: 'full-scan', prefix: 'resource=visits/data', partition: null });
+    expect(scan.estimate.keys).toBe(5);
+  });
+
+  test('should cap the estimate probe and flag it approximate', async () => {
+    const listObjects = visits.client.listObjects.bind(visits.client);
+    const listSpy = vi.spyOn(visits.client, 'listObjects')
+      .mockImplementation((params) => listObjects({ ...params, maxKeys: 2 }));
+
+    const probe = await visits.explain({ page: '/home' });
+    expect(listSpy).toHaveBeenCalledTimes(1);
+    expect(probe.estimate).toMatchObject({ keys: 2, listRequests: 1, approximate: true });
+
+    listSpy.mockClear();
+    const full = await visits.explain({ page: '/home' }, { estimatePages: 10 });
+    expect(listSpy).toHaveBeenCalledTimes(3);
+    expect(full.estimate).toMatchObject({ keys: 5, listRequests: 3, approximate: false });
+
+    listSpy.mockRestore();
+  });
+
+  test('should honor offset and limit over range scans', async () => {
+    const rows = await visits.query(
+      { tenant: 'acme', visitedOn: { $gte: '2024-01-01' } },
+      { offset: 1, limit: 2 }
+    );
+    expect(rows.map(r => r.id)).toEqual(['v2', 'v3']);
+  });
+});
@@ -0,0 +1,131 @@
+import { createDatabaseForTest } from '#tests/config.js';
+import { blindIndex } from '../../../src/concerns/blind-index.js';
+
+describe('Resource Searchable Secrets - Blind Indexes', () => {
+  let database;
+  let users;
+
+  const metadataOf = async (id) => (await database.client.headObject(users.getResourceKey(id))).Metadata;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=resources/searchable-secrets', {
+      security: { passphrase: 'test-pass', blindIndexKey: 'blind-key' }
+    });
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      asyncPartitions: false,
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        email: 'secret|searchable',
+        cpf: 'secret|searchable|optional',
+        token: 'secret|optional'
+      },
+      partitions: {
+        byCpf: { fields: { cpf: 'string' } }
+      },
+      indexes: {
+        byEmail: { fields: ['email'], unique: true }
+      }
+    });
+
+    await users.insert({ id: 'u1', name: 'Ana', email: 'ana@example.com', cpf: '111.222.333-44' });
+    await users.insert({ id: 'u2', name: 'Bia', email: 'bia@example.com', cpf: '555.666.777-88' });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('stores the ciphertext and a blind index, never the plaintext', async () => {
+    expect(users.schema.searchableFields).toEqual(['email', 'cpf']);
+
+    const metadata = await metadataOf('u1');
+    const stored = Object.values(metadata);
+    expect(stored).not.toContain('ana@example.com');
+    expect(metadata[users.schema.map.email]).not.toBe('ana@example.com');
+    expect(metadata[users.schema.blindIndexMetadataKey('email')]).toBe(blindIndex('email', 'ana@example.com', database.security));
+
+    const keys = await database.client.getAllKeys({ prefix: 'resource=users/' });
+    expect(keys.some(key => key.includes('ana@example.com') || key.includes('111.222'))).toBe(false);
+
+    const user = await users.get('u1');
+    expect(user.email).toBe('ana@example.com');
+    expect(Object.keys(user).some(key => key.startsWith('_bi_'))).toBe(false);
+  });
+
+  test('blind indexes are keyed per field and by the blind index key', () => {
+    const security = { blindIndexKey: 'blind-key' };
+    const value = blindIndex('email', 'x@example.com', security);
+    expect(value).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(blindIndex('email', 'x@example.com', security)).toBe(value);
+    expect(blindIndex('cpf', 'x@example.com', security)).not.toBe(value);
+    expect(blindIndex('email', 'x@example.com', { blindIndexKey: 'other' })).not.toBe(value);
+    expect(blindIndex('email', 'x@example.com', { passphrase: 'p' })).toBe(blindIndex('email', 'x@example.com', { passphrase: 'p' }));
+    expect(() => blindIndex('email', 'x', {})).toThrow(/blind index key/);
+  });
+
+  test('query() equality uses the unique index and the partition', async () => {
+    const plan = await users.explain({ email: 'bia@example.com' }, { estimate: false });
+    expect(plan.strategy).toBe('index');
+    expect(plan.fullyCovered).toBe(true);
+    expect((await users.query({ email: 'bia@example.com' })).map(u => u.id)).toEqual(['u2']);
+    expect(await users.query({ email: 'nobody@example.com' })).toEqual([]);
+
+    const byCpf = await users.explain({ cpf: '111.222.333-44' }, { estimate: false });
+    expect(byCpf.strategy).toBe('partition');
+    expect((await users.query({ cpf: '111.222.333-44' })).map(u => u.id)).toEqual(['u1']);
+
+    const listed = await users.listPartition({ partition: 'byCpf', partitionValues: { cpf: '555.666.777-88' } });
+    expect(listed.map(u => u.id)).toEqual(['u2']);
+  });
+
+  test('range operators and sorts on searchable fields fall back to scanning', async () => {
+    const plan = await users.explain({ email: { $gt: 'a' } }, { estimate: false });
+    expect(plan.strategy).toBe('full-scan');
+    expect((await users.query({ email: { $gt: 'b' } })).map(u => u.id)).toEqual(['u2']);
+  });
+
+  test('unique checks work on encrypted values and follow updates', async () => {
+    await expect(users.insert({ id: 'u3', name: 'Dup', email: 'ana@example.com' }))
+      .rejects.toMatchObject({ name: 'InvalidResourceItem', data: { indexName: 'byEmail' } });
+
+    await users.update('u1', { name: 'Ana Maria' });
+    await users.update('u1', { email: 'ana.new@example.com', cpf: '999.999.999-99' });
+    await users.insert({ id: 'u3', name: 'Other Ana', email: 'ana@example.com' });
+
+    expect((await users.query({ email: 'ana.new@example.com' })).map(u => u.id)).toEqual(['u1']);
+    expect((await users.query({ email: 'ana@example.com' })).map(u => u.id)).toEqual(['u3']);
+    expect(await users.query({ cpf: '111.222.333-44' })).toEqual([]);
+    expect((await users.query({ cpf: '999.999.999-99' })).map(u => u.id)).toEqual(['u1']);
+
+    await users.delete('u1');
+    await users.insert({ id: 'u4', name: 'Reuse', email: 'ana.new@example.com' });
+    expect((await users.query({ email: 'ana.new@example.com' })).map(u => u.id)).toEqual(['u4']);
+  });
+
+  test('full scans check the metadata blind index before fetching', async () => {
+    const scan = await database.createResource({
+      name: 'contacts',
+      attributes: { id: 'string|optional', phone: 'secret|searchable', note: 'string|optional' }
+    });
+    await scan.insert({ id: 'c1', phone: '+5511999990001' });
+    await scan.insert({ id: 'c2', phone: '+5511999990002' });
+    await scan.insert({ id: 'c3', phone: '+5511999990003' });
+
+    const get = vi.spyOn(scan, 'get');
+    const rows = await scan.query({ phone: '+5511999990002' });
+    expect(rows.map(r => r.id)).toEqual(['c2']);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('non-searchable secrets still cannot be indexed', async () => {
+    await expect(database.createResource({
+      name: 'vault',
+      attributes: { id: 'string|optional', token: 'secret' },
+      indexes: { byToken: { fields: ['token'] } }
+    })).rejects.toThrow(/cannot use field 'token'/);
+  });
+});
@@ -83,7 +83,36 @@ describe('FailbanManager', () => {
 
     const logged = await manager.violationsResource.query({ ip: offender });
     expect(logged.length).toBe(2);
+    expect(manager.isBanned(offender)).toBe(true);
+
+    const ban = await manager.getBan(offender);
+    expect(ban).not.toBeNull();
+    expect(ban.reason).toBe('2 test violations');
+
+    await manager.cleanup();
+  });
+
+  it('bans manually before the violation threshold is reached', async () => {
+    const manager = new FailbanManager({
+      database: db,
+      enabled: true,
+      logLevel: false,
+      maxViolations: 5,
+      violationWindow: 1000,
+      banDuration: 10_000,
+      whitelist: [],
+      blacklist: []
+    });
+
+    manager._setupCleanupTimer = () => {};
+    await ensureFailbanResources(db, manager);
+    await manager.initialize();
 
+    const offender = '203.0.113.2';
+    await manager.recordViolation(offender, 'test', { path: '/login', userAgent: 'jest' });
+    expect(manager.isBanned(offender)).toBe(false);
+
+    const logged = await manager.violationsResource.query({ ip: offender });
     await manager.ban(offender, 'test threshold', {
       violationCount: logged.length,
       userAgent: 'jest',
@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { ApiPlugin } from '../../../src/plugins/api/index.js';
+import { createMemoryDatabaseForTest } from '../../config.js';
+
+async function waitForServer(port: number, maxAttempts = 100): Promise<void> {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}/health`);
+      if (response.ok || response.status === 503) {
+        return;
+      }
+    } catch {
+      // wait for boot
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`API server on port ${port} did not become ready in time`);
+}
+
+describe('API Plugin list filters', () => {
+  let db: any;
+  let apiPlugin: ApiPlugin | null = null;
+  let port: number;
+
+  beforeEach(async () => {
+    port = 5400 + Math.floor(Math.random() * 1000);
+    db = createMemoryDatabaseForTest(`api-plugin-list-filters-${Date.now()}-${Math.random().toString(16).slice(2)}`, {
+      logLevel: 'silent'
+    });
+    await db.connect();
+
+    const users = await db.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        email: 'string|required',
+        age: 'number|required'
+      }
+    });
+    await users.insert({ id: 'u1', email: 'ana@acme.com', age: 17 });
+    await users.insert({ id: 'u2', email: 'bia@acme.com', age: 34 });
+
+    apiPlugin = new ApiPlugin({
+      port,
+      host: '127.0.0.1',
+      logLevel: 'silent',
+      docs: { enabled: false },
+      logging: { enabled: false },
+      resources: ['users']
+    });
+
+    await db.usePlugin(apiPlugin);
+    await waitForServer(port);
+  });
+
+  afterEach(async () => {
+    if (apiPlugin) {
+      await apiPlugin.stop();
+      apiPlugin = null;
+    }
+
+    if (db) {
+      await db.disconnect();
+      db = null;
+    }
+  });
+
+  it('evaluates allowlisted operators from the query string', async () => {
+    const filter = encodeURIComponent(JSON.stringify({ $gte: 18 }));
+    const response = await fetch(`http://127.0.0.1:${port}/users?age=${filter}`);
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.data.map((user: any) => user.id)).toEqual(['u2']);
+  });
+
+  it('rejects $regex with 400 INVALID_FILTER', async () => {
+    const filter = encodeURIComponent(JSON.stringify({ $regex: '(a+)+$' }));
+    const response = await fetch(`http://127.0.0.1:${port}/users?email=${filter}`);
+
+    expect(response.status).toBe(400);
+    const body = await response.json();
+    expect(body.error.code).toBe('INVALID_FILTER');
+    expect(body.error.details.operator).toBe('$regex');
+  });
+
+  it('rejects disallowed operators nested inside logical branches', async () => {
+    const filter = encodeURIComponent(JSON.stringify([{ age: { $gte: 18 } }, { email: { $where: 'true' } }]));
+    const response = await fetch(`http://127.0.0.1:${port}/users?$or=${filter}`);
+
+    expect(response.status).toBe(400);
+    const body = await response.json();
+    expect(body.error.code).toBe('INVALID_FILTER');
+    expect(body.error.details.operator).toBe('$where');
+  });
+
+  it('rejects operators mixed with literal keys with 400 INVALID_FILTER', async () => {
+    const filter = encodeURIComponent(JSON.stringify({ $gte: 18, exact: 21 }));
+    const response = await fetch(`http://127.0.0.1:${port}/users?age=${filter}`);
+
+    expect(response.status).toBe(400);
+    const body = await response.json();
+    expect(body.error.code).toBe('INVALID_FILTER');
+    expect(body.error.message).toMatch(/Cannot mix query operators/);
+  });
+});
@@ -0,0 +1,112 @@
+import { createMemoryDatabaseForTest } from '../../config.js';
+import { EventualConsistencyPlugin } from '../../../src/plugins/eventual-consistency/index.js';
+
+// Keeps transaction timestamps apart so the fold order is the call order
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describe('EventualConsistencyPlugin - CRDT field types', () => {
+  let database;
+  let products;
+  let plugin;
+
+  beforeEach(async () => {
+    database = createMemoryDatabaseForTest('ec-crdt-fields');
+    await database.connect();
+
+    products = await database.createResource({
+      name: 'products',
+      attributes: {
+        id: 'string|required',
+        stock: 'number|default:0',
+        tags: 'array|items:string|optional',
+        viewers: 'array|items:string|optional',
+        color: 'string|optional',
+        peakPrice: 'number|optional',
+      },
+    });
+
+    plugin = new EventualConsistencyPlugin({
+      logLevel: 'silent',
+      mode: 'sync',
+      autoConsolidate: false,
+      enableCoordinator: false,
+      resources: {
+        products: [
+          { field: 'stock', type: 'pn-counter', min: 0 },
+          { field: 'tags', type: 'or-set' },
+          { field: 'viewers', type: 'g-set' },
+          { field: 'color', type: 'lww' },
+          { field: 'peakPrice', type: 'max' },
+        ],
+      },
+    });
+    await database.usePlugin(plugin);
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  it('should never consolidate a bounded counter below its minimum', async () => {
+    await products.insert({ id: 'p1', stock: 0 });
+
+    await products.add('p1', 'stock', 5);
+    await tick();
+    await products.sub('p1', 'stock', 3);
+    await tick();
+    await products.sub('p1', 'stock', 4);
+    await tick();
+    await products.add('p1', 'stock', 2);
+    expect(await plugin.getConsolidatedValue('products', 'stock', 'p1')).toBe(2);
+
+    await products.consolidate('stock');
+    expect((await products.get('p1')).stock).toBe(2);
+  });
+
+  it('should converge sets, registers and maxima written through the helpers', async () => {
+    await products.insert({ id: 'p1', tags: ['new'] });
+
+    await products.addToSet('p1', 'tags', 'sale');
+    await products.removeFromSet('p1', 'tags', 'new');
+    await products.addToSet('p1', 'viewers', 'ana');
+    await products.addToSet('p1', 'viewers', 'ana');
+    await products.addToSet('p1', 'viewers', 'bo');
+    await products.set('p1', 'color', 'red');
+    await tick();
+    await products.set('p1', 'color', 'blue');
+    await products.set('p1', 'peakPrice', 30);
+    await products.set('p1', 'peakPrice', 12);
+
+    await plugin.consolidateAll();
+
+    expect(await products.get('p1')).toMatchObject({
+      tags: ['sale'],
+      viewers: ['ana', 'bo'],
+      color: 'blue',
+      peakPrice: 30,
+    });
+
+    // The OR-set state survives consolidation, so removals observe consolidated adds
+    await products.removeFromSet('p1', 'tags', 'sale');
+    await products.addToSet('p1', 'tags', 'clearance');
+    await products.consolidate('tags');
+    expect((await products.get('p1')).tags).toEqual(['clearance']);
+    expect(await plugin.recalculateRecord('products', 'viewers', 'p1')).toEqual(['ana', 'bo']);
+  });
+
+  it('should reject operations the field type does not support', async () => {
+    await products.insert({ id: 'p1' });
+
+    await expect(products.removeFromSet('p1', 'viewers', 'ana')).rejects.toThrow(
+      "Operation 'remove-element' is not supported by g-set field products.viewers"
+    );
+    await expect(products.add('p1', 'color', 1)).rejects.toThrow("Operation 'add' is not supported by lww field");
+
+    expect(() => new EventualConsistencyPlugin({
+      resources: { products: [{ field: 'tags', type: 'bag' }] },
+    })).toThrow('unknown type "bag"');
+    expect(() => new EventualConsistencyPlugin({
+      resources: { products: [{ field: 'color', type: 'lww', min: 0 }] },
+    })).toThrow('min/max are only supported by "pn-counter" fields');
+  });
+});
@@ -0,0 +1,97 @@
+import { foldCrdt, elementKey } from '../../../src/plugins/eventual-consistency/crdt.js';
+
+let seq = 0;
+const tx = (operation, value, timestamp = '2026-01-01T00:00:00.000Z', id = `tx-${++seq}`) => ({
+  id,
+  originalId: 'r1',
+  field: 'f',
+  operation,
+  value,
+  timestamp,
+  cohortDate: timestamp.slice(0, 10),
+  cohortHour: timestamp.slice(0, 13),
+});
+
+const at = (second) => `2026-01-01T00:00:${String(second).padStart(2, '0')}.000Z`;
+
+describe('EventualConsistencyPlugin - CRDT folds', () => {
+  it('should clamp pn-counters to their bounds at every step', () => {
+    const options = { type: 'pn-counter', min: 0, max: 10 };
+    const { value } = foldCrdt(options, 3, {}, [
+      tx('sub', 5, at(1)),
+      tx('add', 4, at(2)),
+      tx('add', 20, at(3)),
+      tx('sub', 1, at(4)),
+    ]);
+
+    // 3 - 5 → 0, + 4 → 4, + 20 → 10, - 1 → 9
+    expect(value).toBe(9);
+    expect(foldCrdt(options, 5, {}, [tx('set', -3)]).value).toBe(0);
+  });
+
+  it('should keep the extreme value regardless of order', () => {
+    const offers = [tx('set', 7, at(3)), tx('set', 42, at(1)), tx('set', 13, at(2))];
+
+    expect(foldCrdt({ type: 'max' }, null, {}, offers).value).toBe(42);
+    expect(foldCrdt({ type: 'min' }, null, {}, offers).value).toBe(7);
+    expect(foldCrdt({ type: 'max' }, 50, {}, offers).value).toBe(50);
+  });
+
+  it('should let the latest write win and ignore late writes older than the state', () => {
+    const first = foldCrdt({ type: 'lww' }, null, {}, [
+      tx('set', 'blue', at(5), 'tx-b'),
+      tx('set', 'red', at(5), 'tx-a'),
+      tx('set', 'green', at(1)),
+    ]);
+    expect(first.value).toBe('blue');
+    expect(first.state.stamp).toEqual([at(5), 'tx-b']);
+
+    const late = foldCrdt({ type: 'lww' }, 'ignored', first.state, [tx('set', 'yellow', at(4))]);
+    expect(late.value).toBe('blue');
+
+    const newer = foldCrdt({ type: 'lww' }, 'ignored', first.state, [tx('set', { hex: '#fff' }, at(6))]);
+    expect(newer.value).toEqual({ hex: '#fff' });
+  });
+
+  it('should only grow g-sets', () => {
+    const { value } = foldCrdt({ type: 'g-set' }, ['a'], {}, [
+      tx('add-element', 'b'),
+      tx('add-element', 'a'),
+      tx('add-element', { id: 1, name: 'x' }),
+      tx('add-element', { name: 'x', id: 1 }),
+    ]);
+
+    expect(value).toEqual(['a', 'b', { id: 1, name: 'x' }]);
+  });
+
+  it('should remove only the observed adds of an or-set element', () => {
+    const addA = tx('add-element', 'vip', at(1), 'tx-add-a');
+    const addB = tx('add-element', 'vip', at(3), 'tx-add-b');
+    const remove = tx('remove-element', { element: 'vip', tags: ['tx-add-a'] }, at(2));
+
+    // addB was concurrent with the removal (not observed), so the element survives
+    const concurrent = foldCrdt({ type: 'or-set' }, [], {}, [addA, remove, addB]);
+    expect(concurrent.value).toEqual(['vip']);
+    expect(concurrent.state.entries[elementKey('vip')].tags).toEqual(['tx-add-b']);
+
+    const removed = foldCrdt({ type: 'or-set' }, [], concurrent.state, [
+      tx('remove-element', { element: 'vip', tags: ['tx-add-b'] }, at(4)),
+    ]);
+    expect(removed.value).toEqual([]);
+  });
+
+  it('should seed or-sets from the record and drop adds removed before consolidation', () => {
+    const seeded = foldCrdt({ type: 'or-set' }, ['a', 'b'], {}, [
+      tx('remove-element', { element: 'a', tags: ['seed'] }, at(1)),
+      tx('remove-element', { element: 'c', tags: ['tx-late'] }, at(2)),
+    ]);
+    expect(seeded.value).toEqual(['b']);
+    expect(seeded.state.removed).toEqual(['tx-late']);
+
+    const late = foldCrdt({ type: 'or-set' }, ['ignored'], seeded.state, [
+      tx('add-element', 'c', at(3), 'tx-late'),
+    ]);
+    expect(late.value).toEqual(['b']);
+    expect(late.state.removed).toEqual([]);
+  });
+});
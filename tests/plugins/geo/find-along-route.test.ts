@@ -0,0 +1,103 @@
+import { setupGeoSuite } from './helpers.js';
+
+// Avenida Paulista, from Consolação to Paraíso
+const ROUTE = {
+  type: 'LineString',
+  coordinates: [
+    [-46.6623, -23.5573],
+    [-46.6545, -23.5630],
+    [-46.6436, -23.5707]
+  ]
+};
+
+const STORES = [
+  { id: 'start', name: 'Near the start', latitude: -23.5575, longitude: -46.6620 },
+  { id: 'middle', name: 'Middle, a few blocks off', latitude: -23.5665, longitude: -46.6545 },
+  { id: 'end', name: 'Near the end', latitude: -23.5705, longitude: -46.6440 },
+  { id: 'far', name: 'Five km away', latitude: -23.6000, longitude: -46.6600 }
+];
+
+describe('Geo Plugin - findAlongRoute()', () => {
+  const ctx = setupGeoSuite();
+
+  const setup = async (geoConfig = {}) => {
+    await ctx.createStoresResource({ asyncPartitions: false });
+
+    const plugin = await ctx.installPlugin({
+      logLevel: 'silent',
+      resources: {
+        stores: {
+          latField: 'latitude',
+          lonField: 'longitude',
+          precision: 6,
+          ...geoConfig
+        }
+      }
+    });
+
+    const resource = ctx.db.resources.stores;
+    for (const store of [...STORES].reverse()) {
+      await resource.insert(store);
+    }
+
+    return { plugin, resource };
+  };
+
+  test('returns records inside the buffer ordered along the route', async () => {
+    const { resource } = await setup();
+
+    const results = await resource.findAlongRoute({ lineString: ROUTE, bufferKm: 0.5 });
+
+    expect(results.map(r => r.id)).toEqual(['start', 'middle', 'end']);
+    expect(results.every(r => r._distance <= 0.5)).toBe(true);
+    expect(results[0]._routeDistance).toBeLessThan(0.1);
+    expect(results[2]._routeDistance).toBeGreaterThan(2);
+  });
+
+  test('narrows results with a smaller buffer', async () => {
+    const { resource } = await setup();
+
+    const results = await resource.findAlongRoute({ lineString: ROUTE, bufferKm: 0.1 });
+
+    expect(results.map(r => r.id)).toEqual(['start', 'end']);
+  });
+
+  test('accepts Features and plain position arrays', async () => {
+    const { resource } = await setup();
+
+    const fromFeature = await resource.findAlongRoute({
+      lineString: { type: 'Feature', properties: {}, geometry: ROUTE },
+      bufferKm: 0.5
+    });
+    const fromArray = await resource.findAlongRoute({ lineString: ROUTE.coordinates, bufferKm: 0.5 });
+
+    expect(fromFeature.map(r => r.id)).toEqual(['start', 'middle', 'end']);
+    expect(fromArray.map(r => r.id)).toEqual(['start', 'middle', 'end']);
+  });
+
+  test('scans only partitions within the corridor', async () => {
+    const { plugin, resource } = await setup({ usePartitions: true });
+
+    const listPartitionSpy = vi.spyOn(resource, 'listPartition');
+    const results = await resource.findAlongRoute({ lineString: ROUTE, bufferKm: 0.5 });
+
+    const scanned = listPartitionSpy.mock.calls.map(([options]) => options.partitionValues._geohash);
+
+    expect(results.map(r => r.id)).toEqual(['start', 'middle', 'end']);
+    expect(scanned).toContain(plugin.encodeGeohash(-23.5665, -46.6545, 6));
+    expect(scanned).not.toContain(plugin.encodeGeohash(-23.6000, -46.6600, 6));
+
+    listPartitionSpy.mockRestore();
+  });
+
+  test('validates the route and buffer', async () => {
+    const { resource } = await setup();
+
+    await expect(resource.findAlongRoute({ lineString: [[-46.66, -23.55]] })).rejects.toThrow(
+      'findAlongRoute() requires a LineString with at least two [longitude, latitude] positions'
+    );
+    await expect(resource.findAlongRoute({ lineString: ROUTE, bufferKm: 0 })).rejects.toThrow(
+      'bufferKm must be a positive number of kilometers'
+    );
+  });
+});
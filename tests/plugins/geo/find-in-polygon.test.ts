@@ -0,0 +1,168 @@
+import { GeoPlugin } from '../../../src/plugins/geo.plugin.js';
+import { setupGeoSuite } from './helpers.js';
+
+const DOWNTOWN = {
+  type: 'Polygon',
+  coordinates: [
+    [[-46.70, -23.60], [-46.60, -23.60], [-46.60, -23.50], [-46.70, -23.50], [-46.70, -23.60]],
+    [[-46.66, -23.56], [-46.64, -23.56], [-46.64, -23.54], [-46.66, -23.54], [-46.66, -23.56]]
+  ]
+};
+
+const RIO = {
+  type: 'Polygon',
+  coordinates: [
+    [[-43.25, -22.95], [-43.15, -22.95], [-43.15, -22.85], [-43.25, -22.85], [-43.25, -22.95]]
+  ]
+};
+
+const STORES = [
+  { id: 'inside', name: 'Inside', latitude: -23.58, longitude: -46.68 },
+  { id: 'hole', name: 'In the hole', latitude: -23.55, longitude: -46.65 },
+  { id: 'outside', name: 'Outside', latitude: -23.45, longitude: -46.65 },
+  { id: 'rio', name: 'Rio', latitude: -22.90, longitude: -43.20 }
+];
+
+describe('Geo Plugin - findInPolygon()', () => {
+  const ctx = setupGeoSuite();
+
+  const setup = async (geoConfig = {}) => {
+    await ctx.createStoresResource({ asyncPartitions: false });
+
+    const plugin = await ctx.installPlugin({
+      logLevel: 'silent',
+      resources: {
+        stores: {
+          latField: 'latitude',
+          lonField: 'longitude',
+          precision: 5,
+          ...geoConfig
+        }
+      }
+    });
+
+    const resource = ctx.db.resources.stores;
+    for (const store of STORES) {
+      await resource.insert(store);
+    }
+
+    return { plugin, resource };
+  };
+
+  test('returns points inside the polygon and skips holes', async () => {
+    const { resource } = await setup();
+
+    const results = await resource.findInPolygon({ geojson: DOWNTOWN });
+
+    expect(results.map(r => r.id)).toEqual(['inside']);
+  });
+
+  test('supports MultiPolygon, Feature and FeatureCollection input', async () => {
+    const { resource } = await setup();
+
+    const multi = {
+      type: 'MultiPolygon',
+      coordinates: [DOWNTOWN.coordinates, RIO.coordinates]
+    };
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: {}, geometry: DOWNTOWN },
+        { type: 'Feature', properties: {}, geometry: RIO }
+      ]
+    };
+
+    const fromMulti = await resource.findInPolygon({ geojson: multi });
+    const fromCollection = await resource.findInPolygon({ geojson: collection });
+
+    expect(fromMulti.map(r => r.id).sort()).toEqual(['inside', 'rio']);
+    expect(fromCollection.map(r => r.id).sort()).toEqual(['inside', 'rio']);
+  });
+
+  test('scans only the partitions in the geohash cover', async () => {
+    const { plugin, resource } = await setup({ usePartitions: true });
+
+    const listPartitionSpy = vi.spyOn(resource, 'listPartition');
+    const results = await resource.findInPolygon({ geojson: RIO });
+
+    const cover = plugin.getGeohashCover(RIO, 5);
+    const scanned = listPartitionSpy.mock.calls.map(([options]) => options.partitionValues._geohash);
+
+    expect(results.map(r => r.id)).toEqual(['rio']);
+    expect(scanned.sort()).toEqual([...cover].sort());
+    expect(cover).toContain(plugin.encodeGeohash(-22.90, -43.20, 5));
+    expect(cover).not.toContain(plugin.encodeGeohash(-23.58, -46.68, 5));
+
+    listPartitionSpy.mockRestore();
+  });
+
+  test('uses the zoom partition picked for the polygon size', async () => {
+    const { resource } = await setup({ usePartitions: true, zoomLevels: [4, 5, 6] });
+
+    const listPartitionSpy = vi.spyOn(resource, 'listPartition');
+    const results = await resource.findInPolygon({ geojson: DOWNTOWN });
+
+    expect(results.map(r => r.id)).toEqual(['inside']);
+    expect(listPartitionSpy.mock.calls.every(([options]) => options.partition === 'byGeohashZoom6')).toBe(true);
+
+    listPartitionSpy.mockRestore();
+  });
+
+  test('rejects missing or invalid GeoJSON', async () => {
+    const { resource } = await setup();
+
+    await expect(resource.findInPolygon({})).rejects.toThrow('A GeoJSON polygon is required for findInPolygon()');
+    await expect(resource.findInPolygon({ geojson: { type: 'Point', coordinates: [0, 0] } })).rejects.toThrow(
+      "Invalid GeoJSON polygon: Unsupported GeoJSON type 'Point'"
+    );
+    await expect(resource.findInPolygon({ geojson: { type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] } })).rejects.toThrow(
+      'Polygon ring needs at least 3 distinct positions'
+    );
+  });
+
+  test('respects limit parameter', async () => {
+    const { resource } = await setup();
+
+    const results = await resource.findInPolygon({
+      geojson: { type: 'MultiPolygon', coordinates: [DOWNTOWN.coordinates, RIO.coordinates] },
+      limit: 1
+    });
+
+    expect(results).toHaveLength(1);
+  });
+});
+
+describe('Geo Plugin - geohash cover', () => {
+  const plugin = new GeoPlugin({ logLevel: 'silent' });
+
+  test('covers every cell touched by the polygon and leaves out cells inside holes', () => {
+    const cover = plugin.getGeohashCover(DOWNTOWN, 6);
+
+    expect(cover).toContain(plugin.encodeGeohash(-23.58, -46.68, 6));
+    expect(cover).toContain(plugin.encodeGeohash(-23.5999, -46.6999, 6));
+    expect(cover).toContain(plugin.encodeGeohash(-23.56, -46.65, 6));
+    expect(cover).not.toContain(plugin.encodeGeohash(-23.55, -46.65, 6));
+    expect(cover).not.toContain(plugin.encodeGeohash(-23.45, -46.65, 6));
+    expect(new Set(cover).size).toBe(cover.length);
+  });
+
+  test('is smaller than the bounding box for non-rectangular shapes', () => {
+    const triangle = {
+      type: 'Polygon',
+      coordinates: [[[-46.70, -23.60], [-46.50, -23.60], [-46.70, -23.40], [-46.70, -23.60]]]
+    };
+
+    const cover = plugin.getGeohashCover(triangle, 5);
+    const boxCells = plugin._getGeohashCells({ north: -23.40, south: -23.60, east: -46.50, west: -46.70, precision: 5 });
+
+    expect(cover.length).toBeLessThan(boxCells.length);
+    expect(cover).toContain(plugin.encodeGeohash(-23.59, -46.69, 5));
+    expect(cover).not.toContain(plugin.encodeGeohash(-23.42, -46.52, 5));
+  });
+
+  test('tests points with pointInPolygon()', () => {
+    expect(plugin.pointInPolygon(-23.58, -46.68, DOWNTOWN)).toBe(true);
+    expect(plugin.pointInPolygon(-23.55, -46.65, DOWNTOWN)).toBe(false);
+    expect(plugin.pointInPolygon(-22.90, -43.20, DOWNTOWN)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { setupGeoSuite } from './helpers.js';
+
+const CENTER_ZONE = {
+  type: 'Polygon',
+  coordinates: [
+    [[-46.70, -23.60], [-46.60, -23.60], [-46.60, -23.50], [-46.70, -23.50], [-46.70, -23.60]],
+    [[-46.66, -23.56], [-46.64, -23.56], [-46.64, -23.54], [-46.66, -23.54], [-46.66, -23.56]]
+  ]
+};
+
+const PARK_ZONE = {
+  type: 'Polygon',
+  coordinates: [
+    [[-46.66, -23.56], [-46.64, -23.56], [-46.64, -23.54], [-46.66, -23.54], [-46.66, -23.56]]
+  ]
+};
+
+const COAST_ZONE = {
+  type: 'MultiPolygon',
+  coordinates: [
+    [[[-46.40, -24.00], [-46.30, -24.00], [-46.30, -23.90], [-46.40, -23.90], [-46.40, -24.00]]],
+    [[[-45.50, -23.85], [-45.40, -23.85], [-45.40, -23.75], [-45.50, -23.75], [-45.50, -23.85]]]
+  ]
+};
+
+describe('Geo Plugin - geo:polygon zones', () => {
+  const ctx = setupGeoSuite();
+
+  const createZones = async (attributes = {}) => {
+    await ctx.db.createResource({
+      name: 'zones',
+      attributes: {
+        name: 'string',
+        area: 'geo:polygon',
+        ...attributes
+      }
+    });
+
+    await ctx.installPlugin({
+      logLevel: 'silent',
+      resources: {
+        zones: { polygonField: 'area' }
+      }
+    });
+
+    return ctx.db.resources.zones;
+  };
+
+  test('stores polygons compactly and reads them back as GeoJSON', async () => {
+    const zones = await createZones();
+
+    await zones.insert({ id: 'center', name: 'Center', area: CENTER_ZONE });
+    await zones.insert({ id: 'coast', name: 'Coast', area: COAST_ZONE });
+
+    const center = await zones.get('center');
+    const coast = await zones.get('coast');
+
+    expect(center.area).toEqual(CENTER_ZONE);
+    expect(coast.area).toEqual(COAST_ZONE);
+
+    const stored = await ctx.db.client.headObject(`resource=zones/data/id=center`);
+    const encoded = Object.values(stored.Metadata).find(value => String(value).startsWith('~'));
+    expect(encoded.split(',')).toHaveLength(2);
+    expect(encoded.length).toBeLessThan(JSON.stringify(CENTER_ZONE).length);
+  });
+
+  test('keeps optional polygons optional', async () => {
+    const zones = await createZones({ serviceArea: 'geo:polygon:5|optional' });
+
+    const zone = await zones.insert({ name: 'No service area', area: PARK_ZONE });
+
+    expect(zone.serviceArea).toBeUndefined();
+  });
+
+  test('finds the zones containing a point', async () => {
+    const zones = await createZones();
+
+    await zones.insert({ id: 'center', name: 'Center', area: CENTER_ZONE });
+    await zones.insert({ id: 'park', name: 'Park', area: PARK_ZONE });
+    await zones.insert({ id: 'coast', name: 'Coast', area: COAST_ZONE });
+
+    const inCenter = await zones.findContaining({ lat: -23.58, lon: -46.68 });
+    const inPark = await zones.findContaining({ lat: -23.55, lon: -46.65 });
+    const onCoast = await zones.findContaining({ lat: -23.80, lon: -45.45 });
+    const nowhere = await zones.findContaining({ lat: -22.90, lon: -43.20 });
+
+    expect(inCenter.map(z => z.id)).toEqual(['center']);
+    expect(inPark.map(z => z.id)).toEqual(['park']);
+    expect(onCoast.map(z => z.id)).toEqual(['coast']);
+    expect(nowhere).toEqual([]);
+  });
+
+  test('requires coordinates', async () => {
+    const zones = await createZones();
+
+    await expect(zones.findContaining({ lat: -23.5 })).rejects.toThrow(
+      'Latitude and longitude are required for findContaining()'
+    );
+  });
+});
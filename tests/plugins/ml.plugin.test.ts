@@ -350,6 +350,42 @@ describeIfTf('MLPlugin', () => {
     });
   });
 
+  describe('Evaluation', () => {
+    it('should cross-validate regression model', async () => {
+      const result = await mlPlugin.crossValidate('testRegression', { folds: 3, seed: 7 });
+
+      expect(result.folds).toHaveLength(3);
+      expect(result.folds.reduce((sum, fold) => sum + fold.testSamples, 0)).toBe(50);
+      expect(result.mean.rmse).toBeGreaterThan(0);
+      expect(result.mean.r2).toBeDefined();
+      expect(result.std.rmse).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should evaluate classification model on a holdout split', async () => {
+      const result = await mlPlugin.holdout('testClassification', { testSize: 0.25, seed: 7 });
+
+      expect(result.trainSamples + result.testSamples).toBe(60);
+      expect(result.metrics.confusionMatrix.A).toBeDefined();
+      expect(result.metrics.perClass.A.f1).toBeGreaterThanOrEqual(0);
+      expect(result.metrics.rocAuc).toBeGreaterThan(0.5);
+    });
+
+    it('should compute MAPE for time series model', async () => {
+      const result = await mlPlugin.evaluate('testTimeSeries');
+
+      expect(result.metrics.mape).toBeGreaterThanOrEqual(0);
+      expect(result.samples).toBeGreaterThan(0);
+    });
+
+    it('should store holdout metrics when training with evaluation', async () => {
+      const result = await mlPlugin.train('testRegression', { evaluation: { testSize: 0.2, seed: 1 } });
+
+      expect(result.evaluation.testSamples).toBe(10);
+      expect(result.evaluation.rmse).toBeGreaterThan(0);
+      expect(mlPlugin.getModelStats('testRegression').evaluation.testSamples).toBe(10);
+    });
+  });
+
   describe('Auto Training', () => {
     let resource;
 
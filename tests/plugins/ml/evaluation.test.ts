@@ -0,0 +1,184 @@
+import {
+  classificationMetrics,
+  regressionMetrics,
+  timeSeriesMetrics,
+  rocAuc,
+  summarizeMetrics
+} from '#src/plugins/ml/metrics.js';
+import {
+  holdoutSplit,
+  kFoldSplits,
+  timeSeriesSplits,
+  evaluateModel
+} from '#src/plugins/ml/evaluation.js';
+import { ModelConfigError, InsufficientDataError } from '#src/plugins/ml.errors.js';
+
+describe('ML Plugin - Evaluation', () => {
+  describe('metrics', () => {
+    it('should compute confusion matrix, per-class and averaged scores', () => {
+      const actual = ['cat', 'cat', 'cat', 'dog', 'dog', 'bird'];
+      const predicted = ['cat', 'cat', 'dog', 'dog', 'cat', 'bird'];
+
+      const metrics = classificationMetrics(actual, predicted);
+
+      expect(metrics.accuracy).toBeCloseTo(4 / 6);
+      expect(metrics.confusionMatrix.cat).toEqual({ bird: 0, cat: 2, dog: 1 });
+      expect(metrics.confusionMatrix.dog).toEqual({ bird: 0, cat: 1, dog: 1 });
+      expect(metrics.perClass.cat).toMatchObject({ precision: 2 / 3, recall: 2 / 3, support: 3 });
+      expect(metrics.perClass.dog.f1).toBeCloseTo(0.5);
+      expect(metrics.macro.f1).toBeCloseTo((2 / 3 + 0.5 + 1) / 3);
+      expect(metrics.weighted.recall).toBeCloseTo(metrics.accuracy);
+      expect(metrics.rocAuc).toBeNull();
+    });
+
+    it('should compute binary and one-vs-rest ROC-AUC from probabilities', () => {
+      expect(rocAuc([false, false, true, true], [0.1, 0.4, 0.35, 0.8])).toBeCloseTo(0.75);
+      expect(rocAuc([true, true], [0.1, 0.2])).toBeNull();
+
+      const binary = classificationMetrics(['no', 'no', 'yes', 'yes'], ['no', 'yes', 'no', 'yes'], {
+        probabilities: [
+          { no: 0.9, yes: 0.1 },
+          { no: 0.6, yes: 0.4 },
+          { no: 0.65, yes: 0.35 },
+          { no: 0.2, yes: 0.8 }
+        ]
+      });
+      expect(binary.rocAuc).toBeCloseTo(0.75);
+
+      const multi = classificationMetrics(['a', 'b', 'c'], ['a', 'b', 'c'], {
+        probabilities: [
+          { a: 0.8, b: 0.1, c: 0.1 },
+          { a: 0.1, b: 0.8, c: 0.1 },
+          { a: 0.1, b: 0.1, c: 0.8 }
+        ]
+      });
+      expect(multi.rocAuc).toBe(1);
+    });
+
+    it('should compute regression and time series errors', () => {
+      const regression = regressionMetrics([3, -0.5, 2, 7], [2.5, 0, 2, 8]);
+      expect(regression.mse).toBeCloseTo(0.375);
+      expect(regression.rmse).toBeCloseTo(Math.sqrt(0.375));
+      expect(regression.mae).toBeCloseTo(0.5);
+      expect(regression.r2).toBeCloseTo(0.9486, 3);
+
+      const series = timeSeriesMetrics([100, 0, 200], [110, 5, 180]);
+      expect(series.mape).toBeCloseTo(10);
+      expect(series.samples).toBe(3);
+    });
+
+    it('should summarize fold metrics with mean and std', () => {
+      const summary = summarizeMetrics([
+        regressionMetrics([1, 2], [1, 2]),
+        regressionMetrics([1, 2], [2, 3])
+      ]);
+
+      expect(summary.mean.rmse).toBeCloseTo(0.5);
+      expect(summary.std.rmse).toBeCloseTo(0.5);
+      expect(summary.mean.samples).toBeUndefined();
+    });
+  });
+
+  describe('splits', () => {
+    const records = Array.from({ length: 20 }, (_, i) => ({ id: i, label: i < 15 ? 'a' : 'b' }));
+
+    it('should hold out a reproducible, stratified test set', () => {
+      const first = holdoutSplit(records, { testSize: 0.2, seed: 42, stratifyBy: 'label' });
+      const second = holdoutSplit(records, { testSize: 0.2, seed: 42, stratifyBy: 'label' });
+
+      expect(first.test.map(r => r.id)).toEqual(second.test.map(r => r.id));
+      expect(first.train).toHaveLength(16);
+      expect(first.test.filter(r => r.label === 'a')).toHaveLength(3);
+      expect(first.test.filter(r => r.label === 'b')).toHaveLength(1);
+    });
+
+    it('should hold out the tail when not shuffling', () => {
+      const { train, test } = holdoutSplit(records, { testSize: 0.25, shuffle: false });
+
+      expect(train.map(r => r.id)).toEqual([...Array(15).keys()]);
+      expect(test.map(r => r.id)).toEqual([15, 16, 17, 18, 19]);
+    });
+
+    it('should test every record exactly once across k folds', () => {
+      const splits = kFoldSplits(records, { folds: 4, seed: 1, stratifyBy: 'label' });
+      const tested = splits.flatMap(split => split.test.map(r => r.id)).sort((a, b) => a - b);
+
+      expect(splits).toHaveLength(4);
+      expect(tested).toEqual([...Array(20).keys()]);
+      for (const split of splits) {
+        expect(split.train).toHaveLength(20 - split.test.length);
+        expect(split.test.filter(r => r.label === 'b').length).toBeGreaterThanOrEqual(1);
+      }
+    });
+
+    it('should never train time series folds on the future', () => {
+      const splits = timeSeriesSplits(records, { folds: 3, minTrainSize: 5 });
+
+      expect(splits.map(split => split.test.length)).toEqual([5, 5, 5]);
+      for (const split of splits) {
+        expect(Math.max(...split.train.map(r => r.id))).toBeLessThan(Math.min(...split.test.map(r => r.id)));
+      }
+      expect(splits[2].test.at(-1).id).toBe(19);
+    });
+
+    it('should validate split options', () => {
+      expect(() => holdoutSplit(records, { testSize: 1 })).toThrow(ModelConfigError);
+      expect(() => kFoldSplits(records, { folds: 1 })).toThrow(ModelConfigError);
+      expect(() => kFoldSplits(records.slice(0, 3), { folds: 5 })).toThrow(InsufficientDataError);
+      expect(() => timeSeriesSplits(records.slice(0, 4), { folds: 3, minTrainSize: 3 })).toThrow(InsufficientDataError);
+    });
+  });
+
+  describe('evaluateModel', () => {
+    it('should score regression predictions', async () => {
+      const model = {
+        config: { target: 'y', modelConfig: {} },
+        predict: async record => ({ prediction: record.x * 2 + 1 })
+      };
+
+      const metrics = await evaluateModel(model, 'regression', [{ x: 1, y: 3 }, { x: 2, y: 4 }]);
+
+      expect(metrics.samples).toBe(2);
+      expect(metrics.mae).toBeCloseTo(0.5);
+    });
+
+    it('should score classification predictions with probabilities', async () => {
+      const model = {
+        config: { target: 'label', modelConfig: {} },
+        classes: ['neg', 'pos'],
+        predict: async record => ({
+          prediction: record.score >= 0.5 ? 'pos' : 'neg',
+          probabilities: { neg: 1 - record.score, pos: record.score }
+        })
+      };
+
+      const metrics = await evaluateModel(model, 'classification', [
+        { score: 0.9, label: 'pos' },
+        { score: 0.2, label: 'neg' },
+        { score: 0.6, label: 'neg' }
+      ]);
+
+      expect(metrics.accuracy).toBeCloseTo(2 / 3);
+      expect(metrics.rocAuc).toBe(1);
+    });
+
+    it('should slide time series windows over the training tail', async () => {
+      const windows = [];
+      const model = {
+        config: { target: 'value', modelConfig: { lookback: 2 } },
+        predict: async sequence => {
+          windows.push(sequence.map(r => r.t));
+          return { prediction: sequence.at(-1).value };
+        }
+      };
+
+      const train = [{ t: 1, value: 10 }, { t: 2, value: 10 }, { t: 3, value: 10 }];
+      const test = [{ t: 4, value: 20 }, { t: 5, value: 20 }];
+      const metrics = await evaluateModel(model, 'timeseries', test, { context: train });
+
+      expect(windows).toEqual([[2, 3], [3, 4]]);
+      expect(metrics.samples).toBe(2);
+      expect(metrics.mape).toBeCloseTo(25);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { FeaturePipeline } from '#src/plugins/ml/feature-pipeline.class.js';
+import { RegressionModel } from '#src/plugins/ml/regression-model.class.js';
+import { ModelConfigError, DataValidationError, ModelNotTrainedError } from '#src/plugins/ml.errors.js';
+
+describe('ML Plugin - FeaturePipeline', () => {
+  const records = [
+    { city: 'rio', price: 10, createdAt: '2024-03-15T10:30:00Z', title: 'Sunny beach flat', rent: 100 },
+    { city: 'sp', price: 20, createdAt: '2024-12-01T22:00:00Z', title: 'Flat near the park', rent: 200 },
+    { city: 'rio', price: 30, createdAt: '2025-01-05T08:00:00Z', title: 'Beach house', rent: 300 }
+  ];
+
+  it('should expand features in input order', () => {
+    const pipeline = new FeaturePipeline([
+      { type: 'one-hot', field: 'city' },
+      { type: 'date-parts', field: 'createdAt', parts: ['year', 'month'] },
+      { type: 'text-hash', field: 'title', buckets: 4 }
+    ], ['city', 'price', 'createdAt', 'title']).fit(records);
+
+    expect(pipeline.getOutputFeatures()).toEqual([
+      'city_rio', 'city_sp',
+      'price',
+      'createdAt_year', 'createdAt_month',
+      'title_h0', 'title_h1', 'title_h2', 'title_h3'
+    ]);
+  });
+
+  it('should one-hot encode and zero unknown categories', () => {
+    const pipeline = new FeaturePipeline([{ type: 'one-hot', field: 'city' }], ['city', 'price']).fit(records);
+
+    expect(pipeline.transform({ city: 'sp', price: 5, rent: 50 })).toEqual({ city_rio: 0, city_sp: 1, price: 5, rent: 50 });
+    expect(pipeline.transform({ city: 'bh', price: 5 })).toEqual({ city_rio: 0, city_sp: 0, price: 5 });
+  });
+
+  it('should keep declared categories instead of fitting them', () => {
+    const pipeline = new FeaturePipeline(
+      [{ type: 'one-hot', field: 'city', categories: ['sp', 'bh'] }],
+      ['city']
+    ).fit(records);
+
+    expect(pipeline.getOutputFeatures()).toEqual(['city_sp', 'city_bh']);
+  });
+
+  it('should normalize with min-max and z-score', () => {
+    const minMax = new FeaturePipeline([{ type: 'normalize', field: 'price' }], ['price']).fit(records);
+    const zScore = new FeaturePipeline([{ type: 'normalize', field: 'price', method: 'z-score' }], ['price']).fit(records);
+
+    expect(minMax.transform({ price: 25 }).price).toBeCloseTo(0.75);
+    expect(zScore.transform({ price: 20 }).price).toBeCloseTo(0);
+    expect(zScore.transform({ price: 30 }).price).toBeCloseTo(10 / Math.sqrt(200 / 3));
+    expect(() => minMax.transform({ price: 'abc' })).toThrow(DataValidationError);
+  });
+
+  it('should extract UTC date parts', () => {
+    const pipeline = new FeaturePipeline(
+      [{ type: 'date-parts', field: 'createdAt', parts: ['year', 'month', 'day', 'dayOfWeek', 'hour'] }],
+      ['createdAt']
+    ).fit(records);
+
+    expect(pipeline.transform(records[0])).toMatchObject({
+      createdAt_year: 2024,
+      createdAt_month: 3,
+      createdAt_day: 15,
+      createdAt_dayOfWeek: 5,
+      createdAt_hour: 10
+    });
+    expect(() => pipeline.transform({ createdAt: 'not a date' })).toThrow(DataValidationError);
+  });
+
+  it('should hash text tokens into buckets', () => {
+    const pipeline = new FeaturePipeline([{ type: 'text-hash', field: 'title', buckets: 8 }], ['title']).fit(records);
+
+    const first = pipeline.transform({ title: 'Beach flat' });
+    const second = pipeline.transform({ title: 'FLAT, beach!' });
+    const counts = Object.values(first) as number[];
+
+    expect(first).toEqual(second);
+    expect(counts.reduce((sum, count) => sum + count, 0)).toBe(2);
+    expect(counts).toHaveLength(8);
+  });
+
+  it('should round-trip through JSON', () => {
+    const pipeline = new FeaturePipeline([
+      { type: 'one-hot', field: 'city' },
+      { type: 'normalize', field: 'price', method: 'z-score' }
+    ], ['city', 'price']).fit(records);
+
+    const restored = FeaturePipeline.fromJSON(JSON.parse(JSON.stringify(pipeline.toJSON())));
+
+    expect(restored.getOutputFeatures()).toEqual(pipeline.getOutputFeatures());
+    expect(restored.transform(records[1])).toEqual(pipeline.transform(records[1]));
+  });
+
+  it('should reject invalid steps', () => {
+    expect(() => new FeaturePipeline([{ type: 'bucketize', field: 'price' } as any], ['price']))
+      .toThrow(ModelConfigError);
+    expect(() => new FeaturePipeline([{ type: 'one-hot', field: 'city' }], ['price']))
+      .toThrow(/not a model feature/);
+    expect(() => new FeaturePipeline([
+      { type: 'one-hot', field: 'city' },
+      { type: 'text-hash', field: 'city' }
+    ], ['city'])).toThrow(/more than one pipeline step/);
+    expect(() => new FeaturePipeline([{ type: 'text-hash', field: 'title', buckets: 0 }], ['title']))
+      .toThrow(/positive integer/);
+    expect(() => FeaturePipeline.validate([{ type: 'normalize', field: 'rent' }], ['rent'], 'rent'))
+      .toThrow(/cannot transform the target/);
+  });
+
+  it('should require fitting before transforming', () => {
+    const pipeline = new FeaturePipeline([{ type: 'normalize', field: 'price' }], ['price']);
+    expect(() => pipeline.transform({ price: 1 })).toThrow(ModelNotTrainedError);
+  });
+
+  it('should make the model features the pipeline outputs', () => {
+    const model = new RegressionModel({
+      name: 'rent',
+      features: ['city', 'price'],
+      target: 'rent',
+      pipeline: [{ type: 'one-hot', field: 'city' }],
+      logLevel: 'silent'
+    });
+
+    const transformed = model._fitPipeline(records);
+
+    expect(model.config.features).toEqual(['city_rio', 'city_sp', 'price']);
+    expect(transformed[1]).toEqual({
+      city_rio: 0,
+      city_sp: 1,
+      price: 20,
+      createdAt: records[1].createdAt,
+      title: records[1].title,
+      rent: 200
+    });
+    expect(model._applyPipeline({ city: 'rio', price: 7 })).toEqual({ city_rio: 1, city_sp: 0, price: 7 });
+    expect(model.pipeline.inputFeatures).toEqual(['city', 'price']);
+  });
+});
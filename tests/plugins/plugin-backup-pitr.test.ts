@@ -0,0 +1,147 @@
+import { createMemoryDatabaseForTest } from '../config.js';
+import { BackupPlugin } from '../../src/plugins/backup.plugin.js';
+import { mkdir, rm } from 'fs/promises';
+import path from 'path';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('BackupPlugin - Point-in-time restore', () => {
+  let database;
+  let plugin;
+  let users;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(process.cwd(), 'tmp', 'backup-pitr-tests', `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    await mkdir(tempDir, { recursive: true });
+
+    database = createMemoryDatabaseForTest('suite=plugins/backup-pitr');
+    plugin = new BackupPlugin({
+      logLevel: 'silent',
+      driver: 'filesystem',
+      config: { path: path.join(tempDir, 'backups', '{date}') },
+      tempDir: path.join(tempDir, 'temp'),
+      verification: false,
+      journal: { flushInterval: 60000, maxEntries: 1000 }
+    });
+
+    await database.connect();
+    await database.usePlugin(plugin);
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        plan: 'string|optional'
+      }
+    });
+
+    await users.insert({ id: 'u1', name: 'Ana', plan: 'free' });
+    await users.insert({ id: 'u2', name: 'Bia', plan: 'free' });
+  });
+
+  afterEach(async () => {
+    await plugin?.stop();
+    await database?.disconnect();
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('full backups restore their records', async () => {
+    const backup = await plugin.backup('full');
+    await users.delete('u1');
+
+    const result = await plugin.restore(backup.id);
+
+    expect(result.restored).toContainEqual({ name: 'users', recordsRestored: 1, totalRecords: 2 });
+    expect((await users.get('u1')).name).toBe('Ana');
+  });
+
+  test('journals changes into segments written through the driver', async () => {
+    await users.update('u1', { plan: 'pro' });
+    await users.delete('u2');
+
+    const segment = await plugin.flushJournal();
+    expect(segment).toMatchObject({ entries: 4, resources: ['users'], compressed: true });
+    expect(await plugin.flushJournal()).toBeNull();
+
+    const status = await plugin.getBackupStatus(segment.id);
+    expect(status).toMatchObject({ type: 'journal', status: 'completed', entries: 4 });
+
+    const entries = await plugin.journal.read(segment);
+    expect(entries.map(e => [e.op, e.id])).toEqual([
+      ['insert', 'u1'],
+      ['insert', 'u2'],
+      ['update', 'u1'],
+      ['delete', 'u2']
+    ]);
+    expect(entries[2].data).toMatchObject({ id: 'u1', plan: 'pro' });
+    expect(entries[3].data).toBeNull();
+
+    await plugin.backup('full');
+    const listed = await plugin.listBackups();
+    expect(listed.map(b => b.type)).toEqual(['full']);
+  });
+
+  test('restores to an instant between journal segments', async () => {
+    const backup = await plugin.backup('full');
+    await tick();
+
+    await users.update('u1', { plan: 'pro' });
+    await users.insert({ id: 'u3', name: 'Caio', plan: 'free' });
+    await plugin.flushJournal();
+    await tick();
+    const checkpoint = Date.now();
+    await tick();
+
+    await users.delete('u2');
+    await users.update('u3', { plan: 'enterprise' });
+    await users.insert({ id: 'u4', name: 'Duda' });
+
+    const preview = await plugin.restore({ toTimestamp: new Date(checkpoint), dryRun: true });
+    expect(preview).toMatchObject({ backupId: backup.id, dryRun: true, toTimestamp: checkpoint });
+    expect(preview.changes).toEqual([
+      { resource: 'users', id: 'u2', action: 'insert' },
+      { resource: 'users', id: 'u3', action: 'update' },
+      { resource: 'users', id: 'u4', action: 'delete' }
+    ]);
+    await expect(users.get('u2')).rejects.toThrow();
+
+    const result = await plugin.restore({ toTimestamp: checkpoint });
+    expect(result.restored).toEqual([{ name: 'users', recordsRestored: 3, totalRecords: 3 }]);
+
+    const byId = Object.fromEntries((await users.list()).map(u => [u.id, u.plan]));
+    expect(byId).toEqual({ u1: 'pro', u2: 'free', u3: 'free' });
+
+    const again = await plugin.restore({ toTimestamp: checkpoint, dryRun: true });
+    expect(again.changes).toEqual([]);
+  });
+
+  test('limits the restore to the given resources', async () => {
+    const posts = await database.createResource({
+      name: 'posts',
+      attributes: { id: 'string|optional', title: 'string|required' }
+    });
+    await posts.insert({ id: 'p1', title: 'Hello' });
+    await plugin.backup('full');
+    await tick();
+    const checkpoint = Date.now();
+    await tick();
+
+    await users.delete('u1');
+    await posts.delete('p1');
+
+    const result = await plugin.restore({ toTimestamp: checkpoint, resources: ['posts'] });
+    expect(result.changes).toEqual([{ resource: 'posts', id: 'p1', action: 'insert' }]);
+    await expect(users.get('u1')).rejects.toThrow();
+    expect((await posts.get('p1')).title).toBe('Hello');
+  });
+
+  test('needs a full backup before the target instant', async () => {
+    const before = Date.now() - 60_000;
+    await plugin.backup('full');
+
+    await expect(plugin.restore({ toTimestamp: before })).rejects.toThrow(/No completed full backup before/);
+    await expect(plugin.restore({ toTimestamp: 'not a date' })).rejects.toThrow(/Invalid toTimestamp/);
+  });
+});
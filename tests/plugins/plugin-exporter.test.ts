@@ -0,0 +1,174 @@
+import { ExporterPlugin } from '../../src/plugins/exporter/index.js';
+import { ImporterPlugin } from '../../src/plugins/importer/index.js';
+import { ParquetReader } from '../../src/plugins/importer/parquet-reader.js';
+import { createDatabaseForTest } from '../config.js';
+import { appendFile, mkdir, readFile, rm, stat } from 'fs/promises';
+import { PassThrough } from 'node:stream';
+import zlib from 'node:zlib';
+import path from 'path';
+
+const readRows = async (filePath) => {
+  const reader = await ParquetReader.open(filePath);
+  const rows = [];
+  for await (const row of reader.rows()) rows.push(row);
+  await reader.close();
+  return rows;
+};
+
+const exists = (filePath) => stat(filePath).then(() => true, () => false);
+
+describe('ExporterPlugin', () => {
+  let database;
+  let plugin;
+  let users;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(process.cwd(), 'tmp', 'exporter-tests', `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    await mkdir(tempDir, { recursive: true });
+
+    database = createDatabaseForTest('suite=plugins/exporter');
+    await database.connect();
+
+    plugin = new ExporterPlugin({ logLevel: 'silent' });
+    await database.usePlugin(plugin);
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        plan: 'string|optional',
+        age: 'number|optional',
+        active: 'boolean|optional',
+        address: {
+          city: 'string|optional',
+          zip: 'string|optional'
+        },
+        tags: 'array|items:string|optional'
+      },
+      partitions: {
+        byPlan: { fields: { plan: 'string' } }
+      }
+    });
+
+    await users.insert({ id: 'u1', name: 'Ana', plan: 'free', age: 30, active: true, address: { city: 'Recife', zip: '50000' }, tags: ['a'] });
+    await users.insert({ id: 'u2', name: 'Bia "B", Jr', plan: 'pro', age: 25, active: false, address: { city: 'Natal' } });
+    await users.insert({ id: 'u3', name: 'Caio', plan: 'pro' });
+    await users.insert({ id: 'u4', name: 'Duda', plan: 'free', age: 41, active: true });
+    await users.insert({ id: 'u5', name: 'Enzo', plan: 'free', age: 19 });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  const out = (name) => path.join(tempDir, name);
+
+  test('exports JSONL without system fields, with filters and field selection', async () => {
+    const result = await users.export({ format: 'jsonl', output: out('users.jsonl'), filter: { plan: 'free' } });
+    expect(result).toMatchObject({ resource: 'users', format: 'jsonl', records: 3, completed: true, cursor: null });
+
+    const lines = (await readFile(out('users.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.id)).toEqual(['u1', 'u4', 'u5']);
+    expect(lines[0]).toEqual({ id: 'u1', name: 'Ana', plan: 'free', age: 30, active: true, address: { city: 'Recife', zip: '50000' }, tags: ['a'] });
+    expect(await exists(out('users.jsonl.checkpoint'))).toBe(false);
+
+    await users.export({ output: out('flat.jsonl'), fields: ['id', 'address'], flatten: true, separator: '__' });
+    const flat = (await readFile(out('flat.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(flat[0]).toEqual({ id: 'u1', address__city: 'Recife', address__zip: '50000' });
+    expect(flat[2]).toEqual({ id: 'u3' });
+  });
+
+  test('writes CSV with flattened columns and escaping to a stream', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+
+    const result = await plugin.export('users', { format: 'csv', output: stream, separator: '_', partition: 'byPlan', partitionValues: { plan: 'pro' } });
+    expect(result).toMatchObject({ records: 2, output: null, completed: true });
+
+    const lines = Buffer.concat(chunks).toString('utf8').trim().split('\n');
+    expect(lines).toEqual([
+      'id,name,plan,age,active,address_city,address_zip,tags',
+      'u2,"Bia ""B"", Jr",pro,25,false,Natal,,',
+      'u3,Caio,pro,,,,,'
+    ]);
+  });
+
+  test('gzips output and exports the selected fields as CSV', async () => {
+    await users.export({ format: 'csv', output: out('users.csv.gz'), gzip: true, fields: ['id', 'address.city'], chunkSize: 2 });
+
+    const csv = zlib.gunzipSync(await readFile(out('users.csv.gz'))).toString('utf8');
+    expect(csv).toBe('id,address.city\nu1,Recife\nu2,Natal\nu3,\nu4,\nu5,\n');
+  });
+
+  test('writes Parquet that reads back with typed columns', async () => {
+    const result = await users.export({ format: 'parquet', output: out('users.parquet'), chunkSize: 2, gzip: true });
+    expect(result.records).toBe(5);
+
+    const rows = await readRows(out('users.parquet'));
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toEqual({
+      id: 'u1', name: 'Ana', plan: 'free', age: 30, active: true, 'address.city': 'Recife', 'address.zip': '50000', tags: '["a"]'
+    });
+    expect(rows[2]).toMatchObject({ id: 'u3', age: null, active: null, 'address.city': null });
+
+    await database.createResource({
+      name: 'copies',
+      attributes: { id: 'string|optional', name: 'string|required', age: 'number|optional', active: 'boolean|optional' }
+    });
+    const importer = new ImporterPlugin({
+      logLevel: 'silent',
+      resource: 'copies',
+      format: 'parquet',
+      mapping: { id: 'id', name: 'name', age: 'age', active: 'active' }
+    });
+    await database.usePlugin(importer);
+    expect(await importer.import(out('users.parquet'))).toMatchObject({ inserted: 5, errors: 0 });
+    expect(await database.resources.copies.get('u1')).toMatchObject({ name: 'Ana', age: 30, active: true });
+  });
+
+  test.each([
+    ['jsonl', false],
+    ['csv', true],
+    ['parquet', false]
+  ])('resumes an interrupted %s export (gzip=%s)', async (format, gzip) => {
+    await users.export({ format, gzip, output: out('full') });
+    const expected = await readFile(out('full'));
+
+    const controller = new AbortController();
+    plugin.once('progress', () => controller.abort());
+    const partial = await users.export({ format, gzip, output: out('partial'), chunkSize: 2, signal: controller.signal });
+    expect(partial).toMatchObject({ records: 2, completed: false });
+    expect(partial.cursor).toEqual(expect.any(String));
+    expect(await exists(out('partial.checkpoint'))).toBe(true);
+
+    // A crash mid-chunk leaves bytes past the checkpoint
+    await appendFile(out('partial'), 'half-written chunk');
+
+    const resumed = await users.export({ format, gzip, output: out('partial'), chunkSize: 2, resume: true });
+    expect(resumed).toMatchObject({ records: 5, completed: true, cursor: null });
+    expect(await exists(out('partial.checkpoint'))).toBe(false);
+
+    if (format === 'parquet') {
+      expect(await readRows(out('partial'))).toEqual(await readRows(out('full')));
+    } else {
+      const decode = (buffer) => (gzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+      expect(decode(await readFile(out('partial')))).toBe(decode(expected));
+    }
+  });
+
+  test('validates formats, outputs and checkpoints', async () => {
+    await expect(users.export({ format: 'xml', output: out('x') })).rejects.toThrow(/Unsupported export format: xml/);
+    await expect(users.export({ format: 'csv' })).rejects.toThrow(/Export output is required/);
+    await expect(plugin.export('missing', { output: out('x') })).rejects.toThrow(/Resource "missing" not found/);
+
+    const controller = new AbortController();
+    plugin.once('progress', () => controller.abort());
+    await users.export({ format: 'csv', output: out('users.csv'), chunkSize: 1, signal: controller.signal });
+    await expect(users.export({ format: 'jsonl', output: out('users.csv'), resume: true }))
+      .rejects.toThrow(/Checkpoint does not match this export/);
+  });
+});
@@ -679,6 +679,164 @@ describe('Full-Text Plugin', () => {
     });
   });
 
+  describe('Ranking and Query Syntax', () => {
+    let plugin;
+
+    beforeEach(async () => {
+      plugin = new FullTextPlugin({
+        logLevel: 'silent',
+        fields: ['name', 'description'],
+        analyzer: 'en'
+      });
+      await plugin.install(database);
+
+      await products.insertMany([
+        { id: 'p1', name: 'Gaming Mouse', description: 'Wireless gaming mouse with bluetooth and a gaming grade sensor', content: '', category: 'peripherals' },
+        { id: 'p2', name: 'Mouse Pad', description: 'A large pad for any mouse, good for gaming', content: '', category: 'peripherals' },
+        { id: 'p3', name: 'Mechanical Keyboard', description: 'Wireless keyboard with hot swappable switches', content: '', category: 'peripherals' },
+        { id: 'p4', name: 'Office Keyboard', description: 'Quiet keyboard for long running office work, wired', content: '', category: 'peripherals' }
+      ]);
+    });
+
+    const ids = (results) => results.map(r => r.recordId);
+
+    test('should rank by BM25 term frequency and rarity', async () => {
+      const results = await plugin.search('products', 'gaming');
+      expect(ids(results)).toEqual(['p1', 'p2']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+
+      // "switches" appears once in the corpus, "keyboard" in two records
+      const [rare] = await plugin.search('products', 'switches');
+      const [common] = await plugin.search('products', 'keyboard', { fields: ['description'] });
+      expect(rare.score).toBeGreaterThan(common.score);
+    });
+
+    test('should stem and drop stopwords with the configured analyzer', async () => {
+      expect(ids(await plugin.search('products', 'runs', { exactMatch: true }))).toEqual(['p4']);
+      expect(ids(await plugin.search('products', 'keyboards', { exactMatch: true })).sort()).toEqual(['p3', 'p4']);
+      expect(await plugin.search('products', 'the and with')).toEqual([]);
+    });
+
+    test('should match quoted phrases using word positions', async () => {
+      expect(ids(await plugin.search('products', '"gaming mouse"'))).toEqual(['p1']);
+      expect(ids(await plugin.search('products', '"mouse gaming"'))).toEqual([]);
+      // Stopwords keep their slot, so "pad for any mouse" still lines up
+      expect(ids(await plugin.search('products', '"pad for any mouse"'))).toEqual(['p2']);
+    });
+
+    test('should apply boolean operators and field prefixes', async () => {
+      expect(ids(await plugin.search('products', '+wireless -bluetooth'))).toEqual(['p3']);
+      expect(ids(await plugin.search('products', 'keyboard AND NOT quiet'))).toEqual(['p3']);
+      expect(ids(await plugin.search('products', '(quiet OR sensor) AND wireless'))).toEqual(['p1']);
+      expect(ids(await plugin.search('products', 'name:pad'))).toEqual(['p2']);
+      expect(ids(await plugin.search('products', 'mouse keyboard', { operator: 'and' }))).toEqual([]);
+      await expect(plugin.search('products', '-mouse')).rejects.toThrow('only excluded terms');
+    });
+
+    test('should weight fields with boosts', async () => {
+      const plain = await plugin.search('products', 'office wireless');
+      const boosted = await plugin.search('products', 'office wireless', { boosts: { description: 5 } });
+      const score = (results, id) => results.find(r => r.recordId === id).score;
+
+      // p3 matches only in description; p4 also matches "office" in its name
+      expect(score(boosted, 'p3')).toBeCloseTo(score(plain, 'p3') * 5);
+      expect(score(boosted, 'p4')).toBeLessThan(score(plain, 'p4') * 5);
+
+      plugin.config.boosts = { description: 5 };
+      expect(await plugin.search('products', 'office wireless')).toEqual(boosted);
+    });
+
+    test('should expand prefixes from the term dictionary', async () => {
+      expect(ids(await plugin.search('products', 'keyb')).sort()).toEqual(['p3', 'p4']);
+      expect(await plugin.search('products', 'keyb', { exactMatch: true })).toEqual([]);
+
+      await products.delete('p3');
+      await products.update('p4', { name: 'Office Chair', description: 'Ergonomic chair' });
+      expect(await plugin.search('products', 'keyb')).toEqual([]);
+      expect(ids(await plugin.search('products', 'ergo'))).toEqual(['p4']);
+    });
+
+    test('should restore positions and document lengths after a restart', async () => {
+      const before = await plugin.search('products', '"gaming mouse" OR keyboard');
+      await plugin.saveIndexes();
+
+      const restarted = new FullTextPlugin({ logLevel: 'silent', fields: ['name', 'description'], analyzer: 'en' });
+      restarted.indexResource = plugin.indexResource;
+      restarted.documentsResource = plugin.documentsResource;
+      await restarted.loadIndexes();
+
+      expect(await restarted.search('products', '"gaming mouse" OR keyboard')).toEqual(before);
+    });
+
+    test('should use per-resource analyzers for Portuguese and Spanish', async () => {
+      const multilingual = new FullTextPlugin({
+        logLevel: 'silent',
+        fields: ['name'],
+        analyzers: { products: 'pt-BR', users: 'es' }
+      });
+      await multilingual.indexRecord('products', 'pt1', { name: 'Programações das crianças' });
+      await multilingual.indexRecord('users', 'es1', { name: 'Las canciones del verano' });
+
+      expect(ids(await multilingual.search('products', 'programacao criança', { exactMatch: true, operator: 'and' }))).toEqual(['pt1']);
+      expect(ids(await multilingual.search('users', 'canción', { exactMatch: true }))).toEqual(['es1']);
+      expect(await multilingual.search('users', 'las del')).toEqual([]);
+    });
+
+    test('should match typos with fuzzy search, ranked below exact matches', async () => {
+      expect(await plugin.search('products', 'keybaord')).toEqual([]);
+      expect(ids(await plugin.search('products', 'keybaord', { fuzzy: 1 })).sort()).toEqual(['p3', 'p4']);
+      expect(ids(await plugin.search('products', 'mosue wireles', { fuzzy: true })).sort()).toEqual(['p1', 'p2', 'p3']);
+      expect(await plugin.search('products', 'kyebaord', { fuzzy: 1 })).toEqual([]);
+      expect(ids(await plugin.search('products', 'kyebaord', { fuzzy: 2 })).sort()).toEqual(['p3', 'p4']);
+
+      const [typo] = await plugin.search('products', 'keybaord', { fuzzy: 1, fields: ['description'] });
+      const [exact] = await plugin.search('products', 'keyboard', { fields: ['description'] });
+      expect(typo.score).toBeLessThan(exact.score);
+    });
+
+    test('should return highlighted snippets with match offsets', async () => {
+      const [record] = await plugin.searchRecords('products', 'wireless keyboard -quiet', { highlight: true });
+
+      expect(record.id).toBe('p3');
+      expect(record._highlights.name).toEqual({
+        snippet: 'Mechanical Keyboard',
+        offset: 0,
+        matches: [{ start: 11, end: 19 }],
+        highlighted: 'Mechanical <mark>Keyboard</mark>'
+      });
+      expect(record._highlights.description.highlighted).toBe('<mark>Wireless</mark> <mark>keyboard</mark> with hot swappable switches');
+
+      // Stemmed and fuzzy matches highlight the original words
+      const [office] = await plugin.searchRecords('products', 'runs', { highlight: { fields: ['description'], preTag: '[', postTag: ']' } });
+      expect(office._highlights).toEqual({
+        description: expect.objectContaining({ highlighted: 'Quiet keyboard for long [running] office work, wired' })
+      });
+      const [typo] = await plugin.searchRecords('products', 'swappabel', { fuzzy: 1, highlight: true });
+      expect(typo._highlights.description.matches).toEqual([{ start: 27, end: 36 }]);
+    });
+
+    test('should cut long fields around the matches and escape HTML', async () => {
+      const filler = 'Lorem ipsum dolor sit amet consectetur adipiscing elit. '.repeat(5);
+      await products.insert({
+        id: 'p5',
+        name: 'Cable <USB-C> & adapter',
+        description: `${filler}Braided cable with fast charging. ${filler}`,
+        content: '',
+        category: 'peripherals'
+      });
+
+      const [record] = await plugin.searchRecords('products', 'cable', { highlight: { snippetLength: 40 } });
+      const { description, name } = record._highlights;
+
+      expect(name.highlighted).toBe('<mark>Cable</mark> &lt;USB-C&gt; &amp; adapter');
+      expect(description.highlighted).toMatch(/^….*<mark>cable<\/mark>.*…$/);
+      expect(description.snippet.length).toBeLessThanOrEqual(50);
+      const [match] = description.matches;
+      expect(description.snippet.slice(match.start, match.end)).toBe('cable');
+      expect(record.description.slice(description.offset + match.start, description.offset + match.end)).toBe('cable');
+    });
+  });
+
   describe('Error Handling', () => {
     beforeEach(async () => {
       await fullTextPlugin.install(database);
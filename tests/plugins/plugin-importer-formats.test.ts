@@ -0,0 +1,212 @@
+import { ImporterPlugin } from '../../src/plugins/importer/index.js';
+import { ParquetReader } from '../../src/plugins/importer/parquet-reader.js';
+import { XlsxReader } from '../../src/plugins/importer/xlsx-reader.js';
+import { createDatabaseForTest } from '../config.js';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixture = (name) => path.join(__dirname, '../fixtures/importer-formats', name);
+
+const collect = async (iterator) => {
+  const rows = [];
+  for await (const row of iterator) rows.push(row);
+  return rows;
+};
+
+describe('ImporterPlugin - Parquet and Excel', () => {
+  let database;
+  let users;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=plugins/importer-formats');
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        email: 'string|optional',
+        age: 'number|optional',
+        createdAt: 'number|optional',
+        birthYear: 'number|optional',
+        score: 'number|optional',
+        active: 'boolean|optional'
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  const byId = async () => Object.fromEntries((await users.list()).map(user => [user.id, user]));
+
+  describe('Parquet', () => {
+    test('reads typed columns from snappy and gzip/v2-page files alike', async () => {
+      const expected = [
+        {
+          user_id: 'u1', full_name: 'Alice', email: 'alice@example.com', age: 30,
+          signed_up: new Date('2024-01-15T09:30:00Z'), birth_year: 1994, score: 9.5, active: true
+        },
+        {
+          user_id: 'u2', full_name: 'Bob', email: null, age: null,
+          signed_up: new Date('2024-02-01T00:00:00Z'), birth_year: 1999, score: 7.25, active: false
+        },
+        {
+          user_id: 'u3', full_name: 'Chloé', email: 'chloe@example.com', age: 41,
+          signed_up: new Date('2024-03-10T18:45:12Z'), birth_year: 1983, score: 8, active: true
+        }
+      ];
+
+      for (const file of ['users.parquet', 'users-v2-gzip.parquet']) {
+        const reader = await ParquetReader.open(fixture(file));
+        expect(reader.numRows).toBe(3);
+        expect(await collect(reader.rows())).toEqual(expected);
+        expect(await collect(reader.rows({ columns: ['user_id', 'age'] }))).toEqual(
+          expected.map(({ user_id, age }) => ({ user_id, age }))
+        );
+        await reader.close();
+      }
+    });
+
+    test('imports with mapping, schema coercion and progress totals', async () => {
+      const plugin = new ImporterPlugin({
+        logLevel: 'silent',
+        resource: 'users',
+        format: 'parquet',
+        batchSize: 2,
+        mapping: {
+          user_id: 'id',
+          full_name: 'name',
+          email: 'email',
+          age: 'age',
+          signed_up: 'createdAt',
+          birth_year: 'birthYear',
+          score: 'score',
+          active: 'active'
+        }
+      });
+
+      const progress = [];
+      plugin.on('progress', event => progress.push(event));
+
+      await database.usePlugin(plugin);
+      const result = await plugin.import(fixture('users.parquet'));
+
+      expect(result).toMatchObject({ processed: 3, inserted: 3, errors: 0 });
+      expect(progress[0]).toMatchObject({ processed: 2, total: 3, percent: 67 });
+
+      const imported = await byId();
+      expect(imported.u1).toMatchObject({
+        name: 'Alice', age: 30, createdAt: Date.parse('2024-01-15T09:30:00Z'), birthYear: 1994, score: 9.5, active: true
+      });
+      expect(imported.u2.name).toBe('Bob');
+      expect(imported.u2.age ?? null).toBeNull();
+      expect(imported.u3.name).toBe('Chloé');
+    });
+
+    test('rejects nested columns and non-parquet files', async () => {
+      await expect(ParquetReader.open(fixture('nested.parquet'))).rejects.toThrow(/Nested or repeated Parquet column 'tags'/);
+      await expect(ParquetReader.open(fixture('users.xlsx'))).rejects.toThrow(/missing PAR1 footer/);
+
+      const plugin = new ImporterPlugin({ logLevel: 'silent', resource: 'users', format: 'parquet' });
+      await database.usePlugin(plugin);
+      await expect(plugin.import(fixture('missing.parquet'))).rejects.toThrow(/File not found/);
+      await expect(plugin.import(fixture('users.xlsx'))).rejects.toThrow(/Invalid file extension for Parquet driver/);
+    });
+  });
+
+  describe('Excel', () => {
+    test('lists sheets and streams rows with shared strings, dates and errors', async () => {
+      const reader = await XlsxReader.open(fixture('users.xlsx'));
+      expect(reader.sheets.map(sheet => sheet.name)).toEqual(['Summary', 'Users']);
+
+      const summary = await collect(reader.rows('Summary'));
+      expect(summary).toEqual([{ index: 0, values: ['Total users', 4], errors: {} }]);
+
+      let declaredRows = 0;
+      const rows = await collect(reader.rows(1, last => { declaredRows = last; }));
+      expect(declaredRows).toBe(7);
+      expect(rows.map(row => row.index)).toEqual([0, 1, 2, 3, 5, 6]);
+      expect(rows[3].values).toEqual([1002, 'Bob & Co', , '25', new Date('2024-02-01T00:00:00Z'), false, null]);
+      expect(rows[3].errors).toEqual({ G4: '#N/A' });
+      expect(rows[4].values[4]).toEqual(new Date('2024-03-10T18:45:12Z'));
+
+      expect(() => reader.sheet('Missing')).toThrow(/Sheet "Missing" not found/);
+      await reader.close();
+
+      const mac = await XlsxReader.open(fixture('dates-1904.xlsx'));
+      expect(mac.date1904).toBe(true);
+      expect((await collect(mac.rows()))[1].values).toEqual(['launch', new Date('2020-06-01T00:00:00Z')]);
+      await mac.close();
+    });
+
+    test('imports a named sheet below a title row, coercing cells to the schema', async () => {
+      const plugin = new ImporterPlugin({
+        logLevel: 'silent',
+        resource: 'users',
+        format: 'xlsx',
+        sheet: 'Users',
+        headerRow: 1,
+        startRow: 2,
+        batchSize: 2,
+        mapping: {
+          ID: 'id',
+          Name: 'name',
+          Email: 'email',
+          Age: 'age',
+          'Signed Up': 'createdAt',
+          Active: 'active',
+          Score: 'score'
+        }
+      });
+
+      const progress = [];
+      const errors = [];
+      plugin.on('progress', event => progress.push(event));
+      plugin.on('error', error => errors.push(error));
+
+      await database.usePlugin(plugin);
+      const result = await plugin.import(fixture('users.xlsx'));
+
+      expect(result).toMatchObject({ processed: 4, inserted: 4, errors: 0 });
+      expect(progress[0]).toMatchObject({ processed: 2, total: 5, percent: 40 });
+      expect(errors).toEqual([{ row: 4, message: 'Cell G4 contains #N/A' }]);
+
+      const imported = await byId();
+      expect(Object.keys(imported).sort()).toEqual(['1001', '1002', '1003', '1004']);
+      expect(imported['1001']).toMatchObject({ name: 'Alice', age: 30, createdAt: Date.parse('2024-01-15T09:30:00Z'), active: true, score: 9.5 });
+      expect(imported['1002']).toMatchObject({ name: 'Bob & Co', age: 25, active: false });
+      expect(imported['1003'].active).toBe(true);
+      expect(imported['1004']).toMatchObject({ name: 'Dan', active: false, score: 7.75 });
+    });
+
+    test('driverConfig overrides sheet selection and unmapped headers become keys', async () => {
+      await database.createResource({
+        name: 'dates',
+        attributes: { name: 'string|required', day: 'string|required' }
+      });
+
+      const plugin = new ImporterPlugin({
+        logLevel: 'silent',
+        resource: 'dates',
+        format: 'excel',
+        sheet: 'Ignored',
+        driverConfig: { sheet: 0 }
+      });
+      await database.usePlugin(plugin);
+
+      const result = await plugin.import(fixture('dates-1904.xlsx'));
+      expect(result).toMatchObject({ processed: 1, inserted: 1 });
+
+      const [row] = await database.resources.dates.list();
+      expect(row).toMatchObject({ name: 'launch', day: '2020-06-01T00:00:00.000Z' });
+
+      await expect(plugin.import(fixture('users.parquet'))).rejects.toThrow(/Invalid file extension for Excel driver/);
+    });
+  });
+});
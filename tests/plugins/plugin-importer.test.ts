@@ -245,6 +245,33 @@ describe('ImporterPlugin', () => {
       const alice = users.find(u => u.name === 'Alice "Wonder" Smith');
       expect(alice).toBeDefined();
     });
+
+    it('should pass CSV values to insert without attribute coercion', async () => {
+      const flags = await database.createResource({
+        name: 'test_flags',
+        attributes: {
+          id: 'string|optional',
+          name: 'string|required',
+          active: 'boolean|optional'
+        }
+      });
+      const insertSpy = vi.spyOn(flags, 'insert').mockImplementation(async (data) => data);
+
+      const testFile = path.join(testDataDir, 'test-flags.csv');
+      fs.writeFileSync(testFile, ['id,name,active', 'f1,Alice,'].join('\n'));
+
+      const plugin = new ImporterPlugin({
+        logLevel: 'silent',
+        resource: 'test_flags',
+        format: 'csv'
+      });
+
+      await database.usePlugin(plugin);
+      await plugin.import(testFile);
+
+      expect(insertSpy).toHaveBeenCalledWith({ id: 'f1', name: 'Alice', active: '' });
+      insertSpy.mockRestore();
+    });
   });
 
   describe('Field Mapping', () => {
@@ -0,0 +1,186 @@
+import { RelationPlugin } from '#src/plugins/relation.plugin.js';
+import { RelationError } from '#src/plugins/relation.errors.js';
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('RelationPlugin', () => {
+  vi.setConfig({ testTimeout: 60000 });
+  let database;
+  let plugin;
+  let users;
+  let profiles;
+  let posts;
+  let comments;
+  let tags;
+  let postTags;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=plugins/relation');
+    await database.connect();
+
+    users = await database.createResource({
+      name: 'users',
+      attributes: { id: 'string|optional', name: 'string|required', handle: 'string|optional' }
+    });
+    profiles = await database.createResource({
+      name: 'profiles',
+      attributes: { id: 'string|optional', userId: 'string|required', bio: 'string|optional' }
+    });
+    posts = await database.createResource({
+      name: 'posts',
+      asyncPartitions: false,
+      attributes: { id: 'string|optional', userId: 'string|optional', title: 'string|required' },
+      partitions: { byUser: { fields: { userId: 'string' } } }
+    });
+    comments = await database.createResource({
+      name: 'comments',
+      attributes: { id: 'string|optional', postId: 'string|optional', body: 'string|required' }
+    });
+    tags = await database.createResource({
+      name: 'tags',
+      attributes: { id: 'string|optional', label: 'string|required' }
+    });
+    postTags = await database.createResource({
+      name: 'post_tags',
+      attributes: { id: 'string|optional', postId: 'string|required', tagId: 'string|required' }
+    });
+
+    plugin = new RelationPlugin({
+      logLevel: 'silent',
+      relations: {
+        users: {
+          profile: { type: 'hasOne', resource: 'profiles', foreignKey: 'userId', onDelete: 'cascade' },
+          posts: { type: 'hasMany', resource: 'posts', foreignKey: 'userId', onDelete: 'set-null' }
+        },
+        posts: {
+          author: { type: 'belongsTo', resource: 'users', foreignKey: 'userId' },
+          comments: { type: 'hasMany', resource: 'comments', foreignKey: 'postId', onDelete: 'restrict' },
+          tags: { type: 'belongsToMany', resource: 'tags', through: 'post_tags', foreignKey: 'postId', otherKey: 'tagId', onDelete: 'cascade' }
+        },
+        comments: {
+          post: { type: 'belongsTo', resource: 'posts', foreignKey: 'postId' }
+        }
+      }
+    });
+    await database.usePlugin(plugin);
+
+    await users.insert({ id: 'u1', name: 'Ana' });
+    await users.insert({ id: 'u2', name: 'Bia' });
+    await profiles.insert({ id: 'pr1', userId: 'u1', bio: 'writer' });
+    await posts.insert({ id: 'p1', userId: 'u1', title: 'First' });
+    await posts.insert({ id: 'p2', userId: 'u1', title: 'Second' });
+    await posts.insert({ id: 'p3', userId: 'u2', title: 'Third' });
+    await comments.insert({ id: 'c1', postId: 'p1', body: 'Nice' });
+    await tags.insert({ id: 't1', label: 'db' });
+    await tags.insert({ id: 't2', label: 's3' });
+    await postTags.insert({ id: 'pt1', postId: 'p1', tagId: 't1' });
+    await postTags.insert({ id: 'pt2', postId: 'p1', tagId: 't2' });
+    await postTags.insert({ id: 'pt3', postId: 'p2', tagId: 't2' });
+  });
+
+  afterEach(async () => {
+    await database?.disconnect();
+  });
+
+  test('registers under pluginRegistry.relation and exposes definitions', () => {
+    expect(database.pluginRegistry.relation).toBe(plugin);
+    expect(plugin.relations.posts.author).toMatchObject({ type: 'belongsTo', localKey: 'id' });
+    expect(posts._relations).toBe(plugin.relations.posts);
+  });
+
+  test('includes all relation types on get and list', async () => {
+    const user = await users.get('u1', { include: ['profile', 'posts'] });
+    expect(user.profile).toMatchObject({ id: 'pr1', bio: 'writer' });
+    expect(user.posts.map(p => p.id).sort()).toEqual(['p1', 'p2']);
+
+    const list = await posts.list({ include: ['author', 'tags'] });
+    const byId = Object.fromEntries(list.map(p => [p.id, p]));
+    expect(byId.p1.author.name).toBe('Ana');
+    expect(byId.p3.author.name).toBe('Bia');
+    expect(byId.p1.tags.map(t => t.label).sort()).toEqual(['db', 's3']);
+    expect(byId.p3.tags).toEqual([]);
+    expect(JSON.parse(JSON.stringify(byId.p2)).tags.map(t => t.label)).toEqual(['s3']);
+  });
+
+  test('loads nested includes and per-relation limits', async () => {
+    const comment = await comments.get('c1', { include: 'post.author,post.tags' });
+    expect(comment.post.author.id).toBe('u1');
+    expect(comment.post.tags).toHaveLength(2);
+
+    const user = await users.get('u1', { include: { posts: { include: ['comments'], limit: 1 } } });
+    expect(user.posts).toHaveLength(1);
+    expect(Array.isArray(user.posts[0].comments)).toBe(true);
+  });
+
+  test('batches loads and uses partitions on the foreign key', async () => {
+    const before = plugin.getStats();
+    const list = await posts.getMany(['p1', 'p2', 'p3'], { include: ['author'] });
+    expect(list.map(p => p.author.id)).toEqual(['u1', 'u1', 'u2']);
+
+    const after = plugin.getStats();
+    expect(after.batchLoads - before.batchLoads).toBe(1);
+    expect(after.deduplicatedQueries - before.deduplicatedQueries).toBe(1);
+
+    const listPartition = vi.spyOn(posts, 'listPartition');
+    await users.list({ include: ['posts'] });
+    await users.list({ include: ['posts'] });
+    expect(listPartition).toHaveBeenCalledTimes(4);
+    expect(listPartition.mock.calls[0][0].partition).toBe('byUser');
+    expect(plugin.getStats().partitionCacheHits).toBeGreaterThan(0);
+  });
+
+  test('populate accepts the API plugin include tree and mutates in place', async () => {
+    const post = await posts.get('p1');
+    await plugin.populate(posts, post, { author: true, comments: { include: { post: true } } });
+    expect(post.author.name).toBe('Ana');
+    expect(post.comments[0].post.id).toBe('p1');
+
+    const records = await posts.include([{ ...(await posts.get('p3')) }], ['author']);
+    expect(records[0].author.name).toBe('Bia');
+  });
+
+  test('adds cached lazy loaders that stay out of serialization', async () => {
+    const user = await users.get('u1');
+    expect(Object.keys(user)).not.toContain('posts');
+    expect(JSON.parse(JSON.stringify(user)).posts).toBeUndefined();
+
+    const first = await user.posts();
+    expect(first).toHaveLength(2);
+    expect(await user.posts()).toBe(first);
+    expect((await user.profile()).id).toBe('pr1');
+  });
+
+  test('restrict blocks deletes while related records exist', async () => {
+    const error = await posts.delete('p1').catch(err => err);
+    expect(error).toBeInstanceOf(RelationError);
+    expect(error.statusCode).toBe(409);
+    expect(await posts.exists('p1')).toBe(true);
+
+    await comments.delete('c1');
+    await posts.delete('p1');
+    expect(await posts.exists('p1')).toBe(false);
+    expect((await postTags.list()).map(pt => pt.id)).toEqual(['pt3']);
+  });
+
+  test('cascade deletes children and set-null clears foreign keys', async () => {
+    await users.delete('u1');
+
+    expect(await profiles.exists('pr1')).toBe(false);
+    const orphaned = await posts.getMany(['p1', 'p2']);
+    expect(orphaned.every(p => p.userId == null)).toBe(true);
+
+    const stats = plugin.getStats();
+    expect(stats.cascadeDeletes).toBe(1);
+    expect(stats.setNullUpdates).toBe(2);
+  });
+
+  test('rejects invalid definitions and unknown includes', async () => {
+    expect(() => new RelationPlugin({
+      relations: { posts: { author: { type: 'belongsTo', resource: 'users', foreignKey: 'userId', onDelete: 'cascade' } } }
+    })).toThrow(RelationError);
+    expect(() => new RelationPlugin({
+      relations: { posts: { tags: { type: 'belongsToMany', resource: 'tags', foreignKey: 'postId' } } }
+    })).toThrow(/through and otherKey/);
+
+    await expect(posts.get('p1', { include: ['nope'] })).rejects.toThrow(/Relation 'nope' is not defined/);
+  });
+});
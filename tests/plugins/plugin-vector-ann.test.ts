@@ -0,0 +1,160 @@
+import { VectorPlugin } from '#src/plugins/vector.plugin.js';
+import { IvfIndex } from '#src/plugins/vector/ivf-index.js';
+import { euclideanDistance } from '#src/plugins/vector/distances.js';
+import { createDatabaseForTest } from '#tests/config.js';
+
+const CENTERS = [
+  [0, 0, 0, 0],
+  [10, 10, 0, 0],
+  [0, 0, 10, 10]
+];
+
+function pointNear(center, i) {
+  return center.map((value, d) => value + ((i * 7 + d * 3) % 11) / 10 - 0.5);
+}
+
+describe('VectorPlugin - ANN index', () => {
+  vi.setConfig({ testTimeout: 60000 });
+  let database;
+  let plugin;
+  let docs;
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=plugins/vector-ann');
+    await database.connect();
+
+    docs = await database.createResource({
+      name: 'docs',
+      behavior: 'body-overflow',
+      attributes: {
+        id: 'string|optional',
+        category: 'string|required',
+        status: 'string|required',
+        embedding: 'embedding:4'
+      },
+      partitions: {
+        byCategory: { fields: { category: 'string' } }
+      }
+    });
+
+    plugin = new VectorPlugin({
+      logLevel: 'silent',
+      dimensions: 4,
+      distanceMetric: 'euclidean',
+      partitionPolicy: 'allow',
+      ann: { type: 'ivf', trainThreshold: 20, lists: 3, nprobe: 1, filterFields: ['status'] }
+    });
+    await database.usePlugin(plugin);
+
+    const records = [];
+    CENTERS.forEach((center, c) => {
+      for (let i = 0; i < 20; i++) {
+        records.push({
+          id: `c${c}-${i}`,
+          category: `cat${c}`,
+          status: i % 2 === 0 ? 'active' : 'archived',
+          embedding: pointNear(center, i)
+        });
+      }
+    });
+    for (const record of records) await docs.insert(record);
+    await docs.buildVectorIndex();
+  });
+
+  afterEach(async () => {
+    await plugin?.onStop();
+    await database?.disconnect();
+  });
+
+  test('clusters vectors into lists and probes only the nearest', async () => {
+    const meta = await docs.buildVectorIndex();
+    expect(meta.centroids).toHaveLength(3);
+    expect(meta.vectors).toBe(60);
+
+    const query = [10, 10, 0, 0];
+    const { results, stats } = await docs.vectorSearchPaged(query, { limit: 5 });
+    const exact = await docs.vectorSearch(query, { limit: 5, approximate: false });
+
+    expect(stats.approximate).toBe(true);
+    expect(stats.pagesScanned).toBe(1);
+    expect(stats.scannedRecords).toBe(20);
+    expect(results.map(r => r.record.id)).toEqual(exact.map(r => r.record.id));
+    expect(results.every(r => r.record.id.startsWith('c1-'))).toBe(true);
+  });
+
+  test('nprobe widens the search', async () => {
+    const { stats } = await docs.vectorSearchPaged([5, 5, 5, 5], { limit: 3, nprobe: 3 });
+    expect(stats.pagesScanned).toBe(3);
+    expect(stats.scannedRecords).toBe(60);
+  });
+
+  test('keeps the index current on insert, update and delete', async () => {
+    const query = [0, 0, 10, 10];
+
+    await docs.insert({ id: 'fresh', category: 'cat2', status: 'active', embedding: [0, 0, 10, 10] });
+    let results = await docs.vectorSearch(query, { limit: 1 });
+    expect(results[0].record.id).toBe('fresh');
+
+    await docs.update('fresh', { embedding: [10, 10, 0, 0] });
+    results = await docs.vectorSearch(query, { limit: 3 });
+    expect(results.map(r => r.record.id)).not.toContain('fresh');
+    results = await docs.vectorSearch([10, 10, 0, 0], { limit: 1 });
+    expect(results[0].record.id).toBe('fresh');
+
+    await docs.delete('fresh');
+    results = await docs.vectorSearch([10, 10, 0, 0], { limit: 3 });
+    expect(results.map(r => r.record.id)).not.toContain('fresh');
+  });
+
+  test('pre-filters on indexed fields and partition values', async () => {
+    const archived = await docs.vectorSearch([0, 0, 0, 0], { limit: 5, filter: { status: 'archived' } });
+    expect(archived).toHaveLength(5);
+    expect(archived.every(r => r.record.status === 'archived')).toBe(true);
+
+    // Too few matches in the nearest list: keeps probing further lists
+    const { results, stats } = await docs.vectorSearchPaged([0, 0, 0, 0], {
+      limit: 3,
+      partition: 'byCategory',
+      partitionValues: { category: 'cat2' }
+    });
+    expect(stats.pagesScanned).toBeGreaterThan(1);
+    expect(results).toHaveLength(3);
+    expect(results.every(r => r.record.category === 'cat2')).toBe(true);
+
+    const either = await docs.vectorSearch([0, 0, 0, 0], { limit: 40, filter: { category: ['cat0', 'cat1'] } });
+    expect(new Set(either.map(r => r.record.category))).toEqual(new Set(['cat0', 'cat1']));
+
+    await expect(docs.vectorSearch([0, 0, 0, 0], { filter: { embedding: [] } })).rejects.toThrow(/cannot filter on embedding/);
+  });
+
+  test('falls back to the exact scan for other metrics or approximate: false', async () => {
+    const { stats: cosine } = await docs.vectorSearchPaged([1, 1, 1, 1], { limit: 3, distanceMetric: 'cosine' });
+    expect(cosine.approximate).toBe(false);
+
+    const { stats: exact } = await docs.vectorSearchPaged([1, 1, 1, 1], { limit: 3, approximate: false });
+    expect(exact.approximate).toBe(false);
+    expect(exact.scannedRecords).toBe(60);
+
+    const filtered = await docs.vectorSearch([0, 0, 0, 0], { limit: 5, approximate: false, filter: { status: 'active' } });
+    expect(filtered.every(r => r.record.status === 'active')).toBe(true);
+  });
+
+  test('persists through plugin storage and rebuilds from the indexed vectors', async () => {
+    // A second process reads the same objects
+    const reader = new IvfIndex(plugin.getStorage(), 'docs', 'embedding', {
+      metric: 'euclidean',
+      distanceFn: euclideanDistance,
+      nprobe: 1,
+      trainThreshold: 20
+    });
+    const found = await reader.search([0, 0, 10, 10], { limit: 3 });
+    expect(found.listsProbed).toBe(1);
+    expect(found.candidates.every(c => c.id.startsWith('c2-'))).toBe(true);
+
+    const before = await reader.meta();
+    const retrained = await docs.buildVectorIndex({ retrain: true });
+    expect(retrained.version).toBe(before.version + 1);
+    expect(retrained.vectors).toBe(60);
+    expect((await reader.search([0, 0, 10, 10], { limit: 60, nprobe: 3 })).candidates).toHaveLength(60);
+  });
+});
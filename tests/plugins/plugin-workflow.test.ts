@@ -0,0 +1,197 @@
+import { WorkflowPlugin } from '../../src/plugins/workflow.plugin.js';
+import { createDatabaseForTest } from '../config.js';
+
+const waitForStatus = async (plugin, id, statuses = ['completed', 'failed'], timeout = 15000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const execution = await plugin.getExecution(id);
+    if (execution && statuses.includes(execution.status)) return execution;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Execution ${id} did not reach ${statuses.join('/')} in ${timeout}ms`);
+};
+
+describe('WorkflowPlugin', () => {
+  let database;
+  let plugin;
+  let calls;
+  let failures;
+
+  const createPlugin = (options = {}) => new WorkflowPlugin({
+    logLevel: 'silent',
+    pollInterval: 50,
+    maxAttempts: 1,
+    steps: {
+      validate: async (input) => {
+        calls.push('validate');
+        return { total: input.amount * input.quantity };
+      },
+      chargeCard: {
+        run: async (input, ctx) => {
+          calls.push(`chargeCard#${ctx.attempt}`);
+          if (failures.chargeCard > 0) {
+            failures.chargeCard--;
+            throw new Error('card declined');
+          }
+          return { chargeId: `ch_${ctx.executionId}`, amount: ctx.outputs.validate.total };
+        },
+        compensate: async (input, ctx) => {
+          calls.push(`refund:${ctx.output.chargeId}:${ctx.error.step}`);
+        },
+        maxAttempts: 2
+      },
+      reserveStock: {
+        run: async () => {
+          calls.push('reserveStock');
+          return { reservation: 'r1' };
+        },
+        compensate: async () => {
+          calls.push('releaseStock');
+        }
+      },
+      sendEmail: async () => {
+        calls.push('sendEmail');
+        if (failures.sendEmail > 0) {
+          failures.sendEmail--;
+          throw new Error('smtp down');
+        }
+        return { sent: true };
+      }
+    },
+    workflows: {
+      checkout: { steps: ['validate', 'chargeCard', 'reserveStock', 'sendEmail'] }
+    },
+    ...options
+  });
+
+  beforeEach(async () => {
+    calls = [];
+    failures = { chargeCard: 0, sendEmail: 0 };
+    database = createDatabaseForTest('suite=plugins/workflow');
+    await database.connect();
+    plugin = createPlugin();
+    await database.usePlugin(plugin);
+  });
+
+  afterEach(async () => {
+    await plugin?.stop();
+    await database?.disconnect();
+  });
+
+  test('runs steps in order and checkpoints their outputs', async () => {
+    const completed = [];
+    plugin.on('plg:workflow:completed', (event) => completed.push(event));
+
+    const started = await plugin.execute('checkout', { amount: 10, quantity: 3 });
+    expect(started).toMatchObject({ workflow: 'checkout', status: 'pending', run: 1, currentStep: 0 });
+
+    const execution = await waitForStatus(plugin, started.id);
+    expect(execution.status).toBe('completed');
+    expect(execution.output).toEqual({ sent: true });
+    expect(execution.steps.map(step => [step.name, step.status, step.attempts])).toEqual([
+      ['validate', 'completed', 1],
+      ['chargeCard', 'completed', 1],
+      ['reserveStock', 'completed', 1],
+      ['sendEmail', 'completed', 1]
+    ]);
+    expect(execution.steps[1].output).toEqual({ chargeId: `ch_${started.id}`, amount: 30 });
+    expect(execution.history.map(entry => entry.type)).toEqual([
+      'started', 'step-completed', 'step-completed', 'step-completed', 'step-completed', 'completed'
+    ]);
+    expect(calls).toEqual(['validate', 'chargeCard#1', 'reserveStock', 'sendEmail']);
+    expect(completed).toEqual([{ executionId: started.id, workflow: 'checkout', output: { sent: true } }]);
+
+    const transitions = await plugin.stateMachinePlugin.getTransitionHistory('workflow', started.id);
+    expect(transitions.map(t => t.to).reverse()).toEqual(['running', 'completed']);
+
+    expect(await plugin.execute('checkout', {}, { id: started.id })).toMatchObject({ status: 'completed' });
+    expect(await plugin.listExecutions({ workflow: 'checkout', status: 'completed' })).toHaveLength(1);
+  });
+
+  test('retries a failing step through the queue', async () => {
+    failures.chargeCard = 1;
+    const retries = [];
+    plugin.on('plg:workflow:step-retry', (event) => retries.push(event));
+
+    const { id } = await plugin.execute('checkout', { amount: 5, quantity: 1 });
+    const execution = await waitForStatus(plugin, id);
+
+    expect(execution.status).toBe('completed');
+    expect(execution.steps[1]).toMatchObject({ status: 'completed', attempts: 2, error: null });
+    expect(calls.filter(call => call.startsWith('chargeCard'))).toEqual(['chargeCard#1', 'chargeCard#2']);
+    expect(retries).toEqual([expect.objectContaining({ step: 'chargeCard', attempt: 1, error: 'card declined' })]);
+    expect(execution.history.filter(entry => entry.step === 'chargeCard').map(entry => entry.type))
+      .toEqual(['step-failed', 'step-completed']);
+  });
+
+  test('compensates completed steps in reverse order when a step fails', async () => {
+    failures.sendEmail = 1;
+    const { id } = await plugin.execute('checkout', { amount: 5, quantity: 2 });
+    const execution = await waitForStatus(plugin, id);
+
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toEqual({ step: 'sendEmail', message: 'smtp down' });
+    expect(calls).toEqual([
+      'validate', 'chargeCard#1', 'reserveStock', 'sendEmail',
+      'releaseStock', `refund:ch_${id}:sendEmail`
+    ]);
+    expect(execution.steps.map(step => step.status)).toEqual(['completed', 'compensated', 'compensated', 'failed']);
+    expect(execution.history.map(entry => entry.type).slice(-4)).toEqual([
+      'step-failed', 'step-compensated', 'step-compensated', 'failed'
+    ]);
+
+    const transitions = await plugin.stateMachinePlugin.getTransitionHistory('workflow', id);
+    expect(transitions.map(t => t.to).reverse()).toEqual(['running', 'compensating', 'failed']);
+  });
+
+  test('replays failed executions, reusing checkpoints of steps that were not compensated', async () => {
+    failures.sendEmail = 1;
+    const { id } = await plugin.execute('checkout', { amount: 2, quantity: 2 });
+    await waitForStatus(plugin, id);
+
+    await expect(plugin.replay(id, { fromStep: 'nope' })).rejects.toThrow(/Step 'nope' is not part of workflow 'checkout'/);
+
+    calls = [];
+    const replayed = await plugin.replay(id);
+    expect(replayed).toMatchObject({ status: 'running', run: 2, currentStep: 1, error: null });
+
+    const execution = await waitForStatus(plugin, id);
+    expect(execution.status).toBe('completed');
+    expect(calls).toEqual(['chargeCard#1', 'reserveStock', 'sendEmail']);
+    expect(execution.steps[0]).toMatchObject({ status: 'completed', output: { total: 4 } });
+    expect(execution.history.filter(entry => entry.run === 2).map(entry => entry.type)).toEqual([
+      'replayed', 'step-completed', 'step-completed', 'step-completed', 'completed'
+    ]);
+
+    await expect(plugin.replay(id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('continues executions from their checkpoints on another worker', async () => {
+    await plugin.stopProcessing();
+    const { id } = await plugin.execute('checkout', { amount: 1, quantity: 1 });
+    expect((await plugin.getExecution(id)).status).toBe('pending');
+
+    const worker = createPlugin();
+    await worker.install(database);
+    await worker.start();
+    try {
+      const execution = await waitForStatus(worker, id);
+      expect(execution.status).toBe('completed');
+      expect(execution.steps.every(step => step.attempts === 1)).toBe(true);
+    } finally {
+      await worker.stop();
+    }
+  });
+
+  test('validates workflows and executions', async () => {
+    await expect(plugin.execute('missing')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(plugin.replay('unknown')).rejects.toThrow(/Execution 'unknown' not found/);
+    expect(await plugin.getExecution('unknown')).toBeNull();
+
+    plugin.registerWorkflow('broken', ['validate', 'ghost']);
+    await expect(plugin.execute('broken')).rejects.toThrow(/unregistered steps: ghost/);
+
+    expect(() => plugin.registerWorkflow('empty', { steps: [] })).toThrow(/must list at least one step/);
+    expect(() => plugin.registerStep('bad', {})).toThrow(/must be a function or define run\(\)/);
+  });
+});
@@ -0,0 +1,182 @@
+import { S3QueuePlugin } from '../../../src/plugins/s3-queue.plugin.js';
+import { createMemoryDatabaseForTest } from '../../config.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (predicate, timeout = 10000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await predicate()) return;
+    await sleep(25);
+  }
+  throw new Error(`Condition not met in ${timeout}ms`);
+};
+
+describe('S3QueuePlugin - Priority, delayed delivery, groups and deduplication', () => {
+  let database;
+  let resource;
+  let plugin;
+
+  const install = async (options = {}) => {
+    plugin = new S3QueuePlugin({
+      logLevel: 'silent',
+      resource: 'jobs',
+      autoStart: false,
+      autoAcknowledge: true,
+      pollInterval: 25,
+      maxPollInterval: 100,
+      startupJitterMax: 0,
+      visibilityTimeout: 5000,
+      ...options
+    });
+    await plugin.install(database);
+  };
+
+  beforeEach(async () => {
+    // Concurrent claims need atomic conditional writes (as on S3); the filesystem client does not lock by default
+    database = createMemoryDatabaseForTest('suite=plugins/s3-queue-priority', { logLevel: 'silent' });
+    await database.connect();
+
+    resource = await database.createResource({
+      name: 'jobs',
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required'
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await plugin?.stop();
+    await database?.disconnect();
+  });
+
+  test('processes higher priorities first and reports them in queueStats()', async () => {
+    await install({ enableCoordinator: false });
+
+    await resource.enqueue({ name: 'low-1' });
+    await resource.enqueue({ name: 'high' }, { priority: 10 });
+    await resource.enqueue({ name: 'low-2' });
+    await resource.enqueue({ name: 'urgent' }, { priority: 50 });
+    await resource.enqueue({ name: 'background' }, { priority: -5 });
+
+    const stats = await resource.queueStats();
+    expect(stats).toMatchObject({ pending: 5, delayed: 0, priorities: { '-5': 1, '0': 2, '10': 1, '50': 1 } });
+
+    const order = [];
+    await resource.startProcessing(async (job) => { order.push(job.name); }, { concurrency: 1 });
+    await waitFor(() => order.length === 5);
+
+    expect(order).toEqual(['urgent', 'high', 'low-1', 'low-2', 'background']);
+  });
+
+  test('delays delivery with delaySeconds and notBefore', async () => {
+    await install();
+
+    const enqueuedAt = Date.now();
+    await resource.enqueue({ name: 'soon' }, { delaySeconds: 0.6 });
+    await resource.enqueue({ name: 'later' }, { notBefore: new Date(Date.now() + 60 * 60 * 1000) });
+    await resource.enqueue({ name: 'now' });
+
+    expect(await resource.queueStats()).toMatchObject({ pending: 3, delayed: 2 });
+
+    const processed = new Map();
+    await resource.startProcessing(async (job) => { processed.set(job.name, Date.now()); }, { concurrency: 1 });
+    await waitFor(() => processed.has('soon'));
+    await sleep(200);
+
+    expect(processed.get('now')).toBeLessThan(processed.get('soon'));
+    expect(processed.get('soon') - enqueuedAt).toBeGreaterThanOrEqual(600);
+    expect(processed.has('later')).toBe(false);
+    expect((await resource.queueStats()).delayed).toBe(1);
+  });
+
+  test('keeps per-group order while processing groups in parallel', async () => {
+    await install();
+
+    let releaseA1;
+    const a1Blocked = new Promise(resolve => { releaseA1 = resolve; });
+    const started = [];
+    const completed = [];
+    const active = new Map();
+    let maxPerGroup = 0;
+
+    await resource.enqueue({ name: 'a1' }, { groupId: 'customer-a' });
+    await resource.enqueue({ name: 'a2' }, { groupId: 'customer-a' });
+    await resource.enqueue({ name: 'a3' }, { groupId: 'customer-a', priority: 100 });
+    await resource.enqueue({ name: 'b1' }, { groupId: 'customer-b' });
+    await resource.enqueue({ name: 'b2' }, { groupId: 'customer-b' });
+    await resource.enqueue({ name: 'solo' });
+
+    expect((await resource.queueStats()).groups).toEqual({ total: 2, processing: 0 });
+
+    await resource.startProcessing(async (job) => {
+      const group = job.name === 'solo' ? job.name : job.name[0];
+      active.set(group, (active.get(group) || 0) + 1);
+      maxPerGroup = Math.max(maxPerGroup, active.get(group));
+      started.push(job.name);
+      try {
+        // The first a1 attempt holds its worker until released, then fails
+        if (job.name === 'a1' && started.filter(name => name === 'a1').length === 1) {
+          await a1Blocked;
+          throw new Error('try again');
+        }
+        completed.push(job.name);
+      } finally {
+        active.set(group, active.get(group) - 1);
+      }
+    }, { concurrency: 3 });
+
+    try {
+      // Group b and ungrouped work finish while a1 is still running
+      await waitFor(() => completed.includes('b2') && completed.includes('solo'), 15000);
+      expect(started.filter(name => name.startsWith('a'))).toEqual(['a1']);
+      expect(completed.filter(name => name.startsWith('b'))).toEqual(['b1', 'b2']);
+    } finally {
+      releaseA1();
+    }
+
+    await waitFor(() => completed.length === 6, 15000);
+
+    // a1 is retried after its backoff and still holds back a2 and a3
+    expect(started.filter(name => name.startsWith('a'))).toEqual(['a1', 'a1', 'a2', 'a3']);
+    expect(completed.filter(name => name.startsWith('a'))).toEqual(['a1', 'a2', 'a3']);
+    expect(maxPerGroup).toBe(1);
+
+    expect((await resource.queueStats()).groups).toEqual({ total: 0, processing: 0 });
+  });
+
+  test('drops duplicates within the deduplication window', async () => {
+    await install({ deduplicationWindow: 1000 });
+
+    const deduplicated = [];
+    plugin.on('plg:s3-queue:message-deduplicated', (event) => deduplicated.push(event));
+
+    const first = await resource.enqueue({ name: 'invoice-42' }, { deduplicationId: 'invoice-42' });
+    const second = await resource.enqueue({ name: 'invoice-42 again' }, { deduplicationId: 'invoice-42' });
+
+    expect(second.id).toBe(first.id);
+    expect(second.name).toBe('invoice-42');
+    expect(deduplicated).toEqual([{ id: first.id, deduplicationId: 'invoice-42' }]);
+    expect(await resource.queueStats()).toMatchObject({ pending: 1, deduplicated: 1 });
+
+    await sleep(1100);
+    const third = await resource.enqueue({ name: 'invoice-42 later' }, { deduplicationId: 'invoice-42' });
+    expect(third.id).not.toBe(first.id);
+    expect(await resource.queueStats()).toMatchObject({ pending: 2, deduplicated: 1 });
+
+    // A failed enqueue releases its deduplication id
+    await expect(resource.enqueue({ id: first.id, name: 'clash' }, { deduplicationId: 'order-7' })).rejects.toThrow();
+    const retried = await resource.enqueue({ name: 'order-7' }, { deduplicationId: 'order-7' });
+    expect(retried.name).toBe('order-7');
+  });
+
+  test('rejects invalid enqueue options', async () => {
+    await install();
+
+    await expect(resource.enqueue({ name: 'x' }, { priority: 1.5 })).rejects.toThrow(/Invalid priority/);
+    await expect(resource.enqueue({ name: 'x' }, { delaySeconds: -1 })).rejects.toThrow(/Invalid delaySeconds/);
+    await expect(resource.enqueue({ name: 'x' }, { notBefore: 'tomorrow-ish' })).rejects.toThrow(/Invalid notBefore/);
+    expect(await resource.countQueue('all')).toBe(0);
+  });
+});
@@ -0,0 +1,318 @@
+import { vi } from 'vitest';
+
+import { createDatabaseForTest } from '../../config.js';
+import { SchedulerPlugin } from '../../../src/plugins/scheduler.plugin.js';
+import {
+  buildMockActions,
+  createTestPlugin,
+  restoreTimerMocks,
+  setupTimerMocks,
+} from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('SchedulerPlugin - Dependencies, Backfill & Catch-up', () => {
+  let database;
+  let plugin;
+  let runs;
+
+  const recordingAction = (name, { failFor = new Set() } = {}) => vi.fn(async (db, ctx) => {
+    const logicalDate = ctx.logicalDate.toISOString();
+    if (failFor.has(logicalDate)) {
+      throw new Error(`${name} failed for ${logicalDate}`);
+    }
+    runs.push(`${name}@${logicalDate}`);
+    return { name, logicalDate };
+  });
+
+  const pipelineJobs = (options = {}) => ({
+    extract: {
+      schedule: '0 * * * *',
+      action: recordingAction('extract', options),
+      enabled: false,
+    },
+    transform: {
+      schedule: '0 * * * *',
+      action: recordingAction('transform'),
+      enabled: false,
+      dependsOn: 'extract',
+    },
+    load: {
+      schedule: '0 * * * *',
+      action: recordingAction('load'),
+      enabled: false,
+      dependsOn: ['extract', 'transform'],
+    },
+  });
+
+  beforeEach(async () => {
+    setupTimerMocks();
+    runs = [];
+    database = createDatabaseForTest('suite=plugins/scheduler-dependencies');
+    await database.connect();
+  });
+
+  afterEach(async () => {
+    if (plugin?.stop) {
+      await plugin.stop();
+    }
+    plugin = null;
+    restoreTimerMocks();
+    await database?.disconnect();
+  });
+
+  describe('dependsOn validation', () => {
+    const action = buildMockActions().testAction;
+
+    it('should reject unknown upstream jobs', () => {
+      expect(() => new SchedulerPlugin({
+        logLevel: 'silent',
+        jobs: { load: { schedule: '@daily', action, dependsOn: 'extract' } },
+      })).toThrow("Job 'load' depends on unknown job 'extract'");
+    });
+
+    it('should reject self dependencies and cycles', () => {
+      expect(() => new SchedulerPlugin({
+        logLevel: 'silent',
+        jobs: { a: { schedule: '@daily', action, dependsOn: 'a' } },
+      })).toThrow("Job 'a' cannot depend on itself");
+
+      expect(() => new SchedulerPlugin({
+        logLevel: 'silent',
+        jobs: {
+          a: { schedule: '@daily', action, dependsOn: 'c' },
+          b: { schedule: '@daily', action, dependsOn: 'a' },
+          c: { schedule: '@daily', action, dependsOn: 'b' },
+        },
+      })).toThrow('Dependency cycle detected: a -> c -> b -> a');
+    });
+
+    it('should reject invalid catchUp policies', () => {
+      expect(() => new SchedulerPlugin({
+        logLevel: 'silent',
+        catchUp: 'everything',
+        jobs: { a: { schedule: '@daily', action } },
+      })).toThrow("Invalid catchUp policy 'everything'");
+    });
+
+    it('should validate dependencies in addJob and protect upstreams in removeJob', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      expect(() => plugin.addJob('report', {
+        schedule: '0 * * * *',
+        action,
+        dependsOn: 'missing',
+      })).toThrow("Job 'report' depends on unknown job 'missing'");
+
+      plugin.addJob('report', { schedule: '0 * * * *', action, dependsOn: ['load'], enabled: false });
+      expect(plugin.getJobStatus('report').dependsOn).toEqual(['load']);
+
+      expect(() => plugin.removeJob('transform')).toThrow("Job 'transform' is a dependency of: load");
+      plugin.removeJob('report');
+      expect(plugin.jobs.has('report')).toBe(false);
+    });
+  });
+
+  describe('Backfill', () => {
+    it('should run missed runs in order and wait for upstream jobs of the same logical date', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      const result = await plugin.backfill('extract', {
+        from: '2026-01-01T00:00:00.000Z',
+        to: '2026-01-01T02:30:00.000Z',
+        includeDependents: true,
+      });
+
+      expect(result.enqueued.map(run => `${run.jobName}@${run.logicalDate.toISOString()}`)).toEqual([
+        'extract@2026-01-01T00:00:00.000Z',
+        'extract@2026-01-01T01:00:00.000Z',
+        'extract@2026-01-01T02:00:00.000Z',
+        'transform@2026-01-01T00:00:00.000Z',
+        'transform@2026-01-01T01:00:00.000Z',
+        'transform@2026-01-01T02:00:00.000Z',
+        'load@2026-01-01T00:00:00.000Z',
+        'load@2026-01-01T01:00:00.000Z',
+        'load@2026-01-01T02:00:00.000Z',
+      ]);
+
+      await plugin.drain();
+
+      expect(runs).toHaveLength(9);
+      for (const hour of ['00', '01', '02']) {
+        const date = `2026-01-01T${hour}:00:00.000Z`;
+        expect(runs.indexOf(`extract@${date}`)).toBeLessThan(runs.indexOf(`transform@${date}`));
+        expect(runs.indexOf(`transform@${date}`)).toBeLessThan(runs.indexOf(`load@${date}`));
+      }
+      expect(runs.filter(run => run.startsWith('extract'))).toEqual([
+        'extract@2026-01-01T00:00:00.000Z',
+        'extract@2026-01-01T01:00:00.000Z',
+        'extract@2026-01-01T02:00:00.000Z',
+      ]);
+
+      const history = await plugin.getJobHistory('load');
+      expect(history.map(entry => entry.logicalDate.toISOString()).sort()).toEqual([
+        '2026-01-01T00:00:00.000Z',
+        '2026-01-01T01:00:00.000Z',
+        '2026-01-01T02:00:00.000Z',
+      ]);
+      expect(history.every(entry => entry.trigger === 'dependency' || entry.trigger === 'backfill')).toBe(true);
+    });
+
+    it('should skip runs that already succeeded', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      const range = { from: '2026-01-01T00:00:00.000Z', to: '2026-01-01T01:00:00.000Z' };
+      await plugin.backfill('extract', range);
+      await plugin.drain();
+
+      const again = await plugin.backfill('extract', range);
+      await plugin.drain();
+
+      expect(again.enqueued).toEqual([]);
+      expect(again.skipped).toHaveLength(2);
+      expect(runs).toHaveLength(2);
+    });
+
+    it('should keep dependents waiting until a failed upstream succeeds', async () => {
+      const logicalDate = '2026-01-01T05:00:00.000Z';
+      const failFor = new Set([logicalDate]);
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs({ failFor }) });
+      await plugin.install(database);
+
+      const waiting = [];
+      plugin.on('plg:scheduler:job-waiting', event => waiting.push(event));
+
+      await plugin.backfill('extract', { from: logicalDate, to: logicalDate, includeDependents: true });
+      await plugin.drain();
+
+      expect(runs).toEqual([]);
+      expect(plugin.getJobStatus('transform').waitingRuns).toEqual([new Date(logicalDate)]);
+      expect(plugin.getJobStatus('load').waitingRuns).toEqual([new Date(logicalDate)]);
+      expect(waiting.find(event => event.jobName === 'load').waitingOn).toEqual(['extract', 'transform']);
+
+      failFor.clear();
+      await plugin.runJob('extract', { logicalDate });
+      await plugin.drain();
+
+      expect(runs).toEqual([
+        `extract@${logicalDate}`,
+        `transform@${logicalDate}`,
+        `load@${logicalDate}`,
+      ]);
+      expect(plugin.getJobStatus('load').waitingRuns).toEqual([]);
+    });
+
+    it('should reject invalid ranges', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      await expect(plugin.backfill('missing', { from: 0, to: 1 })).rejects.toThrow("Job 'missing' not found");
+      await expect(plugin.backfill('extract', { from: 'yesterday', to: Date.now() })).rejects.toThrow("Invalid from 'yesterday'");
+      await expect(plugin.backfill('extract', { from: Date.now(), to: Date.now() - HOUR })).rejects.toThrow('ends before it starts');
+    });
+  });
+
+  describe('runJob with dependencies', () => {
+    it('should refuse to run before upstream jobs succeeded unless told otherwise', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      const logicalDate = new Date('2026-02-01T10:00:00.000Z');
+
+      await expect(plugin.runJob('transform', { logicalDate })).rejects.toThrow(
+        "Job 'transform' is waiting on upstream jobs for 2026-02-01T10:00:00.000Z"
+      );
+
+      await plugin.runJob('transform', { logicalDate, ignoreDependencies: true });
+      await plugin.runJob('extract', { logicalDate });
+      await plugin.runJob('load', { logicalDate });
+
+      expect(runs).toEqual([
+        'transform@2026-02-01T10:00:00.000Z',
+        'extract@2026-02-01T10:00:00.000Z',
+        'load@2026-02-01T10:00:00.000Z',
+      ]);
+    });
+
+    it('should default the logical date to the latest cron slot', async () => {
+      plugin = createTestPlugin(undefined, { jobs: pipelineJobs() });
+      await plugin.install(database);
+
+      await plugin.runJob('extract');
+
+      const currentHour = new Date(Math.floor(Date.now() / HOUR) * HOUR).toISOString();
+      expect(runs).toEqual([`extract@${currentHour}`]);
+    });
+  });
+
+  describe('Catch-up after coordinator failover', () => {
+    const hourlyJobs = (catchUp) => ({
+      sync: {
+        schedule: '0 * * * *',
+        action: recordingAction('sync'),
+        enabled: true,
+        catchUp,
+      },
+    });
+
+    const promote = async () => {
+      const catchUps = [];
+      plugin.on('plg:scheduler:catch-up', event => catchUps.push(event));
+      await plugin.onBecomeCoordinator();
+      await plugin.drain();
+      return catchUps;
+    };
+
+    it('should run every missed slot since the last recorded run with catchUp: all', async () => {
+      plugin = createTestPlugin(undefined, { jobs: hourlyJobs('all') });
+      await plugin.install(database);
+
+      const currentHour = Math.floor(Date.now() / HOUR) * HOUR;
+      await plugin.runJob('sync', { logicalDate: currentHour - 3 * HOUR });
+      runs = [];
+
+      const catchUps = await promote();
+
+      const expected = [currentHour - 2 * HOUR, currentHour - HOUR, currentHour]
+        .filter(time => time < Date.now())
+        .map(time => new Date(time).toISOString());
+      expect(catchUps).toHaveLength(1);
+      expect(catchUps[0].policy).toBe('all');
+      expect(runs).toEqual(expected.map(date => `sync@${date}`));
+    });
+
+    it('should run only the most recent missed slot with catchUp: latest', async () => {
+      plugin = createTestPlugin(undefined, { jobs: hourlyJobs('latest') });
+      await plugin.install(database);
+
+      const currentHour = Math.floor(Date.now() / HOUR) * HOUR;
+      await plugin.runJob('sync', { logicalDate: currentHour - 3 * HOUR });
+      runs = [];
+
+      await promote();
+
+      expect(runs).toEqual([`sync@${new Date(currentHour).toISOString()}`]);
+    });
+
+    it('should not replay anything by default or without recorded runs', async () => {
+      plugin = createTestPlugin(undefined, { jobs: hourlyJobs(undefined) });
+      await plugin.install(database);
+
+      await plugin.runJob('sync', { logicalDate: Date.now() - 5 * HOUR });
+      runs = [];
+      expect(await promote()).toEqual([]);
+      await plugin.stop();
+
+      database = createDatabaseForTest('suite=plugins/scheduler-dependencies-fresh');
+      await database.connect();
+      plugin = createTestPlugin(undefined, { jobs: hourlyJobs('all') });
+      await plugin.install(database);
+
+      expect(await promote()).toEqual([]);
+      expect(runs).toEqual([]);
+    });
+  });
+});
@@ -110,9 +110,11 @@ describe('SchedulerPlugin - Management & Scheduling', () => {
         enabled: true,
         schedule: '*/5 * * * *',
         description: 'Test job that runs every 5 minutes',
+        dependsOn: [],
         lastRun: null,
         nextRun: expect.any(Date),
         isRunning: false,
+        waitingRuns: [],
         statistics: {
           totalRuns: 0,
           totalSuccesses: 0,
@@ -187,6 +189,8 @@ describe('SchedulerPlugin - Management & Scheduling', () => {
       expect(history[0]).toEqual({
         id: expect.any(String),
         status: 'success',
+        logicalDate: expect.any(Date),
+        trigger: 'manual',
         startTime: expect.any(Date),
         endTime: expect.any(Date),
         duration: expect.any(Number),
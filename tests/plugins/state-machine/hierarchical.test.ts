@@ -0,0 +1,274 @@
+import { createDatabaseForTest } from '../../config.js';
+import { StateMachinePlugin } from '../../../src/plugins/state-machine.plugin.js';
+
+const orderMachine = {
+  initialState: 'pending',
+  states: {
+    pending: {
+      on: { PAY: 'processing' },
+      after: { '30m': 'expired' }
+    },
+    processing: {
+      type: 'parallel',
+      entry: 'enterProcessing',
+      exit: 'exitProcessing',
+      on: { HOLD: 'onHold', CANCEL: 'cancelled' },
+      onDone: 'completed',
+      states: {
+        payment: {
+          initialState: 'authorizing',
+          states: {
+            authorizing: { on: { AUTHORIZED: 'capturing' }, entry: 'enterAuthorizing', exit: 'exitAuthorizing' },
+            capturing: { on: { CAPTURED: 'paid' } },
+            paid: { type: 'final' }
+          }
+        },
+        fulfilment: {
+          initialState: 'picking',
+          states: {
+            picking: { on: { PICKED: 'packing' } },
+            packing: { on: { SHIPPED: 'shipped' } },
+            shipped: { type: 'final' }
+          }
+        },
+        resume: { type: 'history', history: 'deep' }
+      }
+    },
+    onHold: { on: { RESUME: 'processing.resume' } },
+    completed: { type: 'final' },
+    cancelled: { type: 'final' },
+    expired: { type: 'final' }
+  }
+};
+
+const supportMachine = {
+  initialState: 'open',
+  states: {
+    open: {
+      initialState: 'triage',
+      entry: 'enterOpen',
+      exit: 'exitOpen',
+      on: { CLOSE: 'closed', PAUSE: 'paused' },
+      states: {
+        triage: { on: { ASSIGN: 'assigned' }, entry: 'enterTriage', exit: 'exitTriage' },
+        assigned: { on: { ESCALATE: 'escalated', REPLY: 'waiting' } },
+        waiting: { on: { REPLY: 'assigned' }, after: { 200: 'assigned' } },
+        escalated: {},
+        last: { type: 'history' }
+      }
+    },
+    paused: { on: { UNPAUSE: 'open.last' } },
+    closed: { type: 'final' }
+  }
+};
+
+describe('StateMachinePlugin - Hierarchical and parallel states', () => {
+  let database;
+  let plugin;
+  let calls;
+
+  const createPlugin = (options = {}) => {
+    const record = (name) => vi.fn(async (context, event) => { calls.push(`${name}:${event}`); });
+    return new StateMachinePlugin({
+      logLevel: 'silent',
+      enableCoordinator: false,
+      stateMachines: { order: orderMachine, support: supportMachine },
+      actions: {
+        enterProcessing: record('enterProcessing'),
+        exitProcessing: record('exitProcessing'),
+        enterAuthorizing: record('enterAuthorizing'),
+        exitAuthorizing: record('exitAuthorizing'),
+        enterOpen: record('enterOpen'),
+        exitOpen: record('exitOpen'),
+        enterTriage: record('enterTriage'),
+        exitTriage: record('exitTriage')
+      },
+      ...options
+    });
+  };
+
+  beforeEach(async () => {
+    calls = [];
+    database = createDatabaseForTest('suite=plugins/state-machine-hierarchical');
+    await database.connect();
+    plugin = createPlugin();
+    await plugin.install(database);
+  });
+
+  afterEach(async () => {
+    await plugin?.stop();
+    await database?.disconnect();
+  });
+
+  const timers = () => database.resources[plugin.config.timerResource].list();
+
+  it('enters nested initial states and runs parent entry/exit around children', async () => {
+    expect(await plugin.initializeEntity('support', 't1')).toBe('open.triage');
+    expect(calls).toEqual(['enterOpen:INIT', 'enterTriage:INIT']);
+    expect(await plugin.getValidEvents('support', 't1')).toEqual(['ASSIGN', 'CLOSE', 'PAUSE']);
+
+    calls = [];
+    const result = await plugin.send('support', 't1', 'ASSIGN');
+    expect(result).toMatchObject({ from: 'open.triage', to: 'open.assigned' });
+    expect(calls).toEqual(['exitTriage:ASSIGN']);
+
+    // Events bubble to the parent, which exits the child before itself
+    calls = [];
+    await plugin.send('support', 't1', 'CLOSE');
+    expect(await plugin.getState('support', 't1')).toBe('closed');
+    expect(calls).toEqual(['exitOpen:CLOSE']);
+
+    await expect(plugin.send('support', 't1', 'ASSIGN')).rejects.toThrow("Event 'ASSIGN' not valid for state 'closed'");
+  });
+
+  it('moves parallel regions independently and takes onDone when all are final', async () => {
+    await plugin.initializeEntity('order', 'o1');
+    const transitions = [];
+    plugin.on('plg:state-machine:transition', (event) => transitions.push(event));
+
+    await plugin.send('order', 'o1', 'PAY');
+    expect(await plugin.getActiveStates('order', 'o1')).toEqual(['processing.payment.authorizing', 'processing.fulfilment.picking']);
+    expect(calls).toEqual(['enterProcessing:PAY', 'enterAuthorizing:PAY']);
+    expect(await plugin.matches('order', 'o1', 'processing.payment')).toBe(true);
+
+    await plugin.send('order', 'o1', 'PICKED');
+    await plugin.send('order', 'o1', 'AUTHORIZED');
+    await plugin.send('order', 'o1', 'CAPTURED');
+    expect(await plugin.getState('order', 'o1')).toBe('processing.payment.paid,processing.fulfilment.packing');
+
+    const result = await plugin.send('order', 'o1', 'SHIPPED');
+    expect(result.to).toBe('completed');
+    expect(transitions.slice(-2).map(t => [t.event, t.to])).toEqual([
+      ['SHIPPED', 'processing.payment.paid,processing.fulfilment.shipped'],
+      ['done.state.processing', 'completed']
+    ]);
+    expect(calls.slice(-1)).toEqual(['exitProcessing:done.state.processing']);
+
+    const history = await plugin.getTransitionHistory('order', 'o1');
+    expect(history[0]).toMatchObject({ event: 'done.state.processing', to: 'completed' });
+  });
+
+  it('restores deep and shallow history, including after a restart', async () => {
+    await plugin.initializeEntity('order', 'o2');
+    await plugin.send('order', 'o2', 'PAY');
+    await plugin.send('order', 'o2', 'AUTHORIZED');
+    await plugin.send('order', 'o2', 'PICKED');
+    await plugin.send('order', 'o2', 'HOLD');
+    expect(await plugin.getState('order', 'o2')).toBe('onHold');
+
+    const restarted = createPlugin();
+    await restarted.install(database);
+    await restarted.send('order', 'o2', 'RESUME');
+    expect(await restarted.getState('order', 'o2')).toBe('processing.payment.capturing,processing.fulfilment.packing');
+    await restarted.stop();
+
+    await plugin.initializeEntity('support', 't2');
+    await plugin.send('support', 't2', 'ASSIGN');
+    await plugin.send('support', 't2', 'ESCALATE');
+    await plugin.send('support', 't2', 'PAUSE');
+    calls = [];
+    await plugin.send('support', 't2', 'UNPAUSE');
+    expect(await plugin.getState('support', 't2')).toBe('open.escalated');
+    expect(calls).toEqual(['enterOpen:UNPAUSE']);
+
+    // Without recorded history the parent's initial state is used
+    await plugin.initializeEntity('support', 't3');
+    await plugin.send('support', 't3', 'PAUSE');
+    await plugin.send('support', 't3', 'UNPAUSE');
+    expect(await plugin.getState('support', 't3')).toBe('open.triage');
+  });
+
+  it('stores delayed transitions durably and cancels them when the state is left', async () => {
+    await plugin.initializeEntity('order', 'o3');
+    await plugin.initializeEntity('order', 'o4');
+
+    const [timer] = (await timers()).filter(t => t.entityId === 'o3');
+    expect(timer).toMatchObject({ machineId: 'order', state: 'pending', delay: '30m', target: 'expired' });
+    expect(timer.dueAt - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+
+    await plugin.send('order', 'o4', 'PAY');
+    expect((await timers()).map(t => t.entityId)).toEqual(['o3']);
+
+    expect(await plugin.processTimers()).toBe(0);
+
+    // A fresh worker picks the timer up from S3
+    const restarted = createPlugin();
+    await restarted.install(database);
+    const fired = [];
+    restarted.on('plg:state-machine:timer-fired', (event) => fired.push(event));
+
+    expect(await restarted.processTimers(Date.now() + 31 * 60 * 1000)).toBe(1);
+    expect(await restarted.getState('order', 'o3')).toBe('expired');
+    expect(fired).toEqual([expect.objectContaining({ entityId: 'o3', delay: '30m', from: 'pending', to: 'expired' })]);
+    expect(await timers()).toEqual([]);
+
+    const history = await restarted.getTransitionHistory('order', 'o3');
+    expect(history[0]).toMatchObject({ event: 'after:30m', from: 'pending', to: 'expired' });
+    await restarted.stop();
+  });
+
+  it('fires due timers from the coordinator', async () => {
+    await plugin.stop();
+    plugin = createPlugin({ enableCoordinator: true, startupJitterMax: 0, timerCheckInterval: 100 });
+    await plugin.install(database);
+
+    await plugin.initializeEntity('support', 't4');
+    await plugin.send('support', 't4', 'ASSIGN');
+    await plugin.send('support', 't4', 'REPLY');
+    expect(await plugin.getState('support', 't4')).toBe('open.waiting');
+
+    const deadline = Date.now() + 10000;
+    while (await plugin.getState('support', 't4') === 'open.waiting' && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    expect(await plugin.getState('support', 't4')).toBe('open.assigned');
+  });
+
+  it('renders the hierarchy as nested clusters', async () => {
+    const dot = plugin.visualize('order');
+
+    expect(dot).toContain('compound=true;');
+    expect(dot).toContain('subgraph cluster_processing {');
+    expect(dot).toContain('label="processing (parallel)";');
+    expect(dot).toContain('subgraph cluster_processing_payment {');
+    expect(dot).toContain('"processing.payment.paid" [shape=doublecircle, fillcolor=lightblue, style=filled, label="paid"];');
+    expect(dot).toContain('"processing.resume" [shape=circle, label="H*"];');
+    expect(dot).toContain('pending -> "processing.payment.authorizing" [label="PAY", lhead=cluster_processing];');
+    expect(dot).toContain('pending -> expired [label="after 30m"];');
+    expect(dot).toContain('"processing.payment.authorizing" -> completed [label="done", ltail=cluster_processing];');
+
+    const flat = new StateMachinePlugin({
+      logLevel: 'silent',
+      persistTransitions: false,
+      stateMachines: { light: { initialState: 'red', states: { red: { on: { NEXT: 'green' } }, green: { on: { NEXT: 'red' } } } } }
+    });
+    await flat.install(database);
+    expect(flat.visualize('light')).toBe([
+      'digraph light {',
+      '  rankdir=LR;',
+      '  node [shape=circle];',
+      '  red [shape=circle, fillcolor=lightblue, style=filled];',
+      '  green [shape=circle, fillcolor=lightblue, style=filled];',
+      '  red -> green [label="NEXT"];',
+      '  green -> red [label="NEXT"];',
+      '  start [shape=point];',
+      '  start -> red;',
+      '}',
+      ''
+    ].join('\n'));
+    await flat.stop();
+  });
+
+  it('validates nested configuration', () => {
+    const build = (states) => new StateMachinePlugin({
+      logLevel: 'silent',
+      stateMachines: { broken: { initialState: 'a', states } }
+    });
+
+    expect(() => build({ a: { states: { x: {}, y: {} } } })).toThrow(/Compound state 'a' .* needs an initialState/);
+    expect(() => build({ a: { type: 'parallel', states: { x: {} } } })).toThrow(/must contain only compound regions/);
+    expect(() => build({ a: { after: { soon: 'a' } } })).toThrow(/Invalid delay 'soon'/);
+    expect(() => build({ 'a.b': {}, a: {} })).toThrow(/cannot contain '.' or ','/);
+  });
+});
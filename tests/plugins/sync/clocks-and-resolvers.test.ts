@@ -0,0 +1,82 @@
+import {
+  compareVectors,
+  fieldLevelMerge,
+  getResolver,
+  incrementVector,
+  lastWriterWins,
+  mergeVectors,
+} from '../../../src/plugins/sync/index.js';
+import { stampFields } from '../../../src/plugins/sync/clocks.js';
+
+const side = (overrides = {}) => ({
+  data: { id: 'o1' },
+  deleted: false,
+  vector: {},
+  fields: {},
+  updatedAt: 0,
+  replicaId: 'server',
+  ...overrides,
+});
+
+describe('Sync - version vectors and resolvers', () => {
+  it('should order version vectors', () => {
+    expect(compareVectors({ a: 1 }, { a: 1 })).toBe('equal');
+    expect(compareVectors({}, {})).toBe('equal');
+    expect(compareVectors({ a: 1 }, { a: 2 })).toBe('before');
+    expect(compareVectors({ a: 2, b: 1 }, { a: 2 })).toBe('after');
+    expect(compareVectors({ a: 2 }, { a: 1, b: 1 })).toBe('concurrent');
+
+    expect(mergeVectors({ a: 2, b: 1 }, { a: 1, c: 3 })).toEqual({ a: 2, b: 1, c: 3 });
+    expect(incrementVector({ a: 2 }, 'b')).toEqual({ a: 2, b: 1 });
+  });
+
+  it('should restamp only the fields whose value changed', () => {
+    const first = stampFields({}, { id: 'o1', status: 'open', notes: 'x' }, 100);
+    expect(first.changed).toEqual(['status', 'notes']);
+
+    const second = stampFields(first.fields, { id: 'o1', status: 'open', notes: 'y' }, 200);
+    expect(second.changed).toEqual(['notes']);
+    expect(second.fields.status).toEqual(first.fields.status);
+    expect(second.fields.notes[0]).toBe(200);
+  });
+
+  it('should pick the latest writer as a whole with last-writer-wins', () => {
+    const server = side({ data: { id: 'o1', status: 'paid' }, updatedAt: 100 });
+    const client = side({ data: { id: 'o1', status: 'void' }, updatedAt: 200, replicaId: 'tablet' });
+
+    expect(lastWriterWins({ resource: 'orders', id: 'o1', server, client })).toEqual({ id: 'o1', status: 'void' });
+    expect(lastWriterWins({
+      resource: 'orders',
+      id: 'o1',
+      server: { ...server, updatedAt: 200 },
+      client: { ...client, deleted: true, data: null, replicaId: 'a-tablet' },
+    })).toEqual({ id: 'o1', status: 'paid' });
+  });
+
+  it('should merge per field by field clock and fall back to LWW on deletes', () => {
+    const server = side({
+      data: { id: 'o1', status: 'paid', notes: 'old' },
+      fields: { status: [300, 'h1'], notes: [100, 'h2'] },
+      updatedAt: 300,
+    });
+    const client = side({
+      data: { id: 'o1', status: 'open', notes: 'ring twice' },
+      fields: { status: [100, 'h3'], notes: [200, 'h4'] },
+      updatedAt: 200,
+      replicaId: 'tablet',
+    });
+    const conflict = { resource: 'orders', id: 'o1', server, client };
+
+    expect(fieldLevelMerge(conflict)).toEqual({ id: 'o1', status: 'paid', notes: 'ring twice' });
+    expect(fieldLevelMerge({ ...conflict, client: { ...client, deleted: true, data: null } }))
+      .toEqual(server.data);
+  });
+
+  it('should resolve resolver names and reject unknown ones', () => {
+    const custom = () => null;
+    expect(getResolver('lww')).toBe(lastWriterWins);
+    expect(getResolver('field-merge')).toBe(fieldLevelMerge);
+    expect(getResolver(custom)).toBe(custom);
+    expect(() => getResolver('newest' as any)).toThrow("Unknown conflict resolver 'newest'");
+  });
+});
@@ -0,0 +1,237 @@
+import { createMemoryDatabaseForTest } from '../../config.js';
+import { Database } from '../../../src/database.class.js';
+import { MemoryClient } from '../../../src/clients/memory-client.class.js';
+import {
+  SyncClientPlugin,
+  SyncServerPlugin,
+  createHttpTransport,
+  createLocalTransport,
+  createMemoryStore,
+} from '../../../src/plugins/sync/index.js';
+
+const ORDER_ATTRIBUTES = {
+  id: 'string|required',
+  region: 'string|required',
+  status: 'string|optional',
+  notes: 'string|optional',
+};
+
+const ORDER_PARTITIONS = {
+  byRegion: { fields: { region: 'string' } },
+};
+
+describe('Sync - local-first engine', () => {
+  const databases = [];
+  let serverDb;
+  let server;
+  let orders;
+
+  const createServer = async (options = {}) => {
+    serverDb = createMemoryDatabaseForTest(`sync-server-${databases.length}`);
+    databases.push(serverDb);
+    await serverDb.connect();
+    orders = await serverDb.createResource({
+      name: 'orders',
+      attributes: ORDER_ATTRIBUTES,
+      partitions: ORDER_PARTITIONS,
+      asyncPartitions: false,
+    });
+    server = new SyncServerPlugin({ logLevel: 'silent', resources: ['orders'], ...options });
+    await serverDb.usePlugin(server);
+  };
+
+  // Calls getRoutes() handlers with a minimal RouteContext in place of HTTP
+  const routeFetch = routes => async (url, init) => {
+    const path = new URL(url).pathname;
+    let status = 200;
+    const ctx = {
+      body: async () => JSON.parse(init.body),
+      success: data => ({ success: true, data }),
+      error: (error, code) => {
+        status = code;
+        return { success: false, error: { message: error.message } };
+      },
+      forbidden: message => {
+        status = 403;
+        return { success: false, error: { message } };
+      },
+    };
+    const payload = await routes[`POST ${path}`](null, ctx);
+    return { ok: status < 400, status, json: async () => payload };
+  };
+
+  const createClient = async (options = {}) => {
+    const db = new Database({
+      client: new MemoryClient({ bucket: `sync-client-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }),
+      logLevel: 'silent',
+    });
+    databases.push(db);
+    await db.connect();
+    await db.createResource({ name: 'orders', attributes: ORDER_ATTRIBUTES, partitions: ORDER_PARTITIONS });
+
+    const plugin = new SyncClientPlugin({
+      logLevel: 'silent',
+      transport: createLocalTransport(server),
+      resources: { orders: { partition: 'byRegion', partitionValues: { region: 'north' } } },
+      ...options,
+    });
+    await db.usePlugin(plugin);
+    return { db, plugin, orders: db.resources.orders };
+  };
+
+  afterEach(async () => {
+    while (databases.length > 0) {
+      await databases.pop().disconnect();
+    }
+  });
+
+  it('should replicate only the subscribed partition and push offline writes', async () => {
+    await createServer();
+    await orders.insert({ id: 'n1', region: 'north', status: 'open' });
+    await orders.insert({ id: 's1', region: 'south', status: 'open' });
+
+    const client = await createClient();
+    const first = await client.plugin.sync();
+
+    expect(first.pulled).toBe(1);
+    expect((await client.orders.list()).map(order => order.id)).toEqual(['n1']);
+    expect(await client.plugin.pendingChanges()).toEqual([]);
+
+    await client.orders.insert({ id: 'n2', region: 'north', status: 'new' });
+    await client.orders.update('n2', { notes: 'leave at the door' });
+    await client.orders.delete('n1');
+
+    const pending = await client.plugin.pendingChanges();
+    expect(pending.map(entry => `${entry.op}:${entry.recordId}`)).toEqual(['upsert:n2', 'upsert:n2', 'delete:n1']);
+
+    const second = await client.plugin.sync();
+    expect(second).toMatchObject({ pushed: 2, conflicts: 0, rejected: 0 });
+    expect(await client.plugin.pendingChanges()).toEqual([]);
+    expect(await orders.get('n2')).toMatchObject({ status: 'new', notes: 'leave at the door' });
+    expect(await orders.exists('n1')).toBe(false);
+  });
+
+  it('should merge concurrent edits field by field', async () => {
+    await createServer({ resolver: 'field-merge' });
+    await orders.insert({ id: 'n1', region: 'north', status: 'open', notes: '' });
+
+    const client = await createClient();
+    await client.plugin.sync();
+
+    const conflicts = [];
+    server.on('plg:sync:conflict', event => conflicts.push(event));
+
+    await orders.update('n1', { status: 'paid' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await client.orders.update('n1', { notes: 'ring twice' });
+
+    const result = await client.plugin.sync();
+
+    expect(result.conflicts).toBe(1);
+    expect(conflicts).toEqual([expect.objectContaining({ resource: 'orders', id: 'n1', deleted: false })]);
+    expect(await orders.get('n1')).toMatchObject({ status: 'paid', notes: 'ring twice' });
+    expect(await client.orders.get('n1')).toMatchObject({ status: 'paid', notes: 'ring twice' });
+
+    // Both sides converged: nothing left to exchange
+    expect(await client.plugin.sync()).toMatchObject({ pushed: 0, pulled: 0 });
+  });
+
+  it('should let the latest writer win by default and accept custom resolvers', async () => {
+    await createServer({
+      resources: {
+        orders: {
+          resolver: ({ server: serverSide, client: clientSide }) => ({
+            ...clientSide.data,
+            notes: `${serverSide.data.notes} | ${clientSide.data.notes}`,
+          }),
+        },
+      },
+    });
+    await orders.insert({ id: 'n1', region: 'north', notes: 'server' });
+
+    const client = await createClient();
+    await client.plugin.sync();
+
+    await orders.update('n1', { notes: 'from office' });
+    await client.orders.update('n1', { notes: 'from field' });
+    await client.plugin.sync();
+
+    expect((await orders.get('n1')).notes).toBe('from office | from field');
+    expect((await client.orders.get('n1')).notes).toBe('from office | from field');
+  });
+
+  it('should propagate server deletes and evict records that leave the partition', async () => {
+    await createServer();
+    await orders.insert({ id: 'n1', region: 'north' });
+    await orders.insert({ id: 'n2', region: 'north' });
+
+    const client = await createClient();
+    await client.plugin.sync();
+    expect(await client.orders.count()).toBe(2);
+
+    await orders.delete('n1');
+    await orders.update('n2', { region: 'south' });
+    await client.plugin.sync();
+
+    expect(await client.orders.list()).toEqual([]);
+    expect(await client.plugin.pendingChanges()).toEqual([]);
+  });
+
+  it('should keep the replica, outbox and replica id in the store across restarts', async () => {
+    await createServer();
+    const store = createMemoryStore();
+
+    const first = await createClient({ store });
+    await first.orders.insert({ id: 'n1', region: 'north', status: 'draft' });
+    await first.plugin.flush();
+    const replicaId = first.plugin.replicaId;
+
+    const second = await createClient({ store });
+    expect(second.plugin.replicaId).toBe(replicaId);
+    expect(await second.orders.get('n1')).toMatchObject({ status: 'draft' });
+    expect((await second.plugin.pendingChanges()).map(entry => entry.recordId)).toEqual(['n1']);
+
+    await second.plugin.sync();
+    expect(await orders.get('n1')).toMatchObject({ status: 'draft' });
+  });
+
+  it('should sync through the ApiPlugin routes with the HTTP transport', async () => {
+    await createServer();
+    await orders.insert({ id: 'n1', region: 'north' });
+
+    const seen = [];
+    const routes = server.getRoutes({
+      authorize: (ctx, operation, request) => {
+        seen.push(operation);
+        return request.replicaId !== 'blocked';
+      },
+    });
+    expect(Object.keys(routes)).toEqual(['POST /sync/push', 'POST /sync/pull']);
+
+    const transport = createHttpTransport({ url: 'https://api.example.com/sync/', fetch: routeFetch(routes) });
+    const client = await createClient({ transport });
+    await client.orders.insert({ id: 'n2', region: 'north' });
+    await client.plugin.sync();
+
+    expect(seen).toEqual(['push', 'pull']);
+    expect(await client.orders.exists('n1')).toBe(true);
+    expect(await orders.exists('n2')).toBe(true);
+
+    await expect(transport.pull({ replicaId: 'blocked', resources: {} })).rejects.toThrow('Sync pull not allowed');
+    await expect(transport.pull({ replicaId: 'x', resources: { users: {} } })).rejects.toThrow("Resource 'users' is not synced");
+  });
+
+  it('should deny route requests unless authorize is given', async () => {
+    await createServer();
+
+    const closed = createHttpTransport({ url: 'https://api.example.com/sync', fetch: routeFetch(server.getRoutes()) });
+    const client = await createClient({ transport: closed });
+    await client.orders.insert({ id: 'n2', region: 'north' });
+
+    await expect(client.plugin.push()).rejects.toThrow('Sync push not allowed');
+    expect(await orders.exists('n2')).toBe(false);
+
+    const open = createHttpTransport({ url: 'https://api.example.com/sync', fetch: routeFetch(server.getRoutes({ authorize: 'public' })) });
+    await expect(open.push({ replicaId: 'x', changes: [] })).resolves.toBeDefined();
+  });
+});
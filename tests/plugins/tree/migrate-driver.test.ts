@@ -0,0 +1,88 @@
+import { TreePlugin } from '#src/plugins/tree/index.js';
+import { createDatabaseForTest } from '#tests/config.js';
+
+describe('Tree Plugin - migrateDriver', () => {
+  vi.setConfig({ testTimeout: 60000 });
+  let database;
+  let treePlugin;
+  let categories;
+
+  const names = nodes => nodes.map(node => node.name);
+
+  beforeEach(async () => {
+    database = createDatabaseForTest('suite=plugins/tree-migrate-driver');
+    await database.connect();
+
+    categories = await database.createResource({
+      name: 'categories',
+      asyncPartitions: false,
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        parentId: 'string|optional',
+        lft: 'number|optional',
+        rgt: 'number|optional',
+        depth: 'number|optional',
+        path: 'string|optional'
+      },
+      partitions: {
+        byParent: { fields: { parentId: 'string' } },
+        byPath: { fields: { path: 'string' } }
+      }
+    });
+
+    treePlugin = new TreePlugin({ logLevel: 'silent', driver: 'nested-set', resources: ['categories'] });
+    await treePlugin.install(database);
+
+    await categories.tree.createRoot({ id: 'root', name: 'Root' });
+    await categories.tree.addChild('root', { id: 'a', name: 'A' });
+    await categories.tree.addChild('root', { id: 'b', name: 'B' });
+    await categories.tree.addChild('a', { id: 'a1', name: 'A1' });
+  });
+
+  afterEach(async () => {
+    if (database) await database.disconnect();
+  });
+
+  test('should convert trees through every driver', async () => {
+    const toPath = await treePlugin.migrateDriver('nested-set', 'materialized-path');
+    expect(toPath.resources.categories).toMatchObject({ nodes: 4, reparented: 0, rebuilt: 4 });
+    expect((await categories.get('a1')).path).toBe('root.a.a1.');
+
+    // The resource namespace follows the new driver
+    expect(categories.tree.driverName).toBe('MaterializedPathDriver');
+    await categories.tree.moveSubtree('a1', 'b');
+
+    await treePlugin.migrateDriver('materialized-path', 'closure-table');
+    expect(names(await categories.tree.getAncestors('a1'))).toEqual(['Root', 'B']);
+    expect(await categories.tree.isDescendantOf('a1', 'b')).toBe(true);
+
+    await treePlugin.migrateDriver('closure-table', 'nested-set');
+    const b = await categories.get('b');
+    const a1 = await categories.get('a1');
+    expect(a1.lft).toBeGreaterThan(b.lft);
+    expect(a1.rgt).toBeLessThan(b.rgt);
+    expect((await categories.tree.verify()).valid).toBe(true);
+
+    await treePlugin.migrateDriver('nested-set', 'adjacency-list');
+    expect(names(await categories.tree.getDescendants('root'))).toEqual(['A', 'B', 'A1']);
+    expect(treePlugin.getStats().driver).toBe('adjacency-list');
+  });
+
+  test('should take parents from the source structure', async () => {
+    await treePlugin.migrateDriver('nested-set', 'materialized-path');
+    // Parent field out of sync with the paths: the paths win
+    await categories.patch('a1', { parentId: 'b' });
+
+    const result = await treePlugin.migrateDriver('materialized-path', 'closure-table');
+
+    expect(result.resources.categories.reparented).toBe(1);
+    expect((await categories.get('a1')).parentId).toBe('a');
+    expect(names(await categories.tree.getChildren('a'))).toEqual(['A1']);
+  });
+
+  test('should reject a source driver that is not in use', async () => {
+    await expect(treePlugin.migrateDriver('adjacency-list', 'closure-table'))
+      .rejects.toThrow(/plugin uses the 'nested-set' driver/);
+  });
+});
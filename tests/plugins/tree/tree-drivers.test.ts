@@ -0,0 +1,147 @@
+import { TreePlugin } from '#src/plugins/tree/index.js';
+import { createDatabaseForTest } from '#tests/config.js';
+
+const DRIVERS = [
+  {
+    driver: 'materialized-path',
+    attributes: { path: 'string|optional' },
+    partitions: { byPath: { fields: { path: 'string' } } }
+  },
+  {
+    driver: 'closure-table',
+    attributes: {},
+    partitions: {}
+  }
+];
+
+describe.each(DRIVERS)('Tree Plugin ($driver driver)', ({ driver, attributes, partitions }) => {
+  vi.setConfig({ testTimeout: 30000 });
+  let database;
+  let categories;
+
+  const names = nodes => nodes.map(node => node.name);
+
+  beforeEach(async () => {
+    database = createDatabaseForTest(`suite=plugins/tree-${driver}`);
+    await database.connect();
+
+    categories = await database.createResource({
+      name: 'categories',
+      asyncPartitions: false,
+      attributes: {
+        id: 'string|optional',
+        name: 'string|required',
+        parentId: 'string|optional',
+        depth: 'number|optional',
+        ...attributes
+      },
+      partitions: {
+        byParent: { fields: { parentId: 'string' } },
+        ...partitions
+      }
+    });
+
+    await new TreePlugin({ logLevel: 'silent', driver, resources: ['categories'] }).install(database);
+  });
+
+  afterEach(async () => {
+    if (database) await database.disconnect();
+  });
+
+  // root
+  // ├── a
+  // │   ├── a1
+  // │   └── a2
+  // │       └── a2x
+  // └── b
+  const buildTree = async () => {
+    const root = await categories.tree.createRoot({ id: 'root', name: 'Root' });
+    const a = await categories.tree.addChild('root', { id: 'a', name: 'A' });
+    const b = await categories.tree.addChild('root', { id: 'b', name: 'B' });
+    const a1 = await categories.tree.addChild('a', { id: 'a1', name: 'A1' });
+    const a2 = await categories.tree.addChild('a', { id: 'a2', name: 'A2' });
+    const a2x = await categories.tree.addChild('a2', { id: 'a2x', name: 'A2X' });
+    return { root, a, b, a1, a2, a2x };
+  };
+
+  test('should navigate children, descendants and ancestors', async () => {
+    await buildTree();
+
+    expect(names(await categories.tree.getChildren('root'))).toEqual(['A', 'B']);
+    expect(names(await categories.tree.getDescendants('a'))).toEqual(['A1', 'A2', 'A2X']);
+    expect(names(await categories.tree.getDescendants('root', { maxDepth: 1 }))).toEqual(['A', 'B']);
+    expect(names(await categories.tree.getAncestors('a2x'))).toEqual(['Root', 'A', 'A2']);
+    expect(names(await categories.tree.getRoots())).toEqual(['Root']);
+
+    expect(await categories.tree.isDescendantOf('a2x', 'a')).toBe(true);
+    expect(await categories.tree.isDescendantOf('b', 'a')).toBe(false);
+    expect(await categories.tree.getDepth('a2x')).toBe(3);
+    expect(await categories.tree.countDescendants('root')).toBe(5);
+
+    const node = await categories.get('a2');
+    expect(names(await node.tree.ancestors())).toEqual(['Root', 'A']);
+  });
+
+  test('should not treat ids sharing a prefix as related', async () => {
+    await categories.tree.createRoot({ id: 'a', name: 'A' });
+    await categories.tree.createRoot({ id: 'ab', name: 'AB' });
+    await categories.tree.addChild('a', { id: 'a-child', name: 'A child' });
+    await categories.tree.addChild('ab', { id: 'ab-child', name: 'AB child' });
+
+    expect(names(await categories.tree.getDescendants('a'))).toEqual(['A child']);
+    expect(names(await categories.tree.getChildren('ab'))).toEqual(['AB child']);
+  });
+
+  test('should move a subtree with its descendants', async () => {
+    await buildTree();
+
+    const moved = await categories.tree.moveSubtree('a2', 'b');
+    expect(moved.parentId).toBe('b');
+
+    expect(names(await categories.tree.getDescendants('a'))).toEqual(['A1']);
+    expect(names(await categories.tree.getDescendants('b'))).toEqual(['A2', 'A2X']);
+    expect(names(await categories.tree.getAncestors('a2x'))).toEqual(['Root', 'B', 'A2']);
+    expect((await categories.get('a2x')).depth).toBe(3);
+    expect(await categories.tree.isDescendantOf('a2x', 'a')).toBe(false);
+
+    await expect(categories.tree.moveSubtree('b', 'a2x')).rejects.toThrow(/own descendant/);
+  });
+
+  test('should promote children on delete and remove whole subtrees', async () => {
+    await buildTree();
+
+    const result = await categories.tree.deleteNode('a');
+    expect(result).toEqual({ deleted: 1, promoted: 2 });
+    expect(names(await categories.tree.getChildren('root'))).toEqual(['A1', 'A2', 'B']);
+    expect(names(await categories.tree.getAncestors('a2x'))).toEqual(['Root', 'A2']);
+    expect((await categories.get('a2x')).depth).toBe(2);
+
+    expect(await categories.tree.deleteSubtree('a2')).toEqual({ deleted: 2 });
+    expect(names(await categories.tree.getDescendants('root'))).toEqual(['A1', 'B']);
+  });
+
+  test('should rebuild its structure from the parent field', async () => {
+    await buildTree();
+    await categories.patch('a2', { parentId: 'b' });
+
+    const { rebuilt } = await categories.tree.rebuild();
+
+    expect(rebuilt).toBe(2);
+    expect(names(await categories.tree.getDescendants('b'))).toEqual(['A2', 'A2X']);
+    expect(names(await categories.tree.getAncestors('a2x'))).toEqual(['Root', 'B', 'A2']);
+  });
+});
+
+describe('Tree Plugin (materialized-path configuration)', () => {
+  test('should require a byPath partition', async () => {
+    const database = createDatabaseForTest('suite=plugins/tree-materialized-path-bad');
+    await database.connect();
+    await database.createResource({ name: 'bad_resource', attributes: { name: 'string' } });
+    await new TreePlugin({ logLevel: 'silent', driver: 'materialized-path', resources: ['bad_resource'] }).install(database);
+
+    await expect(database.resources.bad_resource.tree.createRoot({ name: 'Root' }))
+      .rejects.toThrow(/must have a 'byPath' partition/);
+
+    await database.disconnect();
+  });
+});